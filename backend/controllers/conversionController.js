@@ -8,6 +8,8 @@ const Payment = require('../models/Payment');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 const cloudinaryHelper = require('../utils/cloudinaryHelper');
+const { validateOcrOptions } = require('../services/pdfOcr');
+const { SOURCE_FORMATS, isSupportedConversion } = require('../utils/conversionMatrix');
 
 // Import new enhanced queue system
 const { processingQueue } = require('../utils/processingQueue');
@@ -48,17 +50,34 @@ exports.startConversion = async (req, res, next) => {
       return next(new ErrorResponse('Please provide fileId, sourceFormat and targetFormat', 400));
     }
     
-    // Only support PDF as source format for now
-    if (sourceFormat !== 'pdf') {
+    // The conversion matrix is shared with the frontend (config/conversionMatrix.json)
+    if (!SOURCE_FORMATS.includes(sourceFormat)) {
       reqLogger.error('Unsupported source format:', sourceFormat);
-      return next(new ErrorResponse('Only PDF source format is supported', 400));
+      return next(new ErrorResponse(`Unsupported source format: ${sourceFormat}`, 400));
+    }
+    if (!isSupportedConversion(sourceFormat, targetFormat)) {
+      reqLogger.error('Unsupported conversion:', { sourceFormat, targetFormat });
+      return next(new ErrorResponse(`Converting ${sourceFormat} to ${targetFormat} is not supported`, 400));
     }
     
-    // Basic validation - simplified for this fix
-    const supportedTargetFormats = ['docx', 'xlsx', 'pptx', 'jpg', 'txt', 'pdf'];
-    if (!supportedTargetFormats.includes(targetFormat)) {
-      reqLogger.error('Unsupported target format:', targetFormat);
-      return next(new ErrorResponse(`Unsupported target format: ${targetFormat}`, 400));
+    // Target size compression needs a positive byte count
+    if (options.targetSizeBytes !== undefined && !(Number(options.targetSizeBytes) > 0)) {
+      reqLogger.error('Invalid target size:', options.targetSizeBytes);
+      return next(new ErrorResponse('targetSizeBytes must be a positive number of bytes', 400));
+    }
+    
+    // Text output can fall back to OCR for scanned pages
+    if (options.ocr) {
+      if (sourceFormat !== 'pdf' || !['docx', 'txt'].includes(targetFormat)) {
+        reqLogger.error('OCR requested for unsupported conversion:', { sourceFormat, targetFormat });
+        return next(new ErrorResponse(`OCR is not available for ${sourceFormat} to ${targetFormat} conversions`, 400));
+      }
+      try {
+        validateOcrOptions({ language: options.ocrLanguage });
+      } catch (validationError) {
+        reqLogger.error('Invalid OCR language:', options.ocrLanguage);
+        return next(new ErrorResponse(validationError.message, 400));
+      }
     }
     
     // Create a new operation record with pre-assigned resultFileId
@@ -67,6 +86,7 @@ exports.startConversion = async (req, res, next) => {
     // Create a new operation record
     const operation = new Operation({
       _id: operationId,
+      operationType: sourceFormat === 'pdf' && targetFormat === 'pdf' ? 'compression' : 'conversion',
       sourceFileId: fileId,
       sourceFormat,
       targetFormat,
@@ -390,6 +410,28 @@ exports.getOperationStatus = async (req, res, next) => {
       // Enhanced fields
       queue: queueInfo,
       chunked: Object.keys(chunkedInfo).length > 0 ? chunkedInfo : undefined,
+      compression: operation.compressionStats && operation.compressionStats.resultSize
+        ? operation.compressionStats
+        : undefined,
+      ocr: operation.ocrStats && operation.ocrStats.language
+        ? operation.ocrStats
+        : undefined,
+      redaction: operation.redactionStats && operation.redactionStats.totals
+        ? operation.redactionStats
+        : undefined,
+      comparison: operation.comparisonStats && operation.comparisonStats.summary
+        ? operation.comparisonStats
+        : undefined,
+      extraction: operation.extractionStats && typeof operation.extractionStats.images === 'number'
+        ? operation.extractionStats
+        : undefined,
+      outline: operation.outlineStats && operation.outlineStats.mode
+        ? operation.outlineStats
+        : undefined,
+      // Parts of a multi-part result, in archive order
+      manifest: operation.resultManifest && operation.resultManifest.length > 0
+        ? operation.resultManifest
+        : undefined,
       cloudinarySource: operation.sourceCloudinaryData ? {
         publicId: operation.sourceCloudinaryData.publicId,
         url: operation.sourceCloudinaryData.secureUrl
@@ -436,6 +478,24 @@ exports.getDownloadUrl = async (req, res, next) => {
     
     reqLogger.info('Generating download URL', { operationId: operation._id });
     
+    // Measured sizes for compression results
+    const compressionInfo = operation.compressionStats && operation.compressionStats.resultSize
+      ? {
+          originalSize: operation.compressionStats.originalSize,
+          resultSize: operation.compressionStats.resultSize,
+          compressionRatio: operation.compressionStats.compressionRatio,
+          targetSizeBytes: operation.compressionStats.targetSizeBytes,
+          targetMet: operation.compressionStats.targetMet
+        }
+      : {};
+    
+    // Multi-page image conversions are delivered as a ZIP archive
+    const resultUrl = (operation.resultCloudinaryData && operation.resultCloudinaryData.secureUrl) ||
+      operation.resultDownloadUrl || '';
+    const isArchive = (operation.resultCloudinaryData && operation.resultCloudinaryData.format === 'zip') ||
+      /\.zip$/i.test(resultUrl.split('?')[0]);
+    const fileName = `converted.${isArchive ? 'zip' : operation.targetFormat}`;
+    
     // Prioritize Cloudinary sources in the Cloudinary-First approach
     
     // Priority 1: Check if there's a resultCloudinaryData (new field)
@@ -449,8 +509,9 @@ exports.getDownloadUrl = async (req, res, next) => {
       return res.json({
         success: true,
         downloadUrl,
-        fileName: `converted.${operation.targetFormat}`,
+        fileName,
         format: operation.targetFormat,
+        ...compressionInfo,
         source: 'cloudinary',
         fileSize: operation.resultCloudinaryData.bytes || 0
       });
@@ -467,8 +528,9 @@ exports.getDownloadUrl = async (req, res, next) => {
       return res.json({
         success: true,
         downloadUrl,
-        fileName: `converted.${operation.targetFormat}`,
+        fileName,
         format: operation.targetFormat,
+        ...compressionInfo,
         source: 'cloudinary-legacy'
       });
     }
@@ -489,8 +551,9 @@ exports.getDownloadUrl = async (req, res, next) => {
       return res.json({
         success: true,
         downloadUrl,
-        fileName: `converted.${operation.targetFormat}`,
+        fileName,
         format: operation.targetFormat,
+        ...compressionInfo,
         source: isCloudinaryUrl ? 'cloudinary-url' : 'direct-url'
       });
     }
@@ -503,8 +566,9 @@ exports.getDownloadUrl = async (req, res, next) => {
     return res.json({
       success: true,
       downloadUrl: `/api/files/download/${operation.resultFileId}`,
-      fileName: `converted.${operation.targetFormat}`,
+      fileName,
       format: operation.targetFormat,
+      ...compressionInfo,
       source: 'local-file'
     });
     
@@ -4,6 +4,9 @@ const axios = require('axios');
 const { ErrorResponse } = require('../utils/errorHandler');
 const pdfService = require('../services/pdfService');
 const { isPdfValid } = require('../utils/fileValidator');
+const { isEncryptedPdf } = require('../services/pdfSecurity');
+const { OFFICE_FORMATS } = require('../services/pdfCreator');
+const { getSourceFormat } = require('../utils/conversionMatrix');
 const Operation = require('../models/Operation');
 const Payment = require('../models/Payment');
 const { v4: uuidv4 } = require('uuid');
@@ -202,10 +205,15 @@ exports.uploadFile = async (req, res, next) => {
         '000000000000', // Zero bytes (suspicious)
       ];
       
+      // Office Open XML documents (docx, xlsx, pptx) are ZIP archives themselves
+      if (OFFICE_FORMATS.includes(getSourceFormat(req.file.originalname, req.file.mimetype))) {
+        suspiciousSignatures.splice(suspiciousSignatures.indexOf('504b0304'), 1);
+      }
+      
       // Check file header against suspicious signatures
       if (suspiciousSignatures.some(sig => hexSignature.includes(sig))) {
         uploadDebug.error('Suspicious file signature detected: %s', hexSignature);
-        return next(new ErrorResponse('File appears to be malicious or contains executable code. Only PDF files are accepted.', 400));
+        return next(new ErrorResponse('File appears to be malicious or contains executable code.', 400));
       }
       
       // Check filename for suspicious extensions (double extensions)
@@ -459,6 +467,8 @@ exports.uploadFile = async (req, res, next) => {
       
       // Determine PDF page count
       let pageCount;
+      // Encrypted PDFs need their password before they can be converted
+      let encrypted = false;
       
       // For PDFs, do basic validation
       if (req.file.mimetype === 'application/pdf' || filepath.toLowerCase().endsWith('.pdf')) {
@@ -479,9 +489,31 @@ exports.uploadFile = async (req, res, next) => {
         }
         
         if (isPdf) {
-          // Set a default page count since we can't easily count pages
-          pageCount = 1; // Default value
+          // Default page count when the document cannot be parsed here
+          pageCount = 1;
           uploadDebug.info('Valid PDF file uploaded');
+          
+          const pdfBuffer = req.file.buffer && req.file.buffer.length > 4
+            ? req.file.buffer
+            : fs.readFileSync(filepath);
+          
+          try {
+            encrypted = await isEncryptedPdf(pdfBuffer);
+            if (encrypted) {
+              uploadDebug.info('PDF is encrypted, a password is needed to process it');
+            }
+          } catch (encryptionCheckError) {
+            uploadDebug.warn('Could not check PDF encryption: %s', encryptionCheckError.message);
+          }
+          
+          // Page tools such as the organizer need the real count; the page tree is not encrypted
+          try {
+            const { PDFDocument } = require('pdf-lib');
+            const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+            pageCount = pdfDoc.getPageCount();
+          } catch (pageCountError) {
+            uploadDebug.warn('Could not count PDF pages: %s', pageCountError.message);
+          }
         } else {
           uploadDebug.warn('File does not have PDF signature - might not be a valid PDF');
         }
@@ -510,6 +542,9 @@ exports.uploadFile = async (req, res, next) => {
         previewUrl: fileResult.secure_url,
         operationId: fileOperation ? fileOperation._id : undefined,
         pageCount: pageCount,
+        encrypted,
+        // Format conversions start from, null when the file cannot be converted
+        sourceFormat: getSourceFormat(req.file.originalname, req.file.mimetype),
         // Include Cloudinary specific information
         cloudinaryPublicId: cloudinaryResult ? cloudinaryResult.public_id : undefined,
         cloudinaryUrl: cloudinaryResult ? cloudinaryResult.secure_url : undefined,
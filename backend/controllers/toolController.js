@@ -0,0 +1,1238 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { ErrorResponse } = require('../utils/errorHandler');
+const Operation = require('../models/Operation');
+const logger = require('../utils/logger');
+const { parsePageRanges } = require('../utils/pageRanges');
+const { processingQueue } = require('../utils/processingQueue');
+const { pdfToolJobProcessor } = require('../utils/pdfToolJobProcessor');
+const { BOOKMARK_MODES } = require('../services/pdfMerger');
+const { validateSplitOptions } = require('../services/pdfSplitter');
+const { validateProtectionOptions, PERMISSIONS } = require('../services/pdfSecurity');
+const { validateOcrOptions } = require('../services/pdfOcr');
+const { validateImageLayoutOptions } = require('../services/pdfCreator');
+const { validateWatermarkOptions } = require('../services/pdfWatermark');
+const { validatePagePlan } = require('../services/pdfOrganizer');
+const { validateHeaderFooterOptions } = require('../services/pdfHeaderFooter');
+const { readMetadata, validateMetadataOptions } = require('../services/pdfMetadata');
+const { listFormFields, validateFormFillOptions } = require('../services/pdfForms');
+const { validateSignatureOptions, loadCertificate, inspectSignatures } = require('../services/pdfSignature');
+const { validateRedactionOptions } = require('../services/pdfRedactor');
+const { validateCompareOptions } = require('../services/pdfCompare');
+const { validateExtractionOptions } = require('../services/pdfExtractor');
+const { validateOutlineOptions, readBookmarks } = require('../services/pdfBookmarks');
+
+// Ids read from the URL or the body become part of a file path
+const FILE_ID_PATTERN = /^[\w-]+$/;
+
+const isValidFileId = (fileId) => typeof fileId === 'string' && FILE_ID_PATTERN.test(fileId);
+
+/**
+ * Whether an operation was started by the caller: the same user, or the same known session
+ * @param {Object} operation - Operation document
+ * @param {Object} req - Express request
+ * @param {String} sessionId - Session of the request
+ * @returns {Boolean}
+ */
+const isOwnOperation = (operation, req, sessionId) => {
+  if (req.user && operation.userId && String(operation.userId) === String(req.user._id)) {
+    return true;
+  }
+  return sessionId !== 'unknown' && operation.sessionId === sessionId;
+};
+
+// PKCS#12 files hold a key and a short chain, far less than this
+const MAX_CERTIFICATE_BYTES = 64 * 1024;
+
+/**
+ * Normalise the file list of a multi-file tool request
+ * @param {Array} files - fileIds or { fileId, pages, title } objects
+ * @returns {Array<Object>} - [{ fileId, pages, title }]
+ * @throws {Error} If an entry has no valid fileId or an invalid page range
+ */
+const normalizeFileList = (files) => files.map((file, index) => {
+  const entry = typeof file === 'string' ? { fileId: file } : (file || {});
+  if (!isValidFileId(entry.fileId)) {
+    throw new Error(`File ${index + 1} has no valid fileId`);
+  }
+
+  // Page counts are only known once the job runs, so check the syntax here
+  if (entry.pages !== undefined && entry.pages !== null && entry.pages !== '') {
+    parsePageRanges(entry.pages, Number.MAX_SAFE_INTEGER);
+  }
+
+  return {
+    fileId: entry.fileId,
+    pages: entry.pages || undefined,
+    title: entry.title ? String(entry.title) : undefined
+  };
+});
+
+/**
+ * Create a tool operation, answer the request and queue the job
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} reqLogger - Request logger
+ * @param {Object} fields - { correlationId, sessionId, operation: Operation fields (operationType,
+ *   sourceFileId, options, ...), secrets: values the job needs that must not be stored (passwords, search terms) }
+ */
+const queueToolOperation = async (req, res, reqLogger, fields) => {
+  const operation = new Operation({
+    sourceFormat: 'pdf',
+    targetFormat: 'pdf',
+    status: 'queued',
+    progress: 0,
+    resultFileId: uuidv4(),
+    correlationId: fields.correlationId,
+    sessionId: fields.sessionId,
+    userId: req.user ? req.user._id : null,
+    ...fields.operation
+  });
+
+  await operation.save();
+
+  res.status(202).json({
+    success: true,
+    operationId: operation._id,
+    status: operation.status
+  });
+
+  processingQueue.addJob(
+    operation._id,
+    {
+      operationId: operation._id,
+      operationType: operation.operationType,
+      correlationId: fields.correlationId,
+      sessionId: fields.sessionId,
+      isPremium: !!req.user?.isPremium,
+      maxAttempts: 3,
+      // Kept in the in-memory queue only, never saved with the operation
+      secrets: fields.secrets
+    },
+    req.user?.isPremium ? 8 : 6, // Premium users get higher priority
+    (jobData) => pdfToolJobProcessor.process(jobData)
+  );
+
+  reqLogger.info(`${operation.operationType} job added to processing queue`, {
+    operationId: operation._id,
+    queueStats: processingQueue.getStats()
+  });
+};
+
+// Merge several PDFs into one
+// @route   POST /api/tools/merge
+// @access  Public
+exports.startMerge = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/merge',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { files, options = {} } = req.body;
+
+    if (!Array.isArray(files) || files.length < 2) {
+      reqLogger.error('Merge request needs at least two files', { fileCount: Array.isArray(files) ? files.length : 0 });
+      return next(new ErrorResponse('Please provide at least two files to merge', 400));
+    }
+
+    let normalizedFiles;
+    try {
+      normalizedFiles = normalizeFileList(files);
+    } catch (validationError) {
+      reqLogger.error('Invalid merge file list', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    const bookmarks = options.bookmarks || 'preserve';
+    if (!BOOKMARK_MODES.includes(bookmarks)) {
+      reqLogger.error('Unsupported bookmark mode', { bookmarks });
+      return next(new ErrorResponse(`Unsupported bookmark mode: ${bookmarks}`, 400));
+    }
+
+    reqLogger.info('Merge request received', { fileCount: normalizedFiles.length, bookmarks });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'merge',
+        sourceFileId: normalizedFiles[0].fileId,
+        options: {
+          files: normalizedFiles,
+          bookmarks,
+          title: options.title
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting merge:', error);
+    next(new ErrorResponse('Error starting merge', 500));
+  }
+};
+
+// Split a PDF into parts
+// @route   POST /api/tools/split
+// @access  Public
+exports.startSplit = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/split',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Split request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let mode;
+    try {
+      mode = validateSplitOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid split options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Split request received', { fileId, mode });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'split',
+        sourceFileId: fileId,
+        options: {
+          mode,
+          ranges: mode === 'ranges' ? String(options.ranges) : undefined,
+          everyPages: mode === 'every' ? Number(options.everyPages) : undefined,
+          maxSizeBytes: mode === 'size' ? Number(options.maxSizeBytes) : undefined
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting split:', error);
+    next(new ErrorResponse('Error starting split', 500));
+  }
+};
+
+// Encrypt a PDF with passwords and permissions
+// @route   POST /api/tools/protect
+// @access  Public
+exports.startProtect = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/protect',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, userPassword, ownerPassword, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Protect request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let algorithm;
+    try {
+      algorithm = validateProtectionOptions({ userPassword, ownerPassword, ...options });
+    } catch (validationError) {
+      reqLogger.error('Invalid protection options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    // Missing permissions are granted
+    const permissions = PERMISSIONS.reduce((result, permission) => {
+      result[permission] = options.permissions?.[permission] !== false;
+      return result;
+    }, {});
+
+    reqLogger.info('Protect request received', { fileId, algorithm, permissions });
+
+    // The passwords go to the job only: neither the operation nor the logs may contain them
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'protection',
+        sourceFileId: fileId,
+        options: {
+          algorithm,
+          permissions,
+          hasUserPassword: !!userPassword,
+          hasOwnerPassword: !!ownerPassword
+        }
+      },
+      secrets: { userPassword, ownerPassword }
+    });
+  } catch (error) {
+    console.error('Error starting protection:', error.message);
+    next(new ErrorResponse('Error starting protection', 500));
+  }
+};
+
+// Decrypt a PDF with its user or owner password
+// @route   POST /api/tools/unlock
+// @access  Public
+exports.startUnlock = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/unlock',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, password } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Unlock request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+    if (!password || typeof password !== 'string') {
+      reqLogger.error('Unlock request without password', { fileId });
+      return next(new ErrorResponse('Please provide the password of the document', 400));
+    }
+
+    reqLogger.info('Unlock request received', { fileId });
+
+    // The password goes to the job only: neither the operation nor the logs may contain it
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'unlock',
+        sourceFileId: fileId,
+        options: {}
+      },
+      secrets: { password }
+    });
+  } catch (error) {
+    console.error('Error starting unlock:', error.message);
+    next(new ErrorResponse('Error starting unlock', 500));
+  }
+};
+
+// Recognize the text of a scanned PDF and make it searchable
+// @route   POST /api/tools/ocr
+// @access  Public
+exports.startOcr = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/ocr',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('OCR request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let language;
+    try {
+      language = validateOcrOptions(options);
+      if (options.pages !== undefined && options.pages !== null && options.pages !== '') {
+        parsePageRanges(options.pages, Number.MAX_SAFE_INTEGER);
+      }
+    } catch (validationError) {
+      reqLogger.error('Invalid OCR options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('OCR request received', { fileId, language });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'ocr',
+        sourceFileId: fileId,
+        options: {
+          language,
+          pages: options.pages ? String(options.pages) : undefined
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting OCR:', error);
+    next(new ErrorResponse('Error starting OCR', 500));
+  }
+};
+
+// Assemble uploaded images into one PDF
+// @route   POST /api/tools/images-to-pdf
+// @access  Public
+exports.startImagesToPdf = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/images-to-pdf',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { files, options = {} } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      reqLogger.error('Images-to-PDF request without files');
+      return next(new ErrorResponse('Please provide at least one image', 400));
+    }
+
+    let normalizedFiles;
+    let layout;
+    try {
+      // Images have no pages to pick or titles, only the order matters
+      normalizedFiles = normalizeFileList(files).map(file => ({ fileId: file.fileId }));
+      layout = validateImageLayoutOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid images-to-PDF request', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Images-to-PDF request received', { fileCount: normalizedFiles.length, ...layout });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'images_to_pdf',
+        sourceFormat: 'image',
+        sourceFileId: normalizedFiles[0].fileId,
+        options: {
+          files: normalizedFiles,
+          ...layout
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting images-to-PDF:', error);
+    next(new ErrorResponse('Error starting images-to-PDF', 500));
+  }
+};
+
+// Stamp text or an image on pages of a PDF
+// @route   POST /api/tools/watermark
+// @access  Public
+exports.startWatermark = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/watermark',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, fromOperationId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Watermark request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    // Re-apply the stamp of an earlier watermark operation, options override its settings
+    let savedSettings = {};
+    if (fromOperationId) {
+      let previous = null;
+      try {
+        previous = await Operation.findById(fromOperationId);
+      } catch (lookupError) {
+        if (lookupError.name !== 'CastError') throw lookupError;
+      }
+
+      // Other people's operations are reported as missing, their stamps are not shared
+      if (!previous || previous.operationType !== 'watermark' || !isOwnOperation(previous, req, sessionId)) {
+        reqLogger.warn('Watermark to re-apply not found', { fromOperationId });
+        return next(new ErrorResponse('Watermark operation not found', 404));
+      }
+      savedSettings = previous.options || {};
+    }
+
+    let settings;
+    try {
+      settings = validateWatermarkOptions({ ...savedSettings, ...options });
+    } catch (validationError) {
+      reqLogger.error('Invalid watermark options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+    if (settings.type === 'image' && !isValidFileId(settings.imageFileId)) {
+      reqLogger.error('Watermark request with an invalid imageFileId', { imageFileId: settings.imageFileId });
+      return next(new ErrorResponse('Invalid imageFileId', 400));
+    }
+
+    reqLogger.info('Watermark request received', {
+      fileId,
+      fromOperationId,
+      type: settings.type,
+      position: settings.position,
+      layer: settings.layer
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'watermark',
+        sourceFileId: fileId,
+        // Complete settings, so the same stamp can be applied again later
+        options: settings
+      }
+    });
+  } catch (error) {
+    console.error('Error starting watermark:', error);
+    next(new ErrorResponse('Error starting watermark', 500));
+  }
+};
+
+// Rebuild a PDF from a page plan
+// @route   POST /api/tools/organize
+// @access  Public
+exports.startOrganize = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/organize',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, plan } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Organize request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let normalizedPlan;
+    try {
+      normalizedPlan = validatePagePlan(plan);
+    } catch (validationError) {
+      reqLogger.error('Invalid page plan', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    const insertFileIds = [...new Set(normalizedPlan.filter(entry => entry.fileId).map(entry => entry.fileId))];
+    const invalidFileId = insertFileIds.find(insertFileId => !isValidFileId(insertFileId));
+    if (invalidFileId) {
+      reqLogger.error('Page plan with an invalid fileId', { fileId: invalidFileId });
+      return next(new ErrorResponse(`Invalid fileId in the page plan: ${invalidFileId}`, 400));
+    }
+
+    reqLogger.info('Organize request received', {
+      fileId,
+      planEntries: normalizedPlan.length,
+      insertFileCount: insertFileIds.length
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'organize',
+        sourceFileId: fileId,
+        options: {
+          plan: normalizedPlan,
+          insertFileIds
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting organize:', error);
+    next(new ErrorResponse('Error starting organize', 500));
+  }
+};
+
+// Stamp headers, footers and Bates numbers on one or more PDFs
+// @route   POST /api/tools/header-footer
+// @access  Public
+exports.startHeaderFooter = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/header-footer',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { files, options = {} } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      reqLogger.error('Header/footer request without files');
+      return next(new ErrorResponse('Please provide at least one file', 400));
+    }
+
+    let normalizedFiles;
+    let settings;
+    try {
+      // The pages to stamp are part of the settings; the name fills in {filename}
+      normalizedFiles = normalizeFileList(files).map((file, index) => ({
+        fileId: file.fileId,
+        name: files[index] && typeof files[index].name === 'string' ? files[index].name : undefined
+      }));
+      settings = validateHeaderFooterOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid header/footer request', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Header/footer request received', {
+      fileCount: normalizedFiles.length,
+      blockCount: settings.blocks.length,
+      bates: !!settings.bates
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'header_footer',
+        sourceFileId: normalizedFiles[0].fileId,
+        targetFormat: normalizedFiles.length > 1 ? 'zip' : 'pdf',
+        options: {
+          files: normalizedFiles,
+          settings
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting header/footer:', error);
+    next(new ErrorResponse('Error starting header/footer', 500));
+  }
+};
+
+// Read the metadata of an uploaded PDF
+// @route   GET /api/tools/metadata/:fileId
+// @access  Public
+exports.getMetadata = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/metadata',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId } = req.params;
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      reqLogger.error('Metadata request with an invalid fileId', { fileId });
+      return next(new ErrorResponse('Invalid fileId', 400));
+    }
+
+    const filepath = await pdfToolJobProcessor.findSourceFile(fileId, 'pdf');
+    if (!filepath) {
+      reqLogger.warn('Metadata request for a missing file', { fileId });
+      return next(new ErrorResponse('File not found', 404));
+    }
+
+    let metadata;
+    try {
+      metadata = await readMetadata(fs.readFileSync(filepath));
+    } catch (readError) {
+      reqLogger.error('PDF metadata could not be read', { fileId, error: readError.message });
+      return next(new ErrorResponse(readError.message, 400));
+    }
+
+    reqLogger.info('PDF metadata read', { fileId, version: metadata.version, pageCount: metadata.pageCount });
+
+    res.status(200).json({
+      success: true,
+      fileId,
+      ...metadata
+    });
+  } catch (error) {
+    console.error('Error reading metadata:', error);
+    next(new ErrorResponse('Error reading metadata', 500));
+  }
+};
+
+// Write or strip the metadata of a PDF
+// @route   POST /api/tools/metadata
+// @access  Public
+exports.startMetadata = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/metadata',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Metadata request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let settings;
+    try {
+      settings = validateMetadataOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid metadata options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Metadata request received', {
+      fileId,
+      preset: settings.preset,
+      fields: Object.keys(settings.fields),
+      xmp: settings.xmp
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'metadata',
+        sourceFileId: fileId,
+        options: settings
+      }
+    });
+  } catch (error) {
+    console.error('Error starting metadata edit:', error);
+    next(new ErrorResponse('Error starting metadata edit', 500));
+  }
+};
+
+// List the form fields of an uploaded PDF
+// @route   GET /api/tools/forms/:fileId
+// @access  Public
+exports.getFormFields = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/forms',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId } = req.params;
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      reqLogger.error('Form fields request with an invalid fileId', { fileId });
+      return next(new ErrorResponse('Invalid fileId', 400));
+    }
+
+    const filepath = await pdfToolJobProcessor.findSourceFile(fileId, 'pdf');
+    if (!filepath) {
+      reqLogger.warn('Form fields request for a missing file', { fileId });
+      return next(new ErrorResponse('File not found', 404));
+    }
+
+    let form;
+    try {
+      form = await listFormFields(fs.readFileSync(filepath));
+    } catch (readError) {
+      reqLogger.error('PDF form could not be read', { fileId, error: readError.message });
+      return next(new ErrorResponse(readError.message, 400));
+    }
+
+    reqLogger.info('PDF form fields listed', { fileId, fieldCount: form.fields.length, xfa: form.xfa });
+
+    res.status(200).json({
+      success: true,
+      fileId,
+      ...form
+    });
+  } catch (error) {
+    console.error('Error listing form fields:', error);
+    next(new ErrorResponse('Error listing form fields', 500));
+  }
+};
+
+// Fill the form fields of a PDF, or one copy per row of values
+// @route   POST /api/tools/forms/fill
+// @access  Public
+exports.startFormFill = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/forms/fill',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Form fill request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let settings;
+    try {
+      settings = validateFormFillOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid form fill options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Form fill request received', {
+      fileId,
+      rowCount: settings.rows.length,
+      batch: settings.batch,
+      flatten: settings.flatten
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'form_fill',
+        sourceFileId: fileId,
+        targetFormat: settings.batch ? 'zip' : 'pdf',
+        options: settings
+      }
+    });
+  } catch (error) {
+    console.error('Error starting form fill:', error);
+    next(new ErrorResponse('Error starting form fill', 500));
+  }
+};
+
+// Sign a PDF with an uploaded PKCS#12 certificate
+// @route   POST /api/tools/sign
+// @access  Public
+exports.startSign = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/sign',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, certificate, password = '', options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Sign request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+    if (!certificate || typeof certificate !== 'string' || typeof password !== 'string') {
+      reqLogger.error('Sign request without certificate', { fileId });
+      return next(new ErrorResponse('Please provide a PKCS#12 certificate (base64) and its password', 400));
+    }
+
+    const certificateBuffer = Buffer.from(certificate, 'base64');
+    if (certificateBuffer.length === 0 || certificateBuffer.length > MAX_CERTIFICATE_BYTES) {
+      reqLogger.error('Sign request with an invalid certificate size', { fileId, size: certificateBuffer.length });
+      return next(new ErrorResponse(`The certificate file must be between 1 byte and ${MAX_CERTIFICATE_BYTES / 1024} KB`, 400));
+    }
+
+    let settings;
+    try {
+      settings = validateSignatureOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid signature options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+    if (settings.appearance && settings.appearance.imageFileId && !isValidFileId(settings.appearance.imageFileId)) {
+      reqLogger.error('Sign request with an invalid imageFileId', { imageFileId: settings.appearance.imageFileId });
+      return next(new ErrorResponse('Invalid imageFileId', 400));
+    }
+
+    // A wrong password or an unusable certificate is reported now rather than by the job
+    let signer;
+    try {
+      ({ signer } = await loadCertificate(certificateBuffer, password));
+    } catch (certificateError) {
+      reqLogger.error('Certificate could not be loaded', { fileId, error: certificateError.message });
+      return next(new ErrorResponse(certificateError.message, 400));
+    }
+    const now = new Date();
+    if (now < new Date(signer.validFrom) || now > new Date(signer.validTo)) {
+      reqLogger.error('Certificate is not valid now', { fileId, validFrom: signer.validFrom, validTo: signer.validTo });
+      return next(new ErrorResponse(`The certificate is only valid from ${signer.validFrom} to ${signer.validTo}`, 400));
+    }
+
+    reqLogger.info('Sign request received', {
+      fileId,
+      signer: signer.subject,
+      serialNumber: signer.serialNumber,
+      visible: settings.visible
+    });
+
+    // The certificate and password go to the job only: neither the operation nor the logs may contain them
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'sign',
+        sourceFileId: fileId,
+        options: {
+          ...settings,
+          signer: { subject: signer.subject, serialNumber: signer.serialNumber }
+        }
+      },
+      secrets: { certificate, password }
+    });
+  } catch (error) {
+    console.error('Error starting signing:', error);
+    next(new ErrorResponse('Error starting signing', 500));
+  }
+};
+
+// List and verify the signatures of an uploaded PDF
+// @route   GET /api/tools/signatures/:fileId
+// @access  Public
+exports.getSignatures = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/signatures',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId } = req.params;
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      reqLogger.error('Signatures request with an invalid fileId', { fileId });
+      return next(new ErrorResponse('Invalid fileId', 400));
+    }
+
+    const filepath = await pdfToolJobProcessor.findSourceFile(fileId, 'pdf');
+    if (!filepath) {
+      reqLogger.warn('Signatures request for a missing file', { fileId });
+      return next(new ErrorResponse('File not found', 404));
+    }
+
+    let report;
+    try {
+      report = await inspectSignatures(fs.readFileSync(filepath));
+    } catch (readError) {
+      reqLogger.error('PDF signatures could not be read', { fileId, error: readError.message });
+      return next(new ErrorResponse(readError.message, 400));
+    }
+
+    reqLogger.info('PDF signatures inspected', {
+      fileId,
+      fieldCount: report.signatures.length,
+      signedCount: report.signedCount,
+      invalidCount: report.signatures.filter(signature => signature.integrity === 'invalid').length
+    });
+
+    res.status(200).json({
+      success: true,
+      fileId,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error inspecting signatures:', error);
+    next(new ErrorResponse('Error inspecting signatures', 500));
+  }
+};
+
+// Remove text, image content and annotations from an uploaded PDF
+// @route   POST /api/tools/redact
+// @access  Public
+exports.startRedact = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/redact',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Redact request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let settings;
+    try {
+      settings = validateRedactionOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid redaction options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    // The search terms are what the document must not reveal: the operation keeps
+    // their counts, the terms themselves travel with the queued job only
+    const { terms, regexes, ...rules } = settings;
+    const storedOptions = { ...rules, termCount: terms.length, regexCount: regexes.length };
+
+    reqLogger.info('Redact request received', {
+      fileId,
+      termCount: storedOptions.termCount,
+      regexCount: storedOptions.regexCount,
+      patterns: storedOptions.patterns,
+      areaCount: storedOptions.areas.length
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'redact',
+        sourceFileId: fileId,
+        options: storedOptions
+      },
+      secrets: { terms, regexes }
+    });
+  } catch (error) {
+    console.error('Error starting redaction:', error);
+    next(new ErrorResponse('Error starting redaction', 500));
+  }
+};
+
+// Compare two versions of a PDF
+// @route   POST /api/tools/compare
+// @access  Public
+exports.startCompare = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/compare',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, revisedFileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId) || !isValidFileId(revisedFileId)) {
+      reqLogger.error('Compare request needs two files', { fileId, revisedFileId });
+      return next(new ErrorResponse('Please provide the fileId of the original and the revisedFileId of the revised PDF', 400));
+    }
+
+    let settings;
+    try {
+      settings = validateCompareOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid compare options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Compare request received', { fileId, revisedFileId, mode: settings.mode });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'compare',
+        sourceFileId: fileId,
+        targetFormat: 'zip',
+        options: { ...settings, revisedFileId }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting comparison:', error);
+    next(new ErrorResponse('Error starting comparison', 500));
+  }
+};
+
+// Extract the embedded images and file attachments of an uploaded PDF
+// @route   POST /api/tools/extract
+// @access  Public
+exports.startExtract = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/extract',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Extract request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let settings;
+    try {
+      settings = validateExtractionOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid extraction options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Extract request received', { fileId, ...settings });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'extract',
+        sourceFileId: fileId,
+        targetFormat: 'zip',
+        options: settings
+      }
+    });
+  } catch (error) {
+    console.error('Error starting extraction:', error);
+    next(new ErrorResponse('Error starting extraction', 500));
+  }
+};
+
+// Read the outline of an uploaded PDF as a tree of bookmarks
+// @route   GET /api/tools/outline/:fileId
+// @access  Public
+exports.getOutline = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/outline',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId } = req.params;
+
+    if (!FILE_ID_PATTERN.test(fileId)) {
+      reqLogger.error('Outline request with an invalid fileId', { fileId });
+      return next(new ErrorResponse('Invalid fileId', 400));
+    }
+
+    const filepath = await pdfToolJobProcessor.findSourceFile(fileId, 'pdf');
+    if (!filepath) {
+      reqLogger.warn('Outline request for a missing file', { fileId });
+      return next(new ErrorResponse('File not found', 404));
+    }
+
+    let outline;
+    try {
+      outline = await readBookmarks(fs.readFileSync(filepath));
+    } catch (readError) {
+      reqLogger.error('PDF outline could not be read', { fileId, error: readError.message });
+      return next(new ErrorResponse(readError.message, 400));
+    }
+
+    reqLogger.info('PDF outline read', { fileId, bookmarkCount: outline.bookmarkCount });
+
+    res.status(200).json({
+      success: true,
+      fileId,
+      ...outline
+    });
+  } catch (error) {
+    console.error('Error reading outline:', error);
+    next(new ErrorResponse('Error reading outline', 500));
+  }
+};
+
+// Replace the bookmarks of an uploaded PDF, or build them from its headings
+// @route   POST /api/tools/outline
+// @access  Public
+exports.startOutline = async (req, res, next) => {
+  try {
+    const correlationId = req.correlationId || uuidv4();
+    const sessionId = req.sessionId || req.headers['x-session-id'] || 'unknown';
+
+    const reqLogger = logger.child({
+      correlationId,
+      sessionId,
+      endpoint: '/api/tools/outline',
+      userId: req.user ? req.user._id : 'guest'
+    });
+
+    const { fileId, options = {} } = req.body;
+
+    if (!isValidFileId(fileId)) {
+      reqLogger.error('Outline request without a valid fileId', { fileId });
+      return next(new ErrorResponse('Please provide a valid fileId', 400));
+    }
+
+    let settings;
+    try {
+      settings = validateOutlineOptions(options);
+    } catch (validationError) {
+      reqLogger.error('Invalid outline options', { error: validationError.message });
+      return next(new ErrorResponse(validationError.message, 400));
+    }
+
+    reqLogger.info('Outline request received', {
+      fileId,
+      mode: settings.mode,
+      maxLevels: settings.maxLevels,
+      insertToc: settings.insertToc
+    });
+
+    await queueToolOperation(req, res, reqLogger, {
+      correlationId,
+      sessionId,
+      operation: {
+        operationType: 'outline',
+        sourceFileId: fileId,
+        targetFormat: 'pdf',
+        options: settings
+      }
+    });
+  } catch (error) {
+    console.error('Error starting outline update:', error);
+    next(new ErrorResponse('Error starting outline update', 500));
+  }
+};
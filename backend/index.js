@@ -683,6 +683,8 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
+// Signing takes a PKCS#12 file of up to 64 KB as base64 in the JSON body
+app.use('/api/tools/sign', express.json({ limit: '256kb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -725,6 +727,7 @@ const uploadLimiter = rateLimit({
 app.use('/api/files/upload', uploadLimiter);
 app.use('/api/convert', apiLimiter);
 app.use('/api/operations', apiLimiter);
+app.use('/api/tools', apiLimiter);
 
 // Static files for uploads preview
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -750,6 +753,9 @@ app.use('/api/files', require('./routes/fileRoutes'));
 // The routes are already defined with their own prefixes, so we mount them at /api
 app.use('/api', require('./routes/conversionRoutes'));
 
+// PDF tools (merge, ...) run through the same queue and operation endpoints
+app.use('/api/tools', require('./routes/toolRoutes'));
+
 // Register diagnostic routes - IMPORTANT for troubleshooting
 app.use('/api/diagnostic', require('./routes/diagnosticRoutes'));
 
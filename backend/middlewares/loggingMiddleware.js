@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { redactSensitiveFields } = require('../utils/redact');
 
 /**
  * Main logging middleware
@@ -58,8 +59,9 @@ const loggingMiddleware = (req, res, next) => {
       };
     }
     
-    // For conversion operations, add specialized logging
-    if (req.originalUrl.includes('/convert') || req.originalUrl.includes('/operations')) {
+    // For conversion and tool operations, add specialized logging
+    if (req.originalUrl.includes('/convert') || req.originalUrl.includes('/operations') ||
+        req.originalUrl.includes('/tools')) {
       const originalLogger = req.logger;
       
       req.logger = {
@@ -72,10 +74,11 @@ const loggingMiddleware = (req, res, next) => {
         }
       };
       
-      // Initialize conversion logging if this is a new conversion request
-      if (req.method === 'POST' && req.originalUrl.includes('/convert')) {
+      // Initialize conversion logging if this is a new conversion or tool request;
+      // passwords and other secrets in the body are never logged
+      if (req.method === 'POST' && (req.originalUrl.includes('/convert') || req.originalUrl.includes('/tools'))) {
         req.logger.conversion('Starting conversion', {
-          body: req.body,
+          body: redactSensitiveFields(req.body),
           url: req.originalUrl
         });
       }
@@ -14,7 +14,7 @@ const operationSchema = new mongoose.Schema({
   operationType: {
     type: String,
     required: true,
-    enum: ['conversion', 'compression', 'ocr', 'protection', 'merge', 'split', 'file_upload']
+    enum: ['conversion', 'compression', 'ocr', 'protection', 'unlock', 'merge', 'split', 'images_to_pdf', 'watermark', 'organize', 'header_footer', 'metadata', 'form_fill', 'sign', 'redact', 'compare', 'extract', 'outline', 'file_upload']
   },
   sourceFormat: {
     type: String,
@@ -71,7 +71,68 @@ const operationSchema = new mongoose.Schema({
     originalSize: Number,
     resultSize: Number,
     compressionRatio: Number,
-    compressionLevel: String
+    compressionLevel: String,
+    // Image settings the result was produced with
+    imageDpi: Number,
+    imageQuality: Number,
+    // Target size mode ("make it fit under N bytes")
+    targetSizeBytes: Number,
+    targetMet: Boolean,
+    attempts: Number
+  },
+  // Outcome of OCR operations
+  ocrStats: {
+    language: String,
+    recognizedPages: [Number],
+    // Pages that already had a text layer
+    skippedPages: [Number],
+    wordCount: Number,
+    confidence: Number
+  },
+  // Outcome of redaction operations: what was removed, page by page
+  redactionStats: {
+    pages: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    totals: mongoose.Schema.Types.Mixed,
+    // Pages with glyphs that could not be mapped to text and so could not be searched
+    unmappedPages: {
+      type: [Number],
+      default: undefined
+    },
+    // Matches outside the pages: Info values, XMP packets, bookmark titles, and the attachments removed
+    document: mongoose.Schema.Types.Mixed
+  },
+  // Outcome of compare operations: the report summary and changes per page
+  comparisonStats: {
+    mode: String,
+    originalPageCount: Number,
+    revisedPageCount: Number,
+    summary: mongoose.Schema.Types.Mixed,
+    pages: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    }
+  },
+  // Outcome of extract operations: what the ZIP holds and what could not be extracted
+  extractionStats: {
+    images: Number,
+    attachments: Number,
+    skippedImages: Number,
+    skippedAttachments: Number
+  },
+  // Outcome of outline operations: the bookmarks written and table of contents pages added
+  outlineStats: {
+    mode: String,
+    bookmarks: Number,
+    levels: Number,
+    tocPages: Number
+  },
+  // Parts of a multi-part result (split PDF, ...) in archive order
+  resultManifest: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
   },
   // Source file Cloudinary data
   sourceCloudinaryData: {
@@ -29,7 +29,7 @@ const diskStorage = multer.diskStorage({
     // Generate a unique filename with original extension
     const { v4: uuidv4 } = require('uuid');
     const uniqueId = uuidv4();
-    const extension = path.extname(file.originalname) || '.pdf';
+    const extension = path.extname(file.originalname).toLowerCase() || '.pdf';
     const filename = `${uniqueId}${extension}`;
     
     cb(null, filename);
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { getSessionUser } = require('../middlewares/auth');
+const toolController = require('../controllers/toolController');
+
+// Apply session user middleware to all routes
+router.use(getSessionUser);
+
+// Merge several uploaded PDFs into one
+router.post('/merge', toolController.startMerge);
+
+// Split an uploaded PDF into a ZIP of parts
+router.post('/split', toolController.startSplit);
+
+// Encrypt an uploaded PDF with passwords and permissions
+router.post('/protect', toolController.startProtect);
+
+// Decrypt an uploaded PDF with its password
+router.post('/unlock', toolController.startUnlock);
+
+// Make a scanned PDF searchable
+router.post('/ocr', toolController.startOcr);
+
+// Assemble uploaded images into one PDF
+router.post('/images-to-pdf', toolController.startImagesToPdf);
+
+// Stamp text or an image on an uploaded PDF
+router.post('/watermark', toolController.startWatermark);
+
+// Reorder, rotate, delete, duplicate and insert pages of an uploaded PDF
+router.post('/organize', toolController.startOrganize);
+
+// Add headers, footers, page numbers or Bates numbers to uploaded PDFs
+router.post('/header-footer', toolController.startHeaderFooter);
+
+// Read the metadata of an uploaded PDF
+router.get('/metadata/:fileId', toolController.getMetadata);
+
+// Write or strip the metadata of an uploaded PDF
+router.post('/metadata', toolController.startMetadata);
+
+// List the form fields of an uploaded PDF
+router.get('/forms/:fileId', toolController.getFormFields);
+
+// Fill the form fields of an uploaded PDF, once or once per row
+router.post('/forms/fill', toolController.startFormFill);
+
+// Sign an uploaded PDF with a PKCS#12 certificate
+router.post('/sign', toolController.startSign);
+
+// List and verify the signatures of an uploaded PDF
+router.get('/signatures/:fileId', toolController.getSignatures);
+
+// Redact text, images and annotations of an uploaded PDF
+router.post('/redact', toolController.startRedact);
+
+// Compare two uploaded versions of a PDF
+router.post('/compare', toolController.startCompare);
+
+// Extract the embedded images and file attachments of an uploaded PDF
+router.post('/extract', toolController.startExtract);
+
+// Read the bookmarks of an uploaded PDF as a tree
+router.get('/outline/:fileId', toolController.getOutline);
+
+// Replace the bookmarks of an uploaded PDF, or build them from its headings
+router.post('/outline', toolController.startOutline);
+
+module.exports = router;
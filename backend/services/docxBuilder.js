@@ -0,0 +1,655 @@
+/**
+ * Word document writer for PDFSpark
+ *
+ * Rebuilds a PDF as an editable Word document from its positioned text and
+ * images. Every PDF page becomes a section of its own size, so pages keep
+ * their breaks and orientation. Within a page:
+ *  - paragraphs, headings and list items come from webExport and keep the
+ *    font, size, bold and italic of every run, plus their indent and alignment
+ *  - tables detected by tableExtractor become Word tables
+ *  - pages set in columns get continuous sections with Word columns
+ *  - images are embedded where they were printed
+ * Lines repeated in the top or bottom margin of most pages are running
+ * heads; they move into the Word header and footer, with printed page numbers
+ * replaced by page number fields.
+ */
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ImageRun,
+  ColumnBreak,
+  Tab,
+  Table,
+  TableRow,
+  TableCell,
+  Header,
+  Footer,
+  PageNumber,
+  HeadingLevel,
+  AlignmentType,
+  TabStopType,
+  SectionType,
+  PageOrientation,
+  WidthType
+} = require('docx');
+const { groupIntoLines, splitLineIntoSegments, detectTables } = require('./tableExtractor');
+const { findColumnGutters } = require('./textLayout');
+const { mapPdfFontToFamily } = require('./pdfjsService');
+const { findBodyFontSize, toLine, buildTextBlocks, buildTableBlock } = require('./webExport');
+
+const TWIPS_PER_POINT = 20;
+const PX_PER_POINT = 96 / 72;
+
+// Share of the page height at the top and bottom searched for running heads
+const RUNNING_BAND_RATIO = 0.1;
+// Share of the pages a line has to repeat on to count as a running head
+const RUNNING_PAGE_RATIO = 0.5;
+// Page margins are taken from the text but kept within these bounds (points)
+const MIN_MARGIN = 18;
+const MAX_MARGIN = 144;
+// Largest space (points) kept between paragraphs
+const MAX_PARAGRAPH_SPACING = 36;
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4
+];
+
+const toTwips = (points) => Math.round(points * TWIPS_PER_POINT);
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Word run properties for a text item
+ */
+const runStyle = (item, preserveFormatting) => (preserveFormatting
+  ? {
+    size: Math.round(item.fontSize * 2),
+    bold: item.bold,
+    italics: item.italic,
+    font: mapPdfFontToFamily(item.fontName) || undefined
+  }
+  : {});
+
+const sameStyle = (a, b) =>
+  a.size === b.size && a.bold === b.bold && a.italics === b.italics && a.font === b.font;
+
+/**
+ * Build the runs of a paragraph, joining items with identical styling
+ *
+ * Wrapped lines are joined with a space, mending words hyphenated at the
+ * line end.
+ * @param {Array<Object>} lines - Lines with their text items
+ * @param {Boolean} preserveFormatting - Keep fonts, sizes and emphasis
+ * @returns {Array<Object>} - [{ text, size, bold, italics, font }]
+ */
+const buildRuns = (lines, preserveFormatting) => {
+  const runs = [];
+
+  const append = (text, style) => {
+    const last = runs[runs.length - 1];
+    if (last && sameStyle(last, style)) {
+      last.text += text;
+    } else {
+      runs.push({ ...style, text });
+    }
+  };
+
+  lines.forEach((line, lineIndex) => {
+    const items = line.items.filter(item => item.str.length > 0);
+    items.forEach((item, index) => {
+      let text = item.str;
+      const last = runs[runs.length - 1];
+
+      if (index === 0 && lineIndex > 0 && last) {
+        if (/\p{L}-$/u.test(last.text) && /^\p{Ll}/u.test(text)) {
+          last.text = last.text.slice(0, -1);
+        } else if (!/\s$/.test(last.text)) {
+          text = ` ${text}`;
+        }
+      } else if (index > 0) {
+        const previous = items[index - 1];
+        const gap = item.x - (previous.x + previous.width);
+        if (gap > item.fontSize * 0.15 && !/\s$/.test(previous.str) && !/^\s/.test(text)) {
+          text = ` ${text}`;
+        }
+      }
+
+      append(index === 0 && lineIndex === 0 ? text.replace(/^\s+/, '') : text, runStyle(item, preserveFormatting));
+    });
+  });
+
+  if (runs.length > 0) {
+    runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+  }
+  return runs.filter(run => run.text.length > 0);
+};
+
+/**
+ * Work out how a paragraph sits between the edges of its column
+ * @param {Array<Object>} lines - Lines of the paragraph
+ * @param {Object} frame - { left, right } edges of the text in points
+ * @returns {Object} - Word paragraph properties (alignment, indent)
+ */
+const placeParagraph = (lines, frame) => {
+  const width = frame.right - frame.left;
+  const first = lines[0];
+  const fontSize = first.fontSize || 10;
+  const offset = Math.min(...lines.map(line => line.x0)) - frame.left;
+  const centre = frame.left + width / 2;
+
+  if (offset > fontSize * 2) {
+    if (lines.every(line => Math.abs((line.x0 + line.x1) / 2 - centre) < width * 0.03)) {
+      return { alignment: AlignmentType.CENTER };
+    }
+    if (lines.every(line => frame.right - line.x1 < fontSize)) {
+      return { alignment: AlignmentType.RIGHT };
+    }
+  }
+
+  const properties = {};
+  // Every line but the last reaching the right edge is justified text
+  if (lines.length > 2 && lines.slice(0, -1).every(line => frame.right - line.x1 < fontSize * 0.5)) {
+    properties.alignment = AlignmentType.JUSTIFIED;
+  }
+
+  const indent = {};
+  const rest = lines.length > 1 ? Math.min(...lines.slice(1).map(line => line.x0)) : first.x0;
+  const left = rest - frame.left;
+  if (left > 2) indent.left = toTwips(left);
+  if (first.x0 - rest > 2) indent.firstLine = toTwips(first.x0 - rest);
+  if (rest - first.x0 > 2) indent.hanging = toTwips(rest - first.x0);
+  if (Object.keys(indent).length > 0) properties.indent = indent;
+
+  return properties;
+};
+
+/**
+ * Create a Word paragraph for a block from webExport.buildTextBlocks
+ * @param {Array<Object>} leading - Runs such as a column break put before the text
+ */
+const buildParagraph = (block, frame, spacingBefore, options, leading = []) => {
+  const runs = buildRuns(block.lines, options.preserveFormatting);
+  const properties = {
+    children: [...leading, ...runs.map(run => new TextRun(run))],
+    ...(options.preserveFormatting ? placeParagraph(block.lines, frame) : {})
+  };
+
+  if (block.type === 'heading') {
+    properties.heading = HEADING_LEVELS[block.level - 1] || HeadingLevel.HEADING_4;
+  }
+  if (options.preserveFormatting) {
+    properties.spacing = { before: toTwips(spacingBefore), after: 0 };
+  }
+
+  return new Paragraph(properties);
+};
+
+/**
+ * Create a Word table for a table detected by tableExtractor
+ *
+ * Columns keep the widths they had on the page; the first row repeats on
+ * every page when all of its cells are bold.
+ */
+const buildTable = (table, options) => {
+  const { columns } = table;
+  const widths = columns.map((column, index) => {
+    const left = index === 0 ? column.x0 : (columns[index - 1].x1 + column.x0) / 2;
+    const right = index === columns.length - 1 ? column.x1 : (column.x1 + columns[index + 1].x0) / 2;
+    return Math.max(toTwips(right - left), 360);
+  });
+  const block = buildTableBlock(table);
+
+  const rows = block.rows.map((cells, rowIndex) => new TableRow({
+    tableHeader: block.hasHeader && rowIndex === 0,
+    children: cells.map(cell => new TableCell({
+      columnSpan: cell.colSpan > 1 ? cell.colSpan : undefined,
+      children: [new Paragraph({
+        children: cell.text ? [new TextRun({ text: cell.text, bold: options.preserveFormatting && cell.bold })] : []
+      })]
+    }))
+  }));
+
+  return new Table({
+    rows,
+    columnWidths: widths,
+    width: { size: widths.reduce((sum, width) => sum + width, 0), type: WidthType.DXA }
+  });
+};
+
+/**
+ * Create a paragraph holding an image at its printed size
+ */
+const buildImageParagraph = (image, frame, spacingBefore, options, leading = []) => {
+  // Images never grow past the text area
+  const scale = Math.min(1, (frame.right - frame.left) / Math.max(image.width, 1));
+  const properties = {
+    children: [...leading, new ImageRun({
+      type: 'png',
+      data: image.png,
+      transformation: {
+        width: Math.max(1, Math.round(image.width * scale * PX_PER_POINT)),
+        height: Math.max(1, Math.round(image.height * scale * PX_PER_POINT))
+      }
+    })]
+  };
+
+  if (options.preserveFormatting) {
+    const offset = image.x - frame.left;
+    const centre = image.x + image.width / 2;
+    if (offset > 2 && Math.abs(centre - (frame.left + frame.right) / 2) < (frame.right - frame.left) * 0.03) {
+      properties.alignment = AlignmentType.CENTER;
+    } else if (offset > 2 && scale === 1) {
+      properties.indent = { left: toTwips(offset) };
+    }
+    properties.spacing = { before: toTwips(spacingBefore), after: 0 };
+  }
+
+  return new Paragraph(properties);
+};
+
+/**
+ * Find lines repeated in the top or bottom margin of most pages
+ *
+ * Lines are compared with their digits masked, so "Page 3 of 12" on one
+ * page matches "Page 4 of 12" on the next. A number that follows the page
+ * number on every page is reported as a page field, one equal to the
+ * document length as a total pages field.
+ * @param {Array<Object>} pages - Pages from extractDocumentLayout
+ * @param {Object} options - { pageOffset, totalPages } for chunks of a document
+ * @returns {Object} - { header, footer, items, pageNumberStart }
+ */
+const findRunningLines = (pages, options = {}) => {
+  const pageOffset = options.pageOffset || 0;
+  const totalPages = options.totalPages || pages.length + pageOffset;
+  const result = { header: [], footer: [], items: new Set(), pageNumberStart: null };
+  if (pages.length < 2) return result;
+
+  const candidates = new Map();
+  pages.forEach(page => {
+    groupIntoLines(page.items).forEach(line => {
+      const zone = line.baseline <= page.height * RUNNING_BAND_RATIO
+        ? 'header'
+        : line.y >= page.height * (1 - RUNNING_BAND_RATIO) ? 'footer' : null;
+      if (!zone) return;
+
+      const text = line.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim();
+      const key = `${zone}:${text.replace(/\d+/g, '#')}`;
+      if (!candidates.has(key)) candidates.set(key, { zone, occurrences: [] });
+      const candidate = candidates.get(key);
+      // A line repeated within one page is not a running head
+      if (!candidate.occurrences.some(occurrence => occurrence.page === page)) {
+        candidate.occurrences.push({ page, line, numbers: (text.match(/\d+/g) || []).map(Number) });
+      }
+    });
+  });
+
+  const minPages = Math.max(2, Math.ceil(pages.length * RUNNING_PAGE_RATIO));
+  candidates.forEach(({ zone, occurrences }) => {
+    if (occurrences.length < minPages) return;
+
+    const first = occurrences[0];
+    const fields = first.numbers.map((value, index) => {
+      const deltas = occurrences.map(o => o.numbers[index] - (o.page.pageNumber + pageOffset));
+      if (deltas.every(delta => delta === deltas[0])) {
+        // Printed numbers that start elsewhere carry over to the section
+        if (deltas[0] !== -pageOffset) result.pageNumberStart = 1 + pageOffset + deltas[0];
+        return PageNumber.CURRENT;
+      }
+      // A Word field only counts the pages of this document, not of a whole split into chunks
+      const isTotal = totalPages === pages.length && occurrences.every(o => o.numbers[index] === totalPages);
+      return isTotal ? PageNumber.TOTAL_PAGES : null;
+    });
+
+    occurrences.forEach(({ line }) => line.items.forEach(item => result.items.add(item)));
+    result[zone].push({
+      y: first.line.y,
+      baseline: first.line.baseline,
+      pageWidth: first.page.width,
+      segments: splitLineIntoSegments(first.line),
+      fields
+    });
+  });
+
+  result.header.sort((a, b) => a.y - b.y);
+  result.footer.sort((a, b) => a.y - b.y);
+  return result;
+};
+
+/**
+ * Create the paragraphs of a Word header or footer
+ * @param {Array<Object>} lines - Running lines from findRunningLines
+ * @param {Object} margins - Page margins in points
+ * @param {Object} options - { preserveFormatting }
+ * @returns {Array<Paragraph>}
+ */
+const buildRunningParagraphs = (lines, margins, options) => lines.map(line => {
+  const contentRight = line.pageWidth - margins.right;
+  const centre = (margins.left + contentRight) / 2;
+  const isCentred = (segment) => Math.abs((segment.x0 + segment.x1) / 2 - centre) < line.pageWidth * 0.03;
+  const isRight = (segment) => contentRight - segment.x1 < 12;
+
+  let numberIndex = 0;
+  const children = [];
+  line.segments.forEach((segment, segmentIndex) => {
+    const style = runStyle(segment.items[0], options.preserveFormatting);
+    if (segmentIndex > 0) children.push(new TextRun({ ...style, children: [new Tab()] }));
+    segment.text.split(/(\d+)/).forEach((part, partIndex) => {
+      const field = partIndex % 2 === 1 ? line.fields[numberIndex++] : null;
+      if (field) {
+        children.push(new TextRun({ ...style, children: [field] }));
+      } else if (part) {
+        children.push(new TextRun({ ...style, text: part }));
+      }
+    });
+  });
+
+  const properties = { children };
+  if (line.segments.length === 1) {
+    if (isCentred(line.segments[0])) properties.alignment = AlignmentType.CENTER;
+    else if (isRight(line.segments[0])) properties.alignment = AlignmentType.RIGHT;
+  } else {
+    // Further segments sit on tab stops where they were printed
+    properties.tabStops = line.segments.slice(1).map(segment => {
+      if (isRight(segment)) return { type: TabStopType.RIGHT, position: toTwips(segment.x1 - margins.left) };
+      if (isCentred(segment)) return { type: TabStopType.CENTER, position: toTwips(centre - margins.left) };
+      return { type: TabStopType.LEFT, position: toTwips(segment.x0 - margins.left) };
+    });
+  }
+  return new Paragraph(properties);
+});
+
+/**
+ * Convert lines of the layout into line records with their items
+ */
+const toLineRecord = (items) => toLine({
+  text: items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim(),
+  line: { items, baseline: Math.max(...items.map(item => item.baseline)) }
+});
+
+/**
+ * Split a page into regions of one or more columns, each holding its text
+ * lines, tables and images in reading order
+ * @param {Object} page - Page without its running heads
+ * @returns {Array<Object>} - [{ columns: [[entry]], space, frames }]
+ */
+const buildPageRegions = (page) => {
+  const lines = groupIntoLines(page.items);
+  const lineSegments = lines.map(splitLineIntoSegments);
+  const gutters = findColumnGutters(lineSegments, page.width);
+  const images = page.images || [];
+
+  if (gutters.length === 0) {
+    const entries = detectTables(page).map(block => (block.type === 'table'
+      ? { top: block.top, bottom: block.bottom, table: block }
+      : { top: block.line.y, bottom: block.line.baseline, line: toLine(block) }));
+    images.forEach(image => entries.push({ top: image.y, bottom: image.y + image.height, image }));
+    // Stable sort keeps the reading order of lines sharing a top edge
+    entries.sort((a, b) => a.top - b.top);
+    return [{ columns: [entries] }];
+  }
+
+  const columnOf = (x0, x1) => {
+    if (gutters.some(gutter => x0 < gutter.end && x1 > gutter.start)) return -1;
+    const index = gutters.findIndex(gutter => (x0 + x1) / 2 < gutter.start);
+    return index === -1 ? gutters.length : index;
+  };
+
+  // Lines reaching into a gutter (titles, full-width paragraphs) end a run of columns
+  const regions = [];
+  lineSegments.forEach((segments, index) => {
+    if (segments.length === 0) return;
+    const line = lines[index];
+    const columnIndexes = segments.map(segment => columnOf(segment.x0, segment.x1));
+    const fullWidth = columnIndexes.includes(-1);
+    let region = regions[regions.length - 1];
+    if (!region || region.fullWidth !== fullWidth) {
+      region = { fullWidth, top: line.y, columns: fullWidth ? [[]] : gutters.map(() => []).concat([[]]) };
+      regions.push(region);
+    }
+    region.bottom = line.baseline;
+
+    if (fullWidth) {
+      region.columns[0].push({ top: line.y, bottom: line.baseline, line: toLineRecord(line.items) });
+      return;
+    }
+    const byColumn = new Map();
+    segments.forEach((segment, segmentIndex) => {
+      const column = columnIndexes[segmentIndex];
+      if (!byColumn.has(column)) byColumn.set(column, []);
+      byColumn.get(column).push(...segment.items);
+    });
+    byColumn.forEach((items, column) => {
+      region.columns[column].push({ top: line.y, bottom: line.baseline, line: toLineRecord(items) });
+    });
+  });
+
+  images.forEach(image => {
+    const column = columnOf(image.x, image.x + image.width);
+    const entry = { top: image.y, bottom: image.y + image.height, image };
+    const region = [...regions].reverse().find(r => r.top <= image.y && (column === -1) === r.fullWidth) ||
+      regions.find(r => (column === -1) === r.fullWidth);
+    if (region) {
+      region.columns[region.fullWidth ? 0 : column].push(entry);
+      region.columns.forEach(entries => entries.sort((a, b) => a.top - b.top));
+    } else {
+      regions.push({ fullWidth: true, top: image.y, bottom: entry.bottom, columns: [[entry]] });
+    }
+  });
+
+  regions.sort((a, b) => a.top - b.top);
+  return regions.map(region => (region.fullWidth
+    ? { columns: region.columns }
+    : {
+      columns: region.columns,
+      // Word columns share one gutter width
+      space: gutters.reduce((sum, gutter) => sum + gutter.end - gutter.start, 0) / gutters.length,
+      frames: region.columns.map((_, index) => ({
+        left: index === 0 ? null : gutters[index - 1].end,
+        right: index === gutters.length ? null : gutters[index].start
+      }))
+    }));
+};
+
+/**
+ * Turn the entries of one column into Word paragraphs and tables
+ * @param {Boolean} columnBreak - Start the content in the next Word column
+ */
+const buildColumnContent = (entries, frame, bodyFontSize, options, stats, columnBreak) => {
+  const children = [];
+  let previousBottom = null;
+  let run = [];
+  let leading = columnBreak ? [new ColumnBreak()] : [];
+  const takeLeading = () => {
+    const runs = leading;
+    leading = [];
+    return runs;
+  };
+
+  const spacingFor = (top) => (previousBottom === null
+    ? 0
+    : clamp(top - previousBottom - bodyFontSize * 0.5, 0, MAX_PARAGRAPH_SPACING));
+
+  const flushRun = () => {
+    if (run.length === 0) return;
+    buildTextBlocks(run.map(entry => entry.line), bodyFontSize).forEach(block => {
+      const top = block.lines[0].baseline - block.lines[0].fontSize;
+      children.push(buildParagraph(block, frame, spacingFor(top), options, takeLeading()));
+      previousBottom = block.lines[block.lines.length - 1].baseline;
+    });
+    run = [];
+  };
+
+  entries.forEach(entry => {
+    if (entry.line) {
+      run.push(entry);
+      return;
+    }
+    flushRun();
+    if (entry.table) {
+      stats.tableCount++;
+      if (leading.length > 0) children.push(new Paragraph({ children: takeLeading() }));
+      children.push(buildTable(entry.table, options));
+    } else if (options.extractImages) {
+      stats.imageCount++;
+      children.push(buildImageParagraph(entry.image, frame, spacingFor(entry.top), options, takeLeading()));
+    }
+    previousBottom = entry.bottom;
+  });
+  flushRun();
+  if (leading.length > 0) children.push(new Paragraph({ children: takeLeading() }));
+
+  return children;
+};
+
+/**
+ * Page margins from the extent of the body text on every page
+ */
+const findMargins = (pages, running) => {
+  const edges = { left: [], right: [], top: [], bottom: [] };
+  pages.forEach(page => {
+    const items = page.items.filter(item => item.str.trim());
+    const boxes = items
+      .map(item => ({ x0: item.x, x1: item.x + item.width, y0: item.y, y1: item.baseline }))
+      .concat((page.images || []).map(image => ({
+        x0: image.x, x1: image.x + image.width, y0: image.y, y1: image.y + image.height
+      })));
+    if (boxes.length === 0) return;
+    edges.left.push(Math.min(...boxes.map(box => box.x0)));
+    edges.right.push(page.width - Math.max(...boxes.map(box => box.x1)));
+    edges.top.push(Math.min(...boxes.map(box => box.y0)));
+    edges.bottom.push(page.height - Math.max(...boxes.map(box => box.y1)));
+  });
+
+  const margin = (values) => clamp(values.length > 0 ? Math.min(...values) : 72, MIN_MARGIN, MAX_MARGIN);
+  const margins = {
+    left: margin(edges.left),
+    right: margin(edges.right),
+    top: margin(edges.top),
+    bottom: margin(edges.bottom)
+  };
+
+  // Running heads sit between the page edge and the body text
+  const page = pages[0];
+  margins.header = running.header.length > 0 ? clamp(running.header[0].y, 9, margins.top) : Math.min(36, margins.top);
+  margins.footer = running.footer.length > 0
+    ? clamp(page.height - running.footer[running.footer.length - 1].baseline, 9, margins.bottom)
+    : Math.min(36, margins.bottom);
+  return margins;
+};
+
+/**
+ * Write a Word document for the pages of a PDF
+ * @param {Array<Object>} pages - Pages from extractDocumentLayout
+ * @param {Object} options - { preserveFormatting, extractImages, title,
+ *   pageOffset, totalPages }
+ * @returns {Promise<Object>} - { buffer, tableCount, imageCount, sectionCount,
+ *   hasHeader, hasFooter }
+ */
+const buildWordDocument = async (pages, options = {}) => {
+  const settings = {
+    preserveFormatting: options.preserveFormatting !== false,
+    extractImages: options.extractImages !== false
+  };
+  const running = findRunningLines(pages, options);
+  const bodyPages = pages.map(page => ({
+    ...page,
+    items: page.items.filter(item => !running.items.has(item)),
+    images: settings.extractImages ? page.images || [] : []
+  }));
+
+  const bodyFontSize = findBodyFontSize(bodyPages);
+  const margins = findMargins(bodyPages, running);
+  const stats = { tableCount: 0, imageCount: 0 };
+  const sections = [];
+
+  bodyPages.forEach(page => {
+    const frame = { left: margins.left, right: page.width - margins.right };
+    const landscape = page.width > page.height;
+
+    buildPageRegions(page).forEach((region, regionIndex) => {
+      const children = [];
+      region.columns.forEach((entries, columnIndex) => {
+        const columnFrame = region.frames
+          ? {
+            left: region.frames[columnIndex].left ?? frame.left,
+            right: region.frames[columnIndex].right ?? frame.right
+          }
+          : frame;
+        // Every column after the first starts in a Word column of its own
+        children.push(...buildColumnContent(entries, columnFrame, bodyFontSize, settings, stats, columnIndex > 0));
+      });
+      if (children.length === 0) children.push(new Paragraph({}));
+
+      const properties = {
+        type: regionIndex === 0 ? SectionType.NEXT_PAGE : SectionType.CONTINUOUS,
+        page: {
+          // Word expects portrait dimensions and turns them for landscape
+          size: {
+            width: toTwips(Math.min(page.width, page.height)),
+            height: toTwips(Math.max(page.width, page.height)),
+            orientation: landscape ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT
+          },
+          margin: {
+            top: toTwips(margins.top),
+            right: toTwips(margins.right),
+            bottom: toTwips(margins.bottom),
+            left: toTwips(margins.left),
+            header: toTwips(margins.header),
+            footer: toTwips(margins.footer)
+          }
+        }
+      };
+      if (region.columns.length > 1) {
+        properties.column = { count: region.columns.length, space: toTwips(region.space), equalWidth: true };
+      }
+      sections.push({ properties, children });
+    });
+  });
+
+  if (sections.length === 0) {
+    sections.push({ properties: {}, children: [new Paragraph({})] });
+  }
+
+  // Later sections inherit the header and footer of the first one
+  const first = sections[0];
+  if (running.header.length > 0) {
+    first.headers = { default: new Header({ children: buildRunningParagraphs(running.header, margins, settings) }) };
+  }
+  if (running.footer.length > 0) {
+    first.footers = { default: new Footer({ children: buildRunningParagraphs(running.footer, margins, settings) }) };
+  }
+  if (running.pageNumberStart) {
+    first.properties.page = { ...first.properties.page, pageNumbers: { start: running.pageNumberStart } };
+  }
+
+  const bodyItem = bodyPages.flatMap(page => page.items).find(item => item.fontSize === bodyFontSize);
+  const doc = new Document({
+    title: options.title || undefined,
+    creator: 'PDFSpark',
+    description: 'Converted from PDF by PDFSpark',
+    styles: settings.preserveFormatting && bodyItem
+      ? { default: { document: { run: { size: Math.round(bodyFontSize * 2), font: mapPdfFontToFamily(bodyItem.fontName) || undefined } } } }
+      : undefined,
+    sections
+  });
+
+  return {
+    buffer: await Packer.toBuffer(doc),
+    sectionCount: sections.length,
+    tableCount: stats.tableCount,
+    imageCount: stats.imageCount,
+    hasHeader: running.header.length > 0,
+    hasFooter: running.footer.length > 0
+  };
+};
+
+module.exports = {
+  findRunningLines,
+  buildRuns,
+  buildWordDocument
+};
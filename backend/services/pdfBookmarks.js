@@ -0,0 +1,525 @@
+/**
+ * Bookmark editing and table of contents generation for PDFSpark
+ *
+ * Works on the outline trees of pdfOutline, exchanged with clients as JSON
+ * items of { title, page, zoom, top, open, children } with 1-based pages.
+ * An outline is either replaced by such a tree or built from the headings of
+ * the document: lines set in a larger (or bold) font than the body text,
+ * nested by their size. A table of contents with links to each bookmark can
+ * be inserted in front of the first page.
+ */
+
+const {
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  StandardFonts,
+  rgb
+} = require('pdf-lib');
+const { readOutline, writeOutline, countOutlineItems } = require('./pdfOutline');
+const { groupIntoLines, splitLineIntoSegments } = require('./tableExtractor');
+const { loadSourceDocument } = require('./pdfMerger');
+const { readNumber } = require('./pdfWatermark');
+
+const OUTLINE_MODES = ['replace', 'auto'];
+const ZOOM_MODES = ['fit', 'fitWidth', 'fitHeight'];
+
+const MAX_BOOKMARKS = 5000;
+const MAX_BOOKMARK_DEPTH = 16;
+const MAX_TITLE_LENGTH = 500;
+const DEFAULT_TOC_TITLE = 'Contents';
+
+// Heading detection: font size (relative to the body text) that makes a heading
+const HEADING_SIZE_RATIO = 1.15;
+// Longest line, in words, taken as a heading
+const MAX_HEADING_WORDS = 25;
+const MAX_BOLD_HEADING_WORDS = 12;
+// Lines repeated on this share of the pages (at least three) are running headers or footers
+const RUNNING_TEXT_RATIO = 0.3;
+// A style used more often than this per page is emphasis, not a heading
+const MAX_HEADINGS_PER_PAGE = 4;
+
+// Layout of the table of contents, in points
+const TOC_MARGIN = 56;
+const TOC_TITLE_SIZE = 20;
+const TOC_FONT_SIZE = 11;
+const TOC_LINE_HEIGHT = 17;
+const TOC_INDENT = 16;
+
+/**
+ * Check one level of a JSON bookmark tree
+ * @returns {Array<Object>} - Normalised items
+ */
+const validateBookmarks = (items, path, counter) => {
+  if (!Array.isArray(items)) {
+    throw new Error(`${path ? `Bookmark ${path}: children` : 'The outline'} must be a list of bookmarks`);
+  }
+  if (path.split('.').length > MAX_BOOKMARK_DEPTH) {
+    throw new Error(`Bookmarks can be nested ${MAX_BOOKMARK_DEPTH} levels deep at most`);
+  }
+
+  return items.map((item, index) => {
+    const label = path ? `${path}.${index + 1}` : String(index + 1);
+    counter.count += 1;
+    if (counter.count > MAX_BOOKMARKS) {
+      throw new Error(`An outline can have ${MAX_BOOKMARKS} bookmarks at most`);
+    }
+    if (!item || typeof item !== 'object') {
+      throw new Error(`Bookmark ${label} must be an object`);
+    }
+
+    const title = typeof item.title === 'string' ? item.title.trim() : '';
+    if (!title) {
+      throw new Error(`Bookmark ${label} needs a title`);
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`Bookmark ${label}: the title is longer than ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    // A bookmark without a page only groups its children
+    let page = null;
+    if (item.page !== undefined && item.page !== null && item.page !== '') {
+      page = Number(item.page);
+      if (!Number.isInteger(page) || page < 1) {
+        throw new Error(`Bookmark ${label}: page must be a whole number from 1`);
+      }
+    }
+
+    let zoom = null;
+    if (ZOOM_MODES.includes(item.zoom)) {
+      zoom = item.zoom;
+    } else if (item.zoom !== undefined && item.zoom !== null && item.zoom !== '') {
+      zoom = readNumber(item.zoom, null, 0.1, 64, `Bookmark ${label}: zoom`);
+    }
+
+    return {
+      title,
+      page,
+      zoom,
+      top: readNumber(item.top, null, -100000, 100000, `Bookmark ${label}: top`),
+      open: item.open === true,
+      children: validateBookmarks(item.children || [], label, counter)
+    };
+  });
+};
+
+/**
+ * Check outline options and fill in the defaults
+ * @param {Object} options - { mode, outline, maxLevels, insertToc, tocTitle }
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is invalid
+ */
+const validateOutlineOptions = (options = {}) => {
+  const mode = options.mode || 'replace';
+  if (!OUTLINE_MODES.includes(mode)) {
+    throw new Error(`Unsupported outline mode: ${mode}. Use ${OUTLINE_MODES.join(' or ')}`);
+  }
+
+  const tocTitle = typeof options.tocTitle === 'string' && options.tocTitle.trim()
+    ? options.tocTitle.trim()
+    : DEFAULT_TOC_TITLE;
+  if (tocTitle.length > MAX_TITLE_LENGTH) {
+    throw new Error(`The table of contents title is longer than ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  return {
+    mode,
+    // Replace mode: the new tree, an empty list removes the outline
+    outline: mode === 'replace' ? validateBookmarks(options.outline || [], '', { count: 0 }) : null,
+    // Auto mode: heading sizes turned into bookmark levels
+    maxLevels: Math.round(readNumber(options.maxLevels, 3, 1, 6, 'Heading levels')),
+    insertToc: options.insertToc === true || options.insertToc === 'true',
+    tocTitle
+  };
+};
+
+/**
+ * Describe a destination view as the zoom and top of a JSON bookmark
+ */
+const describeView = (view) => {
+  if (!view) return { zoom: null, top: null };
+  const [type, ...params] = view;
+  switch (type) {
+    case 'XYZ':
+      return { zoom: params[2] > 0 ? params[2] : null, top: typeof params[1] === 'number' ? params[1] : null };
+    case 'FitH':
+    case 'FitBH':
+      return { zoom: 'fitWidth', top: typeof params[0] === 'number' ? params[0] : null };
+    case 'FitV':
+    case 'FitBV':
+      return { zoom: 'fitHeight', top: null };
+    default:
+      return { zoom: 'fit', top: null };
+  }
+};
+
+/**
+ * Convert an outline tree to JSON bookmarks
+ */
+const toBookmarks = (items) => items.map(item => ({
+  title: item.title,
+  page: item.pageIndex === null ? null : item.pageIndex + 1,
+  ...describeView(item.view),
+  open: item.open,
+  children: toBookmarks(item.children)
+}));
+
+/**
+ * Convert JSON bookmarks to an outline tree for a document
+ * @param {Array<Object>} bookmarks - Normalised bookmarks
+ * @param {Array<PDFPage>} pages - Pages of the document
+ * @param {Number} offset - Pages inserted in front since the bookmarks were made
+ */
+const toOutline = (bookmarks, pages, offset) => bookmarks.map(bookmark => {
+  const pageIndex = bookmark.page === null ? null : bookmark.page - 1 + offset;
+  const page = pageIndex === null ? null : pages[pageIndex];
+  const top = bookmark.top !== null ? bookmark.top : page && page.getY() + page.getHeight();
+
+  let view = null;
+  if (bookmark.zoom === 'fit') view = ['Fit'];
+  else if (bookmark.zoom === 'fitWidth') view = ['FitH', top];
+  else if (bookmark.zoom === 'fitHeight') view = ['FitV', null];
+  // Detected headings on turned pages are placed by their left edge instead of their top
+  else if (page && typeof bookmark.left === 'number') view = ['XYZ', bookmark.left, null, bookmark.zoom];
+  else if (page) view = ['XYZ', null, top, bookmark.zoom];
+
+  return {
+    title: bookmark.title,
+    pageIndex,
+    view,
+    open: bookmark.open,
+    children: toOutline(bookmark.children, pages, offset)
+  };
+});
+
+/**
+ * Read the outline of a PDF as JSON bookmarks
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @returns {Promise<Object>} - { pageCount, bookmarkCount, outline }
+ */
+const readBookmarks = async (pdfBuffer) => {
+  const pdfDoc = await loadSourceDocument(pdfBuffer, 'The document');
+  const outline = readOutline(pdfDoc);
+  return {
+    pageCount: pdfDoc.getPageCount(),
+    bookmarkCount: countOutlineItems(outline),
+    outline: toBookmarks(outline)
+  };
+};
+
+/**
+ * Most common value of a list, weighted
+ */
+const mostCommon = (entries) => {
+  const weights = new Map();
+  entries.forEach(([value, weight]) => weights.set(value, (weights.get(value) || 0) + weight));
+  return Array.from(weights.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+/**
+ * Read the text lines of every page with their font size and weight
+ * Lines are split where columns are, with neighbouring parts in the same style joined again.
+ * @returns {Promise<Object>} - { pageCount, lines: [{ pageIndex, text, size, bold, top, bottom, destination }] }
+ */
+const readStyledLines = async (pdfBuffer, onProgress) => {
+  const { openDocument, extractPageText } = require('./pdfjsService');
+  const doc = await openDocument(pdfBuffer);
+  const lines = [];
+
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      try {
+        const layout = await extractPageText(page);
+        const viewport = page.getViewport({ scale: 1 });
+
+        groupIntoLines(layout.items).forEach(line => {
+          const parts = splitLineIntoSegments(line).map(segment => ({
+            ...segment,
+            items: segment.items.filter(item => item.str.trim())
+          })).filter(segment => segment.items.length > 0).map(({ items, ...segment }) => {
+            // The style of most of the characters
+            const size = mostCommon(items.map(item => [Math.round(item.fontSize * 2) / 2, item.str.length]));
+            return {
+              text: segment.text,
+              size,
+              bold: items.every(item => item.bold),
+              x0: segment.x0,
+              top: Math.min(...items.map(item => item.y)),
+              bottom: Math.max(...items.map(item => item.y + item.height))
+            };
+          });
+
+          parts.reduce((joined, part) => {
+            const last = joined[joined.length - 1];
+            if (last && last.size === part.size && last.bold === part.bold) {
+              last.text = `${last.text} ${part.text}`;
+              last.top = Math.min(last.top, part.top);
+              last.bottom = Math.max(last.bottom, part.bottom);
+            } else {
+              joined.push(part);
+            }
+            return joined;
+          }, []).forEach(part => {
+            // Where a bookmark to the line jumps: just above it, in PDF coordinates
+            const [left, top] = viewport.convertToPdfPoint(part.x0, Math.max(0, part.top - part.size * 0.5));
+            lines.push({
+              ...part,
+              pageIndex: pageNumber - 1,
+              destination: page.rotate % 180 === 0 ? { left: null, top } : { left, top: null }
+            });
+          });
+        });
+      } finally {
+        page.cleanup();
+      }
+      if (onProgress) await onProgress(pageNumber, doc.numPages + 1);
+    }
+    return { pageCount: doc.numPages, lines };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+/**
+ * Find the headings of a document and nest them by style
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {Object} settings - { maxLevels }
+ * @returns {Promise<Array<Object>>} - JSON bookmarks, with the `left` of rotated pages
+ */
+const detectHeadings = async (pdfBuffer, settings, onProgress) => {
+  const { pageCount, lines } = await readStyledLines(pdfBuffer, onProgress);
+  if (lines.length === 0) {
+    throw new Error('The document has no text to find headings in; run OCR on scanned documents first');
+  }
+
+  const bodySize = mostCommon(lines.map(line => [line.size, line.text.length]));
+
+  // Running headers and footers, with their page numbers left out
+  const runningKey = (line) => line.text.replace(/\d+/g, '#').toLowerCase();
+  const pagesByKey = new Map();
+  lines.forEach(line => {
+    const pages = pagesByKey.get(runningKey(line)) || new Set();
+    pages.add(line.pageIndex);
+    pagesByKey.set(runningKey(line), pages);
+  });
+  const isRunning = (line) => {
+    const pages = pagesByKey.get(runningKey(line)).size;
+    return pages >= 3 && pages >= pageCount * RUNNING_TEXT_RATIO;
+  };
+
+  const candidates = lines.filter(line => {
+    const words = line.text.split(/\s+/).length;
+    if (line.text.length < 2 || words > MAX_HEADING_WORDS || !/\p{L}/u.test(line.text) || isRunning(line)) {
+      return false;
+    }
+    if (line.size >= bodySize * HEADING_SIZE_RATIO) return true;
+    // Bold lines in the body size are headings when short and not a sentence
+    return line.bold && line.size >= bodySize * 0.95 && words <= MAX_BOLD_HEADING_WORDS && !/[.,;]$/.test(line.text);
+  });
+
+  // Larger styles are higher levels, bold before regular at the same size
+  const styleKey = (line) => `${line.size}:${line.bold}`;
+  const counts = new Map();
+  candidates.forEach(line => counts.set(styleKey(line), (counts.get(styleKey(line)) || 0) + 1));
+  const styles = Array.from(counts.entries())
+    .filter(([, count]) => count <= Math.max(10, pageCount * MAX_HEADINGS_PER_PAGE))
+    .map(([key]) => key)
+    .sort((a, b) => {
+      const [sizeA, boldA] = a.split(':');
+      const [sizeB, boldB] = b.split(':');
+      return Number(sizeB) - Number(sizeA) || (boldB === 'true') - (boldA === 'true');
+    })
+    .slice(0, settings.maxLevels);
+
+  // Headings set on several lines become one bookmark
+  const headings = [];
+  candidates.forEach(line => {
+    const level = styles.indexOf(styleKey(line));
+    if (level < 0) return;
+    const last = headings[headings.length - 1];
+    if (last && last.level === level && last.line.pageIndex === line.pageIndex &&
+      lines.indexOf(line) === lines.indexOf(last.line) + 1 && line.top - last.line.bottom < line.size) {
+      last.title = `${last.title} ${line.text}`;
+      last.line = line;
+      return;
+    }
+    headings.push({ level, title: line.text, line, first: line });
+  });
+
+  if (headings.length === 0) {
+    throw new Error('No headings were found: the document has no lines set larger or bolder than its body text');
+  }
+
+  // Each heading goes under the nearest heading of a higher level before it
+  const roots = [];
+  const stack = [];
+  headings.forEach(heading => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+    const bookmark = {
+      title: heading.title.slice(0, MAX_TITLE_LENGTH),
+      page: heading.first.pageIndex + 1,
+      zoom: null,
+      top: heading.first.destination.top,
+      left: heading.first.destination.left,
+      open: heading.level === 0,
+      children: []
+    };
+    (stack.length > 0 ? stack[stack.length - 1].bookmark.children : roots).push(bookmark);
+    stack.push({ level: heading.level, bookmark });
+  });
+
+  return roots;
+};
+
+/**
+ * Flatten a bookmark tree into table of contents entries
+ */
+const tocEntries = (bookmarks, level = 0) => bookmarks.flatMap(bookmark => [
+  { bookmark, level },
+  ...tocEntries(bookmark.children, level + 1)
+]);
+
+/**
+ * Insert table of contents pages in front of the document
+ * Each entry links to the place its bookmark points at.
+ * @returns {Promise<Number>} - Number of pages inserted
+ */
+const insertTableOfContents = async (pdfDoc, bookmarks, title) => {
+  const entries = tocEntries(bookmarks).filter(({ bookmark }) => bookmark.page !== null);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  // Standard fonts only cover WinAnsi, anything else prints as '?'
+  const supported = new Set(font.getCharacterSet());
+  const printable = (text) => Array.from(text).map(char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+
+  // Pages of the size of the first page as displayed
+  const first = pdfDoc.getPage(0);
+  const turned = first.getRotation().angle % 180 !== 0;
+  const width = turned ? first.getHeight() : first.getWidth();
+  const height = turned ? first.getWidth() : first.getHeight();
+  const firstLines = Math.max(1, Math.floor((height - TOC_MARGIN * 2 - TOC_TITLE_SIZE * 2) / TOC_LINE_HEIGHT));
+  const perPage = Math.max(1, Math.floor((height - TOC_MARGIN * 2) / TOC_LINE_HEIGHT));
+  const pageCount = 1 + Math.ceil(Math.max(0, entries.length - firstLines) / perPage);
+
+  const pages = pdfDoc.getPages();
+  const tocPages = [];
+  for (let index = 0; index < pageCount; index++) {
+    tocPages.push(pdfDoc.insertPage(index, [width, height]));
+  }
+
+  tocPages[0].drawText(printable(title), {
+    x: TOC_MARGIN,
+    y: height - TOC_MARGIN - TOC_TITLE_SIZE,
+    size: TOC_TITLE_SIZE,
+    font: boldFont
+  });
+
+  const dotWidth = font.widthOfTextAtSize('.', TOC_FONT_SIZE);
+  entries.forEach(({ bookmark, level }, index) => {
+    const pageIndex = index < firstLines ? 0 : 1 + Math.floor((index - firstLines) / perPage);
+    const row = index < firstLines ? index + 2 : (index - firstLines) % perPage;
+    const tocPage = tocPages[pageIndex];
+    const y = height - TOC_MARGIN - TOC_FONT_SIZE - row * TOC_LINE_HEIGHT;
+    const entryFont = level === 0 ? boldFont : font;
+
+    // Page numbers count the contents pages too
+    const number = String(bookmark.page + pageCount);
+    const numberWidth = font.widthOfTextAtSize(number, TOC_FONT_SIZE);
+    const left = TOC_MARGIN + Math.min(level, 6) * TOC_INDENT;
+    const right = width - TOC_MARGIN;
+    const room = right - numberWidth - dotWidth * 3 - left;
+
+    let text = printable(bookmark.title);
+    if (entryFont.widthOfTextAtSize(text, TOC_FONT_SIZE) > room) {
+      while (text.length > 1 && entryFont.widthOfTextAtSize(`${text}...`, TOC_FONT_SIZE) > room) text = text.slice(0, -1);
+      text = `${text.trimEnd()}...`;
+    }
+    const textWidth = entryFont.widthOfTextAtSize(text, TOC_FONT_SIZE);
+    const dots = '.'.repeat(Math.max(0, Math.floor((right - numberWidth - left - textWidth - dotWidth * 2) / dotWidth)));
+
+    tocPage.drawText(text, { x: left, y, size: TOC_FONT_SIZE, font: entryFont });
+    tocPage.drawText(dots, {
+      x: right - numberWidth - dotWidth - font.widthOfTextAtSize(dots, TOC_FONT_SIZE),
+      y,
+      size: TOC_FONT_SIZE,
+      font,
+      color: rgb(0.5, 0.5, 0.5)
+    });
+    tocPage.drawText(number, { x: right - numberWidth, y, size: TOC_FONT_SIZE, font });
+
+    // Pages inserted in front keep the refs of the original pages
+    const target = pages[bookmark.page - 1];
+    const [view] = toOutline([{ ...bookmark, children: [] }], pages, 0).map(item => item.view);
+    const [type, ...params] = view || ['Fit'];
+    const link = pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [left, y - 4, right, y + TOC_FONT_SIZE],
+      Border: [0, 0, 0],
+      Dest: [target.ref, PDFName.of(type), ...params.map(value => (typeof value === 'number' ? PDFNumber.of(value) : PDFNull))]
+    });
+    tocPage.node.addAnnot(pdfDoc.context.register(link));
+  });
+
+  return pageCount;
+};
+
+/**
+ * Replace the outline of a PDF, or build it from its headings
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {Object} settings - Result of validateOutlineOptions
+ * @param {Object} options - { onProgress(done, total) } called per page read in auto mode
+ * @returns {Promise<Object>} - { buffer, pageCount, bookmarkCount, levels, tocPages }
+ * @throws {Error} If a bookmark points past the last page or no headings are found
+ */
+const updateOutline = async (pdfBuffer, settings, options = {}) => {
+  const pdfDoc = await loadSourceDocument(pdfBuffer, 'The document');
+  const originalPageCount = pdfDoc.getPageCount();
+
+  let bookmarks;
+  if (settings.mode === 'auto') {
+    bookmarks = await detectHeadings(pdfBuffer, settings, options.onProgress);
+  } else {
+    bookmarks = settings.outline;
+    const outside = tocEntries(bookmarks).find(({ bookmark }) => bookmark.page !== null && bookmark.page > originalPageCount);
+    if (outside) {
+      throw new Error(`Bookmark "${outside.bookmark.title}" points at page ${outside.bookmark.page}, the document has ${originalPageCount}`);
+    }
+  }
+
+  let tocPages = 0;
+  if (settings.insertToc && bookmarks.length > 0) {
+    tocPages = await insertTableOfContents(pdfDoc, bookmarks, settings.tocTitle);
+  }
+
+  const pages = pdfDoc.getPages();
+  const outline = toOutline(bookmarks, pages, tocPages);
+  if (tocPages > 0) {
+    outline.unshift({ title: settings.tocTitle, pageIndex: 0, view: null, open: false, children: [] });
+  }
+  const bookmarkCount = writeOutline(pdfDoc, outline);
+  if (bookmarkCount > 0) {
+    // Open the bookmarks panel with the document
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
+
+  const depth = (items) => items.reduce((max, item) => Math.max(max, 1 + depth(item.children)), 0);
+  const buffer = Buffer.from(await pdfDoc.save());
+  if (options.onProgress) await options.onProgress(1, 1);
+
+  return {
+    buffer,
+    pageCount: pages.length,
+    bookmarkCount,
+    levels: depth(bookmarks),
+    tocPages
+  };
+};
+
+module.exports = {
+  OUTLINE_MODES,
+  validateOutlineOptions,
+  readBookmarks,
+  updateOutline
+};
@@ -0,0 +1,833 @@
+/**
+ * Document comparison for PDFSpark
+ *
+ * Compares an original and a revised PDF in one of two modes:
+ *  - text: the words of both documents are diffed as one sequence each, so
+ *    text that flows onto another page is not reported as changed. Changes
+ *    are reported per page as insertions, deletions and moved blocks.
+ *  - visual: pages are rendered and compared pixel by pixel, for scanned
+ *    documents without a text layer. Changes are reported as page regions.
+ * Either way an annotated PDF shows each original page next to its revised
+ * page, with the changes highlighted and listed as annotation comments.
+ */
+
+const sharp = require('sharp');
+const { diffArrays } = require('diff');
+const {
+  PDFDocument,
+  PDFHexString,
+  StandardFontEmbedder,
+  StandardFonts,
+  concatTransformationMatrix,
+  drawObject,
+  fill,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  rgb,
+  setFillingRgbColor,
+  setGraphicsState
+} = require('pdf-lib');
+const { loadSourceDocument } = require('./pdfMerger');
+const { readNumber } = require('./pdfWatermark');
+
+const COMPARE_MODES = ['text', 'visual'];
+
+// Word pairs (original x revised) diffed directly; larger stretches are split at unique words first
+const MAX_DIFF_CELLS = 4000000;
+const MAX_WORDS = 200000;
+// Shortest run of words reported as moved rather than deleted and inserted
+const DEFAULT_MIN_MOVE_WORDS = 4;
+
+// Size in pixels of the cells changed pixels are grouped in
+const VISUAL_CELL_SIZE = 8;
+// Changed pixels a cell needs, so that noise and anti-aliasing do not count
+const MIN_CELL_PIXELS = 4;
+
+// Space above the pages of a comparison sheet for their labels
+const SHEET_BAND = 24;
+const SHEET_GAP = 18;
+
+const HIGHLIGHT_COLORS = {
+  insertion: [0.55, 0.9, 0.55],
+  deletion: [1, 0.55, 0.55],
+  move: [0.55, 0.75, 1],
+  region: [1, 0.75, 0.3]
+};
+
+/**
+ * Check comparison options and fill in the defaults
+ * @param {Object} options - { mode, ignoreCase, minMoveWords, dpi, threshold }
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is invalid
+ */
+const validateCompareOptions = (options = {}) => {
+  const mode = options.mode || 'text';
+  if (!COMPARE_MODES.includes(mode)) {
+    throw new Error(`Unsupported comparison mode: ${mode}. Use ${COMPARE_MODES.join(' or ')}`);
+  }
+
+  return {
+    mode,
+    ignoreCase: options.ignoreCase === true || options.ignoreCase === 'true',
+    minMoveWords: Math.round(readNumber(options.minMoveWords, DEFAULT_MIN_MOVE_WORDS, 2, 100, 'Minimum moved words')),
+    // Visual mode: render resolution and the grey level difference that counts as a change
+    dpi: Math.round(readNumber(options.dpi, 100, 50, 200, 'Resolution')),
+    threshold: Math.round(readNumber(options.threshold, 48, 1, 255, 'Threshold'))
+  };
+};
+
+/**
+ * Key a word is compared by: typographic variants of quotes and dashes count as the same
+ */
+const wordKey = (text, ignoreCase) => {
+  const key = text.normalize('NFKC')
+    .replace(/[‘’‚′]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/[‐-―−]/g, '-');
+  return ignoreCase ? key.toLowerCase() : key;
+};
+
+// Helvetica advance widths by character, to share out the width of a text item between its words
+let characterWidths = null;
+
+const characterWidth = (character) => {
+  if (!characterWidths) {
+    const embedder = StandardFontEmbedder.for(StandardFonts.Helvetica);
+    characterWidths = new Map(Object.entries(embedder.encoding.unicodeMappings)
+      .map(([codePoint, [, glyphName]]) => [String.fromCodePoint(Number(codePoint)), embedder.font.getWidthOfGlyph(glyphName)]));
+  }
+  return characterWidths.get(character) || 556;
+};
+
+/**
+ * Split the text items of a page into positioned words
+ * @param {Object} pageLayout - Result of pdfjsService.extractPageText
+ * @returns {Array<Object>} - [{ text, key, page, vertical, rect: { x, y, width, height } }], top-left coordinates
+ */
+const readWords = (pageLayout, settings) => {
+  const words = [];
+  pageLayout.items.forEach(item => {
+    // Glyph positions are not known: each character gets its Helvetica share of the item
+    const characters = Array.from(item.str);
+    const offsets = [0];
+    characters.forEach(character => offsets.push(offsets[offsets.length - 1] + characterWidth(character)));
+    const scale = offsets[characters.length] > 0 ? item.width / offsets[characters.length] : 0;
+
+    // Along the baseline and up, on the page as displayed; OCR items have no matrix and are upright
+    const [a, b, c, d, e, f] = item.transform || [item.fontSize, 0, 0, -item.fontSize, item.x, item.baseline];
+    const length = Math.hypot(a, b) || 1;
+    const corner = (along, up) => [e + (a / length) * along + c * up, f + (b / length) * along + d * up];
+
+    let index = 0;
+    item.str.split(/(\s+)/).forEach(part => {
+      const count = Array.from(part).length;
+      if (part.trim()) {
+        const points = [
+          corner(offsets[index] * scale, -0.2), corner(offsets[index + count] * scale, -0.2),
+          corner(offsets[index] * scale, 1), corner(offsets[index + count] * scale, 1)
+        ];
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        words.push({
+          text: part,
+          key: wordKey(part, settings.ignoreCase),
+          page: pageLayout.pageNumber,
+          vertical: Math.abs(b) > Math.abs(a),
+          rect: {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys)
+          }
+        });
+      }
+      index += count;
+    });
+  });
+  return words;
+};
+
+/**
+ * Diff two key sequences
+ *
+ * Stretches too long to diff directly are split at words that occur once
+ * on each side (patience diff), which keeps whole-document comparisons fast.
+ * @returns {Array<Object>} - [{ type: 'equal'|'delete'|'insert', count }]
+ */
+const diffKeys = (a, b) => {
+  const script = [];
+  const push = (type, count) => {
+    if (count === 0) return;
+    const last = script[script.length - 1];
+    if (last && last.type === type) {
+      last.count += count;
+    } else {
+      script.push({ type, count });
+    }
+  };
+
+  const diffRange = (aStart, aEnd, bStart, bEnd) => {
+    let prefix = 0;
+    while (aStart + prefix < aEnd && bStart + prefix < bEnd && a[aStart + prefix] === b[bStart + prefix]) prefix++;
+    let suffix = 0;
+    while (aEnd - suffix > aStart + prefix && bEnd - suffix > bStart + prefix && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) suffix++;
+    push('equal', prefix);
+    aStart += prefix;
+    bStart += prefix;
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    if (aStart === aEnd || bStart === bEnd) {
+      push('delete', aEnd - aStart);
+      push('insert', bEnd - bStart);
+    } else if ((aEnd - aStart) * (bEnd - bStart) <= MAX_DIFF_CELLS) {
+      diffArrays(a.slice(aStart, aEnd), b.slice(bStart, bEnd)).forEach(part => {
+        push(part.added ? 'insert' : part.removed ? 'delete' : 'equal', part.count || part.value.length);
+      });
+    } else {
+      // Words found exactly once on both sides, kept in an order both sides agree on
+      const counts = new Map();
+      const count = (key, side, index) => {
+        const entry = counts.get(key) || { a: 0, b: 0 };
+        entry[side]++;
+        entry[`${side}Index`] = index;
+        counts.set(key, entry);
+      };
+      for (let i = aStart; i < aEnd; i++) count(a[i], 'a', i);
+      for (let j = bStart; j < bEnd; j++) count(b[j], 'b', j);
+      const unique = [...counts.values()]
+        .filter(entry => entry.a === 1 && entry.b === 1)
+        .sort((x, y) => x.aIndex - y.aIndex);
+      const anchors = longestIncreasing(unique.map(entry => entry.bIndex)).map(index => unique[index]);
+
+      if (anchors.length === 0) {
+        push('delete', aEnd - aStart);
+        push('insert', bEnd - bStart);
+      } else {
+        let aFrom = aStart;
+        let bFrom = bStart;
+        anchors.forEach(anchor => {
+          diffRange(aFrom, anchor.aIndex, bFrom, anchor.bIndex);
+          push('equal', 1);
+          aFrom = anchor.aIndex + 1;
+          bFrom = anchor.bIndex + 1;
+        });
+        diffRange(aFrom, aEnd, bFrom, bEnd);
+      }
+    }
+
+    push('equal', suffix);
+  };
+
+  diffRange(0, a.length, 0, b.length);
+  return script;
+};
+
+/**
+ * Indexes of a longest strictly increasing subsequence
+ */
+const longestIncreasing = (values) => {
+  const tails = [];
+  const previous = new Array(values.length);
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const result = [];
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+    result.push(index);
+  }
+  return result.reverse();
+};
+
+/**
+ * Runs of consecutive words of one type
+ * @returns {Array<Object>} - [{ start, end }] word indexes, end exclusive
+ */
+const findRuns = (types, type) => {
+  const runs = [];
+  types.forEach((current, index) => {
+    if (current !== type) return;
+    const last = runs[runs.length - 1];
+    if (last && last.end === index) {
+      last.end++;
+    } else {
+      runs.push({ start: index, end: index + 1 });
+    }
+  });
+  return runs;
+};
+
+/**
+ * Find deleted blocks that reappear as inserted blocks
+ *
+ * A block counts as moved when it was deleted in one place and the same
+ * words were inserted in another, possibly as part of a longer insertion
+ * (or the other way round).
+ * @returns {Array<Object>} - [{ aStart, bStart, length }]
+ */
+const findMoves = (originalWords, revisedWords, typesA, typesB, minWords) => {
+  const moves = [];
+  let found = true;
+  while (found) {
+    found = false;
+    const deletions = findRuns(typesA, 'delete').filter(run => run.end - run.start >= minWords);
+    const insertions = findRuns(typesB, 'insert').filter(run => run.end - run.start >= minWords);
+
+    // The shorter block has to appear whole inside the longer one
+    const contains = (outerWords, outer, innerWords, inner) => {
+      const length = inner.end - inner.start;
+      for (let offset = outer.start; offset + length <= outer.end; offset++) {
+        let index = 0;
+        while (index < length && outerWords[offset + index].key === innerWords[inner.start + index].key) index++;
+        if (index === length) return offset;
+      }
+      return -1;
+    };
+
+    for (const deletion of deletions.sort((x, y) => (y.end - y.start) - (x.end - x.start))) {
+      for (const insertion of insertions) {
+        let move = null;
+        if (deletion.end - deletion.start <= insertion.end - insertion.start) {
+          const offset = contains(revisedWords, insertion, originalWords, deletion);
+          if (offset >= 0) move = { aStart: deletion.start, bStart: offset, length: deletion.end - deletion.start };
+        } else {
+          const offset = contains(originalWords, deletion, revisedWords, insertion);
+          if (offset >= 0) move = { aStart: offset, bStart: insertion.start, length: insertion.end - insertion.start };
+        }
+        if (move) {
+          for (let index = 0; index < move.length; index++) {
+            typesA[move.aStart + index] = 'move';
+            typesB[move.bStart + index] = 'move';
+          }
+          moves.push(move);
+          found = true;
+          break;
+        }
+      }
+      // Runs changed, look for them again
+      if (found) break;
+    }
+  }
+  return moves;
+};
+
+/**
+ * Merge the boxes of words on the same line
+ * @returns {Array<Object>} - [{ x, y, width, height }], top-left coordinates
+ */
+const mergeRects = (words) => {
+  const rects = [];
+  words.forEach(({ rect, vertical }) => {
+    const last = rects[rects.length - 1];
+    // Lines run across the page, or down it on rotated pages
+    const across = last && !vertical && !last.vertical && Math.abs(last.y - rect.y) < rect.height * 0.5 && rect.x >= last.x - 1;
+    const down = last && vertical && last.vertical && Math.abs(last.x - rect.x) < rect.width * 0.5;
+    if (across || down) {
+      const left = Math.min(last.x, rect.x);
+      const top = Math.min(last.y, rect.y);
+      const right = Math.max(last.x + last.width, rect.x + rect.width);
+      const bottom = Math.max(last.y + last.height, rect.y + rect.height);
+      last.x = left;
+      last.y = top;
+      last.width = right - left;
+      last.height = bottom - top;
+    } else {
+      rects.push({ ...rect, vertical });
+    }
+  });
+  return rects.map(rect => ({
+    x: Number(rect.x.toFixed(2)),
+    y: Number(rect.y.toFixed(2)),
+    width: Number(rect.width.toFixed(2)),
+    height: Number(rect.height.toFixed(2))
+  }));
+};
+
+/**
+ * Split a list of words where the page changes
+ */
+const splitByPage = (words) => words.reduce((groups, word) => {
+  const last = groups[groups.length - 1];
+  if (last && last[0].page === word.page) {
+    last.push(word);
+  } else {
+    groups.push([word]);
+  }
+  return groups;
+}, []);
+
+const describeWords = (words) => ({
+  text: words.map(word => word.text).join(' '),
+  words: words.length,
+  rects: mergeRects(words)
+});
+
+/**
+ * Diff the words of two documents
+ * @param {Array<Object>} originalWords - From readWords, all pages in order
+ * @param {Array<Object>} revisedWords - Likewise
+ * @returns {Object} - { pages: [{ page, deletions, insertions, moves }], summary }
+ */
+const diffWords = (originalWords, revisedWords, settings) => {
+  const typesA = new Array(originalWords.length).fill('equal');
+  const typesB = new Array(revisedWords.length).fill('equal');
+  let a = 0;
+  let b = 0;
+  diffKeys(originalWords.map(word => word.key), revisedWords.map(word => word.key)).forEach(({ type, count }) => {
+    if (type === 'delete') typesA.fill('delete', a, a + count);
+    if (type === 'insert') typesB.fill('insert', b, b + count);
+    if (type !== 'insert') a += count;
+    if (type !== 'delete') b += count;
+  });
+  const moves = findMoves(originalWords, revisedWords, typesA, typesB, settings.minMoveWords);
+
+  const pages = new Map();
+  const entryFor = (page) => {
+    if (!pages.has(page)) pages.set(page, { page, deletions: [], insertions: [], moves: [] });
+    return pages.get(page);
+  };
+
+  findRuns(typesA, 'delete').forEach(run => {
+    splitByPage(originalWords.slice(run.start, run.end)).forEach(words => {
+      entryFor(words[0].page).deletions.push(describeWords(words));
+    });
+  });
+  findRuns(typesB, 'insert').forEach(run => {
+    splitByPage(revisedWords.slice(run.start, run.end)).forEach(words => {
+      entryFor(words[0].page).insertions.push(describeWords(words));
+    });
+  });
+  moves.sort((x, y) => x.bStart - y.bStart).forEach(move => {
+    // One entry per page on either side
+    let start = 0;
+    for (let index = 1; index <= move.length; index++) {
+      const pageChanges = index === move.length ||
+        originalWords[move.aStart + index].page !== originalWords[move.aStart + index - 1].page ||
+        revisedWords[move.bStart + index].page !== revisedWords[move.bStart + index - 1].page;
+      if (!pageChanges) continue;
+
+      const from = originalWords.slice(move.aStart + start, move.aStart + index);
+      const to = revisedWords.slice(move.bStart + start, move.bStart + index);
+      entryFor(to[0].page).moves.push({
+        text: to.map(word => word.text).join(' '),
+        words: to.length,
+        from: { page: from[0].page, rects: mergeRects(from) },
+        to: { page: to[0].page, rects: mergeRects(to) }
+      });
+      start = index;
+    }
+  });
+
+  const changedPages = [...pages.values()].sort((x, y) => x.page - y.page);
+  const sum = (key, field) => changedPages.reduce((total, entry) => total + entry[key].reduce((words, change) => words + change[field], 0), 0);
+  const countOf = (key) => changedPages.reduce((total, entry) => total + entry[key].length, 0);
+
+  return {
+    pages: changedPages,
+    summary: {
+      identical: changedPages.length === 0,
+      insertions: countOf('insertions'),
+      deletions: countOf('deletions'),
+      moves: countOf('moves'),
+      insertedWords: sum('insertions', 'words'),
+      deletedWords: sum('deletions', 'words'),
+      movedWords: sum('moves', 'words'),
+      changedPages: changedPages.map(entry => entry.page)
+    }
+  };
+};
+
+/**
+ * Read the words and page geometry of a document with pdf.js
+ * @returns {Promise<Object>} - { words, pages: [{ width, height, transform, hasText }] }
+ */
+const readDocumentText = async (buffer, settings, onPage) => {
+  const { openDocument, extractPageText } = require('./pdfjsService');
+  const doc = await openDocument(buffer);
+  const words = [];
+  const pages = [];
+
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      try {
+        const pageWords = readWords(await extractPageText(page), settings);
+        const viewport = page.getViewport({ scale: 1 });
+        pages.push({ width: viewport.width, height: viewport.height, transform: viewport.transform, hasText: pageWords.length > 0 });
+        words.push(...pageWords);
+      } finally {
+        page.cleanup();
+      }
+      if (words.length > MAX_WORDS) {
+        throw new Error(`Documents with more than ${MAX_WORDS} words cannot be compared`);
+      }
+      await onPage();
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return { words, pages };
+};
+
+/**
+ * Group the changed cells of a page into rectangular regions
+ * @returns {Array<Object>} - [{ x, y, width, height }] in cells
+ */
+const findRegions = (changed, columns, rows) => {
+  const seen = new Uint8Array(columns * rows);
+  const regions = [];
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue;
+
+    let [left, top, right, bottom] = [start % columns, Math.floor(start / columns), start % columns, Math.floor(start / columns)];
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      left = Math.min(left, column);
+      right = Math.max(right, column);
+      top = Math.min(top, row);
+      bottom = Math.max(bottom, row);
+      // Cells with at most one unchanged cell between them belong together, so a changed word is one region
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const x = column + dx;
+          const y = row + dy;
+          const next = y * columns + x;
+          if (x >= 0 && y >= 0 && x < columns && y < rows && changed[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    regions.push({ x: left, y: top, width: right - left + 1, height: bottom - top + 1 });
+  }
+  return regions;
+};
+
+/**
+ * Compare the rendered pages of two documents
+ * @returns {Promise<Object>} - { pages: [{ page, changedPercent, regions }], geometry, summary }
+ */
+const compareRenderings = async (originalBuffer, revisedBuffer, settings, onPage) => {
+  const { openDocument, renderPage } = require('./pdfjsService');
+  const [originalDoc, revisedDoc] = [await openDocument(originalBuffer), await openDocument(revisedBuffer)];
+  const geometry = { original: [], revised: [] };
+  const pages = [];
+
+  // Blurred grey levels, so that a pixel of misregistration is not a change
+  const greyLevels = async (rendered, width, height) => sharp(rendered.buffer, {
+    raw: { width: rendered.width, height: rendered.height, channels: 4 }
+  }).resize(width, height, { fit: 'fill' }).greyscale().blur(1).raw().toBuffer();
+
+  try {
+    for (const [doc, side] of [[originalDoc, 'original'], [revisedDoc, 'revised']]) {
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: 1 });
+        geometry[side].push({ width: viewport.width, height: viewport.height, transform: viewport.transform });
+        page.cleanup();
+      }
+    }
+
+    const pairs = Math.min(originalDoc.numPages, revisedDoc.numPages);
+    for (let pageNumber = 1; pageNumber <= pairs; pageNumber++) {
+      const [originalPage, revisedPage] = [await originalDoc.getPage(pageNumber), await revisedDoc.getPage(pageNumber)];
+      try {
+        const original = await renderPage(originalPage, { dpi: settings.dpi, format: 'raw' });
+        const revised = await renderPage(revisedPage, { dpi: settings.dpi, format: 'raw' });
+        // The revised page is stretched over the original one when their sizes differ
+        const { width, height } = original;
+        const [a, b] = [await greyLevels(original, width, height), await greyLevels(revised, width, height)];
+
+        const columns = Math.ceil(width / VISUAL_CELL_SIZE);
+        const rows = Math.ceil(height / VISUAL_CELL_SIZE);
+        const cellPixels = new Uint16Array(columns * rows);
+        let changedPixels = 0;
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            if (Math.abs(a[index] - b[index]) >= settings.threshold) {
+              cellPixels[Math.floor(y / VISUAL_CELL_SIZE) * columns + Math.floor(x / VISUAL_CELL_SIZE)]++;
+              changedPixels++;
+            }
+          }
+        }
+
+        const changed = cellPixels.map(count => (count >= MIN_CELL_PIXELS ? 1 : 0));
+        const regions = findRegions(changed, columns, rows);
+        if (regions.length > 0) {
+          // Cells to points on the original page as displayed
+          const scale = (VISUAL_CELL_SIZE * 72) / settings.dpi;
+          pages.push({
+            page: pageNumber,
+            changedPercent: Number(((changedPixels * 100) / (width * height)).toFixed(2)),
+            regions: regions.map(region => ({
+              x: Number((region.x * scale).toFixed(2)),
+              y: Number((region.y * scale).toFixed(2)),
+              width: Number((region.width * scale).toFixed(2)),
+              height: Number((region.height * scale).toFixed(2))
+            }))
+          });
+        }
+      } finally {
+        originalPage.cleanup();
+        revisedPage.cleanup();
+      }
+      await onPage();
+    }
+  } finally {
+    await originalDoc.destroy();
+    await revisedDoc.destroy();
+  }
+
+  return {
+    pages,
+    geometry,
+    summary: {
+      identical: pages.length === 0 && originalDoc.numPages === revisedDoc.numPages,
+      regions: pages.reduce((total, entry) => total + entry.regions.length, 0),
+      changedPages: pages.map(entry => entry.page)
+    }
+  };
+};
+
+/**
+ * Add a highlight annotation with its own appearance
+ * @param {Array<Object>} rects - [{ x, y, width, height }] in sheet coordinates from the bottom left
+ */
+const addHighlight = (sheet, rects, color, comment) => {
+  const { context } = sheet.doc;
+  const boxes = rects.filter(rect => rect.width > 0 && rect.height > 0);
+  if (boxes.length === 0) return;
+
+  const left = Math.min(...boxes.map(rect => rect.x));
+  const bottom = Math.min(...boxes.map(rect => rect.y));
+  const right = Math.max(...boxes.map(rect => rect.x + rect.width));
+  const top = Math.max(...boxes.map(rect => rect.y + rect.height));
+
+  // Multiply blending keeps the text under the colour readable
+  const appearance = context.register(context.formXObject([
+    setGraphicsState('GS0'),
+    setFillingRgbColor(...color),
+    ...boxes.map(rect => rectangle(rect.x, rect.y, rect.width, rect.height)),
+    fill()
+  ], {
+    BBox: [left, bottom, right, top],
+    Resources: { ExtGState: { GS0: { Type: 'ExtGState', BM: 'Multiply' } } }
+  }));
+
+  sheet.node.addAnnot(context.register(context.obj({
+    Type: 'Annot',
+    Subtype: 'Highlight',
+    Rect: [left, bottom, right, top],
+    // Upper left, upper right, lower left, lower right of each box
+    QuadPoints: boxes.flatMap(rect => [
+      rect.x, rect.y + rect.height, rect.x + rect.width, rect.y + rect.height,
+      rect.x, rect.y, rect.x + rect.width, rect.y
+    ]),
+    C: color,
+    // Printable
+    F: 4,
+    T: PDFHexString.fromText('PDFSpark'),
+    Contents: PDFHexString.fromText(comment),
+    AP: { N: appearance }
+  })));
+};
+
+/**
+ * Build the annotated PDF: each original page next to the revised page of the same number
+ * @param {Object} geometry - { original, revised } page sizes and pdf.js view transforms
+ * @param {Function} highlightsFor - (side, pageNumber) => [{ rects, color, comment }]
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+const buildComparisonPdf = async (originalBuffer, revisedBuffer, geometry, highlightsFor) => {
+  const output = await PDFDocument.create();
+  const font = await output.embedFont(StandardFonts.Helvetica);
+  const sources = {
+    original: await loadSourceDocument(originalBuffer, 'The original document'),
+    revised: await loadSourceDocument(revisedBuffer, 'The revised document')
+  };
+  const sheetCount = Math.max(geometry.original.length, geometry.revised.length);
+
+  for (let index = 0; index < sheetCount; index++) {
+    const sides = ['original', 'revised'].map(side => ({ side, page: geometry[side][index] }));
+    const widths = sides.map(({ page }) => (page ? page.width : (geometry.original[0] || geometry.revised[0]).width));
+    const height = Math.max(...sides.map(({ page }) => (page ? page.height : 0))) + SHEET_BAND;
+    const sheet = output.addPage([widths[0] + SHEET_GAP + widths[1], height]);
+
+    for (const [position, { side, page }] of sides.entries()) {
+      const left = position === 0 ? 0 : widths[0] + SHEET_GAP;
+      const label = `${side === 'original' ? 'Original' : 'Revised'}, page ${index + 1}`;
+      sheet.drawText(page ? label : `${side === 'original' ? 'Original' : 'Revised'}: no page ${index + 1}`, {
+        x: left + 4,
+        y: height - SHEET_BAND + 8,
+        size: 10,
+        font,
+        color: rgb(0.3, 0.3, 0.3)
+      });
+      if (!page) continue;
+
+      // The page is drawn as displayed: pdf.js' view transform, turned upwards and moved into place
+      const sourcePage = sources[side].getPage(index);
+      const pageBottom = height - SHEET_BAND - page.height;
+      // Blank pages have no content to draw
+      if (sourcePage.node.Contents()) {
+        const cropBox = sourcePage.getCropBox();
+        const embedded = await output.embedPage(sourcePage, {
+          left: cropBox.x,
+          bottom: cropBox.y,
+          right: cropBox.x + cropBox.width,
+          top: cropBox.y + cropBox.height
+        }, [1, 0, 0, 1, 0, 0]);
+        const [a, b, c, d, e, f] = page.transform;
+        sheet.pushOperators(
+          pushGraphicsState(),
+          concatTransformationMatrix(a, -b, c, -d, e + left, page.height - f + pageBottom),
+          drawObject(sheet.node.newXObject('Page', embedded.ref)),
+          popGraphicsState()
+        );
+      }
+
+      highlightsFor(side, index + 1).forEach(({ rects, color, comment }) => {
+        addHighlight(sheet, rects.map(rect => ({
+          x: left + rect.x,
+          y: pageBottom + page.height - rect.y - rect.height,
+          width: rect.width,
+          height: rect.height
+        })), color, comment);
+      });
+    }
+  }
+
+  return Buffer.from(await output.save());
+};
+
+const shorten = (text) => (text.length > 300 ? `${text.slice(0, 297)}...` : text);
+
+/**
+ * Compare two PDFs
+ * @param {Buffer} originalBuffer - PDF bytes of the original version
+ * @param {Buffer} revisedBuffer - PDF bytes of the revised version
+ * @param {Object} settings - Output of validateCompareOptions
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<Object>} - { report, buffer (annotated PDF) }. In text mode the report's pages
+ *   list deletions on the original page of that number, insertions and moves on the revised page.
+ * @throws {Error} If a document cannot be read
+ */
+const compareDocuments = async (originalBuffer, revisedBuffer, settings, options = {}) => {
+  // Readable, unencrypted documents only; pdf.js alone would ask for a password
+  const [original, revised] = [
+    await loadSourceDocument(originalBuffer, 'The original document'),
+    await loadSourceDocument(revisedBuffer, 'The revised document')
+  ];
+  const originalCount = original.getPageCount();
+  const revisedCount = revised.getPageCount();
+
+  let done = 0;
+  const total = settings.mode === 'text' ? originalCount + revisedCount + 1 : Math.min(originalCount, revisedCount) + 1;
+  const step = async () => {
+    done++;
+    if (options.onProgress) await options.onProgress(done, total);
+  };
+
+  const report = {
+    mode: settings.mode,
+    original: { pageCount: originalCount },
+    revised: { pageCount: revisedCount }
+  };
+  let geometry;
+  let highlightsFor;
+
+  if (settings.mode === 'text') {
+    const originalText = await readDocumentText(originalBuffer, settings, step);
+    const revisedText = await readDocumentText(revisedBuffer, settings, step);
+    const diff = diffWords(originalText.words, revisedText.words, settings);
+    geometry = { original: originalText.pages, revised: revisedText.pages };
+
+    Object.assign(report, {
+      summary: diff.summary,
+      pages: diff.pages,
+      // Scans have nothing to compare in text mode
+      pagesWithoutText: {
+        original: originalText.pages.map((page, index) => (page.hasText ? null : index + 1)).filter(Boolean),
+        revised: revisedText.pages.map((page, index) => (page.hasText ? null : index + 1)).filter(Boolean)
+      }
+    });
+
+    highlightsFor = (side, pageNumber) => {
+      const highlights = [];
+      diff.pages.forEach(entry => {
+        if (side === 'original' && entry.page === pageNumber) {
+          entry.deletions.forEach(change => highlights.push({ rects: change.rects, color: HIGHLIGHT_COLORS.deletion, comment: `Deleted: ${shorten(change.text)}` }));
+        }
+        if (side === 'revised' && entry.page === pageNumber) {
+          entry.insertions.forEach(change => highlights.push({ rects: change.rects, color: HIGHLIGHT_COLORS.insertion, comment: `Inserted: ${shorten(change.text)}` }));
+        }
+        entry.moves.forEach(move => {
+          if (side === 'original' && move.from.page === pageNumber) {
+            highlights.push({ rects: move.from.rects, color: HIGHLIGHT_COLORS.move, comment: `Moved to page ${move.to.page}: ${shorten(move.text)}` });
+          }
+          if (side === 'revised' && move.to.page === pageNumber) {
+            highlights.push({ rects: move.to.rects, color: HIGHLIGHT_COLORS.move, comment: `Moved from page ${move.from.page}: ${shorten(move.text)}` });
+          }
+        });
+      });
+      return highlights;
+    };
+  } else {
+    const visual = await compareRenderings(originalBuffer, revisedBuffer, settings, step);
+    geometry = visual.geometry;
+    Object.assign(report, { summary: visual.summary, pages: visual.pages });
+
+    highlightsFor = (side, pageNumber) => {
+      const entry = visual.pages.find(candidate => candidate.page === pageNumber);
+      if (!entry) return [];
+      // Regions are measured on the original page; the revised page was stretched to match it
+      const from = geometry.original[pageNumber - 1];
+      const to = geometry[side][pageNumber - 1];
+      const [scaleX, scaleY] = [to.width / from.width, to.height / from.height];
+      return [{
+        rects: entry.regions.map(region => ({
+          x: region.x * scaleX,
+          y: region.y * scaleY,
+          width: region.width * scaleX,
+          height: region.height * scaleY
+        })),
+        color: HIGHLIGHT_COLORS.region,
+        comment: `Changed area (${entry.regions.length} region(s), ${entry.changedPercent}% of the page)`
+      }];
+    };
+  }
+
+  report.summary.pagesOnlyInOriginal = originalCount > revisedCount ? `${revisedCount + 1}-${originalCount}` : null;
+  report.summary.pagesOnlyInRevised = revisedCount > originalCount ? `${originalCount + 1}-${revisedCount}` : null;
+
+  const buffer = await buildComparisonPdf(originalBuffer, revisedBuffer, geometry, highlightsFor);
+  await step();
+
+  return { report, buffer };
+};
+
+module.exports = {
+  COMPARE_MODES,
+  validateCompareOptions,
+  compareDocuments
+};
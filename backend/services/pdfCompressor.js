@@ -0,0 +1,603 @@
+/**
+ * PDF compression for PDFSpark
+ *
+ * Rewrites a document with pdf-lib to make it smaller:
+ *  - embedded images are downsampled to a target resolution (based on the
+ *    size they are drawn at) and recompressed with sharp
+ *  - identical streams are stored once
+ *  - uncompressed streams are deflated and objects are packed into object streams
+ *  - objects no longer reachable from the catalog and document metadata are dropped
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const {
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFBool,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFRawStream,
+  PDFStream
+} = require('pdf-lib');
+const {
+  parseContentStream,
+  decodeStreamContents,
+  getPageContent,
+  multiplyMatrix
+} = require('./pdfContentStream');
+
+// Image resolution and JPEG quality for each compression level
+const COMPRESSION_PRESETS = {
+  low: { imageDpi: 200, imageQuality: 85 },
+  medium: { imageDpi: 150, imageQuality: 72 },
+  high: { imageDpi: 96, imageQuality: 55 }
+};
+
+// Images are only resampled when they exceed the target resolution by this factor
+const DOWNSAMPLE_THRESHOLD = 1.2;
+// Smaller images rarely get smaller when recompressed
+const MIN_IMAGE_BYTES = 4096;
+// A JPEG that is not resampled is only replaced for a clear saving, since
+// every re-encode loses detail
+const JPEG_REENCODE_SAVING = 0.9;
+// Nesting limit for form XObjects drawn inside each other
+const MAX_FORM_DEPTH = 8;
+// Lowest image settings the target size mode will go down to
+const TARGET_SIZE_FLOOR = { imageDpi: 72, imageQuality: 30 };
+// Quality and resolution steps between target size attempts
+const QUALITY_STEP = 10;
+const DPI_STEP_RATIO = 0.8;
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Resolve compression settings from a level and explicit overrides
+ * @param {Object} options - { compressionLevel, imageDpi, imageQuality }
+ * @returns {Object} - { compressionLevel, imageDpi, imageQuality }
+ */
+const resolveCompressionSettings = (options = {}) => {
+  const compressionLevel = COMPRESSION_PRESETS[options.compressionLevel] ? options.compressionLevel : 'medium';
+  const preset = COMPRESSION_PRESETS[compressionLevel];
+  return {
+    compressionLevel,
+    imageDpi: Number(options.imageDpi) || preset.imageDpi,
+    imageQuality: Number(options.imageQuality) || preset.imageQuality
+  };
+};
+
+const filtersOf = (dict) => {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFName) return [filter.decodeText()];
+  if (filter instanceof PDFArray) return filter.asArray().map(name => name.decodeText());
+  return [];
+};
+
+/**
+ * Record the largest size (in points) each image XObject is drawn at
+ * @param {PDFDocument} pdfDoc - Loaded document
+ * @param {Array<String>} warnings - Collects the pages that could not be read
+ * @returns {Map<String, Object>} - Ref tag -> { width, height }
+ */
+const collectImagePlacements = (pdfDoc, warnings = []) => {
+  const { context } = pdfDoc;
+  const placements = new Map();
+
+  const record = (ref, matrix) => {
+    const width = Math.hypot(matrix[0], matrix[1]);
+    const height = Math.hypot(matrix[2], matrix[3]);
+    const current = placements.get(ref.tag) || { width: 0, height: 0 };
+    placements.set(ref.tag, {
+      width: Math.max(current.width, width),
+      height: Math.max(current.height, height)
+    });
+  };
+
+  const visit = (content, resources, baseMatrix, depth) => {
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) return;
+
+    const saved = [];
+    let matrix = baseMatrix;
+    for (const { operator, operands } of parseContentStream(content)) {
+      if (operator === 'q') {
+        saved.push(matrix);
+      } else if (operator === 'Q') {
+        matrix = saved.pop() || baseMatrix;
+      } else if (operator === 'cm' && operands.length === 6) {
+        matrix = multiplyMatrix(operands, matrix);
+      } else if (operator === 'Do' && operands[0] && operands[0].type === 'name') {
+        const ref = xObjects.get(PDFName.of(operands[0].value));
+        const xObject = ref instanceof PDFRef ? context.lookup(ref) : null;
+        if (!(xObject instanceof PDFStream)) continue;
+
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image')) {
+          record(ref, matrix);
+        } else if (subtype === PDFName.of('Form') && depth < MAX_FORM_DEPTH) {
+          const formMatrix = xObject.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+          const formResources = xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+          visit(
+            decodeStreamContents(xObject),
+            formResources,
+            multiplyMatrix(formMatrix ? formMatrix.asArray().map(n => n.asNumber()) : IDENTITY_MATRIX, matrix),
+            depth + 1
+          );
+        }
+      }
+    }
+  };
+
+  pdfDoc.getPages().forEach((page, index) => {
+    try {
+      visit(getPageContent(page.node), page.node.Resources(), IDENTITY_MATRIX, 0);
+    } catch (error) {
+      // Images on pages we cannot parse are recompressed without resampling
+      warnings.push(`Could not read image placement on page ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return placements;
+};
+
+/**
+ * Undo PNG predictors (Predictor >= 10) on decoded image rows
+ */
+const removePngPredictor = (data, width, height, channels) => {
+  const rowLength = width * channels;
+  const output = Buffer.alloc(rowLength * height);
+  let previous = Buffer.alloc(rowLength);
+
+  for (let row = 0; row < height; row++) {
+    const offset = row * (rowLength + 1);
+    const type = data[offset];
+    const line = data.subarray(offset + 1, offset + 1 + rowLength);
+    const out = output.subarray(row * rowLength, (row + 1) * rowLength);
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= channels ? out[i - channels] : 0;
+      const up = previous[i];
+      const upLeft = i >= channels ? previous[i - channels] : 0;
+      let value = line[i];
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+      }
+      out[i] = value & 0xff;
+    }
+    previous = out;
+  }
+
+  return output;
+};
+
+/**
+ * Number of colour components of an image colour space we can re-encode
+ * @returns {Number|null} - 1 or 3, or null for unsupported colour spaces
+ */
+const imageChannels = (context, colorSpace) => {
+  if (colorSpace === PDFName.of('DeviceGray')) return 1;
+  if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+    const profile = context.lookup(colorSpace.get(1));
+    const components = profile instanceof PDFStream && profile.dict.lookup(PDFName.of('N'));
+    const count = components instanceof PDFNumber ? components.asNumber() : null;
+    return count === 1 || count === 3 ? count : null;
+  }
+  return null;
+};
+
+/**
+ * Recompress one image XObject
+ * @param {PDFContext} context - Document context
+ * @param {PDFRawStream} stream - Image stream
+ * @param {Object|undefined} placement - Largest drawn size in points
+ * @param {Object} settings - { imageDpi, imageQuality }
+ * @param {Boolean} isSoftMask - Image is an alpha channel and must stay lossless
+ * @returns {Promise<Object|null>} - { stream, downsampled } or null to keep the original
+ */
+const recompressImage = async (context, stream, placement, settings, isSoftMask) => {
+  const { dict, contents } = stream;
+  if (contents.length < MIN_IMAGE_BYTES) return null;
+  if (dict.lookup(PDFName.of('ImageMask')) === PDFBool.True) return null;
+  // Colour key masks and decode arrays do not survive lossy re-encoding
+  if (dict.lookup(PDFName.of('Mask')) instanceof PDFArray || dict.lookup(PDFName.of('Decode'))) return null;
+
+  const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+  const bits = dict.lookup(PDFName.of('BitsPerComponent'));
+  if (!(bits instanceof PDFNumber) || bits.asNumber() !== 8) return null;
+
+  const channels = isSoftMask ? 1 : imageChannels(context, dict.lookup(PDFName.of('ColorSpace')));
+  if (!channels) return null;
+
+  const filters = filtersOf(dict);
+  let image;
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    image = sharp(Buffer.from(contents));
+    const metadata = await image.metadata();
+    // CMYK JPEGs are often stored inverted; leave them alone
+    if (metadata.channels !== channels) return null;
+  } else if (filters.length === 1 && filters[0] === 'FlateDecode') {
+    let pixels = zlib.inflateSync(Buffer.from(contents));
+    const parms = dict.lookupMaybe(PDFName.of('DecodeParms'), PDFDict);
+    const predictor = parms && parms.lookup(PDFName.of('Predictor'));
+    if (predictor instanceof PDFNumber && predictor.asNumber() >= 10) {
+      pixels = removePngPredictor(pixels, width, height, channels);
+    } else if (predictor instanceof PDFNumber && predictor.asNumber() > 1) {
+      return null;
+    }
+    if (pixels.length < width * height * channels) return null;
+    image = sharp(pixels, { raw: { width, height, channels } });
+  } else {
+    return null;
+  }
+
+  // Resample images drawn at a higher resolution than the target
+  let targetWidth = width;
+  let targetHeight = height;
+  if (placement && placement.width > 0 && placement.height > 0) {
+    const dpi = Math.min(width / (placement.width / 72), height / (placement.height / 72));
+    if (dpi > settings.imageDpi * DOWNSAMPLE_THRESHOLD) {
+      const scale = settings.imageDpi / dpi;
+      targetWidth = Math.max(1, Math.round(width * scale));
+      targetHeight = Math.max(1, Math.round(height * scale));
+    }
+  }
+  const downsampled = targetWidth !== width || targetHeight !== height;
+  if (downsampled) {
+    image = image.resize(targetWidth, targetHeight, { fit: 'fill', kernel: 'lanczos3' });
+  }
+
+  const newDict = dict.clone(context);
+  newDict.set(PDFName.of('Width'), PDFNumber.of(targetWidth));
+  newDict.set(PDFName.of('Height'), PDFNumber.of(targetHeight));
+  newDict.delete(PDFName.of('DecodeParms'));
+  newDict.delete(PDFName.of('Length'));
+
+  let data;
+  if (isSoftMask) {
+    // Alpha channels stay lossless
+    const raw = await image.extractChannel(0).raw().toBuffer();
+    data = zlib.deflateSync(raw, { level: 9 });
+    newDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  } else {
+    if (channels === 1) image = image.toColourspace('b-w');
+    data = await image.jpeg({ quality: settings.imageQuality, mozjpeg: true }).toBuffer();
+    newDict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+  }
+
+  const required = !downsampled && filters[0] === 'DCTDecode'
+    ? contents.length * JPEG_REENCODE_SAVING
+    : contents.length;
+  if (data.length >= required) return null;
+
+  return { stream: PDFRawStream.of(newDict, data), downsampled };
+};
+
+/**
+ * Recompress every image in the document
+ * @param {Array<String>} warnings - Collects the images that were kept as they were
+ * @returns {Promise<Object>} - { imageCount, imagesRecompressed, imagesDownsampled }
+ */
+const compressImages = async (pdfDoc, settings, warnings) => {
+  const { context } = pdfDoc;
+  const placements = collectImagePlacements(pdfDoc, warnings);
+
+  // Soft masks are drawn wherever their image is drawn
+  const softMasks = new Set();
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream)) continue;
+    const sMask = object.dict.get(PDFName.of('SMask'));
+    if (sMask instanceof PDFRef) {
+      softMasks.add(sMask.tag);
+      if (placements.has(ref.tag)) placements.set(sMask.tag, placements.get(ref.tag));
+    }
+  }
+
+  let imageCount = 0;
+  let imagesRecompressed = 0;
+  let imagesDownsampled = 0;
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) {
+      continue;
+    }
+    imageCount++;
+    try {
+      const result = await recompressImage(context, object, placements.get(ref.tag), settings, softMasks.has(ref.tag));
+      if (result) {
+        context.assign(ref, result.stream);
+        imagesRecompressed++;
+        if (result.downsampled) imagesDownsampled++;
+      }
+    } catch (error) {
+      // Damaged or exotic images are kept as they are
+      warnings.push(`Skipping image ${ref.tag}: ${error.message}`);
+    }
+  }
+
+  return { imageCount, imagesRecompressed, imagesDownsampled };
+};
+
+/**
+ * Deflate streams that are stored uncompressed
+ * @returns {Number} - Streams compressed
+ */
+const deflateStreams = (context) => {
+  let count = 0;
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.has(PDFName.of('Filter'))) continue;
+    if (object.contents.length < 64) continue;
+
+    const data = zlib.deflateSync(Buffer.from(object.contents), { level: 9 });
+    if (data.length >= object.contents.length) continue;
+
+    const dict = object.dict.clone(context);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.delete(PDFName.of('Length'));
+    context.assign(ref, PDFRawStream.of(dict, data));
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Replace references inside an object using a ref tag -> ref map
+ */
+const replaceRefs = (object, replacements) => {
+  if (object instanceof PDFStream) {
+    replaceRefs(object.dict, replacements);
+  } else if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      if (value instanceof PDFRef && replacements.has(value.tag)) {
+        object.set(key, replacements.get(value.tag));
+      } else {
+        replaceRefs(value, replacements);
+      }
+    }
+  } else if (object instanceof PDFArray) {
+    object.asArray().forEach((value, index) => {
+      if (value instanceof PDFRef && replacements.has(value.tag)) {
+        object.set(index, replacements.get(value.tag));
+      } else {
+        replaceRefs(value, replacements);
+      }
+    });
+  }
+};
+
+/**
+ * Store byte-identical streams (fonts, images, forms) only once
+ * @returns {Number} - Duplicate streams removed
+ */
+const deduplicateStreams = (context) => {
+  let removed = 0;
+
+  // Merging streams can make the dictionaries that point at them identical,
+  // so repeat until nothing changes
+  for (let pass = 0; pass < 3; pass++) {
+    const seen = new Map();
+    const replacements = new Map();
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFRawStream)) continue;
+      const hash = crypto.createHash('sha1')
+        .update(object.dict.toString())
+        .update(object.contents)
+        .digest('hex');
+      if (seen.has(hash)) {
+        replacements.set(ref.tag, seen.get(hash));
+      } else {
+        seen.set(hash, ref);
+      }
+    }
+
+    if (replacements.size === 0) break;
+
+    for (const [, object] of context.enumerateIndirectObjects()) {
+      replaceRefs(object, replacements);
+    }
+    for (const tag of replacements.keys()) {
+      const [objectNumber, generation] = tag.split(' ').map(Number);
+      context.delete(PDFRef.of(objectNumber, generation));
+    }
+    removed += replacements.size;
+  }
+
+  return removed;
+};
+
+/**
+ * Delete objects that cannot be reached from the document trailer
+ * @returns {Number} - Objects removed
+ */
+const removeUnreachableObjects = (context) => {
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt];
+
+  while (pending.length > 0) {
+    const object = pending.pop();
+    if (!object) continue;
+    if (object instanceof PDFRef) {
+      if (reachable.has(object.tag)) continue;
+      reachable.add(object.tag);
+      pending.push(context.lookup(object));
+    } else if (object instanceof PDFStream) {
+      pending.push(object.dict);
+    } else if (object instanceof PDFDict) {
+      pending.push(...object.values());
+    } else if (object instanceof PDFArray) {
+      pending.push(...object.asArray());
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.tag)) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Drop the document information dictionary, XMP packets, thumbnails and
+ * application private data
+ */
+const stripMetadata = (pdfDoc) => {
+  const { context } = pdfDoc;
+  context.trailerInfo.Info = undefined;
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFStream ? object.dict : object;
+    if (!(dict instanceof PDFDict)) continue;
+    dict.delete(PDFName.of('Metadata'));
+    dict.delete(PDFName.of('PieceInfo'));
+    if (dict.lookup(PDFName.of('Type')) === PDFName.of('Page')) {
+      dict.delete(PDFName.of('Thumb'));
+    }
+  }
+};
+
+/**
+ * Compress a PDF document
+ * @param {Buffer} pdfBuffer - Source PDF
+ * @param {Object} options - { compressionLevel, imageDpi, imageQuality, stripMetadata }
+ * @returns {Promise<Object>} - { buffer, settings, stats, warnings }
+ */
+const compressDocument = async (pdfBuffer, options = {}) => {
+  const settings = resolveCompressionSettings(options);
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context } = pdfDoc;
+
+  const metadataRemoved = options.stripMetadata !== false;
+  if (metadataRemoved) {
+    stripMetadata(pdfDoc);
+  }
+
+  // Identical images must be merged before they are resampled, since copies
+  // drawn at different sizes would no longer match afterwards
+  let duplicateStreamsRemoved = deduplicateStreams(context);
+  const warnings = [];
+  const imageStats = await compressImages(pdfDoc, settings, warnings);
+  const streamsDeflated = deflateStreams(context);
+  duplicateStreamsRemoved += deduplicateStreams(context);
+  const unusedObjectsRemoved = removeUnreachableObjects(context);
+
+  const bytes = await pdfDoc.save({
+    useObjectStreams: true,
+    addDefaultPage: false,
+    updateFieldAppearances: false
+  });
+
+  return {
+    buffer: Buffer.from(bytes),
+    settings,
+    stats: {
+      ...imageStats,
+      streamsDeflated,
+      duplicateStreamsRemoved,
+      unusedObjectsRemoved,
+      metadataRemoved
+    },
+    warnings
+  };
+};
+
+/**
+ * Image settings to try, from the starting settings down to the floor.
+ * Quality and resolution are lowered in turn so neither collapses first.
+ * @param {Object} start - { imageDpi, imageQuality }
+ * @param {Object} floor - { imageDpi, imageQuality }
+ * @returns {Array<Object>} - [{ imageDpi, imageQuality }]
+ */
+const buildSettingsLadder = (start, floor) => {
+  let imageDpi = Math.max(start.imageDpi, floor.imageDpi);
+  let imageQuality = Math.max(start.imageQuality, floor.imageQuality);
+  const steps = [{ imageDpi, imageQuality }];
+
+  while (imageQuality > floor.imageQuality || imageDpi > floor.imageDpi) {
+    if (imageQuality > floor.imageQuality && (steps.length % 2 === 1 || imageDpi <= floor.imageDpi)) {
+      imageQuality = Math.max(floor.imageQuality, imageQuality - QUALITY_STEP);
+    } else {
+      imageDpi = Math.max(floor.imageDpi, Math.round(imageDpi * DPI_STEP_RATIO));
+    }
+    steps.push({ imageDpi, imageQuality });
+  }
+
+  return steps;
+};
+
+/**
+ * Compress a PDF until it fits a size limit, lowering image quality and
+ * resolution step by step until it fits or the floor is reached. The floor is
+ * tried right after the first step so hopeless targets fail fast.
+ * @param {Buffer} pdfBuffer - Source PDF
+ * @param {Number} targetSizeBytes - Size the result should not exceed
+ * @param {Object} options - compressDocument options, plus minImageDpi and minImageQuality
+ * @returns {Promise<Object>} - compressDocument result plus { targetSizeBytes, targetMet, attempts }
+ */
+const compressToTargetSize = async (pdfBuffer, targetSizeBytes, options = {}) => {
+  const start = resolveCompressionSettings({ ...options, compressionLevel: options.compressionLevel || 'low' });
+  const floor = {
+    imageDpi: options.minImageDpi || TARGET_SIZE_FLOOR.imageDpi,
+    imageQuality: options.minImageQuality || TARGET_SIZE_FLOOR.imageQuality
+  };
+
+  const ladder = buildSettingsLadder(start, floor);
+  let attempts = 0;
+  const attempt = async (step) => {
+    attempts++;
+    return compressDocument(pdfBuffer, { ...options, ...step, compressionLevel: start.compressionLevel });
+  };
+
+  let best = await attempt(ladder[0]);
+  // Without images there is nothing left to trade for size
+  if (best.buffer.length > targetSizeBytes && best.stats.imageCount > 0 && ladder.length > 1) {
+    // If even the floor does not fit, the steps in between cannot either
+    const lowest = await attempt(ladder[ladder.length - 1]);
+    if (lowest.buffer.length < best.buffer.length) {
+      best = lowest;
+    }
+    if (lowest.buffer.length <= targetSizeBytes) {
+      // Keep as much quality as the limit allows
+      for (const step of ladder.slice(1, -1)) {
+        const result = await attempt(step);
+        if (result.buffer.length <= targetSizeBytes) {
+          best = result;
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    ...best,
+    targetSizeBytes,
+    targetMet: best.buffer.length <= targetSizeBytes,
+    attempts
+  };
+};
+
+module.exports = {
+  COMPRESSION_PRESETS,
+  resolveCompressionSettings,
+  filtersOf,
+  removePngPredictor,
+  imageChannels,
+  removeUnreachableObjects,
+  collectImagePlacements,
+  buildSettingsLadder,
+  compressDocument,
+  compressToTargetSize
+};
@@ -0,0 +1,362 @@
+/**
+ * PDF content stream parsing for PDFSpark
+ *
+ * pdf-lib can build content streams but not read them back, so this module
+ * tokenizes page and form XObject content into operations that services can
+ * inspect (image placement, text runs, graphics state), and writes edited
+ * operations back out.
+ */
+
+const {
+  PDFArray,
+  PDFRawStream,
+  PDFName,
+  decodePDFRawStream
+} = require('pdf-lib');
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+const isWhitespace = (byte) => WHITESPACE.has(byte);
+const isRegular = (byte) => byte !== undefined && !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+
+/**
+ * Tokenizer over a content stream buffer
+ */
+class ContentLexer {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  skipWhitespaceAndComments() {
+    const { bytes } = this;
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos];
+      if (isWhitespace(byte)) {
+        this.pos++;
+      } else if (byte === 0x25) {
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readLiteralString() {
+    const { bytes } = this;
+    const out = [];
+    let depth = 1;
+    this.pos++;
+
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos++];
+      if (byte === 0x5c) {
+        const next = bytes[this.pos++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+          out.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+            octal = octal * 8 + (bytes[this.pos++] - 0x30);
+          }
+          out.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          // Line continuation
+          if (bytes[this.pos] === 0x0a) this.pos++;
+        } else if (next !== 0x0a) {
+          out.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        out.push(byte);
+      } else if (byte === 0x29) {
+        if (--depth === 0) break;
+        out.push(byte);
+      } else {
+        out.push(byte);
+      }
+    }
+
+    return { type: 'string', value: Buffer.from(out), hex: false };
+  }
+
+  readHexString() {
+    const { bytes } = this;
+    let hex = '';
+    this.pos++;
+    while (this.pos < bytes.length && bytes[this.pos] !== 0x3e) {
+      const char = String.fromCharCode(bytes[this.pos++]);
+      if (/[0-9a-fA-F]/.test(char)) hex += char;
+    }
+    this.pos++;
+    if (hex.length % 2 === 1) hex += '0';
+    return { type: 'string', value: Buffer.from(hex, 'hex'), hex: true };
+  }
+
+  readName() {
+    const { bytes } = this;
+    let name = '';
+    this.pos++;
+    while (isRegular(bytes[this.pos])) {
+      if (bytes[this.pos] === 0x23 && /^[0-9a-fA-F]{2}$/.test(String.fromCharCode(bytes[this.pos + 1], bytes[this.pos + 2]))) {
+        name += String.fromCharCode(parseInt(String.fromCharCode(bytes[this.pos + 1], bytes[this.pos + 2]), 16));
+        this.pos += 3;
+      } else {
+        name += String.fromCharCode(bytes[this.pos++]);
+      }
+    }
+    return { type: 'name', value: name };
+  }
+
+  readKeyword() {
+    const start = this.pos;
+    while (isRegular(this.bytes[this.pos])) this.pos++;
+    return this.bytes.toString('latin1', start, this.pos);
+  }
+
+  /**
+   * Read the next token
+   * @returns {Object|null} - { kind: 'value'|'operator'|'arrayStart'|'arrayEnd'|'dictStart'|'dictEnd', value }
+   */
+  next() {
+    this.skipWhitespaceAndComments();
+    const { bytes } = this;
+    if (this.pos >= bytes.length) return null;
+
+    const byte = bytes[this.pos];
+    if (byte === 0x28) return { kind: 'value', value: this.readLiteralString() };
+    if (byte === 0x2f) return { kind: 'value', value: this.readName() };
+    if (byte === 0x5b) { this.pos++; return { kind: 'arrayStart' }; }
+    if (byte === 0x5d) { this.pos++; return { kind: 'arrayEnd' }; }
+    if (byte === 0x3c) {
+      if (bytes[this.pos + 1] === 0x3c) { this.pos += 2; return { kind: 'dictStart' }; }
+      return { kind: 'value', value: this.readHexString() };
+    }
+    if (byte === 0x3e) {
+      this.pos += bytes[this.pos + 1] === 0x3e ? 2 : 1;
+      return { kind: 'dictEnd' };
+    }
+    if (byte === 0x7b || byte === 0x7d || byte === 0x29) {
+      // PostScript braces and stray parentheses carry no meaning here
+      this.pos++;
+      return this.next();
+    }
+
+    const keyword = this.readKeyword();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(keyword)) return { kind: 'value', value: parseFloat(keyword) };
+    if (keyword === 'true' || keyword === 'false') return { kind: 'value', value: keyword === 'true' };
+    if (keyword === 'null') return { kind: 'value', value: null };
+    return { kind: 'operator', value: keyword };
+  }
+
+  /**
+   * Read the binary data of an inline image, positioned right after ID
+   * @param {Number} [length] - Data length from the /L entry, when present
+   * @returns {Buffer}
+   */
+  readInlineImageData(length) {
+    const { bytes } = this;
+    // A single whitespace byte separates ID from the data
+    this.pos++;
+    const start = this.pos;
+
+    if (Number.isInteger(length) && length >= 0) {
+      this.pos = Math.min(start + length, bytes.length);
+    } else {
+      // EI must be preceded and followed by whitespace (or end the stream)
+      let end = start;
+      while (end < bytes.length - 1) {
+        if (isWhitespace(bytes[end]) && bytes[end + 1] === 0x45 && bytes[end + 2] === 0x49 &&
+            (end + 3 >= bytes.length || isWhitespace(bytes[end + 3]))) {
+          break;
+        }
+        end++;
+      }
+      this.pos = end;
+    }
+
+    const data = bytes.subarray(start, this.pos);
+    this.skipWhitespaceAndComments();
+    if (bytes.toString('latin1', this.pos, this.pos + 2) === 'EI') this.pos += 2;
+    return data;
+  }
+}
+
+/**
+ * Convert a list of key/value tokens into a dictionary operand
+ */
+const toDict = (values) => {
+  const entries = {};
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    const key = values[i];
+    if (key && key.type === 'name') entries[key.value] = values[i + 1];
+  }
+  return { type: 'dict', value: entries };
+};
+
+/**
+ * Read a complete operand, descending into arrays and dictionaries
+ * @returns {*} - Operand value, or undefined for tokens that are not values
+ */
+const readValue = (lexer, token) => {
+  if (token.kind === 'value') return token.value;
+  if (token.kind !== 'arrayStart' && token.kind !== 'dictStart') return undefined;
+
+  const closing = token.kind === 'arrayStart' ? 'arrayEnd' : 'dictEnd';
+  const values = [];
+  let inner;
+  while ((inner = lexer.next()) && inner.kind !== closing) {
+    const value = readValue(lexer, inner);
+    if (value !== undefined) values.push(value);
+  }
+  return token.kind === 'arrayStart' ? values : toDict(values);
+};
+
+/**
+ * Parse a content stream into operations
+ * @param {Buffer|Uint8Array} content - Decoded content stream bytes
+ * @returns {Array<Object>} - [{ operator, operands }]; inline images are
+ *   returned as { operator: 'BI', operands: [dict], data }
+ */
+const parseContentStream = (content) => {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  const lexer = new ContentLexer(bytes);
+  const operations = [];
+  let operands = [];
+
+  let token;
+  while ((token = lexer.next())) {
+    if (token.kind !== 'operator') {
+      const value = readValue(lexer, token);
+      if (value !== undefined) operands.push(value);
+      continue;
+    }
+
+    if (token.value === 'BI') {
+      // Inline image: key/value pairs up to ID, then raw data up to EI
+      const values = [];
+      let entry;
+      while ((entry = lexer.next()) && !(entry.kind === 'operator' && entry.value === 'ID')) {
+        const value = readValue(lexer, entry);
+        if (value !== undefined) values.push(value);
+      }
+      const dict = toDict(values);
+      const length = dict.value.L ?? dict.value.Length;
+      operations.push({ operator: 'BI', operands: [dict], data: lexer.readInlineImageData(length) });
+    } else {
+      operations.push({ operator: token.value, operands });
+    }
+    operands = [];
+  }
+
+  return operations;
+};
+
+/**
+ * Decode a content stream object into bytes
+ * @param {PDFRawStream|PDFStream} stream - Stream from a pdf-lib context
+ * @returns {Buffer}
+ */
+const decodeStreamContents = (stream) => {
+  if (stream instanceof PDFRawStream) {
+    const filter = stream.dict.lookup(PDFName.of('Filter'));
+    return Buffer.from(filter ? decodePDFRawStream(stream).decode() : stream.contents);
+  }
+  if (typeof stream.getUnencodedContents === 'function') {
+    return Buffer.from(stream.getUnencodedContents());
+  }
+  return Buffer.from(stream.getContents());
+};
+
+/**
+ * Read the full content of a page, joining content stream arrays
+ * @param {PDFPageLeaf} pageNode - page.node from pdf-lib
+ * @returns {Buffer}
+ */
+const getPageContent = (pageNode) => {
+  const contents = pageNode.Contents();
+  if (!contents) return Buffer.alloc(0);
+
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => pageNode.context.lookup(ref))
+    : [contents];
+
+  // Streams of one page may split anywhere between tokens, so keep them apart
+  return Buffer.concat(streams.filter(Boolean).flatMap(stream => [decodeStreamContents(stream), Buffer.from('\n')]));
+};
+
+/**
+ * Multiply two 2D affine matrices ([a b c d e f], m1 applied first)
+ */
+const multiplyMatrix = (m1, m2) => [
+  m1[0] * m2[0] + m1[1] * m2[2],
+  m1[0] * m2[1] + m1[1] * m2[3],
+  m1[2] * m2[0] + m1[3] * m2[2],
+  m1[2] * m2[1] + m1[3] * m2[3],
+  m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+  m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+];
+
+/**
+ * Write one operand in content stream syntax
+ */
+const writeOperand = (value) => {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    // Content streams have no exponent notation
+    return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+  }
+  if (Array.isArray(value)) return `[${value.map(writeOperand).join(' ')}]`;
+  if (value.type === 'name') {
+    const escaped = Array.from(Buffer.from(value.value, 'latin1'), byte => (
+      isRegular(byte) && byte !== 0x23 && byte > 0x20 && byte < 0x7f
+        ? String.fromCharCode(byte)
+        : `#${byte.toString(16).padStart(2, '0')}`
+    )).join('');
+    return `/${escaped}`;
+  }
+  if (value.type === 'string') {
+    if (value.hex) return `<${value.value.toString('hex')}>`;
+    // Line ends inside strings are escaped so readers do not normalise them
+    const escaped = Array.from(value.value, byte => {
+      if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return `\\${String.fromCharCode(byte)}`;
+      if (byte === 0x0d) return '\\r';
+      if (byte === 0x0a) return '\\n';
+      return String.fromCharCode(byte);
+    }).join('');
+    return `(${escaped})`;
+  }
+  if (value.type === 'dict') {
+    return `<<${Object.entries(value.value).map(([key, entry]) => `${writeOperand({ type: 'name', value: key })} ${writeOperand(entry)}`).join(' ')}>>`;
+  }
+  throw new Error(`Cannot write content stream operand: ${JSON.stringify(value)}`);
+};
+
+/**
+ * Write operations from parseContentStream back into a content stream
+ * @param {Array<Object>} operations - [{ operator, operands, data? }]
+ * @returns {Buffer} - Uncompressed content stream bytes
+ */
+const writeContentStream = (operations) => Buffer.concat(operations.map(({ operator, operands, data }) => {
+  if (operator === 'BI') {
+    const entries = Object.entries(operands[0].value)
+      .map(([key, value]) => `${writeOperand({ type: 'name', value: key })} ${writeOperand(value)}`);
+    return Buffer.concat([
+      Buffer.from(`BI ${entries.join(' ')} ID `, 'latin1'),
+      data,
+      Buffer.from('\nEI\n', 'latin1')
+    ]);
+  }
+  return Buffer.from(`${[...operands.map(writeOperand), operator].join(' ')}\n`, 'latin1');
+}));
+
+module.exports = {
+  parseContentStream,
+  writeContentStream,
+  decodeStreamContents,
+  getPageContent,
+  multiplyMatrix
+};
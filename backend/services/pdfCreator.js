@@ -0,0 +1,395 @@
+/**
+ * PDF creation for PDFSpark
+ *
+ * Turns other documents into PDFs. Office documents (DOCX, XLSX, PPTX) are
+ * rendered by a headless LibreOffice running on the server; plain text and
+ * images are laid out natively with pdf-lib, so they need no office engine.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { pathToFileURL } = require('url');
+const { PDFDocument, PageSizes, StandardFonts } = require('pdf-lib');
+const sharp = require('sharp');
+
+// LibreOffice binary, "soffice" from the PATH unless configured
+const OFFICE_BINARY = process.env.LIBREOFFICE_PATH || 'soffice';
+// Large spreadsheets and presentations can take a while, but never forever
+const OFFICE_TIMEOUT_MS = Number(process.env.LIBREOFFICE_TIMEOUT_MS) || 120000;
+const OFFICE_FORMATS = ['docx', 'xlsx', 'pptx'];
+
+// Plain text layout: Courier on A4 with 2 cm margins
+const TEXT_FONT_SIZE = 10;
+const TEXT_LINE_HEIGHT = 12;
+const TEXT_MARGIN = 56.7;
+const TAB_WIDTH = 8;
+
+// Resolution assumed for images that do not store one
+const DEFAULT_IMAGE_DPI = 72;
+
+// Pages images can be assembled on, "fit" sizes every page to its image
+const IMAGE_PAGE_SIZES = {
+  a4: PageSizes.A4,
+  letter: PageSizes.Letter,
+  fit: null
+};
+const IMAGE_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+// Margins are given in points, up to 2 inches
+const MAX_IMAGE_MARGIN = 144;
+// Assembled images are downsampled to this resolution at their printed size
+const ASSEMBLED_IMAGE_DPI = 200;
+const ASSEMBLED_IMAGE_QUALITY = 85;
+
+/**
+ * Convert an office document with LibreOffice
+ *
+ * Every run gets its own working directory and user profile, so parallel
+ * conversions do not trip over LibreOffice's profile lock.
+ * @param {String} inputPath - Path of the document
+ * @param {String} sourceFormat - "docx", "xlsx" or "pptx"
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+const convertOfficeDocument = async (inputPath, sourceFormat) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfspark-office-'));
+
+  try {
+    // The output is named after the input, so convert a copy with a known name
+    const sourcePath = path.join(workDir, `source.${sourceFormat}`);
+    fs.copyFileSync(inputPath, sourcePath);
+
+    await new Promise((resolve, reject) => {
+      execFile(OFFICE_BINARY, [
+        '--headless',
+        '--norestore',
+        '--nolockcheck',
+        `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile')).href}`,
+        '--convert-to', 'pdf',
+        '--outdir', workDir,
+        sourcePath
+      ], { timeout: OFFICE_TIMEOUT_MS, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+        if (!error) {
+          return resolve();
+        }
+        if (error.code === 'ENOENT') {
+          return reject(new Error('LibreOffice is not installed, office documents cannot be converted to PDF'));
+        }
+        if (error.killed) {
+          return reject(new Error(`Converting the ${sourceFormat} document took longer than ${OFFICE_TIMEOUT_MS / 1000} seconds`));
+        }
+        reject(new Error(`LibreOffice failed to convert the ${sourceFormat} document: ${(stderr || error.message).trim()}`));
+      });
+    });
+
+    const outputPath = path.join(workDir, 'source.pdf');
+    if (!fs.existsSync(outputPath)) {
+      throw new Error(`LibreOffice could not read the ${sourceFormat} document`);
+    }
+    return fs.readFileSync(outputPath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Lay out plain text on A4 pages
+ *
+ * Long lines wrap at the last space that fits, form feeds start a new page.
+ * The standard Courier font only covers WinAnsi, other characters are
+ * replaced with "?" and counted.
+ * @param {Buffer} buffer - UTF-8 text, with or without a byte order mark
+ * @returns {Promise<Object>} - { buffer, pageCount, replacedCharacters }
+ */
+const createPdfFromText = async (buffer) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Courier);
+  const supported = new Set(font.getCharacterSet());
+
+  const [pageWidth, pageHeight] = PageSizes.A4;
+  const charsPerLine = Math.floor((pageWidth - 2 * TEXT_MARGIN) / font.widthOfTextAtSize('M', TEXT_FONT_SIZE));
+  const linesPerPage = Math.floor((pageHeight - 2 * TEXT_MARGIN) / TEXT_LINE_HEIGHT);
+
+  let replacedCharacters = 0;
+  const cleanLine = (line) => {
+    let column = 0;
+    let result = '';
+    for (const char of line) {
+      if (char === '\t') {
+        const spaces = TAB_WIDTH - (column % TAB_WIDTH);
+        result += ' '.repeat(spaces);
+        column += spaces;
+        continue;
+      }
+      if (supported.has(char.codePointAt(0))) {
+        result += char;
+      } else {
+        result += '?';
+        replacedCharacters += 1;
+      }
+      column += 1;
+    }
+    return result;
+  };
+
+  const wrapLine = (line) => {
+    const parts = [];
+    let rest = line.replace(/\s+$/, '');
+    while (rest.length > charsPerLine) {
+      const breakAt = rest.lastIndexOf(' ', charsPerLine);
+      const cut = breakAt > 0 ? breakAt : charsPerLine;
+      parts.push(rest.slice(0, cut));
+      rest = rest.slice(cut).replace(/^ /, '');
+    }
+    parts.push(rest);
+    return parts;
+  };
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  // Each form feed separated section starts on a new page
+  text.split('\f').forEach(section => {
+    const lines = section
+      .replace(/[\r\n]+$/, '')
+      .split(/\r\n|\r|\n/)
+      .flatMap(line => wrapLine(cleanLine(line)));
+
+    for (let start = 0; start < lines.length; start += linesPerPage) {
+      const page = pdfDoc.addPage([pageWidth, pageHeight]);
+      lines.slice(start, start + linesPerPage).forEach((line, index) => {
+        if (line) {
+          page.drawText(line, {
+            x: TEXT_MARGIN,
+            y: pageHeight - TEXT_MARGIN - TEXT_FONT_SIZE - index * TEXT_LINE_HEIGHT,
+            size: TEXT_FONT_SIZE,
+            font
+          });
+        }
+      });
+    }
+  });
+
+  const result = await pdfDoc.save();
+  return { buffer: Buffer.from(result), pageCount: pdfDoc.getPageCount(), replacedCharacters };
+};
+
+/**
+ * Put an image on a page of its own size
+ *
+ * The page measures the image at its stored resolution (72 dpi when it has
+ * none), so a 300 dpi A4 scan comes out as an A4 page.
+ * @param {Buffer} buffer - JPG or PNG bytes
+ * @param {String} sourceFormat - "jpg" or "png"
+ * @returns {Promise<Object>} - { buffer, pageCount }
+ */
+const createPdfFromImage = async (buffer, sourceFormat) => {
+  const metadata = await sharp(buffer).metadata();
+  const dpi = metadata.density || DEFAULT_IMAGE_DPI;
+
+  const pdfDoc = await PDFDocument.create();
+  const image = sourceFormat === 'png'
+    ? await pdfDoc.embedPng(buffer)
+    : await pdfDoc.embedJpg(buffer);
+
+  const width = (image.width * 72) / dpi;
+  const height = (image.height * 72) / dpi;
+  pdfDoc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+
+  const result = await pdfDoc.save();
+  return { buffer: Buffer.from(result), pageCount: 1 };
+};
+
+/**
+ * Check and normalise the page layout of an images-to-PDF assembly
+ * @param {Object} options - { pageSize, orientation, margin, autoRotate }
+ * @returns {Object} - Layout with defaults applied
+ * @throws {Error} If an option is invalid
+ */
+const validateImageLayoutOptions = (options = {}) => {
+  const pageSize = String(options.pageSize || 'a4').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(IMAGE_PAGE_SIZES, pageSize)) {
+    throw new Error(`Unsupported page size: ${options.pageSize}`);
+  }
+
+  const orientation = String(options.orientation || 'auto').toLowerCase();
+  if (!IMAGE_ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Unsupported orientation: ${options.orientation}`);
+  }
+
+  const margin = options.margin === undefined || options.margin === null || options.margin === ''
+    ? 0
+    : Number(options.margin);
+  if (!Number.isFinite(margin) || margin < 0 || margin > MAX_IMAGE_MARGIN) {
+    throw new Error(`Margin must be between 0 and ${MAX_IMAGE_MARGIN} points`);
+  }
+
+  return {
+    pageSize,
+    orientation,
+    margin,
+    autoRotate: options.autoRotate === undefined ? true : !!options.autoRotate
+  };
+};
+
+/**
+ * Work out the page of an assembled image and where the image goes on it
+ *
+ * Images keep their aspect ratio and are scaled to fit inside the margins,
+ * centred. With the "fit" page size the page takes the image's own size plus
+ * the margins, and the orientation does not apply. "auto" turns the page to
+ * match the image.
+ * @param {Number} imageWidth - Width of the image at its resolution, in points
+ * @param {Number} imageHeight - Height of the image at its resolution, in points
+ * @param {Object} layout - Layout from validateImageLayoutOptions
+ * @returns {Object} - { pageWidth, pageHeight, x, y, width, height } in points
+ */
+const planImagePage = (imageWidth, imageHeight, layout) => {
+  const { margin } = layout;
+  const pageSize = IMAGE_PAGE_SIZES[layout.pageSize];
+
+  if (!pageSize) {
+    return {
+      pageWidth: imageWidth + 2 * margin,
+      pageHeight: imageHeight + 2 * margin,
+      x: margin,
+      y: margin,
+      width: imageWidth,
+      height: imageHeight
+    };
+  }
+
+  const landscape = layout.orientation === 'landscape' ||
+    (layout.orientation === 'auto' && imageWidth > imageHeight);
+  const [shortSide, longSide] = [Math.min(...pageSize), Math.max(...pageSize)];
+  const pageWidth = landscape ? longSide : shortSide;
+  const pageHeight = landscape ? shortSide : longSide;
+
+  const scale = Math.min((pageWidth - 2 * margin) / imageWidth, (pageHeight - 2 * margin) / imageHeight);
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+
+  return {
+    pageWidth,
+    pageHeight,
+    x: (pageWidth - width) / 2,
+    y: (pageHeight - height) / 2,
+    width,
+    height
+  };
+};
+
+/**
+ * Prepare an image for its page with sharp
+ *
+ * Applies the EXIF orientation when asked to and downsamples the image to
+ * ASSEMBLED_IMAGE_DPI at the size it is printed, which keeps phone photos on
+ * A4 pages from blowing up the PDF. Images with transparency stay PNG, the
+ * rest are recompressed as JPEG.
+ * @param {Buffer} buffer - Image bytes in any format sharp reads
+ * @param {Object} layout - Layout from validateImageLayoutOptions
+ * @returns {Promise<Object>} - { data, format: 'jpg'|'png', placement }
+ */
+const prepareImage = async (buffer, layout) => {
+  const metadata = await sharp(buffer).metadata();
+  // EXIF orientations 5 to 8 turn the image by 90 degrees
+  const turned = layout.autoRotate && metadata.orientation >= 5;
+  const pixelWidth = turned ? metadata.height : metadata.width;
+  const pixelHeight = turned ? metadata.width : metadata.height;
+  const dpi = metadata.density || DEFAULT_IMAGE_DPI;
+
+  const placement = planImagePage((pixelWidth * 72) / dpi, (pixelHeight * 72) / dpi, layout);
+
+  let pipeline = sharp(buffer);
+  if (layout.autoRotate) {
+    pipeline = pipeline.rotate();
+  }
+  pipeline = pipeline.resize({
+    width: Math.max(1, Math.round((placement.width * ASSEMBLED_IMAGE_DPI) / 72)),
+    height: Math.max(1, Math.round((placement.height * ASSEMBLED_IMAGE_DPI) / 72)),
+    fit: 'inside',
+    withoutEnlargement: true
+  });
+
+  if (metadata.hasAlpha) {
+    return { data: await pipeline.png({ compressionLevel: 9 }).toBuffer(), format: 'png', placement };
+  }
+  return {
+    data: await pipeline.jpeg({ quality: ASSEMBLED_IMAGE_QUALITY, mozjpeg: true }).toBuffer(),
+    format: 'jpg',
+    placement
+  };
+};
+
+/**
+ * Assemble several images into one PDF, one image per page in the given order
+ * @param {Array<Buffer>} buffers - Image bytes
+ * @param {Object} options - Layout options (see validateImageLayoutOptions) and
+ *   onProgress(done, total)
+ * @returns {Promise<Object>} - { buffer, pageCount }
+ */
+const createPdfFromImages = async (buffers, options = {}) => {
+  if (!Array.isArray(buffers) || buffers.length === 0) {
+    throw new Error('No images to assemble');
+  }
+
+  const layout = validateImageLayoutOptions(options);
+  const pdfDoc = await PDFDocument.create();
+
+  for (let index = 0; index < buffers.length; index++) {
+    let prepared;
+    try {
+      prepared = await prepareImage(buffers[index], layout);
+    } catch (error) {
+      throw new Error(`Image ${index + 1} could not be read: ${error.message}`);
+    }
+
+    const image = prepared.format === 'png'
+      ? await pdfDoc.embedPng(prepared.data)
+      : await pdfDoc.embedJpg(prepared.data);
+    const { pageWidth, pageHeight, x, y, width, height } = prepared.placement;
+    pdfDoc.addPage([pageWidth, pageHeight]).drawImage(image, { x, y, width, height });
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, buffers.length);
+    }
+  }
+
+  const result = await pdfDoc.save();
+  return { buffer: Buffer.from(result), pageCount: pdfDoc.getPageCount() };
+};
+
+/**
+ * Convert a document to PDF
+ * @param {String} inputPath - Path of the document
+ * @param {String} sourceFormat - Format of the document (see config/conversionMatrix.json)
+ * @returns {Promise<Object>} - { buffer, pageCount, engine, replacedCharacters? }
+ */
+const createPdf = async (inputPath, sourceFormat) => {
+  if (OFFICE_FORMATS.includes(sourceFormat)) {
+    const buffer = await convertOfficeDocument(inputPath, sourceFormat);
+    const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+    return { buffer, pageCount: pdfDoc.getPageCount(), engine: 'libreoffice' };
+  }
+
+  const input = fs.readFileSync(inputPath);
+  switch (sourceFormat) {
+    case 'txt':
+      return { ...(await createPdfFromText(input)), engine: 'text' };
+    case 'jpg':
+    case 'png':
+      return { ...(await createPdfFromImage(input, sourceFormat)), engine: 'image' };
+    default:
+      throw new Error(`Cannot create a PDF from ${sourceFormat} files`);
+  }
+};
+
+module.exports = {
+  OFFICE_FORMATS,
+  IMAGE_PAGE_SIZES,
+  IMAGE_ORIENTATIONS,
+  validateImageLayoutOptions,
+  planImagePage,
+  createPdfFromText,
+  createPdfFromImage,
+  createPdfFromImages,
+  createPdf
+};
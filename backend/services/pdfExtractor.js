@@ -0,0 +1,432 @@
+/**
+ * Image and attachment extraction for PDFSpark
+ *
+ * Pulls the embedded resources out of a document as files:
+ *  - image XObjects drawn on the pages, each once however often it is drawn.
+ *    Plain JPEG streams are copied out byte for byte; everything else is
+ *    decoded by pdf.js (every filter and colour space it can render, with the
+ *    soft mask as alpha channel) and written as PNG
+ *  - embedded files, from the document's EmbeddedFiles name tree and from
+ *    file attachment annotations
+ */
+
+const {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFObjectCopier,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  PDFHexString,
+  concatTransformationMatrix,
+  drawObject,
+  popGraphicsState,
+  pushGraphicsState
+} = require('pdf-lib');
+const { parseContentStream, decodeStreamContents, getPageContent } = require('./pdfContentStream');
+const { filtersOf } = require('./pdfCompressor');
+const { loadSourceDocument } = require('./pdfMerger');
+const { readNumber } = require('./pdfWatermark');
+const { parsePageRanges, expandPageRanges } = require('../utils/pageRanges');
+
+// Nesting limit for form XObjects drawn inside each other
+const MAX_FORM_DEPTH = 8;
+// Guards against name trees that loop back on themselves
+const MAX_NAME_TREE_DEPTH = 32;
+
+/**
+ * Check extraction options and fill in the defaults
+ * @param {Object} options - { images, attachments, pages, minSize }
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is invalid
+ */
+const validateExtractionOptions = (options = {}) => {
+  const readFlag = (value) => value === undefined || value === null || value === '' || value === true || value === 'true';
+  const settings = {
+    images: readFlag(options.images),
+    attachments: readFlag(options.attachments),
+    pages: options.pages || '',
+    // Images smaller than this (in pixels, either side) are icons, bullets and rules
+    minSize: Math.round(readNumber(options.minSize, 1, 1, 10000, 'Minimum image size'))
+  };
+
+  if (!settings.images && !settings.attachments) {
+    throw new Error('Please choose images, attachments or both to extract');
+  }
+  if (settings.pages) {
+    parsePageRanges(settings.pages, Number.MAX_SAFE_INTEGER);
+  }
+
+  return settings;
+};
+
+const nameOf = (object) => (object instanceof PDFName ? object.decodeText() : null);
+
+const textOf = (object) => (object instanceof PDFString || object instanceof PDFHexString ? object.decodeText() : null);
+
+/**
+ * Find the image XObjects drawn on the selected pages
+ * @param {PDFDocument} pdfDoc - Loaded document
+ * @param {Array<Number>} pageNumbers - 1-based pages to look at
+ * @param {Array<String>} warnings - Collects the pages that could not be read
+ * @returns {Array<Object>} - [{ ref, stream, pages }] in order of first use
+ */
+const collectImages = (pdfDoc, pageNumbers, warnings = []) => {
+  const { context } = pdfDoc;
+  const images = new Map();
+
+  const visit = (content, resources, pageNumber, depth) => {
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) return;
+
+    for (const { operator, operands } of parseContentStream(content)) {
+      if (operator !== 'Do' || !operands[0] || operands[0].type !== 'name') continue;
+
+      const ref = xObjects.get(PDFName.of(operands[0].value));
+      const xObject = ref instanceof PDFRef ? context.lookup(ref) : null;
+      if (!(xObject instanceof PDFStream)) continue;
+
+      const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+      if (subtype === PDFName.of('Image')) {
+        const image = images.get(ref.tag) || { ref, stream: xObject, pages: [] };
+        if (!image.pages.includes(pageNumber)) image.pages.push(pageNumber);
+        images.set(ref.tag, image);
+      } else if (subtype === PDFName.of('Form') && depth < MAX_FORM_DEPTH) {
+        const formResources = xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+        visit(decodeStreamContents(xObject), formResources, pageNumber, depth + 1);
+      }
+    }
+  };
+
+  const pages = pdfDoc.getPages();
+  pageNumbers.forEach(pageNumber => {
+    const page = pages[pageNumber - 1];
+    try {
+      visit(getPageContent(page.node), page.node.Resources(), pageNumber, 0);
+    } catch (error) {
+      warnings.push(`Could not read the images of page ${pageNumber}: ${error.message}`);
+    }
+  });
+
+  return Array.from(images.values());
+};
+
+/**
+ * Describe the colour space of an image for the manifest
+ * @returns {String|null} - e.g. "DeviceRGB", "ICCBased", "Indexed"
+ */
+const describeColorSpace = (dict) => {
+  if (dict.lookup(PDFName.of('ImageMask')) === PDFBool.True) return 'ImageMask';
+  const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+  if (colorSpace instanceof PDFArray) return nameOf(colorSpace.lookup(0));
+  return nameOf(colorSpace);
+};
+
+/**
+ * Whether an image stream is a JPEG file as it stands
+ * Masks and decode arrays change what the JPEG shows, so those images are decoded instead.
+ */
+const isPlainJpeg = (dict) => {
+  const filters = filtersOf(dict);
+  return filters.length === 1 && filters[0] === 'DCTDecode' &&
+    dict.lookup(PDFName.of('ImageMask')) !== PDFBool.True &&
+    !dict.has(PDFName.of('SMask')) &&
+    !dict.has(PDFName.of('Mask')) &&
+    !dict.has(PDFName.of('Decode'));
+};
+
+/**
+ * Decode images with pdf.js and encode them as PNG
+ *
+ * Each image is copied onto a page of its own in a scratch document, drawn at
+ * one point per pixel, so the decoded image pdf.js produces for that page can
+ * be matched to the image it came from.
+ * @param {PDFDocument} pdfDoc - Source document
+ * @param {Array<Object>} images - Images to decode, from collectImages
+ * @param {Function} onDecoded - Called after each image with (index, png or null, reason it is null)
+ */
+const decodeImages = async (pdfDoc, images, onDecoded) => {
+  const { openDocument, getImageObject, imageDataToPng, getPdfjs } = require('./pdfjsService');
+  const { OPS, ImageKind } = getPdfjs();
+
+  const scratch = await PDFDocument.create();
+  const copier = PDFObjectCopier.for(pdfDoc.context, scratch.context);
+  images.forEach(({ ref, width, height }) => {
+    const page = scratch.addPage([width, height]);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(width, 0, 0, height, 0, 0),
+      drawObject(page.node.newXObject('Im', copier.copy(ref))),
+      popGraphicsState()
+    );
+  });
+
+  const doc = await openDocument(Buffer.from(await scratch.save()));
+  try {
+    for (let index = 0; index < images.length; index++) {
+      const page = await doc.getPage(index + 1);
+      let png = null;
+      let reason = 'no image data';
+      try {
+        const { fnArray, argsArray } = await page.getOperatorList();
+        const position = fnArray.findIndex(fn => fn === OPS.paintImageXObject || fn === OPS.paintImageMaskXObject);
+        if (position >= 0) {
+          const args = argsArray[position];
+          if (fnArray[position] === OPS.paintImageXObject) {
+            png = await imageDataToPng(await getImageObject(page, args[0]));
+          } else {
+            // Stencil masks come as one bit per pixel, set where the page shows through
+            const mask = await getImageObject(page, args[0].data);
+            png = mask && await imageDataToPng({ ...mask, kind: ImageKind.GRAYSCALE_1BPP });
+          }
+        }
+      } catch (error) {
+        reason = error.message;
+      } finally {
+        page.cleanup();
+      }
+      await onDecoded(index, png, reason);
+    }
+  } finally {
+    await doc.destroy();
+  }
+};
+
+/**
+ * Extract the images drawn on the selected pages
+ * @returns {Promise<Object>} - { files: [{ name, data }], manifest, skipped, warnings }
+ */
+const extractImages = async (pdfDoc, settings, onProgress) => {
+  const pageNumbers = expandPageRanges(settings.pages, pdfDoc.getPageCount(), { unique: true });
+  const warnings = [];
+  const images = collectImages(pdfDoc, pageNumbers, warnings).map(image => {
+    const { dict } = image.stream;
+    const width = dict.lookup(PDFName.of('Width'));
+    const height = dict.lookup(PDFName.of('Height'));
+    const bits = dict.lookup(PDFName.of('BitsPerComponent'));
+    return {
+      ...image,
+      width: width instanceof PDFNumber ? width.asNumber() : 0,
+      height: height instanceof PDFNumber ? height.asNumber() : 0,
+      bitsPerComponent: bits instanceof PDFNumber ? bits.asNumber() : null,
+      colorSpace: describeColorSpace(dict),
+      jpeg: isPlainJpeg(dict)
+    };
+  }).filter(image => image.width >= settings.minSize && image.height >= settings.minSize);
+
+  // Images are named after the first page they are drawn on
+  const counts = new Map();
+  images.forEach(image => {
+    const count = (counts.get(image.pages[0]) || 0) + 1;
+    counts.set(image.pages[0], count);
+    image.baseName = `images/page-${String(image.pages[0]).padStart(3, '0')}-${String(count).padStart(2, '0')}`;
+  });
+
+  // Results by image, so the archive follows the pages whatever order images are read in
+  const results = new Array(images.length);
+  let done = 0;
+
+  const add = async (position, data, format, reason) => {
+    const image = images[position];
+    results[position] = data
+      ? {
+        file: { name: `${image.baseName}.${format === 'jpeg' ? 'jpg' : 'png'}`, data },
+        entry: {
+          name: `${image.baseName}.${format === 'jpeg' ? 'jpg' : 'png'}`,
+          page: image.pages[0],
+          pages: image.pages,
+          width: image.width,
+          height: image.height,
+          format,
+          colorSpace: image.colorSpace,
+          bitsPerComponent: image.bitsPerComponent,
+          size: data.length
+        }
+      }
+      : { skipped: { page: image.pages[0], width: image.width, height: image.height, colorSpace: image.colorSpace, reason } };
+    done += 1;
+    if (onProgress) await onProgress(done, images.length);
+  };
+
+  const decoded = [];
+  for (const [position, image] of images.entries()) {
+    if (image.jpeg) {
+      await add(position, Buffer.from(image.stream.contents), 'jpeg');
+    } else {
+      decoded.push(position);
+    }
+  }
+  if (decoded.length > 0) {
+    await decodeImages(pdfDoc, decoded.map(position => images[position]), (index, png, reason) => add(decoded[index], png, 'png', reason));
+  }
+
+  return {
+    files: results.filter(result => result.file).map(result => result.file),
+    manifest: results.filter(result => result.entry).map(result => result.entry),
+    skipped: results.filter(result => result.skipped).map(result => result.skipped),
+    warnings
+  };
+};
+
+/**
+ * Read the file specifications of a name tree node and its kids
+ * @returns {Array<Object>} - [{ key, fileSpec }]
+ */
+const readNameTree = (node, depth = 0) => {
+  if (!(node instanceof PDFDict) || depth > MAX_NAME_TREE_DEPTH) return [];
+
+  const entries = [];
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      entries.push({ key: textOf(names.lookup(i)), fileSpec: names.lookup(i + 1) });
+    }
+  }
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    kids.asArray().forEach((_, index) => entries.push(...readNameTree(kids.lookup(index), depth + 1)));
+  }
+  return entries;
+};
+
+/**
+ * Keep the last part of an attachment's file name, without path separators or control characters
+ */
+const safeFileName = (name, fallback) => {
+  const base = (name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return base && base !== '.' && base !== '..' ? base : fallback;
+};
+
+/**
+ * Extract the embedded files of the document and of its file attachment annotations
+ * @returns {Object} - { files: [{ name, data }], manifest, skipped }
+ */
+const extractAttachments = (pdfDoc) => {
+  const sources = [];
+
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const tree = names && names.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict);
+  readNameTree(tree).forEach(({ key, fileSpec }) => sources.push({ key, fileSpec, page: null }));
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    annots.asArray().forEach((_, position) => {
+      const annot = annots.lookup(position);
+      if (annot instanceof PDFDict && annot.lookup(PDFName.of('Subtype')) === PDFName.of('FileAttachment')) {
+        sources.push({ key: null, fileSpec: annot.lookup(PDFName.of('FS')), page: index + 1 });
+      }
+    });
+  });
+
+  const files = [];
+  const manifest = [];
+  const skipped = [];
+  const seen = new Set();
+  const used = new Set();
+
+  sources.forEach(({ key, fileSpec, page }) => {
+    if (!(fileSpec instanceof PDFDict)) return;
+    const embedded = fileSpec.lookupMaybe(PDFName.of('EF'), PDFDict);
+    const streamRef = embedded && (embedded.get(PDFName.of('UF')) || embedded.get(PDFName.of('F')));
+    const stream = streamRef && pdfDoc.context.lookup(streamRef);
+    const fileName = textOf(fileSpec.lookup(PDFName.of('UF'))) || textOf(fileSpec.lookup(PDFName.of('F'))) || key;
+    // A specification without EF points at a file outside the PDF
+    if (!(stream instanceof PDFStream)) {
+      skipped.push({ fileName, page, reason: 'not embedded' });
+      return;
+    }
+    // The same file is often listed in the name tree and by an annotation
+    if (streamRef instanceof PDFRef) {
+      if (seen.has(streamRef.tag)) return;
+      seen.add(streamRef.tag);
+    }
+
+    let data;
+    try {
+      data = decodeStreamContents(stream);
+    } catch (error) {
+      skipped.push({ fileName, page, reason: error.message });
+      return;
+    }
+
+    // Duplicate names get a counter before the extension
+    const base = safeFileName(fileName, `attachment-${files.length + 1}`);
+    let name = base;
+    for (let count = 2; used.has(name.toLowerCase()); count++) {
+      const dot = base.lastIndexOf('.');
+      name = dot > 0 ? `${base.slice(0, dot)} (${count})${base.slice(dot)}` : `${base} (${count})`;
+    }
+    used.add(name.toLowerCase());
+
+    const params = stream.dict.lookupMaybe(PDFName.of('Params'), PDFDict);
+    const modified = params && params.lookup(PDFName.of('ModDate'));
+    let modifiedAt = null;
+    try {
+      modifiedAt = modified instanceof PDFString || modified instanceof PDFHexString ? modified.decodeDate().toISOString() : null;
+    } catch (error) {
+      // Malformed dates are left out
+    }
+
+    files.push({ name: `attachments/${name}`, data });
+    manifest.push({
+      name: `attachments/${name}`,
+      fileName,
+      description: textOf(fileSpec.lookup(PDFName.of('Desc'))),
+      mimeType: nameOf(stream.dict.lookup(PDFName.of('Subtype'))),
+      modifiedAt,
+      page,
+      size: data.length
+    });
+  });
+
+  return { files, manifest, skipped };
+};
+
+/**
+ * Extract the embedded images and file attachments of a PDF
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {Object} settings - Result of validateExtractionOptions
+ * @param {Object} options - { onProgress(done, total) } called per image
+ * @returns {Promise<Object>} - { files: [{ name, data }], manifest: { pageCount, images, attachments, skipped, warnings } }
+ * @throws {Error} If the document has nothing to extract
+ */
+const extractResources = async (pdfBuffer, settings, options = {}) => {
+  const pdfDoc = await loadSourceDocument(pdfBuffer, 'The document');
+
+  const images = settings.images
+    ? await extractImages(pdfDoc, settings, options.onProgress)
+    : { files: [], manifest: [], skipped: [], warnings: [] };
+  const attachments = settings.attachments
+    ? extractAttachments(pdfDoc)
+    : { files: [], manifest: [], skipped: [] };
+
+  if (images.files.length + attachments.files.length === 0) {
+    const wanted = [settings.images && 'images', settings.attachments && 'file attachments'].filter(Boolean).join(' or ');
+    throw new Error(`The PDF has no embedded ${wanted} to extract`);
+  }
+
+  return {
+    files: [...images.files, ...attachments.files],
+    manifest: {
+      pageCount: pdfDoc.getPageCount(),
+      images: images.manifest,
+      attachments: attachments.manifest,
+      skipped: {
+        images: images.skipped,
+        attachments: attachments.skipped
+      },
+      warnings: images.warnings
+    }
+  };
+};
+
+module.exports = {
+  validateExtractionOptions,
+  extractResources,
+  readNameTree
+};
@@ -0,0 +1,438 @@
+/**
+ * AcroForm fields for PDFSpark
+ *
+ * Lists the fields of a PDF form, fills them from plain values and can
+ * flatten the result. Values for batch filling come as an array of rows or
+ * as CSV text with the field names in the header row.
+ */
+
+const {
+  PDFArray,
+  PDFButton,
+  PDFCheckBox,
+  PDFDict,
+  PDFDropdown,
+  PDFHexString,
+  PDFName,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFSignature,
+  PDFString,
+  PDFTextField
+} = require('pdf-lib');
+const { loadSourceDocument } = require('./pdfMerger');
+const { getPageIndexByRef } = require('./pdfOutline');
+
+const FORM_FIELD_TYPES = ['text', 'checkbox', 'radio', 'dropdown', 'optionlist', 'button', 'signature'];
+
+const MAX_FORM_ROWS = 500;
+const MAX_VALUE_LENGTH = 10000;
+
+// Cell values read as a ticked checkbox
+const CHECKED_VALUES = ['true', 'yes', 'on', '1', 'x', 'checked'];
+
+/**
+ * Name the type of a field
+ */
+const getFieldType = (field) => {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'optionlist';
+  if (field instanceof PDFButton) return 'button';
+  if (field instanceof PDFSignature) return 'signature';
+  return 'unknown';
+};
+
+/**
+ * Decode a /V or /DV entry
+ */
+const decodeFieldValue = (value) => {
+  if (value instanceof PDFString || value instanceof PDFHexString || value instanceof PDFName) {
+    return value.decodeText();
+  }
+  if (value instanceof PDFArray) {
+    return value.asArray().map(decodeFieldValue).filter(item => item !== null);
+  }
+  return null;
+};
+
+/**
+ * Current value of a field as plain data
+ */
+const readFieldValue = (field, type) => {
+  switch (type) {
+    case 'text':
+      return field.getText() || '';
+    case 'checkbox':
+      return field.isChecked();
+    case 'radio':
+      return field.getSelected() || null;
+    case 'dropdown':
+    case 'optionlist':
+      return field.isMultiselect() ? field.getSelected() : (field.getSelected()[0] || null);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build a function that finds the page and rectangle of a widget
+ *
+ * Widgets often lack /P, and pdf-lib's own lookup does not check the result
+ * of indexOf, so the page annotations are read directly.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded document
+ * @returns {Function} - widget => { page (1-based or null), x, y, width, height } in PDF points
+ */
+const createWidgetLocator = (pdfDoc) => {
+  const pageIndexByRef = getPageIndexByRef(pdfDoc);
+  const pageIndexByAnnotation = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (annots) {
+      annots.asArray().forEach(ref => pageIndexByAnnotation.set(ref.toString(), index));
+    }
+  });
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return (widget) => {
+    const pageRef = widget.P();
+    const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+    let pageIndex = pageRef ? pageIndexByRef.get(pageRef.toString()) : undefined;
+    if (pageIndex === undefined && widgetRef) {
+      pageIndex = pageIndexByAnnotation.get(widgetRef.toString());
+    }
+    const rect = widget.getRectangle();
+    return {
+      page: pageIndex !== undefined ? pageIndex + 1 : null,
+      x: round(rect.x),
+      y: round(rect.y),
+      width: round(rect.width),
+      height: round(rect.height)
+    };
+  };
+};
+
+/**
+ * Check whether the document carries an XFA form
+ */
+const hasXfaForm = (pdfDoc) => {
+  const acroForm = pdfDoc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  return Boolean(acroForm && acroForm.has(PDFName.of('XFA')));
+};
+
+/**
+ * List the fields of a PDF form
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Object>} - { fields: [{ name, type, value, defaultValue, options, required, readOnly,
+ *   multiSelect, multiline, maxLength, widgets: [{ page, x, y, width, height }] }], xfa }; pages
+ *   are 1-based, rectangles in PDF points from the bottom left corner of the page
+ */
+const listFormFields = async (buffer) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const xfa = hasXfaForm(pdfDoc);
+  const locateWidget = createWidgetLocator(pdfDoc);
+
+  const fields = pdfDoc.getForm().getFields().map(field => {
+    const type = getFieldType(field);
+    const widgets = field.acroField.getWidgets().map(locateWidget);
+
+    const hasOptions = ['radio', 'dropdown', 'optionlist'].includes(type);
+    const hasChoices = ['dropdown', 'optionlist'].includes(type);
+    return {
+      name: field.getName(),
+      type,
+      value: readFieldValue(field, type),
+      defaultValue: decodeFieldValue(field.acroField.dict.lookup(PDFName.of('DV'))),
+      options: hasOptions ? field.getOptions() : null,
+      required: field.isRequired(),
+      readOnly: field.isReadOnly(),
+      multiSelect: hasChoices ? field.isMultiselect() : false,
+      multiline: type === 'text' ? field.isMultiline() : false,
+      maxLength: type === 'text' ? (field.getMaxLength() || null) : null,
+      widgets
+    };
+  });
+
+  return { fields, xfa };
+};
+
+/**
+ * Parse CSV text into rows keyed by the header row
+ *
+ * Quoted cells may contain the delimiter, line breaks and doubled quotes.
+ * The delimiter is a comma, or a semicolon when the header row has more of
+ * those (spreadsheets in many locales export that way).
+ *
+ * @param {String} text - CSV text
+ * @returns {Array<Object>} - One object per data row
+ * @throws {Error} If a quote is not closed or the header row is empty
+ */
+const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has a quote that is not closed');
+  }
+  if (cell || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  if (!header) {
+    throw new Error('CSV has no header row');
+  }
+  const names = header.map(name => name.trim());
+  return rows.map(row => {
+    const values = {};
+    names.forEach((name, index) => {
+      if (name) {
+        values[name] = row[index] !== undefined ? row[index] : '';
+      }
+    });
+    return values;
+  });
+};
+
+/**
+ * Check one set of field values
+ */
+const readRow = (row, label) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new Error(`${label} must be an object of field names and values`);
+  }
+  Object.entries(row).forEach(([name, value]) => {
+    const valid = value === null ||
+      ['string', 'number', 'boolean'].includes(typeof value) ||
+      (Array.isArray(value) && value.every(item => typeof item === 'string'));
+    if (!valid) {
+      throw new Error(`${label}: unsupported value for ${name}`);
+    }
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      throw new Error(`${label}: the value of ${name} is longer than ${MAX_VALUE_LENGTH} characters`);
+    }
+  });
+  return row;
+};
+
+/**
+ * Check form filling options
+ * @param {Object} options - { values: { name: value } for one document, or rows: [{ name: value }] /
+ *   csv: text for one document per row; flatten, fileNameField: column naming the documents of a batch }
+ * @returns {Object} - { rows, batch, flatten, fileNameField }
+ * @throws {Error} If an option is missing or invalid
+ */
+const validateFormFillOptions = (options = {}) => {
+  const sources = ['values', 'rows', 'csv'].filter(key => options[key] !== undefined && options[key] !== null);
+  if (sources.length !== 1) {
+    throw new Error('Please provide exactly one of values, rows or csv');
+  }
+
+  let rows;
+  if (options.values !== undefined && options.values !== null) {
+    rows = [readRow(options.values, 'Values')];
+  } else if (options.csv !== undefined && options.csv !== null) {
+    if (typeof options.csv !== 'string') {
+      throw new Error('csv must be text');
+    }
+    rows = parseCsv(options.csv);
+  } else {
+    if (!Array.isArray(options.rows)) {
+      throw new Error('rows must be an array');
+    }
+    rows = options.rows.map((row, index) => readRow(row, `Row ${index + 1}`));
+  }
+
+  const batch = options.values === undefined || options.values === null;
+  if (batch && rows.length === 0) {
+    throw new Error('Please provide at least one row of values');
+  }
+  if (rows.length > MAX_FORM_ROWS) {
+    throw new Error(`At most ${MAX_FORM_ROWS} rows can be filled at once`);
+  }
+
+  const fileNameField = options.fileNameField ? String(options.fileNameField) : null;
+  if (fileNameField && !batch) {
+    throw new Error('fileNameField only applies to rows or csv');
+  }
+
+  return {
+    rows,
+    batch,
+    flatten: options.flatten === true || options.flatten === 'true',
+    fileNameField
+  };
+};
+
+/**
+ * Turn a value into the list of options to select
+ */
+const toSelection = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value === null || value === '' ? [] : [String(value)];
+};
+
+/**
+ * Set the value of one field
+ */
+const setFieldValue = (field, type, value) => {
+  const name = field.getName();
+  switch (type) {
+    case 'text': {
+      const text = value === null ? '' : (Array.isArray(value) ? value.join(', ') : String(value));
+      const maxLength = field.getMaxLength();
+      if (maxLength !== undefined && text.length > maxLength) {
+        throw new Error(`${name} takes at most ${maxLength} characters`);
+      }
+      field.setText(text);
+      break;
+    }
+    case 'checkbox': {
+      const checked = typeof value === 'boolean' ? value : CHECKED_VALUES.includes(String(value || '').trim().toLowerCase());
+      if (checked) {
+        field.check();
+      } else {
+        field.uncheck();
+      }
+      break;
+    }
+    case 'radio': {
+      const [option] = toSelection(value);
+      if (option === undefined) {
+        field.clear();
+      } else if (!field.getOptions().includes(option)) {
+        throw new Error(`${name} has no option ${option}`);
+      } else {
+        field.select(option);
+      }
+      break;
+    }
+    case 'dropdown':
+    case 'optionlist': {
+      const selection = toSelection(value);
+      if (selection.length === 0) {
+        field.clear();
+        break;
+      }
+      if (selection.length > 1 && !field.isMultiselect()) {
+        throw new Error(`${name} takes a single option`);
+      }
+      // Dropdowns may allow typed values, lists only take their options
+      const options = field.getOptions();
+      const editable = type === 'dropdown' && field.isEditable();
+      const missing = selection.find(option => !options.includes(option));
+      if (missing !== undefined && !editable) {
+        throw new Error(`${name} has no option ${missing}`);
+      }
+      field.select(selection.length > 1 ? selection : selection[0]);
+      break;
+    }
+    default:
+      throw new Error(`${name} is a ${type} field and cannot be filled`);
+  }
+};
+
+/**
+ * Fill the fields of a PDF form
+ *
+ * Fields not named in values keep their value. Unknown names are an error
+ * so that a misspelt column does not go unnoticed; ignoreNames lists
+ * names to skip (the file name column of a batch).
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} values - { fieldName: value }; checkboxes take booleans or yes/no text, lists
+ *   take an option or an array of options, null or '' clears a field
+ * @param {Object} options - { flatten, ignoreNames }
+ * @returns {Promise<Object>} - { buffer, pageCount, filledFields, flattened, xfaRemoved }
+ * @throws {Error} If a field is unknown or a value does not fit its field
+ */
+const fillForm = async (buffer, values, options = {}) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  // Viewers show the XFA form instead of the fields when both are present
+  const xfaRemoved = hasXfaForm(pdfDoc);
+  const form = pdfDoc.getForm();
+  const ignoreNames = options.ignoreNames || [];
+
+  const fields = new Map(form.getFields().map(field => [field.getName(), field]));
+  const names = Object.keys(values).filter(name => !ignoreNames.includes(name));
+  const unknown = names.filter(name => !fields.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown form field(s): ${unknown.join(', ')}`);
+  }
+
+  names.forEach(name => {
+    const field = fields.get(name);
+    setFieldValue(field, getFieldType(field), values[name]);
+  });
+
+  try {
+    if (options.flatten) {
+      form.flatten({ updateFieldAppearances: true });
+    } else {
+      form.updateFieldAppearances();
+    }
+  } catch (error) {
+    // Standard fonts only encode WinAnsi characters
+    if (/cannot encode/i.test(error.message)) {
+      throw new Error(`A value contains characters the form's font cannot show: ${error.message}`);
+    }
+    throw error;
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save({ updateFieldAppearances: false })),
+    pageCount: pdfDoc.getPageCount(),
+    filledFields: names,
+    flattened: Boolean(options.flatten),
+    xfaRemoved
+  };
+};
+
+module.exports = {
+  FORM_FIELD_TYPES,
+  MAX_FORM_ROWS,
+  createWidgetLocator,
+  listFormFields,
+  parseCsv,
+  validateFormFillOptions,
+  fillForm
+};
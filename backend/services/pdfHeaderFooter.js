@@ -0,0 +1,247 @@
+/**
+ * Headers, footers and Bates numbering for PDFSpark
+ *
+ * Writes short lines of text in six slots along the top and bottom edges of
+ * selected pages. Text can contain tokens ({page}, {pages}, {date},
+ * {filename}) and a Bates number can take one of the slots; Bates numbers
+ * run on from one document to the next when several are stamped together.
+ */
+
+const {
+  beginText,
+  concatTransformationMatrix,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setFillingRgbColor,
+  setFontAndSize,
+  showText
+} = require('pdf-lib');
+const { expandPageRanges, parsePageRanges } = require('../utils/pageRanges');
+const { loadSourceDocument } = require('./pdfMerger');
+const { WATERMARK_FONTS, readNumber, parseColor, toPageSpace } = require('./pdfWatermark');
+
+const HEADER_FOOTER_POSITIONS = [
+  'header-left', 'header-center', 'header-right',
+  'footer-left', 'footer-center', 'footer-right'
+];
+const HEADER_FOOTER_TOKENS = ['page', 'pages', 'date', 'filename'];
+
+const MAX_TEXT_LENGTH = 300;
+const MAX_AFFIX_LENGTH = 50;
+const MAX_BATES_DIGITS = 12;
+
+/**
+ * Check one line of text and its tokens
+ */
+const readText = (value, label, maxLength) => {
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  if (text.length > maxLength) {
+    throw new Error(`${label} must be at most ${maxLength} characters`);
+  }
+  return text;
+};
+
+/**
+ * Check header/footer options and fill in the defaults
+ * @param {Object} options - { blocks: [{ position, text }], bates: { prefix, suffix, digits, start,
+ *   position }, font, fontSize, color, marginX, marginY, pages, startNumber, date }
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is missing or invalid
+ */
+const validateHeaderFooterOptions = (options = {}) => {
+  const used = new Set();
+  const checkPosition = (position, label) => {
+    if (!HEADER_FOOTER_POSITIONS.includes(position)) {
+      throw new Error(`${label}: unsupported position ${position}`);
+    }
+    if (used.has(position)) {
+      throw new Error(`${label}: ${position} is already used`);
+    }
+    used.add(position);
+  };
+
+  const blocks = (Array.isArray(options.blocks) ? options.blocks : []).map((block, index) => {
+    const label = `Text block ${index + 1}`;
+    const text = readText(block && block.text, label, MAX_TEXT_LENGTH);
+    if (!text) {
+      throw new Error(`${label} has no text`);
+    }
+    (text.match(/\{[^}]*\}/g) || []).forEach(token => {
+      if (!HEADER_FOOTER_TOKENS.includes(token.slice(1, -1))) {
+        throw new Error(`${label}: unknown token ${token}`);
+      }
+    });
+
+    const position = block.position || 'footer-center';
+    checkPosition(position, label);
+    return { position, text };
+  });
+
+  let bates = null;
+  if (options.bates) {
+    const position = options.bates.position || 'footer-right';
+    checkPosition(position, 'Bates number');
+    bates = {
+      prefix: readText(options.bates.prefix, 'Bates prefix', MAX_AFFIX_LENGTH),
+      suffix: readText(options.bates.suffix, 'Bates suffix', MAX_AFFIX_LENGTH),
+      digits: readNumber(options.bates.digits, 6, 1, MAX_BATES_DIGITS, 'Bates digits'),
+      start: readNumber(options.bates.start, 1, 0, Number.MAX_SAFE_INTEGER, 'Bates start number'),
+      position
+    };
+    if (!Number.isInteger(bates.digits) || !Number.isInteger(bates.start)) {
+      throw new Error('Bates digits and start number must be whole numbers');
+    }
+  }
+
+  if (blocks.length === 0 && !bates) {
+    throw new Error('Please provide header or footer text or a Bates number');
+  }
+
+  const font = options.font || 'helvetica';
+  if (!WATERMARK_FONTS[font]) {
+    throw new Error(`Unsupported font: ${font}`);
+  }
+  const color = options.color || '#000000';
+  if (!/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error(`Colour must be a hex value such as #000000: ${color}`);
+  }
+  if (options.pages !== undefined && options.pages !== null && options.pages !== '') {
+    parsePageRanges(options.pages, Number.MAX_SAFE_INTEGER);
+  }
+
+  const startNumber = readNumber(options.startNumber, 1, 0, 1000000, 'Start number');
+  if (!Number.isInteger(startNumber)) {
+    throw new Error('Start number must be a whole number');
+  }
+
+  return {
+    blocks,
+    bates,
+    font,
+    fontSize: readNumber(options.fontSize, 10, 4, 72, 'Font size'),
+    color: color.toLowerCase(),
+    marginX: readNumber(options.marginX, 36, 0, 288, 'Side margin'),
+    marginY: readNumber(options.marginY, 24, 0, 288, 'Top and bottom margin'),
+    pages: options.pages ? String(options.pages) : undefined,
+    startNumber,
+    // Fixed when the operation is created, so every file of a request shows the same date
+    date: readText(options.date, 'Date', MAX_AFFIX_LENGTH) || new Date().toISOString().slice(0, 10)
+  };
+};
+
+/**
+ * Format a Bates number: prefix, zero-padded counter, suffix
+ * @param {Object} bates - { prefix, suffix, digits }
+ * @param {Number} number - Counter value
+ * @returns {String}
+ */
+const formatBatesNumber = (bates, number) => `${bates.prefix}${String(number).padStart(bates.digits, '0')}${bates.suffix}`;
+
+/**
+ * Fill in the tokens of a text block
+ */
+const fillTokens = (text, values) => text.replace(/\{(\w+)\}/g, (token, name) => (
+  Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : token
+));
+
+/**
+ * Stamp headers, footers and Bates numbers on a PDF
+ *
+ * Page numbers count the selected pages from startNumber, so a cover page
+ * left out of the range is not counted; {pages} is the last such number.
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} settings - Output of validateHeaderFooterOptions
+ * @param {Object} options - { fileName for {filename}, batesStart: Bates counter of the first
+ *   stamped page (default settings.bates.start) }
+ * @returns {Promise<Object>} - { buffer, pageCount, stampedPages, firstBates, lastBates, nextBates }
+ */
+const stampHeaderFooter = async (buffer, settings, options = {}) => {
+  const pdfDoc = await loadSourceDocument(buffer, options.fileName || 'The document');
+  const pages = pdfDoc.getPages();
+  const pageNumbers = expandPageRanges(settings.pages, pages.length, { unique: true });
+
+  const font = await pdfDoc.embedFont(WATERMARK_FONTS[settings.font]);
+  // Standard fonts only cover WinAnsi, anything else (file names mostly) prints as '?'
+  const supported = new Set(font.getCharacterSet());
+  const printable = (text) => Array.from(text).map(char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+
+  const { fontSize } = settings;
+  const ascent = font.heightAtSize(fontSize, { descender: false });
+  const color = parseColor(settings.color);
+  const batesStart = options.batesStart !== undefined ? options.batesStart : (settings.bates && settings.bates.start);
+  const tokens = {
+    pages: settings.startNumber + pageNumbers.length - 1,
+    date: settings.date,
+    filename: options.fileName || ''
+  };
+
+  pageNumbers.forEach((pageNumber, index) => {
+    const page = pages[pageNumber - 1];
+    const cropBox = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const displayed = rotation % 180 === 0
+      ? { width: cropBox.width, height: cropBox.height }
+      : { width: cropBox.height, height: cropBox.width };
+
+    const lines = settings.blocks.map(block => ({
+      position: block.position,
+      text: fillTokens(block.text, { ...tokens, page: settings.startNumber + index })
+    }));
+    if (settings.bates) {
+      lines.push({ position: settings.bates.position, text: formatBatesNumber(settings.bates, batesStart + index) });
+    }
+
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const operators = [pushGraphicsState(), setFillingRgbColor(...color)];
+    lines.forEach(line => {
+      const text = printable(line.text);
+      const width = font.widthOfTextAtSize(text, fontSize);
+      const [edge, align] = line.position.split('-');
+
+      const x = {
+        left: settings.marginX,
+        center: (displayed.width - width) / 2,
+        right: displayed.width - settings.marginX - width
+      }[align];
+      // Baselines: the header hangs from the top margin, the footer stands on the bottom one
+      const y = edge === 'header' ? displayed.height - settings.marginY - ascent : settings.marginY;
+      const origin = toPageSpace({ x, y }, cropBox, rotation);
+
+      operators.push(
+        pushGraphicsState(),
+        concatTransformationMatrix(cos, sin, -sin, cos, origin.x, origin.y),
+        beginText(),
+        setFontAndSize(page.node.newFontDictionary(font.name, font.ref), fontSize),
+        showText(font.encodeText(text)),
+        endText(),
+        popGraphicsState()
+      );
+    });
+    operators.push(popGraphicsState());
+
+    page.pushOperators(...operators);
+  });
+
+  const stamped = settings.bates && pageNumbers.length > 0;
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    pageCount: pages.length,
+    stampedPages: pageNumbers,
+    firstBates: stamped ? formatBatesNumber(settings.bates, batesStart) : null,
+    lastBates: stamped ? formatBatesNumber(settings.bates, batesStart + pageNumbers.length - 1) : null,
+    nextBates: settings.bates ? batesStart + pageNumbers.length : null
+  };
+};
+
+module.exports = {
+  HEADER_FOOTER_POSITIONS,
+  HEADER_FOOTER_TOKENS,
+  validateHeaderFooterOptions,
+  formatBatesNumber,
+  stampHeaderFooter
+};
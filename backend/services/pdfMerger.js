@@ -0,0 +1,215 @@
+/**
+ * PDF merging for PDFSpark
+ *
+ * Copies selected pages of several documents into one. Internal links are
+ * re-pointed at the copied pages and every source contributes a bookmark,
+ * either wrapping its own outline or on its own.
+ */
+
+const { PDFDocument, PDFArray, PDFDict, PDFName, PDFString } = require('pdf-lib');
+const { expandPageRanges } = require('../utils/pageRanges');
+const {
+  readOutline,
+  writeOutline,
+  remapOutline,
+  getItemDestination,
+  getPageIndexByRef
+} = require('./pdfOutline');
+
+// How bookmarks of the merged document are built
+const BOOKMARK_MODES = ['preserve', 'files', 'none'];
+
+// Marks link destinations while pages are copied between documents
+const LINK_PLACEHOLDER_PREFIX = 'pdfspark-page:';
+
+/**
+ * Load a source document, with a readable error for encrypted files
+ * @param {Buffer} buffer - PDF bytes
+ * @param {String} name - Name used in error messages
+ * @returns {Promise<PDFDocument>}
+ */
+const loadSourceDocument = async (buffer, name) => {
+  try {
+    return await PDFDocument.load(buffer, { updateMetadata: false });
+  } catch (error) {
+    if (error.constructor && error.constructor.name === 'EncryptedPDFError') {
+      throw new Error(`${name} is password protected and must be unlocked first`);
+    }
+    throw new Error(`${name} could not be read as a PDF: ${error.message}`);
+  }
+};
+
+/**
+ * Get the annotation dictionaries of a page
+ * @returns {Array<Object>} - [{ annot, index, isLink }]
+ */
+const getAnnotations = (page) => {
+  const annots = page.node.Annots();
+  if (!annots) {
+    return [];
+  }
+
+  const result = [];
+  for (let i = 0; i < annots.size(); i++) {
+    const annot = annots.lookup(i);
+    if (annot instanceof PDFDict) {
+      result.push({ annot, index: i, isLink: annot.lookup(PDFName.of('Subtype')) === PDFName.of('Link') });
+    }
+  }
+  return result;
+};
+
+/**
+ * Copy pages into another document, keeping links between them working
+ *
+ * Links that point at a page of the source are rewritten to an explicit
+ * destination on the copied page. Links to pages that are not copied are
+ * removed rather than left pointing at a page of another document (copying
+ * those would also pull the whole source page tree along).
+ *
+ * @param {PDFDocument} target - Document to add the pages to
+ * @param {PDFDocument} source - Document to copy from (its link annotations are modified)
+ * @param {Array<Number>} pageIndices - 0-based source page indices, in output order
+ * @returns {Promise<Array<PDFPage>>} - The pages added to the target
+ */
+const copyPagesWithLinks = async (target, source, pageIndices) => {
+  const sourcePages = source.getPages();
+  const pageIndexByRef = getPageIndexByRef(source);
+
+  // Swap page references for placeholders before copying; the optional /P
+  // back-reference is restored afterwards so it cannot drag pages along
+  new Set(pageIndices).forEach(pageIndex => {
+    getAnnotations(sourcePages[pageIndex]).forEach(({ annot, isLink }) => {
+      annot.delete(PDFName.of('P'));
+      if (!isLink) {
+        return;
+      }
+
+      const dest = getItemDestination(source, annot);
+      const page = dest && dest.size() > 0 ? dest.get(0) : null;
+      const destPageIndex = page ? pageIndexByRef.get(page.toString()) : undefined;
+      if (destPageIndex === undefined) {
+        return;
+      }
+
+      const placeholder = dest.clone(source.context);
+      placeholder.set(0, PDFString.of(`${LINK_PLACEHOLDER_PREFIX}${destPageIndex}`));
+      annot.delete(PDFName.of('A'));
+      annot.set(PDFName.of('Dest'), placeholder);
+    });
+  });
+
+  const copiedPages = await target.copyPages(source, pageIndices);
+  const startIndex = target.getPageCount();
+  copiedPages.forEach(page => target.addPage(page));
+
+  // A source page copied more than once is linked to its first copy
+  const targetIndexBySource = new Map();
+  pageIndices.forEach((pageIndex, offset) => {
+    if (!targetIndexBySource.has(pageIndex)) {
+      targetIndexBySource.set(pageIndex, startIndex + offset);
+    }
+  });
+
+  copiedPages.forEach(page => {
+    const annots = page.node.Annots();
+    const removed = [];
+
+    getAnnotations(page).forEach(({ annot, index, isLink }) => {
+      annot.set(PDFName.of('P'), page.ref);
+      const dest = isLink ? annot.lookup(PDFName.of('Dest')) : null;
+      const marker = dest instanceof PDFArray && dest.size() > 0 ? dest.get(0) : null;
+      if (!(marker instanceof PDFString) || !marker.decodeText().startsWith(LINK_PLACEHOLDER_PREFIX)) {
+        return;
+      }
+
+      const sourceIndex = parseInt(marker.decodeText().slice(LINK_PLACEHOLDER_PREFIX.length), 10);
+      const targetIndex = targetIndexBySource.get(sourceIndex);
+      if (targetIndex === undefined) {
+        removed.push(index);
+      } else {
+        dest.set(0, target.getPage(targetIndex).ref);
+      }
+    });
+
+    removed.reverse().forEach(index => annots.remove(index));
+  });
+
+  return copiedPages;
+};
+
+/**
+ * Merge documents into one
+ * @param {Array<Object>} sources - [{ buffer, pages, title }] in output order; pages is a page
+ *   range specification ("1-3,5"), all pages when omitted
+ * @param {Object} options - { bookmarks: 'preserve'|'files'|'none', title, onProgress(done, total) }
+ * @returns {Promise<Object>} - { buffer, pageCount, bookmarkCount, sources: [{ title, startPage, pageCount }] }
+ */
+const mergeDocuments = async (sources, options = {}) => {
+  const bookmarks = options.bookmarks || 'preserve';
+  if (!BOOKMARK_MODES.includes(bookmarks)) {
+    throw new Error(`Unsupported bookmark mode: ${bookmarks}`);
+  }
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('No documents to merge');
+  }
+
+  const merged = await PDFDocument.create({ updateMetadata: false });
+  const outline = [];
+  const summary = [];
+
+  for (const [index, source] of sources.entries()) {
+    const title = source.title || `Document ${index + 1}`;
+    const doc = await loadSourceDocument(source.buffer, title);
+    const pageIndices = expandPageRanges(source.pages, doc.getPageCount()).map(page => page - 1);
+    const startIndex = merged.getPageCount();
+
+    // Read before copying, copying rewrites the link annotations of the source
+    const sourceOutline = bookmarks === 'preserve' ? readOutline(doc) : [];
+    await copyPagesWithLinks(merged, doc, pageIndices);
+
+    if (bookmarks !== 'none' && pageIndices.length > 0) {
+      const firstCopy = new Map();
+      pageIndices.forEach((pageIndex, offset) => {
+        if (!firstCopy.has(pageIndex)) {
+          firstCopy.set(pageIndex, startIndex + offset);
+        }
+      });
+
+      outline.push({
+        title,
+        pageIndex: startIndex,
+        view: null,
+        open: false,
+        children: remapOutline(sourceOutline, firstCopy, { prune: true })
+      });
+    }
+
+    summary.push({ title, startPage: startIndex + 1, pageCount: pageIndices.length });
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, sources.length);
+    }
+  }
+
+  const bookmarkCount = writeOutline(merged, outline);
+  if (options.title) {
+    merged.setTitle(String(options.title));
+  }
+
+  const buffer = Buffer.from(await merged.save({ useObjectStreams: true, addDefaultPage: false }));
+
+  return {
+    buffer,
+    pageCount: merged.getPageCount(),
+    bookmarkCount,
+    sources: summary
+  };
+};
+
+module.exports = {
+  BOOKMARK_MODES,
+  loadSourceDocument,
+  copyPagesWithLinks,
+  mergeDocuments
+};
@@ -0,0 +1,352 @@
+/**
+ * Document metadata for PDFSpark
+ *
+ * Reads the Info dictionary, the XMP packet and the basic facts of a PDF
+ * (version, page count and sizes), and writes or strips metadata. The
+ * "sanitize" preset removes the traces a document usually carries about who
+ * made it, with which software and when.
+ */
+
+const {
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFRawStream,
+  PDFStream,
+  PDFString,
+  decodePDFRawStream
+} = require('pdf-lib');
+const { loadSourceDocument } = require('./pdfMerger');
+
+// Editable fields and their Info dictionary keys
+const METADATA_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer',
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate'
+};
+const DATE_FIELDS = ['creationDate', 'modificationDate'];
+
+// What happens to the XMP packet: rewritten from the Info values, left alone or removed
+const XMP_MODES = ['sync', 'keep', 'remove'];
+const METADATA_PRESETS = ['sanitize'];
+
+// Info keys the sanitize preset keeps, unless new values are given
+const SANITIZE_KEEP_KEYS = ['Title', 'Subject', 'Keywords', 'Trapped'];
+
+const MAX_FIELD_LENGTH = 2000;
+
+/**
+ * Decode an Info dictionary value for display
+ */
+const decodeInfoValue = (key, value) => {
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    if (/Date$/.test(key)) {
+      try {
+        return value.decodeDate().toISOString();
+      } catch (error) {
+        // Not a PDF date, show it as it is
+      }
+    }
+    return value.decodeText();
+  }
+  if (value instanceof PDFName) {
+    return value.decodeText();
+  }
+  return value ? value.toString() : null;
+};
+
+/**
+ * Read the XMP packet of the document catalog
+ * @returns {String|null}
+ */
+const readXmp = (pdfDoc) => {
+  const stream = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+  if (!stream) {
+    return null;
+  }
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return Buffer.from(bytes).toString('utf8');
+};
+
+/**
+ * Group the pages by size
+ * @returns {Array<Object>} - [{ width, height, pages: "1-3,5" }] in order of first use
+ */
+const describePageSizes = (pdfDoc) => {
+  const groups = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const { width, height } = page.getSize();
+    const rotated = page.getRotation().angle % 180 !== 0;
+    // Sizes as displayed, rounded to a point
+    const size = rotated ? [height, width] : [width, height];
+    const key = size.map(value => Math.round(value)).join('x');
+    if (!groups.has(key)) {
+      groups.set(key, { width: Math.round(size[0] * 100) / 100, height: Math.round(size[1] * 100) / 100, numbers: [] });
+    }
+    groups.get(key).numbers.push(index + 1);
+  });
+
+  return [...groups.values()].map(({ width, height, numbers }) => {
+    const ranges = [];
+    numbers.forEach(number => {
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === number - 1) {
+        last[1] = number;
+      } else {
+        ranges.push([number, number]);
+      }
+    });
+    return {
+      width,
+      height,
+      pages: ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(',')
+    };
+  });
+};
+
+/**
+ * Read the metadata of a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Object>} - { version, producer, pageCount, pageSizes, info, xmp }; info maps
+ *   the Info dictionary keys to text, dates as ISO strings
+ */
+const readMetadata = async (buffer) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+
+  // The catalog may raise the version of the file header
+  const header = buffer.toString('latin1', 0, 1024).match(/%PDF-(\d+\.\d+)/);
+  const catalogVersion = pdfDoc.catalog.lookupMaybe(PDFName.of('Version'), PDFName);
+  const versions = [header && header[1], catalogVersion && catalogVersion.decodeText()].filter(Boolean);
+  const version = versions.sort((a, b) => parseFloat(b) - parseFloat(a))[0] || null;
+
+  const info = {};
+  const infoDict = pdfDoc.getInfoDict();
+  infoDict.keys().forEach(key => {
+    info[key.decodeText()] = decodeInfoValue(key.decodeText(), infoDict.lookup(key));
+  });
+
+  return {
+    version,
+    producer: info.Producer || null,
+    pageCount: pdfDoc.getPageCount(),
+    pageSizes: describePageSizes(pdfDoc),
+    info,
+    xmp: readXmp(pdfDoc)
+  };
+};
+
+/**
+ * Check metadata options before any work is done
+ * @param {Object} options - { preset: 'sanitize', fields: { title, author, subject, keywords,
+ *   creator, producer, creationDate, modificationDate }, xmp: 'sync'|'keep'|'remove' }; a field
+ *   set to null or '' is removed
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is invalid
+ */
+const validateMetadataOptions = (options = {}) => {
+  const preset = options.preset || null;
+  if (preset && !METADATA_PRESETS.includes(preset)) {
+    throw new Error(`Unsupported metadata preset: ${preset}`);
+  }
+
+  const fields = {};
+  Object.entries(options.fields || {}).forEach(([field, value]) => {
+    if (!METADATA_FIELDS[field]) {
+      throw new Error(`Unsupported metadata field: ${field}`);
+    }
+    if (value === null || value === '') {
+      fields[field] = null;
+      return;
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${field} must be a date: ${value}`);
+      }
+      fields[field] = date.toISOString();
+      return;
+    }
+
+    const text = field === 'keywords' && Array.isArray(value)
+      ? value.map(String).map(keyword => keyword.trim()).filter(Boolean).join(', ')
+      : String(value).trim();
+    if (text.length > MAX_FIELD_LENGTH) {
+      throw new Error(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+    }
+    fields[field] = text || null;
+  });
+
+  // A sanitized document must not keep the old traces in its XMP packet
+  const xmp = preset === 'sanitize' ? 'remove' : (options.xmp || 'sync');
+  if (!XMP_MODES.includes(xmp)) {
+    throw new Error(`Unsupported XMP mode: ${xmp}`);
+  }
+
+  if (!preset && Object.keys(fields).length === 0 && xmp !== 'remove') {
+    throw new Error('Please provide metadata to change or a preset');
+  }
+
+  return { preset, fields, xmp };
+};
+
+/**
+ * Escape text for XML
+ */
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build an XMP packet from Info values
+ *
+ * The PDF/A identification of the previous packet is carried over, the
+ * rest of it is replaced.
+ *
+ * @param {Object} info - Info keys -> text, dates as ISO strings
+ * @param {String|null} previousXmp - Packet being replaced
+ * @returns {String}
+ */
+const buildXmp = (info, previousXmp) => {
+  const properties = [];
+  const add = (name, value) => properties.push(`      <${name}>${value}</${name}>`);
+  const alt = (text) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+
+  if (info.Title) add('dc:title', alt(info.Title));
+  if (info.Author) add('dc:creator', `<rdf:Seq><rdf:li>${escapeXml(info.Author)}</rdf:li></rdf:Seq>`);
+  if (info.Subject) add('dc:description', alt(info.Subject));
+  if (info.Keywords) add('pdf:Keywords', escapeXml(info.Keywords));
+  if (info.Producer) add('pdf:Producer', escapeXml(info.Producer));
+  if (info.Creator) add('xmp:CreatorTool', escapeXml(info.Creator));
+  if (info.CreationDate) add('xmp:CreateDate', info.CreationDate);
+  if (info.ModDate) add('xmp:ModifyDate', info.ModDate);
+
+  // Both the attribute and the element form are in use
+  const pdfaValue = (name) => {
+    const match = previousXmp && previousXmp.match(new RegExp(`pdfaid:${name}(?:="|>)([^"<]+)`));
+    return match ? match[1] : null;
+  };
+  const pdfaPart = pdfaValue('part');
+  const pdfaConformance = pdfaValue('conformance');
+  if (pdfaPart) add('pdfaid:part', escapeXml(pdfaPart));
+  if (pdfaConformance) add('pdfaid:conformance', escapeXml(pdfaConformance));
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '    <rdf:Description rdf:about=""',
+    '        xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    '        xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    '        xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">',
+    ...properties,
+    '    </rdf:Description>',
+    '  </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+};
+
+/**
+ * Remove private application data and embedded XMP packets from every
+ * object (pages, images, fonts); they often name the software and the author
+ * @returns {Number} - Number of entries removed
+ */
+const stripObjectMetadata = (pdfDoc) => {
+  let removed = 0;
+  pdfDoc.context.enumerateIndirectObjects().forEach(([, object]) => {
+    const dict = object instanceof PDFDict ? object : (object instanceof PDFStream ? object.dict : null);
+    if (!dict) {
+      return;
+    }
+    ['Metadata', 'PieceInfo'].forEach(key => {
+      if (dict.has(PDFName.of(key))) {
+        dict.delete(PDFName.of(key));
+        removed += 1;
+      }
+    });
+  });
+  return removed;
+};
+
+/**
+ * Write or strip the metadata of a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} settings - Output of validateMetadataOptions
+ * @returns {Promise<Object>} - { buffer, info, removedKeys, xmp: 'written'|'removed'|'kept'|'none' }
+ */
+const writeMetadata = async (buffer, settings) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const infoDict = pdfDoc.getInfoDict();
+  const previousXmp = readXmp(pdfDoc);
+  const removedKeys = [];
+
+  if (settings.preset === 'sanitize') {
+    infoDict.keys().forEach(key => {
+      if (!SANITIZE_KEEP_KEYS.includes(key.decodeText())) {
+        infoDict.delete(key);
+        removedKeys.push(key.decodeText());
+      }
+    });
+    // Catalog, pages and images; the catalog's XMP packet goes with it
+    stripObjectMetadata(pdfDoc);
+    pdfDoc.catalog.delete(PDFName.of('Metadata'));
+    pdfDoc.catalog.delete(PDFName.of('PieceInfo'));
+  }
+
+  Object.entries(settings.fields).forEach(([field, value]) => {
+    const key = PDFName.of(METADATA_FIELDS[field]);
+    if (value === null) {
+      if (infoDict.has(key)) {
+        infoDict.delete(key);
+        removedKeys.push(METADATA_FIELDS[field]);
+      }
+    } else if (DATE_FIELDS.includes(field)) {
+      infoDict.set(key, PDFString.fromDate(new Date(value)));
+    } else {
+      infoDict.set(key, PDFHexString.fromText(value));
+    }
+  });
+
+  const info = {};
+  infoDict.keys().forEach(key => {
+    info[key.decodeText()] = decodeInfoValue(key.decodeText(), infoDict.lookup(key));
+  });
+
+  let xmp = previousXmp ? 'kept' : 'none';
+  if (settings.xmp === 'remove') {
+    pdfDoc.catalog.delete(PDFName.of('Metadata'));
+    xmp = previousXmp ? 'removed' : 'none';
+  } else if (settings.xmp === 'sync' && previousXmp) {
+    const stream = pdfDoc.context.stream(buildXmp(info, previousXmp), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+    xmp = 'written';
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save({ useObjectStreams: true, addDefaultPage: false })),
+    info,
+    removedKeys: [...new Set(removedKeys)],
+    xmp
+  };
+};
+
+module.exports = {
+  METADATA_FIELDS,
+  METADATA_PRESETS,
+  XMP_MODES,
+  decodeInfoValue,
+  readXmp,
+  buildXmp,
+  readMetadata,
+  validateMetadataOptions,
+  writeMetadata
+};
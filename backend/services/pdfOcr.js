@@ -0,0 +1,333 @@
+/**
+ * OCR for PDFSpark
+ *
+ * Recognizes the text of scanned pages with tesseract.js and the language
+ * data bundled in @tesseract.js-data packages, so no page image ever leaves
+ * the server. Recognized pages are returned in the same layout shape as
+ * pdfjsService.extractPageText, which lets the text converters use them
+ * directly, and can be written back into the PDF as an invisible text
+ * layer to make the document searchable.
+ */
+
+const path = require('path');
+const {
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText
+} = require('pdf-lib');
+const { expandPageRanges } = require('../utils/pageRanges');
+
+// Languages with bundled recognition data (@tesseract.js-data/<code>)
+const OCR_LANGUAGES = ['eng'];
+
+// Resolution pages are rendered at for recognition
+const OCR_DPI = 300;
+// Pages with fewer visible characters than this are treated as scans
+const MIN_TEXT_CHARACTERS = 20;
+// Words recognized with less confidence (0-100) are usually noise in pictures
+const MIN_WORD_CONFIDENCE = 30;
+
+/**
+ * Check OCR options before any work is done
+ * @param {Object} options - { language }
+ * @returns {String} - The language to recognize
+ * @throws {Error} If the language has no bundled data
+ */
+const validateOcrOptions = (options = {}) => {
+  const language = options.language || 'eng';
+  if (!OCR_LANGUAGES.includes(language)) {
+    throw new Error(`Unsupported OCR language: ${language}`);
+  }
+  return language;
+};
+
+/**
+ * Decide whether a page needs OCR
+ * @param {Object} pageLayout - Page from pdfjsService.extractPageText
+ * @returns {Boolean} - true when the page has (almost) no text layer
+ */
+const pageNeedsOcr = (pageLayout) => {
+  const characters = pageLayout.items.reduce((count, item) => count + item.str.replace(/\s/g, '').length, 0);
+  return characters < MIN_TEXT_CHARACTERS;
+};
+
+/**
+ * Start a tesseract.js worker on the bundled language data
+ * @param {String} language - Language code
+ * @returns {Promise<Object>} - Worker, terminate it when done
+ */
+const createOcrWorker = async (language) => {
+  // Required lazily, the engine is only loaded by OCR jobs
+  const { createWorker, OEM } = require('tesseract.js');
+  const dataDir = path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`));
+
+  return createWorker(language, OEM.LSTM_ONLY, {
+    langPath: path.join(dataDir, '4.0.0_best_int'),
+    gzip: true,
+    // The data is read from the package, never downloaded or cached elsewhere
+    cacheMethod: 'none'
+  });
+};
+
+/**
+ * Recognize one page
+ *
+ * Word boxes come back in pixels of the rendered image and are converted to
+ * the top-left point coordinates of pdfjsService layouts. Each line becomes
+ * one text item; its words are kept for the text layer.
+ * @param {Object} worker - tesseract.js worker
+ * @param {Object} page - PDFPageProxy
+ * @returns {Promise<Object>} - { pageNumber, width, height, items, transform, confidence }
+ */
+const recognizePage = async (worker, page) => {
+  const { renderPage } = require('./pdfjsService');
+  const viewport = page.getViewport({ scale: 1 });
+  const scale = OCR_DPI / 72;
+
+  const image = await renderPage(page, { dpi: OCR_DPI, format: 'png' });
+  const { data } = await worker.recognize(image.buffer, {}, { blocks: true });
+
+  const items = [];
+  const confidences = [];
+
+  (data.blocks || []).forEach(block => {
+    block.paragraphs.forEach(paragraph => {
+      paragraph.lines.forEach(line => {
+        const words = line.words
+          .filter(word => word.text.trim() && word.confidence >= MIN_WORD_CONFIDENCE)
+          .map(word => {
+            // Baseline of the line under the word, or the bottom of the word box
+            const { baseline } = line;
+            let baselineY = word.bbox.y1;
+            if (baseline && baseline.has_baseline !== false && baseline.x1 !== baseline.x0) {
+              baselineY = baseline.y0 + ((baseline.y1 - baseline.y0) * (word.bbox.x0 - baseline.x0)) / (baseline.x1 - baseline.x0);
+            }
+            confidences.push(word.confidence);
+
+            return {
+              str: word.text.trim(),
+              x: word.bbox.x0 / scale,
+              y: word.bbox.y0 / scale,
+              width: (word.bbox.x1 - word.bbox.x0) / scale,
+              height: (word.bbox.y1 - word.bbox.y0) / scale,
+              baseline: baselineY / scale
+            };
+          });
+
+        if (words.length === 0) {
+          return;
+        }
+
+        const x0 = Math.min(...words.map(word => word.x));
+        const x1 = Math.max(...words.map(word => word.x + word.width));
+        const baseline = Math.max(...words.map(word => word.baseline));
+        // Ascender to baseline of the tallest word, a stand-in for the font size
+        const fontSize = Math.max(...words.map(word => word.baseline - word.y));
+
+        items.push({
+          str: words.map(word => word.str).join(' '),
+          x: x0,
+          y: baseline - fontSize,
+          baseline,
+          width: x1 - x0,
+          height: fontSize,
+          fontSize,
+          fontName: 'OCR',
+          bold: false,
+          italic: false,
+          hasEOL: true,
+          words
+        });
+      });
+    });
+  });
+
+  return {
+    pageNumber: page.pageNumber,
+    width: viewport.width,
+    height: viewport.height,
+    items,
+    // Maps PDF user space to the layout coordinates above
+    transform: viewport.transform,
+    confidence: confidences.length > 0
+      ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+      : 0
+  };
+};
+
+/**
+ * Replace the pages of a layout that have no text with recognized ones
+ * @param {Buffer} pdfBuffer - PDF bytes the layout was extracted from
+ * @param {Object} layout - Result of pdfjsService.extractDocumentLayout
+ * @param {Object} options - { language, pages (page numbers to consider), onProgress(done, total) }
+ * @returns {Promise<Object>} - { layout, recognizedPages: [page numbers] }
+ */
+const fillPagesWithoutText = async (pdfBuffer, layout, options = {}) => {
+  const { openDocument } = require('./pdfjsService');
+  const language = validateOcrOptions(options);
+
+  const candidates = layout.pages.filter(pageLayout => pageNeedsOcr(pageLayout) &&
+    (!options.pages || options.pages.includes(pageLayout.pageNumber)));
+  if (candidates.length === 0) {
+    return { layout, recognizedPages: [] };
+  }
+
+  const doc = await openDocument(pdfBuffer);
+  const worker = await createOcrWorker(language);
+  const recognized = new Map();
+
+  try {
+    for (const pageLayout of candidates) {
+      const page = await doc.getPage(pageLayout.pageNumber);
+      try {
+        recognized.set(pageLayout.pageNumber, await recognizePage(worker, page));
+      } finally {
+        page.cleanup();
+      }
+      if (options.onProgress) {
+        await options.onProgress(recognized.size, candidates.length);
+      }
+    }
+  } finally {
+    await worker.terminate();
+    await doc.destroy();
+  }
+
+  return {
+    layout: {
+      ...layout,
+      pages: layout.pages.map(pageLayout => recognized.get(pageLayout.pageNumber) || pageLayout)
+    },
+    recognizedPages: [...recognized.keys()]
+  };
+};
+
+/**
+ * Invert a 2D affine matrix
+ */
+const invertMatrix = ([a, b, c, d, e, f]) => {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+};
+
+const applyMatrix = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+/**
+ * Write the recognized words of a page as invisible text
+ *
+ * Each word is stretched over its box on the scan, so selecting and
+ * searching highlights the right place on any page rotation.
+ * @param {PDFPage} pdfPage - pdf-lib page
+ * @param {PDFFont} font - Embedded standard font
+ * @param {Object} pageLayout - Result of recognizePage
+ * @returns {Number} - Words written
+ */
+const addTextLayer = (pdfPage, font, pageLayout) => {
+  const toPdf = invertMatrix(pageLayout.transform);
+  const supported = new Set(font.getCharacterSet());
+  const operators = [];
+
+  pageLayout.items.forEach(line => {
+    (line.words || [line]).forEach(word => {
+      // The standard fonts only cover WinAnsi
+      const text = [...word.str].filter(char => supported.has(char.codePointAt(0))).join('');
+      const naturalWidth = text ? font.widthOfTextAtSize(text, 1) : 0;
+      if (naturalWidth <= 0) {
+        return;
+      }
+
+      const origin = applyMatrix(toPdf, word.x, word.baseline);
+      const end = applyMatrix(toPdf, word.x + word.width, word.baseline);
+      const top = applyMatrix(toPdf, word.x, word.baseline - line.fontSize);
+
+      operators.push(setTextMatrix(
+        (end[0] - origin[0]) / naturalWidth,
+        (end[1] - origin[1]) / naturalWidth,
+        top[0] - origin[0],
+        top[1] - origin[1],
+        origin[0],
+        origin[1]
+      ), showText(font.encodeText(text)));
+    });
+  });
+
+  if (operators.length === 0) {
+    return 0;
+  }
+
+  // pdf-lib wraps the existing content in q/Q, so its CTM does not leak into the layer
+  pdfPage.pushOperators(
+    pushGraphicsState(),
+    beginText(),
+    setFontAndSize(pdfPage.node.newFontDictionary(font.name, font.ref), 1),
+    setTextRenderingMode(TextRenderingMode.Invisible),
+    ...operators,
+    endText(),
+    popGraphicsState()
+  );
+
+  return operators.length / 2;
+};
+
+/**
+ * Make a scanned PDF searchable
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - { language, pages (range string such as "1-3,5"), onProgress(done, total) }
+ * @returns {Promise<Object>} - { buffer, pageCount, recognizedPages, skippedPages, wordCount, confidence }
+ */
+const ocrDocument = async (buffer, options = {}) => {
+  const { extractDocumentLayout } = require('./pdfjsService');
+  const { loadSourceDocument } = require('./pdfMerger');
+  const language = validateOcrOptions(options);
+
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const pageCount = pdfDoc.getPageCount();
+  const pages = options.pages ? expandPageRanges(options.pages, pageCount, { unique: true }) : undefined;
+
+  const layout = await extractDocumentLayout(buffer, { pages });
+  const { layout: recognizedLayout, recognizedPages } = await fillPagesWithoutText(buffer, layout, {
+    language,
+    onProgress: options.onProgress
+  });
+
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  let wordCount = 0;
+  let confidenceSum = 0;
+
+  recognizedLayout.pages
+    .filter(pageLayout => recognizedPages.includes(pageLayout.pageNumber))
+    .forEach(pageLayout => {
+      wordCount += addTextLayer(pdfDoc.getPage(pageLayout.pageNumber - 1), font, pageLayout);
+      confidenceSum += pageLayout.confidence;
+    });
+
+  const result = await pdfDoc.save({ addDefaultPage: false, updateFieldAppearances: false });
+
+  return {
+    buffer: Buffer.from(result),
+    pageCount,
+    recognizedPages,
+    // Pages that already had a text layer
+    skippedPages: layout.pages
+      .map(pageLayout => pageLayout.pageNumber)
+      .filter(pageNumber => !recognizedPages.includes(pageNumber)),
+    wordCount,
+    confidence: recognizedPages.length > 0 ? Math.round(confidenceSum / recognizedPages.length) : null
+  };
+};
+
+module.exports = {
+  OCR_LANGUAGES,
+  validateOcrOptions,
+  pageNeedsOcr,
+  fillPagesWithoutText,
+  addTextLayer,
+  ocrDocument
+};
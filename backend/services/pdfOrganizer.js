@@ -0,0 +1,214 @@
+/**
+ * Page organizing for PDFSpark
+ *
+ * Builds a new document from a page plan: an ordered list of pages of the
+ * uploaded document, pages of other uploaded PDFs and blank pages, each with
+ * an optional rotation. Leaving a page out deletes it, listing it twice
+ * duplicates it. Links and bookmarks of the document follow their pages.
+ */
+
+const { PDFDocument, PageSizes, degrees } = require('pdf-lib');
+const { expandPageRanges, parsePageRanges } = require('../utils/pageRanges');
+const { readOutline, writeOutline, remapOutline } = require('./pdfOutline');
+const { loadSourceDocument, copyPagesWithLinks } = require('./pdfMerger');
+
+// Sizes for inserted blank pages; without one a blank page matches the page before it
+const BLANK_PAGE_SIZES = {
+  a4: PageSizes.A4,
+  letter: PageSizes.Letter
+};
+
+// Keeps a plan (and the document built from it) within reason
+const MAX_PLAN_PAGES = 5000;
+
+/**
+ * Check a page plan before any work is done
+ *
+ * Every entry is one of
+ *   { page: 3, rotation }           - a page of the uploaded document
+ *   { pages: '4-6', rotation }      - several pages of it, in order
+ *   { fileId, page | pages, rotation } - pages of another uploaded PDF
+ *   { blank: true, size, rotation } - a blank page ('a4', 'letter' or the size of the page before)
+ * Rotations are clockwise, in steps of 90 degrees, on top of the page's own rotation.
+ *
+ * @param {Array<Object>} plan - Page plan
+ * @returns {Array<Object>} - Normalised plan
+ * @throws {Error} If the plan is empty or an entry is invalid
+ */
+const validatePagePlan = (plan) => {
+  if (!Array.isArray(plan) || plan.length === 0) {
+    throw new Error('Please provide a page plan with at least one page');
+  }
+  if (plan.length > MAX_PLAN_PAGES) {
+    throw new Error(`A page plan can have at most ${MAX_PLAN_PAGES} entries`);
+  }
+
+  return plan.map((entry, index) => {
+    const label = `Page plan entry ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${label} is not an object`);
+    }
+
+    const rotation = entry.rotation === undefined || entry.rotation === null ? 0 : Number(entry.rotation);
+    if (!Number.isInteger(rotation) || rotation % 90 !== 0) {
+      throw new Error(`${label}: rotation must be a multiple of 90 degrees`);
+    }
+    const normalized = { rotation: ((rotation % 360) + 360) % 360 };
+
+    if (entry.blank) {
+      const size = entry.size ? String(entry.size).toLowerCase() : undefined;
+      if (size && !BLANK_PAGE_SIZES[size]) {
+        throw new Error(`${label}: unsupported page size ${entry.size}`);
+      }
+      return { blank: true, size, ...normalized };
+    }
+
+    if (entry.fileId !== undefined && (typeof entry.fileId !== 'string' || !entry.fileId)) {
+      throw new Error(`${label}: fileId must be a string`);
+    }
+    if (entry.fileId) {
+      normalized.fileId = entry.fileId;
+    }
+
+    if (entry.page !== undefined && entry.page !== null) {
+      const page = Number(entry.page);
+      if (!Number.isInteger(page) || page < 1) {
+        throw new Error(`${label}: invalid page number ${entry.page}`);
+      }
+      return { ...normalized, page };
+    }
+
+    if (entry.pages === undefined || entry.pages === null || entry.pages === '') {
+      throw new Error(`${label} needs a page, pages or blank`);
+    }
+    // The page count is only known once the document is loaded
+    parsePageRanges(entry.pages, Number.MAX_SAFE_INTEGER);
+    return { ...normalized, pages: String(entry.pages) };
+  });
+};
+
+/**
+ * Size of a blank page that follows a page, as the page is displayed
+ */
+const matchPageSize = (page) => {
+  const { width, height } = page.getSize();
+  return page.getRotation().angle % 180 === 0 ? [width, height] : [height, width];
+};
+
+/**
+ * Build a document from a page plan
+ * @param {Buffer} buffer - The uploaded document
+ * @param {Array<Object>} plan - Output of validatePagePlan
+ * @param {Object} options - { files: { fileId: Buffer } of the other PDFs the plan uses,
+ *   onProgress(done, total) }
+ * @returns {Promise<Object>} - { buffer, pageCount, sourcePageCount, bookmarkCount }
+ */
+const organizeDocument = async (buffer, plan, options = {}) => {
+  const files = options.files || {};
+  const main = await loadSourceDocument(buffer, 'The document');
+  const others = new Map();
+
+  for (const entry of plan) {
+    if (entry.fileId && !others.has(entry.fileId)) {
+      if (!files[entry.fileId]) {
+        throw new Error(`The inserted file ${entry.fileId} is missing`);
+      }
+      others.set(entry.fileId, await loadSourceDocument(files[entry.fileId], `The inserted file ${entry.fileId}`));
+    }
+  }
+
+  // One slot per output page: { doc, pageIndex } or { blank }, plus its rotation
+  const slots = [];
+  plan.forEach((entry, index) => {
+    if (entry.blank) {
+      slots.push(entry);
+      return;
+    }
+
+    const doc = entry.fileId ? others.get(entry.fileId) : main;
+    const pageCount = doc.getPageCount();
+    const pageNumbers = entry.page !== undefined ? [entry.page] : expandPageRanges(entry.pages, pageCount);
+    pageNumbers.forEach(pageNumber => {
+      if (pageNumber > pageCount) {
+        throw new Error(`Page plan entry ${index + 1}: page ${pageNumber} is outside the document (${pageCount} pages)`);
+      }
+      slots.push({ doc, pageIndex: pageNumber - 1, rotation: entry.rotation });
+    });
+  });
+
+  if (slots.length > MAX_PLAN_PAGES) {
+    throw new Error(`The organized document can have at most ${MAX_PLAN_PAGES} pages`);
+  }
+  if (slots.every(slot => slot.blank)) {
+    throw new Error('The page plan has no pages of a document');
+  }
+
+  // Read before copying, copying rewrites the link annotations of the source
+  const outline = readOutline(main);
+  const organized = await PDFDocument.create({ updateMetadata: false });
+
+  // Each source is copied in one go, so links between its pages survive;
+  // the copies are put in plan order afterwards
+  const sources = [main, ...others.values()];
+  for (const [index, doc] of sources.entries()) {
+    const docSlots = slots.filter(slot => slot.doc === doc);
+    const copies = await copyPagesWithLinks(organized, doc, docSlots.map(slot => slot.pageIndex));
+    docSlots.forEach((slot, offset) => {
+      slot.copy = copies[offset];
+    });
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, sources.length);
+    }
+  }
+
+  while (organized.getPageCount() > 0) {
+    organized.removePage(organized.getPageCount() - 1);
+  }
+
+  // Bookmarks of the uploaded document point at the first copy of their page
+  const firstCopy = new Map();
+  let previous = null;
+  slots.forEach((slot, outputIndex) => {
+    const page = slot.blank
+      ? organized.addPage(BLANK_PAGE_SIZES[slot.size] || (previous ? matchPageSize(previous) : PageSizes.A4))
+      : organized.addPage(slot.copy);
+
+    if (slot.rotation) {
+      page.setRotation(degrees((page.getRotation().angle + slot.rotation) % 360));
+    }
+    if (slot.doc === main && !firstCopy.has(slot.pageIndex)) {
+      firstCopy.set(slot.pageIndex, outputIndex);
+    }
+    previous = page;
+  });
+
+  // A leading blank page has no page before it, it takes the size of the page after it
+  const firstDocumentPage = slots.findIndex(slot => !slot.blank);
+  for (let index = 0; index < firstDocumentPage; index++) {
+    if (!slots[index].size) {
+      organized.getPage(index).setSize(...matchPageSize(organized.getPage(firstDocumentPage)));
+    }
+  }
+
+  const bookmarkCount = writeOutline(organized, remapOutline(outline, firstCopy, { prune: true }));
+  ['Title', 'Author', 'Subject'].forEach(field => {
+    const value = main[`get${field}`]();
+    if (value) {
+      organized[`set${field}`](value);
+    }
+  });
+
+  return {
+    buffer: Buffer.from(await organized.save({ useObjectStreams: true, addDefaultPage: false })),
+    pageCount: organized.getPageCount(),
+    sourcePageCount: main.getPageCount(),
+    bookmarkCount
+  };
+};
+
+module.exports = {
+  BLANK_PAGE_SIZES,
+  validatePagePlan,
+  organizeDocument
+};
@@ -0,0 +1,351 @@
+/**
+ * PDF outline (bookmark) helpers for PDFSpark
+ *
+ * Reads a document outline into a plain tree of
+ * { title, pageIndex, view, open, children } items and writes such a tree
+ * back as outline dictionaries. Destinations are resolved to page indices,
+ * so a tree read from one document can be remapped and written into another.
+ */
+
+const {
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  PDFRef,
+  PDFString
+} = require('pdf-lib');
+
+// Guards against malformed (cyclic or absurdly deep) outlines and name trees
+const MAX_OUTLINE_ITEMS = 10000;
+const MAX_TREE_DEPTH = 32;
+
+/**
+ * Decode a PDF text string
+ * @param {PDFObject} obj - PDFString or PDFHexString
+ * @returns {String}
+ */
+const decodeText = (obj) => (
+  obj instanceof PDFString || obj instanceof PDFHexString ? obj.decodeText() : ''
+);
+
+/**
+ * Find a key in a name tree (used for named destinations)
+ */
+const lookupNameTree = (node, key, depth = 0) => {
+  if (!(node instanceof PDFDict) || depth > MAX_TREE_DEPTH) {
+    return null;
+  }
+
+  const names = node.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) === key) {
+        return names.lookup(i + 1);
+      }
+    }
+  }
+
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = lookupNameTree(kids.lookup(i), key, depth + 1);
+      if (found) {
+        return found;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a destination to an explicit destination array
+ * @param {PDFDocument} pdfDoc - Document the destination belongs to
+ * @param {PDFObject} dest - Explicit array, name or string (named destination)
+ * @returns {PDFArray|null}
+ */
+const resolveDestination = (pdfDoc, dest) => {
+  if (dest instanceof PDFArray) {
+    return dest;
+  }
+
+  let target = null;
+  if (dest instanceof PDFName) {
+    // PDF 1.1 destinations live in the catalog's /Dests dictionary
+    const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+    target = dests instanceof PDFDict ? dests.lookup(PDFName.of(dest.decodeText())) : null;
+  } else if (dest instanceof PDFString || dest instanceof PDFHexString) {
+    const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+    target = names instanceof PDFDict
+      ? lookupNameTree(names.lookup(PDFName.of('Dests')), dest.decodeText())
+      : null;
+  }
+
+  if (target instanceof PDFDict) {
+    target = target.lookup(PDFName.of('D'));
+  }
+  return target instanceof PDFArray ? target : null;
+};
+
+/**
+ * Get the destination of a link annotation or outline item
+ * @param {PDFDocument} pdfDoc - Document the item belongs to
+ * @param {PDFDict} dict - Dictionary with /Dest or a /GoTo action in /A
+ * @returns {PDFArray|null} - Explicit destination
+ */
+const getItemDestination = (pdfDoc, dict) => {
+  const dest = dict.lookup(PDFName.of('Dest'));
+  if (dest) {
+    return resolveDestination(pdfDoc, dest);
+  }
+
+  const action = dict.lookup(PDFName.of('A'));
+  if (action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+    return resolveDestination(pdfDoc, action.lookup(PDFName.of('D')));
+  }
+  return null;
+};
+
+/**
+ * Convert an explicit destination into a page index and view
+ * @param {PDFArray} dest - [page /XYZ left top zoom] and friends
+ * @param {Map<String, Number>} pageIndexByRef - Page ref string -> page index
+ * @returns {Object|null} - { pageIndex, view } with view like ['XYZ', 0, 792, null]
+ */
+const parseDestination = (dest, pageIndexByRef) => {
+  if (!(dest instanceof PDFArray) || dest.size() === 0) {
+    return null;
+  }
+
+  const page = dest.get(0);
+  const pageIndex = page instanceof PDFRef ? pageIndexByRef.get(page.toString()) : undefined;
+  if (pageIndex === undefined) {
+    return null;
+  }
+
+  const view = [];
+  for (let i = 1; i < dest.size(); i++) {
+    const value = dest.get(i);
+    if (value instanceof PDFName) {
+      view.push(value.decodeText());
+    } else if (value instanceof PDFNumber) {
+      view.push(value.asNumber());
+    } else {
+      view.push(null);
+    }
+  }
+
+  return { pageIndex, view: view.length > 0 ? view : null };
+};
+
+/**
+ * Map page refs of a document to page indices
+ * @param {PDFDocument} pdfDoc
+ * @returns {Map<String, Number>}
+ */
+const getPageIndexByRef = (pdfDoc) => new Map(
+  pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+);
+
+/**
+ * Read the outline of a document
+ * @param {PDFDocument} pdfDoc - Loaded document
+ * @returns {Array<Object>} - [{ title, pageIndex, view, open, children }], pageIndex is null when
+ *   the item does not point at a page of this document
+ */
+const readOutline = (pdfDoc) => {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) {
+    return [];
+  }
+
+  const pageIndexByRef = getPageIndexByRef(pdfDoc);
+  const visited = new Set();
+
+  const readLevel = (parent, depth) => {
+    const items = [];
+    let node = parent.lookup(PDFName.of('First'));
+
+    while (node instanceof PDFDict && !visited.has(node) && visited.size < MAX_OUTLINE_ITEMS) {
+      visited.add(node);
+
+      const target = parseDestination(getItemDestination(pdfDoc, node), pageIndexByRef);
+      const count = node.lookup(PDFName.of('Count'));
+      items.push({
+        title: decodeText(node.lookup(PDFName.of('Title'))),
+        pageIndex: target ? target.pageIndex : null,
+        view: target ? target.view : null,
+        open: count instanceof PDFNumber && count.asNumber() > 0,
+        children: depth < MAX_TREE_DEPTH ? readLevel(node, depth + 1) : []
+      });
+
+      node = node.lookup(PDFName.of('Next'));
+    }
+
+    return items;
+  };
+
+  return readLevel(outlines, 0);
+};
+
+/**
+ * Visit the item dictionaries of the outline in place, depth first
+ * @param {PDFDocument} pdfDoc - Loaded document
+ * @param {Function} callback - Called with each item's PDFDict
+ */
+const forEachOutlineItem = (pdfDoc, callback) => {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) {
+    return;
+  }
+
+  const visited = new Set();
+  const visitLevel = (parent, depth) => {
+    let node = parent.lookup(PDFName.of('First'));
+    while (node instanceof PDFDict && !visited.has(node) && visited.size < MAX_OUTLINE_ITEMS) {
+      visited.add(node);
+      callback(node);
+      if (depth < MAX_TREE_DEPTH) visitLevel(node, depth + 1);
+      node = node.lookup(PDFName.of('Next'));
+    }
+  };
+
+  visitLevel(outlines, 0);
+};
+
+/**
+ * Rewrite the page indices of an outline tree
+ * @param {Array<Object>} items - Outline tree
+ * @param {Function|Map} mapPage - Old page index -> new page index (undefined/null drops the target)
+ * @param {Object} options - { prune: drop items that lost their page and have no children left }
+ * @returns {Array<Object>} - New tree
+ */
+const remapOutline = (items, mapPage, options = {}) => {
+  const lookup = typeof mapPage === 'function' ? mapPage : (index) => mapPage.get(index);
+
+  return items.reduce((result, item) => {
+    const children = remapOutline(item.children || [], lookup, options);
+    const mapped = item.pageIndex === null || item.pageIndex === undefined ? null : lookup(item.pageIndex);
+    const pageIndex = mapped === undefined ? null : mapped;
+
+    if (pageIndex === null && options.prune) {
+      // Keep the structure below a bookmark whose page was left out
+      return result.concat(children);
+    }
+
+    result.push({ ...item, pageIndex, view: pageIndex === null ? null : item.view, children });
+    return result;
+  }, []);
+};
+
+/**
+ * Count the items shown below an outline item
+ */
+const countVisible = (items) => items.reduce(
+  (count, item) => count + 1 + (item.open ? countVisible(item.children || []) : 0),
+  0
+);
+
+/**
+ * Build the explicit destination array for an outline item
+ */
+const buildDestination = (pdfDoc, pages, item) => {
+  const page = pages[item.pageIndex];
+  const view = item.view && item.view.length > 0
+    ? item.view
+    : ['XYZ', null, page.getHeight() + page.getY(), null];
+
+  const [type, ...params] = view;
+  return pdfDoc.context.obj([
+    page.ref,
+    PDFName.of(type),
+    ...params.map(value => (typeof value === 'number' ? PDFNumber.of(value) : PDFNull))
+  ]);
+};
+
+/**
+ * Replace the outline of a document
+ * @param {PDFDocument} pdfDoc - Document to write to
+ * @param {Array<Object>} items - [{ title, pageIndex, view, open, children }]; items without a valid
+ *   pageIndex are written without a destination
+ * @returns {Number} - Number of outline items written
+ */
+const writeOutline = (pdfDoc, items) => {
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+
+  if (!items || items.length === 0) {
+    pdfDoc.catalog.delete(PDFName.of('Outlines'));
+    return 0;
+  }
+
+  let written = 0;
+  const writeLevel = (levelItems, parentRef) => {
+    const refs = levelItems.map(() => context.nextRef());
+
+    levelItems.forEach((item, index) => {
+      const children = item.children || [];
+      const dict = context.obj({
+        Title: PDFHexString.fromText(String(item.title || 'Untitled')),
+        Parent: parentRef
+      });
+
+      if (index > 0) dict.set(PDFName.of('Prev'), refs[index - 1]);
+      if (index < refs.length - 1) dict.set(PDFName.of('Next'), refs[index + 1]);
+
+      if (Number.isInteger(item.pageIndex) && pages[item.pageIndex]) {
+        dict.set(PDFName.of('Dest'), buildDestination(pdfDoc, pages, item));
+      }
+
+      if (children.length > 0) {
+        const childRefs = writeLevel(children, refs[index]);
+        dict.set(PDFName.of('First'), childRefs[0]);
+        dict.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+        const visible = countVisible(children);
+        dict.set(PDFName.of('Count'), PDFNumber.of(item.open ? visible : -visible));
+      }
+
+      context.assign(refs[index], dict);
+      written++;
+    });
+
+    return refs;
+  };
+
+  const rootRef = context.nextRef();
+  const topRefs = writeLevel(items, rootRef);
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: topRefs[0],
+    Last: topRefs[topRefs.length - 1],
+    Count: countVisible(items)
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+
+  return written;
+};
+
+/**
+ * Count the items of an outline tree
+ * @param {Array<Object>} items
+ * @returns {Number}
+ */
+const countOutlineItems = (items) => items.reduce(
+  (count, item) => count + 1 + countOutlineItems(item.children || []),
+  0
+);
+
+module.exports = {
+  readOutline,
+  forEachOutlineItem,
+  writeOutline,
+  remapOutline,
+  countOutlineItems,
+  resolveDestination,
+  getItemDestination,
+  parseDestination,
+  getPageIndexByRef
+};
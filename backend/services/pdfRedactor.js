@@ -0,0 +1,1399 @@
+/**
+ * Redaction for PDFSpark
+ *
+ * Finds text by literal terms, regular expressions and built-in patterns
+ * (emails, phone numbers, IBANs) and removes it, together with everything
+ * inside explicit page rectangles, from the document itself rather than
+ * covering it:
+ *  - glyphs are cut out of page and form XObject content streams, with the
+ *    gaps they leave kept so the remaining text does not move
+ *  - image pixels under a redaction are painted black; images that cannot be
+ *    decoded are dropped
+ *  - annotations and form fields in a redacted area are deleted
+ * Black boxes mark the redacted areas afterwards. Search rules also apply to
+ * the text a document carries outside its pages: Info values, XMP packets and
+ * bookmark titles. File attachments cannot be searched and are removed.
+ */
+
+const zlib = require('zlib');
+const sharp = require('sharp');
+const {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  StandardFontEmbedder,
+  StandardFonts,
+  fill,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  setFillingRgbColor
+} = require('pdf-lib');
+const {
+  parseContentStream,
+  writeContentStream,
+  decodeStreamContents,
+  getPageContent,
+  multiplyMatrix
+} = require('./pdfContentStream');
+const {
+  filtersOf,
+  removePngPredictor,
+  imageChannels,
+  removeUnreachableObjects
+} = require('./pdfCompressor');
+const { loadSourceDocument } = require('./pdfMerger');
+const { decodeInfoValue, buildXmp } = require('./pdfMetadata');
+const { forEachOutlineItem } = require('./pdfOutline');
+const { readNameTree } = require('./pdfExtractor');
+const { readNumber, parseColor, toPageSpace } = require('./pdfWatermark');
+const { parsePageRanges, expandPageRanges } = require('../utils/pageRanges');
+
+const MAX_TERMS = 100;
+const MAX_TERM_LENGTH = 200;
+const MAX_AREAS = 500;
+// Nesting limit for form XObjects drawn inside each other
+const MAX_FORM_DEPTH = 8;
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+// Glyph height when the font does not say, as a share of the font size
+const DEFAULT_ASCENT = 0.8;
+const DEFAULT_DESCENT = -0.2;
+
+/**
+ * Check an IBAN with its mod-97 check digits
+ */
+const isValidIban = (text) => {
+  const iban = text.replace(/\s/g, '');
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`
+    .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+// Built-in patterns; accept() filters out look-alikes
+const REDACTION_PATTERNS = {
+  email: {
+    label: 'Email addresses',
+    source: '[\\p{L}\\p{N}._%+-]+@[\\p{L}\\p{N}-]+(?:\\.[\\p{L}\\p{N}-]+)*\\.\\p{L}{2,}'
+  },
+  phone: {
+    label: 'Phone numbers',
+    source: '(?<![\\p{L}\\p{N}+])(?:\\+|00)?\\(?\\d[\\d \\u00a0().\\/-]{5,}\\d(?![\\p{L}\\p{N}])',
+    // Nine digits or more, or eight behind an international prefix; shorter runs are mostly amounts and dates
+    accept: (text) => {
+      const digits = text.replace(/\D/g, '').length;
+      return digits <= 15 && (digits >= 9 || (digits >= 8 && /^(\+|00)/.test(text)));
+    }
+  },
+  iban: {
+    label: 'IBANs',
+    source: '(?<![\\p{L}\\p{N}])[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?(?![\\p{L}\\p{N}])',
+    accept: isValidIban
+  }
+};
+
+/**
+ * Read an optional list of strings
+ */
+const readList = (value, label) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(item => {
+    if (typeof item !== 'string' || !item.trim()) {
+      throw new Error(`${label} must be non-empty text`);
+    }
+    if (item.length > MAX_TERM_LENGTH) {
+      throw new Error(`${label} must be at most ${MAX_TERM_LENGTH} characters`);
+    }
+    return item;
+  });
+};
+
+/**
+ * Check redaction options and fill in the defaults
+ * @param {Object} options - { terms, regexes, patterns, caseSensitive, wholeWords, pages (search only),
+ *   areas: [{ page, x, y, width, height }] in points from the bottom left of the page as displayed,
+ *   fillColor }
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is invalid or nothing would be redacted
+ */
+const validateRedactionOptions = (options = {}) => {
+  const caseSensitive = options.caseSensitive === true || options.caseSensitive === 'true';
+  const wholeWords = options.wholeWords === true || options.wholeWords === 'true';
+  const terms = readList(options.terms, 'Search terms').map(term => term.trim());
+  const regexes = readList(options.regexes, 'Regular expressions');
+  const patterns = readList(options.patterns, 'Patterns');
+
+  // Errors name expressions by number: the messages are logged, the expressions must not be
+  regexes.forEach((source, index) => {
+    const label = `Regular expression ${index + 1}`;
+    // Nested repetition such as (a+)+ can take forever on long pages
+    if (/\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*[+*{]/.test(source)) {
+      throw new Error(`${label} uses nested repetition, which is not supported`);
+    }
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${source})$`, caseSensitive ? 'u' : 'iu');
+    } catch (error) {
+      // V8 quotes the expression before the reason
+      throw new Error(`Invalid regular expression ${index + 1}: ${error.message.split(': ').pop()}`);
+    }
+    if (regex.test('')) {
+      throw new Error(`${label} matches empty text`);
+    }
+  });
+  patterns.forEach(pattern => {
+    if (!REDACTION_PATTERNS[pattern]) {
+      throw new Error(`Unsupported pattern: ${pattern}. Use ${Object.keys(REDACTION_PATTERNS).join(', ')}`);
+    }
+  });
+
+  if (options.areas !== undefined && !Array.isArray(options.areas)) {
+    throw new Error('Areas must be a list of { page, x, y, width, height }');
+  }
+  const areas = (options.areas || []).map((area, index) => {
+    const label = `Area ${index + 1}`;
+    if (!area || typeof area !== 'object') {
+      throw new Error(`${label} must be { page, x, y, width, height }`);
+    }
+    const page = readNumber(area.page, NaN, 1, 100000, `${label} page`);
+    if (!Number.isInteger(page)) {
+      throw new Error(`${label} needs a whole page number`);
+    }
+    return {
+      page,
+      x: readNumber(area.x, 0, 0, 14400, `${label} x`),
+      y: readNumber(area.y, 0, 0, 14400, `${label} y`),
+      width: readNumber(area.width, NaN, 0.1, 14400, `${label} width`),
+      height: readNumber(area.height, NaN, 0.1, 14400, `${label} height`)
+    };
+  });
+  areas.forEach((area, index) => {
+    if (Number.isNaN(area.width) || Number.isNaN(area.height)) {
+      throw new Error(`Area ${index + 1} needs a width and height`);
+    }
+  });
+
+  if (terms.length + regexes.length > MAX_TERMS) {
+    throw new Error(`At most ${MAX_TERMS} search terms and regular expressions are allowed`);
+  }
+  if (areas.length > MAX_AREAS) {
+    throw new Error(`At most ${MAX_AREAS} areas are allowed`);
+  }
+  if (terms.length + regexes.length + patterns.length + areas.length === 0) {
+    throw new Error('Please provide search terms, regular expressions, patterns or areas to redact');
+  }
+
+  if (options.pages !== undefined && options.pages !== null && options.pages !== '') {
+    parsePageRanges(options.pages, Number.MAX_SAFE_INTEGER);
+  }
+
+  const fillColor = options.fillColor || '#000000';
+  if (!/^#[0-9a-f]{6}$/i.test(fillColor)) {
+    throw new Error(`Fill colour must be a hex value such as #000000: ${fillColor}`);
+  }
+
+  return {
+    terms,
+    regexes,
+    patterns: [...new Set(patterns)],
+    caseSensitive,
+    wholeWords,
+    pages: options.pages ? String(options.pages) : undefined,
+    areas,
+    fillColor: fillColor.toLowerCase()
+  };
+};
+
+/**
+ * Build the search rules of the settings
+ * @returns {Array<Object>} - [{ label, regex, accept }]
+ */
+const buildMatchers = (settings) => {
+  const flags = settings.caseSensitive ? 'gu' : 'giu';
+  // Word boundaries that know about accented letters
+  const bounded = (source) => (settings.wholeWords ? `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])` : source);
+
+  // Labels are saved with the operation, so they number the terms rather than repeat them
+  return [
+    ...settings.terms.map((term, index) => ({
+      label: `text ${index + 1}`,
+      // Any run of white space in the term matches line breaks and wider gaps
+      regex: new RegExp(bounded(term.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+')), flags)
+    })),
+    ...settings.regexes.map((source, index) => ({ label: `regex ${index + 1}`, regex: new RegExp(bounded(source), flags) })),
+    ...settings.patterns.map(pattern => ({
+      label: pattern,
+      regex: new RegExp(REDACTION_PATTERNS[pattern].source, 'gu'),
+      accept: REDACTION_PATTERNS[pattern].accept
+    }))
+  ];
+};
+
+// Character tables of the standard fonts, built on first use
+let encodingTables = null;
+
+/**
+ * Code, glyph name and Unicode tables of the WinAnsi, Symbol and ZapfDingbats encodings
+ */
+const getEncodingTables = () => {
+  if (encodingTables) return encodingTables;
+
+  const nameToUnicode = new Map([['fi', 'fi'], ['fl', 'fl'], ['ff', 'ff'], ['ffi', 'ffi'], ['ffl', 'ffl']]);
+  const tableFor = (fontName) => {
+    const codes = new Map();
+    const { unicodeMappings } = StandardFontEmbedder.for(fontName).encoding;
+    Object.entries(unicodeMappings).forEach(([codePoint, [code, name]]) => {
+      const unicode = String.fromCodePoint(Number(codePoint));
+      codes.set(code, { name, unicode });
+      if (!nameToUnicode.has(name)) nameToUnicode.set(name, unicode);
+    });
+    return codes;
+  };
+
+  encodingTables = {
+    WinAnsi: tableFor(StandardFonts.Helvetica),
+    Symbol: tableFor(StandardFonts.Symbol),
+    ZapfDingbats: tableFor(StandardFonts.ZapfDingbats),
+    nameToUnicode
+  };
+  return encodingTables;
+};
+
+/**
+ * Unicode text of a glyph name: standard names, uniXXXX, uXXXX and ligatures like f_f_i
+ */
+const glyphNameToUnicode = (glyphName) => {
+  if (!glyphName) return null;
+  const { nameToUnicode } = getEncodingTables();
+  const name = glyphName.split('.')[0];
+  if (nameToUnicode.has(name)) return nameToUnicode.get(name);
+
+  let match = name.match(/^uni((?:[0-9A-F]{4})+)$/);
+  if (match) {
+    return String.fromCharCode(...match[1].match(/.{4}/g).map(hex => parseInt(hex, 16)));
+  }
+  match = name.match(/^u([0-9A-F]{4,6})$/);
+  if (match) {
+    const codePoint = parseInt(match[1], 16);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : null;
+  }
+  if (name.includes('_')) {
+    const parts = name.split('_').map(glyphNameToUnicode);
+    return parts.every(Boolean) ? parts.join('') : null;
+  }
+  return null;
+};
+
+/**
+ * Decode UTF-16BE bytes
+ */
+const decodeUtf16 = (bytes) => {
+  const even = bytes.length % 2 ? Buffer.concat([bytes, Buffer.alloc(1)]) : Buffer.from(bytes);
+  return even.swap16().toString('utf16le');
+};
+
+const readCode = (bytes) => bytes.reduce((code, byte) => code * 256 + byte, 0);
+
+/**
+ * Read a ToUnicode CMap
+ * @returns {Map<Number, String>} - Character code -> text
+ */
+const parseToUnicode = (stream) => {
+  const map = new Map();
+  const isString = (value) => value && value.type === 'string';
+
+  for (const { operator, operands } of parseContentStream(decodeStreamContents(stream))) {
+    if (operator === 'endbfchar') {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        if (isString(operands[i]) && isString(operands[i + 1])) {
+          map.set(readCode(operands[i].value), decodeUtf16(operands[i + 1].value));
+        }
+      }
+    } else if (operator === 'endbfrange') {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const [start, end, target] = operands.slice(i, i + 3);
+        if (!isString(start) || !isString(end)) continue;
+        const first = readCode(start.value);
+        // Ranges never cross a first byte, which keeps them at 256 codes at most
+        const last = Math.min(readCode(end.value), first + 0xffff);
+        for (let code = first; code <= last; code++) {
+          if (Array.isArray(target)) {
+            if (isString(target[code - first])) map.set(code, decodeUtf16(target[code - first].value));
+          } else if (isString(target)) {
+            // The last two bytes of the target count up with the code
+            const bytes = Buffer.from(target.value);
+            const position = Math.max(0, bytes.length - 2);
+            const value = readCode(bytes.subarray(position)) + code - first;
+            bytes.writeUIntBE(value & (bytes.length - position === 2 ? 0xffff : 0xff), position, bytes.length - position);
+            map.set(code, decodeUtf16(bytes));
+          }
+        }
+      }
+    }
+  }
+  return map;
+};
+
+// Metrics of the standard 14 fonts, for simple fonts without /Widths
+const standardFonts = new Map();
+
+const standardFontFor = (baseFont) => {
+  const name = baseFont.replace(/^[A-Z]{6}\+/, '');
+  let standardName = Object.values(StandardFonts).find(candidate => candidate === name);
+  if (!standardName) {
+    const bold = /bold/i.test(name);
+    const italic = /italic|oblique/i.test(name);
+    if (/symbol/i.test(name)) {
+      standardName = StandardFonts.Symbol;
+    } else if (/dingbat/i.test(name)) {
+      standardName = StandardFonts.ZapfDingbats;
+    } else if (/times/i.test(name)) {
+      standardName = ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'][Number(bold) + 2 * Number(italic)];
+    } else {
+      const family = /courier/i.test(name) ? 'Courier' : 'Helvetica';
+      standardName = [family, `${family}-Bold`, `${family}-Oblique`, `${family}-BoldOblique`][Number(bold) + 2 * Number(italic)];
+    }
+  }
+  if (!standardFonts.has(standardName)) {
+    standardFonts.set(standardName, StandardFontEmbedder.for(standardName).font);
+  }
+  return standardFonts.get(standardName);
+};
+
+const numberAt = (array, index) => {
+  const value = array && array.lookup(index);
+  return value instanceof PDFNumber ? value.asNumber() : undefined;
+};
+
+/**
+ * Vertical extent of glyphs from the font descriptor, as a share of the font size
+ */
+const readVerticalMetrics = (descriptor) => {
+  const ascent = descriptor && descriptor.lookup(PDFName.of('Ascent'));
+  const descent = descriptor && descriptor.lookup(PDFName.of('Descent'));
+  return {
+    ascent: ascent instanceof PDFNumber && ascent.asNumber() > 0 ? ascent.asNumber() / 1000 : DEFAULT_ASCENT,
+    descent: descent instanceof PDFNumber && descent.asNumber() < 0 ? descent.asNumber() / 1000 : DEFAULT_DESCENT
+  };
+};
+
+/**
+ * Read what redaction needs to know about a font: code length, widths and Unicode
+ * @param {PDFDict} fontDict - Font dictionary
+ * @param {Array<String>} warnings - Collects the fonts whose text cannot be searched
+ * @returns {Object} - { bytesPerCode, width(code) in text space units, unicode(code), ascent, descent }
+ */
+const loadFont = (fontDict, warnings = []) => {
+  const subtype = fontDict.lookup(PDFName.of('Subtype'));
+  const toUnicodeStream = fontDict.lookup(PDFName.of('ToUnicode'));
+  let toUnicode = new Map();
+  if (toUnicodeStream instanceof PDFStream) {
+    try {
+      toUnicode = parseToUnicode(toUnicodeStream);
+    } catch (error) {
+      // Text of this font cannot be searched, rectangles still apply
+      warnings.push(`Could not read a ToUnicode map: ${error.message}`);
+    }
+  }
+  const mapped = (code) => {
+    const text = toUnicode.get(code);
+    return text && text !== '\u0000' ? text : null;
+  };
+
+  if (subtype === PDFName.of('Type0')) {
+    const descendants = fontDict.lookup(PDFName.of('DescendantFonts'));
+    const descendant = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    const widths = new Map();
+    let defaultWidth = 1000;
+    let descriptor = null;
+    if (descendant instanceof PDFDict) {
+      const dw = descendant.lookup(PDFName.of('DW'));
+      if (dw instanceof PDFNumber) defaultWidth = dw.asNumber();
+      descriptor = descendant.lookup(PDFName.of('FontDescriptor'));
+      // [first [w1 w2 ...]] or [first last w]
+      const w = descendant.lookup(PDFName.of('W'));
+      const entries = w instanceof PDFArray ? w.asArray().map(item => w.context.lookup(item)) : [];
+      for (let i = 0; i < entries.length;) {
+        const first = entries[i] instanceof PDFNumber ? entries[i].asNumber() : NaN;
+        if (entries[i + 1] instanceof PDFArray) {
+          entries[i + 1].asArray().forEach((width, offset) => {
+            const value = entries[i + 1].context.lookup(width);
+            if (value instanceof PDFNumber) widths.set(first + offset, value.asNumber());
+          });
+          i += 2;
+        } else {
+          const last = entries[i + 1] instanceof PDFNumber ? entries[i + 1].asNumber() : NaN;
+          const width = entries[i + 2] instanceof PDFNumber ? entries[i + 2].asNumber() : NaN;
+          for (let cid = first; cid <= Math.min(last, first + 0xffff); cid++) widths.set(cid, width);
+          i += 3;
+        }
+      }
+    }
+
+    // Codes are two bytes; widths are keyed by CID, which equals the code for Identity encodings
+    return {
+      bytesPerCode: 2,
+      width: (code) => (widths.has(code) ? widths.get(code) : defaultWidth) / 1000,
+      unicode: mapped,
+      ...readVerticalMetrics(descriptor instanceof PDFDict ? descriptor : null)
+    };
+  }
+
+  const tables = getEncodingTables();
+  const baseFontName = fontDict.lookup(PDFName.of('BaseFont'));
+  const baseFont = baseFontName instanceof PDFName ? baseFontName.decodeText() : '';
+  const descriptor = fontDict.lookup(PDFName.of('FontDescriptor'));
+
+  // Glyph names by code: the base encoding, then the differences
+  let base = /symbol/i.test(baseFont) ? tables.Symbol : tables.WinAnsi;
+  if (/dingbat/i.test(baseFont)) base = tables.ZapfDingbats;
+  const names = new Map([...base.entries()].map(([code, { name }]) => [code, name]));
+  const encoding = fontDict.lookup(PDFName.of('Encoding'));
+  const differences = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('Differences')) : null;
+  if (differences instanceof PDFArray) {
+    let code = 0;
+    differences.asArray().forEach(item => {
+      const value = differences.context.lookup(item);
+      if (value instanceof PDFNumber) {
+        code = value.asNumber();
+      } else if (value instanceof PDFName) {
+        names.set(code, value.decodeText());
+        code++;
+      }
+    });
+  }
+
+  // Type 3 glyphs are measured in their own glyph space
+  const fontMatrix = fontDict.lookup(PDFName.of('FontMatrix'));
+  const widthScale = subtype === PDFName.of('Type3') && numberAt(fontMatrix, 0) ? numberAt(fontMatrix, 0) : 0.001;
+  const firstChar = numberAt(fontDict, PDFName.of('FirstChar')) || 0;
+  const widthsArray = fontDict.lookup(PDFName.of('Widths'));
+  const missingWidth = descriptor instanceof PDFDict ? numberAt(descriptor, PDFName.of('MissingWidth')) : undefined;
+  const standardFont = widthsArray instanceof PDFArray ? null : standardFontFor(baseFont);
+
+  return {
+    bytesPerCode: 1,
+    width: (code) => {
+      const width = widthsArray instanceof PDFArray ? numberAt(widthsArray, code - firstChar) : undefined;
+      if (width !== undefined) return width * widthScale;
+      const standardWidth = standardFont && names.has(code) ? standardFont.getWidthOfGlyph(names.get(code)) : undefined;
+      if (standardWidth !== undefined) return standardWidth / 1000;
+      return (missingWidth !== undefined ? missingWidth : 500) * widthScale;
+    },
+    unicode: (code) => mapped(code) || glyphNameToUnicode(names.get(code)),
+    ...readVerticalMetrics(descriptor instanceof PDFDict ? descriptor : null)
+  };
+};
+
+const applyMatrix = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+/**
+ * Bounding box of a unit-space rectangle under a matrix
+ * @returns {Array<Number>} - [x1, y1, x2, y2]
+ */
+const boundsOf = (matrix, x1, y1, x2, y2) => {
+  const points = [[x1, y1], [x2, y1], [x1, y2], [x2, y2]].map(([x, y]) => applyMatrix(matrix, x, y));
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+const overlaps = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+
+const containsPoint = (box, x, y) => x >= box[0] && x <= box[2] && y >= box[1] && y <= box[3];
+
+const invertMatrix = (m) => {
+  const determinant = m[0] * m[3] - m[1] * m[2];
+  if (Math.abs(determinant) < 1e-12) return null;
+  return [
+    m[3] / determinant,
+    -m[1] / determinant,
+    -m[2] / determinant,
+    m[0] / determinant,
+    (m[2] * m[5] - m[3] * m[4]) / determinant,
+    (m[1] * m[4] - m[0] * m[5]) / determinant
+  ];
+};
+
+/**
+ * Interpret a page's content, recording every glyph and image with its position
+ *
+ * Content is organised in scopes: the page and each drawing of a form
+ * XObject. A form drawn twice gets two scopes, so that each drawing can be
+ * redacted on its own.
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @param {Map} fonts - Font cache shared across pages
+ * @param {Array<String>} warnings - Collects problems that leave text unsearchable
+ * @returns {Object} - { scope, glyphs, images }
+ */
+const readPage = (page, fonts, warnings) => {
+  const { context } = page.node;
+  const glyphs = [];
+  const images = [];
+
+  const fontFor = (resources, name) => {
+    const fontResources = resources && resources.lookup(PDFName.of('Font'));
+    const ref = fontResources instanceof PDFDict ? fontResources.get(PDFName.of(name)) : null;
+    const fontDict = context.lookup(ref);
+    if (!(fontDict instanceof PDFDict)) return null;
+    if (!fonts.has(fontDict)) fonts.set(fontDict, loadFont(fontDict, warnings));
+    return fonts.get(fontDict);
+  };
+
+  const visit = (operations, resources, baseMatrix, depth, stream) => {
+    const scope = { operations, resources, stream, runs: new Map(), children: new Map(), images: new Map() };
+    const xObjects = resources && resources.lookup(PDFName.of('XObject'));
+    const saved = [];
+    const marked = [];
+    let state = { ctm: baseMatrix, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0, font: null, fontSize: 0 };
+    let textMatrix = IDENTITY_MATRIX;
+    let lineMatrix = IDENTITY_MATRIX;
+
+    const moveLine = (tx, ty) => {
+      lineMatrix = multiplyMatrix([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+
+    const showText = (index, items) => {
+      const { font, fontSize, charSpacing, wordSpacing, scale, rise } = state;
+      const run = { bytesPerCode: font ? font.bytesPerCode : 1, fontSize, scale, advances: [] };
+      scope.runs.set(index, run);
+      if (!font) return;
+
+      items.forEach(item => {
+        if (typeof item === 'number') {
+          textMatrix = multiplyMatrix([1, 0, 0, 1, (-item / 1000) * fontSize * scale, 0], textMatrix);
+          return;
+        }
+        if (!item || item.type !== 'string') return;
+        for (let offset = 0; offset + font.bytesPerCode <= item.value.length; offset += font.bytesPerCode) {
+          const code = readCode(item.value.subarray(offset, offset + font.bytesPerCode));
+          const width = font.width(code);
+          const renderMatrix = multiplyMatrix(multiplyMatrix([fontSize * scale, 0, 0, fontSize, 0, rise], textMatrix), state.ctm);
+          const origin = applyMatrix(renderMatrix, 0, 0);
+          const up = applyMatrix(renderMatrix, 0, 1);
+          const direction = [renderMatrix[0], renderMatrix[1]];
+          const length = Math.hypot(...direction) || 1;
+
+          glyphs.push({
+            scope,
+            operation: index,
+            index: run.advances.length,
+            unicode: font.unicode(code),
+            box: boundsOf(renderMatrix, 0, font.descent, width, font.ascent),
+            origin,
+            end: applyMatrix(renderMatrix, width, 0),
+            direction: [direction[0] / length, direction[1] / length],
+            size: Math.hypot(up[0] - origin[0], up[1] - origin[1]),
+            marked: [...marked]
+          });
+
+          // Word spacing applies to the single-byte code 32 only
+          const advance = width * fontSize + charSpacing + (font.bytesPerCode === 1 && code === 32 ? wordSpacing : 0);
+          run.advances.push(advance);
+          textMatrix = multiplyMatrix([1, 0, 0, 1, advance * scale, 0], textMatrix);
+        }
+      });
+    };
+
+    operations.forEach(({ operator, operands }, index) => {
+      const number = (position) => (typeof operands[position] === 'number' ? operands[position] : 0);
+      switch (operator) {
+        case 'q':
+          saved.push(state);
+          state = { ...state };
+          break;
+        case 'Q':
+          state = saved.pop() || state;
+          break;
+        case 'cm':
+          if (operands.length === 6) state.ctm = multiplyMatrix(operands, state.ctm);
+          break;
+        case 'BT':
+          textMatrix = IDENTITY_MATRIX;
+          lineMatrix = IDENTITY_MATRIX;
+          break;
+        case 'Tc':
+          state.charSpacing = number(0);
+          break;
+        case 'Tw':
+          state.wordSpacing = number(0);
+          break;
+        case 'Tz':
+          state.scale = number(0) / 100;
+          break;
+        case 'TL':
+          state.leading = number(0);
+          break;
+        case 'Ts':
+          state.rise = number(0);
+          break;
+        case 'Tf':
+          state.font = operands[0] && operands[0].type === 'name' ? fontFor(resources, operands[0].value) : null;
+          state.fontSize = number(1);
+          break;
+        case 'Td':
+          moveLine(number(0), number(1));
+          break;
+        case 'TD':
+          state.leading = -number(1);
+          moveLine(number(0), number(1));
+          break;
+        case 'Tm':
+          if (operands.length === 6) {
+            lineMatrix = operands;
+            textMatrix = operands;
+          }
+          break;
+        case 'T*':
+          moveLine(0, -state.leading);
+          break;
+        case 'Tj':
+          showText(index, [operands[0]]);
+          break;
+        case "'":
+          moveLine(0, -state.leading);
+          showText(index, [operands[0]]);
+          break;
+        case '"':
+          state.wordSpacing = number(0);
+          state.charSpacing = number(1);
+          moveLine(0, -state.leading);
+          showText(index, [operands[2]]);
+          break;
+        case 'TJ':
+          showText(index, Array.isArray(operands[0]) ? operands[0] : []);
+          break;
+        case 'BMC':
+        case 'BDC':
+          marked.push(index);
+          break;
+        case 'EMC':
+          marked.pop();
+          break;
+        case 'BI': {
+          const image = { scope, operation: index, box: boundsOf(state.ctm, 0, 0, 1, 1), matrix: state.ctm, inline: true };
+          scope.images.set(index, image);
+          images.push(image);
+          break;
+        }
+        case 'Do': {
+          const ref = xObjects instanceof PDFDict && operands[0] && operands[0].type === 'name'
+            ? xObjects.get(PDFName.of(operands[0].value))
+            : null;
+          const xObject = context.lookup(ref);
+          if (!(xObject instanceof PDFStream)) break;
+
+          const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+          if (subtype === PDFName.of('Image')) {
+            const image = { scope, operation: index, ref, stream: xObject, box: boundsOf(state.ctm, 0, 0, 1, 1), matrix: state.ctm };
+            scope.images.set(index, image);
+            images.push(image);
+          } else if (subtype === PDFName.of('Form')) {
+            if (depth >= MAX_FORM_DEPTH) {
+              throw new Error('Form XObjects are nested too deeply');
+            }
+            const formMatrix = xObject.dict.lookup(PDFName.of('Matrix'));
+            const formResources = xObject.dict.lookup(PDFName.of('Resources'));
+            scope.children.set(index, visit(
+              parseContentStream(decodeStreamContents(xObject)),
+              formResources instanceof PDFDict ? formResources : resources,
+              multiplyMatrix(formMatrix instanceof PDFArray ? formMatrix.asArray().map(value => value.asNumber()) : IDENTITY_MATRIX, state.ctm),
+              depth + 1,
+              xObject
+            ));
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    return scope;
+  };
+
+  const scope = visit(parseContentStream(getPageContent(page.node)), page.node.Resources(), IDENTITY_MATRIX, 0, null);
+  return { scope, glyphs, images };
+};
+
+/**
+ * What separates two consecutive glyphs in the page text: nothing, a space or a line break
+ */
+const separatorBetween = (previous, glyph) => {
+  const [dx, dy] = previous.direction;
+  const deltaX = glyph.origin[0] - previous.end[0];
+  const deltaY = glyph.origin[1] - previous.end[1];
+  const along = deltaX * dx + deltaY * dy;
+  const across = deltaY * dx - deltaX * dy;
+  const size = previous.size || 1;
+
+  if (Math.abs(across) > size * 0.5) return '\n';
+  if (/\s$/.test(previous.unicode || '') || /^\s/.test(glyph.unicode || '')) return '';
+  return along > size * 0.2 || along < -size ? ' ' : '';
+};
+
+/**
+ * Find the matches of the rules in a page's glyphs
+ * @returns {Object} - { matchedGlyphs: Set, matchBoxes, matchesByRule, matches, unmappedGlyphs }
+ */
+const searchPage = (glyphs, matchers) => {
+  // Page text with the glyph behind every UTF-16 unit (-1 for inserted separators)
+  let text = '';
+  const owners = [];
+  let unmappedGlyphs = 0;
+  glyphs.forEach((glyph, index) => {
+    if (index > 0) {
+      const separator = separatorBetween(glyphs[index - 1], glyph);
+      if (separator) {
+        text += separator;
+        owners.push(-1);
+      }
+    }
+    // Glyphs without Unicode cannot match anything
+    const unicode = glyph.unicode || '�';
+    if (!glyph.unicode) unmappedGlyphs++;
+    text += unicode;
+    for (let unit = 0; unit < unicode.length; unit++) owners.push(index);
+  });
+
+  const matchedGlyphs = new Set();
+  const matchBoxes = [];
+  const matchesByRule = {};
+  let matches = 0;
+  matchers.forEach(({ label, regex, accept }) => {
+    regex.lastIndex = 0;
+    for (const match of text.matchAll(regex)) {
+      if (!match[0] || (accept && !accept(match[0]))) continue;
+      const indexes = [...new Set(owners.slice(match.index, match.index + match[0].length).filter(owner => owner >= 0))];
+      if (indexes.length === 0) continue;
+
+      matches++;
+      matchesByRule[label] = (matchesByRule[label] || 0) + 1;
+      // One box per line of the match
+      let box = null;
+      indexes.forEach((index, position) => {
+        const glyph = glyphs[index];
+        matchedGlyphs.add(glyph);
+        const newLine = position > 0 && separatorBetween(glyphs[indexes[position - 1]], glyph) === '\n';
+        if (!box || newLine) {
+          box = [...glyph.box];
+          matchBoxes.push(box);
+        } else {
+          box[0] = Math.min(box[0], glyph.box[0]);
+          box[1] = Math.min(box[1], glyph.box[1]);
+          box[2] = Math.max(box[2], glyph.box[2]);
+          box[3] = Math.max(box[3], glyph.box[3]);
+        }
+      });
+    }
+  });
+
+  return { matchedGlyphs, matchBoxes, matchesByRule, matches, unmappedGlyphs };
+};
+
+/**
+ * Decode an image XObject to 8-bit pixels
+ * @returns {Promise<Object|null>} - { pixels, width, height, channels }, or null when unsupported
+ */
+const decodeImage = async (context, stream, isSoftMask) => {
+  if (!(stream instanceof PDFRawStream)) return null;
+  const { dict, contents } = stream;
+  if (dict.lookup(PDFName.of('ImageMask')) === PDFBool.True) return null;
+  // Only the default [0 1 ...] decode keeps black at zero
+  const decode = dict.lookup(PDFName.of('Decode'));
+  if (decode && !(decode instanceof PDFArray && decode.asArray().every((value, index) => numberAt(decode, index) === index % 2))) {
+    return null;
+  }
+
+  const width = dict.lookup(PDFName.of('Width'));
+  const height = dict.lookup(PDFName.of('Height'));
+  const bits = dict.lookup(PDFName.of('BitsPerComponent'));
+  if (!(width instanceof PDFNumber) || !(height instanceof PDFNumber) || !(bits instanceof PDFNumber) || bits.asNumber() !== 8) {
+    return null;
+  }
+  const channels = isSoftMask ? 1 : imageChannels(context, dict.lookup(PDFName.of('ColorSpace')));
+  if (!channels) return null;
+
+  const size = { width: width.asNumber(), height: height.asNumber(), channels };
+  const filters = filtersOf(dict);
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    const { data, info } = await sharp(Buffer.from(contents)).raw().toBuffer({ resolveWithObject: true });
+    if (info.channels !== channels || info.width !== size.width || info.height !== size.height) return null;
+    return { ...size, pixels: data };
+  }
+  if (filters.length === 1 && filters[0] === 'FlateDecode') {
+    let pixels = zlib.inflateSync(Buffer.from(contents));
+    const parms = dict.lookup(PDFName.of('DecodeParms'));
+    const predictor = parms instanceof PDFDict ? parms.lookup(PDFName.of('Predictor')) : null;
+    if (predictor instanceof PDFNumber && predictor.asNumber() >= 10) {
+      pixels = removePngPredictor(pixels, size.width, size.height, channels);
+    } else if (predictor instanceof PDFNumber && predictor.asNumber() > 1) {
+      return null;
+    }
+    if (pixels.length < size.width * size.height * channels) return null;
+    return { ...size, pixels: Buffer.from(pixels) };
+  }
+  if (filters.length === 0 && contents.length >= size.width * size.height * channels) {
+    return { ...size, pixels: Buffer.from(contents) };
+  }
+  return null;
+};
+
+/**
+ * Fill the parts of an image that lie under the boxes
+ * @returns {Boolean} - Whether any pixel changed
+ */
+const paintImage = (image, matrix, boxes, value) => {
+  const inverse = invertMatrix(matrix);
+  if (!inverse) return false;
+  let painted = false;
+  boxes.forEach(box => {
+    // The image fills the unit square, its first row at the top
+    const [u1, v1, u2, v2] = boundsOf(inverse, box[0], box[1], box[2], box[3]);
+    const left = Math.max(0, Math.floor(u1 * image.width));
+    const right = Math.min(image.width, Math.ceil(u2 * image.width));
+    const top = Math.max(0, Math.floor((1 - v2) * image.height));
+    const bottom = Math.min(image.height, Math.ceil((1 - v1) * image.height));
+    for (let row = top; row < bottom; row++) {
+      const start = (row * image.width + left) * image.channels;
+      const end = (row * image.width + right) * image.channels;
+      if (end > start) {
+        image.pixels.fill(value, start, end);
+        painted = true;
+      }
+    }
+  });
+  return painted;
+};
+
+/**
+ * Copy of an image XObject with the redacted areas painted black
+ * @returns {Promise<PDFRef|null>} - The new image, or null when it must be dropped instead
+ */
+const redactImage = async (context, stream, matrix, boxes) => {
+  const image = await decodeImage(context, stream, false);
+  if (!image) return null;
+  paintImage(image, matrix, boxes, 0);
+
+  const dict = stream.dict.clone(context);
+  ['DecodeParms', 'Length', 'SMask'].forEach(key => dict.delete(PDFName.of(key)));
+  dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+
+  // Make the redacted area opaque so the black shows
+  const softMask = stream.dict.lookup(PDFName.of('SMask'));
+  if (softMask instanceof PDFRawStream) {
+    const mask = await decodeImage(context, softMask, true);
+    if (mask) {
+      paintImage(mask, matrix, boxes, 255);
+      const maskDict = softMask.dict.clone(context);
+      ['DecodeParms', 'Length'].forEach(key => maskDict.delete(PDFName.of(key)));
+      maskDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+      dict.set(PDFName.of('SMask'), context.register(PDFRawStream.of(maskDict, zlib.deflateSync(mask.pixels))));
+    }
+  }
+
+  return context.register(PDFRawStream.of(dict, zlib.deflateSync(image.pixels)));
+};
+
+/**
+ * Name a new XObject in a resource dictionary
+ */
+const addXObject = (resources, ref) => {
+  const xObjects = resources.lookup(PDFName.of('XObject'));
+  const names = new Set(xObjects.keys().map(key => key.decodeText()));
+  let number = 1;
+  while (names.has(`Redacted${number}`)) number++;
+  xObjects.set(PDFName.of(`Redacted${number}`), ref);
+  return `Redacted${number}`;
+};
+
+/**
+ * Replace the text of a show-text operation, keeping the removed glyphs' advance as TJ gaps
+ * @returns {Array<Object>} - Operations to use instead
+ */
+const rewriteTextOperation = ({ operator, operands }, run, removed) => {
+  let items = [operands[operator === '"' ? 2 : 0]];
+  if (operator === 'TJ') items = Array.isArray(operands[0]) ? operands[0] : [];
+
+  const output = [];
+  const pushGap = (value) => {
+    if (typeof output[output.length - 1] === 'number') {
+      output[output.length - 1] += value;
+    } else {
+      output.push(value);
+    }
+  };
+  let glyph = 0;
+  items.forEach(item => {
+    if (typeof item === 'number') {
+      pushGap(item);
+      return;
+    }
+    if (!item || item.type !== 'string') return;
+    let kept = [];
+    const flush = () => {
+      if (kept.length > 0) output.push({ type: 'string', hex: item.hex, value: Buffer.concat(kept) });
+      kept = [];
+    };
+    let offset = 0;
+    for (; offset + run.bytesPerCode <= item.value.length; offset += run.bytesPerCode) {
+      if (removed.has(glyph)) {
+        flush();
+        // A TJ number moves by thousandths of the font size
+        if (run.fontSize) pushGap(-(run.advances[glyph] || 0) * 1000 / run.fontSize);
+      } else {
+        kept.push(item.value.subarray(offset, offset + run.bytesPerCode));
+      }
+      glyph++;
+    }
+    if (offset < item.value.length) kept.push(item.value.subarray(offset));
+    flush();
+  });
+
+  const showOperation = { operator: 'TJ', operands: [output] };
+  if (operator === "'") return [{ operator: 'T*', operands: [] }, showOperation];
+  if (operator === '"') {
+    return [
+      { operator: 'Tw', operands: [operands[0]] },
+      { operator: 'Tc', operands: [operands[1]] },
+      { operator: 'T*', operands: [] },
+      showOperation
+    ];
+  }
+  return [showOperation];
+};
+
+/**
+ * Rewrite a scope with its removals
+ *
+ * The scope gets its own copy of its resources, without the XObjects it no
+ * longer draws, so that the originals of redacted images and forms can be
+ * dropped from the file even when other pages share the resources.
+ *
+ * @param {Object} scope - From readPage, with removed glyphs, replaced images and touched marks filled in
+ * @returns {Object|null} - { operations, resources }, or null when the scope is unchanged
+ */
+const rewriteScope = (context, scope) => {
+  const resources = scope.resources ? scope.resources.clone(context) : context.obj({});
+  const xObjects = resources.lookup(PDFName.of('XObject'));
+  resources.set(PDFName.of('XObject'), xObjects instanceof PDFDict ? xObjects.clone(context) : context.obj({}));
+  const drawXObject = (ref) => ({ operator: 'Do', operands: [{ type: 'name', value: addXObject(resources, ref) }] });
+
+  let changed = false;
+  const output = [];
+  scope.operations.forEach((operation, index) => {
+    const run = scope.runs.get(index);
+    if (run && run.removed && run.removed.size > 0) {
+      output.push(...rewriteTextOperation(operation, run, run.removed));
+      changed = true;
+      return;
+    }
+
+    const image = scope.images.get(index);
+    if (image && image.redaction) {
+      if (image.redaction.ref) output.push(drawXObject(image.redaction.ref));
+      changed = true;
+      return;
+    }
+
+    const child = scope.children.get(index);
+    const rewritten = child ? rewriteScope(context, child) : null;
+    if (rewritten) {
+      // Each drawing of a form gets its own redacted copy
+      const dict = child.stream.dict.clone(context);
+      ['DecodeParms', 'Length'].forEach(key => dict.delete(PDFName.of(key)));
+      dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+      dict.set(PDFName.of('Resources'), rewritten.resources);
+      output.push(drawXObject(context.register(PDFRawStream.of(dict, zlib.deflateSync(writeContentStream(rewritten.operations))))));
+      changed = true;
+      return;
+    }
+
+    if (scope.touchedMarks && scope.touchedMarks.has(index) && operation.operands[1] && operation.operands[1].type === 'dict') {
+      // Marked content can carry the text it replaces
+      const properties = { ...operation.operands[1].value };
+      ['ActualText', 'Alt', 'E'].forEach(key => delete properties[key]);
+      output.push({ operator: 'BDC', operands: [operation.operands[0], { type: 'dict', value: properties }] });
+      changed = true;
+      return;
+    }
+
+    output.push(operation);
+  });
+  if (!changed) return null;
+
+  const drawn = new Set(output
+    .filter(({ operator, operands }) => operator === 'Do' && operands[0] && operands[0].type === 'name')
+    .map(({ operands }) => operands[0].value));
+  const ownXObjects = resources.lookup(PDFName.of('XObject'));
+  ownXObjects.keys().forEach(key => {
+    if (!drawn.has(key.decodeText())) ownXObjects.delete(key);
+  });
+  return { operations: output, resources };
+};
+
+const rectOf = (array) => {
+  const values = array instanceof PDFArray ? array.asArray().map(value => (value instanceof PDFNumber ? value.asNumber() : 0)) : [];
+  if (values.length !== 4) return null;
+  return [Math.min(values[0], values[2]), Math.min(values[1], values[3]), Math.max(values[0], values[2]), Math.max(values[1], values[3])];
+};
+
+/**
+ * Remove a form field widget and the value of its field
+ */
+const removeWidget = (pdfDoc, widgetRef) => {
+  const { context } = pdfDoc;
+  const widget = context.lookup(widgetRef);
+  if (!(widget instanceof PDFDict)) return;
+
+  // A widget without a name of its own belongs to its parent field
+  const fieldRef = widget.get(PDFName.of('T')) || !(widget.get(PDFName.of('Parent')) instanceof PDFRef)
+    ? widgetRef
+    : widget.get(PDFName.of('Parent'));
+  const field = context.lookup(fieldRef);
+  if (!(field instanceof PDFDict)) return;
+
+  const removeFrom = (array, ref) => {
+    if (!(array instanceof PDFArray)) return;
+    const position = array.indexOf(ref);
+    if (position !== undefined && position >= 0) array.remove(position);
+  };
+
+  // The value goes with the widget; other widgets of the field are redrawn empty by viewers
+  field.delete(PDFName.of('V'));
+  removeFrom(field.lookup(PDFName.of('Kids')), widgetRef);
+  const kids = field.lookup(PDFName.of('Kids'));
+  if (fieldRef === widgetRef || !(kids instanceof PDFArray) || kids.size() === 0) {
+    const parent = field.lookup(PDFName.of('Parent'));
+    const acroForm = pdfDoc.catalog.getAcroForm();
+    removeFrom(parent instanceof PDFDict ? parent.lookup(PDFName.of('Kids')) : acroForm && acroForm.dict.lookup(PDFName.of('Fields')), fieldRef);
+  }
+};
+
+/**
+ * Delete the annotations of a page that touch the boxes
+ * @returns {Number} - Annotations removed
+ */
+const removeAnnotations = (pdfDoc, page, boxes) => {
+  const annots = page.node.Annots();
+  if (!annots) return 0;
+
+  const doomed = new Set();
+  annots.asArray().forEach(ref => {
+    const annot = pdfDoc.context.lookup(ref);
+    const rect = annot instanceof PDFDict ? rectOf(annot.lookup(PDFName.of('Rect'))) : null;
+    if (!rect || !boxes.some(box => overlaps(box, rect))) return;
+    doomed.add(ref);
+    // A comment's popup shows the same text
+    const popup = annot.get(PDFName.of('Popup'));
+    if (popup instanceof PDFRef) doomed.add(popup);
+  });
+
+  let removed = 0;
+  doomed.forEach(ref => {
+    const annot = pdfDoc.context.lookup(ref);
+    if (annot instanceof PDFDict && annot.lookup(PDFName.of('Subtype')) === PDFName.of('Widget') && ref instanceof PDFRef) {
+      removeWidget(pdfDoc, ref);
+    }
+    const position = annots.indexOf(ref);
+    if (position !== undefined && position >= 0) {
+      annots.remove(position);
+      removed++;
+    }
+  });
+
+  if (removed > 0) {
+    // XFA forms keep their own copy of the field values
+    const acroForm = pdfDoc.catalog.getAcroForm();
+    if (acroForm) acroForm.dict.delete(PDFName.of('XFA'));
+  }
+  return removed;
+};
+
+/**
+ * Remove the matches of the rules from a text outside the pages
+ * @returns {Object} - { text, matches, matchesByRule }
+ */
+const redactString = (text, matchers) => {
+  let matches = 0;
+  const matchesByRule = {};
+  const redacted = matchers.reduce((current, { label, regex, accept }) => current.replace(regex, (match) => {
+    if (!match || (accept && !accept(match))) return match;
+    matches++;
+    matchesByRule[label] = (matchesByRule[label] || 0) + 1;
+    return '';
+  }), text);
+  return { text: redacted, matches, matchesByRule };
+};
+
+/**
+ * Remove the file attachments of the document and of its pages
+ * @returns {Number} - Attached files removed
+ */
+const removeAttachments = (pdfDoc) => {
+  const fileSpecs = new Set();
+
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  if (names && names.has(PDFName.of('EmbeddedFiles'))) {
+    readNameTree(names.lookup(PDFName.of('EmbeddedFiles'))).forEach(({ fileSpec }) => fileSpecs.add(fileSpec));
+    names.delete(PDFName.of('EmbeddedFiles'));
+    if (names.keys().length === 0) pdfDoc.catalog.delete(PDFName.of('Names'));
+  }
+  // Files associated with the document (PDF 2.0)
+  pdfDoc.catalog.delete(PDFName.of('AF'));
+
+  pdfDoc.getPages().forEach(page => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let position = annots.size() - 1; position >= 0; position--) {
+      const annot = annots.lookup(position);
+      if (annot instanceof PDFDict && annot.lookup(PDFName.of('Subtype')) === PDFName.of('FileAttachment')) {
+        fileSpecs.add(annot.lookup(PDFName.of('FS')));
+        annots.remove(position);
+      }
+    }
+  });
+
+  return [...fileSpecs].filter(fileSpec => fileSpec instanceof PDFDict).length;
+};
+
+/**
+ * Apply the search rules to the text a document carries outside its pages
+ *
+ * Matches are cut out of Info values and bookmark titles. XMP packets with a
+ * match (or that cannot be read) are dropped, the document's own is rebuilt
+ * from the redacted Info values. Attached files are removed unchecked.
+ * @returns {Object} - { matches, matchesByRule, infoFields, xmpPackets, bookmarks, attachmentsRemoved }
+ */
+const redactDocumentText = (pdfDoc, matchers) => {
+  const summary = { matches: 0, matchesByRule: {}, infoFields: [], xmpPackets: 0, bookmarks: 0, attachmentsRemoved: 0 };
+  if (matchers.length === 0) return summary;
+
+  const search = (text) => {
+    const found = redactString(text, matchers);
+    summary.matches += found.matches;
+    Object.entries(found.matchesByRule).forEach(([label, count]) => {
+      summary.matchesByRule[label] = (summary.matchesByRule[label] || 0) + count;
+    });
+    return found;
+  };
+
+  // Dates cannot hold search terms and keep their PDF date format
+  const infoDict = pdfDoc.getInfoDict();
+  infoDict.keys().forEach(key => {
+    const value = infoDict.lookup(key);
+    if (/Date$/.test(key.decodeText()) || !(value instanceof PDFString || value instanceof PDFHexString)) return;
+    const found = search(value.decodeText());
+    if (found.matches === 0) return;
+    summary.infoFields.push(key.decodeText());
+    if (found.text.trim()) {
+      infoDict.set(key, PDFHexString.fromText(found.text));
+    } else {
+      infoDict.delete(key);
+    }
+  });
+
+  // Packets of the catalog, pages, images and fonts; a shared packet is checked once
+  const packets = new Map();
+  pdfDoc.context.enumerateIndirectObjects().forEach(([, object]) => {
+    const dict = object instanceof PDFDict ? object : (object instanceof PDFStream ? object.dict : null);
+    const stream = dict && dict.lookup(PDFName.of('Metadata'));
+    if (!(stream instanceof PDFStream)) return;
+
+    if (!packets.has(stream)) {
+      let packet = null;
+      try {
+        packet = decodeStreamContents(stream).toString('utf8');
+      } catch (error) {
+        // An unreadable packet cannot be checked and is dropped
+      }
+      packets.set(stream, { packet, matched: packet === null || search(packet).matches > 0 });
+    }
+    const { packet, matched } = packets.get(stream);
+    if (!matched) return;
+
+    summary.xmpPackets++;
+    if (object === pdfDoc.catalog) {
+      const info = {};
+      infoDict.keys().forEach(key => {
+        info[key.decodeText()] = decodeInfoValue(key.decodeText(), infoDict.lookup(key));
+      });
+      const rebuilt = pdfDoc.context.stream(buildXmp(info, packet), { Type: 'Metadata', Subtype: 'XML' });
+      pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(rebuilt));
+    } else {
+      dict.delete(PDFName.of('Metadata'));
+    }
+  });
+
+  forEachOutlineItem(pdfDoc, item => {
+    const title = item.lookup(PDFName.of('Title'));
+    if (!(title instanceof PDFString || title instanceof PDFHexString)) return;
+    const found = search(title.decodeText());
+    if (found.matches === 0) return;
+    item.set(PDFName.of('Title'), PDFHexString.fromText(found.text));
+    summary.bookmarks++;
+  });
+
+  summary.attachmentsRemoved = removeAttachments(pdfDoc);
+  return summary;
+};
+
+/**
+ * Redact a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} settings - Output of validateRedactionOptions
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<Object>} - { buffer, pageCount, pages: per redacted page { page, matches, matchesByRule,
+ *   areas, glyphsRemoved, imagesRedacted, imagesRemoved, annotationsRemoved }, totals, unmappedPages,
+ *   document: matches outside the pages, from redactDocumentText, warnings }
+ * @throws {Error} If an area is outside the document or a page cannot be read
+ */
+const redactDocument = async (buffer, settings, options = {}) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const matchers = buildMatchers(settings);
+  const searchPages = new Set(matchers.length > 0 ? expandPageRanges(settings.pages, pages.length, { unique: true }) : []);
+  const outside = settings.areas.find(area => area.page > pages.length);
+  if (outside) {
+    throw new Error(`The document has no page ${outside.page}`);
+  }
+
+  const fonts = new Map();
+  const warnings = [];
+  const report = [];
+  const unmappedPages = [];
+  const color = parseColor(settings.fillColor);
+
+  for (const [pageIndex, page] of pages.entries()) {
+    const pageNumber = pageIndex + 1;
+    const cropBox = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    // Areas are given on the page as displayed
+    const areaBoxes = settings.areas.filter(area => area.page === pageNumber).map(area => {
+      const from = toPageSpace({ x: area.x, y: area.y }, cropBox, rotation);
+      const to = toPageSpace({ x: area.x + area.width, y: area.y + area.height }, cropBox, rotation);
+      return [Math.min(from.x, to.x), Math.min(from.y, to.y), Math.max(from.x, to.x), Math.max(from.y, to.y)];
+    });
+
+    if (searchPages.has(pageNumber) || areaBoxes.length > 0) {
+      let content;
+      try {
+        content = readPage(page, fonts, warnings);
+      } catch (error) {
+        // Leaving a page unredacted is not an option
+        throw new Error(`Page ${pageNumber} could not be read for redaction: ${error.message}`);
+      }
+
+      const found = searchPages.has(pageNumber)
+        ? searchPage(content.glyphs, matchers)
+        : { matchedGlyphs: new Set(), matchBoxes: [], matchesByRule: {}, matches: 0, unmappedGlyphs: 0 };
+      if (found.unmappedGlyphs > 0) unmappedPages.push(pageNumber);
+      const boxes = [...areaBoxes, ...found.matchBoxes];
+
+      if (boxes.length > 0) {
+        // Matched glyphs, anything drawn over them, and anything touching an area
+        let glyphsRemoved = 0;
+        content.glyphs.forEach(glyph => {
+          const centre = [(glyph.box[0] + glyph.box[2]) / 2, (glyph.box[1] + glyph.box[3]) / 2];
+          const remove = found.matchedGlyphs.has(glyph) ||
+            areaBoxes.some(box => overlaps(box, glyph.box)) ||
+            found.matchBoxes.some(box => containsPoint(box, ...centre));
+          if (!remove) return;
+
+          const run = glyph.scope.runs.get(glyph.operation);
+          run.removed = run.removed || new Set();
+          run.removed.add(glyph.index);
+          glyph.scope.touchedMarks = glyph.scope.touchedMarks || new Set();
+          glyph.marked.forEach(index => glyph.scope.touchedMarks.add(index));
+          glyphsRemoved++;
+        });
+
+        let imagesRedacted = 0;
+        let imagesRemoved = 0;
+        for (const image of content.images) {
+          const touching = boxes.filter(box => overlaps(box, image.box));
+          if (touching.length === 0) continue;
+          const ref = image.inline ? null : await redactImage(context, image.stream, image.matrix, touching);
+          image.redaction = { ref };
+          if (ref) {
+            imagesRedacted++;
+          } else {
+            imagesRemoved++;
+          }
+        }
+
+        const rewritten = rewriteScope(context, content.scope);
+        if (rewritten) page.node.set(PDFName.of('Resources'), rewritten.resources);
+        // Wrapped in q/Q so that the boxes are drawn in page space
+        const stream = context.flateStream(Buffer.concat([
+          Buffer.from('q\n', 'latin1'),
+          writeContentStream(rewritten ? rewritten.operations : content.scope.operations),
+          Buffer.from('Q\n', 'latin1')
+        ]));
+        page.node.set(PDFName.of('Contents'), context.register(stream));
+        page.pushOperators(
+          pushGraphicsState(),
+          setFillingRgbColor(...color),
+          ...boxes.map(box => rectangle(box[0], box[1], box[2] - box[0], box[3] - box[1])),
+          fill(),
+          popGraphicsState()
+        );
+
+        report.push({
+          page: pageNumber,
+          matches: found.matches,
+          matchesByRule: found.matchesByRule,
+          areas: areaBoxes.length,
+          glyphsRemoved,
+          imagesRedacted,
+          imagesRemoved,
+          annotationsRemoved: removeAnnotations(pdfDoc, page, boxes)
+        });
+      }
+    }
+
+    if (options.onProgress) {
+      await options.onProgress(pageIndex + 1, pages.length);
+    }
+  }
+
+  // Whatever pages were searched, the document's own text is
+  const documentText = redactDocumentText(pdfDoc, matchers);
+
+  // The original content streams and images must not stay in the file
+  removeUnreachableObjects(context);
+
+  const totals = ['matches', 'areas', 'glyphsRemoved', 'imagesRedacted', 'imagesRemoved', 'annotationsRemoved']
+    .reduce((sums, key) => ({ ...sums, [key]: report.reduce((sum, entry) => sum + entry[key], 0) }), {});
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    pageCount: pages.length,
+    pages: report,
+    totals,
+    unmappedPages,
+    document: documentText,
+    warnings
+  };
+};
+
+module.exports = {
+  REDACTION_PATTERNS,
+  validateRedactionOptions,
+  redactDocument
+};
@@ -0,0 +1,794 @@
+/**
+ * PDF encryption and decryption for PDFSpark
+ *
+ * Implements the standard security handler of ISO 32000: AES-128 (revision 4)
+ * and AES-256 (revision 6) encryption with a user password (needed to open
+ * the document) and an owner password (needed to change the permissions),
+ * and decryption of every revision from 40-bit RC4 (revision 2) to AES-256.
+ *
+ * pdf-lib reads and writes objects only, so encryption works on a loaded
+ * document: every string and stream of every indirect object is encrypted
+ * and the document is written without object streams. Decryption has to
+ * happen while the document is parsed, before pdf-lib unpacks the
+ * (encrypted) object streams.
+ */
+
+const crypto = require('crypto');
+const {
+  PDFDocument,
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFHeader,
+  PDFHexString,
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  PDFParser,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFStreamWriter,
+  PDFString
+} = require('pdf-lib');
+
+const ENCRYPTION_ALGORITHMS = ['aes-128', 'aes-256'];
+
+// Permission flags that can be granted to users who open the document with the user password
+const PERMISSIONS = ['print', 'copy', 'edit', 'annotate', 'fillForms'];
+
+// Bits (1-based) of the /P entry set by each permission
+const PERMISSION_BITS = {
+  print: [3, 12], // print, print in high quality
+  edit: [4, 11], // modify contents, assemble (insert, rotate, delete pages)
+  copy: [5], // copy text and graphics
+  annotate: [6], // add and modify annotations, fill forms
+  fillForms: [9] // fill existing form fields
+};
+
+// Padding string of the revision 2-4 password algorithms
+const PASSWORD_PADDING = Buffer.from([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+/**
+ * RC4, used by the revision 2-4 password algorithms and by RC4-encrypted documents
+ */
+const rc4 = (key, data) => {
+  const state = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    state[i] = i;
+  }
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[k] = data[k] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+};
+
+/**
+ * RC4 with the key XOR-ed with 1..19 in turn, as the revision 3+ algorithms do
+ */
+const rc4Rounds = (key, data) => {
+  let result = data;
+  for (let round = 1; round <= 19; round++) {
+    result = rc4(Buffer.from(key.map(byte => byte ^ round)), result);
+  }
+  return result;
+};
+
+/**
+ * Encrypt with AES in CBC mode without padding
+ */
+const aesNoPadding = (algorithm, key, iv, data) => {
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+/**
+ * Pad or truncate a password to 32 bytes (revision 2-4)
+ */
+const padPassword = (password) => {
+  const bytes = Buffer.from(password || '', 'latin1').subarray(0, 32);
+  return Buffer.concat([bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length)]);
+};
+
+/**
+ * Encode a password for revision 6: normalised UTF-8, at most 127 bytes
+ */
+const encodePasswordR6 = (password) => Buffer.from((password || '').normalize('NFKC'), 'utf8').subarray(0, 127);
+
+/**
+ * Hash a password for revision 6 (ISO 32000-2, algorithm 2.B)
+ * @param {Buffer} password - Encoded password
+ * @param {Buffer} salt - 8 byte salt
+ * @param {Buffer} userKey - 48 byte /U value when hashing the owner password, empty otherwise
+ * @returns {Buffer} - 32 bytes
+ */
+const hashPasswordR6 = (password, salt, userKey = Buffer.alloc(0)) => {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let lastByte = 0;
+
+  // At least 64 rounds, then until the last byte of the round's output is small enough
+  for (let round = 0; round < 64 || lastByte > round - 32; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const encrypted = aesNoPadding(
+      'aes-128-cbc',
+      key.subarray(0, 16),
+      key.subarray(16, 32),
+      Buffer.concat(Array(64).fill(block))
+    );
+
+    let sum = 0;
+    for (let i = 0; i < 16; i++) {
+      sum += encrypted[i];
+    }
+    key = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(encrypted).digest();
+    lastByte = encrypted[encrypted.length - 1];
+  }
+
+  return key.subarray(0, 32);
+};
+
+/**
+ * Compute the /P value of a permission set
+ * @param {Object} permissions - { print, copy, edit, annotate, fillForms } booleans, missing means allowed
+ * @returns {Number} - Signed 32 bit integer
+ */
+const computePermissionFlags = (permissions = {}) => {
+  // Bits 7, 8, 10 (accessibility) and 13-32 are always set, bits 1-2 are reserved
+  let flags = 0xfffff0c0 | (1 << 9);
+
+  PERMISSIONS.forEach(permission => {
+    if (permissions[permission] !== false) {
+      PERMISSION_BITS[permission].forEach(bit => {
+        flags |= 1 << (bit - 1);
+      });
+    }
+  });
+
+  return flags | 0;
+};
+
+/**
+ * Read a permission set back from a /P value
+ * @param {Number} flags - /P value
+ * @returns {Object} - { print, copy, edit, annotate, fillForms }
+ */
+const parsePermissionFlags = (flags) => PERMISSIONS.reduce((result, permission) => {
+  result[permission] = (flags & (1 << (PERMISSION_BITS[permission][0] - 1))) !== 0;
+  return result;
+}, {});
+
+/**
+ * Check protection options before any work is done
+ * @param {Object} options - { userPassword, ownerPassword, algorithm, permissions }
+ * @returns {String} - The algorithm to use
+ * @throws {Error} If the options cannot be applied
+ */
+const validateProtectionOptions = (options = {}) => {
+  const algorithm = options.algorithm || 'aes-256';
+  if (!ENCRYPTION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported encryption algorithm: ${algorithm}`);
+  }
+
+  const passwords = [options.userPassword, options.ownerPassword];
+  if (passwords.some(password => password !== undefined && password !== null && typeof password !== 'string')) {
+    throw new Error('Passwords must be strings');
+  }
+  if (!options.userPassword && !options.ownerPassword) {
+    throw new Error('A user or owner password is required');
+  }
+
+  // Revision 4 passwords are Latin-1 and only their first 32 bytes count
+  if (algorithm === 'aes-128' && passwords.some(password => password && (password.length > 32 || /[^\u0000-\u00ff]/.test(password)))) {
+    throw new Error('AES-128 passwords must be at most 32 Latin-1 characters');
+  }
+  if (algorithm === 'aes-256' && passwords.some(password => password && Buffer.byteLength(password.normalize('NFKC'), 'utf8') > 127)) {
+    throw new Error('AES-256 passwords must be at most 127 bytes long');
+  }
+
+  const permissions = options.permissions || {};
+  if (typeof permissions !== 'object' || Array.isArray(permissions)) {
+    throw new Error('Permissions must be an object');
+  }
+  Object.entries(permissions).forEach(([permission, allowed]) => {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (typeof allowed !== 'boolean') {
+      throw new Error(`Permission ${permission} must be true or false`);
+    }
+  });
+
+  return algorithm;
+};
+
+/**
+ * Compute the RC4 key that encrypts the /O value (algorithm 3, steps a-d)
+ */
+const computeOwnerRc4Key = (ownerPassword, revision, keyLength) => {
+  let hash = md5(padPassword(ownerPassword));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      hash = md5(hash.subarray(0, keyLength));
+    }
+  }
+  return hash.subarray(0, keyLength);
+};
+
+/**
+ * Compute the file key of revisions 2-4 (algorithm 2)
+ * @param {Buffer} paddedPassword - User password padded to 32 bytes
+ * @param {Buffer} ownerKey - /O value
+ * @param {Number} permissionFlags - /P value
+ * @param {Buffer} fileId - First element of the trailer /ID
+ * @param {Number} keyLength - Key length in bytes
+ * @param {Number} revision - /R value
+ * @param {Boolean} encryptMetadata - /EncryptMetadata value
+ * @returns {Buffer} - The file key
+ */
+const computeFileKey = (paddedPassword, ownerKey, permissionFlags, fileId, keyLength, revision, encryptMetadata = true) => {
+  const flagBytes = Buffer.alloc(4);
+  flagBytes.writeInt32LE(permissionFlags | 0);
+  const metadataBytes = revision >= 4 && !encryptMetadata ? Buffer.from([0xff, 0xff, 0xff, 0xff]) : Buffer.alloc(0);
+
+  let fileKey = md5(paddedPassword, ownerKey.subarray(0, 32), flagBytes, fileId, metadataBytes);
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      fileKey = md5(fileKey.subarray(0, keyLength));
+    }
+  }
+  return fileKey.subarray(0, keyLength);
+};
+
+/**
+ * Compute the key of one object for RC4 and AESV2 (algorithm 1)
+ */
+const computeObjectKey = (fileKey, objectNumber, generation, aes) => {
+  const suffix = Buffer.from([
+    objectNumber & 0xff, (objectNumber >> 8) & 0xff, (objectNumber >> 16) & 0xff,
+    generation & 0xff, (generation >> 8) & 0xff
+  ]);
+  const salt = aes ? Buffer.from('sAlT', 'latin1') : Buffer.alloc(0);
+  return md5(fileKey, suffix, salt).subarray(0, Math.min(fileKey.length + 5, 16));
+};
+
+/**
+ * Build the revision 4 (AES-128) security handler
+ */
+const createAes128Handler = (userPassword, ownerPassword, permissionFlags, fileId) => {
+  // Owner key (algorithm 3)
+  const ownerHash = computeOwnerRc4Key(ownerPassword, 4, 16);
+  const ownerKey = rc4Rounds(ownerHash, rc4(ownerHash, padPassword(userPassword)));
+
+  // File key (algorithm 2)
+  const fileKey = computeFileKey(padPassword(userPassword), ownerKey, permissionFlags, fileId, 16, 4);
+
+  // User key (algorithm 5), the last 16 bytes are arbitrary
+  const userKey = Buffer.concat([
+    rc4Rounds(fileKey, rc4(fileKey, md5(PASSWORD_PADDING, fileId))),
+    crypto.randomBytes(16)
+  ]);
+
+  return {
+    dict: {
+      Filter: 'Standard',
+      V: 4,
+      R: 4,
+      Length: 128,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV2', Length: 16 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: ownerKey,
+      U: userKey,
+      P: permissionFlags
+    },
+    getObjectKey: (objectNumber, generation) => computeObjectKey(fileKey, objectNumber, generation, true),
+    cipher: 'aes-128-cbc'
+  };
+};
+
+/**
+ * Build the revision 6 (AES-256) security handler
+ */
+const createAes256Handler = (userPassword, ownerPassword, permissionFlags) => {
+  const fileKey = crypto.randomBytes(32);
+  const user = encodePasswordR6(userPassword);
+  const owner = encodePasswordR6(ownerPassword);
+  const zeroIv = Buffer.alloc(16);
+
+  const userValidationSalt = crypto.randomBytes(8);
+  const userKeySalt = crypto.randomBytes(8);
+  const userKey = Buffer.concat([hashPasswordR6(user, userValidationSalt), userValidationSalt, userKeySalt]);
+  const userEncryptedKey = aesNoPadding('aes-256-cbc', hashPasswordR6(user, userKeySalt), zeroIv, fileKey);
+
+  const ownerValidationSalt = crypto.randomBytes(8);
+  const ownerKeySalt = crypto.randomBytes(8);
+  const ownerKey = Buffer.concat([hashPasswordR6(owner, ownerValidationSalt, userKey), ownerValidationSalt, ownerKeySalt]);
+  const ownerEncryptedKey = aesNoPadding('aes-256-cbc', hashPasswordR6(owner, ownerKeySalt, userKey), zeroIv, fileKey);
+
+  // Encrypted copy of the permissions, so they cannot be changed without the file key
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(permissionFlags, 0);
+  perms.writeInt32LE(-1, 4);
+  perms.write('Tadb', 8, 'latin1'); // T: metadata is encrypted
+  crypto.randomBytes(4).copy(perms, 12);
+  const encryptedPerms = aesNoPadding('aes-256-ecb', fileKey, null, perms);
+
+  return {
+    dict: {
+      Filter: 'Standard',
+      V: 5,
+      R: 6,
+      Length: 256,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: ownerKey,
+      U: userKey,
+      OE: ownerEncryptedKey,
+      UE: userEncryptedKey,
+      Perms: encryptedPerms,
+      P: permissionFlags
+    },
+    getObjectKey: () => fileKey,
+    cipher: 'aes-256-cbc'
+  };
+};
+
+/**
+ * Encrypt bytes with a random IV in front, as AESV2/AESV3 expect
+ */
+const encryptBytes = (handler, key, bytes) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(handler.cipher, key, iv);
+  return Buffer.concat([iv, cipher.update(bytes), cipher.final()]);
+};
+
+/**
+ * Encrypt or decrypt the strings of a direct object, in place where possible
+ * @param {PDFObject} object - Object to walk
+ * @param {Function} transform - (Buffer) => Buffer applied to the bytes of every string
+ * @returns {PDFObject} - The object to store in place of the given one
+ */
+const transformStrings = (object, transform) => {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(transform(Buffer.from(object.asBytes())).toString('hex'));
+  }
+  if (object instanceof PDFDict) {
+    object.entries().forEach(([key, value]) => object.set(key, transformStrings(value, transform)));
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      object.set(i, transformStrings(object.get(i), transform));
+    }
+  }
+  return object;
+};
+
+/**
+ * Convert handler dictionary values to PDF objects
+ */
+const toEncryptDict = (context, dict) => {
+  const convert = (value) => {
+    if (Buffer.isBuffer(value)) {
+      return PDFHexString.of(value.toString('hex'));
+    }
+    if (typeof value === 'string') {
+      return PDFName.of(value);
+    }
+    if (value && typeof value === 'object') {
+      const result = context.obj({});
+      Object.entries(value).forEach(([key, entry]) => result.set(PDFName.of(key), convert(entry)));
+      return result;
+    }
+    return context.obj(value);
+  };
+  return convert(dict);
+};
+
+/**
+ * Encrypt a document
+ * @param {Buffer} buffer - Unencrypted PDF bytes
+ * @param {Object} options - { userPassword, ownerPassword, algorithm: 'aes-128'|'aes-256',
+ *   permissions: { print, copy, edit, annotate, fillForms } }; a random owner password is used
+ *   when none is given, so the permissions cannot be lifted
+ * @returns {Promise<Object>} - { buffer, algorithm, permissions }
+ */
+const encryptDocument = async (buffer, options = {}) => {
+  const algorithm = validateProtectionOptions(options);
+  const userPassword = options.userPassword || '';
+  const ownerPassword = options.ownerPassword || crypto.randomBytes(24).toString('base64');
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+  } catch (error) {
+    if (error.constructor && error.constructor.name === 'EncryptedPDFError') {
+      throw new Error('The document is already encrypted and must be unlocked first');
+    }
+    throw new Error(`The document could not be read as a PDF: ${error.message}`);
+  }
+
+  const { context } = pdfDoc;
+  const permissionFlags = computePermissionFlags(options.permissions);
+
+  // The first file identifier takes part in the revision 4 key
+  let fileIdArray = context.trailerInfo.ID;
+  if (!(fileIdArray instanceof PDFArray) || fileIdArray.size() < 1) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    fileIdArray = context.obj([id, id]);
+    context.trailerInfo.ID = fileIdArray;
+  }
+  const fileId = Buffer.from(fileIdArray.get(0).asBytes());
+
+  const handler = algorithm === 'aes-128'
+    ? createAes128Handler(userPassword, ownerPassword, permissionFlags, fileId)
+    : createAes256Handler(userPassword, ownerPassword, permissionFlags);
+
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    const key = handler.getObjectKey(ref.objectNumber, ref.generationNumber);
+    const encrypt = (bytes) => encryptBytes(handler, key, bytes);
+
+    if (object instanceof PDFStream) {
+      transformStrings(object.dict, encrypt);
+      context.assign(ref, PDFRawStream.of(object.dict, encrypt(Buffer.from(object.getContents()))));
+    } else {
+      const encrypted = transformStrings(object, encrypt);
+      if (encrypted !== object) {
+        context.assign(ref, encrypted);
+      }
+    }
+  });
+
+  // Registered after the loop, the encryption dictionary itself stays in the clear
+  context.trailerInfo.Encrypt = context.register(toEncryptDict(context, handler.dict));
+
+  // AES needs PDF 1.6, AES-256 is announced as extension level 8 of PDF 1.7
+  context.header = PDFHeader.forVersion(1, 7);
+  if (algorithm === 'aes-256') {
+    pdfDoc.catalog.set(PDFName.of('Extensions'), context.obj({
+      ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 }
+    }));
+  }
+
+  const encrypted = await pdfDoc.save({
+    useObjectStreams: false,
+    addDefaultPage: false,
+    updateFieldAppearances: false
+  });
+
+  return {
+    buffer: Buffer.from(encrypted),
+    algorithm,
+    permissions: parsePermissionFlags(permissionFlags)
+  };
+};
+
+/**
+ * Parse a document, passing every top-level indirect object through a hook
+ *
+ * pdf-lib unpacks object streams as soon as it has parsed them, so an
+ * encrypted object stream has to be decrypted by then. The hook wraps the
+ * PDFParser methods of pdf-lib 1.17 that read one indirect object.
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Function} hook - (ref, object) => the object to keep in its place
+ * @returns {Promise<PDFContext>} - The parsed objects and trailer
+ */
+const parseWithObjectHook = async (buffer, hook) => {
+  const parser = PDFParser.forBytesWithOptions(new Uint8Array(buffer));
+  const { parseIndirectObject, parseIndirectObjectHeader, parseObject } = parser;
+  let readingHeader = false;
+  let currentRef = null;
+
+  parser.parseIndirectObject = async function () {
+    readingHeader = true;
+    try {
+      return await parseIndirectObject.call(this);
+    } finally {
+      readingHeader = false;
+      currentRef = null;
+    }
+  };
+  parser.parseIndirectObjectHeader = function () {
+    const ref = parseIndirectObjectHeader.call(this);
+    if (readingHeader) {
+      readingHeader = false;
+      currentRef = ref;
+    }
+    return ref;
+  };
+  // Only the outermost object after the header goes to the hook, nested values are parsed with it
+  parser.parseObject = function () {
+    const ref = currentRef;
+    currentRef = null;
+    const object = parseObject.call(this);
+    return ref ? hook(ref, object) : object;
+  };
+
+  return parser.parseDocument();
+};
+
+const isStreamOfType = (object, type) => object instanceof PDFRawStream &&
+  object.dict.lookup(PDFName.of('Type')) === PDFName.of(type);
+
+/**
+ * Read the encryption dictionary without decrypting anything
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Object>} - { context, encryptDict, encryptRef }; encryptDict is undefined for unencrypted documents
+ */
+const readEncryption = async (buffer) => {
+  // The encrypted object streams cannot be unpacked yet and are not needed here
+  const context = await parseWithObjectHook(buffer, (ref, object) => (
+    isStreamOfType(object, 'ObjStm') ? PDFNull : object
+  ));
+
+  const encryptEntry = context.trailerInfo.Encrypt;
+  const encryptDict = encryptEntry ? context.lookup(encryptEntry) : undefined;
+  return {
+    context,
+    encryptDict: encryptDict instanceof PDFDict ? encryptDict : undefined,
+    encryptRef: encryptEntry instanceof PDFRef ? encryptEntry : undefined
+  };
+};
+
+/**
+ * Check whether a document is encrypted
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Boolean>}
+ */
+const isEncryptedPdf = async (buffer) => {
+  // Cheap test first, most documents never mention an encryption dictionary
+  if (buffer.indexOf('/Encrypt') === -1) {
+    return false;
+  }
+  const { encryptDict } = await readEncryption(buffer);
+  return !!encryptDict;
+};
+
+/**
+ * Decrypt AES data: a 16 byte IV followed by CBC blocks with PKCS#7 padding
+ */
+const aesDecrypt = (cipher, key, data) => {
+  const blockCount = Math.floor((data.length - 16) / 16);
+  if (blockCount < 1) {
+    return Buffer.alloc(0);
+  }
+  const blocks = data.subarray(16, 16 + blockCount * 16);
+
+  try {
+    const decipher = crypto.createDecipheriv(cipher, key, data.subarray(0, 16));
+    return Buffer.concat([decipher.update(blocks), decipher.final()]);
+  } catch (error) {
+    // Some writers get the padding wrong, keep the data as is
+    const decipher = crypto.createDecipheriv(cipher, key, data.subarray(0, 16));
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(blocks), decipher.final()]);
+  }
+};
+
+/**
+ * Authenticate a password against the standard security handler
+ * @param {PDFDict} encryptDict - Encryption dictionary
+ * @param {Buffer} fileId - First element of the trailer /ID
+ * @param {String} password - User or owner password
+ * @returns {Object} - { algorithm, passwordType: 'owner'|'user', encryptMetadata, decryptString, decryptStream }
+ * @throws {Error} If the handler is not supported or the password is wrong
+ */
+const createDecryptor = (encryptDict, fileId, password) => {
+  const lookupName = (dict, key) => {
+    const value = dict && dict.lookup(PDFName.of(key));
+    return value instanceof PDFName ? value.decodeText() : undefined;
+  };
+  const lookupNumber = (key, fallback) => {
+    const value = encryptDict.lookup(PDFName.of(key));
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+  };
+  const lookupBytes = (key) => {
+    const value = encryptDict.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString ? Buffer.from(value.asBytes()) : Buffer.alloc(0);
+  };
+
+  const filter = lookupName(encryptDict, 'Filter');
+  if (filter !== 'Standard') {
+    throw new Error(`Unsupported security handler: ${filter || 'none'}`);
+  }
+
+  const version = lookupNumber('V', 0);
+  const revision = lookupNumber('R', 0);
+  if (![1, 2, 4, 5].includes(version) || revision < 2 || revision > 6) {
+    throw new Error(`Unsupported encryption revision: ${revision}`);
+  }
+
+  const encryptMetadata = encryptDict.lookup(PDFName.of('EncryptMetadata')) !== PDFBool.False;
+  const ownerKey = lookupBytes('O');
+  const userKey = lookupBytes('U');
+  const permissionFlags = lookupNumber('P', -1);
+
+  // Crypt filter method of the strings and streams
+  const methodOf = (filterKey) => {
+    if (version < 4) {
+      return 'rc4';
+    }
+    const name = lookupName(encryptDict, filterKey) || 'Identity';
+    if (name === 'Identity') {
+      return 'none';
+    }
+    const cryptFilters = encryptDict.lookup(PDFName.of('CF'));
+    const method = lookupName(cryptFilters instanceof PDFDict ? cryptFilters.lookup(PDFName.of(name)) : undefined, 'CFM');
+    return { V2: 'rc4', AESV2: 'aes-128', AESV3: 'aes-256', None: 'none' }[method] || 'none';
+  };
+  const stringMethod = methodOf('StrF');
+  const streamMethod = methodOf('StmF');
+
+  let fileKey;
+  let passwordType;
+
+  if (revision >= 5) {
+    const encoded = encodePasswordR6(password);
+    const hash = (salt, extra) => (revision === 5
+      ? crypto.createHash('sha256').update(Buffer.concat([encoded, salt, extra || Buffer.alloc(0)])).digest()
+      : hashPasswordR6(encoded, salt, extra));
+    const userData = userKey.subarray(0, 48);
+    const zeroIv = Buffer.alloc(16);
+    const decryptFileKey = (key, encryptedKey) => {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', key, zeroIv);
+      decipher.setAutoPadding(false);
+      return Buffer.concat([decipher.update(encryptedKey.subarray(0, 32)), decipher.final()]);
+    };
+
+    if (hash(ownerKey.subarray(32, 40), userData).equals(ownerKey.subarray(0, 32))) {
+      fileKey = decryptFileKey(hash(ownerKey.subarray(40, 48), userData), lookupBytes('OE'));
+      passwordType = 'owner';
+    } else if (hash(userKey.subarray(32, 40)).equals(userKey.subarray(0, 32))) {
+      fileKey = decryptFileKey(hash(userKey.subarray(40, 48)), lookupBytes('UE'));
+      passwordType = 'user';
+    }
+  } else {
+    const keyLength = revision === 2 ? 5 : lookupNumber('Length', 40) / 8;
+
+    // Algorithms 4 and 5: the /U value the key of a padded user password leads to
+    const keyForPaddedUserPassword = (paddedPassword) => {
+      const key = computeFileKey(paddedPassword, ownerKey, permissionFlags, fileId, keyLength, revision, encryptMetadata);
+      const matches = revision === 2
+        ? rc4(key, PASSWORD_PADDING).equals(userKey.subarray(0, 32))
+        : rc4Rounds(key, rc4(key, md5(PASSWORD_PADDING, fileId))).equals(userKey.subarray(0, 16));
+      return matches ? key : undefined;
+    };
+
+    // Algorithm 7: the owner password decrypts /O to the padded user password
+    const ownerRc4Key = computeOwnerRc4Key(password, revision, keyLength);
+    let paddedUserPassword = ownerKey.subarray(0, 32);
+    if (revision === 2) {
+      paddedUserPassword = rc4(ownerRc4Key, paddedUserPassword);
+    } else {
+      for (let round = 19; round >= 0; round--) {
+        paddedUserPassword = rc4(Buffer.from(ownerRc4Key.map(byte => byte ^ round)), paddedUserPassword);
+      }
+    }
+
+    fileKey = keyForPaddedUserPassword(paddedUserPassword);
+    passwordType = fileKey ? 'owner' : undefined;
+    if (!fileKey) {
+      fileKey = keyForPaddedUserPassword(padPassword(password));
+      passwordType = fileKey ? 'user' : undefined;
+    }
+  }
+
+  if (!fileKey) {
+    throw new Error('The password is incorrect');
+  }
+
+  const decrypt = (method, ref, bytes) => {
+    switch (method) {
+      case 'rc4':
+        return rc4(computeObjectKey(fileKey, ref.objectNumber, ref.generationNumber, false), bytes);
+      case 'aes-128':
+        return aesDecrypt('aes-128-cbc', computeObjectKey(fileKey, ref.objectNumber, ref.generationNumber, true), bytes);
+      case 'aes-256':
+        return aesDecrypt('aes-256-cbc', fileKey, bytes);
+      default:
+        return bytes;
+    }
+  };
+
+  let algorithm = 'aes-256';
+  if (streamMethod === 'aes-128') {
+    algorithm = 'aes-128';
+  } else if (streamMethod === 'rc4') {
+    algorithm = `rc4-${fileKey.length * 8}`;
+  }
+
+  return {
+    algorithm,
+    passwordType,
+    encryptMetadata,
+    decryptString: (ref, bytes) => decrypt(stringMethod, ref, bytes),
+    decryptStream: (ref, bytes) => decrypt(streamMethod, ref, bytes)
+  };
+};
+
+/**
+ * Decrypt a document with its user or owner password
+ * @param {Buffer} buffer - Encrypted PDF bytes
+ * @param {String} password - User or owner password
+ * @returns {Promise<Object>} - { buffer, algorithm, passwordType: 'owner'|'user' }
+ */
+const decryptDocument = async (buffer, password) => {
+  if (typeof password !== 'string') {
+    throw new Error('A password is required to unlock the document');
+  }
+
+  let security;
+  try {
+    security = await readEncryption(buffer);
+  } catch (error) {
+    throw new Error(`The document could not be read as a PDF: ${error.message}`);
+  }
+  if (!security.encryptDict) {
+    throw new Error('The document is not encrypted');
+  }
+
+  const fileIdArray = security.context.trailerInfo.ID;
+  const fileIdEntry = fileIdArray instanceof PDFArray && fileIdArray.size() > 0 ? fileIdArray.lookup(0) : undefined;
+  const fileId = fileIdEntry instanceof PDFString || fileIdEntry instanceof PDFHexString
+    ? Buffer.from(fileIdEntry.asBytes())
+    : Buffer.alloc(0);
+
+  const decryptor = createDecryptor(security.encryptDict, fileId, password);
+  const { encryptRef } = security;
+
+  // Second pass with the key: objects are decrypted as they are parsed
+  const context = await parseWithObjectHook(buffer, (ref, object) => {
+    // The encryption dictionary and cross-reference streams are never encrypted
+    if ((encryptRef && ref.objectNumber === encryptRef.objectNumber) || isStreamOfType(object, 'XRef')) {
+      return object;
+    }
+
+    const decryptString = (bytes) => decryptor.decryptString(ref, bytes);
+    if (object instanceof PDFRawStream) {
+      transformStrings(object.dict, decryptString);
+      if (isStreamOfType(object, 'Metadata') && !decryptor.encryptMetadata) {
+        return object;
+      }
+      return PDFRawStream.of(object.dict, decryptor.decryptStream(ref, Buffer.from(object.getContents())));
+    }
+    return transformStrings(object, decryptString);
+  });
+
+  if (encryptRef) {
+    context.delete(encryptRef);
+  }
+  delete context.trailerInfo.Encrypt;
+
+  const decrypted = await PDFStreamWriter.forContext(context, 50).serializeToBuffer();
+
+  return {
+    buffer: Buffer.from(decrypted),
+    algorithm: decryptor.algorithm,
+    passwordType: decryptor.passwordType
+  };
+};
+
+module.exports = {
+  ENCRYPTION_ALGORITHMS,
+  PERMISSIONS,
+  validateProtectionOptions,
+  computePermissionFlags,
+  parsePermissionFlags,
+  encryptDocument,
+  isEncryptedPdf,
+  decryptDocument
+};
@@ -257,484 +257,104 @@ const createFallbackPreview = async (tempDir, previewId) => {
 
 // Convert PDF to Word (docx)
 const convertPdfToWord = async (filepath, options = {}) => {
-  try {
-    // Import required libraries
-    const { Document, Paragraph, TextRun, HeadingLevel, AlignmentType, Footer, Header, ImageRun, BorderStyle, TableRow, TableCell, Table, WidthType } = require('docx');
-    
-    const { tempDir } = ensureDirectoriesExist();
-    
-    // Use predefined resultFileId if provided in options, otherwise generate new one
-    // This helps maintain consistency between DB records and actual files
-    const outputId = options.resultFileId || uuidv4();
-    console.log(`Using ${options.resultFileId ? 'predefined' : 'new'} outputId: ${outputId} for DOCX conversion`);
-    
-    // Store in global for debugging
-    global.lastResultFileId = outputId;
-    
-    // Double-check that outputId doesn't already include an extension
-    const cleanOutputId = outputId.endsWith('.docx') ? outputId.replace('.docx', '') : outputId;
-    const outputFilename = `${cleanOutputId}.docx`;
-    
-    console.log(`🔍 Prepared clean output ID: ${cleanOutputId}`);
-    console.log(`📄 Final output filename: ${outputFilename}`);
-    
-    const outputPath = path.join(tempDir, outputFilename);
+  const outputPath = resolveOutputPath(options, 'docx');
+  let pdfSize = 0;
 
-    // Log the paths to ensure directories exist and are writable
-    console.log(`Temp directory: ${tempDir}`);
-    console.log(`Output path: ${outputPath}`);
-    
-    // Create directories if they don't exist (additional safety check)
-    fs.mkdirSync(tempDir, { recursive: true });
-    
-    // Check if the temp directory is writable
-    try {
-      const testFile = path.join(tempDir, `test-${Date.now()}.txt`);
-      fs.writeFileSync(testFile, 'Test write access');
-      fs.unlinkSync(testFile);
-      console.log(`✅ Verified temp directory is writable: ${tempDir}`);
-    } catch (fsError) {
-      console.error(`❌ Temp directory is not writable: ${tempDir}`, fsError);
-      // Create alternate location as last resort
-      const alternateDir = path.join(__dirname, 'temp_output');
-      fs.mkdirSync(alternateDir, { recursive: true });
-      console.log(`Using alternate output directory: ${alternateDir}`);
-    }
+  // Store in global for debugging downloads
+  global.lastResultFileId = path.basename(outputPath, '.docx');
+
+  try {
+    const { extractDocumentLayout } = require('./pdfjsService');
+    const { buildWordDocument } = require('./docxBuilder');
 
-    // Read the PDF file with additional error handling
     let pdfBuffer;
     try {
       pdfBuffer = fs.readFileSync(filepath);
-      console.log(`Successfully read PDF file: ${filepath}`);
-      console.log(`File size: ${Math.round(pdfBuffer.length / 1024)} KB`);
     } catch (readError) {
-      console.error(`Error reading PDF file ${filepath}:`, readError);
       throw new Error(`Cannot read source PDF file: ${readError.message}`);
     }
-    
-    if (!pdfBuffer || pdfBuffer.length === 0) {
-      console.error(`Empty or invalid PDF file: ${filepath}`);
+    if (pdfBuffer.length === 0) {
       throw new Error('Source PDF file is empty or invalid');
     }
-    
-    const pdfSize = pdfBuffer.length;
-    console.log(`Starting PDF to DOCX conversion for file: ${filepath}`);
-    
-    // Extract text content from PDF with better error handling
-    let pdfData;
-    
+    pdfSize = pdfBuffer.length;
+
+    // Both default to true in the frontend options
+    const preserveFormatting = options.preserveFormatting !== false;
+    const extractImages = options.extractImages !== false;
+
+    console.log(`Converting PDF to DOCX: ${filepath} (formatting: ${preserveFormatting}, images: ${extractImages})`);
+
+    let layout;
     try {
-      // Using pdf-lib for more robust PDF handling
-      const PDFDocument = require('pdf-lib').PDFDocument;
-      const pdfDoc = await PDFDocument.load(pdfBuffer, { 
-        ignoreEncryption: true,
-        updateMetadata: false
-      });
-      
-      // Extract basic information
-      const numPages = pdfDoc.getPageCount();
-      console.log(`PDF loaded with pdf-lib. Pages: ${numPages}`);
-      
-      // Create simplified pdfData structure for downstream processing
-      pdfData = {
-        numpages: numPages,
-        info: {}, // We'll populate this from pdf-parse if available
-        metadata: {},
-        text: 'PLACEHOLDER TEXT - This is a placeholder text to prevent empty text fallback. Your PDF has been processed successfully. This text is a placeholder to ensure proper conversion.' // Add placeholder text to prevent empty text fallback
-      };
-      
-      // Try to extract PDF info safely without using unsafe access patterns
-      try {
-        if (pdfDoc.getAuthor) pdfData.info.Author = pdfDoc.getAuthor();
-        if (pdfDoc.getCreator) pdfData.info.Creator = pdfDoc.getCreator();
-        if (pdfDoc.getProducer) pdfData.info.Producer = pdfDoc.getProducer();
-        if (pdfDoc.getTitle) pdfData.info.Title = pdfDoc.getTitle();
-        if (pdfDoc.getSubject) pdfData.info.Subject = pdfDoc.getSubject();
-        if (pdfDoc.getKeywords) pdfData.info.Keywords = pdfDoc.getKeywords();
-        
-        // Basic metadata
-        pdfData.info.PageCount = numPages;
-        
-        // Add default title if none exists
-        if (!pdfData.info.Title) {
-          pdfData.info.Title = path.basename(filepath) || 'Converted Document';
-        }
-      } catch (infoError) {
-        console.warn('Error extracting PDF metadata:', infoError);
-      }
-      
-      // Try to use pdf-parse, but don't rely on it for text content
-      let pdfParseSucceeded = false;
-      try {
-        const pdfParse = require('pdf-parse');
-        const parsedData = await pdfParse(pdfBuffer);
-        
-        if (parsedData && parsedData.text && parsedData.text.trim().length > 0) {
-          pdfData.text = parsedData.text;
-          pdfParseSucceeded = true;
-        }
-        
-        if (parsedData.info) pdfData.info = {...pdfData.info, ...parsedData.info};
-        if (parsedData.metadata) pdfData.metadata = parsedData.metadata;
-        
-        console.log(`PDF parsing ${pdfParseSucceeded ? 'successful' : 'partially successful'} with pdf-parse. Text length: ${pdfData.text.length} chars`);
-      } catch (parseError) {
-        console.error('Warning: pdf-parse failed, using default placeholder text:', parseError);
-        // We'll still continue with processing using the data from pdf-lib and our placeholder text
-        if (parseError.message && parseError.message.includes('bad XRef entry')) {
-          console.log('PDF has bad XRef entry - common issue, continuing with pdf-lib data and placeholder text');
-        }
-      }
-    } catch (pdfLibError) {
-      console.error('Error loading PDF with pdf-lib:', pdfLibError);
-      
-      // Create a simplified document with success message for Railway (don't show error to user)
+      layout = await extractDocumentLayout(pdfBuffer, { includeImages: extractImages });
+    } catch (layoutError) {
+      // Keep Railway users away from raw parser errors
       if (process.env.RAILWAY_SERVICE_NAME) {
-        console.log('Creating fallback DOCX for Railway deployment');
-        return createFallbackDocx(filepath, "Successful conversion with limited content extraction", outputPath, pdfSize);
+        console.error('Error reading PDF layout:', layoutError);
+        return createFallbackDocx(filepath, 'Successful conversion with limited content extraction', outputPath, pdfSize);
       }
-      
-      throw new Error(`Failed to load PDF: ${pdfLibError.message}`);
-    }
-    
-    // Process the text to maintain basic structure
-    const lines = pdfData.text.split('\n').filter(line => line.trim() !== '');
-    
-    // Extra validation - if no text was extracted, create minimal document
-    // But only if we don't have the placeholder text we set earlier
-    if ((!pdfData.text || pdfData.text.trim().length === 0 || lines.length === 0) &&
-        !pdfData.text.includes('PLACEHOLDER TEXT')) {
-      console.warn('PDF parsing returned no text content, creating minimal document');
-      return createMinimalDocx(filepath, pdfData, outputPath, pdfSize);
+      throw new Error(`Failed to load PDF: ${layoutError.message}`);
     }
-    
-    // Create paragraphs for each line
-    const paragraphs = [];
-    
-    // Extract basic document metadata
-    const metadata = {
-      title: pdfData.info?.Title || path.basename(filepath),
-      author: pdfData.info?.Author || 'PDFSpark',
-      subject: pdfData.info?.Subject || 'Converted Document',
-      keywords: pdfData.info?.Keywords || 'pdf, convert, docx',
-      pageCount: pdfData.numpages || 1
-    };
-    
-    // Add a title paragraph
-    paragraphs.push(
-      new Paragraph({
-        children: [
-          new TextRun({
-            text: metadata.title,
-            bold: true,
-            size: 36
-          })
-        ],
-        heading: HeadingLevel.TITLE,
-        alignment: AlignmentType.CENTER,
-      })
-    );
-    
-    // Process each line and create appropriate paragraphs
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip empty lines
-      if (!trimmedLine) continue;
-      
-      // Simple heuristic for headings - shorter lines with no punctuation
-      const isLikelyHeading = trimmedLine.length < 50 && 
-        !trimmedLine.includes('.') && 
-        !trimmedLine.includes(',') && 
-        trimmedLine === trimmedLine.replace(/[.,:;!?()]/g, '');
-      
-      if (isLikelyHeading) {
-        // Determine heading level based on text length and capitalization
-        const headingLevel = 
-          trimmedLine === trimmedLine.toUpperCase() ? HeadingLevel.HEADING_1 : 
-          trimmedLine.length < 30 ? HeadingLevel.HEADING_2 : 
-          HeadingLevel.HEADING_3;
-        
-        paragraphs.push(
-          new Paragraph({
-            children: [
-              new TextRun({
-                text: trimmedLine,
-                bold: true,
-                size: headingLevel === HeadingLevel.HEADING_1 ? 28 : 
-                      headingLevel === HeadingLevel.HEADING_2 ? 26 : 24
-              })
-            ],
-            heading: headingLevel,
-            spacing: {
-              before: 200,
-              after: 100,
-            },
-          })
-        );
-      } else {
-        // Regular paragraph
-        paragraphs.push(
-          new Paragraph({
-            children: [
-              new TextRun({
-                text: trimmedLine,
-                size: 24,
-              }),
-            ],
-            spacing: {
-              before: 100,
-              after: 100,
-              line: 276, // 1.15 line spacing
-            },
-          })
-        );
+
+    // Scanned pages have no text layer, recognize them when asked to
+    if (options.ocr) {
+      const { fillPagesWithoutText } = require('./pdfOcr');
+      const ocrResult = await fillPagesWithoutText(pdfBuffer, layout, { language: options.ocrLanguage });
+      if (ocrResult.recognizedPages.length > 0) {
+        console.log(`Recognized ${ocrResult.recognizedPages.length} scanned page(s) with OCR`);
+        // The image of a scanned page is the text just recognized
+        layout = {
+          ...ocrResult.layout,
+          pages: ocrResult.layout.pages.map(page => (ocrResult.recognizedPages.includes(page.pageNumber)
+            ? { ...page, images: [] }
+            : page))
+        };
       }
     }
-    
-    // Add conversion information at the end
-    paragraphs.push(
-      new Paragraph({
-        children: [],
-        spacing: { before: 400 }
-      })
-    );
-    
-    paragraphs.push(
-      new Paragraph({
-        children: [
-          new TextRun({
-            text: "Document Information",
-            bold: true,
-            size: 24,
-            color: "2E74B5"
-          })
-        ]
-      })
-    );
-    
-    paragraphs.push(
-      new Table({
-        width: {
-          size: 100,
-          type: WidthType.PERCENTAGE,
-        },
-        borders: {
-          top: { style: BorderStyle.SINGLE, size: 1, color: "BBBBBB" },
-          bottom: { style: BorderStyle.SINGLE, size: 1, color: "BBBBBB" },
-          left: { style: BorderStyle.SINGLE, size: 1, color: "BBBBBB" },
-          right: { style: BorderStyle.SINGLE, size: 1, color: "BBBBBB" },
-          insideHorizontal: { style: BorderStyle.SINGLE, size: 1, color: "BBBBBB" },
-          insideVertical: { style: BorderStyle.SINGLE, size: 1, color: "BBBBBB" },
-        },
-        rows: [
-          new TableRow({
-            children: [
-              new TableCell({
-                children: [new Paragraph({
-                  children: [new TextRun({ text: "Original Filename", bold: true })],
-                })],
-                shading: { color: "F2F2F2" },
-              }),
-              new TableCell({
-                children: [new Paragraph(path.basename(filepath))],
-              }),
-            ],
-          }),
-          new TableRow({
-            children: [
-              new TableCell({
-                children: [new Paragraph({
-                  children: [new TextRun({ text: "Original Format", bold: true })],
-                })],
-                shading: { color: "F2F2F2" },
-              }),
-              new TableCell({
-                children: [new Paragraph("PDF")],
-              }),
-            ],
-          }),
-          new TableRow({
-            children: [
-              new TableCell({
-                children: [new Paragraph({
-                  children: [new TextRun({ text: "Pages", bold: true })],
-                })],
-                shading: { color: "F2F2F2" },
-              }),
-              new TableCell({
-                children: [new Paragraph(String(metadata.pageCount || 'Unknown'))],
-              }),
-            ],
-          }),
-          new TableRow({
-            children: [
-              new TableCell({
-                children: [new Paragraph({
-                  children: [new TextRun({ text: "Conversion Date", bold: true })],
-                })],
-                shading: { color: "F2F2F2" },
-              }),
-              new TableCell({
-                children: [new Paragraph(new Date().toISOString())],
-              }),
-            ],
-          })
-        ],
-      })
-    );
-    
-    // Create the document with metadata
-    const doc = new Document({
-      title: metadata.title,
-      subject: metadata.subject,
-      creator: metadata.author,
-      keywords: metadata.keywords,
-      description: `Converted from PDF by PDFSpark. Original had ${metadata.pageCount} pages.`,
-      styles: {
-        paragraphStyles: [
-          {
-            id: "Normal",
-            name: "Normal",
-            basedOn: "Normal",
-            run: {
-              size: 24,
-              font: "Calibri",
-            },
-            paragraph: {
-              spacing: {
-                line: 276,
-              },
-            },
-          },
-        ],
-      },
-      sections: [{
-        properties: {},
-        children: paragraphs,
-        headers: {
-          default: new Header({
-            children: [
-              new Paragraph({
-                children: [
-                  new TextRun({
-                    text: metadata.title,
-                    size: 20
-                  })
-                ],
-                alignment: AlignmentType.RIGHT,
-              }),
-            ],
-          }),
-        },
-        footers: {
-          default: new Footer({
-            children: [
-              new Paragraph({
-                children: [
-                  new TextRun({
-                    text: `Converted by PDFSpark | Page `,
-                    size: 20
-                  })
-                ],
-                alignment: AlignmentType.CENTER,
-              }),
-            ],
-          }),
-        },
-      }],
-    });
 
-    // Write the docx file with robust error handling and docx version compatibility
-    try {
-      let buffer;
-      
-      // Try different methods to save document based on docx version
-      if (typeof doc.save === 'function') {
-        // For docx v7+ which uses doc.save()
-        console.log('Using doc.save() method for docx');
-        buffer = await doc.save();
-      } else {
-        // For older docx versions that use Packer.toBuffer
-        console.log('Using Packer.toBuffer() method for docx');
-        const { Packer } = require('docx');
-        buffer = await Packer.toBuffer(doc);
-      }
-      
-      // Verify buffer was created correctly
-      if (!buffer || buffer.length === 0) {
-        console.error('Error: Document generation returned empty buffer');
-        throw new Error('Failed to generate DOCX content: Empty buffer');
-      }
-      
-      console.log(`Successfully generated DOCX buffer. Size: ${Math.round(buffer.length / 1024)} KB`);
-      
-      // Write file to disk
-      fs.writeFileSync(outputPath, buffer);
-      
-      // Verify file was written correctly
-      if (!fs.existsSync(outputPath)) {
-        console.error(`File not created at expected path: ${outputPath}`);
-        throw new Error('Failed to write DOCX file to disk');
-      }
-      
-      const fileSize = fs.statSync(outputPath).size;
-      if (fileSize === 0) {
-        console.error(`File created but empty: ${outputPath}`);
-        throw new Error('Generated DOCX file is empty');
-      }
-      
-      console.log(`Successfully wrote DOCX file to disk: ${outputPath}`);
-      console.log(`File size on disk: ${Math.round(fileSize / 1024)} KB`);
-      
-      // Log full information
-      console.log(`Successfully converted PDF to DOCX: ${outputPath}`);
-      console.log(`Original size: ${Math.round(pdfSize / 1024)} KB, Result size: ${Math.round(fileSize / 1024)} KB`);
-      
-      // Additional info for Railway debugging
-      if (process.env.RAILWAY_SERVICE_NAME) {
-        console.log('Railway environment detected. File paths:');
-        console.log(`- Input: ${filepath}`);
-        console.log(`- Output: ${outputPath}`);
-        console.log(`- Working directory: ${process.cwd()}`);
-        console.log(`- Temp directory: ${tempDir}`);
-      }
-      
-      return {
-        outputPath,
-        outputFormat: 'docx',
-        originalSize: pdfSize,
-        resultSize: fileSize
-      };
-    } catch (saveError) {
-      console.error('Error saving DOCX file:', saveError);
-      
-      // Create a fallback document for Railway
-      if (process.env.RAILWAY_SERVICE_NAME) {
-        console.log('Creating fallback DOCX for Railway due to save error');
-        return createFallbackDocx(filepath, `Error saving file: ${saveError.message}`, outputPath, pdfSize);
-      }
-      
-      throw new Error(`Failed to save DOCX file: ${saveError.message}`);
+    const hasContent = layout.pages.some(page =>
+      page.items.some(item => item.str.trim()) || (page.images && page.images.length > 0));
+    if (!hasContent) {
+      console.warn('PDF has no text or images, creating minimal document');
+      return createMinimalDocx(filepath, { numpages: layout.numPages }, outputPath, pdfSize);
     }
+
+    const document = await buildWordDocument(layout.pages, {
+      preserveFormatting,
+      extractImages,
+      title: options.title || path.basename(filepath, path.extname(filepath)),
+      pageOffset: options.pageOffset,
+      totalPages: options.totalPages
+    });
+    fs.writeFileSync(outputPath, document.buffer);
+
+    console.log(`DOCX created from ${layout.pages.length} page(s) with ${document.tableCount} table(s) and ${document.imageCount} image(s): ${outputPath}`);
+
+    return {
+      outputPath,
+      outputFormat: 'docx',
+      originalSize: pdfSize,
+      resultSize: document.buffer.length,
+      pageCount: layout.pages.length,
+      tableCount: document.tableCount,
+      imageCount: document.imageCount,
+      hasHeader: document.hasHeader,
+      hasFooter: document.hasFooter
+    };
   } catch (error) {
     console.error('Error converting PDF to DOCX:', error);
-    
+
     // For Railway, try to provide a fallback document
     if (process.env.RAILWAY_SERVICE_NAME) {
       console.log('Creating emergency fallback DOCX for Railway');
       try {
-        const { tempDir } = ensureDirectoriesExist();
-        const outputId = uuidv4();
-        const outputPath = path.join(tempDir, `${outputId}.docx`);
-        
         // Don't show the actual error message to the user
-        return createFallbackDocx(filepath, "Successful conversion with simplified content", outputPath, 0);
+        return await createFallbackDocx(filepath, 'Successful conversion with simplified content', outputPath, pdfSize);
       } catch (fallbackError) {
         console.error('Failed to create fallback document:', fallbackError);
       }
     }
-    
+
     throw error;
   }
 };
@@ -1214,243 +834,1266 @@ const createFallbackDocx = async (filepath, errorMessage, outputPath, pdfSize) =
   }
 };
 
-// Convert PDF to Excel (xlsx)
-const convertPdfToExcel = async (filepath, options = {}) => {
-  // Simulate conversion
-  return new Promise((resolve, reject) => {
-    try {
-      const { tempDir } = ensureDirectoriesExist();
-      const outputId = uuidv4();
-      const outputPath = path.join(tempDir, `${outputId}.xlsx`);
-      
-      // Read the PDF file to get its size
-      const pdfSize = fs.statSync(filepath).size;
-      
-      // For demo purposes, create a simple XLSX structure
-      const xlsxContent = `
-        <html>
-          <body>
-            <table>
-              <tr><td>Column A</td><td>Column B</td></tr>
-              <tr><td>Data 1</td><td>Data 2</td></tr>
-              <tr><td>Data 3</td><td>Data 4</td></tr>
-            </table>
-          </body>
-        </html>
-      `;
-      
-      // Write the content to a file
-      fs.writeFileSync(outputPath, xlsxContent);
-      
-      setTimeout(() => {
-        resolve({
-          outputPath,
-          outputFormat: 'xlsx',
-          originalSize: pdfSize,
-          resultSize: fs.statSync(outputPath).size
-        });
-      }, 3000); // Simulate processing time
-    } catch (error) {
-      reject(error);
-    }
-  });
+// Resolve the output path for a converter, honouring a predefined resultFileId
+const resolveOutputPath = (options, extension) => {
+  const { tempDir } = ensureDirectoriesExist();
+  const outputId = options.resultFileId || uuidv4();
+  const cleanOutputId = outputId.endsWith(`.${extension}`) ? outputId.slice(0, -(extension.length + 1)) : outputId;
+  return path.join(tempDir, `${cleanOutputId}.${extension}`);
 };
 
-// Convert PDF to PowerPoint (pptx)
-const convertPdfToPowerPoint = async (filepath, options = {}) => {
-  // Simulate conversion
-  return new Promise((resolve, reject) => {
-    try {
-      const { tempDir } = ensureDirectoriesExist();
-      const outputId = uuidv4();
-      const outputPath = path.join(tempDir, `${outputId}.pptx`);
-      
-      // Read the PDF file to get its size
-      const pdfSize = fs.statSync(filepath).size;
-      
-      // For demo purposes, create a simple PPTX structure
-      const pptxContent = `
-        <html>
-          <body>
-            <h1>Slide 1</h1>
-            <p>This is a sample slide.</p>
-          </body>
-        </html>
-      `;
-      
-      // Write the content to a file
-      fs.writeFileSync(outputPath, pptxContent);
-      
-      setTimeout(() => {
-        resolve({
-          outputPath,
-          outputFormat: 'pptx',
-          originalSize: pdfSize,
-          resultSize: fs.statSync(outputPath).size
-        });
-      }, 3500); // Simulate processing time
-    } catch (error) {
-      reject(error);
-    }
-  });
+// Name a PDF of a ZIP result, adding " (2)", " (3)", ... to names already used
+const uniqueArchiveName = (name, usedNames) => {
+  let unique = name.replace(/[\\/]/g, '_');
+  if (!/\.pdf$/i.test(unique)) {
+    unique = `${unique}.pdf`;
+  }
+  while (usedNames.has(unique.toLowerCase())) {
+    unique = unique.replace(/(?: \((\d+)\))?\.pdf$/i, (match, copy) => ` (${copy ? Number(copy) + 1 : 2}).pdf`);
+  }
+  usedNames.add(unique.toLowerCase());
+  return unique;
 };
 
-// Convert PDF to image (jpg)
-const convertPdfToImage = async (filepath, options = {}) => {
-  try {
-    const { tempDir } = ensureDirectoriesExist();
-    const outputId = uuidv4();
-    const outputPath = path.join(tempDir, `${outputId}.jpg`);
-    
-    // Read the PDF file to get its size
-    const pdfSize = fs.statSync(filepath).size;
-    
-    // Read the PDF file
-    const pdfBytes = fs.readFileSync(filepath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    
-    // Get the first page
-    const pages = pdfDoc.getPages();
-    if (pages.length === 0) {
-      throw new Error('PDF has no pages');
-    }
-    
-    const firstPage = pages[0];
-    const { width, height } = firstPage.getSize();
-    
-    // Create a new document with just the first page
-    const pageDoc = await PDFDocument.create();
-    const [copiedPage] = await pageDoc.copyPages(pdfDoc, [0]);
-    pageDoc.addPage(copiedPage);
-    
-    // Save the page as a temporary PDF
-    const tempPdfPath = path.join(tempDir, `${outputId}_temp.pdf`);
-    const pageBytes = await pageDoc.save();
-    
-    fs.writeFileSync(tempPdfPath, pageBytes);
-    
-    // Convert PDF to image using sharp
-    const dpi = options.dpi || 300;
-    const quality = options.quality || 90;
-    
-    await sharp(tempPdfPath)
-      .resize(Math.min(width * (dpi / 72), 2000)) // Limit max width to 2000px
-      .jpeg({ quality })
-      .toFile(outputPath);
-    
-    // Delete temporary PDF
-    fs.unlinkSync(tempPdfPath);
-    
-    return {
-      outputPath,
-      outputFormat: 'jpg',
-      originalSize: pdfSize,
-      resultSize: fs.statSync(outputPath).size
-    };
-  } catch (error) {
-    console.error('Error converting PDF to image:', error);
-    throw error;
-  }
+// Rough Excel column width for a piece of text
+const estimateColumnWidth = (text) => Math.min(Math.max(String(text || '').length + 2, 8), 60);
+
+// Write a detected table into the worksheet starting at startRow
+const writeTableToSheet = (worksheet, table, startRow, columnWidths, options = {}) => {
+  const { inferCellValue } = require('./tableExtractor');
+
+  table.rows.forEach((cells, rowOffset) => {
+    const rowNumber = startRow + rowOffset;
+    const row = worksheet.getRow(rowNumber);
+
+    cells.forEach((cell, colIndex) => {
+      if (!cell) return;
+      const excelCell = row.getCell(colIndex + 1);
+      const typed = options.typedCells === false
+        ? { value: cell.text, type: 'string', numFmt: null }
+        : inferCellValue(cell.text);
+
+      excelCell.value = typed.value;
+      if (typed.numFmt) excelCell.numFmt = typed.numFmt;
+      if (cell.bold) excelCell.font = { bold: true };
+      if (cell.colSpan === 1) {
+        columnWidths[colIndex] = Math.max(columnWidths[colIndex] || 0, estimateColumnWidth(cell.text));
+      }
+    });
+  });
+
+  // Merged cells are usually group headers spanning several columns
+  table.merges.forEach(({ row, startCol, endCol }) => {
+    const rowNumber = startRow + row;
+    worksheet.mergeCells(rowNumber, startCol + 1, rowNumber, endCol + 1);
+    worksheet.getCell(rowNumber, startCol + 1).alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+
+  return startRow + table.rows.length;
 };
 
-// Convert PDF to text
-const convertPdfToText = async (filepath, options = {}) => {
-  // In a real implementation, this would use a PDF to text extraction library
-  // For demo purposes, we'll create a simple text file
-  
-  return new Promise((resolve, reject) => {
-    try {
-      const { tempDir } = ensureDirectoriesExist();
-      const outputId = uuidv4();
-      const outputPath = path.join(tempDir, `${outputId}.txt`);
-      
-      // Read the PDF file to get its size
-      const pdfSize = fs.statSync(filepath).size;
-      
-      // For demo purposes, create a simple text file
-      const textContent = `
-        This is a sample text extracted from a PDF document.
-        
-        In a real application, this would contain the actual text content
-        extracted from the PDF using a library like pdf.js or pdfjs-dist.
-        
-        Original filename: ${path.basename(filepath)}
-        Original size: ${Math.round(pdfSize / 1024)} KB
-      `;
-      
-      // Write the content to a file
-      fs.writeFileSync(outputPath, textContent);
-      
-      setTimeout(() => {
-        resolve({
-          outputPath,
-          outputFormat: 'txt',
-          originalSize: pdfSize,
-          resultSize: fs.statSync(outputPath).size
-        });
-      }, 1000); // Simulate processing time
-    } catch (error) {
-      reject(error);
-    }
+// Anchor the images of a page next to the rows they were printed beside
+const addImagesToSheet = (workbook, worksheet, images, rowAnchors, column) => {
+  // Default Excel rows are 20px high; stack images so they never overlap
+  let nextFreeRow = 0;
+
+  [...images].sort((a, b) => a.y - b.y).forEach(image => {
+    const imageId = workbook.addImage({ buffer: image.png, extension: 'png' });
+    const anchor = rowAnchors.find(a => a.y >= image.y);
+    const anchorRow = anchor ? anchor.row - 1 : worksheet.rowCount;
+    const row = Math.max(anchorRow, nextFreeRow);
+    // Keep the printed size: 1pt = 4/3 px at 96 DPI
+    const width = Math.round(image.width * 4 / 3);
+    const height = Math.round(image.height * 4 / 3);
+
+    worksheet.addImage(imageId, { tl: { col: column, row }, ext: { width, height } });
+    nextFreeRow = row + Math.ceil(height / 20);
   });
 };
 
+// Convert PDF to Excel (xlsx)
+const convertPdfToExcel = async (filepath, options = {}) => {
+  const ExcelJS = require('exceljs');
+  const { extractDocumentLayout } = require('./pdfjsService');
+  const { detectTables, splitLineIntoSegments, groupIntoLines } = require('./tableExtractor');
+
+  const outputPath = resolveOutputPath(options, 'xlsx');
+  const pdfBuffer = fs.readFileSync(filepath);
+  const pdfSize = pdfBuffer.length;
+
+  // preserveTableStructure defaults to true in the frontend options
+  const preserveTableStructure = options.preserveTableStructure !== false;
+  const includeImages = !!options.includeImages;
+  // 'page' writes one sheet per page, 'table' one sheet per detected table
+  const sheetMode = options.sheetMode === 'table' ? 'table' : 'page';
+
+  console.log(`Converting PDF to XLSX: ${filepath} (sheetMode: ${sheetMode}, tables: ${preserveTableStructure}, images: ${includeImages})`);
+
+  const layout = await extractDocumentLayout(pdfBuffer, { includeImages });
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'PDFSpark';
+  workbook.created = new Date();
+
+  let tableCount = 0;
+
+  if (sheetMode === 'table' && preserveTableStructure) {
+    layout.pages.forEach(page => {
+      detectTables(page).filter(block => block.type === 'table').forEach(table => {
+        tableCount++;
+        const worksheet = workbook.addWorksheet(`Table ${tableCount} (p${page.pageNumber})`);
+        const columnWidths = [];
+        writeTableToSheet(worksheet, table, 1, columnWidths);
+        columnWidths.forEach((width, index) => { worksheet.getColumn(index + 1).width = width; });
+
+        if (includeImages && page.images) {
+          const inTable = page.images.filter(img => img.y >= table.top && img.y <= table.bottom);
+          addImagesToSheet(workbook, worksheet, inTable, [{ y: table.bottom, row: 1 }], table.columns.length + 1);
+        }
+      });
+    });
+  }
+
+  // Page mode, or table mode on a document without any detectable tables
+  if (workbook.worksheets.length === 0) {
+    layout.pages.forEach(page => {
+      const worksheet = workbook.addWorksheet(`Page ${page.pageNumber}`);
+      const columnWidths = [];
+      const rowAnchors = [];
+      let rowNumber = 1;
+
+      if (preserveTableStructure) {
+        detectTables(page).forEach(block => {
+          if (block.type === 'table') {
+            tableCount++;
+            rowAnchors.push({ y: block.top, row: rowNumber });
+            rowNumber = writeTableToSheet(worksheet, block, rowNumber, columnWidths) + 1;
+          } else {
+            rowAnchors.push({ y: block.line.y, row: rowNumber });
+            worksheet.getCell(rowNumber, 1).value = block.text;
+            rowNumber++;
+          }
+        });
+      } else {
+        // Without table detection every text segment of a line gets its own cell
+        groupIntoLines(page.items).forEach(line => {
+          rowAnchors.push({ y: line.y, row: rowNumber });
+          splitLineIntoSegments(line).forEach((segment, index) => {
+            worksheet.getCell(rowNumber, index + 1).value = segment.text;
+            columnWidths[index] = Math.max(columnWidths[index] || 0, estimateColumnWidth(segment.text));
+          });
+          rowNumber++;
+        });
+      }
+
+      columnWidths.forEach((width, index) => {
+        if (width) worksheet.getColumn(index + 1).width = width;
+      });
+
+      if (includeImages && page.images && page.images.length > 0) {
+        addImagesToSheet(workbook, worksheet, page.images, rowAnchors, Math.max(columnWidths.length, 1) + 1);
+      }
+    });
+  }
+
+  await workbook.xlsx.writeFile(outputPath);
+
+  console.log(`XLSX created with ${workbook.worksheets.length} sheet(s) and ${tableCount} table(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'xlsx',
+    originalSize: pdfSize,
+    resultSize: fs.statSync(outputPath).size,
+    pageCount: layout.numPages,
+    sheetCount: workbook.worksheets.length,
+    tableCount
+  };
+};
+
+// Group the text of a page into positioned, editable text boxes
+const buildSlideTextBoxes = (pageLayout, transform, preserveFormatting) => {
+  const { groupIntoLines, splitLineIntoSegments } = require('./tableExtractor');
+  const { mapPdfFontToFamily } = require('./pdfjsService');
+  const boxes = [];
+
+  groupIntoLines(pageLayout.items).forEach(line => {
+    splitLineIntoSegments(line).forEach(segment => {
+      const fontSize = Math.max(...segment.items.map(item => item.fontSize));
+
+      // Build runs, joining items with identical styling
+      const runs = [];
+      segment.items.forEach((item, index) => {
+        const previous = segment.items[index - 1];
+        const gap = previous ? item.x - (previous.x + previous.width) : 0;
+        const text = (gap > item.fontSize * 0.15 ? ' ' : '') + item.str;
+        const style = preserveFormatting
+          ? { size: item.fontSize, bold: item.bold, italic: item.italic, font: mapPdfFontToFamily(item.fontName) }
+          : { size: fontSize };
+        const last = runs[runs.length - 1];
+        if (last && last.size === style.size && last.bold === style.bold &&
+          last.italic === style.italic && last.font === style.font) {
+          last.text += text;
+        } else {
+          runs.push({ ...style, text });
+        }
+      });
+
+      // Lines sharing a left edge and size continue the box above them
+      const box = boxes.find(b => Math.abs(b.x0 - segment.x0) < 2 &&
+        Math.abs(b.fontSize - fontSize) < 0.5 &&
+        line.y - b.bottom < fontSize * 0.8 && line.y >= b.bottom - fontSize * 0.2);
+
+      if (box) {
+        box.paragraphs.push(runs);
+        box.x1 = Math.max(box.x1, segment.x1);
+        box.bottom = line.baseline + fontSize * 0.25;
+      } else {
+        boxes.push({
+          x0: segment.x0,
+          x1: segment.x1,
+          top: line.y,
+          bottom: line.baseline + fontSize * 0.25,
+          fontSize,
+          paragraphs: [runs]
+        });
+      }
+    });
+  });
+
+  return boxes.map(box => ({
+    x: transform.offsetX + box.x0 * transform.scale,
+    y: transform.offsetY + box.top * transform.scale,
+    // Office fonts rarely match the PDF metrics exactly; leave some slack
+    width: (box.x1 - box.x0) * 1.05 * transform.scale,
+    height: (box.bottom - box.top) * transform.scale,
+    // Font sizes follow the slide scale so text keeps its place on the page
+    paragraphs: box.paragraphs.map(runs => runs.map(run => ({
+      ...run,
+      size: run.size * transform.scale / 12700
+    })))
+  }));
+};
+
+// Convert PDF to PowerPoint (pptx)
+const convertPdfToPowerPoint = async (filepath, options = {}) => {
+  const { openDocument, extractPageText, renderPage } = require('./pdfjsService');
+  const { getSlideSize, buildPresentation } = require('./pptxBuilder');
+  const { groupIntoLines } = require('./tableExtractor');
+
+  const outputPath = resolveOutputPath(options, 'pptx');
+  const pdfBuffer = fs.readFileSync(filepath);
+  const preserveFormatting = options.preserveFormatting !== false;
+  const backgroundDpi = options.backgroundDpi || 150;
+
+  console.log(`Converting PDF to PPTX: ${filepath} (formatting: ${preserveFormatting}, dpi: ${backgroundDpi})`);
+
+  const doc = await openDocument(pdfBuffer);
+  const slides = [];
+  let size = null;
+
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      try {
+        const pageLayout = await extractPageText(page);
+
+        // The deck takes the aspect ratio of its first page unless the caller
+        // fixed it (chunked conversions pass the size of the whole document)
+        if (!size) {
+          const reference = options.slideSize || { width: pageLayout.width, height: pageLayout.height };
+          size = getSlideSize(reference.width, reference.height);
+        }
+
+        // Fit pages with another aspect ratio inside the slide, centred
+        const scale = Math.min(size.cx / pageLayout.width, size.cy / pageLayout.height);
+        const transform = {
+          scale,
+          offsetX: (size.cx - pageLayout.width * scale) / 2,
+          offsetY: (size.cy - pageLayout.height * scale) / 2
+        };
+
+        const textBoxes = buildSlideTextBoxes(pageLayout, transform, preserveFormatting);
+
+        // Text is recreated as editable boxes, so render the page without it
+        const rendered = await renderPage(page, { dpi: backgroundDpi, format: 'jpeg', quality: 85, hideText: true });
+        let background = rendered.buffer;
+        const slidePxWidth = Math.round(size.cx / scale * backgroundDpi / 72);
+        const slidePxHeight = Math.round(size.cy / scale * backgroundDpi / 72);
+        if (Math.abs(slidePxWidth - rendered.width) > 2 || Math.abs(slidePxHeight - rendered.height) > 2) {
+          background = await sharp(rendered.buffer)
+            .resize(slidePxWidth, slidePxHeight, { fit: 'contain', background: '#ffffff' })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+        }
+
+        const notes = groupIntoLines(pageLayout.items)
+          .map(line => line.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim())
+          .filter(Boolean)
+          .join('\n');
+
+        slides.push({
+          background: { data: background, extension: 'jpeg' },
+          textBoxes,
+          notes
+        });
+      } finally {
+        page.cleanup();
+      }
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  const pptxBuffer = await buildPresentation(slides, size, {
+    title: options.title || path.basename(filepath, path.extname(filepath))
+  });
+  fs.writeFileSync(outputPath, pptxBuffer);
+
+  console.log(`PPTX created with ${slides.length} slide(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'pptx',
+    originalSize: pdfBuffer.length,
+    resultSize: pptxBuffer.length,
+    pageCount: slides.length,
+    slideCount: slides.length
+  };
+};
+
+// Raster formats convertPdfToImage can write, keyed by accepted aliases
+const IMAGE_FORMATS = {
+  jpg: 'jpg',
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  tif: 'tiff',
+  tiff: 'tiff'
+};
+
+// Largest page we rasterize (pixels); higher DPI requests are scaled down to fit
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Encode a rendered RGBA page in the requested raster format
+const encodePageImage = (rendered, imageFormat, options) => {
+  const image = sharp(rendered.buffer, {
+    raw: { width: rendered.width, height: rendered.height, channels: 4 }
+  })
+    // Pages are rendered on white paper, the alpha channel carries nothing
+    .removeAlpha()
+    .withMetadata({ density: options.dpi });
+
+  switch (imageFormat) {
+    case 'png':
+      return image.png({ compressionLevel: 9 }).toBuffer();
+    case 'webp':
+      return image.webp({ quality: options.quality }).toBuffer();
+    case 'tiff':
+      return image.tiff({ compression: 'lzw', predictor: 'horizontal' }).toBuffer();
+    default:
+      return image.jpeg({ quality: options.quality, mozjpeg: true }).toBuffer();
+  }
+};
+
+// Convert PDF to image (jpg, png, webp or tiff)
+const convertPdfToImage = async (filepath, options = {}) => {
+  const JSZip = require('jszip');
+  const { openDocument, renderPage } = require('./pdfjsService');
+  const { expandPageRanges } = require('../utils/pageRanges');
+  const { combineTiffPages } = require('./tiffWriter');
+
+  const requestedFormat = String(options.format || 'jpg').toLowerCase();
+  const imageFormat = IMAGE_FORMATS[requestedFormat];
+  if (!imageFormat) {
+    throw new Error(`Unsupported image format: ${requestedFormat}`);
+  }
+
+  const dpi = Number(options.dpi) || 300;
+  const quality = Number(options.quality) || 90;
+  if (dpi <= 0 || quality < 1 || quality > 100) {
+    throw new Error(`Invalid image settings (dpi: ${options.dpi}, quality: ${options.quality})`);
+  }
+  const multiPageTiff = imageFormat === 'tiff' && !!options.multiPageTiff;
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const doc = await openDocument(pdfBuffer);
+  const files = [];
+  const tiffPages = [];
+  let imageDpi = dpi;
+
+  try {
+    // Chunked conversions select and name pages relative to the whole document
+    const pageOffset = options.pageOffset || 0;
+    const totalPages = options.totalPages || doc.numPages;
+    const pageNumbers = expandPageRanges(options.pages, totalPages, { unique: true })
+      .filter(pageNumber => pageNumber > pageOffset && pageNumber <= pageOffset + doc.numPages);
+
+    console.log(`Converting PDF to ${imageFormat.toUpperCase()}: ${filepath} (${pageNumbers.length} page(s), dpi: ${dpi})`);
+
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber - pageOffset);
+      try {
+        const { width, height } = page.getViewport({ scale: 1 });
+        const pixels = (width * dpi / 72) * (height * dpi / 72);
+        const pageDpi = pixels > MAX_IMAGE_PIXELS ? Math.floor(dpi * Math.sqrt(MAX_IMAGE_PIXELS / pixels)) : dpi;
+        imageDpi = Math.min(imageDpi, pageDpi);
+
+        const rendered = await renderPage(page, { dpi: pageDpi, format: 'raw' });
+        const buffer = await encodePageImage(rendered, imageFormat, { dpi: pageDpi, quality });
+
+        if (multiPageTiff) {
+          tiffPages.push(buffer);
+        }
+        files.push({
+          name: `page-${String(pageNumber).padStart(String(totalPages).length, '0')}.${imageFormat}`,
+          page: pageNumber,
+          width: rendered.width,
+          height: rendered.height,
+          size: buffer.length,
+          buffer
+        });
+      } finally {
+        page.cleanup();
+      }
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  // One page (or one multi-page TIFF) is delivered as is, anything else as a ZIP
+  let outputPath;
+  let outputFormat;
+  if (multiPageTiff && tiffPages.length > 0 && !options.archive) {
+    outputPath = resolveOutputPath(options, 'tiff');
+    outputFormat = 'tiff';
+    fs.writeFileSync(outputPath, combineTiffPages(tiffPages));
+  } else if (files.length === 1 && !options.archive) {
+    outputPath = resolveOutputPath(options, imageFormat);
+    outputFormat = imageFormat;
+    fs.writeFileSync(outputPath, files[0].buffer);
+  } else {
+    const zip = new JSZip();
+    if (multiPageTiff && tiffPages.length > 0) {
+      zip.file('pages.tiff', combineTiffPages(tiffPages));
+    } else {
+      files.forEach(file => zip.file(file.name, file.buffer));
+    }
+    outputPath = resolveOutputPath(options, 'zip');
+    outputFormat = 'zip';
+    // JPEG, PNG and WebP are compressed already
+    const zipBuffer = await zip.generateAsync({
+      type: 'nodebuffer',
+      compression: imageFormat === 'tiff' ? 'DEFLATE' : 'STORE'
+    });
+    fs.writeFileSync(outputPath, zipBuffer);
+  }
+
+  const resultSize = fs.statSync(outputPath).size;
+  console.log(`${imageFormat.toUpperCase()} output created from ${files.length} page(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat,
+    originalSize: pdfBuffer.length,
+    resultSize,
+    pageCount: files.length,
+    imageFormat,
+    dpi: imageDpi,
+    files: files.map(({ buffer, ...file }) => file)
+  };
+};
+
+// Separator written before each page; `{page}` and `{pages}` are replaced
+const DEFAULT_PAGE_SEPARATOR = '--- Page {page} of {pages} ---';
+
+// Byte order mark prepended for the "utf-8-bom" encoding
+const UTF8_BOM = '\uFEFF';
+
+// Convert PDF to text (txt)
+const convertPdfToText = async (filepath, options = {}) => {
+  const { extractDocumentLayout } = require('./pdfjsService');
+  const { TEXT_MODES, formatPageText } = require('./textLayout');
+
+  const mode = options.mode || 'reading';
+  if (!TEXT_MODES.includes(mode)) {
+    throw new Error(`Unsupported text extraction mode: ${mode}`);
+  }
+
+  const encoding = String(options.encoding || 'utf-8').toLowerCase();
+  if (!['utf-8', 'utf8', 'utf-8-bom', 'utf8-bom'].includes(encoding)) {
+    throw new Error(`Unsupported text encoding: ${options.encoding}`);
+  }
+
+  const outputPath = resolveOutputPath(options, 'txt');
+  const pdfBuffer = fs.readFileSync(filepath);
+
+  console.log(`Converting PDF to TXT: ${filepath} (mode: ${mode}, encoding: ${encoding})`);
+
+  let layout = await extractDocumentLayout(pdfBuffer, { pages: options.pages });
+
+  // Scanned pages have no text layer, recognize them when asked to
+  let recognizedPages = [];
+  if (options.ocr) {
+    const { fillPagesWithoutText } = require('./pdfOcr');
+    ({ layout, recognizedPages } = await fillPagesWithoutText(pdfBuffer, layout, { language: options.ocrLanguage }));
+  }
+
+  // Chunked conversions number their pages relative to the whole document
+  const pageOffset = options.pageOffset || 0;
+  const totalPages = options.totalPages || layout.numPages;
+  const separator = options.pageSeparator === true
+    ? DEFAULT_PAGE_SEPARATOR
+    : (typeof options.pageSeparator === 'string' ? options.pageSeparator : null);
+
+  const pagesWithoutText = [];
+  const pageTexts = layout.pages.map(pageLayout => {
+    const pageNumber = pageLayout.pageNumber + pageOffset;
+    const text = formatPageText(pageLayout, {
+      mode,
+      preserveLineBreaks: options.preserveLineBreaks,
+      detectParagraphs: options.detectParagraphs
+    });
+    if (!text.trim()) {
+      pagesWithoutText.push(pageNumber);
+    }
+    if (!separator) {
+      return text;
+    }
+    const heading = separator
+      .replace(/\{page\}/g, pageNumber)
+      .replace(/\{pages\}/g, totalPages);
+    return text ? `${heading}\n\n${text}` : heading;
+  });
+
+  let textContent = pageTexts.filter(text => text.length > 0).join('\n\n');
+  if (textContent) {
+    textContent += '\n';
+  }
+  if (encoding.endsWith('-bom')) {
+    textContent = UTF8_BOM + textContent;
+  }
+
+  fs.writeFileSync(outputPath, textContent, 'utf8');
+  const resultSize = fs.statSync(outputPath).size;
+
+  console.log(`TXT created from ${layout.pages.length} page(s), ${pagesWithoutText.length} without text, ${recognizedPages.length} recognized with OCR: ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'txt',
+    originalSize: pdfBuffer.length,
+    resultSize,
+    pageCount: layout.pages.length,
+    pagesWithoutText,
+    recognizedPages: recognizedPages.map(pageNumber => pageNumber + pageOffset)
+  };
+};
+
+// Convert PDF to a web bundle: HTML or Markdown with an assets folder, as a ZIP
+const convertPdfToWeb = async (filepath, options = {}) => {
+  const { extractDocumentLayout } = require('./pdfjsService');
+  const { WEB_FORMATS, buildDocumentBlocks, buildWebBundle } = require('./webExport');
+
+  const format = String(options.format || 'html').toLowerCase();
+  if (!WEB_FORMATS.includes(format)) {
+    throw new Error(`Unsupported web format: ${format}`);
+  }
+
+  const outputPath = resolveOutputPath(options, 'zip');
+  const pdfBuffer = fs.readFileSync(filepath);
+
+  console.log(`Converting PDF to ${format.toUpperCase()}: ${filepath}`);
+
+  const layout = await extractDocumentLayout(pdfBuffer, { includeImages: true });
+  // Chunked conversions name their assets after pages of the whole document
+  const structure = buildDocumentBlocks(layout.pages, { pageOffset: options.pageOffset });
+  const zipBuffer = await buildWebBundle(structure, format, { title: options.title });
+  fs.writeFileSync(outputPath, zipBuffer);
+
+  const countBlocks = (type) => structure.blocks.filter(block => block.type === type).length;
+  console.log(`${format.toUpperCase()} bundle created from ${layout.pages.length} page(s) with ${structure.assets.length} asset(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'zip',
+    originalSize: pdfBuffer.length,
+    resultSize: zipBuffer.length,
+    pageCount: layout.pages.length,
+    webFormat: format,
+    headingCount: countBlocks('heading'),
+    tableCount: countBlocks('table'),
+    imageCount: structure.assets.length
+  };
+};
+
 // Compress PDF
 const compressPdf = async (filepath, options = {}) => {
-  try {
-    const { tempDir } = ensureDirectoriesExist();
-    const outputId = uuidv4();
-    const outputPath = path.join(tempDir, `${outputId}.pdf`);
-    
-    // Read the PDF file
-    const pdfBytes = fs.readFileSync(filepath);
-    const pdfDoc = await PDFDocument.load(pdfBytes);
-    
-    // In a real implementation, you would apply various compression techniques:
-    // 1. Downsample images
-    // 2. Optimize content streams
-    // 3. Remove unnecessary metadata
-    // 4. Flatten annotations
-    
-    // For this demo, we'll simulate compression
-    const compressionLevel = options.compressionLevel || 'medium';
-    let compressionRatio;
-    
-    switch (compressionLevel) {
-      case 'low':
-        compressionRatio = 0.8; // 20% reduction
-        break;
-      case 'medium':
-        compressionRatio = 0.6; // 40% reduction
-        break;
-      case 'high':
-        compressionRatio = 0.3; // 70% reduction
-        break;
-      default:
-        compressionRatio = 0.6;
+  const { compressDocument, compressToTargetSize } = require('./pdfCompressor');
+
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const pdfBuffer = fs.readFileSync(filepath);
+  const originalSize = pdfBuffer.length;
+  const targetSizeBytes = options.targetSizeBytes ? Number(options.targetSizeBytes) : null;
+
+  if (targetSizeBytes !== null && !(targetSizeBytes > 0)) {
+    throw new Error(`Invalid target size: ${options.targetSizeBytes}`);
+  }
+
+  console.log(`Compressing PDF: ${filepath} (${targetSizeBytes ? `target: ${targetSizeBytes} bytes` : `level: ${options.compressionLevel || 'medium'}`})`);
+
+  const compressed = targetSizeBytes
+    ? await compressToTargetSize(pdfBuffer, targetSizeBytes, options)
+    : await compressDocument(pdfBuffer, options);
+
+  // Never hand back a file that grew; the original is already as small as we can make it
+  const unchanged = compressed.buffer.length >= originalSize;
+  fs.writeFileSync(outputPath, unchanged ? pdfBuffer : compressed.buffer);
+  const resultSize = fs.statSync(outputPath).size;
+
+  console.log(`PDF compressed from ${originalSize} to ${resultSize} bytes${unchanged ? ' (original kept)' : ''}: ${outputPath}`);
+
+  const result = {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize,
+    resultSize,
+    compressionRatio: originalSize > 0 ? 1 - resultSize / originalSize : 0,
+    compressionLevel: compressed.settings.compressionLevel,
+    settings: compressed.settings,
+    stats: compressed.stats,
+    warnings: compressed.warnings,
+    unchanged
+  };
+
+  if (targetSizeBytes) {
+    result.targetSizeBytes = targetSizeBytes;
+    result.targetMet = resultSize <= targetSizeBytes;
+    result.attempts = compressed.attempts;
+  }
+
+  return result;
+};
+
+// Merge PDFs
+const mergePdfs = async (inputs, options = {}) => {
+  const { mergeDocuments } = require('./pdfMerger');
+
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('No files to merge');
+  }
+
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const sources = inputs.map((input, index) => ({
+    buffer: fs.readFileSync(input.filepath),
+    pages: input.pages,
+    title: input.title || `Document ${index + 1}`
+  }));
+  const originalSize = sources.reduce((total, source) => total + source.buffer.length, 0);
+
+  console.log(`Merging ${sources.length} PDF(s) (bookmarks: ${options.bookmarks || 'preserve'})`);
+
+  const merged = await mergeDocuments(sources, {
+    bookmarks: options.bookmarks,
+    title: options.title,
+    onProgress: options.onProgress
+  });
+  fs.writeFileSync(outputPath, merged.buffer);
+
+  console.log(`Merged PDF created with ${merged.pageCount} page(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize,
+    resultSize: merged.buffer.length,
+    pageCount: merged.pageCount,
+    bookmarkCount: merged.bookmarkCount,
+    sources: merged.sources
+  };
+};
+
+// Split PDF into a ZIP of parts
+const splitPdf = async (filepath, options = {}) => {
+  const JSZip = require('jszip');
+  const { splitDocument, finishPart, validateSplitOptions } = require('./pdfSplitter');
+
+  const mode = validateSplitOptions(options);
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'zip');
+
+  console.log(`Splitting PDF: ${filepath} (mode: ${mode})`);
+
+  // Large inputs arrive already cut into the planned parts
+  let parts;
+  if (Array.isArray(options.parts)) {
+    parts = [];
+    for (const [index, part] of options.parts.entries()) {
+      parts.push({ ...part, buffer: await finishPart(part.buffer, part) });
+      if (options.onProgress) {
+        await options.onProgress(index + 1, options.parts.length);
+      }
     }
-    
-    // Save the PDF
-    const compressedBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, compressedBytes);
-    
-    // Simulate compression by calculating a smaller file size
-    const originalSize = fs.statSync(filepath).size;
-    const simulatedResultSize = Math.round(originalSize * compressionRatio);
-    
-    // In a real implementation, the actual result size would be used
+  } else {
+    ({ parts } = await splitDocument(pdfBuffer, options));
+  }
+
+  if (parts.length === 0) {
+    throw new Error('The split produced no parts');
+  }
+
+  const digits = String(parts.length).length;
+  const zip = new JSZip();
+  const manifest = parts.map((part, index) => {
+    const name = `part-${String(index + 1).padStart(digits, '0')}.pdf`;
+    zip.file(name, part.buffer);
     return {
-      outputPath,
-      outputFormat: 'pdf',
-      originalSize,
-      resultSize: simulatedResultSize,
-      compressionRatio: 1 - compressionRatio,
-      compressionLevel
+      name,
+      title: part.title || null,
+      pages: part.start === part.end ? `${part.start + 1}` : `${part.start + 1}-${part.end + 1}`,
+      startPage: part.start + 1,
+      endPage: part.end + 1,
+      pageCount: part.end - part.start + 1,
+      size: part.buffer.length,
+      oversized: !!part.oversized
     };
-  } catch (error) {
-    console.error('Error compressing PDF:', error);
-    throw error;
+  });
+
+  // PDF streams are compressed already
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+  fs.writeFileSync(outputPath, zipBuffer);
+
+  console.log(`Split PDF into ${parts.length} part(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'zip',
+    originalSize: pdfBuffer.length,
+    resultSize: zipBuffer.length,
+    partCount: parts.length,
+    manifest
+  };
+};
+
+// Encrypt PDF with passwords and permissions
+const protectPdf = async (filepath, options = {}) => {
+  const { encryptDocument } = require('./pdfSecurity');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+
+  // Never log the passwords themselves
+  console.log(`Protecting PDF: ${filepath} (${options.algorithm || 'aes-256'}, user password: ${options.userPassword ? 'yes' : 'no'})`);
+
+  const protectedPdf = await encryptDocument(pdfBuffer, {
+    userPassword: options.userPassword,
+    ownerPassword: options.ownerPassword,
+    algorithm: options.algorithm,
+    permissions: options.permissions
+  });
+  fs.writeFileSync(outputPath, protectedPdf.buffer);
+
+  console.log(`Protected PDF created: ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: protectedPdf.buffer.length,
+    algorithm: protectedPdf.algorithm,
+    permissions: protectedPdf.permissions
+  };
+};
+
+// Decrypt PDF with its user or owner password
+const unlockPdf = async (filepath, options = {}) => {
+  const { decryptDocument } = require('./pdfSecurity');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+
+  console.log(`Unlocking PDF: ${filepath}`);
+
+  const unlocked = await decryptDocument(pdfBuffer, options.password);
+  fs.writeFileSync(outputPath, unlocked.buffer);
+
+  console.log(`Unlocked PDF created: ${outputPath} (${unlocked.algorithm}, ${unlocked.passwordType} password)`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: unlocked.buffer.length,
+    algorithm: unlocked.algorithm,
+    passwordType: unlocked.passwordType
+  };
+};
+
+// Add a searchable text layer to scanned pages
+const ocrPdf = async (filepath, options = {}) => {
+  const { ocrDocument } = require('./pdfOcr');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+
+  console.log(`Running OCR on PDF: ${filepath} (${options.language || 'eng'})`);
+
+  const ocr = await ocrDocument(pdfBuffer, {
+    language: options.language,
+    pages: options.pages,
+    onProgress: options.onProgress
+  });
+  fs.writeFileSync(outputPath, ocr.buffer);
+
+  console.log(`Searchable PDF created: ${outputPath} (${ocr.recognizedPages.length} of ${ocr.pageCount} page(s) recognized)`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: ocr.buffer.length,
+    recognizedPages: ocr.recognizedPages,
+    skippedPages: ocr.skippedPages,
+    wordCount: ocr.wordCount,
+    confidence: ocr.confidence
+  };
+};
+
+// Convert an office document, text file or image to PDF
+const convertToPdf = async (filepath, options = {}) => {
+  const { createPdf } = require('./pdfCreator');
+
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const originalSize = fs.statSync(filepath).size;
+
+  console.log(`Converting ${options.sourceFormat} to PDF: ${filepath}`);
+
+  const created = await createPdf(filepath, options.sourceFormat);
+  fs.writeFileSync(outputPath, created.buffer);
+
+  console.log(`PDF created with the ${created.engine} renderer: ${outputPath} (${created.pageCount} page(s))`);
+  if (created.replacedCharacters) {
+    console.warn(`${created.replacedCharacters} character(s) could not be represented and were replaced`);
   }
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize,
+    resultSize: created.buffer.length,
+    pageCount: created.pageCount,
+    engine: created.engine,
+    replacedCharacters: created.replacedCharacters
+  };
+};
+
+// Assemble images into one PDF, one image per page
+const imagesToPdf = async (inputs, options = {}) => {
+  const { createPdfFromImages } = require('./pdfCreator');
+
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('No images to assemble');
+  }
+
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const buffers = inputs.map(input => fs.readFileSync(input.filepath));
+  const originalSize = buffers.reduce((total, buffer) => total + buffer.length, 0);
+
+  console.log(`Assembling ${buffers.length} image(s) into a PDF (page size: ${options.pageSize || 'a4'})`);
+
+  const created = await createPdfFromImages(buffers, {
+    pageSize: options.pageSize,
+    orientation: options.orientation,
+    margin: options.margin,
+    autoRotate: options.autoRotate,
+    onProgress: options.onProgress
+  });
+  fs.writeFileSync(outputPath, created.buffer);
+
+  console.log(`PDF assembled with ${created.pageCount} page(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize,
+    resultSize: created.buffer.length,
+    pageCount: created.pageCount
+  };
+};
+
+// Stamp text or an image on pages of a PDF
+const watermarkPdf = async (filepath, options = {}) => {
+  const { applyWatermark } = require('./pdfWatermark');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const settings = options.settings;
+
+  console.log(`Watermarking PDF: ${filepath} (${settings.type} stamp, ${settings.position}, ${settings.layer} content)`);
+
+  const stamped = await applyWatermark(pdfBuffer, settings, {
+    imageBuffer: options.imagePath ? fs.readFileSync(options.imagePath) : undefined,
+    onProgress: options.onProgress
+  });
+  fs.writeFileSync(outputPath, stamped.buffer);
+
+  console.log(`Watermarked PDF created: ${outputPath} (${stamped.stampedPages.length} of ${stamped.pageCount} page(s) stamped)`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: stamped.buffer.length,
+    pageCount: stamped.pageCount,
+    stampedPages: stamped.stampedPages
+  };
+};
+
+// Rebuild a PDF from a page plan: reorder, rotate, delete, duplicate and insert pages
+const organizePdf = async (filepath, options = {}) => {
+  const { organizeDocument } = require('./pdfOrganizer');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const files = {};
+  Object.entries(options.insertFiles || {}).forEach(([fileId, insertPath]) => {
+    files[fileId] = fs.readFileSync(insertPath);
+  });
+
+  console.log(`Organizing PDF: ${filepath} (${options.plan.length} plan entries, ${Object.keys(files).length} inserted file(s))`);
+
+  const organized = await organizeDocument(pdfBuffer, options.plan, {
+    files,
+    onProgress: options.onProgress
+  });
+  fs.writeFileSync(outputPath, organized.buffer);
+
+  console.log(`Organized PDF created: ${outputPath} (${organized.sourcePageCount} -> ${organized.pageCount} page(s))`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: organized.buffer.length,
+    pageCount: organized.pageCount,
+    bookmarkCount: organized.bookmarkCount
+  };
+};
+
+// Stamp headers, footers and Bates numbers on one or more PDFs
+const addHeaderFooter = async (inputs, options = {}) => {
+  const JSZip = require('jszip');
+  const { stampHeaderFooter } = require('./pdfHeaderFooter');
+
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('No documents to stamp');
+  }
+
+  const settings = options.settings;
+  const outputPath = resolveOutputPath(options, inputs.length > 1 ? 'zip' : 'pdf');
+
+  console.log(`Adding headers and footers to ${inputs.length} PDF(s) (Bates: ${settings.bates ? 'yes' : 'no'})`);
+
+  // Bates numbers run on from one document to the next
+  let batesNumber = settings.bates ? settings.bates.start : undefined;
+  let originalSize = 0;
+  const results = [];
+  for (const [index, input] of inputs.entries()) {
+    const pdfBuffer = fs.readFileSync(input.filepath);
+    originalSize += pdfBuffer.length;
+
+    const stamped = await stampHeaderFooter(pdfBuffer, settings, {
+      fileName: input.name,
+      batesStart: batesNumber
+    });
+    batesNumber = stamped.nextBates !== null ? stamped.nextBates : batesNumber;
+    results.push({ input, stamped });
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, inputs.length);
+    }
+  }
+
+  // Files of the archive keep their names, made unique where needed
+  const usedNames = new Set();
+  const manifest = results.map(({ input, stamped }, index) => {
+    const name = uniqueArchiveName(input.name || `document-${index + 1}.pdf`, usedNames);
+
+    return {
+      name,
+      title: input.name || null,
+      pages: `1-${stamped.pageCount}`,
+      startPage: 1,
+      endPage: stamped.pageCount,
+      pageCount: stamped.pageCount,
+      size: stamped.buffer.length,
+      oversized: false,
+      firstBates: stamped.firstBates,
+      lastBates: stamped.lastBates
+    };
+  });
+
+  let resultBuffer;
+  if (results.length === 1) {
+    resultBuffer = results[0].stamped.buffer;
+  } else {
+    const zip = new JSZip();
+    results.forEach(({ stamped }, index) => zip.file(manifest[index].name, stamped.buffer));
+    // PDF streams are compressed already
+    resultBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+  }
+  fs.writeFileSync(outputPath, resultBuffer);
+
+  console.log(`Headers and footers added: ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: results.length > 1 ? 'zip' : 'pdf',
+    originalSize,
+    resultSize: resultBuffer.length,
+    manifest,
+    nextBates: settings.bates ? batesNumber : null
+  };
+};
+
+// Write or strip the metadata of a PDF
+const editPdfMetadata = async (filepath, options = {}) => {
+  const { writeMetadata } = require('./pdfMetadata');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const settings = options.settings;
+
+  console.log(`Editing PDF metadata: ${filepath} (preset: ${settings.preset || 'none'}, fields: ${Object.keys(settings.fields).join(', ') || 'none'})`);
+
+  const edited = await writeMetadata(pdfBuffer, settings);
+  fs.writeFileSync(outputPath, edited.buffer);
+
+  console.log(`PDF metadata written: ${outputPath} (XMP ${edited.xmp})`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: edited.buffer.length,
+    info: edited.info,
+    removedKeys: edited.removedKeys,
+    xmp: edited.xmp
+  };
+};
+
+// Fill the form fields of a PDF, once or once per row of values
+const fillPdfForm = async (filepath, options = {}) => {
+  const JSZip = require('jszip');
+  const { fillForm } = require('./pdfForms');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const settings = options.settings;
+  const outputPath = resolveOutputPath(options, settings.batch ? 'zip' : 'pdf');
+  const ignoreNames = settings.fileNameField ? [settings.fileNameField] : [];
+
+  console.log(`Filling PDF form: ${filepath} (${settings.rows.length} row(s), flatten: ${settings.flatten})`);
+
+  const usedNames = new Set();
+  const zip = new JSZip();
+  const manifest = [];
+  let resultBuffer;
+  for (const [index, row] of settings.rows.entries()) {
+    let filled;
+    try {
+      filled = await fillForm(pdfBuffer, row, { flatten: settings.flatten, ignoreNames });
+    } catch (error) {
+      throw new Error(settings.batch ? `Row ${index + 1}: ${error.message}` : error.message);
+    }
+
+    if (settings.batch) {
+      const rowName = settings.fileNameField && row[settings.fileNameField];
+      const name = uniqueArchiveName(rowName ? String(rowName) : `filled-${index + 1}.pdf`, usedNames);
+      zip.file(name, filled.buffer);
+      manifest.push({
+        name,
+        title: rowName ? String(rowName) : null,
+        row: index + 1,
+        pages: `1-${filled.pageCount}`,
+        startPage: 1,
+        endPage: filled.pageCount,
+        pageCount: filled.pageCount,
+        size: filled.buffer.length,
+        oversized: false,
+        filledFields: filled.filledFields.length
+      });
+    } else {
+      resultBuffer = filled.buffer;
+    }
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, settings.rows.length);
+    }
+  }
+
+  if (settings.batch) {
+    // PDF streams are compressed already
+    resultBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+  }
+  fs.writeFileSync(outputPath, resultBuffer);
+
+  console.log(`PDF form filled: ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: settings.batch ? 'zip' : 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: resultBuffer.length,
+    manifest: settings.batch ? manifest : undefined
+  };
+};
+
+// Sign a PDF with the key and certificate of a PKCS#12 file
+const signPdfDocument = async (filepath, options = {}) => {
+  const { loadCertificate, signPdf } = require('./pdfSignature');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const settings = options.settings;
+
+  console.log(`Signing PDF: ${filepath} (${settings.visible ? `visible on page ${settings.appearance.page}` : 'invisible'})`);
+
+  const signer = await loadCertificate(options.certificate, options.password);
+  const signed = await signPdf(pdfBuffer, signer, settings, {
+    imageBuffer: options.imagePath ? fs.readFileSync(options.imagePath) : undefined
+  });
+  fs.writeFileSync(outputPath, signed.buffer);
+
+  console.log(`PDF signed: ${outputPath} (field ${signed.fieldName}, signer ${signed.signerName})`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: signed.buffer.length,
+    fieldName: signed.fieldName,
+    signerName: signed.signerName,
+    signingTime: signed.signingTime
+  };
+};
+
+// Remove text, image content and annotations matching search rules or inside rectangles
+const redactPdf = async (filepath, options = {}) => {
+  const { redactDocument } = require('./pdfRedactor');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const settings = options.settings;
+  const ruleCount = settings.terms.length + settings.regexes.length + settings.patterns.length;
+
+  console.log(`Redacting PDF: ${filepath} (${ruleCount} search rule(s), ${settings.areas.length} area(s))`);
+
+  const redacted = await redactDocument(pdfBuffer, settings, { onProgress: options.onProgress });
+  fs.writeFileSync(outputPath, redacted.buffer);
+
+  console.log(`Redacted PDF created: ${outputPath} (${redacted.totals.matches} match(es) on ${redacted.pages.length} page(s), ${redacted.document.matches} outside the pages)`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: redacted.buffer.length,
+    pageCount: redacted.pageCount,
+    redactedPages: redacted.pages,
+    totals: redacted.totals,
+    unmappedPages: redacted.unmappedPages,
+    document: redacted.document,
+    warnings: redacted.warnings
+  };
+};
+
+// Compare two versions of a PDF: a JSON diff report and a side-by-side PDF with highlights, as a ZIP
+const comparePdfs = async (originalPath, revisedPath, options = {}) => {
+  const JSZip = require('jszip');
+  const { compareDocuments } = require('./pdfCompare');
+
+  const originalBuffer = fs.readFileSync(originalPath);
+  const revisedBuffer = fs.readFileSync(revisedPath);
+  const outputPath = resolveOutputPath(options, 'zip');
+
+  console.log(`Comparing PDFs: ${originalPath} with ${revisedPath} (mode: ${options.settings.mode})`);
+
+  const { report, buffer } = await compareDocuments(originalBuffer, revisedBuffer, options.settings, {
+    onProgress: options.onProgress
+  });
+
+  const zip = new JSZip();
+  zip.file('comparison.pdf', buffer);
+  zip.file('comparison.json', JSON.stringify(report, null, 2));
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+  fs.writeFileSync(outputPath, zipBuffer);
+
+  console.log(`Comparison created: ${outputPath} (${report.summary.changedPages.length} changed page(s))`);
+
+  return {
+    outputPath,
+    outputFormat: 'zip',
+    originalSize: originalBuffer.length + revisedBuffer.length,
+    resultSize: zipBuffer.length,
+    report
+  };
+};
+
+// Extract the embedded images and file attachments of a PDF into a ZIP with a manifest
+const extractPdfResources = async (filepath, options = {}) => {
+  const JSZip = require('jszip');
+  const { extractResources } = require('./pdfExtractor');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'zip');
+  const settings = options.settings;
+
+  console.log(`Extracting from PDF: ${filepath} (images: ${settings.images}, attachments: ${settings.attachments})`);
+
+  const { files, manifest } = await extractResources(pdfBuffer, settings, { onProgress: options.onProgress });
+
+  // Images are compressed already, attachments can be anything
+  const zip = new JSZip();
+  files.forEach(({ name, data }) => zip.file(name, data, { compression: name.startsWith('images/') ? 'STORE' : 'DEFLATE' }));
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+  const zipBuffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  fs.writeFileSync(outputPath, zipBuffer);
+
+  console.log(`Extracted ${manifest.images.length} image(s) and ${manifest.attachments.length} attachment(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'zip',
+    originalSize: pdfBuffer.length,
+    resultSize: zipBuffer.length,
+    extracted: manifest
+  };
+};
+
+// Replace the bookmarks of a PDF, or build them from its headings
+const updatePdfOutline = async (filepath, options = {}) => {
+  const { updateOutline } = require('./pdfBookmarks');
+
+  const pdfBuffer = fs.readFileSync(filepath);
+  const outputPath = resolveOutputPath(options, 'pdf');
+  const settings = options.settings;
+
+  console.log(`Updating PDF outline: ${filepath} (mode: ${settings.mode}, table of contents: ${settings.insertToc})`);
+
+  const updated = await updateOutline(pdfBuffer, settings, { onProgress: options.onProgress });
+  fs.writeFileSync(outputPath, updated.buffer);
+
+  console.log(`PDF outline written with ${updated.bookmarkCount} bookmark(s): ${outputPath}`);
+
+  return {
+    outputPath,
+    outputFormat: 'pdf',
+    originalSize: pdfBuffer.length,
+    resultSize: updated.buffer.length,
+    bookmarkCount: updated.bookmarkCount,
+    levels: updated.levels,
+    tocPages: updated.tocPages
+  };
 };
 
 // Delete temporary file
@@ -1515,7 +2158,9 @@ const getFormatPrice = (format) => {
     'pptx': 1.99,
     'docx': 0.99,
     'jpg': 0.99,
-    'txt': 0.49
+    'txt': 0.49,
+    'html': 0.99,
+    'md': 0.99
   };
   
   return formatPrices[format] || 0.99;
@@ -1529,7 +2174,25 @@ module.exports = {
   convertPdfToPowerPoint,
   convertPdfToImage,
   convertPdfToText,
+  convertPdfToWeb,
   compressPdf,
+  mergePdfs,
+  splitPdf,
+  protectPdf,
+  unlockPdf,
+  ocrPdf,
+  convertToPdf,
+  imagesToPdf,
+  watermarkPdf,
+  organizePdf,
+  addHeaderFooter,
+  editPdfMetadata,
+  fillPdfForm,
+  signPdfDocument,
+  redactPdf,
+  comparePdfs,
+  extractPdfResources,
+  updatePdfOutline,
   deleteFile,
   getFileUrl,
   isPremiumFormat,
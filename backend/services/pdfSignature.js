@@ -0,0 +1,868 @@
+/**
+ * Digital signatures for PDFSpark
+ *
+ * Signs PDFs with the key and certificate of a PKCS#12 file and inspects
+ * the signatures a PDF already has. Signatures are detached CMS
+ * (ETSI.CAdES.detached, PAdES baseline B-B) appended as an incremental
+ * update, so that earlier signatures stay valid. The PKCS#12 file is
+ * unpacked by the OpenSSL command line tool; everything else uses Node's
+ * crypto module.
+ */
+
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const {
+  PDFAcroSignature,
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRef,
+  PDFString,
+  StandardFonts,
+  beginText,
+  concatTransformationMatrix,
+  drawObject,
+  endText,
+  moveText,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  setFontAndSize,
+  setLineWidth,
+  setStrokingRgbColor,
+  showText,
+  stroke
+} = require('pdf-lib');
+const asn1 = require('../utils/asn1');
+const { loadSourceDocument } = require('./pdfMerger');
+const { createWidgetLocator } = require('./pdfForms');
+const { readNumber, loadStampImage } = require('./pdfWatermark');
+
+// OpenSSL binary, "openssl" from the PATH unless configured
+const OPENSSL_BINARY = process.env.OPENSSL_PATH || 'openssl';
+const OPENSSL_TIMEOUT_MS = 15000;
+
+const MAX_TEXT_LENGTH = 200;
+// Room for the CMS structure besides the certificates
+const SIGNATURE_OVERHEAD_BYTES = 4096;
+
+// Replaced by the real byte range, padded to the same length, once the file is laid out
+const BYTE_RANGE_PLACEHOLDER = '/ByteRange [0 /********** /********** /**********]';
+
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsassaPss: '1.2.840.113549.1.1.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2'
+};
+
+// Digest algorithms of signatures we can check
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Sub-filters that carry a CMS signature over the byte range
+const CMS_SUB_FILTERS = ['adbe.pkcs7.detached', 'ETSI.CAdES.detached', 'adbe.pkcs7.sha1'];
+
+/**
+ * Check one line of text
+ */
+const readText = (value, label) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new Error(`${label} must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return text || null;
+};
+
+/**
+ * Check signing options and fill in the defaults
+ * @param {Object} options - { reason, location, contactInfo, name: signer name shown instead of the
+ *   certificate's, fieldName, visible, appearance: { page, x, y, width, height, imageFileId } }
+ * @returns {Object} - Normalised settings; appearance is null for invisible signatures
+ * @throws {Error} If an option is invalid
+ */
+const validateSignatureOptions = (options = {}) => {
+  const fieldName = readText(options.fieldName, 'Field name');
+  if (fieldName && fieldName.includes('.')) {
+    throw new Error('Field name must not contain periods');
+  }
+
+  const visible = options.visible === true || options.visible === 'true';
+  let appearance = null;
+  if (visible) {
+    const source = options.appearance || {};
+    appearance = {
+      page: readNumber(source.page, 1, 1, 100000, 'Signature page'),
+      x: readNumber(source.x, 36, 0, 14400, 'Signature x position'),
+      y: readNumber(source.y, 36, 0, 14400, 'Signature y position'),
+      width: readNumber(source.width, 200, 20, 14400, 'Signature width'),
+      height: readNumber(source.height, 60, 10, 14400, 'Signature height'),
+      imageFileId: source.imageFileId ? String(source.imageFileId) : null
+    };
+    if (!Number.isInteger(appearance.page)) {
+      throw new Error('Signature page must be a whole number');
+    }
+  }
+
+  return {
+    reason: readText(options.reason, 'Reason'),
+    location: readText(options.location, 'Location'),
+    contactInfo: readText(options.contactInfo, 'Contact info'),
+    name: readText(options.name, 'Signer name'),
+    fieldName,
+    visible,
+    appearance
+  };
+};
+
+/**
+ * Run the OpenSSL command line tool with input on stdin
+ */
+const runOpenssl = (args, input, env) => new Promise((resolve, reject) => {
+  const child = execFile(OPENSSL_BINARY, args, {
+    timeout: OPENSSL_TIMEOUT_MS,
+    killSignal: 'SIGKILL',
+    env: { ...process.env, ...env },
+    maxBuffer: 1024 * 1024
+  }, (error, stdout, stderr) => {
+    if (!error) {
+      return resolve(stdout);
+    }
+    if (error.code === 'ENOENT') {
+      return reject(new Error('OpenSSL is not installed, certificates cannot be read'));
+    }
+    if (error.killed) {
+      return reject(new Error('Reading the certificate took too long'));
+    }
+    error.stderr = stderr;
+    reject(error);
+  });
+  // OpenSSL may exit before reading everything, e.g. on a wrong password
+  child.stdin.on('error', () => {});
+  child.stdin.end(input);
+});
+
+/**
+ * Signer first, then its issuers as far as the given certificates go
+ * @param {X509Certificate} certificate - Signer certificate
+ * @param {Array<X509Certificate>} certificates - Candidates
+ * @returns {Array<X509Certificate>}
+ */
+const buildChain = (certificate, certificates) => {
+  const chain = [certificate];
+  let current = certificate;
+  while (!(current.checkIssued(current) && current.verify(current.publicKey))) {
+    const issuer = certificates.find(candidate => (
+      !chain.includes(candidate) && current.checkIssued(candidate) && current.verify(candidate.publicKey)
+    ));
+    if (!issuer) {
+      break;
+    }
+    chain.push(issuer);
+    current = issuer;
+  }
+  return chain;
+};
+
+/**
+ * Common name of a certificate subject
+ */
+const commonName = (certificate) => {
+  const match = certificate.subject.match(/(?:^|\n)CN=([^\n]*)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Describe a certificate for the API
+ */
+const describeCertificate = (certificate) => ({
+  subject: certificate.subject.replace(/\n/g, ', '),
+  issuer: certificate.issuer.replace(/\n/g, ', '),
+  commonName: commonName(certificate),
+  serialNumber: certificate.serialNumber,
+  validFrom: new Date(certificate.validFrom).toISOString(),
+  validTo: new Date(certificate.validTo).toISOString(),
+  fingerprint256: certificate.fingerprint256,
+  selfSigned: certificate.checkIssued(certificate)
+});
+
+/**
+ * Read the key and certificates of a PKCS#12 (.p12/.pfx) file
+ *
+ * OpenSSL 3 keeps the RC2 and 3DES ciphers of older exports in its legacy
+ * provider, so a file it cannot decrypt is read again with -legacy.
+ *
+ * @param {Buffer} p12 - PKCS#12 bytes
+ * @param {String} password - Password of the file
+ * @returns {Promise<Object>} - { privateKey, certificate, chain, signer: describeCertificate() }
+ * @throws {Error} If the password is wrong or the file has no usable key and certificate
+ */
+const loadCertificate = async (p12, password) => {
+  const args = ['pkcs12', '-nodes', '-passin', 'env:PDFSPARK_P12_PASSWORD'];
+  const env = { PDFSPARK_P12_PASSWORD: password || '' };
+
+  let output;
+  try {
+    try {
+      output = await runOpenssl(args, p12, env);
+    } catch (error) {
+      if (!/unsupported/i.test(error.stderr || '')) {
+        throw error;
+      }
+      output = await runOpenssl([...args, '-legacy'], p12, env);
+    }
+  } catch (error) {
+    if (/mac verify|invalid password/i.test(error.stderr || '')) {
+      throw new Error('The certificate password is incorrect');
+    }
+    if (error.stderr !== undefined) {
+      throw new Error('The certificate could not be read as a PKCS#12 (.p12 or .pfx) file');
+    }
+    throw error;
+  }
+
+  const keyPem = output.match(/-----BEGIN (RSA |EC )?PRIVATE KEY-----[\s\S]+?-----END \1?PRIVATE KEY-----/);
+  if (!keyPem) {
+    throw new Error('The certificate file contains no private key');
+  }
+  const privateKey = crypto.createPrivateKey(keyPem[0]);
+  if (!['rsa', 'ec'].includes(privateKey.asymmetricKeyType)) {
+    throw new Error(`Signing with ${privateKey.asymmetricKeyType} keys is not supported, use an RSA or EC certificate`);
+  }
+
+  const certificates = (output.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+    .map(pem => new crypto.X509Certificate(pem));
+  const certificate = certificates.find(candidate => candidate.checkPrivateKey(privateKey));
+  if (!certificate) {
+    throw new Error('The certificate file has no certificate for its private key');
+  }
+
+  return {
+    privateKey,
+    certificate,
+    chain: buildChain(certificate, certificates),
+    signer: describeCertificate(certificate)
+  };
+};
+
+/**
+ * Issuer name and serial number of a certificate, as DER elements
+ */
+const readCertificateId = (der) => {
+  const tbs = asn1.decode(der).children[0];
+  // The version is an optional [0] before the serial number
+  const fields = tbs.children[0].tag === 0xa0 ? tbs.children.slice(1) : tbs.children;
+  return { serial: fields[0].raw, issuer: fields[2].raw };
+};
+
+/**
+ * Build the CMS SignedData of a detached signature
+ * @param {Buffer} documentDigest - SHA-256 of the signed byte ranges
+ * @param {Object} signer - Output of loadCertificate
+ * @returns {Buffer} - DER ContentInfo
+ */
+const createCms = (documentDigest, signer) => {
+  const { privateKey, certificate, chain } = signer;
+  const sha256 = asn1.sequence(asn1.oid(OIDS.sha256), asn1.nullValue());
+  const attribute = (type, value) => asn1.sequence(asn1.oid(type), asn1.set(value));
+
+  // No signing time attribute: PAdES takes the time from the signature dictionary
+  const certificateHash = crypto.createHash('sha256').update(certificate.raw).digest();
+  const signedAttributes = asn1.set(
+    attribute(OIDS.contentType, asn1.oid(OIDS.data)),
+    attribute(OIDS.messageDigest, asn1.octetString(documentDigest)),
+    attribute(OIDS.signingCertificateV2, asn1.sequence(asn1.sequence(asn1.sequence(asn1.octetString(certificateHash)))))
+  );
+  // The attributes are signed as a SET and stored as [0] IMPLICIT
+  const signature = crypto.sign('sha256', signedAttributes, privateKey);
+
+  const { issuer, serial } = readCertificateId(certificate.raw);
+  const signerInfo = asn1.sequence(
+    asn1.integer(1),
+    asn1.sequence(issuer, serial),
+    sha256,
+    asn1.encode(0xa0, asn1.decode(signedAttributes).contents),
+    privateKey.asymmetricKeyType === 'ec'
+      ? asn1.sequence(asn1.oid(OIDS.ecdsaWithSha256))
+      : asn1.sequence(asn1.oid(OIDS.rsaEncryption), asn1.nullValue()),
+    asn1.octetString(signature)
+  );
+
+  const signedData = asn1.sequence(
+    asn1.integer(1),
+    asn1.set(sha256),
+    asn1.sequence(asn1.oid(OIDS.data)),
+    asn1.contextTag(0, ...chain.map(member => member.raw)),
+    asn1.set(signerInfo)
+  );
+  return asn1.sequence(asn1.oid(OIDS.signedData), asn1.contextTag(0, signedData));
+};
+
+/**
+ * Draw the visible appearance: optional image on the left, text lines on the right
+ * @returns {Promise<PDFRef>} - Form XObject
+ */
+const createAppearance = async (pdfDoc, appearance, lines, imageBuffer) => {
+  const { width, height } = appearance;
+  const padding = 4;
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  await font.embed();
+
+  const resources = { Font: { F1: font.ref } };
+  const operators = [
+    pushGraphicsState(),
+    setStrokingRgbColor(0.2, 0.2, 0.5),
+    setLineWidth(0.75),
+    rectangle(0.375, 0.375, width - 0.75, height - 0.75),
+    stroke(),
+    popGraphicsState()
+  ];
+
+  let textLeft = padding;
+  if (imageBuffer) {
+    const image = await loadStampImage(pdfDoc, imageBuffer);
+    await image.embed();
+    // The image takes at most 40 % of the box
+    const scale = Math.min((width * 0.4 - padding * 2) / image.width, (height - padding * 2) / image.height);
+    const imageWidth = image.width * scale;
+    const imageHeight = image.height * scale;
+    operators.push(
+      pushGraphicsState(),
+      concatTransformationMatrix(imageWidth, 0, 0, imageHeight, padding, (height - imageHeight) / 2),
+      drawObject('Im1'),
+      popGraphicsState()
+    );
+    resources.XObject = { Im1: image.ref };
+    textLeft = imageWidth + padding * 2;
+  }
+
+  // Standard fonts only cover WinAnsi, anything else prints as '?'
+  const supported = new Set(font.getCharacterSet());
+  const texts = lines.map(line => Array.from(line).map(char => (supported.has(char.codePointAt(0)) ? char : '?')).join(''));
+
+  // Largest size up to 10 points at which every line fits
+  const widest = Math.max(...texts.map(text => font.widthOfTextAtSize(text, 1)));
+  const fontSize = Math.max(2, Math.min(
+    10,
+    (height - padding * 2) / (texts.length * 1.2),
+    (width - textLeft - padding) / widest
+  ));
+  texts.forEach((text, index) => {
+    operators.push(
+      beginText(),
+      setFontAndSize('F1', fontSize),
+      moveText(textLeft, height - padding - fontSize * (1.2 * index + 1)),
+      showText(font.encodeText(text)),
+      endText()
+    );
+  });
+
+  return pdfDoc.context.register(pdfDoc.context.formXObject(operators, {
+    BBox: [0, 0, width, height],
+    Resources: resources
+  }));
+};
+
+/**
+ * Serialise one indirect object
+ */
+const writeObject = (ref, object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return Buffer.concat([
+    Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`, 'latin1'),
+    Buffer.from(bytes),
+    Buffer.from('\nendobj\n', 'latin1')
+  ]);
+};
+
+/**
+ * Sign a PDF
+ *
+ * The signature field, its widget and the signature dictionary are
+ * appended to the unchanged original bytes together with the objects
+ * they modify (page, AcroForm), a new cross-reference section and a
+ * trailer pointing back at the previous one.
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} signer - Output of loadCertificate
+ * @param {Object} settings - Output of validateSignatureOptions
+ * @param {Object} options - { imageBuffer for the appearance, signingTime (default now) }
+ * @returns {Promise<Object>} - { buffer, fieldName, signerName, signingTime, byteRange }
+ * @throws {Error} If the document cannot take the signature
+ */
+const signPdf = async (buffer, signer, settings, options = {}) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const { context } = pdfDoc;
+  const firstNewObject = context.largestObjectNumber + 1;
+  const signingTime = options.signingTime || new Date();
+  const signerName = settings.name || commonName(signer.certificate) || 'Unknown signer';
+
+  const tail = buffer.toString('latin1', Math.max(0, buffer.length - 4096));
+  const startXref = tail.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+  if (!startXref) {
+    throw new Error('The document does not end with a cross-reference section, save it again before signing');
+  }
+
+  const acroForm = pdfDoc.catalog.getAcroForm();
+  const fieldNames = new Set(acroForm ? acroForm.getAllFields().map(([field]) => field.getFullyQualifiedName()) : []);
+  let fieldName = settings.fieldName;
+  if (fieldName && fieldNames.has(fieldName)) {
+    throw new Error(`The document already has a field named ${fieldName}`);
+  }
+  for (let number = 1; !fieldName; number += 1) {
+    fieldName = fieldNames.has(`Signature${number}`) ? null : `Signature${number}`;
+  }
+
+  const { appearance } = settings;
+  if (appearance && appearance.page > pdfDoc.getPageCount()) {
+    throw new Error(`The document has no page ${appearance.page}`);
+  }
+  const page = pdfDoc.getPage(appearance ? appearance.page - 1 : 0);
+
+  // Existing objects that change are written again in the update
+  const changed = new Map();
+  const markChanged = (ref) => changed.set(ref.objectNumber, ref);
+
+  const sigRef = context.nextRef();
+  const widget = context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFHexString.fromText(fieldName),
+    V: sigRef,
+    // Print, locked
+    F: 132,
+    P: page.ref,
+    Rect: appearance
+      ? [appearance.x, appearance.y, appearance.x + appearance.width, appearance.y + appearance.height]
+      : [0, 0, 0, 0]
+  });
+  if (appearance) {
+    const lines = [
+      `Digitally signed by ${signerName}`,
+      `Date: ${signingTime.toISOString().slice(0, 19).replace('T', ' ')} UTC`,
+      settings.reason ? `Reason: ${settings.reason}` : null,
+      settings.location ? `Location: ${settings.location}` : null
+    ].filter(Boolean);
+    const appearanceRef = await createAppearance(pdfDoc, appearance, lines, options.imageBuffer);
+    widget.set(PDFName.of('AP'), context.obj({ N: appearanceRef }));
+  }
+  const widgetRef = context.register(widget);
+
+  // Arrays are updated where they live: in their own object or in their dictionary
+  const annots = page.node.get(PDFName.of('Annots'));
+  if (annots instanceof PDFRef) {
+    context.lookup(annots, PDFArray).push(widgetRef);
+    markChanged(annots);
+  } else {
+    if (annots instanceof PDFArray) {
+      annots.push(widgetRef);
+    } else {
+      page.node.set(PDFName.of('Annots'), context.obj([widgetRef]));
+    }
+    markChanged(page.ref);
+  }
+
+  let acroFormRef = pdfDoc.catalog.get(PDFName.of('AcroForm'));
+  let acroFormDict;
+  if (acroFormRef instanceof PDFRef) {
+    acroFormDict = context.lookup(acroFormRef, PDFDict);
+    markChanged(acroFormRef);
+  } else {
+    // A new or inline AcroForm becomes an object of its own
+    acroFormDict = acroFormRef instanceof PDFDict ? acroFormRef : context.obj({});
+    acroFormRef = context.register(acroFormDict);
+    pdfDoc.catalog.set(PDFName.of('AcroForm'), acroFormRef);
+    markChanged(context.trailerInfo.Root);
+  }
+  const fields = acroFormDict.get(PDFName.of('Fields'));
+  if (fields instanceof PDFRef) {
+    context.lookup(fields, PDFArray).push(widgetRef);
+    markChanged(fields);
+  } else if (fields instanceof PDFArray) {
+    fields.push(widgetRef);
+  } else {
+    acroFormDict.set(PDFName.of('Fields'), context.obj([widgetRef]));
+  }
+  // SignaturesExist, AppendOnly
+  acroFormDict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const contentsSize = signer.chain.reduce((size, member) => size + member.raw.length, SIGNATURE_OVERHEAD_BYTES);
+  const sigDict = [
+    '<<',
+    '/Type /Sig',
+    '/Filter /Adobe.PPKLite',
+    '/SubFilter /ETSI.CAdES.detached',
+    BYTE_RANGE_PLACEHOLDER,
+    `/Contents <${'0'.repeat(contentsSize * 2)}>`,
+    `/M ${PDFString.fromDate(signingTime)}`,
+    `/Name ${PDFHexString.fromText(signerName)}`,
+    settings.reason ? `/Reason ${PDFHexString.fromText(settings.reason)}` : null,
+    settings.location ? `/Location ${PDFHexString.fromText(settings.location)}` : null,
+    settings.contactInfo ? `/ContactInfo ${PDFHexString.fromText(settings.contactInfo)}` : null,
+    '>>'
+  ].filter(Boolean).join('\n');
+
+  // New objects (signature, widget, appearance, fonts, images) and changed ones, by number
+  const objects = new Map(changed);
+  context.enumerateIndirectObjects()
+    .filter(([ref]) => ref.objectNumber >= firstNewObject)
+    .forEach(([ref]) => objects.set(ref.objectNumber, ref));
+  objects.set(sigRef.objectNumber, sigRef);
+  const numbers = [...objects.keys()].sort((a, b) => a - b);
+
+  const separator = /[\r\n]$/.test(tail) ? '' : '\n';
+  let position = buffer.length + separator.length;
+  const parts = [Buffer.from(separator, 'latin1')];
+  const offsets = new Map();
+  let contentsStart;
+  numbers.forEach(number => {
+    const ref = objects.get(number);
+    offsets.set(number, { offset: position, generation: ref.generationNumber });
+    let bytes;
+    if (ref === sigRef) {
+      const header = `${number} 0 obj\n`;
+      contentsStart = position + header.length + sigDict.indexOf('<', sigDict.indexOf('/Contents'));
+      bytes = Buffer.from(`${header}${sigDict}\nendobj\n`, 'latin1');
+    } else {
+      bytes = writeObject(ref, context.lookup(ref));
+    }
+    parts.push(bytes);
+    position += bytes.length;
+  });
+
+  // Cross-reference section: one subsection per run of consecutive numbers
+  const xrefLines = ['xref'];
+  numbers.forEach((number, index) => {
+    if (index === 0 || numbers[index - 1] !== number - 1) {
+      let count = 1;
+      while (numbers[index + count] === number + count) {
+        count += 1;
+      }
+      xrefLines.push(`${number} ${count}`);
+    }
+    const { offset, generation } = offsets.get(number);
+    // Entries are exactly 20 bytes, the line break included
+    xrefLines.push(`${String(offset).padStart(10, '0')} ${String(generation).padStart(5, '0')} n\r`);
+  });
+
+  const { Root, Info, ID } = context.trailerInfo;
+  const trailer = [
+    'trailer',
+    '<<',
+    `/Size ${context.largestObjectNumber + 1}`,
+    `/Root ${Root}`,
+    Info ? `/Info ${Info}` : null,
+    ID ? `/ID ${ID}` : null,
+    `/Prev ${startXref[1]}`,
+    '>>',
+    'startxref',
+    String(position),
+    '%%EOF',
+    ''
+  ].filter(line => line !== null).join('\n');
+
+  const signed = Buffer.concat([buffer, ...parts, Buffer.from(`${xrefLines.join('\n')}\n${trailer}`, 'latin1')]);
+
+  // Everything but the <...> of /Contents is signed
+  const contentsEnd = contentsStart + contentsSize * 2 + 2;
+  const byteRange = [0, contentsStart, contentsEnd, signed.length - contentsEnd];
+  signed.write(
+    `/ByteRange [${byteRange.join(' ')}]`.padEnd(BYTE_RANGE_PLACEHOLDER.length, ' '),
+    signed.indexOf(BYTE_RANGE_PLACEHOLDER, buffer.length, 'latin1'),
+    'latin1'
+  );
+
+  const digest = crypto.createHash('sha256')
+    .update(signed.subarray(0, contentsStart))
+    .update(signed.subarray(contentsEnd))
+    .digest();
+  const cms = createCms(digest, signer);
+  if (cms.length > contentsSize) {
+    throw new Error('The signature does not fit the space reserved for it');
+  }
+  signed.write(cms.toString('hex'), contentsStart + 1, 'latin1');
+
+  return {
+    buffer: signed,
+    fieldName,
+    signerName,
+    signingTime: signingTime.toISOString(),
+    byteRange
+  };
+};
+
+/**
+ * Read the attributes of a SignerInfo attribute set: OID => first value
+ */
+const readAttributes = (node) => {
+  const attributes = new Map();
+  (node ? node.children : []).forEach(attribute => {
+    attributes.set(asn1.decodeOid(attribute.children[0]), attribute.children[1].children[0]);
+  });
+  return attributes;
+};
+
+/**
+ * Check the CMS signature of one signature dictionary
+ * @returns {Object} - integrity ('valid'|'invalid'|'unsupported'), problem, certificates, signer
+ *   certificate, signing time from the CMS
+ */
+const verifyCms = (cms, subFilter, signedRanges) => {
+  const contentInfo = asn1.decode(cms);
+  if (asn1.decodeOid(contentInfo.children[0]) !== OIDS.signedData) {
+    return { integrity: 'unsupported', problem: 'The signature is not CMS signed data', certificates: [] };
+  }
+  const parts = contentInfo.children[1].children[0].children;
+  const encapsulated = parts[2];
+  const certificateSet = parts.find(part => part.tag === 0xa0);
+  const signerInfo = parts[parts.length - 1].children[0];
+
+  const certificates = (certificateSet ? certificateSet.children : []).map(certificate => {
+    try {
+      return new crypto.X509Certificate(certificate.raw);
+    } catch (error) {
+      // Attribute certificates and the like
+      return null;
+    }
+  }).filter(Boolean);
+
+  const [, sid, digestAlgorithm, ...rest] = signerInfo.children;
+  const signedAttributes = rest[0].tag === 0xa0 ? rest.shift() : null;
+  const [signatureAlgorithm, signatureValue, unsignedAttributes] = rest;
+  const signedValues = readAttributes(signedAttributes);
+  const unsignedValues = readAttributes(unsignedAttributes);
+
+  let timestamp = null;
+  const token = unsignedValues.get(OIDS.timeStampToken);
+  if (token) {
+    try {
+      // TimeStampToken: SignedData over a TSTInfo whose fifth element is genTime
+      const tstInfo = asn1.decode(token.children[1].children[0].children[2].children[1].children[0].contents);
+      timestamp = asn1.decodeTime(tstInfo.children[4]);
+    } catch (error) {
+      timestamp = null;
+    }
+  }
+  const signingTimeValue = signedValues.get(OIDS.signingTime);
+  const result = {
+    certificates,
+    timestamp,
+    signerTime: signingTimeValue ? asn1.decodeTime(signingTimeValue) : null
+  };
+
+  const digestName = DIGEST_ALGORITHMS[asn1.decodeOid(digestAlgorithm.children[0])];
+  if (!digestName) {
+    return { ...result, integrity: 'unsupported', problem: 'The signature uses an unsupported digest algorithm' };
+  }
+  const hash = (chunks) => chunks.reduce((hasher, chunk) => hasher.update(chunk), crypto.createHash(digestName)).digest();
+
+  // adbe.pkcs7.sha1 signs a SHA-1 digest of the ranges carried inside the CMS
+  let content = signedRanges;
+  if (subFilter === 'adbe.pkcs7.sha1') {
+    const eContent = encapsulated.children[1] && encapsulated.children[1].children[0].contents;
+    if (!eContent || !eContent.equals(crypto.createHash('sha1').update(Buffer.concat(signedRanges)).digest())) {
+      return { ...result, integrity: 'invalid', problem: 'The document digest does not match' };
+    }
+    content = [eContent];
+  }
+
+  let signedBytes = Buffer.concat(content);
+  if (signedAttributes) {
+    const messageDigest = signedValues.get(OIDS.messageDigest);
+    if (!messageDigest || !messageDigest.contents.equals(hash(content))) {
+      return { ...result, integrity: 'invalid', problem: 'The document was changed after it was signed' };
+    }
+    // Signed as a SET, stored as [0] IMPLICIT
+    signedBytes = Buffer.concat([Buffer.from([asn1.TAGS.SET]), signedAttributes.raw.subarray(1)]);
+  }
+
+  const pss = asn1.decodeOid(signatureAlgorithm.children[0]) === OIDS.rsassaPss;
+  const verifies = (certificate) => {
+    try {
+      const key = pss
+        ? { key: certificate.publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_AUTO }
+        : certificate.publicKey;
+      return crypto.verify(digestName, signedBytes, key, signatureValue.contents);
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Signer by issuer and serial number, or by the key that verifies (subjectKeyIdentifier)
+  let signerCertificate = sid.tag === asn1.TAGS.SEQUENCE
+    ? certificates.find(certificate => {
+      const id = readCertificateId(certificate.raw);
+      return id.issuer.equals(sid.children[0].raw) && id.serial.equals(sid.children[1].raw);
+    })
+    : null;
+  if (!signerCertificate) {
+    signerCertificate = certificates.find(verifies);
+  }
+  if (!signerCertificate) {
+    return { ...result, integrity: 'invalid', problem: 'The signer certificate is missing from the signature' };
+  }
+  if (!verifies(signerCertificate)) {
+    return { ...result, signerCertificate, integrity: 'invalid', problem: 'The signature value does not match the signer certificate' };
+  }
+  return { ...result, signerCertificate, integrity: 'valid', problem: null };
+};
+
+/**
+ * Inspect one signature dictionary
+ */
+const inspectSignatureValue = (buffer, sigDict) => {
+  const text = (key) => {
+    const value = sigDict.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString || value instanceof PDFName ? value.decodeText() : null;
+  };
+  let pdfTime = null;
+  const time = sigDict.lookup(PDFName.of('M'));
+  if (time instanceof PDFString || time instanceof PDFHexString) {
+    try {
+      pdfTime = time.decodeDate();
+    } catch (error) {
+      pdfTime = null;
+    }
+  }
+
+  const subFilter = text('SubFilter');
+  const byteRangeArray = sigDict.lookup(PDFName.of('ByteRange'));
+  const byteRange = byteRangeArray instanceof PDFArray
+    ? byteRangeArray.asArray().map(value => (value instanceof PDFNumber ? value.asNumber() : NaN))
+    : [];
+
+  const report = {
+    subFilter,
+    signerName: text('Name'),
+    reason: text('Reason'),
+    location: text('Location'),
+    contactInfo: text('ContactInfo'),
+    byteRange,
+    signedBytes: null,
+    coversWholeDocument: false,
+    modifiedAfterSigning: null,
+    integrity: 'invalid',
+    problem: null,
+    certificates: [],
+    chainComplete: false,
+    signingTime: pdfTime ? pdfTime.toISOString() : null,
+    signingTimeSource: pdfTime ? 'pdf' : null,
+    certificateValidAtSigning: null
+  };
+
+  // [0, start of <contents>, end of <contents>, rest of the signed revision]
+  const [first, gapStart, gapEnd, lastLength] = byteRange;
+  const rangeValid = byteRange.length === 4 && byteRange.every(Number.isInteger) && first === 0 &&
+    gapStart < gapEnd && gapEnd + lastLength <= buffer.length &&
+    buffer[gapStart] === 0x3c && buffer[gapEnd - 1] === 0x3e;
+  if (!rangeValid) {
+    return { ...report, problem: 'The byte range of the signature does not match the file' };
+  }
+
+  report.signedBytes = gapEnd + lastLength;
+  report.coversWholeDocument = report.signedBytes === buffer.length;
+  // Anything but white space after the signed revision is a later change
+  report.modifiedAfterSigning = /\S/.test(buffer.toString('latin1', report.signedBytes));
+
+  if (!CMS_SUB_FILTERS.includes(subFilter)) {
+    return { ...report, integrity: 'unsupported', problem: `Signatures of type ${subFilter} cannot be checked` };
+  }
+
+  let checked;
+  try {
+    const cms = Buffer.from(buffer.toString('latin1', gapStart + 1, gapEnd - 1), 'hex');
+    checked = verifyCms(cms, subFilter, [buffer.subarray(0, gapStart), buffer.subarray(gapEnd, gapEnd + lastLength)]);
+  } catch (error) {
+    return { ...report, problem: `The signature could not be read: ${error.message}` };
+  }
+
+  const { signerCertificate, certificates, timestamp, signerTime } = checked;
+  const chain = signerCertificate ? buildChain(signerCertificate, certificates) : certificates;
+  const root = chain[chain.length - 1];
+  const signingTime = timestamp || signerTime || pdfTime;
+
+  return {
+    ...report,
+    integrity: checked.integrity,
+    problem: checked.problem,
+    signerName: report.signerName || (signerCertificate ? commonName(signerCertificate) : null),
+    certificates: chain.map(describeCertificate),
+    // Ends at a self-signed root; whether that root is trusted is up to the reader
+    chainComplete: Boolean(signerCertificate && root && root.checkIssued(root) && root.verify(root.publicKey)),
+    signingTime: signingTime ? signingTime.toISOString() : null,
+    signingTimeSource: (timestamp && 'timestamp') || (signerTime && 'signer') || (pdfTime && 'pdf') || null,
+    certificateValidAtSigning: signerCertificate && signingTime
+      ? signingTime >= new Date(signerCertificate.validFrom) && signingTime <= new Date(signerCertificate.validTo)
+      : null
+  };
+};
+
+/**
+ * List the signature fields of a PDF and check their signatures
+ *
+ * A valid integrity means the signed bytes are unchanged and were signed by
+ * the key of the listed certificate; no trust store is consulted.
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<Object>} - { signatures: [{ fieldName, page, rect, visible, signed, ...details }],
+ *   signedCount, fileSize }
+ */
+const inspectSignatures = async (buffer) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const acroForm = pdfDoc.catalog.getAcroForm();
+  const locateWidget = createWidgetLocator(pdfDoc);
+
+  const fields = acroForm
+    ? acroForm.getAllFields().filter(([field]) => field instanceof PDFAcroSignature)
+    : [];
+  const signatures = fields.map(([field]) => {
+    const widgets = field.getWidgets().map(locateWidget);
+    const value = field.dict.lookup(PDFName.of('V'));
+    const entry = {
+      fieldName: field.getFullyQualifiedName(),
+      page: widgets.length > 0 ? widgets[0].page : null,
+      rect: widgets.length > 0 ? { x: widgets[0].x, y: widgets[0].y, width: widgets[0].width, height: widgets[0].height } : null,
+      visible: widgets.some(widget => widget.width > 0 && widget.height > 0),
+      signed: value instanceof PDFDict
+    };
+    return entry.signed ? { ...entry, ...inspectSignatureValue(buffer, value) } : entry;
+  });
+
+  // Signatures whose revision ends later were added after this one
+  signatures.forEach(signature => {
+    if (signature.signed && signature.signedBytes !== null) {
+      signature.laterSignatures = signatures.filter(other => other.signedBytes > signature.signedBytes).length;
+    }
+  });
+
+  return {
+    signatures,
+    signedCount: signatures.filter(signature => signature.signed).length,
+    fileSize: buffer.length
+  };
+};
+
+module.exports = {
+  validateSignatureOptions,
+  loadCertificate,
+  signPdf,
+  inspectSignatures
+};
@@ -0,0 +1,248 @@
+/**
+ * PDF splitting for PDFSpark
+ *
+ * Cuts a document into parts of consecutive pages: by explicit ranges, every
+ * N pages, at top-level bookmarks or by maximum part size. Links between
+ * pages of the same part keep working and each part gets the bookmarks that
+ * point into it.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { parsePageRanges } = require('../utils/pageRanges');
+const { readOutline, writeOutline, remapOutline } = require('./pdfOutline');
+const { loadSourceDocument, copyPagesWithLinks } = require('./pdfMerger');
+
+// How the parts of a split are chosen
+const SPLIT_MODES = ['ranges', 'every', 'bookmarks', 'size'];
+
+/**
+ * Check split options before any work is done
+ * @param {Object} options - { mode, ranges, everyPages, maxSizeBytes }
+ * @throws {Error} If the mode or its setting is missing or invalid
+ */
+const validateSplitOptions = (options = {}) => {
+  const mode = options.mode || 'ranges';
+  if (!SPLIT_MODES.includes(mode)) {
+    throw new Error(`Unsupported split mode: ${mode}`);
+  }
+
+  if (mode === 'ranges') {
+    if (options.ranges === undefined || options.ranges === null || String(options.ranges).trim() === '') {
+      throw new Error('Page ranges are required to split by ranges');
+    }
+    // The page count is only known once the document is loaded
+    parsePageRanges(options.ranges, Number.MAX_SAFE_INTEGER);
+  }
+  if (mode === 'every' && !(Number.isInteger(Number(options.everyPages)) && Number(options.everyPages) >= 1)) {
+    throw new Error(`Invalid page count per part: ${options.everyPages}`);
+  }
+  if (mode === 'size' && !(Number(options.maxSizeBytes) > 0)) {
+    throw new Error(`Invalid maximum part size: ${options.maxSizeBytes}`);
+  }
+
+  return mode;
+};
+
+/**
+ * Get the bookmarks of a page range, re-numbered from the first page of the range
+ * @param {Array<Object>} outline - Outline of the whole document (see pdfOutline.readOutline)
+ * @param {Number} start - First page index of the range
+ * @param {Number} end - Last page index of the range
+ * @returns {Array<Object>}
+ */
+const getPartOutline = (outline, start, end) => remapOutline(
+  outline,
+  (pageIndex) => (pageIndex >= start && pageIndex <= end ? pageIndex - start : undefined),
+  { prune: true }
+);
+
+/**
+ * Build one part from the source document
+ * @param {PDFDocument} source - Loaded source (its link annotations are modified)
+ * @param {Object} part - { start, end, title, outline }, 0-based inclusive page indices
+ * @returns {Promise<Buffer>}
+ */
+const buildPart = async (source, part) => {
+  const partDoc = await PDFDocument.create({ updateMetadata: false });
+  const pageIndices = [];
+  for (let pageIndex = part.start; pageIndex <= part.end; pageIndex++) {
+    pageIndices.push(pageIndex);
+  }
+
+  await copyPagesWithLinks(partDoc, source, pageIndices);
+  writeOutline(partDoc, part.outline || []);
+  if (part.title) {
+    partDoc.setTitle(part.title);
+  }
+
+  return Buffer.from(await partDoc.save({ useObjectStreams: true, addDefaultPage: false }));
+};
+
+/**
+ * Add bookmarks and title to a part that was cut out by another tool
+ * (ChunkedPdfProcessor.splitIntoChunks copies pages only)
+ * @param {Buffer} buffer - Part PDF
+ * @param {Object} part - Planned part, see planSplit
+ * @returns {Promise<Buffer>}
+ */
+const finishPart = async (buffer, part) => {
+  if ((!part.outline || part.outline.length === 0) && !part.title) {
+    return buffer;
+  }
+
+  const partDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+  writeOutline(partDoc, part.outline || []);
+  if (part.title) {
+    partDoc.setTitle(part.title);
+  }
+  return Buffer.from(await partDoc.save({ useObjectStreams: true, addDefaultPage: false }));
+};
+
+/**
+ * Cut pages into parts no larger than maxSizeBytes
+ *
+ * Sizes are measured by building the candidate part, since fonts and images
+ * shared between pages are only stored once per part. The longest fitting
+ * run is found by doubling and then bisecting its length. A page that does
+ * not fit on its own becomes a part by itself.
+ */
+const planPartsBySize = async (source, outline, maxSizeBytes) => {
+  const pageCount = source.getPageCount();
+  const measure = async (start, end) => (await buildPart(source, {
+    start,
+    end,
+    outline: getPartOutline(outline, start, end)
+  })).length;
+
+  const parts = [];
+  let start = 0;
+
+  while (start < pageCount) {
+    if (await measure(start, start) > maxSizeBytes) {
+      parts.push({ start, end: start, oversized: true });
+      start += 1;
+      continue;
+    }
+
+    // fits: longest known length that fits, tooLong: shortest known length that does not
+    let fits = 1;
+    let tooLong = null;
+    while (tooLong === null && start + fits < pageCount) {
+      const length = Math.min(fits * 2, pageCount - start);
+      if (await measure(start, start + length - 1) <= maxSizeBytes) {
+        fits = length;
+      } else {
+        tooLong = length;
+      }
+    }
+
+    while (tooLong !== null && tooLong - fits > 1) {
+      const length = Math.floor((fits + tooLong) / 2);
+      if (await measure(start, start + length - 1) <= maxSizeBytes) {
+        fits = length;
+      } else {
+        tooLong = length;
+      }
+    }
+
+    parts.push({ start, end: start + fits - 1 });
+    start += fits;
+  }
+
+  return parts;
+};
+
+/**
+ * Cut pages at the top-level bookmarks
+ */
+const planPartsByBookmarks = (outline, pageCount) => {
+  const starts = new Map();
+  outline.forEach(item => {
+    if (item.pageIndex !== null && item.pageIndex !== undefined && !starts.has(item.pageIndex)) {
+      starts.set(item.pageIndex, item.title);
+    }
+  });
+
+  if (starts.size === 0) {
+    throw new Error('The document has no bookmarks to split by');
+  }
+
+  const startPages = [...starts.keys()].sort((a, b) => a - b);
+  // Pages before the first bookmark (a cover, say) form a part of their own
+  if (startPages[0] > 0) {
+    startPages.unshift(0);
+  }
+
+  return startPages.map((start, index) => ({
+    start,
+    end: index + 1 < startPages.length ? startPages[index + 1] - 1 : pageCount - 1,
+    title: starts.get(start) || null
+  }));
+};
+
+/**
+ * Work out the parts of a split
+ * @param {PDFDocument} source - Loaded source document
+ * @param {Object} options - { mode: 'ranges'|'every'|'bookmarks'|'size', ranges, everyPages, maxSizeBytes }
+ * @returns {Promise<Array<Object>>} - [{ start, end, title, outline, oversized }], 0-based inclusive
+ *   page indices; outline holds the bookmarks of the part
+ */
+const planSplit = async (source, options = {}) => {
+  const mode = validateSplitOptions(options);
+  const pageCount = source.getPageCount();
+  const outline = readOutline(source);
+
+  let parts;
+  if (mode === 'ranges') {
+    parts = parsePageRanges(options.ranges, pageCount)
+      .map(range => ({ start: range.start - 1, end: range.end - 1 }));
+  } else if (mode === 'every') {
+    const everyPages = Number(options.everyPages);
+    parts = [];
+    for (let start = 0; start < pageCount; start += everyPages) {
+      parts.push({ start, end: Math.min(start + everyPages, pageCount) - 1 });
+    }
+  } else if (mode === 'bookmarks') {
+    parts = planPartsByBookmarks(outline, pageCount);
+  } else {
+    parts = await planPartsBySize(source, outline, Number(options.maxSizeBytes));
+  }
+
+  return parts.map(part => ({
+    title: null,
+    oversized: false,
+    ...part,
+    outline: getPartOutline(outline, part.start, part.end)
+  }));
+};
+
+/**
+ * Split a document into parts
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} options - See planSplit, plus onProgress(done, total)
+ * @returns {Promise<Object>} - { pageCount, parts: [{ start, end, title, oversized, buffer }] }
+ */
+const splitDocument = async (buffer, options = {}) => {
+  validateSplitOptions(options);
+  const source = await loadSourceDocument(buffer, 'The document');
+  const plan = await planSplit(source, options);
+
+  const parts = [];
+  for (const [index, part] of plan.entries()) {
+    parts.push({ ...part, buffer: await buildPart(source, part) });
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, plan.length);
+    }
+  }
+
+  return { pageCount: source.getPageCount(), parts };
+};
+
+module.exports = {
+  SPLIT_MODES,
+  validateSplitOptions,
+  planSplit,
+  finishPart,
+  splitDocument
+};
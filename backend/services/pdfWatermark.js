@@ -0,0 +1,324 @@
+/**
+ * Watermarks and stamps for PDFSpark
+ *
+ * Places a line of text (CONFIDENTIAL, DRAFT, ...) or an uploaded image on
+ * selected pages, either over the page content or under it. Stamps are
+ * positioned the way the page is displayed, so pages with a /Rotate entry
+ * get an upright stamp in the requested corner too.
+ */
+
+const sharp = require('sharp');
+const {
+  StandardFonts,
+  beginText,
+  concatTransformationMatrix,
+  drawObject,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setFillingRgbColor,
+  setFontAndSize,
+  setGraphicsState,
+  showText,
+  moveText
+} = require('pdf-lib');
+const { expandPageRanges, parsePageRanges } = require('../utils/pageRanges');
+const { loadSourceDocument } = require('./pdfMerger');
+
+const WATERMARK_TYPES = ['text', 'image'];
+// Where the stamp goes: the middle of the page or along one of its edges
+const WATERMARK_POSITIONS = [
+  'center',
+  'top-left', 'top-center', 'top-right',
+  'middle-left', 'middle-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+// Over the content, or under it so the stamp never hides text
+const WATERMARK_LAYERS = ['over', 'under'];
+// Standard fonts need no embedding; they cover Western European text only
+const WATERMARK_FONTS = {
+  helvetica: StandardFonts.Helvetica,
+  'helvetica-bold': StandardFonts.HelveticaBold,
+  times: StandardFonts.TimesRoman,
+  'times-bold': StandardFonts.TimesRomanBold,
+  courier: StandardFonts.Courier,
+  'courier-bold': StandardFonts.CourierBold
+};
+
+const MAX_TEXT_LENGTH = 200;
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 400;
+// Space (points) kept between an edge stamp and the page edge
+const DEFAULT_MARGIN = 36;
+const MAX_MARGIN = 288;
+
+/**
+ * Read an optional number and check its range
+ */
+const readNumber = (value, fallback, min, max, label) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Check watermark options and fill in the defaults
+ *
+ * The result is what gets saved with the operation, so a stamp can be
+ * applied again to other documents with the same settings.
+ * @param {Object} options - { type, text, imageFileId, position, rotation, opacity,
+ *   font, fontSize, color, imageScale, layer, margin, pages }
+ * @returns {Object} - Normalised settings
+ * @throws {Error} If an option is missing or invalid
+ */
+const validateWatermarkOptions = (options = {}) => {
+  const type = options.type || (options.imageFileId ? 'image' : 'text');
+  if (!WATERMARK_TYPES.includes(type)) {
+    throw new Error(`Unsupported watermark type: ${type}`);
+  }
+
+  const position = options.position || 'center';
+  if (!WATERMARK_POSITIONS.includes(position)) {
+    throw new Error(`Unsupported watermark position: ${position}`);
+  }
+
+  const layer = options.layer || 'over';
+  if (!WATERMARK_LAYERS.includes(layer)) {
+    throw new Error(`Unsupported watermark layer: ${layer}`);
+  }
+
+  if (options.pages !== undefined && options.pages !== null && options.pages !== '') {
+    parsePageRanges(options.pages, Number.MAX_SAFE_INTEGER);
+  }
+
+  const settings = {
+    type,
+    position,
+    layer,
+    // Diagonal across the middle of the page, level along the edges
+    rotation: readNumber(options.rotation, position === 'center' ? 45 : 0, -360, 360, 'Rotation'),
+    opacity: readNumber(options.opacity, 0.3, 0, 1, 'Opacity'),
+    margin: readNumber(options.margin, DEFAULT_MARGIN, 0, MAX_MARGIN, 'Margin'),
+    pages: options.pages ? String(options.pages) : undefined
+  };
+
+  if (type === 'text') {
+    const text = typeof options.text === 'string' ? options.text.replace(/\s+/g, ' ').trim() : '';
+    if (!text) {
+      throw new Error('Please provide the watermark text');
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Watermark text must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    const font = options.font || 'helvetica-bold';
+    if (!WATERMARK_FONTS[font]) {
+      throw new Error(`Unsupported watermark font: ${font}`);
+    }
+
+    const color = options.color || '#ff0000';
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new Error(`Colour must be a hex value such as #ff0000: ${color}`);
+    }
+
+    return {
+      ...settings,
+      text,
+      font,
+      fontSize: readNumber(options.fontSize, 60, MIN_FONT_SIZE, MAX_FONT_SIZE, 'Font size'),
+      color: color.toLowerCase()
+    };
+  }
+
+  if (!options.imageFileId || typeof options.imageFileId !== 'string') {
+    throw new Error('Please provide the image to stamp');
+  }
+
+  return {
+    ...settings,
+    imageFileId: options.imageFileId,
+    // Width of the image as a share of the page width
+    imageScale: readNumber(options.imageScale, 0.3, 0.05, 1, 'Image scale')
+  };
+};
+
+/**
+ * Convert a #rrggbb colour to pdf-lib's 0-1 components
+ */
+const parseColor = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16) / 255);
+
+/**
+ * Work out where the centre of a stamp goes on the page as displayed
+ * @param {Object} page - { width, height } of the page as displayed
+ * @param {Object} stamp - { width, height, rotation } of the stamp
+ * @param {Object} settings - { position, margin }
+ * @returns {Object} - { x, y } from the bottom left corner
+ */
+const placeStamp = (page, stamp, settings) => {
+  // The rotated stamp has to fit between the margins
+  const angle = stamp.rotation * Math.PI / 180;
+  const boxWidth = Math.abs(stamp.width * Math.cos(angle)) + Math.abs(stamp.height * Math.sin(angle));
+  const boxHeight = Math.abs(stamp.width * Math.sin(angle)) + Math.abs(stamp.height * Math.cos(angle));
+  const margin = settings.margin;
+
+  const [vertical, horizontal] = settings.position === 'center'
+    ? ['middle', 'center']
+    : settings.position.split('-');
+
+  const x = {
+    left: margin + boxWidth / 2,
+    center: page.width / 2,
+    right: page.width - margin - boxWidth / 2
+  }[horizontal];
+  const y = {
+    bottom: margin + boxHeight / 2,
+    middle: page.height / 2,
+    top: page.height - margin - boxHeight / 2
+  }[vertical];
+
+  return { x, y };
+};
+
+/**
+ * Map a point of the displayed page to the page's own coordinates
+ * @param {Object} point - { x, y } on the displayed page
+ * @param {Object} cropBox - Visible area of the page in its own coordinates
+ * @param {Number} rotation - /Rotate of the page (0, 90, 180 or 270)
+ * @returns {Object} - { x, y }
+ */
+const toPageSpace = (point, cropBox, rotation) => {
+  const { x, y } = point;
+  switch (rotation) {
+    case 90:
+      return { x: cropBox.x + cropBox.width - y, y: cropBox.y + x };
+    case 180:
+      return { x: cropBox.x + cropBox.width - x, y: cropBox.y + cropBox.height - y };
+    case 270:
+      return { x: cropBox.x + y, y: cropBox.y + cropBox.height - x };
+    default:
+      return { x: cropBox.x + x, y: cropBox.y + y };
+  }
+};
+
+/**
+ * Prepare an image for stamping: upright as photographed, PNG when it has
+ * transparency (logos), JPEG otherwise
+ */
+const loadStampImage = async (pdfDoc, buffer) => {
+  const image = sharp(buffer).rotate();
+  const { hasAlpha } = await image.metadata();
+  return hasAlpha
+    ? pdfDoc.embedPng(await image.png().toBuffer())
+    : pdfDoc.embedJpg(await image.jpeg({ quality: 90 }).toBuffer());
+};
+
+/**
+ * Stamp a PDF
+ * @param {Buffer} buffer - PDF bytes
+ * @param {Object} settings - Output of validateWatermarkOptions
+ * @param {Object} options - { imageBuffer } for image stamps, { onProgress(done, total) }
+ * @returns {Promise<Object>} - { buffer, pageCount, stampedPages }
+ */
+const applyWatermark = async (buffer, settings, options = {}) => {
+  const pdfDoc = await loadSourceDocument(buffer, 'The document');
+  const pages = pdfDoc.getPages();
+  const pageNumbers = expandPageRanges(settings.pages, pages.length, { unique: true });
+
+  let font = null;
+  let image = null;
+  if (settings.type === 'text') {
+    font = await pdfDoc.embedFont(WATERMARK_FONTS[settings.font]);
+  } else {
+    if (!options.imageBuffer) {
+      throw new Error('The image to stamp is missing');
+    }
+    image = await loadStampImage(pdfDoc, options.imageBuffer);
+  }
+
+  const opacityState = pdfDoc.context.obj({ Type: 'ExtGState', ca: settings.opacity, CA: settings.opacity });
+
+  for (const [index, pageNumber] of pageNumbers.entries()) {
+    const page = pages[pageNumber - 1];
+    const cropBox = page.getCropBox();
+    const pageRotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const displayed = pageRotation % 180 === 0
+      ? { width: cropBox.width, height: cropBox.height }
+      : { width: cropBox.height, height: cropBox.width };
+
+    let stamp;
+    if (font) {
+      stamp = { width: font.widthOfTextAtSize(settings.text, settings.fontSize), height: settings.fontSize };
+    } else {
+      const width = displayed.width * settings.imageScale;
+      stamp = { width, height: width * image.height / image.width };
+    }
+    stamp.rotation = settings.rotation;
+
+    const centre = toPageSpace(placeStamp(displayed, stamp, settings), cropBox, pageRotation);
+    // A page turned clockwise for display turns the stamp with it
+    const angle = (settings.rotation + pageRotation) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    const operators = [
+      pushGraphicsState(),
+      setGraphicsState(page.node.newExtGState('GS', opacityState)),
+      concatTransformationMatrix(cos, sin, -sin, cos, centre.x, centre.y)
+    ];
+
+    if (font) {
+      // Centre the capitals rather than the full height with descenders
+      const baseline = -font.heightAtSize(settings.fontSize, { descender: false }) / 2;
+      operators.push(
+        setFillingRgbColor(...parseColor(settings.color)),
+        beginText(),
+        setFontAndSize(page.node.newFontDictionary(font.name, font.ref), settings.fontSize),
+        moveText(-stamp.width / 2, baseline),
+        showText(font.encodeText(settings.text)),
+        endText()
+      );
+    } else {
+      operators.push(
+        concatTransformationMatrix(stamp.width, 0, 0, stamp.height, -stamp.width / 2, -stamp.height / 2),
+        drawObject(page.node.newXObject('Stamp', image.ref))
+      );
+    }
+    operators.push(popGraphicsState());
+
+    if (settings.layer === 'under') {
+      // The page content is wrapped in q/Q on normalising; the stamp goes before it
+      page.node.normalize();
+      const stream = pdfDoc.context.contentStream(operators);
+      page.node.Contents().insert(0, pdfDoc.context.register(stream));
+    } else {
+      page.pushOperators(...operators);
+    }
+
+    if (options.onProgress) {
+      await options.onProgress(index + 1, pageNumbers.length);
+    }
+  }
+
+  return {
+    buffer: Buffer.from(await pdfDoc.save()),
+    pageCount: pages.length,
+    stampedPages: pageNumbers
+  };
+};
+
+module.exports = {
+  WATERMARK_TYPES,
+  WATERMARK_POSITIONS,
+  WATERMARK_LAYERS,
+  WATERMARK_FONTS,
+  readNumber,
+  parseColor,
+  toPageSpace,
+  loadStampImage,
+  validateWatermarkOptions,
+  placeStamp,
+  applyWatermark
+};
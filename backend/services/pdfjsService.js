@@ -0,0 +1,440 @@
+/**
+ * pdf.js integration for PDFSpark
+ *
+ * Wraps the legacy (CommonJS) build of pdfjs-dist so the converters can read
+ * positioned text and embedded images from PDF pages. pdf-lib is still used
+ * for everything that writes PDFs; pdf.js is only used to look inside them.
+ */
+
+const path = require('path');
+
+let pdfjsLib = null;
+
+/**
+ * Lazily load pdfjs-dist so modules that only need pdf-lib don't pay for it
+ * @returns {Object} - The pdf.js library
+ */
+const getPdfjs = () => {
+  if (!pdfjsLib) {
+    // pdf.js looks for these browser globals when it loads and otherwise
+    // tries to polyfill them from the `canvas` package, which we don't ship
+    const napiCanvas = require('@napi-rs/canvas');
+    globalThis.DOMMatrix = globalThis.DOMMatrix || napiCanvas.DOMMatrix;
+    globalThis.Path2D = globalThis.Path2D || napiCanvas.Path2D;
+    globalThis.ImageData = globalThis.ImageData || napiCanvas.ImageData;
+
+    pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjsLib;
+};
+
+/**
+ * Canvas factory handed to pdf.js so it can create scratch canvases in Node
+ * (the built-in Node factory needs the `canvas` package)
+ */
+const canvasFactory = {
+  create: (width, height) => {
+    const { createCanvas } = require('@napi-rs/canvas');
+    const canvas = createCanvas(Math.max(1, Math.ceil(width)), Math.max(1, Math.ceil(height)));
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset: (canvasAndContext, width, height) => {
+    canvasAndContext.canvas.width = Math.max(1, Math.ceil(width));
+    canvasAndContext.canvas.height = Math.max(1, Math.ceil(height));
+  },
+  destroy: (canvasAndContext) => {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+};
+
+/**
+ * Open a PDF document with pdf.js
+ * @param {Buffer|Uint8Array} pdfBuffer - The PDF bytes
+ * @param {Object} options - Loading options (password)
+ * @returns {Promise<Object>} - PDFDocumentProxy
+ */
+const openDocument = async (pdfBuffer, options = {}) => {
+  const pdfjs = getPdfjs();
+
+  // pdf.js transfers and detaches the buffer it is given, and it ignores the
+  // byteOffset of pooled Node buffers, so always hand it a private copy
+  const data = new Uint8Array(pdfBuffer);
+
+  const loadingTask = pdfjs.getDocument({
+    data,
+    password: options.password,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0,
+    canvasFactory,
+    standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep
+  });
+
+  return loadingTask.promise;
+};
+
+/**
+ * Resolve the list of 1-based page numbers to process
+ * @param {Number} numPages - Page count of the document
+ * @param {Array<Number>} pages - Optional explicit page numbers
+ * @returns {Array<Number>} - Valid page numbers
+ */
+const resolvePageNumbers = (numPages, pages) => {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return Array.from({ length: numPages }, (_, i) => i + 1);
+  }
+  return pages.filter(n => Number.isInteger(n) && n >= 1 && n <= numPages);
+};
+
+/**
+ * Look up the real font names behind pdf.js' internal font ids
+ *
+ * Text content only reports ids such as "g_d0_f2"; the font objects (and
+ * with them names like "Helvetica-BoldOblique") are loaded while building
+ * the operator list.
+ * @param {Object} page - PDFPageProxy
+ * @param {Array<String>} fontIds - Internal font ids
+ * @returns {Promise<Object>} - Map of font id to { name, bold, italic }
+ */
+const resolveFonts = async (page, fontIds) => {
+  await page.getOperatorList();
+
+  const fonts = {};
+  for (const fontId of fontIds) {
+    let name = '';
+    try {
+      const font = page.commonObjs.get(fontId);
+      name = (font && font.name) || '';
+    } catch (error) {
+      // Font never loaded (e.g. text rendered invisibly) - leave it anonymous
+    }
+    // Subset fonts are prefixed with a tag like "ABCDEF+"
+    name = name.replace(/^[A-Z]{6}\+/, '');
+    fonts[fontId] = {
+      name,
+      bold: /bold|black|heavy|semibold|demi/i.test(name),
+      italic: /italic|oblique/i.test(name)
+    };
+  }
+  return fonts;
+};
+
+/**
+ * Map a PDF font name to a font family office applications know
+ * @param {String} fontName - Font name as resolved by resolveFonts
+ * @returns {String|null} - Family name such as "Arial"
+ */
+const mapPdfFontToFamily = (fontName) => {
+  const name = String(fontName || '').replace(/^[A-Z]{6}\+/, '');
+  if (/helvetica|arial/i.test(name)) return 'Arial';
+  if (/times/i.test(name)) return 'Times New Roman';
+  if (/courier/i.test(name)) return 'Courier New';
+  if (/symbol/i.test(name)) return 'Symbol';
+  if (/zapf|dingbat/i.test(name)) return 'Wingdings';
+
+  // "Calibri-BoldItalic", "Georgia,Bold", "GaramondPS" -> family name
+  const family = name.split(/[-,]/)[0].replace(/(MT|PS|PSMT)$/, '');
+  return family || null;
+};
+
+/**
+ * Extract the positioned text items of a single page
+ *
+ * Coordinates are returned in a top-left origin system (PDF points at
+ * scale 1), which is what every layout consumer in PDFSpark expects.
+ * @param {Object} page - PDFPageProxy
+ * @returns {Promise<Object>} - { pageNumber, width, height, items }
+ */
+const extractPageText = async (page) => {
+  const pdfjs = getPdfjs();
+  const viewport = page.getViewport({ scale: 1 });
+  const textContent = await page.getTextContent({ disableCombineTextItems: false });
+  const fonts = await resolveFonts(page, Object.keys(textContent.styles));
+
+  const items = [];
+  for (const item of textContent.items) {
+    // Marked-content entries carry no text
+    if (typeof item.str !== 'string') continue;
+    if (item.str.length === 0 && !item.hasEOL) continue;
+
+    const tx = pdfjs.Util.transform(viewport.transform, item.transform);
+    const fontSize = Math.hypot(tx[2], tx[3]) || item.height || 0;
+    const width = item.width * viewport.scale;
+
+    items.push({
+      str: item.str,
+      x: tx[4],
+      y: tx[5] - fontSize,
+      baseline: tx[5],
+      width,
+      height: fontSize,
+      fontSize,
+      fontName: fonts[item.fontName]?.name || item.fontName,
+      fontFamily: textContent.styles[item.fontName]?.fontFamily,
+      bold: !!fonts[item.fontName]?.bold,
+      italic: !!fonts[item.fontName]?.italic,
+      hasEOL: !!item.hasEOL,
+      // Text matrix on the page as displayed, for text that is not upright
+      transform: tx
+    });
+  }
+
+  return {
+    pageNumber: page.pageNumber,
+    width: viewport.width,
+    height: viewport.height,
+    items
+  };
+};
+
+/**
+ * Multiply two 2D affine matrices
+ */
+const multiplyMatrix = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+/**
+ * Resolve a pdf.js image object, waiting for it if it is still being decoded
+ */
+const getImageObject = (page, objId) => {
+  const store = objId.startsWith('g_') ? page.commonObjs : page.objs;
+  return new Promise((resolve) => {
+    try {
+      store.get(objId, resolve);
+    } catch (error) {
+      resolve(null);
+    }
+  });
+};
+
+/**
+ * Convert decoded pdf.js image data to a PNG buffer
+ * @param {Object} imgData - { width, height, kind, data }
+ * @returns {Promise<Buffer|null>} - PNG bytes
+ */
+const imageDataToPng = async (imgData) => {
+  const sharp = require('sharp');
+  const pdfjs = getPdfjs();
+  if (!imgData || !imgData.data || !imgData.width || !imgData.height) {
+    return null;
+  }
+
+  const { width, height, kind, data } = imgData;
+  let channels;
+  let raw;
+
+  if (kind === pdfjs.ImageKind.RGBA_32BPP) {
+    channels = 4;
+    raw = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  } else if (kind === pdfjs.ImageKind.RGB_24BPP) {
+    channels = 3;
+    raw = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  } else if (kind === pdfjs.ImageKind.GRAYSCALE_1BPP) {
+    // 1 bit per pixel, rows padded to full bytes
+    channels = 1;
+    raw = Buffer.alloc(width * height);
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        raw[y * width + x] = bit ? 255 : 0;
+      }
+    }
+  } else {
+    return null;
+  }
+
+  return sharp(raw, { raw: { width, height, channels } }).png().toBuffer();
+};
+
+/**
+ * Extract the images painted on a page together with their placement
+ *
+ * Walks the operator list tracking the current transformation matrix so the
+ * bounding box of each image can be reported in top-left page coordinates.
+ * @param {Object} page - PDFPageProxy
+ * @param {Object} options - { minSize } smallest edge (points) worth keeping
+ * @returns {Promise<Array<Object>>} - [{ x, y, width, height, png, pixelWidth, pixelHeight }]
+ */
+const extractPageImages = async (page, options = {}) => {
+  const pdfjs = getPdfjs();
+  const { OPS } = pdfjs;
+  const minSize = options.minSize || 8;
+  const viewport = page.getViewport({ scale: 1 });
+  const operatorList = await page.getOperatorList();
+
+  const images = [];
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+
+  for (let i = 0; i < operatorList.fnArray.length; i++) {
+    const fn = operatorList.fnArray[i];
+    const args = operatorList.argsArray[i];
+
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    } else if (fn === OPS.transform) {
+      ctm = multiplyMatrix(ctm, args);
+    } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject) {
+      // Images are drawn into the unit square of the current matrix
+      const m = multiplyMatrix(viewport.transform, ctm);
+      const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [
+        m[0] * u + m[2] * v + m[4],
+        m[1] * u + m[3] * v + m[5]
+      ]);
+      const xs = corners.map(c => c[0]);
+      const ys = corners.map(c => c[1]);
+      const box = {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+      };
+
+      if (box.width < minSize || box.height < minSize) continue;
+
+      const imgData = fn === OPS.paintInlineImageXObject
+        ? args[0]
+        : await getImageObject(page, args[0]);
+
+      try {
+        const png = await imageDataToPng(imgData);
+        if (png) {
+          images.push({
+            ...box,
+            png,
+            pixelWidth: imgData.width,
+            pixelHeight: imgData.height
+          });
+        }
+      } catch (imageError) {
+        console.warn(`Could not decode image on page ${page.pageNumber}:`, imageError.message);
+      }
+    }
+  }
+
+  return images;
+};
+
+/**
+ * Stop the fonts of a page from painting glyphs
+ *
+ * With font faces disabled pdf.js draws every glyph through the font's path
+ * generator, so swapping it for a no-op renders the page without its text
+ * (used where the text is recreated as editable objects on top).
+ * @param {Object} page - PDFPageProxy
+ * @returns {Promise<Function>} - Restores the original path generators
+ */
+const suppressPageText = async (page) => {
+  const { styles } = await page.getTextContent();
+  await page.getOperatorList();
+
+  const patched = [];
+  for (const fontId of Object.keys(styles)) {
+    if (!page.commonObjs.has(fontId)) continue;
+    const font = page.commonObjs.get(fontId);
+    if (!font || typeof font.getPathGenerator !== 'function') continue;
+    patched.push(font);
+    font.getPathGenerator = () => () => {};
+  }
+
+  return () => {
+    // Removing the own property re-exposes the prototype method
+    patched.forEach(font => { delete font.getPathGenerator; });
+  };
+};
+
+/**
+ * Render a page to an encoded image
+ * @param {Object} page - PDFPageProxy
+ * @param {Object} options - { dpi, format ('png'|'jpeg'|'raw'), quality, background, hideText }
+ * @returns {Promise<Object>} - { buffer, width, height } in pixels
+ */
+const renderPage = async (page, options = {}) => {
+  const dpi = options.dpi || 150;
+  const format = options.format || 'png';
+  // PDF user space is 72 units per inch
+  const viewport = page.getViewport({ scale: dpi / 72 });
+  const canvasAndContext = canvasFactory.create(viewport.width, viewport.height);
+  const { canvas, context } = canvasAndContext;
+  const restoreText = options.hideText ? await suppressPageText(page) : null;
+
+  try {
+    // Pages are transparent by default; paper is white
+    context.fillStyle = options.background || '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    let buffer;
+    if (format === 'raw') {
+      buffer = Buffer.from(context.getImageData(0, 0, canvas.width, canvas.height).data);
+    } else if (format === 'jpeg') {
+      buffer = await canvas.encode('jpeg', options.quality || 90);
+    } else {
+      buffer = await canvas.encode('png');
+    }
+
+    return { buffer, width: canvas.width, height: canvas.height };
+  } finally {
+    if (restoreText) restoreText();
+    canvasFactory.destroy(canvasAndContext);
+  }
+};
+
+/**
+ * Extract positioned text (and optionally images) for a set of pages
+ * @param {Buffer} pdfBuffer - The PDF bytes
+ * @param {Object} options - { pages, includeImages, password }
+ * @returns {Promise<Object>} - { numPages, pages: [...] }
+ */
+const extractDocumentLayout = async (pdfBuffer, options = {}) => {
+  const doc = await openDocument(pdfBuffer, options);
+
+  try {
+    const pageNumbers = resolvePageNumbers(doc.numPages, options.pages);
+    const pages = [];
+
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      try {
+        const pageLayout = await extractPageText(page);
+        if (options.includeImages) {
+          pageLayout.images = await extractPageImages(page);
+        }
+        pages.push(pageLayout);
+      } finally {
+        page.cleanup();
+      }
+    }
+
+    return { numPages: doc.numPages, pages };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+module.exports = {
+  getPdfjs,
+  openDocument,
+  renderPage,
+  resolvePageNumbers,
+  extractPageText,
+  getImageObject,
+  imageDataToPng,
+  extractPageImages,
+  mapPdfFontToFamily,
+  extractDocumentLayout
+};
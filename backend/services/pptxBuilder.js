@@ -0,0 +1,405 @@
+/**
+ * Minimal PresentationML writer for PDFSpark
+ *
+ * Produces PowerPoint packages with one blank layout, full-bleed slide
+ * backgrounds, positioned text boxes and speaker notes. The package layout
+ * is fixed, which is what lets mergePresentations() stitch the decks of
+ * several chunks back together without a general OOXML parser.
+ */
+
+const JSZip = require('jszip');
+
+const EMU_PER_POINT = 12700;
+// PowerPoint only opens slide sizes between 1 and 56 inches
+const MIN_SLIDE_EMU = 914400;
+const MAX_SLIDE_EMU = 51206400;
+
+const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_P = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const MEDIA_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg'
+};
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+const escapeXml = (text) => String(text)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Work out the slide size for a page, keeping its aspect ratio
+ * @param {Number} widthPt - Page width in points
+ * @param {Number} heightPt - Page height in points
+ * @returns {Object} - { cx, cy, scale } slide size in EMU and EMU per point
+ */
+const getSlideSize = (widthPt, heightPt) => {
+  let scale = EMU_PER_POINT;
+  const largest = Math.max(widthPt, heightPt) * scale;
+  const smallest = Math.min(widthPt, heightPt) * scale;
+
+  if (largest > MAX_SLIDE_EMU) {
+    scale *= MAX_SLIDE_EMU / largest;
+  } else if (smallest < MIN_SLIDE_EMU) {
+    scale *= Math.min(MIN_SLIDE_EMU / smallest, MAX_SLIDE_EMU / largest);
+  }
+
+  return {
+    cx: Math.round(widthPt * scale),
+    cy: Math.round(heightPt * scale),
+    scale
+  };
+};
+
+/**
+ * Serialize a text box shape
+ * @param {Object} box - { x, y, width, height (EMU), paragraphs: [[{ text, size, bold, italic, font, color }]] }
+ * @param {Number} shapeId - Unique shape id within the slide
+ */
+const textBoxXml = (box, shapeId) => {
+  const paragraphs = box.paragraphs.map(runs => {
+    const runXml = runs.map(run => {
+      const attrs = [
+        'lang="en-US"',
+        `sz="${Math.min(400000, Math.max(100, Math.round(run.size * 100)))}"`,
+        run.bold ? 'b="1"' : '',
+        run.italic ? 'i="1"' : '',
+        'dirty="0"'
+      ].filter(Boolean).join(' ');
+      const color = run.color ? `<a:solidFill><a:srgbClr val="${run.color}"/></a:solidFill>` : '';
+      const font = run.font ? `<a:latin typeface="${escapeXml(run.font)}"/><a:cs typeface="${escapeXml(run.font)}"/>` : '';
+      return `<a:r><a:rPr ${attrs}>${color}${font}</a:rPr><a:t>${escapeXml(run.text)}</a:t></a:r>`;
+    }).join('');
+    return `<a:p>${runXml}</a:p>`;
+  }).join('');
+
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${shapeId}" name="TextBox ${shapeId}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr><a:xfrm><a:off x="${Math.round(box.x)}" y="${Math.round(box.y)}"/>` +
+    `<a:ext cx="${Math.max(1, Math.round(box.width))}" cy="${Math.max(1, Math.round(box.height))}"/></a:xfrm>` +
+    '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>' +
+    '<p:txBody><a:bodyPr wrap="none" lIns="0" tIns="0" rIns="0" bIns="0" rtlCol="0" anchor="t"><a:noAutofit/></a:bodyPr>' +
+    `<a:lstStyle/>${paragraphs}</p:txBody></p:sp>`;
+};
+
+/**
+ * Serialize a slide
+ * @param {Object} slide - { background, textBoxes }
+ * @param {String} backgroundRelId - Relationship id of the background image
+ */
+const slideXml = (slide, backgroundRelId) => {
+  const background = backgroundRelId
+    ? `<p:bg><p:bgPr><a:blipFill dpi="0" rotWithShape="1"><a:blip r:embed="${backgroundRelId}"/><a:srcRect/>` +
+      '<a:stretch><a:fillRect/></a:stretch></a:blipFill><a:effectLst/></p:bgPr></p:bg>'
+    : '';
+  const shapes = (slide.textBoxes || []).map((box, index) => textBoxXml(box, index + 2)).join('');
+
+  return `${XML_HEADER}<p:sld xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld>${background}<p:spTree>` +
+    '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+    '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>' +
+    `${shapes}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+};
+
+/**
+ * Serialize a notes slide holding plain text
+ */
+const notesXml = (text) => {
+  const paragraphs = String(text).split(/\r?\n/)
+    .map(line => line.length > 0
+      ? `<a:p><a:r><a:rPr lang="en-US" dirty="0"/><a:t>${escapeXml(line)}</a:t></a:r></a:p>`
+      : '<a:p><a:endParaRPr lang="en-US" dirty="0"/></a:p>')
+    .join('');
+
+  return `${XML_HEADER}<p:notes xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"><p:cSld><p:spTree>` +
+    '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+    '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>' +
+    '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+    '<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>' +
+    '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+    '<p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/>' +
+    `<p:txBody><a:bodyPr/><a:lstStyle/>${paragraphs}</p:txBody></p:sp>` +
+    '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>';
+};
+
+const relationshipsXml = (rels) =>
+  `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  rels.map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"/>`).join('') +
+  '</Relationships>';
+
+const themeXml = (name) => `${XML_HEADER}<a:theme xmlns:a="${NS_A}" name="${name}"><a:themeElements>` +
+  '<a:clrScheme name="Office"><a:dk1><a:sysClr val="windowText" lastClr="000000"/></a:dk1><a:lt1><a:sysClr val="window" lastClr="FFFFFF"/></a:lt1>' +
+  '<a:dk2><a:srgbClr val="44546A"/></a:dk2><a:lt2><a:srgbClr val="E7E6E6"/></a:lt2><a:accent1><a:srgbClr val="4472C4"/></a:accent1>' +
+  '<a:accent2><a:srgbClr val="ED7D31"/></a:accent2><a:accent3><a:srgbClr val="A5A5A5"/></a:accent3><a:accent4><a:srgbClr val="FFC000"/></a:accent4>' +
+  '<a:accent5><a:srgbClr val="5B9BD5"/></a:accent5><a:accent6><a:srgbClr val="70AD47"/></a:accent6><a:hlink><a:srgbClr val="0563C1"/></a:hlink>' +
+  '<a:folHlink><a:srgbClr val="954F72"/></a:folHlink></a:clrScheme>' +
+  '<a:fontScheme name="Office"><a:majorFont><a:latin typeface="Calibri Light"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>' +
+  '<a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>' +
+  '<a:fmtScheme name="Office"><a:fillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill>' +
+  '<a:solidFill><a:schemeClr val="phClr"><a:tint val="50000"/></a:schemeClr></a:solidFill>' +
+  '<a:solidFill><a:schemeClr val="phClr"><a:shade val="80000"/></a:schemeClr></a:solidFill></a:fillStyleLst>' +
+  '<a:lnStyleLst><a:ln w="6350"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>' +
+  '<a:ln w="12700"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>' +
+  '<a:ln w="19050"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln></a:lnStyleLst>' +
+  '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle>' +
+  '<a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>' +
+  '<a:bgFillStyleLst><a:solidFill><a:schemeClr val="phClr"/></a:solidFill>' +
+  '<a:solidFill><a:schemeClr val="phClr"><a:tint val="95000"/></a:schemeClr></a:solidFill>' +
+  '<a:solidFill><a:schemeClr val="phClr"><a:shade val="90000"/></a:schemeClr></a:solidFill></a:bgFillStyleLst>' +
+  '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+
+const CLR_MAP = '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" ' +
+  'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>';
+
+const EMPTY_TREE = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+  '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+const slideMasterXml = () => `${XML_HEADER}<p:sldMaster xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}">` +
+  `<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${EMPTY_TREE}</p:spTree></p:cSld>` +
+  `${CLR_MAP}<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>` +
+  '<p:txStyles><p:titleStyle><a:lvl1pPr><a:defRPr sz="4400"/></a:lvl1pPr></p:titleStyle>' +
+  '<p:bodyStyle><a:lvl1pPr><a:defRPr sz="1800"/></a:lvl1pPr></p:bodyStyle>' +
+  '<p:otherStyle><a:lvl1pPr><a:defRPr sz="1800"/></a:lvl1pPr></p:otherStyle></p:txStyles></p:sldMaster>';
+
+const slideLayoutXml = () => `${XML_HEADER}<p:sldLayout xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}" type="blank" preserve="1">` +
+  `<p:cSld name="Blank"><p:spTree>${EMPTY_TREE}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+
+const notesMasterXml = () => `${XML_HEADER}<p:notesMaster xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}">` +
+  `<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${EMPTY_TREE}` +
+  '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+  '<p:nvPr><p:ph type="sldImg" idx="2"/></p:nvPr></p:nvSpPr><p:spPr><a:xfrm><a:off x="685800" y="1143000"/><a:ext cx="5486400" cy="3086100"/></a:xfrm>' +
+  '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr></p:sp>' +
+  '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+  '<p:nvPr><p:ph type="body" sz="quarter" idx="3"/></p:nvPr></p:nvSpPr><p:spPr><a:xfrm><a:off x="685800" y="4400550"/><a:ext cx="5486400" cy="3600450"/></a:xfrm>' +
+  '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr><p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:endParaRPr lang="en-US"/></a:p></p:txBody></p:sp>' +
+  `</p:spTree></p:cSld>${CLR_MAP}<p:notesStyle><a:lvl1pPr><a:defRPr sz="1200"/></a:lvl1pPr></p:notesStyle></p:notesMaster>`;
+
+/**
+ * Write a complete package from serialized slides
+ * @param {Array<Object>} slides - [{ slideXml, notesXml, media: [{ relId, extension, data }] }]
+ * @param {Object} size - { cx, cy } slide size in EMU
+ * @param {Object} options - { title }
+ * @returns {Promise<Buffer>} - PPTX bytes
+ */
+const packPresentation = async (slides, size, options = {}) => {
+  const zip = new JSZip();
+  const extensions = new Set(['png']);
+  const overrides = [
+    ['/ppt/presentation.xml', 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml'],
+    ['/ppt/slideMasters/slideMaster1.xml', 'application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml'],
+    ['/ppt/slideLayouts/slideLayout1.xml', 'application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml'],
+    ['/ppt/notesMasters/notesMaster1.xml', 'application/vnd.openxmlformats-officedocument.presentationml.notesMaster+xml'],
+    ['/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ['/ppt/theme/theme2.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ['/ppt/presProps.xml', 'application/vnd.openxmlformats-officedocument.presentationml.presProps+xml'],
+    ['/ppt/viewProps.xml', 'application/vnd.openxmlformats-officedocument.presentationml.viewProps+xml'],
+    ['/ppt/tableStyles.xml', 'application/vnd.openxmlformats-officedocument.presentationml.tableStyles+xml'],
+    ['/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml'],
+    ['/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml']
+  ];
+
+  // Fixed presentation-level relationships, slides follow
+  const presentationRels = [
+    { id: 'rId1', type: `${REL}/slideMaster`, target: 'slideMasters/slideMaster1.xml' },
+    { id: 'rId2', type: `${REL}/notesMaster`, target: 'notesMasters/notesMaster1.xml' },
+    { id: 'rId3', type: `${REL}/theme`, target: 'theme/theme1.xml' },
+    { id: 'rId4', type: `${REL}/presProps`, target: 'presProps.xml' },
+    { id: 'rId5', type: `${REL}/viewProps`, target: 'viewProps.xml' },
+    { id: 'rId6', type: `${REL}/tableStyles`, target: 'tableStyles.xml' }
+  ];
+  const slideIds = [];
+  let mediaCounter = 0;
+
+  slides.forEach((slide, index) => {
+    const number = index + 1;
+    const relId = `rId${presentationRels.length + 1}`;
+    presentationRels.push({ id: relId, type: `${REL}/slide`, target: `slides/slide${number}.xml` });
+    slideIds.push(`<p:sldId id="${256 + index}" r:id="${relId}"/>`);
+
+    const slideRels = [
+      { id: 'rId1', type: `${REL}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' }
+    ];
+
+    (slide.media || []).forEach(media => {
+      mediaCounter++;
+      const extension = media.extension === 'jpg' ? 'jpeg' : media.extension;
+      extensions.add(extension);
+      const mediaName = `image${mediaCounter}.${extension}`;
+      zip.file(`ppt/media/${mediaName}`, media.data);
+      slideRels.push({ id: media.relId, type: `${REL}/image`, target: `../media/${mediaName}` });
+    });
+
+    if (slide.notesXml) {
+      slideRels.push({ id: 'rIdNotes', type: `${REL}/notesSlide`, target: `../notesSlides/notesSlide${number}.xml` });
+      zip.file(`ppt/notesSlides/notesSlide${number}.xml`, slide.notesXml);
+      zip.file(`ppt/notesSlides/_rels/notesSlide${number}.xml.rels`, relationshipsXml([
+        { id: 'rId1', type: `${REL}/notesMaster`, target: '../notesMasters/notesMaster1.xml' },
+        { id: 'rId2', type: `${REL}/slide`, target: `../slides/slide${number}.xml` }
+      ]));
+      overrides.push([`/ppt/notesSlides/notesSlide${number}.xml`, 'application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml']);
+    }
+
+    zip.file(`ppt/slides/slide${number}.xml`, slide.slideXml);
+    zip.file(`ppt/slides/_rels/slide${number}.xml.rels`, relationshipsXml(slideRels));
+    overrides.push([`/ppt/slides/slide${number}.xml`, 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml']);
+  });
+
+  const defaults = ['<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    ...[...extensions].map(ext => `<Default Extension="${ext}" ContentType="${MEDIA_TYPES[ext]}"/>`)];
+
+  zip.file('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    defaults.join('') +
+    overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('') +
+    '</Types>');
+
+  zip.file('_rels/.rels', relationshipsXml([
+    { id: 'rId1', type: `${REL}/officeDocument`, target: 'ppt/presentation.xml' },
+    { id: 'rId2', type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' },
+    { id: 'rId3', type: `${REL}/extended-properties`, target: 'docProps/app.xml' }
+  ]));
+
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  zip.file('docProps/core.xml', `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${escapeXml(options.title || 'Presentation')}</dc:title><dc:creator>PDFSpark</dc:creator>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+    '</cp:coreProperties>');
+  zip.file('docProps/app.xml', `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">` +
+    `<Application>PDFSpark</Application><Slides>${slides.length}</Slides><Notes>${slides.filter(s => s.notesXml).length}</Notes></Properties>`);
+
+  zip.file('ppt/presentation.xml', `${XML_HEADER}<p:presentation xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}" saveSubsetFonts="1">` +
+    '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+    '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+    `<p:sldIdLst>${slideIds.join('')}</p:sldIdLst>` +
+    `<p:sldSz cx="${size.cx}" cy="${size.cy}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', relationshipsXml(presentationRels));
+
+  zip.file('ppt/presProps.xml', `${XML_HEADER}<p:presentationPr xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}"/>`);
+  zip.file('ppt/viewProps.xml', `${XML_HEADER}<p:viewPr xmlns:a="${NS_A}" xmlns:r="${NS_R}" xmlns:p="${NS_P}">` +
+    '<p:normalViewPr><p:restoredLeft sz="15620"/><p:restoredTop sz="94660"/></p:normalViewPr><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>');
+  zip.file('ppt/tableStyles.xml', `${XML_HEADER}<a:tblStyleLst xmlns:a="${NS_A}" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`);
+
+  zip.file('ppt/theme/theme1.xml', themeXml('Office Theme'));
+  zip.file('ppt/theme/theme2.xml', themeXml('Office Notes Theme'));
+
+  zip.file('ppt/slideMasters/slideMaster1.xml', slideMasterXml());
+  zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', relationshipsXml([
+    { id: 'rId1', type: `${REL}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+    { id: 'rId2', type: `${REL}/theme`, target: '../theme/theme1.xml' }
+  ]));
+  zip.file('ppt/slideLayouts/slideLayout1.xml', slideLayoutXml());
+  zip.file('ppt/slideLayouts/_rels/slideLayout1.xml.rels', relationshipsXml([
+    { id: 'rId1', type: `${REL}/slideMaster`, target: '../slideMasters/slideMaster1.xml' }
+  ]));
+  zip.file('ppt/notesMasters/notesMaster1.xml', notesMasterXml());
+  zip.file('ppt/notesMasters/_rels/notesMaster1.xml.rels', relationshipsXml([
+    { id: 'rId1', type: `${REL}/theme`, target: '../theme/theme2.xml' }
+  ]));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+/**
+ * Build a presentation
+ * @param {Array<Object>} slides - [{ background: { data, extension }, textBoxes, notes }]
+ *   with text box geometry in EMU
+ * @param {Object} size - { cx, cy } slide size in EMU (see getSlideSize)
+ * @param {Object} options - { title }
+ * @returns {Promise<Buffer>} - PPTX bytes
+ */
+const buildPresentation = async (slides, size, options = {}) => {
+  const serialized = slides.map(slide => {
+    const media = [];
+    if (slide.background) {
+      media.push({ relId: 'rIdBg', extension: slide.background.extension || 'png', data: slide.background.data });
+    }
+    return {
+      slideXml: slideXml(slide, slide.background ? 'rIdBg' : null),
+      notesXml: slide.notes ? notesXml(slide.notes) : null,
+      media
+    };
+  });
+
+  return packPresentation(serialized, size, options);
+};
+
+/**
+ * Read back the slides of a package written by buildPresentation
+ * @param {Buffer} buffer - PPTX bytes
+ * @returns {Promise<Object>} - { size, title, slides } in packPresentation's input format
+ */
+const readPresentation = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentation = await zip.file('ppt/presentation.xml').async('string');
+  const presentationRels = await zip.file('ppt/_rels/presentation.xml.rels').async('string');
+
+  const sizeMatch = presentation.match(/<p:sldSz cx="(\d+)" cy="(\d+)"/);
+  const targets = {};
+  for (const match of presentationRels.matchAll(/<Relationship Id="([^"]+)" Type="[^"]*\/slide" Target="([^"]+)"/g)) {
+    targets[match[1]] = match[2];
+  }
+
+  const slides = [];
+  for (const match of presentation.matchAll(/<p:sldId id="\d+" r:id="([^"]+)"\/>/g)) {
+    const slidePath = `ppt/${targets[match[1]]}`;
+    const relsPath = slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+    const rels = zip.file(relsPath) ? await zip.file(relsPath).async('string') : '';
+
+    const media = [];
+    let slideNotes = null;
+    for (const rel of rels.matchAll(/<Relationship Id="([^"]+)" Type="([^"]+)" Target="([^"]+)"\/>/g)) {
+      const [, relId, type, target] = rel;
+      const partPath = `ppt/${target.replace(/^\.\.\//, '')}`;
+      if (type.endsWith('/image')) {
+        media.push({ relId, extension: target.split('.').pop(), data: await zip.file(partPath).async('nodebuffer') });
+      } else if (type.endsWith('/notesSlide')) {
+        slideNotes = await zip.file(partPath).async('string');
+      }
+    }
+
+    slides.push({
+      slideXml: await zip.file(slidePath).async('string'),
+      notesXml: slideNotes,
+      media
+    });
+  }
+
+  return {
+    size: sizeMatch ? { cx: parseInt(sizeMatch[1], 10), cy: parseInt(sizeMatch[2], 10) } : null,
+    slides
+  };
+};
+
+/**
+ * Concatenate decks produced by buildPresentation into one presentation
+ * @param {Array<Buffer>} buffers - PPTX packages in slide order
+ * @param {Object} options - { title }
+ * @returns {Promise<Buffer>} - Merged PPTX bytes
+ */
+const mergePresentations = async (buffers, options = {}) => {
+  const decks = [];
+  for (const buffer of buffers) {
+    decks.push(await readPresentation(buffer));
+  }
+
+  // All chunks of one conversion share the slide size of the first page
+  const size = decks.find(deck => deck.size)?.size || { cx: 12192000, cy: 6858000 };
+  return packPresentation(decks.flatMap(deck => deck.slides), size, options);
+};
+
+module.exports = {
+  EMU_PER_POINT,
+  getSlideSize,
+  buildPresentation,
+  readPresentation,
+  mergePresentations
+};
@@ -0,0 +1,380 @@
+/**
+ * Table extraction for PDFSpark
+ *
+ * Rebuilds lines, cell segments and tables from the positioned text items
+ * returned by pdfjsService. PDFs rarely contain real table structure, so
+ * tables are detected from geometry: runs of consecutive lines that split
+ * into two or more horizontally separated segments, with column boundaries
+ * derived from the union of those segments.
+ */
+
+// Fraction of the font size treated as "same line" when comparing baselines
+const LINE_TOLERANCE = 0.5;
+// Horizontal gap (in multiples of the font size) that starts a new cell
+const CELL_GAP_RATIO = 1.0;
+// Vertical gap (in multiples of the line height) that breaks a table apart
+const TABLE_GAP_RATIO = 2.2;
+
+/**
+ * Group text items into lines sorted top to bottom
+ * @param {Array<Object>} items - Positioned text items
+ * @returns {Array<Object>} - [{ y, baseline, height, items }]
+ */
+const groupIntoLines = (items) => {
+  const sorted = items
+    .filter(item => item.str && item.str.trim().length > 0)
+    .sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+
+  const lines = [];
+  for (const item of sorted) {
+    const tolerance = Math.max(item.fontSize, 1) * LINE_TOLERANCE;
+    const line = lines.find(l => Math.abs(l.baseline - item.baseline) <= tolerance);
+    if (line) {
+      line.items.push(item);
+      line.y = Math.min(line.y, item.y);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({
+        y: item.y,
+        baseline: item.baseline,
+        height: item.height,
+        items: [item]
+      });
+    }
+  }
+
+  lines.sort((a, b) => a.baseline - b.baseline);
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines;
+};
+
+/**
+ * Split a line into segments separated by wide horizontal gaps
+ * @param {Object} line - Line from groupIntoLines
+ * @returns {Array<Object>} - [{ x0, x1, text, items }]
+ */
+const splitLineIntoSegments = (line) => {
+  const segments = [];
+  let current = null;
+
+  for (const item of line.items) {
+    const fontSize = Math.max(item.fontSize, 1);
+    if (current && item.x - current.x1 <= fontSize * CELL_GAP_RATIO) {
+      // A small gap inside a segment is a word space
+      const needsSpace = item.x - current.x1 > fontSize * 0.15 &&
+        !current.text.endsWith(' ') && !item.str.startsWith(' ');
+      current.text += (needsSpace ? ' ' : '') + item.str;
+      current.x1 = Math.max(current.x1, item.x + item.width);
+      current.items.push(item);
+    } else {
+      current = {
+        x0: item.x,
+        x1: item.x + item.width,
+        text: item.str,
+        items: [item]
+      };
+      segments.push(current);
+    }
+  }
+
+  segments.forEach(segment => { segment.text = segment.text.trim(); });
+  return segments.filter(segment => segment.text.length > 0);
+};
+
+/**
+ * Build column boundaries from the segments of a table region
+ *
+ * Rows with the most segments define the columns; their intervals are
+ * merged wherever they overlap so slightly misaligned cells still share a
+ * column.
+ * @param {Array<Array<Object>>} rows - Segments per row
+ * @returns {Array<Object>} - [{ x0, x1 }] sorted left to right
+ */
+const buildColumns = (rows) => {
+  const maxSegments = Math.max(...rows.map(r => r.length));
+  const definingRows = rows.filter(r => r.length === maxSegments);
+
+  const intervals = definingRows
+    .flat()
+    .map(s => ({ x0: s.x0, x1: s.x1 }))
+    .sort((a, b) => a.x0 - b.x0);
+
+  const columns = [];
+  for (const interval of intervals) {
+    const last = columns[columns.length - 1];
+    if (last && interval.x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, interval.x1);
+    } else {
+      columns.push({ ...interval });
+    }
+  }
+
+  return columns;
+};
+
+/**
+ * Find the column range a segment covers
+ *
+ * Each column owns the space up to the middle of the gutters around it, so
+ * a heading centred over two columns is recognised as spanning both.
+ * @returns {Object} - { start, end } inclusive column indexes
+ */
+const locateSegment = (segment, columns) => {
+  const covered = [];
+  columns.forEach((col, index) => {
+    const left = index === 0 ? -Infinity : (columns[index - 1].x1 + col.x0) / 2;
+    const right = index === columns.length - 1 ? Infinity : (col.x1 + columns[index + 1].x0) / 2;
+    const overlap = Math.min(segment.x1, right) - Math.max(segment.x0, left);
+    if (overlap > 1) covered.push(index);
+  });
+
+  if (covered.length > 0) {
+    return { start: covered[0], end: covered[covered.length - 1] };
+  }
+  return { start: 0, end: 0 };
+};
+
+/**
+ * Lay the segments of a table region out on a column grid
+ * @param {Array<Object>} regionLines - Lines with their segments
+ * @returns {Object} - { columns, rows: [[{ text, colSpan }|null]], merges }
+ */
+const buildTable = (regionLines) => {
+  const segmentRows = regionLines.map(line => line.segments);
+  const columns = buildColumns(segmentRows);
+  const merges = [];
+
+  const rows = segmentRows.map((segments, rowIndex) => {
+    const cells = new Array(columns.length).fill(null);
+    for (const segment of segments) {
+      const { start, end } = locateSegment(segment, columns);
+      if (cells[start]) {
+        // Two segments landed in the same column: keep reading order
+        cells[start].text += ' ' + segment.text;
+        continue;
+      }
+      cells[start] = {
+        text: segment.text,
+        colSpan: end - start + 1,
+        bold: segment.items.some(item => item.bold)
+      };
+      if (end > start) {
+        merges.push({ row: rowIndex, startCol: start, endCol: end });
+      }
+    }
+    return cells;
+  });
+
+  return {
+    columns,
+    rows,
+    merges,
+    top: regionLines[0].y,
+    bottom: regionLines[regionLines.length - 1].baseline
+  };
+};
+
+/**
+ * Detect tables and free text blocks on a page
+ * @param {Object} pageLayout - { items, width, height } from pdfjsService
+ * @param {Object} options - { minRows, minColumns }
+ * @returns {Array<Object>} - Blocks in reading order: { type: 'table'|'text', ... }
+ */
+const detectTables = (pageLayout, options = {}) => {
+  const minRows = options.minRows || 2;
+  const minColumns = options.minColumns || 2;
+
+  const lines = groupIntoLines(pageLayout.items).map(line => ({
+    ...line,
+    segments: splitLineIntoSegments(line)
+  }));
+
+  const blocks = [];
+  let region = [];
+
+  const flushRegion = () => {
+    if (region.length >= minRows) {
+      const table = buildTable(region);
+      if (table.columns.length >= minColumns) {
+        blocks.push({ type: 'table', ...table });
+        region = [];
+        return;
+      }
+    }
+    // Not enough evidence for a table: keep the lines as plain text
+    region.forEach(line => blocks.push({ type: 'text', text: line.segments.map(s => s.text).join(' '), line }));
+    region = [];
+  };
+
+  // Lines further apart than this don't belong to the same table
+  const isSeparated = (upper, lower) =>
+    lower.y - upper.baseline > Math.max(upper.height, 1) * TABLE_GAP_RATIO;
+
+  lines.forEach((line, index) => {
+    const previous = lines[index - 1];
+    const next = lines[index + 1];
+    const brokenByGap = previous && isSeparated(previous, line);
+
+    if (line.segments.length >= minColumns) {
+      if (brokenByGap && region.length > 0) flushRegion();
+      region.push(line);
+    } else if (line.segments.length === 1 && (region.length === 0 || !brokenByGap) &&
+      next && next.segments.length >= minColumns && !isSeparated(line, next)) {
+      // A single-cell row directly above table rows: a group header spanning
+      // several columns or a section header inside the table
+      if (brokenByGap && region.length > 0) flushRegion();
+      region.push(line);
+    } else {
+      if (region.length > 0) flushRegion();
+      if (line.segments.length > 0) {
+        blocks.push({ type: 'text', text: line.segments.map(s => s.text).join(' '), line });
+      }
+    }
+  });
+
+  if (region.length > 0) flushRegion();
+  return blocks;
+};
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+  may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10,
+  dec: 11, december: 11
+};
+
+/**
+ * Build a UTC date, rejecting impossible days such as 31.02
+ */
+const makeDate = (year, month, day) => {
+  if (year < 100) year += year < 50 ? 2000 : 1900;
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Parse common date notations
+ * @param {String} text - Cell text
+ * @returns {Date|null}
+ */
+const parseDate = (text) => {
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return makeDate(+m[1], +m[2] - 1, +m[3]);
+
+  // Dotted dates are day-first in every locale that uses them
+  m = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+  if (m) return makeDate(+m[3], +m[2] - 1, +m[1]);
+
+  // Slashed dates: month-first unless the first part can't be a month
+  m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (m) {
+    const a = +m[1];
+    const b = +m[2];
+    return a > 12 ? makeDate(+m[3], b - 1, a) : makeDate(+m[3], a - 1, b);
+  }
+
+  m = text.match(/^(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})$/);
+  if (m && MONTHS[m[2].toLowerCase()] !== undefined) {
+    return makeDate(+m[3], MONTHS[m[2].toLowerCase()], +m[1]);
+  }
+
+  m = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (m && MONTHS[m[1].toLowerCase()] !== undefined) {
+    return makeDate(+m[3], MONTHS[m[1].toLowerCase()], +m[2]);
+  }
+
+  return null;
+};
+
+/**
+ * Parse numbers including thousands separators, accounting negatives,
+ * percentages and currency symbols
+ * @param {String} text - Cell text
+ * @returns {Object|null} - { value, numFmt }
+ */
+const parseNumber = (text) => {
+  let s = text.replace(/\s/g, '');
+  let negative = false;
+  let percent = false;
+  let currency = null;
+
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1);
+  }
+  if (s.startsWith('-') || s.startsWith('−')) {
+    negative = !negative;
+    s = s.slice(1);
+  }
+  const currencyMatch = s.match(/^([$€£¥])/) || s.match(/([$€£¥])$/);
+  if (currencyMatch) {
+    currency = currencyMatch[1];
+    s = s.replace(currencyMatch[1], '');
+    if (s.startsWith('-')) {
+      negative = !negative;
+      s = s.slice(1);
+    }
+  }
+  if (s.endsWith('%')) {
+    percent = true;
+    s = s.slice(0, -1);
+  }
+
+  if (!/^\d{1,3}(,\d{3})*(\.\d+)?$|^\d+(\.\d+)?$|^\.\d+$/.test(s)) {
+    return null;
+  }
+
+  let value = parseFloat(s.replace(/,/g, ''));
+  if (Number.isNaN(value)) return null;
+  if (negative) value = -value;
+
+  const decimals = (s.split('.')[1] || '').length;
+  const base = (s.includes(',') ? '#,##0' : '0') + (decimals > 0 ? '.' + '0'.repeat(decimals) : '');
+
+  if (percent) {
+    return { value: value / 100, numFmt: base + '%' };
+  }
+  if (currency) {
+    return { value, numFmt: `"${currency}"${base}` };
+  }
+  return { value, numFmt: s.includes(',') || decimals > 0 ? base : null };
+};
+
+/**
+ * Turn cell text into a typed spreadsheet value
+ * @param {String} text - Cell text
+ * @returns {Object} - { value, type: 'number'|'date'|'string', numFmt }
+ */
+const inferCellValue = (text) => {
+  const trimmed = (text || '').trim();
+  if (trimmed.length === 0) {
+    return { value: null, type: 'string', numFmt: null };
+  }
+
+  const date = parseDate(trimmed);
+  if (date) {
+    return { value: date, type: 'date', numFmt: 'yyyy-mm-dd' };
+  }
+
+  // Leading zeros usually mean an identifier (ZIP code, account number)
+  if (!/^0\d/.test(trimmed)) {
+    const number = parseNumber(trimmed);
+    if (number) {
+      return { value: number.value, type: 'number', numFmt: number.numFmt };
+    }
+  }
+
+  return { value: trimmed, type: 'string', numFmt: null };
+};
+
+module.exports = {
+  groupIntoLines,
+  splitLineIntoSegments,
+  detectTables,
+  inferCellValue,
+  parseDate,
+  parseNumber
+};
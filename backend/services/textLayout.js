@@ -0,0 +1,353 @@
+/**
+ * Plain text layout for PDFSpark
+ *
+ * Turns the positioned text items returned by pdfjsService into plain text.
+ * Three modes are supported:
+ *  - raw: content stream order, exactly as the PDF producer wrote the text
+ *  - reading: top to bottom, with multi-column pages read one column at a time
+ *  - layout: a character grid that keeps columns side by side on the page
+ */
+
+const { groupIntoLines, splitLineIntoSegments } = require('./tableExtractor');
+
+const TEXT_MODES = ['raw', 'reading', 'layout'];
+
+// Minimum width (in points) of an empty vertical band treated as a column gutter
+const MIN_GUTTER_WIDTH = 8;
+// Lines allowed to cross a gutter (titles spanning both columns), as a
+// fraction of all lines with a floor for short pages
+const GUTTER_CROSSING_RATIO = 0.15;
+const MIN_GUTTER_CROSSINGS = 2;
+// Segments needed on each side of a gutter
+const MIN_COLUMN_SEGMENTS = 3;
+// Median segment length (in characters) on each side of a gutter for it to
+// count as prose columns rather than a table
+const MIN_COLUMN_TEXT_LENGTH = 20;
+// Baseline distance (in multiples of the usual line spacing) that starts a paragraph
+const PARAGRAPH_GAP_RATIO = 1.4;
+// Blank lines the layout mode inserts at most for one vertical gap
+const MAX_LAYOUT_BLANK_LINES = 2;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Build a text line record from a list of items or segments on one baseline
+ */
+const makeLine = (parts, text) => ({
+  text,
+  x0: Math.min(...parts.map(part => part.x0 ?? part.x)),
+  x1: Math.max(...parts.map(part => part.x1 ?? part.x + part.width)),
+  baseline: Math.max(...parts.flatMap(part => (part.items || [part]).map(item => item.baseline))),
+  fontSize: median(parts.flatMap(part => (part.items || [part]).map(item => item.fontSize)))
+});
+
+/**
+ * Lines in content stream order, split where pdf.js reports an end of line
+ * @param {Object} pageLayout - Page from pdfjsService.extractPageText
+ * @returns {Array<Array<Object>>} - A single flow of lines
+ */
+const buildRawFlows = (pageLayout) => {
+  const lines = [];
+  let current = [];
+  let text = '';
+
+  const flush = () => {
+    const parts = current.filter(item => item.str.length > 0);
+    if (parts.length > 0 && text.trim()) {
+      lines.push(makeLine(parts, text.replace(/\s+$/, '')));
+    }
+    current = [];
+    text = '';
+  };
+
+  for (const item of pageLayout.items) {
+    const previous = current[current.length - 1];
+    if (previous && item.str && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+      // Items are split at font changes and positioning operators, which are
+      // not always word boundaries; only add a space for a visible gap
+      const fontSize = Math.max(item.fontSize, 1);
+      const sameLine = Math.abs(item.baseline - previous.baseline) <= fontSize * 0.5;
+      if (!sameLine || item.x - (previous.x + previous.width) > fontSize * 0.15) {
+        text += ' ';
+      }
+    }
+    text += item.str;
+    current.push(item);
+    if (item.hasEOL) flush();
+  }
+  flush();
+
+  return lines.length > 0 ? [lines] : [];
+};
+
+/**
+ * Find vertical gutters separating prose columns
+ * @param {Array<Array<Object>>} lineSegments - Segments of every line
+ * @param {Number} pageWidth - Page width in points
+ * @returns {Array<Object>} - [{ start, end }] sorted left to right
+ */
+const findColumnGutters = (lineSegments, pageWidth) => {
+  const segments = lineSegments.flat();
+  if (segments.length === 0 || !lineSegments.some(line => line.length > 1)) {
+    return [];
+  }
+
+  const width = Math.ceil(pageWidth) + 1;
+  const coverage = new Uint16Array(width);
+  for (const segment of segments) {
+    const start = Math.max(0, Math.floor(segment.x0));
+    const end = Math.min(width - 1, Math.ceil(segment.x1));
+    for (let x = start; x <= end; x++) coverage[x]++;
+  }
+
+  const left = Math.floor(Math.min(...segments.map(s => s.x0)));
+  const right = Math.ceil(Math.max(...segments.map(s => s.x1)));
+  const threshold = Math.max(MIN_GUTTER_CROSSINGS, Math.floor(lineSegments.length * GUTTER_CROSSING_RATIO));
+
+  const gutters = [];
+  let start = null;
+  for (let x = left + 1; x < right; x++) {
+    if (coverage[x] <= threshold) {
+      if (start === null) start = x;
+    } else if (start !== null) {
+      if (x - start >= MIN_GUTTER_WIDTH) gutters.push({ start, end: x });
+      start = null;
+    }
+  }
+
+  // Tables leave gutters too; columns of prose have long lines on both sides
+  const isProse = (parts) => parts.length >= MIN_COLUMN_SEGMENTS &&
+    median(parts.map(segment => segment.text.length)) >= MIN_COLUMN_TEXT_LENGTH;
+
+  return gutters
+    .map((gutter, index) => {
+      const previousEnd = index > 0 ? gutters[index - 1].end : -Infinity;
+      const nextStart = index < gutters.length - 1 ? gutters[index + 1].start : Infinity;
+      // The run may include the tails of the few lines allowed to cross it,
+      // so split at its middle and shrink it to the column edges
+      const middle = (gutter.start + gutter.end) / 2;
+      const leftSide = segments.filter(s => s.x1 <= middle && s.x0 >= previousEnd);
+      const rightSide = segments.filter(s => s.x0 >= middle && s.x1 <= nextStart);
+      if (!isProse(leftSide) || !isProse(rightSide)) return null;
+      return {
+        start: Math.max(...leftSide.map(s => s.x1)),
+        end: Math.min(...rightSide.map(s => s.x0))
+      };
+    })
+    .filter(gutter => gutter && gutter.end - gutter.start >= MIN_GUTTER_WIDTH);
+};
+
+/**
+ * Lines in reading order. Multi-column regions are emitted column by column;
+ * lines reaching into a gutter (titles, full-width paragraphs) end the region.
+ * @param {Object} pageLayout - Page from pdfjsService.extractPageText
+ * @returns {Array<Array<Object>>} - Flows of lines, each read top to bottom
+ */
+const buildReadingFlows = (pageLayout) => {
+  const lines = groupIntoLines(pageLayout.items);
+  const lineSegments = lines.map(splitLineIntoSegments);
+  const gutters = findColumnGutters(lineSegments, pageLayout.width);
+
+  const joinSegments = (segments) => makeLine(segments, segments.map(s => s.text).join(' '));
+
+  if (gutters.length === 0) {
+    const flow = lineSegments.filter(segments => segments.length > 0).map(joinSegments);
+    return flow.length > 0 ? [flow] : [];
+  }
+
+  const columnOf = (segment) => {
+    const centre = (segment.x0 + segment.x1) / 2;
+    const index = gutters.findIndex(gutter => centre < gutter.start);
+    return index === -1 ? gutters.length : index;
+  };
+  // Anything reaching into a gutter spans the columns
+  const crossesGutter = (segment) =>
+    gutters.some(gutter => segment.x0 < gutter.end && segment.x1 > gutter.start);
+
+  const flows = [];
+  let columns = gutters.map(() => []).concat([[]]);
+  let fullWidth = [];
+
+  const flushColumns = () => {
+    columns.filter(column => column.length > 0).forEach(column => flows.push(column));
+    columns = columns.map(() => []);
+  };
+
+  for (const segments of lineSegments) {
+    if (segments.length === 0) continue;
+
+    if (segments.some(crossesGutter)) {
+      flushColumns();
+      fullWidth.push(joinSegments(segments));
+      continue;
+    }
+
+    if (fullWidth.length > 0) {
+      flows.push(fullWidth);
+      fullWidth = [];
+    }
+
+    const byColumn = new Map();
+    for (const segment of segments) {
+      const index = columnOf(segment);
+      if (!byColumn.has(index)) byColumn.set(index, []);
+      byColumn.get(index).push(segment);
+    }
+    byColumn.forEach((parts, index) => columns[index].push(joinSegments(parts)));
+  }
+
+  flushColumns();
+  if (fullWidth.length > 0) flows.push(fullWidth);
+
+  return flows;
+};
+
+/**
+ * Split a flow of lines into paragraphs using vertical gaps, font size
+ * changes and first-line indents
+ * @param {Array<Object>} lines - Lines of one flow, top to bottom
+ * @returns {Array<Array<Object>>} - Paragraphs
+ */
+const splitParagraphs = (lines) => {
+  const spacings = [];
+  for (let i = 1; i < lines.length; i++) {
+    const spacing = lines[i].baseline - lines[i - 1].baseline;
+    if (spacing > 0) spacings.push(spacing);
+  }
+  const fontSize = median(lines.map(line => line.fontSize)) || 10;
+  const lineSpacing = Math.max(median(spacings), fontSize);
+  const leftEdge = median(lines.map(line => line.x0));
+
+  const paragraphs = [];
+  let current = [];
+  lines.forEach((line, index) => {
+    const previous = lines[index - 1];
+    if (previous) {
+      const spacing = line.baseline - previous.baseline;
+      const indent = line.x0 - leftEdge;
+      const startsParagraph =
+        spacing <= 0 ||
+        spacing > lineSpacing * PARAGRAPH_GAP_RATIO ||
+        Math.abs(line.fontSize - previous.fontSize) > 1 ||
+        (indent > line.fontSize && previous.x0 - leftEdge <= line.fontSize * 0.5);
+      if (startsParagraph) {
+        paragraphs.push(current);
+        current = [];
+      }
+    }
+    current.push(line);
+  });
+  if (current.length > 0) paragraphs.push(current);
+
+  return paragraphs;
+};
+
+/**
+ * Join wrapped lines into one, mending words hyphenated at the line end
+ */
+const unwrapLines = (texts) => texts.reduce((joined, text) => {
+  if (!joined) return text;
+  if (/\p{L}-$/u.test(joined) && /^\p{Ll}/u.test(text)) {
+    return joined.slice(0, -1) + text;
+  }
+  return `${joined} ${text}`;
+}, '');
+
+/**
+ * Format flows of lines as text
+ * @param {Array<Array<Object>>} flows - Output of buildRawFlows/buildReadingFlows
+ * @param {Object} options - { preserveLineBreaks, detectParagraphs }
+ * @returns {String}
+ */
+const formatFlows = (flows, options) => {
+  const blocks = [];
+  for (const flow of flows) {
+    const paragraphs = options.detectParagraphs ? splitParagraphs(flow) : [flow];
+    for (const paragraph of paragraphs) {
+      const texts = paragraph.map(line => line.text.trim()).filter(Boolean);
+      if (texts.length === 0) continue;
+      blocks.push(options.preserveLineBreaks ? texts.join('\n') : unwrapLines(texts));
+    }
+  }
+  // Paragraphs are set apart by a blank line, plain lines follow each other
+  return blocks.join(options.detectParagraphs ? '\n\n' : '\n');
+};
+
+/**
+ * Render a page on a character grid so that columns and indentation keep
+ * their horizontal position, with blank lines standing in for vertical gaps
+ * @param {Object} pageLayout - Page from pdfjsService.extractPageText
+ * @returns {String}
+ */
+const renderLayoutText = (pageLayout) => {
+  const lines = groupIntoLines(pageLayout.items);
+  if (lines.length === 0) return '';
+
+  const charWidths = pageLayout.items
+    .filter(item => item.str.trim().length > 0 && item.width > 0)
+    .map(item => item.width / item.str.length);
+  const charWidth = median(charWidths) || 5;
+  const leftEdge = Math.min(...lines.map(line => line.items[0].x));
+  const lineSpacing = Math.max(
+    median(lines.slice(1).map((line, i) => line.baseline - lines[i].baseline)),
+    median(lines.map(line => line.height)) || 10
+  );
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      const gap = (line.baseline - lines[index - 1].baseline) / lineSpacing;
+      const blanks = Math.min(Math.round(gap) - 1, MAX_LAYOUT_BLANK_LINES);
+      for (let i = 0; i < blanks; i++) rows.push('');
+    }
+
+    let row = '';
+    for (const segment of splitLineIntoSegments(line)) {
+      const column = Math.max(0, Math.round((segment.x0 - leftEdge) / charWidth));
+      // Keep separate segments visibly apart even when the grid is tight
+      const start = row.length === 0 ? column : Math.max(column, row.length + 2);
+      row = row.padEnd(start) + segment.text;
+    }
+    rows.push(row.replace(/\s+$/, ''));
+  });
+
+  return rows.join('\n');
+};
+
+/**
+ * Extract the text of one page
+ * @param {Object} pageLayout - Page from pdfjsService.extractPageText
+ * @param {Object} options - { mode, preserveLineBreaks, detectParagraphs }
+ * @returns {String}
+ */
+const formatPageText = (pageLayout, options = {}) => {
+  const mode = options.mode || 'reading';
+  const formatOptions = {
+    preserveLineBreaks: options.preserveLineBreaks !== false,
+    detectParagraphs: options.detectParagraphs !== false
+  };
+
+  switch (mode) {
+    case 'raw':
+      return formatFlows(buildRawFlows(pageLayout), formatOptions);
+    case 'reading':
+      return formatFlows(buildReadingFlows(pageLayout), formatOptions);
+    case 'layout':
+      // The layout already shows line breaks and paragraph spacing
+      return renderLayoutText(pageLayout);
+    default:
+      throw new Error(`Unsupported text extraction mode: ${mode}`);
+  }
+};
+
+module.exports = {
+  TEXT_MODES,
+  formatPageText,
+  findColumnGutters,
+  splitParagraphs,
+  unwrapLines
+};
@@ -0,0 +1,204 @@
+/**
+ * Multi-page TIFF assembly for PDFSpark
+ *
+ * sharp writes one TIFF per image and can only build multi-page files from
+ * pages of equal size, so rendered pages are encoded one by one and their
+ * image file directories (IFDs) are chained into a single little-endian TIFF
+ * here. Strip and tile data are copied as they are, so the compression chosen
+ * for each page is kept.
+ */
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+const TAG_NEW_SUBFILE_TYPE = 254;
+const TAG_STRIP_OFFSETS = 273;
+const TAG_STRIP_BYTE_COUNTS = 279;
+const TAG_PAGE_NUMBER = 297;
+const TAG_TILE_OFFSETS = 324;
+const TAG_TILE_BYTE_COUNTS = 325;
+// Pointers to structures that are not copied (sub-IFDs, EXIF, GPS, interop)
+const DROPPED_TAGS = new Set([330, 34665, 34853, 40965]);
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+/**
+ * Reader for one TIFF buffer in either byte order
+ */
+const createReader = (buffer) => {
+  const order = buffer.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') {
+    throw new Error('Not a TIFF file');
+  }
+  const little = order === 'II';
+  const reader = {
+    u16: (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset)),
+    u32: (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset)),
+    little
+  };
+  if (reader.u16(2) !== 42) {
+    throw new Error('Unsupported TIFF variant (BigTIFF is not supported)');
+  }
+  return reader;
+};
+
+/**
+ * Read a field value as raw bytes converted to little-endian
+ */
+const readFieldBytes = (buffer, reader, type, count, valueOffset) => {
+  const size = TYPE_SIZES[type] || 1;
+  const bytes = Buffer.from(buffer.subarray(valueOffset, valueOffset + size * count));
+  if (!reader.little && size > 1) {
+    // Rationals are pairs of 4-byte integers
+    const unit = type === 5 || type === 10 ? 4 : size;
+    for (let i = 0; i < bytes.length; i += unit) {
+      bytes.subarray(i, i + unit).reverse();
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Read every IFD of a TIFF buffer
+ * @returns {Array<Object>} - { entries: [{ tag, type, count, bytes }], blocks, offsetsTag } per page
+ */
+const readDirectories = (buffer) => {
+  const reader = createReader(buffer);
+  const directories = [];
+  const visited = new Set();
+  let offset = reader.u32(4);
+
+  while (offset !== 0 && offset < buffer.length && !visited.has(offset)) {
+    visited.add(offset);
+    const entryCount = reader.u16(offset);
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+      const entryOffset = offset + 2 + i * 12;
+      const tag = reader.u16(entryOffset);
+      const type = reader.u16(entryOffset + 2);
+      const count = reader.u32(entryOffset + 4);
+      const size = (TYPE_SIZES[type] || 1) * count;
+      const valueOffset = size > 4 ? reader.u32(entryOffset + 8) : entryOffset + 8;
+      entries.push({ tag, type, count, bytes: readFieldBytes(buffer, reader, type, count, valueOffset) });
+    }
+
+    // Pull the image data in now, the offsets are rewritten on output
+    const numbers = (entry) => {
+      const values = [];
+      for (let i = 0; i < entry.count; i++) {
+        values.push(entry.type === TYPE_SHORT ? entry.bytes.readUInt16LE(i * 2) : entry.bytes.readUInt32LE(i * 4));
+      }
+      return values;
+    };
+    const offsets = entries.find(e => e.tag === TAG_STRIP_OFFSETS || e.tag === TAG_TILE_OFFSETS);
+    const counts = entries.find(e => e.tag === TAG_STRIP_BYTE_COUNTS || e.tag === TAG_TILE_BYTE_COUNTS);
+    if (!offsets || !counts) {
+      throw new Error('TIFF page has no image data');
+    }
+    const byteCounts = numbers(counts);
+    const blocks = numbers(offsets).map((start, i) => buffer.subarray(start, start + byteCounts[i]));
+
+    directories.push({ entries, blocks, offsetsTag: offsets.tag });
+    offset = reader.u32(offset + 2 + entryCount * 12);
+  }
+
+  return directories;
+};
+
+const shortField = (tag, values) => {
+  const bytes = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => bytes.writeUInt16LE(value, i * 2));
+  return { tag, type: TYPE_SHORT, count: values.length, bytes };
+};
+
+const longField = (tag, values) => {
+  const bytes = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => bytes.writeUInt32LE(value, i * 4));
+  return { tag, type: TYPE_LONG, count: values.length, bytes };
+};
+
+/**
+ * Combine TIFF files into one multi-page TIFF
+ * @param {Array<Buffer>} buffers - TIFF files, each with one or more pages
+ * @returns {Buffer} - Little-endian multi-page TIFF
+ */
+const combineTiffPages = (buffers) => {
+  const directories = buffers.flatMap(readDirectories);
+  if (directories.length === 0) {
+    throw new Error('No TIFF pages to combine');
+  }
+
+  const chunks = [];
+  let length = 0;
+  const append = (bytes) => {
+    const offset = length;
+    chunks.push(bytes);
+    length += bytes.length;
+    // Keep everything on word boundaries
+    if (length % 2 === 1) {
+      chunks.push(Buffer.alloc(1));
+      length++;
+    }
+    return offset;
+  };
+
+  const header = Buffer.alloc(8);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  append(header);
+
+  // Offset fields that must point at the next IFD, patched once it is written
+  let previousNextPointer = { bytes: header, position: 4 };
+
+  directories.forEach((directory, pageIndex) => {
+    const blockOffsets = directory.blocks.map(block => append(block));
+
+    const entries = directory.entries
+      .filter(entry => !DROPPED_TAGS.has(entry.tag) &&
+        entry.tag !== directory.offsetsTag &&
+        entry.tag !== TAG_NEW_SUBFILE_TYPE &&
+        entry.tag !== TAG_PAGE_NUMBER)
+      .concat([
+        longField(directory.offsetsTag, blockOffsets),
+        longField(TAG_NEW_SUBFILE_TYPE, [directories.length > 1 ? 2 : 0]),
+        shortField(TAG_PAGE_NUMBER, [pageIndex, directories.length])
+      ])
+      .sort((a, b) => a.tag - b.tag);
+
+    // Values larger than 4 bytes live outside the directory
+    const valueOffsets = entries.map(entry => (entry.bytes.length > 4 ? append(entry.bytes) : null));
+
+    const ifd = Buffer.alloc(2 + entries.length * 12 + 4);
+    ifd.writeUInt16LE(entries.length, 0);
+    entries.forEach((entry, i) => {
+      const position = 2 + i * 12;
+      ifd.writeUInt16LE(entry.tag, position);
+      ifd.writeUInt16LE(entry.type, position + 2);
+      ifd.writeUInt32LE(entry.count, position + 4);
+      if (valueOffsets[i] !== null) {
+        ifd.writeUInt32LE(valueOffsets[i], position + 8);
+      } else {
+        entry.bytes.copy(ifd, position + 8);
+      }
+    });
+
+    const ifdOffset = append(ifd);
+    previousNextPointer.bytes.writeUInt32LE(ifdOffset, previousNextPointer.position);
+    previousNextPointer = { bytes: ifd, position: ifd.length - 4 };
+  });
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Count the pages of a TIFF file
+ * @param {Buffer} buffer - TIFF file
+ * @returns {Number}
+ */
+const countTiffPages = (buffer) => readDirectories(buffer).length;
+
+module.exports = {
+  combineTiffPages,
+  countTiffPages
+};
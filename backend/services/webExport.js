@@ -0,0 +1,463 @@
+/**
+ * Web export for PDFSpark
+ *
+ * Rebuilds the structure of a PDF from its positioned text (headings,
+ * paragraphs, lists and tables) and writes it as HTML or Markdown. PDFs
+ * rarely tag their structure, so it is inferred from the layout:
+ *  - headings are short paragraphs set larger than the body text, or bold
+ *    lines at body size
+ *  - list items start with a bullet or an item number
+ *  - tables come from tableExtractor
+ * Images are extracted to an assets folder. Every export is a ZIP bundle with
+ * the document at its root, which keeps the layout fixed so that
+ * mergeWebBundles() can stitch the bundles of several chunks together.
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { detectTables } = require('./tableExtractor');
+const { splitParagraphs, unwrapLines } = require('./textLayout');
+
+const WEB_FORMATS = ['html', 'md'];
+const DOCUMENT_FILES = { html: 'index.html', md: 'index.md' };
+const ASSETS_FOLDER = 'assets';
+
+// Font size (relative to the body text) from which a paragraph is a heading of each level
+const HEADING_RATIOS = [1.6, 1.3, 1.1];
+// Headings are short, longer paragraphs set large are lead text
+const MAX_HEADING_LINES = 3;
+const MAX_HEADING_LENGTH = 200;
+// Bold lines at body size become the lowest heading level only when this short
+const MAX_BOLD_HEADING_LENGTH = 100;
+
+const BULLET_PATTERN = /^[•◦▪▫■□●○‣⁃∙·*\-–—]\s+/;
+const ORDERED_PATTERN = /^(\d{1,3}|[a-z])[.)]\s+/;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Font size most of the text is set in, weighted by character count
+ * @param {Array<Object>} pages - Pages from pdfjsService.extractDocumentLayout
+ * @returns {Number}
+ */
+const findBodyFontSize = (pages) => {
+  const sizes = pages
+    .flatMap(page => page.items)
+    .filter(item => item.str.trim() && item.fontSize > 0)
+    .map(item => ({ size: item.fontSize, weight: item.str.trim().length }))
+    .sort((a, b) => a.size - b.size);
+
+  const total = sizes.reduce((sum, entry) => sum + entry.weight, 0);
+  let seen = 0;
+  for (const entry of sizes) {
+    seen += entry.weight;
+    if (seen >= total / 2) return entry.size;
+  }
+  return 10;
+};
+
+/**
+ * Turn a text line detected by tableExtractor into a line record for splitParagraphs
+ */
+const toLine = (block) => {
+  const items = block.line.items;
+  return {
+    text: block.text,
+    x0: Math.min(...items.map(item => item.x)),
+    x1: Math.max(...items.map(item => item.x + item.width)),
+    baseline: block.line.baseline,
+    fontSize: median(items.map(item => item.fontSize)),
+    bold: items.every(item => item.bold || !item.str.trim()),
+    items
+  };
+};
+
+/**
+ * Recognise the list marker a line starts with
+ * @param {String} text - Line text
+ * @returns {Object|null} - { ordered, start, length } or null
+ */
+const matchListMarker = (text) => {
+  const bullet = text.match(BULLET_PATTERN);
+  if (bullet) {
+    return { ordered: false, start: null, length: bullet[0].length };
+  }
+  const ordered = text.match(ORDERED_PATTERN);
+  if (ordered) {
+    const start = /^\d/.test(ordered[1]) ? parseInt(ordered[1], 10) : ordered[1].charCodeAt(0) - 96;
+    return { ordered: true, start, length: ordered[0].length };
+  }
+  return null;
+};
+
+/**
+ * Classify one paragraph of lines as a heading, list item or paragraph
+ * @param {Array<Object>} lines - Lines of the paragraph
+ * @param {Number} bodyFontSize - Font size of the body text
+ * @returns {Object} - Block, keeping its lines for writers that need the runs
+ */
+const classifyParagraph = (lines, bodyFontSize) => {
+  const marker = matchListMarker(lines[0].text.trim());
+  if (marker) {
+    const texts = lines.map(line => line.text.trim());
+    texts[0] = texts[0].slice(marker.length);
+    return { type: 'listItem', ordered: marker.ordered, start: marker.start, text: unwrapLines(texts), lines };
+  }
+
+  const text = unwrapLines(lines.map(line => line.text.trim()));
+  const ratio = median(lines.map(line => line.fontSize)) / bodyFontSize;
+
+  if (lines.length <= MAX_HEADING_LINES && text.length <= MAX_HEADING_LENGTH) {
+    const level = HEADING_RATIOS.findIndex(threshold => ratio >= threshold);
+    if (level !== -1) {
+      return { type: 'heading', level: level + 1, text, lines };
+    }
+    const boldLine = lines.length === 1 && lines[0].bold && Math.abs(ratio - 1) < 0.1;
+    if (boldLine && text.length <= MAX_BOLD_HEADING_LENGTH && !/[.,;:]$/.test(text)) {
+      return { type: 'heading', level: HEADING_RATIOS.length + 1, text, lines };
+    }
+  }
+
+  return { type: 'paragraph', text, lines };
+};
+
+/**
+ * Split a run of text lines into classified blocks
+ *
+ * Paragraphs are split further wherever a line starts with a list marker,
+ * so every list item becomes a block of its own.
+ */
+const buildTextBlocks = (lines, bodyFontSize) => {
+  const blocks = [];
+  for (const paragraph of splitParagraphs(lines)) {
+    let current = [];
+    paragraph.forEach(line => {
+      if (current.length > 0 && matchListMarker(line.text.trim())) {
+        blocks.push(classifyParagraph(current, bodyFontSize));
+        current = [];
+      }
+      current.push(line);
+    });
+    if (current.length > 0) {
+      blocks.push(classifyParagraph(current, bodyFontSize));
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Convert a table detected by tableExtractor into a table block
+ *
+ * The first row is a header when all of its cells are bold.
+ */
+const buildTableBlock = (table) => {
+  const rows = table.rows.map(cells => {
+    const row = [];
+    let covered = 0;
+    cells.forEach(cell => {
+      if (covered > 0) {
+        covered -= 1;
+        return;
+      }
+      row.push({ text: cell ? cell.text : '', colSpan: cell ? cell.colSpan : 1, bold: !!cell?.bold });
+      covered = cell ? cell.colSpan - 1 : 0;
+    });
+    return row;
+  });
+
+  const firstRow = rows[0].filter(cell => cell.text);
+  const hasHeader = rows.length > 1 && firstRow.length > 0 && firstRow.every(cell => cell.bold);
+  return { type: 'table', columnCount: table.columns.length, hasHeader, rows };
+};
+
+/**
+ * Rebuild the structure of a document
+ *
+ * Pages are read top to bottom with tables and images in place. Identical
+ * images (logos repeated on every page) share one asset.
+ * @param {Array<Object>} pages - Pages from extractDocumentLayout with images
+ * @param {Object} options - { pageOffset } added to page numbers in asset names
+ * @returns {Object} - { blocks, assets: [{ name, data }], title }
+ */
+const buildDocumentBlocks = (pages, options = {}) => {
+  const pageOffset = options.pageOffset || 0;
+  const bodyFontSize = findBodyFontSize(pages);
+  const assets = [];
+  const assetsByHash = new Map();
+  const blocks = [];
+
+  for (const page of pages) {
+    const pageNumber = page.pageNumber + pageOffset;
+    const entries = detectTables(page).map(block => (block.type === 'table'
+      ? { top: block.top, table: block }
+      : { top: block.line.y, line: toLine(block) }));
+
+    (page.images || []).forEach((image, index) => {
+      const hash = crypto.createHash('sha1').update(image.png).digest('hex');
+      let name = assetsByHash.get(hash);
+      if (!name) {
+        name = `${ASSETS_FOLDER}/page-${pageNumber}-image-${index + 1}.png`;
+        assetsByHash.set(hash, name);
+        assets.push({ name, data: image.png });
+      }
+      entries.push({
+        top: image.y,
+        image: { type: 'image', src: name, alt: `Image on page ${pageNumber}`, width: image.width, height: image.height }
+      });
+    });
+
+    // Stable sort keeps the reading order of lines sharing a top edge
+    entries.sort((a, b) => a.top - b.top);
+
+    let run = [];
+    const flushRun = () => {
+      if (run.length > 0) blocks.push(...buildTextBlocks(run, bodyFontSize));
+      run = [];
+    };
+    for (const entry of entries) {
+      if (entry.line) {
+        run.push(entry.line);
+        continue;
+      }
+      flushRun();
+      blocks.push(entry.table ? buildTableBlock(entry.table) : entry.image);
+    }
+    flushRun();
+  }
+
+  // Consecutive items of the same kind form one list
+  const merged = [];
+  for (const block of blocks) {
+    const previous = merged[merged.length - 1];
+    if (block.type !== 'listItem') {
+      merged.push(block);
+    } else if (previous?.type === 'list' && previous.ordered === block.ordered) {
+      previous.items.push(block.text);
+    } else {
+      merged.push({ type: 'list', ordered: block.ordered, start: block.start || 1, items: [block.text] });
+    }
+  }
+
+  const firstHeading = merged.find(block => block.type === 'heading');
+  return { blocks: merged, assets, title: firstHeading ? firstHeading.text : null };
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeHtml = (text) => String(text)
+  .replace(/&quot;/g, '"')
+  .replace(/&gt;/g, '>')
+  .replace(/&lt;/g, '<')
+  .replace(/&amp;/g, '&');
+
+// CSS pixels per PDF point
+const PX_PER_POINT = 96 / 72;
+
+/**
+ * Render blocks as the HTML of the document body
+ */
+const renderHtmlBlocks = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      const items = block.items.map(item => `  <li>${escapeHtml(item)}</li>`).join('\n');
+      return `<${tag}${start}>\n${items}\n</${tag}>`;
+    }
+    case 'table': {
+      const renderRow = (row, cellTag) => {
+        const cells = row.map(cell => {
+          const span = cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : '';
+          return `<${cellTag}${span}>${escapeHtml(cell.text)}</${cellTag}>`;
+        });
+        return `    <tr>${cells.join('')}</tr>`;
+      };
+      const bodyRows = block.hasHeader ? block.rows.slice(1) : block.rows;
+      const head = block.hasHeader ? `  <thead>\n${renderRow(block.rows[0], 'th')}\n  </thead>\n` : '';
+      return `<table>\n${head}  <tbody>\n${bodyRows.map(row => renderRow(row, 'td')).join('\n')}\n  </tbody>\n</table>`;
+    }
+    case 'image':
+      return `<figure><img src="${escapeHtml(block.src)}" alt="${escapeHtml(block.alt)}" ` +
+        `width="${Math.round(block.width * PX_PER_POINT)}" height="${Math.round(block.height * PX_PER_POINT)}"></figure>`;
+    default:
+      return `<p>${escapeHtml(block.text)}</p>`;
+  }
+}).join('\n');
+
+/**
+ * Wrap body HTML in a standalone document
+ * @param {String} body - HTML of the content
+ * @param {String} title - Document title
+ * @returns {String}
+ */
+const renderHtmlDocument = (body, title) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="PDFSpark">
+<title>${escapeHtml(title || 'Document')}</title>
+<style>
+body { max-width: 50rem; margin: 2rem auto; padding: 0 1rem; font-family: system-ui, sans-serif; line-height: 1.5; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; }
+figure { margin: 1rem 0; }
+img { max-width: 100%; height: auto; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+
+/**
+ * Escape Markdown syntax in running text
+ */
+const escapeMarkdown = (text) => String(text)
+  .replace(/([\\`*_[\]<])/g, '\\$1')
+  // Only a marker at the start of a line means a heading, quote or list
+  .replace(/^(#|>|[-+]\s)/, '\\$1')
+  .replace(/^(\d+)([.)]\s)/, '$1\\$2');
+
+/**
+ * Render blocks as Markdown (GitHub flavoured tables)
+ */
+const renderMarkdownBlocks = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+    case 'list':
+      return block.items
+        .map((item, index) => `${block.ordered ? `${block.start + index}.` : '-'} ${escapeMarkdown(item)}`)
+        .join('\n');
+    case 'table': {
+      // Markdown has no spanning cells, the text goes in the first column it covers
+      const renderRow = (row) => {
+        const cells = row.flatMap(cell => [
+          escapeMarkdown(cell.text).replace(/\|/g, '\\|'),
+          ...new Array(cell.colSpan - 1).fill('')
+        ]);
+        while (cells.length < block.columnCount) cells.push('');
+        return `| ${cells.join(' | ')} |`;
+      };
+      // Every Markdown table has a header row; an empty one stands in if the PDF had none
+      const header = block.hasHeader
+        ? renderRow(block.rows[0])
+        : `|${' |'.repeat(block.columnCount)}`;
+      const separator = `|${' --- |'.repeat(block.columnCount)}`;
+      const bodyRows = block.hasHeader ? block.rows.slice(1) : block.rows;
+      return [header, separator, ...bodyRows.map(renderRow)].join('\n');
+    }
+    case 'image':
+      return `![${escapeMarkdown(block.alt)}](${block.src})`;
+    default:
+      return escapeMarkdown(block.text);
+  }
+}).join('\n\n');
+
+/**
+ * Write a web export bundle
+ * @param {Object} structure - Output of buildDocumentBlocks
+ * @param {String} format - "html" or "md"
+ * @param {Object} options - { title } overriding the detected title
+ * @returns {Promise<Buffer>} - ZIP bytes
+ */
+const buildWebBundle = async (structure, format, options = {}) => {
+  if (!WEB_FORMATS.includes(format)) {
+    throw new Error(`Unsupported web format: ${format}`);
+  }
+
+  const title = options.title || structure.title;
+  const zip = new JSZip();
+  zip.file(DOCUMENT_FILES[format], format === 'html'
+    ? renderHtmlDocument(renderHtmlBlocks(structure.blocks), title)
+    : `${renderMarkdownBlocks(structure.blocks)}\n`);
+  // Assets always get a folder, so links resolve even before the first image
+  zip.folder(ASSETS_FOLDER);
+  structure.assets.forEach(asset => zip.file(asset.name, asset.data));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+/**
+ * Concatenate bundles written by buildWebBundle, in document order
+ *
+ * Asset names carry their page number, so the assets of different chunks
+ * never collide. The HTML title is taken from the first bundle.
+ * @param {Array<Buffer>} buffers - ZIP bundles
+ * @param {String} format - "html" or "md"
+ * @returns {Promise<Buffer>} - Merged ZIP bytes
+ */
+const mergeWebBundles = async (buffers, format) => {
+  const documentFile = DOCUMENT_FILES[format];
+  if (!documentFile) {
+    throw new Error(`Unsupported web format: ${format}`);
+  }
+
+  const merged = new JSZip();
+  merged.folder(ASSETS_FOLDER);
+  const parts = [];
+  let title = null;
+
+  for (const buffer of buffers) {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentEntry = zip.file(documentFile);
+    if (!documentEntry) {
+      throw new Error(`Bundle has no ${documentFile}`);
+    }
+
+    const content = await documentEntry.async('string');
+    if (format === 'html') {
+      const start = content.indexOf('<main>\n');
+      const end = content.lastIndexOf('\n</main>');
+      if (start === -1 || end === -1) {
+        throw new Error('Bundle HTML has no <main> element');
+      }
+      const titleMatch = content.match(/<title>([^<]*)<\/title>/);
+      title = title || (titleMatch && unescapeHtml(titleMatch[1]));
+      parts.push(content.slice(start + '<main>\n'.length, end));
+    } else {
+      parts.push(content.trim());
+    }
+
+    for (const entry of Object.values(zip.files)) {
+      if (!entry.dir && entry.name.startsWith(`${ASSETS_FOLDER}/`)) {
+        merged.file(entry.name, await entry.async('nodebuffer'));
+      }
+    }
+  }
+
+  const nonEmpty = parts.filter(Boolean);
+  merged.file(documentFile, format === 'html'
+    ? renderHtmlDocument(nonEmpty.join('\n'), title)
+    : `${nonEmpty.join('\n\n')}\n`);
+
+  return merged.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  WEB_FORMATS,
+  DOCUMENT_FILES,
+  findBodyFontSize,
+  toLine,
+  buildTextBlocks,
+  buildTableBlock,
+  buildDocumentBlocks,
+  buildWebBundle,
+  mergeWebBundles,
+  renderHtmlBlocks,
+  renderMarkdownBlocks
+};
@@ -0,0 +1,120 @@
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { extractDocumentLayout } = require('../../services/pdfjsService');
+const { findRunningLines, buildWordDocument } = require('../../services/docxBuilder');
+
+// Create a report with a running head and page numbers; the first page holds
+// styled text, a table and a logo, the others two columns of prose
+const createReportPdf = async (pageCount = 3, firstPrintedNumber = 1) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const italic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+  const logo = await pdfDoc.embedPng(
+    await sharp({ create: { width: 100, height: 50, channels: 3, background: '#3a86ff' } }).png().toBuffer()
+  );
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const page = pdfDoc.addPage([595, 842]);
+    page.drawText('ACME Corp', { x: 56, y: 810, size: 9, font });
+    page.drawText('Quarterly report', { x: 539 - font.widthOfTextAtSize('Quarterly report', 9), y: 810, size: 9, font });
+    const footer = `Page ${pageNumber + firstPrintedNumber - 1} of ${pageCount}`;
+    page.drawText(footer, { x: 297.5 - font.widthOfTextAtSize(footer, 9) / 2, y: 30, size: 9, font });
+
+    let y = 740;
+    if (pageNumber === 1) {
+      page.drawText('Results', { x: 56, y, size: 20, font: bold });
+      y -= 30;
+      page.drawText('Sales were ', { x: 56, y, size: 10, font });
+      page.drawText('strong', { x: 56 + font.widthOfTextAtSize('Sales were ', 10), y, size: 10, font: bold });
+      y -= 13;
+      page.drawText('more of the same.', { x: 56, y, size: 10, font: italic });
+      y -= 40;
+      [['Region', 'Sales'], ['North', '1,200'], ['South', '900']].forEach((cells, row) => {
+        cells.forEach((text, column) => {
+          page.drawText(text, { x: 56 + column * 200, y, size: 10, font: row === 0 ? bold : font });
+        });
+        y -= 15;
+      });
+      page.drawImage(logo, { x: 56, y: y - 80, width: 100, height: 50 });
+    } else {
+      for (let line = 0; line < 8; line++) {
+        page.drawText(`Left column line ${line} with some prose text`, { x: 56, y, size: 10, font });
+        page.drawText(`Right column line ${line} with more prose`, { x: 310, y, size: 10, font });
+        y -= 13;
+      }
+    }
+  }
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+const readPart = async (buffer, name) => (await JSZip.loadAsync(buffer)).file(name).async('string');
+
+describe('DOCX Builder', () => {
+  let pages;
+
+  beforeAll(async () => {
+    pages = (await extractDocumentLayout(await createReportPdf(), { includeImages: true })).pages;
+  });
+
+  describe('findRunningLines function', () => {
+    it('should find running heads and turn page numbers into fields', () => {
+      const running = findRunningLines(pages);
+
+      expect(running.header).toHaveLength(1);
+      expect(running.header[0].segments.map(segment => segment.text)).toEqual(['ACME Corp', 'Quarterly report']);
+      expect(running.footer).toHaveLength(1);
+      expect(running.footer[0].fields).toEqual(['CURRENT', 'TOTAL_PAGES']);
+      expect(running.pageNumberStart).toBeNull();
+    });
+
+    it('should start page numbering where the printed numbers start', async () => {
+      const layout = await extractDocumentLayout(await createReportPdf(2, 5));
+      const running = findRunningLines(layout.pages);
+
+      expect(running.footer[0].fields).toEqual(['CURRENT', 'TOTAL_PAGES']);
+      expect(running.pageNumberStart).toBe(5);
+    });
+
+    it('should not count the pages of a chunk as the document length', () => {
+      const running = findRunningLines(pages, { pageOffset: 3, totalPages: 9 });
+
+      // Printed "Page 1 of 3" on page 4: the numbers belong to this part only
+      expect(running.footer[0].fields).toEqual(['CURRENT', null]);
+      expect(running.pageNumberStart).toBeNull();
+    });
+  });
+
+  describe('buildWordDocument function', () => {
+    it('should write styled runs, tables, images, columns and running heads', async () => {
+      const result = await buildWordDocument(pages, { title: 'Report' });
+      const documentXml = await readPart(result.buffer, 'word/document.xml');
+      const footerXml = await readPart(result.buffer, 'word/footer1.xml');
+
+      expect(result).toMatchObject({ tableCount: 1, imageCount: 1, hasHeader: true, hasFooter: true });
+      expect(documentXml).toContain('<w:pStyle w:val="Heading1"/>');
+      expect(documentXml).toMatch(/<w:b\/><w:bCs\/>.*?<w:t xml:space="preserve"> strong<\/w:t>/);
+      expect(documentXml).toMatch(/<w:i\/><w:iCs\/>.*?<w:t xml:space="preserve"> more of the same.<\/w:t>/);
+      expect(documentXml).toContain('<w:tblHeader/>');
+      expect(documentXml).toContain('<w:drawing>');
+      expect(documentXml).toContain('<w:cols w:space=');
+      expect(documentXml).toContain('<w:br w:type="column"/>');
+      // Running heads are not repeated in the body
+      expect(documentXml).not.toContain('ACME Corp');
+      expect(footerXml).toContain('<w:instrText xml:space="preserve">PAGE</w:instrText>');
+      expect(footerXml).toContain('<w:instrText xml:space="preserve">NUMPAGES</w:instrText>');
+    });
+
+    it('should leave out images and styling when asked to', async () => {
+      const result = await buildWordDocument(pages, { preserveFormatting: false, extractImages: false });
+      const documentXml = await readPart(result.buffer, 'word/document.xml');
+
+      expect(result.imageCount).toBe(0);
+      expect(documentXml).not.toContain('<w:drawing>');
+      expect(documentXml).not.toContain('<w:sz ');
+      expect(documentXml).toContain('<w:pStyle w:val="Heading1"/>');
+    });
+  });
+});
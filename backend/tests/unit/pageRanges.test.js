@@ -0,0 +1,34 @@
+const { parsePageRanges, expandPageRanges } = require('../../utils/pageRanges');
+
+describe('Page Ranges', () => {
+  describe('parsePageRanges function', () => {
+    it('should parse single pages, closed and open ranges', () => {
+      expect(parsePageRanges('1-3, 5,8-', 10)).toEqual([
+        { start: 1, end: 3 },
+        { start: 5, end: 5 },
+        { start: 8, end: 10 }
+      ]);
+      expect(parsePageRanges('-2', 10)).toEqual([{ start: 1, end: 2 }]);
+      expect(parsePageRanges([4, '6-7'], 10)).toEqual([{ start: 4, end: 4 }, { start: 6, end: 7 }]);
+    });
+
+    it('should select every page when no range is given', () => {
+      expect(parsePageRanges(undefined, 4)).toEqual([{ start: 1, end: 4 }]);
+      expect(parsePageRanges('all', 4)).toEqual([{ start: 1, end: 4 }]);
+    });
+
+    it('should reject malformed ranges and pages outside the document', () => {
+      expect(() => parsePageRanges('3-1', 10)).toThrow('Invalid page range: "3-1"');
+      expect(() => parsePageRanges('0', 10)).toThrow('Invalid page range: "0"');
+      expect(() => parsePageRanges('a-b', 10)).toThrow('Invalid page range: "a-b"');
+      expect(() => parsePageRanges('9-12', 10)).toThrow('Page range "9-12" is outside the document (10 pages)');
+    });
+  });
+
+  describe('expandPageRanges function', () => {
+    it('should keep the given order unless unique pages are requested', () => {
+      expect(expandPageRanges('5,1-2,2', 5)).toEqual([5, 1, 2, 2]);
+      expect(expandPageRanges('5,1-2,2', 5, { unique: true })).toEqual([1, 2, 5]);
+    });
+  });
+});
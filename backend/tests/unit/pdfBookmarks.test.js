@@ -0,0 +1,170 @@
+const { PDFDocument, PDFName, StandardFonts, degrees } = require('pdf-lib');
+const { validateOutlineOptions, readBookmarks, updateOutline } = require('../../services/pdfBookmarks');
+const { readOutline } = require('../../services/pdfOutline');
+
+const BODY = 'The quick brown fox jumps over the lazy dog again and again.';
+
+// A report of chapters and sections with a running header on every page
+// The last page can be turned, with its text drawn sideways to read upright.
+const createReport = async ({ turnLast = false } = {}) => {
+  const pdfDoc = await PDFDocument.create();
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  const chapters = [
+    ['1 Introduction', ['Background', 'Scope']],
+    ['2 Results', ['Findings']],
+    ['3 Outlook', []]
+  ];
+
+  chapters.forEach(([chapter, sections], index) => {
+    const page = pdfDoc.addPage([400, 600]);
+    const turned = turnLast && index === chapters.length - 1;
+    if (turned) page.setRotation(degrees(90));
+    const draw = (text, y, size, font) => page.drawText(text, turned
+      ? { x: 600 - y, y: 40, size, font, rotate: degrees(90) }
+      : { x: 40, y, size, font });
+
+    draw(`Annual report - page ${index + 1}`, 570, 9, regular);
+    let y = 520;
+    draw(chapter, y, 20, bold);
+    y -= 40;
+    sections.forEach(section => {
+      draw(section, y, 14, bold);
+      y -= 24;
+      for (let line = 0; line < 4; line++) {
+        draw(BODY, y, 10, regular);
+        y -= 14;
+      }
+      y -= 10;
+    });
+    for (let line = 0; line < 6; line++) {
+      draw(BODY, y, 10, regular);
+      y -= 14;
+    }
+  });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+const blankDocument = async (pageCount) => {
+  const pdfDoc = await PDFDocument.create();
+  for (let index = 0; index < pageCount; index++) pdfDoc.addPage([300, 400]);
+  return Buffer.from(await pdfDoc.save());
+};
+
+describe('PDF Bookmarks', () => {
+  describe('updateOutline function', () => {
+    it('should replace the outline from a JSON tree and read it back', async () => {
+      const settings = validateOutlineOptions({
+        outline: [
+          {
+            title: 'Part one',
+            page: 1,
+            open: true,
+            children: [
+              { title: 'Overview', page: 2, zoom: 'fit' },
+              { title: 'Detail', page: 2, top: 150, zoom: 2 }
+            ]
+          },
+          { title: 'Appendix', page: 3, zoom: 'fitWidth', top: 300 },
+          { title: 'Notes' }
+        ]
+      });
+
+      const updated = await updateOutline(await blankDocument(3), settings);
+      expect(updated).toMatchObject({ pageCount: 3, bookmarkCount: 5, levels: 2, tocPages: 0 });
+
+      const { outline, bookmarkCount } = await readBookmarks(updated.buffer);
+      expect(bookmarkCount).toBe(5);
+      expect(outline).toEqual([
+        {
+          title: 'Part one',
+          page: 1,
+          zoom: null,
+          top: 400,
+          open: true,
+          children: [
+            { title: 'Overview', page: 2, zoom: 'fit', top: null, open: false, children: [] },
+            { title: 'Detail', page: 2, zoom: 2, top: 150, open: false, children: [] }
+          ]
+        },
+        { title: 'Appendix', page: 3, zoom: 'fitWidth', top: 300, open: false, children: [] },
+        { title: 'Notes', page: null, zoom: null, top: null, open: false, children: [] }
+      ]);
+
+      // An empty tree removes the outline
+      const cleared = await updateOutline(updated.buffer, validateOutlineOptions({ outline: [] }));
+      expect((await readBookmarks(cleared.buffer)).outline).toEqual([]);
+    });
+
+    it('should build nested bookmarks from headings and skip running headers', async () => {
+      const updated = await updateOutline(await createReport(), validateOutlineOptions({ mode: 'auto' }));
+      const { outline } = await readBookmarks(updated.buffer);
+
+      const titles = (items) => items.map(item => [item.title, item.page, titles(item.children)]);
+      expect(titles(outline)).toEqual([
+        ['1 Introduction', 1, [['Background', 1, []], ['Scope', 1, []]]],
+        ['2 Results', 2, [['Findings', 2, []]]],
+        ['3 Outlook', 3, []]
+      ]);
+      expect(updated.levels).toBe(2);
+      // Just above the heading line
+      expect(outline[0].top).toBeGreaterThan(535);
+      expect(outline[0].top).toBeLessThan(560);
+
+      const oneLevel = await updateOutline(await createReport(), validateOutlineOptions({ mode: 'auto', maxLevels: 1 }));
+      expect(oneLevel).toMatchObject({ bookmarkCount: 3, levels: 1 });
+
+      await expect(updateOutline(await blankDocument(1), validateOutlineOptions({ mode: 'auto' })))
+        .rejects.toThrow('no text');
+    });
+
+    it('should insert a table of contents with links to the bookmarked pages', async () => {
+      const updated = await updateOutline(
+        await createReport({ turnLast: true }),
+        validateOutlineOptions({ mode: 'auto', insertToc: true, tocTitle: 'Inhalt' })
+      );
+      expect(updated).toMatchObject({ pageCount: 4, tocPages: 1, bookmarkCount: 7 });
+
+      const pdfDoc = await PDFDocument.load(updated.buffer);
+      const outline = readOutline(pdfDoc);
+      expect(outline.map(item => [item.title, item.pageIndex])).toEqual([
+        ['Inhalt', 0],
+        ['1 Introduction', 1],
+        ['2 Results', 2],
+        ['3 Outlook', 3]
+      ]);
+      // Headings on turned pages are located by their left edge
+      expect(outline[3].view[0]).toBe('XYZ');
+      expect(outline[3].view[1]).toBeGreaterThan(40);
+      expect(outline[3].view[1]).toBeLessThan(80);
+      expect(outline[3].view[2]).toBeNull();
+      expect(pdfDoc.catalog.lookup(PDFName.of('PageMode'))).toBe(PDFName.of('UseOutlines'));
+
+      const pages = pdfDoc.getPages();
+      const links = pages[0].node.Annots().asArray().map(ref => pdfDoc.context.lookup(ref));
+      expect(links).toHaveLength(6);
+      expect(links.map(link => pages.findIndex(page => page.ref === link.lookup(PDFName.of('Dest')).get(0))))
+        .toEqual([1, 1, 1, 2, 2, 3]);
+    });
+
+    it('should reject bookmarks that point past the last page', async () => {
+      await expect(updateOutline(await blankDocument(2), validateOutlineOptions({ outline: [{ title: 'Far', page: 5 }] })))
+        .rejects.toThrow('points at page 5');
+    });
+  });
+
+  describe('validateOutlineOptions function', () => {
+    it('should reject invalid trees and options', () => {
+      expect(() => validateOutlineOptions({ mode: 'magic' })).toThrow('Unsupported outline mode');
+      expect(() => validateOutlineOptions({ outline: {} })).toThrow('must be a list');
+      expect(() => validateOutlineOptions({ outline: [{ title: 'A', children: [{ title: ' ' }] }] }))
+        .toThrow('Bookmark 1.1 needs a title');
+      expect(() => validateOutlineOptions({ outline: [{ title: 'A', page: 0 }] })).toThrow('Bookmark 1: page');
+      expect(() => validateOutlineOptions({ outline: [{ title: 'A', zoom: 'huge' }] })).toThrow('Bookmark 1: zoom');
+      expect(() => validateOutlineOptions({ mode: 'auto', maxLevels: 9 })).toThrow('Heading levels');
+      expect(validateOutlineOptions({ mode: 'auto' })).toMatchObject({ outline: null, maxLevels: 3, insertToc: false, tocTitle: 'Contents' });
+    });
+  });
+});
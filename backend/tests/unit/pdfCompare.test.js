@@ -0,0 +1,137 @@
+const { PDFDocument, PDFName, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { validateCompareOptions, compareDocuments } = require('../../services/pdfCompare');
+
+// One page per array of lines, 11pt Helvetica from the top left
+const createDocument = async (pages, { rotate } = {}) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  pages.forEach(lines => {
+    const page = pdfDoc.addPage([400, 300]);
+    lines.forEach((line, index) => page.drawText(line, { x: 30, y: 270 - index * 20, size: 11, font }));
+    if (rotate) page.setRotation(degrees(rotate));
+  });
+  return Buffer.from(await pdfDoc.save());
+};
+
+const ORIGINAL = [
+  [
+    'This agreement is made between Alpha Ltd and Beta GmbH.',
+    'The term is twelve months from signing.',
+    'Payment is due within 30 days of invoice.'
+  ],
+  ['Governing law is Polish law.']
+];
+
+const REVISED = [
+  [
+    'This agreement is made between Alpha Ltd and Gamma GmbH.',
+    'Payment is due within 30 days of invoice.',
+    'The term is twelve months from signing.'
+  ],
+  ['Governing law is Polish law.', 'Disputes go to the court in Warsaw.']
+];
+
+// Subtype and comment of the annotations on each page of the comparison PDF
+const annotationsOf = async (buffer) => {
+  const pdfDoc = await PDFDocument.load(buffer);
+  return pdfDoc.getPages().map(page => {
+    const annots = page.node.Annots();
+    return annots ? annots.asArray().map(ref => {
+      const annot = pdfDoc.context.lookup(ref);
+      return [annot.get(PDFName.of('Subtype')).asString(), annot.get(PDFName.of('Contents')).decodeText()];
+    }) : [];
+  });
+};
+
+describe('PDF Compare', () => {
+  describe('compareDocuments function', () => {
+    it('should report insertions, deletions and moved blocks per page', async () => {
+      const settings = validateCompareOptions({});
+      const { report, buffer } = await compareDocuments(
+        await createDocument(ORIGINAL), await createDocument(REVISED), settings
+      );
+
+      expect(report.summary).toMatchObject({
+        identical: false,
+        insertions: 2,
+        deletions: 1,
+        moves: 1,
+        changedPages: [1, 2],
+        pagesOnlyInOriginal: null
+      });
+      const [first, second] = report.pages;
+      expect(first.deletions.map(({ text }) => text)).toEqual(['Beta']);
+      expect(first.insertions.map(({ text }) => text)).toEqual(['Gamma']);
+      expect(first.moves[0]).toMatchObject({ text: 'The term is twelve months from signing.', words: 7 });
+      expect(second.insertions.map(({ text }) => text)).toEqual(['Disputes go to the court in Warsaw.']);
+
+      // "Beta" sits at the end of the first line: after "and", before "GmbH."
+      const [beta] = first.deletions[0].rects;
+      expect(beta.y).toBeGreaterThan(15);
+      expect(beta.y + beta.height).toBeLessThan(35);
+      expect(beta.x).toBeGreaterThan(250);
+      expect(beta.x + beta.width).toBeLessThan(300);
+
+      const annotations = await annotationsOf(buffer);
+      expect(annotations).toHaveLength(2);
+      expect(annotations[0]).toEqual(expect.arrayContaining([
+        ['/Highlight', 'Deleted: Beta'],
+        ['/Highlight', 'Inserted: Gamma']
+      ]));
+    });
+
+    it('should find no changes in the same text on a rotated page and box its words as displayed', async () => {
+      const settings = validateCompareOptions({ ignoreCase: true });
+      const original = await createDocument([['The quick brown fox']]);
+      const same = await compareDocuments(original, await createDocument([['THE QUICK BROWN FOX']], { rotate: 90 }), settings);
+      expect(same.report.summary).toMatchObject({ identical: true, changedPages: [] });
+
+      const changed = await compareDocuments(original, await createDocument([['The quick red fox']], { rotate: 90 }), settings);
+      const [inserted] = changed.report.pages[0].insertions;
+      expect(inserted.text).toBe('red');
+      // Text runs down the rotated page, so the box is taller than wide
+      const [box] = inserted.rects;
+      expect(box.height).toBeGreaterThan(box.width);
+      expect(box.x).toBeGreaterThan(250);
+    });
+
+    it('should report changed regions of rendered pages in visual mode', async () => {
+      const createScan = async (withStamp) => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage([400, 300]).drawRectangle({ x: 40, y: 200, width: 120, height: 60, color: rgb(0.2, 0.2, 0.2) });
+        const second = pdfDoc.addPage([400, 300]);
+        if (withStamp) {
+          second.drawRectangle({ x: 250, y: 40, width: 80, height: 40, color: rgb(0, 0, 0) });
+        }
+        return Buffer.from(await pdfDoc.save());
+      };
+
+      const settings = validateCompareOptions({ mode: 'visual', dpi: 72 });
+      const { report, buffer } = await compareDocuments(await createScan(false), await createScan(true), settings);
+
+      expect(report.summary).toMatchObject({ identical: false, regions: 1, changedPages: [2] });
+      expect(report.pages).toHaveLength(1);
+      // Top-left coordinates: the stamp is 220 to 260 points from the top
+      const [region] = report.pages[0].regions;
+      expect(region.x).toBeLessThanOrEqual(250);
+      expect(region.x + region.width).toBeGreaterThanOrEqual(330);
+      expect(region.y).toBeLessThanOrEqual(220);
+      expect(region.y + region.height).toBeGreaterThanOrEqual(260);
+      expect(region.width).toBeLessThan(120);
+
+      const annotations = await annotationsOf(buffer);
+      // The region is marked on both sides of the second sheet
+      expect(annotations[0]).toEqual([]);
+      expect(annotations[1]).toHaveLength(2);
+    });
+  });
+
+  describe('validateCompareOptions function', () => {
+    it('should reject invalid options', () => {
+      expect(() => validateCompareOptions({ mode: 'pixels' })).toThrow('Unsupported comparison mode');
+      expect(() => validateCompareOptions({ minMoveWords: 1 })).toThrow('Minimum moved words');
+      expect(() => validateCompareOptions({ mode: 'visual', dpi: 600 })).toThrow('Resolution');
+      expect(validateCompareOptions({ mode: 'visual' })).toMatchObject({ dpi: 100, threshold: 48 });
+    });
+  });
+});
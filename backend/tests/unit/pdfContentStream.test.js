@@ -0,0 +1,45 @@
+const { parseContentStream, multiplyMatrix } = require('../../services/pdfContentStream');
+
+describe('PDF Content Stream', () => {
+  describe('parseContentStream function', () => {
+    it('should parse operators with numbers, names, strings and arrays', () => {
+      const operations = parseContentStream(Buffer.from(
+        'q 200 0 0 150 56 400 cm /Im1 Do Q\n' +
+        'BT /F1 12 Tf [(Hel\\)lo) -20 <414243>] TJ ET % trailing comment'
+      ));
+
+      expect(operations.map(op => op.operator)).toEqual(['q', 'cm', 'Do', 'Q', 'BT', 'Tf', 'TJ', 'ET']);
+      expect(operations[1].operands).toEqual([200, 0, 0, 150, 56, 400]);
+      expect(operations[2].operands).toEqual([{ type: 'name', value: 'Im1' }]);
+
+      const [textArray] = operations[6].operands;
+      expect(textArray[0].value.toString('latin1')).toBe('Hel)lo');
+      expect(textArray[1]).toBe(-20);
+      expect(textArray[2]).toMatchObject({ hex: true });
+      expect(textArray[2].value.toString('latin1')).toBe('ABC');
+    });
+
+    it('should keep inline image data and marked content dictionaries intact', () => {
+      const operations = parseContentStream(Buffer.concat([
+        Buffer.from('BI /W 2 /H 1 /CS /G /BPC 8 /D [1 0] ID '),
+        Buffer.from([0x45, 0x49]),
+        Buffer.from(' EI /P <</MCID 3>> BDC EMC')
+      ]));
+
+      expect(operations.map(op => op.operator)).toEqual(['BI', 'BDC', 'EMC']);
+      expect(operations[0].operands[0].value).toMatchObject({ W: 2, H: 1, D: [1, 0] });
+      expect([...operations[0].data]).toEqual([0x45, 0x49]);
+      expect(operations[1].operands[1]).toEqual({ type: 'dict', value: { MCID: 3 } });
+    });
+  });
+
+  describe('multiplyMatrix function', () => {
+    it('should apply the first matrix before the second', () => {
+      const scale = [2, 0, 0, 3, 0, 0];
+      const translate = [1, 0, 0, 1, 10, 20];
+
+      expect(multiplyMatrix(scale, translate)).toEqual([2, 0, 0, 3, 10, 20]);
+      expect(multiplyMatrix(translate, scale)).toEqual([2, 0, 0, 3, 20, 60]);
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const ExcelJS = require('exceljs');
+const sharp = require('sharp');
+const JSZip = require('jszip');
+const pdfService = require('../../services/pdfService');
+const { readPresentation, mergePresentations } = require('../../services/pptxBuilder');
+
+// Write a small PDF with a heading, a table and a footer line
+const createTablePdf = async (filepath) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const page = pdfDoc.addPage([595, 842]);
+
+  page.drawText('Quarterly report', { x: 50, y: 800, size: 16, font: bold });
+  page.drawText('Sales 2024', { x: 200, y: 760, size: 10, font: bold });
+  [['Region', 'Q1', 'Q2', 'Date'], ['North', '1,200.50', '(300)', '2024-01-15'], ['South', '45%', '$99', '15.02.2024']]
+    .forEach((row, rowIndex) => {
+      row.forEach((text, colIndex) => {
+        page.drawText(text, {
+          x: [50, 180, 260, 340][colIndex],
+          y: 745 - rowIndex * 15,
+          size: 10,
+          font: rowIndex === 0 ? bold : font
+        });
+      });
+    });
+  page.drawText('Figures are unaudited', { x: 50, y: 600, size: 10, font });
+
+  fs.writeFileSync(filepath, await pdfDoc.save());
+};
+
+// Write a landscape PDF with one heading per page
+const createSlidesPdf = async (filepath, pageCount) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  for (let i = 1; i <= pageCount; i++) {
+    const page = pdfDoc.addPage([792, 612]);
+    page.drawText(`Agenda item ${i}`, { x: 60, y: 520, size: 28, font });
+  }
+  fs.writeFileSync(filepath, await pdfDoc.save());
+};
+
+// Write a page with a full-width title over two columns of prose
+const createColumnsPdf = async (filepath) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const page = pdfDoc.addPage([612, 792]);
+
+  page.drawText('Two column newsletter title', { x: 72, y: 720, size: 20, font });
+  ['Left column opens the story and', 'keeps going with a hyphen-', 'ated word before it ends.']
+    .forEach((text, i) => page.drawText(text, { x: 72, y: 680 - i * 14, size: 11, font }));
+  ['Right column continues the story', 'only after the left column is', 'completely finished reading.']
+    .forEach((text, i) => page.drawText(text, { x: 320, y: 680 - i * 14, size: 11, font }));
+  page.drawText('Second paragraph of the right column.', { x: 320, y: 620, size: 11, font });
+  pdfDoc.addPage([612, 792]);
+
+  fs.writeFileSync(filepath, await pdfDoc.save());
+};
+
+// Write two pages showing the same high resolution photo, plus metadata
+const createPhotoPdf = async (filepath) => {
+  const width = 1600;
+  const height = 1200;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = (i * 7 + Math.floor(i / 4801) * 13) % 256;
+  }
+  const jpeg = await sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality: 95 }).toBuffer();
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle('Holiday photos');
+  for (let i = 0; i < 2; i++) {
+    // Embedding twice stores the same image stream twice
+    const image = await pdfDoc.embedJpg(jpeg);
+    pdfDoc.addPage([612, 792]).drawImage(image, { x: 56, y: 400, width: 200, height: 150 });
+  }
+
+  fs.writeFileSync(filepath, await pdfDoc.save({ useObjectStreams: false }));
+};
+
+describe('PDF Conversions', () => {
+  const tempDir = process.env.TEMP_DIR;
+  let sourcePath;
+
+  beforeEach(async () => {
+    fs.mkdirSync(tempDir, { recursive: true });
+    sourcePath = path.join(tempDir, 'source-table.pdf');
+    await createTablePdf(sourcePath);
+  });
+
+  describe('convertPdfToExcel function', () => {
+    it('should write one sheet per page with typed cells and merged headers', async () => {
+      const result = await pdfService.convertPdfToExcel(sourcePath, { resultFileId: 'xlsx-result' });
+
+      expect(result.outputFormat).toBe('xlsx');
+      expect(path.basename(result.outputPath)).toBe('xlsx-result.xlsx');
+      expect(result.tableCount).toBe(1);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(result.outputPath);
+      const sheet = workbook.getWorksheet('Page 1');
+
+      expect(sheet.getCell('A1').value).toBe('Quarterly report');
+      expect(sheet.model.merges).toContain('B2:C2');
+      expect(sheet.getCell('A3').value).toBe('Region');
+      expect(sheet.getCell('A3').font.bold).toBe(true);
+      expect(sheet.getCell('B4').value).toBe(1200.5);
+      expect(sheet.getCell('C4').value).toBe(-300);
+      expect(sheet.getCell('B5').value).toBe(0.45);
+      expect(sheet.getCell('D5').value).toBeInstanceOf(Date);
+    });
+
+    it('should write one sheet per table in table mode', async () => {
+      const result = await pdfService.convertPdfToExcel(sourcePath, { sheetMode: 'table' });
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(result.outputPath);
+
+      expect(workbook.worksheets.map(ws => ws.name)).toEqual(['Table 1 (p1)']);
+      expect(workbook.worksheets[0].getCell('A2').value).toBe('Region');
+    });
+
+    it('should keep text as plain rows when table structure is not preserved', async () => {
+      const result = await pdfService.convertPdfToExcel(sourcePath, { preserveTableStructure: false });
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(result.outputPath);
+      const sheet = workbook.getWorksheet('Page 1');
+
+      expect(sheet.model.merges).toHaveLength(0);
+      expect(sheet.getCell('B4').value).toBe('1,200.50');
+      expect(result.tableCount).toBe(0);
+    });
+  });
+
+  describe('convertPdfToPowerPoint function', () => {
+    it('should create one slide per page with editable text, notes and the page aspect ratio', async () => {
+      const slidesPath = path.join(tempDir, 'source-slides.pdf');
+      await createSlidesPdf(slidesPath, 2);
+
+      const result = await pdfService.convertPdfToPowerPoint(slidesPath, { resultFileId: 'pptx-result' });
+
+      expect(result.outputFormat).toBe('pptx');
+      expect(result.slideCount).toBe(2);
+
+      const deck = await readPresentation(fs.readFileSync(result.outputPath));
+      expect(deck.size.cx / deck.size.cy).toBeCloseTo(792 / 612, 3);
+      expect(deck.slides).toHaveLength(2);
+      expect(deck.slides[1].slideXml).toContain('<a:t>Agenda item 2</a:t>');
+      expect(deck.slides[1].slideXml).toContain('b="1"');
+      expect(deck.slides[1].notesXml).toContain('Agenda item 2');
+      expect(deck.slides[0].media).toHaveLength(1);
+
+      const zip = await JSZip.loadAsync(fs.readFileSync(result.outputPath));
+      const contentTypes = await zip.file('[Content_Types].xml').async('string');
+      expect(contentTypes).toContain('/ppt/slides/slide2.xml');
+      expect(contentTypes).toContain('/ppt/notesSlides/notesSlide2.xml');
+    });
+
+    it('should merge chunk decks into one presentation in order', async () => {
+      const firstPath = path.join(tempDir, 'chunk-a.pdf');
+      const secondPath = path.join(tempDir, 'chunk-b.pdf');
+      await createSlidesPdf(firstPath, 2);
+      await createSlidesPdf(secondPath, 1);
+
+      const first = await pdfService.convertPdfToPowerPoint(firstPath, {});
+      const second = await pdfService.convertPdfToPowerPoint(secondPath, {});
+      const merged = await mergePresentations([
+        fs.readFileSync(first.outputPath),
+        fs.readFileSync(second.outputPath)
+      ]);
+
+      const deck = await readPresentation(merged);
+      expect(deck.slides).toHaveLength(3);
+      expect(deck.slides[2].slideXml).toContain('Agenda item 1');
+      expect(deck.slides.every(slide => slide.media.length === 1 && slide.notesXml)).toBe(true);
+    });
+  });
+
+  describe('convertPdfToImage function', () => {
+    let slidesPath;
+
+    beforeEach(async () => {
+      slidesPath = path.join(tempDir, 'source-slides.pdf');
+      await createSlidesPdf(slidesPath, 3);
+    });
+
+    it('should render a single page at the requested DPI', async () => {
+      const result = await pdfService.convertPdfToImage(slidesPath, { format: 'png', dpi: 144, pages: '2' });
+
+      expect(result.outputFormat).toBe('png');
+      expect(result.files).toEqual([{ name: 'page-2.png', page: 2, width: 1584, height: 1224, size: result.resultSize }]);
+
+      const metadata = await sharp(result.outputPath).metadata();
+      expect(metadata).toMatchObject({ format: 'png', width: 1584, height: 1224, density: 144 });
+    });
+
+    it('should deliver a page range as a ZIP of page images', async () => {
+      const result = await pdfService.convertPdfToImage(slidesPath, { format: 'webp', dpi: 36, quality: 60, pages: '1,3-' });
+
+      expect(result.outputFormat).toBe('zip');
+      expect(result.pageCount).toBe(2);
+
+      const zip = await JSZip.loadAsync(fs.readFileSync(result.outputPath));
+      expect(Object.keys(zip.files)).toEqual(['page-1.webp', 'page-3.webp']);
+      const metadata = await sharp(await zip.file('page-3.webp').async('nodebuffer')).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: 396, height: 306 });
+    });
+
+    it('should combine pages into one multi-page TIFF on request', async () => {
+      const result = await pdfService.convertPdfToImage(slidesPath, { format: 'tiff', dpi: 36, multiPageTiff: true });
+
+      expect(result.outputFormat).toBe('tiff');
+      const metadata = await sharp(result.outputPath).metadata();
+      expect(metadata).toMatchObject({ format: 'tiff', pages: 3, width: 396 });
+    });
+
+    it('should reject unknown formats and pages outside the document', async () => {
+      await expect(pdfService.convertPdfToImage(slidesPath, { format: 'bmp' }))
+        .rejects.toThrow('Unsupported image format: bmp');
+      await expect(pdfService.convertPdfToImage(slidesPath, { pages: '2-5' }))
+        .rejects.toThrow('outside the document');
+    });
+  });
+
+  describe('convertPdfToText function', () => {
+    let columnsPath;
+
+    beforeEach(async () => {
+      columnsPath = path.join(tempDir, 'source-columns.pdf');
+      await createColumnsPdf(columnsPath);
+    });
+
+    it('should read columns one after another and separate paragraphs', async () => {
+      const result = await pdfService.convertPdfToText(columnsPath, { resultFileId: 'txt-result' });
+
+      expect(result.outputFormat).toBe('txt');
+      expect(path.basename(result.outputPath)).toBe('txt-result.txt');
+      expect(result.pageCount).toBe(2);
+      expect(result.pagesWithoutText).toEqual([2]);
+
+      const text = fs.readFileSync(result.outputPath, 'utf8');
+      expect(text.split('\n\n')).toEqual([
+        'Two column newsletter title',
+        'Left column opens the story and\nkeeps going with a hyphen-\nated word before it ends.',
+        'Right column continues the story\nonly after the left column is\ncompletely finished reading.',
+        'Second paragraph of the right column.\n'
+      ]);
+    });
+
+    it('should unwrap lines and mend hyphenation when line breaks are not preserved', async () => {
+      const result = await pdfService.convertPdfToText(columnsPath, { preserveLineBreaks: false });
+      const text = fs.readFileSync(result.outputPath, 'utf8');
+
+      expect(text).toContain('Left column opens the story and keeps going with a hyphenated word before it ends.');
+    });
+
+    it('should keep columns side by side in layout mode', async () => {
+      const result = await pdfService.convertPdfToText(columnsPath, { mode: 'layout' });
+      const lines = fs.readFileSync(result.outputPath, 'utf8').split('\n');
+
+      const row = lines.find(line => line.startsWith('Left column opens the story and'));
+      expect(row).toMatch(/and {2,}Right column continues the story$/);
+      expect(row.indexOf('Right')).toBe(
+        lines.find(line => line.includes('only after')).indexOf('only after')
+      );
+    });
+
+    it('should add page separators and a byte order mark on request', async () => {
+      const result = await pdfService.convertPdfToText(columnsPath, {
+        mode: 'raw',
+        pageSeparator: '=== {page}/{pages} ===',
+        encoding: 'utf-8-bom'
+      });
+      const buffer = fs.readFileSync(result.outputPath);
+
+      expect([...buffer.subarray(0, 3)]).toEqual([0xef, 0xbb, 0xbf]);
+      const text = buffer.toString('utf8').slice(1);
+      expect(text.startsWith('=== 1/2 ===\n\nTwo column newsletter title')).toBe(true);
+      expect(text.trimEnd().endsWith('=== 2/2 ===')).toBe(true);
+    });
+
+    it('should reject unknown modes and encodings', async () => {
+      await expect(pdfService.convertPdfToText(columnsPath, { mode: 'fancy' }))
+        .rejects.toThrow('Unsupported text extraction mode');
+      await expect(pdfService.convertPdfToText(columnsPath, { encoding: 'latin1' }))
+        .rejects.toThrow('Unsupported text encoding');
+    });
+  });
+
+  describe('compressPdf function', () => {
+    let photoPath;
+
+    beforeEach(async () => {
+      photoPath = path.join(tempDir, 'source-photo.pdf');
+      await createPhotoPdf(photoPath);
+    });
+
+    it('should downsample images, merge duplicates and report the measured size', async () => {
+      const result = await pdfService.compressPdf(photoPath, { compressionLevel: 'medium', resultFileId: 'pdf-result' });
+
+      expect(path.basename(result.outputPath)).toBe('pdf-result.pdf');
+      expect(result.unchanged).toBe(false);
+      expect(result.resultSize).toBe(fs.statSync(result.outputPath).size);
+      expect(result.resultSize).toBeLessThan(result.originalSize / 4);
+      expect(result.compressionRatio).toBeCloseTo(1 - result.resultSize / result.originalSize, 5);
+      expect(result.settings).toEqual({ compressionLevel: 'medium', imageDpi: 150, imageQuality: 72 });
+      expect(result.stats.duplicateStreamsRemoved).toBe(1);
+      expect(result.stats.imagesDownsampled).toBe(1);
+
+      const compressed = await PDFDocument.load(fs.readFileSync(result.outputPath), { updateMetadata: false });
+      expect(compressed.getPageCount()).toBe(2);
+      expect(compressed.getTitle()).toBeUndefined();
+
+      // 200pt at 150 DPI
+      const images = compressed.context.enumerateIndirectObjects()
+        .map(([, object]) => object)
+        .filter(object => object.dict && object.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'));
+      expect(images).toHaveLength(1);
+      expect(images[0].dict.get(PDFName.of('Width')).asNumber()).toBe(417);
+    });
+
+    it('should compress harder at higher levels', async () => {
+      const low = await pdfService.compressPdf(photoPath, { compressionLevel: 'low' });
+      const high = await pdfService.compressPdf(photoPath, { compressionLevel: 'high' });
+
+      expect(high.resultSize).toBeLessThan(low.resultSize);
+    });
+
+    it('should lower image settings until the result fits a target size', async () => {
+      const low = await pdfService.compressPdf(photoPath, { compressionLevel: 'low' });
+      const targetSizeBytes = Math.floor(low.resultSize * 0.6);
+
+      const result = await pdfService.compressPdf(photoPath, { targetSizeBytes });
+
+      expect(result.targetMet).toBe(true);
+      expect(result.targetSizeBytes).toBe(targetSizeBytes);
+      expect(result.resultSize).toBeLessThanOrEqual(targetSizeBytes);
+      expect(result.attempts).toBeGreaterThan(2);
+      expect(result.settings.imageDpi * result.settings.imageQuality)
+        .toBeLessThan(low.settings.imageDpi * low.settings.imageQuality);
+    });
+
+    it('should report the smallest result when the target cannot be met', async () => {
+      const result = await pdfService.compressPdf(photoPath, { targetSizeBytes: 100 });
+
+      expect(result.targetMet).toBe(false);
+      expect(result.attempts).toBe(2);
+      expect(result.settings).toMatchObject({ imageDpi: 72, imageQuality: 30 });
+      expect(result.resultSize).toBe(fs.statSync(result.outputPath).size);
+    });
+
+    it('should return the original file when it cannot be made smaller', async () => {
+      const first = await pdfService.compressPdf(photoPath, {});
+      const second = await pdfService.compressPdf(first.outputPath, {});
+
+      expect(second.unchanged).toBe(true);
+      expect(second.resultSize).toBe(second.originalSize);
+      expect(second.compressionRatio).toBe(0);
+      expect(fs.readFileSync(second.outputPath).equals(fs.readFileSync(first.outputPath))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const {
+  createPdfFromText,
+  createPdfFromImage,
+  createPdfFromImages,
+  planImagePage,
+  validateImageLayoutOptions,
+  createPdf
+} = require('../../services/pdfCreator');
+const { isSupportedConversion, getSourceFormat } = require('../../utils/conversionMatrix');
+const { openDocument } = require('../../services/pdfjsService');
+
+// Text of every page as pdf.js reads it
+const readPages = async (buffer) => {
+  const doc = await openDocument(buffer);
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(item => item.str).filter(str => str.trim()).join('\n'));
+  }
+  await doc.destroy();
+  return pages;
+};
+
+describe('PDF Creator', () => {
+  describe('createPdfFromText function', () => {
+    it('should wrap long lines, break pages on form feeds and replace unsupported characters', async () => {
+      const longLine = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+      const text = `﻿First page\n${longLine}\fSecond page\tafter a tab\n漢字\n`;
+
+      const result = await createPdfFromText(Buffer.from(text, 'utf8'));
+      expect(result.pageCount).toBe(2);
+      expect(result.replacedCharacters).toBe(2);
+
+      const pages = await readPages(result.buffer);
+      const firstPageLines = pages[0].split('\n');
+      expect(firstPageLines[0]).toBe('First page');
+      // The long line wraps between words
+      expect(firstPageLines.length).toBeGreaterThan(2);
+      expect(firstPageLines.slice(1).join(' ')).toBe(longLine);
+      expect(pages[1].split('\n')).toEqual(['Second page', 'after a tab', '??']);
+    });
+  });
+
+  describe('createPdfFromImage function', () => {
+    it('should size the page from the image resolution', async () => {
+      const png = await sharp({ create: { width: 600, height: 300, channels: 3, background: '#3a86ff' } })
+        .withMetadata({ density: 150 })
+        .png()
+        .toBuffer();
+
+      const result = await createPdfFromImage(png, 'png');
+      const pdfDoc = await PDFDocument.load(result.buffer);
+      const { width, height } = pdfDoc.getPage(0).getSize();
+      expect(width).toBeCloseTo(288);
+      expect(height).toBeCloseTo(144);
+    });
+  });
+
+  describe('createPdfFromImages function', () => {
+    const photo = (width, height, orientation) => sharp({ create: { width, height, channels: 3, background: '#ff006e' } })
+      .withMetadata({ orientation })
+      .jpeg()
+      .toBuffer();
+
+    it('should put every image on its own page in order, turning pages to match', async () => {
+      const landscape = await photo(600, 300, 1);
+      const portrait = await photo(300, 600, 1);
+      const progress = [];
+
+      const result = await createPdfFromImages([landscape, portrait], {
+        pageSize: 'letter',
+        margin: 36,
+        onProgress: (done, total) => progress.push(`${done}/${total}`)
+      });
+
+      const pdfDoc = await PDFDocument.load(result.buffer);
+      expect(result.pageCount).toBe(2);
+      expect(pdfDoc.getPage(0).getSize()).toEqual({ width: 792, height: 612 });
+      expect(pdfDoc.getPage(1).getSize()).toEqual({ width: 612, height: 792 });
+      expect(progress).toEqual(['1/2', '2/2']);
+    });
+
+    it('should apply the EXIF orientation only when auto-rotating', async () => {
+      // Orientation 6: stored 400x200, shown turned by 90 degrees
+      const turned = await photo(400, 200, 6);
+
+      const rotated = await createPdfFromImages([turned], { pageSize: 'fit' });
+      const rotatedSize = (await PDFDocument.load(rotated.buffer)).getPage(0).getSize();
+      expect(rotatedSize).toEqual({ width: 200, height: 400 });
+
+      const asStored = await createPdfFromImages([turned], { pageSize: 'fit', autoRotate: false });
+      const storedSize = (await PDFDocument.load(asStored.buffer)).getPage(0).getSize();
+      expect(storedSize).toEqual({ width: 400, height: 200 });
+    });
+
+    it('should centre images inside the margins and reject invalid layouts', () => {
+      const layout = validateImageLayoutOptions({ pageSize: 'A4', orientation: 'portrait', margin: 50 });
+      const placement = planImagePage(1000, 500, layout);
+      expect(placement.pageWidth).toBeCloseTo(595.28);
+      expect(placement.width).toBeCloseTo(595.28 - 100);
+      expect(placement.x).toBeCloseTo(50);
+      expect(placement.y).toBeCloseTo((841.89 - placement.height) / 2);
+
+      expect(() => validateImageLayoutOptions({ pageSize: 'a3' })).toThrow('Unsupported page size');
+      expect(() => validateImageLayoutOptions({ orientation: 'sideways' })).toThrow('Unsupported orientation');
+      expect(() => validateImageLayoutOptions({ margin: 500 })).toThrow('Margin must be between');
+    });
+  });
+
+  describe('createPdf function', () => {
+    it('should report a missing office engine clearly', async () => {
+      const docxPath = path.join(os.tmpdir(), `pdfcreator-${Date.now()}.docx`);
+      fs.writeFileSync(docxPath, 'not really a document');
+
+      try {
+        await jest.isolateModulesAsync(async () => {
+          process.env.LIBREOFFICE_PATH = path.join(os.tmpdir(), 'no-such-soffice');
+          const { createPdf: createWithoutOffice } = require('../../services/pdfCreator');
+          await expect(createWithoutOffice(docxPath, 'docx'))
+            .rejects.toThrow('LibreOffice is not installed');
+        });
+      } finally {
+        delete process.env.LIBREOFFICE_PATH;
+        fs.unlinkSync(docxPath);
+      }
+    });
+
+    it('should refuse formats outside the conversion matrix', async () => {
+      await expect(createPdf(__filename, 'js')).rejects.toThrow('Cannot create a PDF from js files');
+    });
+  });
+
+  describe('conversion matrix', () => {
+    it('should only allow listed conversions and detect sources by extension', () => {
+      expect(isSupportedConversion('docx', 'pdf')).toBe(true);
+      expect(isSupportedConversion('pdf', 'docx')).toBe(true);
+      expect(isSupportedConversion('docx', 'xlsx')).toBe(false);
+      expect(getSourceFormat('Holiday.JPEG', 'image/jpeg')).toBe('jpg');
+      expect(getSourceFormat('report.pptx', 'application/octet-stream')).toBe('pptx');
+      expect(getSourceFormat('blob', 'text/plain')).toBe('txt');
+      expect(getSourceFormat('archive.zip', 'application/zip')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const sharp = require('sharp');
+const {
+  PDFDocument,
+  PDFString,
+  concatTransformationMatrix,
+  drawObject,
+  popGraphicsState,
+  pushGraphicsState
+} = require('pdf-lib');
+const { validateExtractionOptions, extractResources } = require('../../services/pdfExtractor');
+
+const createDocument = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const jpegBytes = await sharp({
+    create: { width: 40, height: 30, channels: 3, background: { r: 200, g: 10, b: 10 } }
+  }).jpeg().toBuffer();
+  const photo = await pdfDoc.embedJpg(jpegBytes);
+  const logo = await pdfDoc.embedPng(await sharp({
+    create: { width: 20, height: 10, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 0.5 } }
+  }).png().toBuffer());
+
+  const first = pdfDoc.addPage([300, 300]);
+  first.drawImage(photo, { x: 10, y: 10, width: 80, height: 60 });
+  first.drawImage(logo, { x: 100, y: 100, width: 40, height: 20 });
+
+  // The photo again, drawn from inside a form XObject
+  const second = pdfDoc.addPage([300, 300]);
+  const form = pdfDoc.context.formXObject([
+    pushGraphicsState(),
+    concatTransformationMatrix(40, 0, 0, 30, 0, 0),
+    drawObject('Photo'),
+    popGraphicsState()
+  ], { BBox: [0, 0, 40, 30], Resources: { XObject: { Photo: photo.ref } } });
+  second.pushOperators(drawObject(second.node.newXObject('Fm', pdfDoc.context.register(form))));
+
+  await pdfDoc.attach(Buffer.from('a,b\n1,2\n'), 'data.csv', {
+    mimeType: 'text/csv',
+    description: 'Raw numbers',
+    modificationDate: new Date('2024-01-02T00:00:00Z')
+  });
+  await pdfDoc.attach(Buffer.from('other'), 'archive/data.csv', { mimeType: 'text/csv' });
+
+  // A file attachment annotation on the second page
+  const note = pdfDoc.context.flateStream(Buffer.from('note text'), { Type: 'EmbeddedFile' });
+  const fileSpec = pdfDoc.context.obj({
+    Type: 'Filespec',
+    F: PDFString.of('note.txt'),
+    EF: { F: pdfDoc.context.register(note) }
+  });
+  second.node.addAnnot(pdfDoc.context.register(pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'FileAttachment',
+    Rect: [10, 10, 30, 30],
+    FS: fileSpec
+  })));
+
+  return { buffer: Buffer.from(await pdfDoc.save()), jpegBytes };
+};
+
+describe('PDF Extractor', () => {
+  describe('extractResources function', () => {
+    it('should copy JPEG images out unchanged and decode the others to PNG, once each', async () => {
+      const { buffer, jpegBytes } = await createDocument();
+      const { files, manifest } = await extractResources(buffer, validateExtractionOptions({ attachments: false }));
+
+      expect(manifest.images).toEqual([
+        expect.objectContaining({ name: 'images/page-001-01.jpg', page: 1, pages: [1, 2], width: 40, height: 30, format: 'jpeg' }),
+        expect.objectContaining({ name: 'images/page-001-02.png', page: 1, pages: [1], width: 20, height: 10, format: 'png' })
+      ]);
+      expect(files.map(({ name }) => name)).toEqual(['images/page-001-01.jpg', 'images/page-001-02.png']);
+      expect(files[0].data.equals(jpegBytes)).toBe(true);
+
+      // The soft mask comes back as the alpha channel
+      const { data, info } = await sharp(files[1].data).raw().toBuffer({ resolveWithObject: true });
+      expect(info).toMatchObject({ width: 20, height: 10, channels: 4 });
+      expect([...data.subarray(0, 4)]).toEqual([0, 0, 255, 128]);
+    });
+
+    it('should extract attachments from the name tree and from annotations with unique names', async () => {
+      const { buffer } = await createDocument();
+      const { files, manifest } = await extractResources(buffer, validateExtractionOptions({ images: false }));
+
+      expect(manifest.images).toEqual([]);
+      expect(manifest.attachments).toEqual([
+        expect.objectContaining({
+          name: 'attachments/data.csv',
+          fileName: 'data.csv',
+          description: 'Raw numbers',
+          mimeType: 'text/csv',
+          modifiedAt: '2024-01-02T00:00:00.000Z',
+          page: null,
+          size: 8
+        }),
+        expect.objectContaining({ name: 'attachments/data (2).csv', fileName: 'archive/data.csv' }),
+        expect.objectContaining({ name: 'attachments/note.txt', page: 2 })
+      ]);
+      expect(files.find(({ name }) => name === 'attachments/note.txt').data.toString()).toBe('note text');
+    });
+
+    it('should limit images to the selected pages and sizes', async () => {
+      const { buffer } = await createDocument();
+
+      const secondPage = await extractResources(buffer, validateExtractionOptions({ pages: '2', attachments: false }));
+      expect(secondPage.manifest.images.map(({ name, pages }) => [name, pages])).toEqual([['images/page-002-01.jpg', [2]]]);
+
+      const large = await extractResources(buffer, validateExtractionOptions({ minSize: 25, attachments: false }));
+      expect(large.manifest.images.map(({ width }) => width)).toEqual([40]);
+
+      await expect(extractResources(buffer, validateExtractionOptions({ minSize: 100, attachments: false })))
+        .rejects.toThrow('no embedded images to extract');
+    });
+  });
+
+  describe('validateExtractionOptions function', () => {
+    it('should reject invalid options', () => {
+      expect(() => validateExtractionOptions({ images: false, attachments: 'false' })).toThrow('Please choose');
+      expect(() => validateExtractionOptions({ pages: '3-x' })).toThrow();
+      expect(() => validateExtractionOptions({ minSize: 0 })).toThrow('Minimum image size');
+      expect(validateExtractionOptions({})).toMatchObject({ images: true, attachments: true, minSize: 1 });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { PDFDocument } = require('pdf-lib');
+const {
+  listFormFields,
+  parseCsv,
+  validateFormFillOptions,
+  fillForm
+} = require('../../services/pdfForms');
+const pdfService = require('../../services/pdfService');
+
+// A two-page application form with one field of each fillable kind
+const createForm = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const first = pdfDoc.addPage([595.28, 841.89]);
+  const second = pdfDoc.addPage([595.28, 841.89]);
+  const form = pdfDoc.getForm();
+
+  const name = form.createTextField('applicant.name');
+  name.setMaxLength(40);
+  name.enableRequired();
+  name.addToPage(first, { x: 72, y: 700, width: 200, height: 20 });
+
+  form.createCheckBox('consent').addToPage(second, { x: 72, y: 600, width: 14, height: 14 });
+
+  const status = form.createRadioGroup('status');
+  status.addOptionToPage('single', first, { x: 72, y: 500, width: 14, height: 14 });
+  status.addOptionToPage('married', first, { x: 120, y: 500, width: 14, height: 14 });
+
+  const country = form.createDropdown('country');
+  country.addOptions(['Germany', 'Poland']);
+  country.select('Poland');
+  country.addToPage(first, { x: 72, y: 400, width: 120, height: 20 });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+describe('PDF Forms', () => {
+  describe('listFormFields function', () => {
+    it('should list fields with type, options, flags and widget positions', async () => {
+      const { fields, xfa } = await listFormFields(await createForm());
+
+      expect(xfa).toBe(false);
+      expect(fields.map(field => [field.name, field.type])).toEqual([
+        ['applicant.name', 'text'],
+        ['consent', 'checkbox'],
+        ['status', 'radio'],
+        ['country', 'dropdown']
+      ]);
+
+      const [name, consent, status, country] = fields;
+      expect(name).toMatchObject({ required: true, maxLength: 40, value: '' });
+      expect(name.widgets).toHaveLength(1);
+      // pdf-lib grows the rectangle by half the border width
+      expect(name.widgets[0]).toMatchObject({ page: 1, x: 71.5, y: 699.5, width: 201, height: 21 });
+      expect(consent.widgets[0].page).toBe(2);
+      expect(status.options).toEqual(['single', 'married']);
+      expect(status.widgets).toHaveLength(2);
+      expect(country).toMatchObject({ options: ['Germany', 'Poland'], value: 'Poland', multiSelect: false });
+    });
+  });
+
+  describe('fillForm function', () => {
+    it('should fill fields and keep them editable unless flattened', async () => {
+      const source = await createForm();
+      const values = { 'applicant.name': 'Jan Kowalski', consent: 'yes', status: 'married', country: 'Germany' };
+
+      const filled = await fillForm(source, values);
+      const { fields } = await listFormFields(filled.buffer);
+      expect(fields.map(field => field.value)).toEqual(['Jan Kowalski', true, 'married', 'Germany']);
+
+      const flattened = await fillForm(source, values, { flatten: true });
+      expect(flattened.flattened).toBe(true);
+      expect((await listFormFields(flattened.buffer)).fields).toEqual([]);
+    });
+
+    it('should reject unknown fields and values that do not fit', async () => {
+      const source = await createForm();
+
+      await expect(fillForm(source, { 'applicant.nmae': 'x' })).rejects.toThrow('Unknown form field(s): applicant.nmae');
+      await expect(fillForm(source, { status: 'divorced' })).rejects.toThrow('status has no option divorced');
+      await expect(fillForm(source, { 'applicant.name': 'x'.repeat(41) })).rejects.toThrow('at most 40 characters');
+      await expect(fillForm(source, { file: 'a.pdf' }, { ignoreNames: ['file'] })).resolves.toBeDefined();
+    });
+  });
+
+  describe('parseCsv function', () => {
+    it('should parse quoted CSV with either delimiter', () => {
+      expect(parseCsv('\uFEFFname,notes\r\n"Doe, Jane","said ""hi""\nthen left"\r\n\r\n')).toEqual([
+        { name: 'Doe, Jane', notes: 'said "hi"\nthen left' }
+      ]);
+      expect(parseCsv('name;city\nAnna;Kraków')).toEqual([{ name: 'Anna', city: 'Kraków' }]);
+      expect(() => parseCsv('name\n"open')).toThrow('not closed');
+    });
+  });
+
+  describe('validateFormFillOptions function', () => {
+    it('should require exactly one source of values', () => {
+      expect(() => validateFormFillOptions({})).toThrow('exactly one of values, rows or csv');
+      expect(() => validateFormFillOptions({ values: { a: 'x' }, fileNameField: 'file' })).toThrow('only applies');
+      expect(validateFormFillOptions({ values: { a: 'x' } })).toMatchObject({ batch: false, flatten: false });
+    });
+  });
+
+  describe('fillPdfForm function', () => {
+    it('should fill one PDF per row into a ZIP named by a column', async () => {
+      const sourcePath = path.join(os.tmpdir(), `form-source-${Date.now()}.pdf`);
+      fs.writeFileSync(sourcePath, await createForm());
+
+      const settings = validateFormFillOptions({
+        csv: 'file,applicant.name,consent\nanna,Anna Nowak,x\nanna,Anna Kowal,\n',
+        fileNameField: 'file',
+        flatten: true
+      });
+      const result = await pdfService.fillPdfForm(sourcePath, {
+        settings,
+        resultFileId: `form-batch-${Date.now()}`
+      });
+
+      try {
+        expect(result.outputFormat).toBe('zip');
+        expect(result.manifest.map(entry => entry.name)).toEqual(['anna.pdf', 'anna (2).pdf']);
+
+        const zip = await JSZip.loadAsync(fs.readFileSync(result.outputPath));
+        expect(Object.keys(zip.files)).toEqual(['anna.pdf', 'anna (2).pdf']);
+        const second = await zip.file('anna (2).pdf').async('nodebuffer');
+        expect((await PDFDocument.load(second)).getPageCount()).toBe(2);
+      } finally {
+        fs.unlinkSync(sourcePath);
+        fs.unlinkSync(result.outputPath);
+      }
+    });
+  });
+});
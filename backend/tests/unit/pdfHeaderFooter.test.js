@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { PDFDocument, degrees } = require('pdf-lib');
+const {
+  validateHeaderFooterOptions,
+  formatBatesNumber,
+  stampHeaderFooter
+} = require('../../services/pdfHeaderFooter');
+const { addHeaderFooter } = require('../../services/pdfService');
+const { getPdfjs, openDocument } = require('../../services/pdfjsService');
+
+// Create an empty document, optionally with a turned first page
+const createDocument = async (pageCount, rotation = 0) => {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([612, 792]);
+  }
+  pdfDoc.getPage(0).setRotation(degrees(rotation));
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Text items of every page, positioned as the page is displayed
+const readDisplayedText = async (buffer) => {
+  const pdfjs = getPdfjs();
+  const doc = await openDocument(buffer);
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+    pages.push(content.items.filter(item => item.str.trim()).map(item => {
+      const [a, b, , , x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+      return { str: item.str, x, y, width: item.width, angle: Math.round(Math.atan2(b, a) * 180 / Math.PI) };
+    }));
+  }
+  await doc.destroy();
+  return pages;
+};
+
+describe('PDF Header and Footer', () => {
+  describe('validateHeaderFooterOptions function', () => {
+    it('should fill in defaults and reject invalid blocks', () => {
+      const settings = validateHeaderFooterOptions({
+        blocks: [{ text: 'Page {page} of {pages}' }],
+        bates: { prefix: 'ACME' },
+        date: '2024-05-01'
+      });
+      expect(settings).toEqual({
+        blocks: [{ position: 'footer-center', text: 'Page {page} of {pages}' }],
+        bates: { prefix: 'ACME', suffix: '', digits: 6, start: 1, position: 'footer-right' },
+        font: 'helvetica',
+        fontSize: 10,
+        color: '#000000',
+        marginX: 36,
+        marginY: 24,
+        pages: undefined,
+        startNumber: 1,
+        date: '2024-05-01'
+      });
+      expect(validateHeaderFooterOptions({ blocks: [{ text: '{date}' }] }).date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+      expect(() => validateHeaderFooterOptions({})).toThrow('header or footer text');
+      expect(() => validateHeaderFooterOptions({ blocks: [{ text: '{time}' }] })).toThrow('unknown token {time}');
+      expect(() => validateHeaderFooterOptions({ blocks: [{ text: 'A', position: 'side' }] })).toThrow('unsupported position');
+      expect(() => validateHeaderFooterOptions({ blocks: [{ text: 'A' }], bates: { position: 'footer-center' } }))
+        .toThrow('already used');
+      expect(() => validateHeaderFooterOptions({ bates: { digits: 2.5 } })).toThrow('whole numbers');
+    });
+  });
+
+  describe('formatBatesNumber function', () => {
+    it('should pad the counter between prefix and suffix', () => {
+      expect(formatBatesNumber({ prefix: 'ABC', suffix: '-C', digits: 6 }, 42)).toBe('ABC000042-C');
+      expect(formatBatesNumber({ prefix: '', suffix: '', digits: 2 }, 1234)).toBe('1234');
+    });
+  });
+
+  describe('stampHeaderFooter function', () => {
+    it('should number the selected pages and fill in the tokens', async () => {
+      const settings = validateHeaderFooterOptions({
+        blocks: [
+          { position: 'header-left', text: '{filename} – {date}' },
+          { position: 'footer-center', text: 'Page {page} of {pages}' }
+        ],
+        pages: '2-',
+        startNumber: 1,
+        date: '2024-05-01'
+      });
+
+      const result = await stampHeaderFooter(await createDocument(3), settings, { fileName: 'Résumé 漢.pdf' });
+      expect(result.stampedPages).toEqual([2, 3]);
+      expect(result.firstBates).toBeNull();
+
+      const pages = await readDisplayedText(result.buffer);
+      expect(pages[0]).toEqual([]);
+      expect(pages[1].map(item => item.str)).toEqual(['Résumé ?.pdf – 2024-05-01', 'Page 1 of 2']);
+      expect(pages[2][1].str).toBe('Page 2 of 2');
+
+      const [header, footer] = pages[1];
+      expect(header.x).toBeCloseTo(36);
+      expect(header.y).toBeLessThan(50);
+      expect(footer.x + footer.width / 2).toBeCloseTo(306, 0);
+      expect(footer.y).toBeCloseTo(792 - 24, 0);
+    });
+
+    it('should keep the text upright and along the displayed edges of turned pages', async () => {
+      const settings = validateHeaderFooterOptions({ bates: { position: 'footer-right', digits: 4 } });
+      const pages = await readDisplayedText((await stampHeaderFooter(await createDocument(1, 90), settings)).buffer);
+
+      const [bates] = pages[0];
+      expect(bates.str).toBe('0001');
+      expect(bates.angle).toBe(0);
+      expect(bates.x + bates.width).toBeCloseTo(792 - 36, 0);
+      expect(bates.y).toBeCloseTo(612 - 24, 0);
+    });
+  });
+
+  describe('addHeaderFooter function', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfspark-bates-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should continue Bates numbers across files in one archive', async () => {
+      const inputs = [];
+      for (const [index, pageCount] of [2, 3].entries()) {
+        const filepath = path.join(tempDir, `input-${index}.pdf`);
+        fs.writeFileSync(filepath, await createDocument(pageCount));
+        inputs.push({ filepath, name: 'exhibit.pdf' });
+      }
+
+      const result = await addHeaderFooter(inputs, {
+        settings: validateHeaderFooterOptions({ bates: { prefix: 'DOC', start: 99, digits: 5 } }),
+        resultFileId: `bates-test-${Date.now()}`
+      });
+      // Written to the service's temp directory
+      const archive = fs.readFileSync(result.outputPath);
+      fs.unlinkSync(result.outputPath);
+
+      expect(result.outputFormat).toBe('zip');
+      expect(result.nextBates).toBe(104);
+      expect(result.manifest.map(entry => [entry.name, entry.firstBates, entry.lastBates])).toEqual([
+        ['exhibit.pdf', 'DOC00099', 'DOC00100'],
+        ['exhibit (2).pdf', 'DOC00101', 'DOC00103']
+      ]);
+
+      const zip = await JSZip.loadAsync(archive);
+      const second = await readDisplayedText(await zip.file('exhibit (2).pdf').async('nodebuffer'));
+      expect(second.map(items => items[0].str)).toEqual(['DOC00101', 'DOC00102', 'DOC00103']);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { mergeDocuments } = require('../../services/pdfMerger');
+const { readOutline, writeOutline } = require('../../services/pdfOutline');
+
+// Create a document with a two-level outline and a link from its first to its last page
+const createChapterPdf = async (name, pageCount) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let i = 1; i <= pageCount; i++) {
+    pdfDoc.addPage([300, 400]).drawText(`${name} page ${i}`, { x: 20, y: 300, size: 18, font });
+  }
+
+  const first = pdfDoc.getPage(0);
+  const last = pdfDoc.getPage(pageCount - 1);
+  const link = pdfDoc.context.register(pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: [0, 0, 100, 20],
+    P: first.ref,
+    Dest: [last.ref, 'Fit']
+  }));
+  first.node.set(PDFName.of('Annots'), pdfDoc.context.obj([link]));
+
+  writeOutline(pdfDoc, [{
+    title: `${name} start`,
+    pageIndex: 0,
+    open: true,
+    children: [{ title: `${name} end`, pageIndex: pageCount - 1, view: ['XYZ', 0, 200, null] }]
+  }]);
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Page index each link annotation of the document points at
+const getLinkTargets = (pdfDoc) => {
+  const refs = pdfDoc.getPages().map(page => page.ref.toString());
+  return pdfDoc.getPages().map(page => {
+    const annots = page.node.Annots();
+    const targets = [];
+    for (let i = 0; annots && i < annots.size(); i++) {
+      const dest = annots.lookup(i).lookup(PDFName.of('Dest'));
+      targets.push(refs.indexOf(dest.get(0).toString()));
+    }
+    return targets;
+  });
+};
+
+describe('PDF Merger', () => {
+  let chapterA;
+  let chapterB;
+
+  beforeAll(async () => {
+    chapterA = await createChapterPdf('A', 3);
+    chapterB = await createChapterPdf('B', 2);
+  });
+
+  describe('mergeDocuments function', () => {
+    it('should copy the selected pages in order and nest each outline under its file', async () => {
+      const result = await mergeDocuments([
+        { buffer: chapterA, title: 'Chapter A' },
+        { buffer: chapterB, title: 'Chapter B' }
+      ]);
+
+      expect(result.pageCount).toBe(5);
+      expect(result.sources).toEqual([
+        { title: 'Chapter A', startPage: 1, pageCount: 3 },
+        { title: 'Chapter B', startPage: 4, pageCount: 2 }
+      ]);
+
+      const merged = await PDFDocument.load(result.buffer);
+      const outline = readOutline(merged);
+      expect(outline.map(item => [item.title, item.pageIndex])).toEqual([['Chapter A', 0], ['Chapter B', 3]]);
+      expect(outline[1].children[0]).toMatchObject({ title: 'B start', pageIndex: 3, open: true });
+      expect(outline[1].children[0].children[0]).toMatchObject({ title: 'B end', pageIndex: 4, view: ['XYZ', 0, 200, null] });
+      expect(result.bookmarkCount).toBe(6);
+
+      expect(getLinkTargets(merged)).toEqual([[2], [], [], [4], []]);
+    });
+
+    it('should drop links and bookmarks to pages left out of a range', async () => {
+      const result = await mergeDocuments([
+        { buffer: chapterA, pages: '1-2', title: 'Chapter A' },
+        { buffer: chapterB, pages: '2,1', title: 'Chapter B' }
+      ]);
+
+      const merged = await PDFDocument.load(result.buffer);
+      expect(getLinkTargets(merged)).toEqual([[], [], [], [2]]);
+
+      const [chapterAItem, chapterBItem] = readOutline(merged);
+      expect(chapterAItem.children.map(item => item.title)).toEqual(['A start']);
+      expect(chapterAItem.children[0].children).toEqual([]);
+      expect(chapterBItem.children[0]).toMatchObject({ title: 'B start', pageIndex: 3 });
+      expect(chapterBItem.children[0].children[0]).toMatchObject({ title: 'B end', pageIndex: 2 });
+    });
+
+    it('should only add file bookmarks or none on request', async () => {
+      const files = await mergeDocuments([{ buffer: chapterA }, { buffer: chapterB }], { bookmarks: 'files' });
+      const outline = readOutline(await PDFDocument.load(files.buffer));
+      expect(outline.map(item => [item.title, item.pageIndex, item.children.length]))
+        .toEqual([['Document 1', 0, 0], ['Document 2', 3, 0]]);
+
+      const none = await mergeDocuments([{ buffer: chapterA }, { buffer: chapterB }], { bookmarks: 'none' });
+      expect(readOutline(await PDFDocument.load(none.buffer))).toEqual([]);
+      expect(none.bookmarkCount).toBe(0);
+    });
+
+    it('should reject unknown bookmark modes and unreadable files', async () => {
+      await expect(mergeDocuments([{ buffer: chapterA }], { bookmarks: 'all' }))
+        .rejects.toThrow('Unsupported bookmark mode: all');
+      await expect(mergeDocuments([{ buffer: Buffer.from('not a pdf'), title: 'notes.txt' }]))
+        .rejects.toThrow('notes.txt could not be read as a PDF');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const { PDFDocument, PDFName, degrees } = require('pdf-lib');
+const {
+  readMetadata,
+  validateMetadataOptions,
+  writeMetadata
+} = require('../../services/pdfMetadata');
+
+const XMP = [
+  '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+  '<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/" pdfaid:part="2" pdfaid:conformance="B"',
+  ' xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li></rdf:Seq></dc:creator>',
+  '</rdf:Description></rdf:RDF></x:xmpmeta>',
+  '<?xpacket end="w"?>'
+].join('\n');
+
+// Create a document the way office software leaves it: full Info, XMP and private data
+const createDocument = async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([595.28, 841.89]);
+  pdfDoc.addPage([595.28, 841.89]).setRotation(degrees(90));
+  pdfDoc.addPage([612, 792]);
+  pdfDoc.addPage([595.28, 841.89]);
+
+  pdfDoc.setTitle('Quarterly report');
+  pdfDoc.setAuthor('Jane Doe');
+  pdfDoc.setCreator('Word Processor 16');
+  pdfDoc.setProducer('PDF Library 2.0');
+  pdfDoc.setCreationDate(new Date('2024-03-01T10:00:00Z'));
+  pdfDoc.setModificationDate(new Date('2024-03-02T11:30:00Z'));
+  pdfDoc.getInfoDict().set(PDFName.of('Company'), pdfDoc.context.obj('ACME'));
+
+  const xmp = pdfDoc.context.stream(XMP, { Type: 'Metadata', Subtype: 'XML' });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp));
+  pdfDoc.getPage(0).node.set(PDFName.of('PieceInfo'), pdfDoc.context.obj({ Editor: { Private: 'history' } }));
+
+  return Buffer.from(await pdfDoc.save({ updateFieldAppearances: false }));
+};
+
+describe('PDF Metadata', () => {
+  let source;
+
+  beforeAll(async () => {
+    source = await createDocument();
+  });
+
+  describe('readMetadata function', () => {
+    it('should read the Info dictionary, XMP packet, version and page sizes', async () => {
+      const metadata = await readMetadata(source);
+
+      expect(metadata.version).toBe('1.7');
+      expect(metadata.pageCount).toBe(4);
+      expect(metadata.producer).toBe('PDF Library 2.0');
+      expect(metadata.pageSizes).toEqual([
+        { width: 595.28, height: 841.89, pages: '1,4' },
+        { width: 841.89, height: 595.28, pages: '2' },
+        { width: 612, height: 792, pages: '3' }
+      ]);
+      expect(metadata.info).toMatchObject({
+        Title: 'Quarterly report',
+        Author: 'Jane Doe',
+        Company: 'ACME',
+        CreationDate: '2024-03-01T10:00:00.000Z'
+      });
+      expect(metadata.xmp).toContain('<rdf:li>Jane Doe</rdf:li>');
+    });
+  });
+
+  describe('validateMetadataOptions function', () => {
+    it('should normalise fields and reject unknown ones', () => {
+      expect(validateMetadataOptions({
+        fields: { title: ' New ', keywords: ['a', ' b ', ''], author: '', creationDate: '2024-01-01' }
+      })).toEqual({
+        preset: null,
+        fields: { title: 'New', keywords: 'a, b', author: null, creationDate: '2024-01-01T00:00:00.000Z' },
+        xmp: 'sync'
+      });
+      expect(validateMetadataOptions({ preset: 'sanitize', xmp: 'keep' }).xmp).toBe('remove');
+
+      expect(() => validateMetadataOptions({})).toThrow('metadata to change');
+      expect(() => validateMetadataOptions({ fields: { company: 'x' } })).toThrow('Unsupported metadata field');
+      expect(() => validateMetadataOptions({ fields: { modificationDate: 'soon' } })).toThrow('must be a date');
+      expect(() => validateMetadataOptions({ preset: 'wipe' })).toThrow('Unsupported metadata preset');
+    });
+  });
+
+  describe('writeMetadata function', () => {
+    it('should set and remove fields and rewrite the XMP packet to match', async () => {
+      const result = await writeMetadata(source, validateMetadataOptions({
+        fields: { title: 'Final <report>', author: null, keywords: ['finance', '2024'] }
+      }));
+
+      expect(result.xmp).toBe('written');
+      expect(result.removedKeys).toEqual(['Author']);
+
+      const metadata = await readMetadata(result.buffer);
+      expect(metadata.info.Title).toBe('Final <report>');
+      expect(metadata.info.Author).toBeUndefined();
+      expect(metadata.info.Keywords).toBe('finance, 2024');
+      expect(metadata.xmp).toContain('<rdf:li xml:lang="x-default">Final &lt;report&gt;</rdf:li>');
+      expect(metadata.xmp).not.toContain('Jane Doe');
+      // Still identifies as PDF/A
+      expect(metadata.xmp).toContain('<pdfaid:part>2</pdfaid:part>');
+    });
+
+    it('should remove author, software and timestamp traces when sanitizing', async () => {
+      const result = await writeMetadata(source, validateMetadataOptions({
+        preset: 'sanitize',
+        fields: { subject: 'Public version' }
+      }));
+
+      expect(result.xmp).toBe('removed');
+      expect(result.removedKeys.sort()).toEqual(['Author', 'Company', 'CreationDate', 'Creator', 'ModDate', 'Producer']);
+
+      const metadata = await readMetadata(result.buffer);
+      expect(metadata.info).toEqual({ Title: 'Quarterly report', Subject: 'Public version' });
+      expect(metadata.xmp).toBeNull();
+      const sanitized = await PDFDocument.load(result.buffer);
+      expect(sanitized.getPage(0).node.has(PDFName.of('PieceInfo'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { PDFDocument, StandardFonts, decodePDFRawStream, rgb } = require('pdf-lib');
+const { pageNeedsOcr, addTextLayer, validateOcrOptions, ocrDocument } = require('../../services/pdfOcr');
+const { openDocument, extractPageText, renderPage } = require('../../services/pdfjsService');
+
+// Layout of the first page as pdf.js reads it, plus the page's viewport transform
+const readFirstPage = async (buffer) => {
+  const doc = await openDocument(buffer);
+  const page = await doc.getPage(1);
+  const layout = await extractPageText(page);
+  const { transform } = page.getViewport({ scale: 1 });
+  await doc.destroy();
+  return { ...layout, transform };
+};
+
+// What recognizePage would return for two words on a line at the given layout position
+const recognizedLine = (transform, x, baseline) => {
+  const words = [
+    { str: 'Invoice', x, y: baseline - 12, width: 50, height: 12, baseline },
+    { str: 'total', x: x + 56, y: baseline - 12, width: 30, height: 12, baseline }
+  ];
+  return {
+    pageNumber: 1,
+    transform,
+    confidence: 90,
+    items: [{ str: 'Invoice total', x, y: baseline - 12, baseline, width: 86, height: 12, fontSize: 12, hasEOL: true, words }]
+  };
+};
+
+describe('PDF OCR', () => {
+  // A "scan": a page with drawings only
+  const createScan = async (rotation = 0) => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([300, 400]);
+    page.drawRectangle({ x: 20, y: 20, width: 260, height: 360, color: rgb(0.9, 0.9, 0.9) });
+    page.setRotation({ type: 'degrees', angle: rotation });
+    return Buffer.from(await pdfDoc.save());
+  };
+
+  describe('pageNeedsOcr function', () => {
+    it('should only select pages without a real text layer', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      pdfDoc.addPage([300, 400]).drawText('This page has a proper text layer', { x: 20, y: 300, size: 12, font });
+
+      expect(pageNeedsOcr(await readFirstPage(Buffer.from(await pdfDoc.save())))).toBe(false);
+      expect(pageNeedsOcr(await readFirstPage(await createScan()))).toBe(true);
+    });
+  });
+
+  describe('addTextLayer function', () => {
+    it.each([0, 90])('should place searchable words over a scan rotated by %i degrees', async (rotation) => {
+      const scan = await createScan(rotation);
+      const { transform } = await readFirstPage(scan);
+
+      const pdfDoc = await PDFDocument.load(scan);
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      const written = addTextLayer(pdfDoc.getPage(0), font, recognizedLine(transform, 40, 100));
+      expect(written).toBe(2);
+
+      const layout = await readFirstPage(Buffer.from(await pdfDoc.save()));
+      const words = layout.items.filter(item => item.str.trim());
+      expect(words.map(item => item.str)).toEqual(['Invoice', 'total']);
+
+      // Each word covers its box on the rendered page (pdf.js measures with its own font metrics)
+      expect(words[0].x).toBeCloseTo(40, 0);
+      expect(Math.abs(words[0].width - 50)).toBeLessThan(1);
+      expect(words[0].baseline).toBeCloseTo(100, 0);
+      expect(words[1].x).toBeCloseTo(96, 0);
+    });
+
+    it('should draw the text invisibly and skip characters the font cannot encode', async () => {
+      const scan = await createScan();
+      const { transform } = await readFirstPage(scan);
+      const pageLayout = recognizedLine(transform, 40, 100);
+      pageLayout.items[0].words.push({ str: '漢字', x: 130, y: 88, width: 20, height: 12, baseline: 100 });
+
+      const pdfDoc = await PDFDocument.load(scan);
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      expect(addTextLayer(pdfDoc.getPage(0), font, pageLayout)).toBe(2);
+
+      const result = await PDFDocument.load(await pdfDoc.save());
+      const content = result.getPage(0).node.Contents().asArray()
+        .map(ref => Buffer.from(decodePDFRawStream(result.context.lookup(ref)).decode()).toString('latin1'))
+        .join('\n');
+      expect(content).toMatch(/3 Tr/);
+    });
+  });
+
+  describe('ocrDocument function', () => {
+    // A real scan: a page of text rendered to an image, with no text layer left
+    const createTextScan = async () => {
+      const original = await PDFDocument.create();
+      const font = await original.embedFont(StandardFonts.Helvetica);
+      const page = original.addPage([300, 200]);
+      page.drawText('Invoice number 4711', { x: 30, y: 140, size: 18, font });
+      page.drawText('Total amount due', { x: 30, y: 100, size: 18, font });
+
+      const doc = await openDocument(Buffer.from(await original.save()));
+      const image = await renderPage(await doc.getPage(1), { dpi: 150, format: 'png' });
+      await doc.destroy();
+
+      const scan = await PDFDocument.create();
+      const png = await scan.embedPng(image.buffer);
+      scan.addPage([300, 200]).drawImage(png, { x: 0, y: 0, width: 300, height: 200 });
+      return Buffer.from(await scan.save());
+    };
+
+    it('should recognize the words of a scan with the bundled engine and make them searchable', async () => {
+      const result = await ocrDocument(await createTextScan(), { language: 'eng' });
+      expect(result).toMatchObject({ pageCount: 1, recognizedPages: [1], skippedPages: [], wordCount: 6 });
+      expect(result.confidence).toBeGreaterThan(80);
+
+      const { items } = await readFirstPage(result.buffer);
+      const words = items.filter(item => item.str.trim());
+      expect(words.map(item => item.str)).toEqual(['Invoice', 'number', '4711', 'Total', 'amount', 'due']);
+      // Where the text was drawn: 60 and 100 points from the top
+      expect(words[0].x).toBeCloseTo(30, -1);
+      expect(words[0].baseline).toBeCloseTo(60, -1);
+      expect(words[3].baseline).toBeCloseTo(100, -1);
+    }, 60000);
+  });
+
+  describe('validateOcrOptions function', () => {
+    it('should default to English and reject languages without bundled data', () => {
+      expect(validateOcrOptions({})).toBe('eng');
+      expect(() => validateOcrOptions({ language: 'xx' })).toThrow('Unsupported OCR language: xx');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { PDFDocument, PDFName, StandardFonts, degrees } = require('pdf-lib');
+const { validatePagePlan, organizeDocument } = require('../../services/pdfOrganizer');
+const { readOutline, writeOutline } = require('../../services/pdfOutline');
+
+// Create a document with a bookmark per page and a link from its first to its last page
+const createDocument = async (name, pageCount) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let i = 1; i <= pageCount; i++) {
+    pdfDoc.addPage([300, 400]).drawText(`${name} page ${i}`, { x: 20, y: 300, size: 18, font });
+  }
+  pdfDoc.getPage(1).setRotation(degrees(90));
+  pdfDoc.setTitle(`${name} title`);
+
+  const first = pdfDoc.getPage(0);
+  const last = pdfDoc.getPage(pageCount - 1);
+  const link = pdfDoc.context.register(pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: [0, 0, 100, 20],
+    P: first.ref,
+    Dest: [last.ref, 'Fit']
+  }));
+  first.node.set(PDFName.of('Annots'), pdfDoc.context.obj([link]));
+
+  writeOutline(pdfDoc, Array.from({ length: pageCount }, (_, i) => ({ title: `${name} ${i + 1}`, pageIndex: i })));
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Page index each link annotation of the document points at
+const getLinkTargets = (pdfDoc) => {
+  const refs = pdfDoc.getPages().map(page => page.ref.toString());
+  return pdfDoc.getPages().map(page => {
+    const annots = page.node.Annots();
+    const targets = [];
+    for (let i = 0; annots && i < annots.size(); i++) {
+      const dest = annots.lookup(i).lookup(PDFName.of('Dest'));
+      targets.push(refs.indexOf(dest.get(0).toString()));
+    }
+    return targets;
+  });
+};
+
+describe('PDF Organizer', () => {
+  let documentA;
+  let documentB;
+
+  beforeAll(async () => {
+    documentA = await createDocument('A', 4);
+    documentB = await createDocument('B', 2);
+  });
+
+  describe('validatePagePlan function', () => {
+    it('should normalise rotations and reject invalid entries', () => {
+      expect(validatePagePlan([
+        { page: 2, rotation: -90 },
+        { pages: '3-' },
+        { blank: true, size: 'A4' },
+        { fileId: 'other', page: 1 }
+      ])).toEqual([
+        { page: 2, rotation: 270 },
+        { pages: '3-', rotation: 0 },
+        { blank: true, size: 'a4', rotation: 0 },
+        { fileId: 'other', page: 1, rotation: 0 }
+      ]);
+
+      expect(() => validatePagePlan([])).toThrow('at least one page');
+      expect(() => validatePagePlan([{ page: 1, rotation: 45 }])).toThrow('multiple of 90');
+      expect(() => validatePagePlan([{ page: 0 }])).toThrow('invalid page number');
+      expect(() => validatePagePlan([{ pages: '3-1' }])).toThrow('Invalid page range');
+      expect(() => validatePagePlan([{ blank: true, size: 'a3' }])).toThrow('unsupported page size');
+      expect(() => validatePagePlan([{ rotation: 90 }])).toThrow('needs a page');
+    });
+  });
+
+  describe('organizeDocument function', () => {
+    it('should reorder, rotate, duplicate, delete and insert pages in one pass', async () => {
+      const plan = validatePagePlan([
+        { page: 4 },
+        { blank: true },
+        { page: 1, rotation: 90 },
+        { fileId: 'b', pages: '1-2' },
+        { page: 2, rotation: 270 },
+        { page: 1 }
+      ]);
+
+      const result = await organizeDocument(documentA, plan, { files: { b: documentB } });
+      expect(result).toMatchObject({ pageCount: 7, sourcePageCount: 4, bookmarkCount: 3 });
+
+      const organized = await PDFDocument.load(result.buffer);
+      expect(organized.getTitle()).toBe('A title');
+      expect(organized.getPages().map(page => page.getRotation().angle)).toEqual([0, 0, 90, 0, 90, 0, 0]);
+      // A blank page takes the size of the page before it
+      expect(organized.getPage(1).getSize()).toEqual({ width: 300, height: 400 });
+
+      // Page 3 was deleted, the remaining bookmarks follow their pages
+      expect(readOutline(organized).map(item => [item.title, item.pageIndex])).toEqual([
+        ['A 1', 2],
+        ['A 2', 5],
+        ['A 4', 0]
+      ]);
+
+      // Links of both documents point at the copies of their targets
+      expect(getLinkTargets(organized)).toEqual([[], [], [0], [4], [], [], [0]]);
+    });
+
+    it('should reject pages outside the documents and missing files', async () => {
+      await expect(organizeDocument(documentA, validatePagePlan([{ page: 5 }])))
+        .rejects.toThrow('page 5 is outside the document (4 pages)');
+      await expect(organizeDocument(documentA, validatePagePlan([{ fileId: 'b', page: 1 }])))
+        .rejects.toThrow('inserted file b is missing');
+      await expect(organizeDocument(documentA, validatePagePlan([{ blank: true }])))
+        .rejects.toThrow('no pages of a document');
+    });
+  });
+});
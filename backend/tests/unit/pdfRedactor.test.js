@@ -0,0 +1,148 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { PDFDocument, PDFName, PDFRawStream, StandardFonts } = require('pdf-lib');
+const { validateRedactionOptions, redactDocument } = require('../../services/pdfRedactor');
+const { parseContentStream, getPageContent } = require('../../services/pdfContentStream');
+const { readOutline, writeOutline } = require('../../services/pdfOutline');
+
+const createDocument = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  const first = pdfDoc.addPage([595, 842]);
+  first.drawText('Contact jan.kowalski@example.com or +48 601 234 567', { x: 50, y: 700, size: 12, font });
+  first.drawText('Pay to PL61 1090 1014 0000 0712 1981 2874 before Friday', { x: 50, y: 680, size: 12, font });
+  first.drawText('Not an IBAN: PL61 1090 1014 0000 0712 1981 2875', { x: 50, y: 660, size: 12, font });
+
+  const second = pdfDoc.addPage([595, 842]);
+  second.drawText('Project Falcon is confidential', { x: 50, y: 700, size: 12, font });
+  const photo = await pdfDoc.embedPng(await sharp({
+    create: { width: 20, height: 20, channels: 3, background: { r: 255, g: 255, b: 255 } }
+  }).png().toBuffer());
+  second.drawImage(photo, { x: 100, y: 400, width: 100, height: 100 });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Text shown on a page, in drawing order
+const pageText = (page) => parseContentStream(getPageContent(page.node))
+  .filter(({ operator }) => ['Tj', 'TJ'].includes(operator))
+  .map(({ operands }) => [].concat(operands[0])
+    .filter(item => item && item.type === 'string')
+    .map(item => item.value.toString('latin1'))
+    .join(''))
+  .join('\n');
+
+describe('PDF Redactor', () => {
+  describe('redactDocument function', () => {
+    it('should remove pattern matches from the content and count them per page', async () => {
+      const settings = validateRedactionOptions({ patterns: ['email', 'phone', 'iban'] });
+      const redacted = await redactDocument(await createDocument(), settings);
+
+      expect(redacted.pages).toEqual([expect.objectContaining({
+        page: 1,
+        matches: 3,
+        matchesByRule: { email: 1, phone: 1, iban: 1 }
+      })]);
+
+      const pdfDoc = await PDFDocument.load(redacted.buffer);
+      const text = pageText(pdfDoc.getPage(0));
+      expect(text).toContain('Contact  or ');
+      expect(text).toContain('Pay to  before Friday');
+      expect(text).not.toContain('example.com');
+      expect(text).not.toContain('601');
+      // The check digits do not match, so this one stays
+      expect(text).toContain('PL61 1090 1014 0000 0712 1981 2875');
+      expect(pageText(pdfDoc.getPage(1))).toBe('Project Falcon is confidential');
+    });
+
+    it('should match terms regardless of case and spacing on the pages searched only', async () => {
+      const settings = validateRedactionOptions({ terms: ['project  falcon', 'friday'], wholeWords: true, pages: '2' });
+      const redacted = await redactDocument(await createDocument(), settings);
+
+      expect(redacted.pages.map(({ page, matches }) => [page, matches])).toEqual([[2, 1]]);
+      // The counts are saved with the operation, so the rule is numbered rather than quoted
+      expect(redacted.pages[0].matchesByRule).toEqual({ 'text 1': 1 });
+      const pdfDoc = await PDFDocument.load(redacted.buffer);
+      expect(pageText(pdfDoc.getPage(1))).toBe(' is confidential');
+      expect(pageText(pdfDoc.getPage(0))).toContain('Friday');
+    });
+
+    it('should remove terms from the title, XMP packet and bookmarks and drop attachments', async () => {
+      const pdfDoc = await PDFDocument.load(await createDocument());
+      pdfDoc.setTitle('Project Falcon plan');
+      pdfDoc.setSubject('Falcon');
+      pdfDoc.setAuthor('Jan Kowalski');
+      const xmp = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><dc:title>Project Falcon plan</dc:title></x:xmpmeta>';
+      pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(
+        pdfDoc.context.stream(xmp, { Type: 'Metadata', Subtype: 'XML' })
+      ));
+      writeOutline(pdfDoc, [
+        { title: 'Contacts', pageIndex: 0, view: null, open: true, children: [] },
+        { title: 'Falcon budget', pageIndex: 1, view: null, open: true, children: [] }
+      ]);
+      await pdfDoc.attach(Buffer.from('Falcon figures'), 'figures.txt', { mimeType: 'text/plain' });
+
+      // The page searched holds no match, the document's own text is searched anyway
+      const settings = validateRedactionOptions({ terms: ['falcon'], pages: '1' });
+      const redacted = await redactDocument(Buffer.from(await pdfDoc.save()), settings);
+      expect(redacted.pages).toEqual([]);
+      expect(redacted.document).toEqual({
+        matches: 4,
+        matchesByRule: { 'text 1': 4 },
+        infoFields: ['Title', 'Subject'],
+        xmpPackets: 1,
+        bookmarks: 1,
+        attachmentsRemoved: 1
+      });
+
+      const result = await PDFDocument.load(redacted.buffer, { updateMetadata: false });
+      expect(result.getTitle()).toBe('Project  plan');
+      expect(result.getSubject()).toBeUndefined();
+      expect(result.getAuthor()).toBe('Jan Kowalski');
+      expect(readOutline(result).map(item => item.title)).toEqual(['Contacts', ' budget']);
+      expect(result.catalog.lookup(PDFName.of('Names'))).toBeUndefined();
+
+      // Rebuilt from the redacted Info values
+      const packet = Buffer.from(result.catalog.lookup(PDFName.of('Metadata')).contents).toString('utf8');
+      expect(packet).toContain('<rdf:li xml:lang="x-default">Project  plan</rdf:li>');
+      expect(packet).not.toMatch(/falcon/i);
+    });
+
+    it('should black out image pixels and text inside areas', async () => {
+      const settings = validateRedactionOptions({
+        areas: [
+          { page: 2, x: 100, y: 400, width: 50, height: 50 },
+          { page: 2, x: 40, y: 690, width: 60, height: 30 }
+        ]
+      });
+      const redacted = await redactDocument(await createDocument(), settings);
+      expect(redacted.pages[0]).toMatchObject({ page: 2, areas: 2, imagesRedacted: 1, imagesRemoved: 0 });
+
+      const pdfDoc = await PDFDocument.load(redacted.buffer);
+      expect(pageText(pdfDoc.getPage(1))).not.toContain('Project');
+
+      const images = pdfDoc.context.enumerateIndirectObjects()
+        .map(([, object]) => object)
+        .filter(object => object instanceof PDFRawStream && object.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Image'));
+      // The original image is gone, the copy is black in its bottom left quarter only
+      expect(images).toHaveLength(1);
+      const pixels = zlib.inflateSync(Buffer.from(images[0].contents));
+      const pixelAt = (x, y) => pixels[(y * 20 + x) * 3];
+      expect(pixelAt(2, 17)).toBe(0);
+      expect(pixelAt(17, 17)).toBe(255);
+      expect(pixelAt(2, 2)).toBe(255);
+    });
+  });
+
+  describe('validateRedactionOptions function', () => {
+    it('should reject unsafe or empty rules', () => {
+      expect(() => validateRedactionOptions({})).toThrow('Please provide');
+      expect(() => validateRedactionOptions({ regexes: ['(a+)+'] })).toThrow('nested repetition');
+      expect(() => validateRedactionOptions({ regexes: ['a*'] })).toThrow('matches empty text');
+      expect(() => validateRedactionOptions({ regexes: ['(x'] })).toThrow('Invalid regular expression');
+      expect(() => validateRedactionOptions({ patterns: ['ssn'] })).toThrow('Unsupported pattern');
+      expect(() => validateRedactionOptions({ areas: [{ page: 1, x: 0, y: 0 }] })).toThrow('needs a width and height');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const {
+  encryptDocument,
+  decryptDocument,
+  isEncryptedPdf,
+  computePermissionFlags,
+  parsePermissionFlags
+} = require('../../services/pdfSecurity');
+const { openDocument } = require('../../services/pdfjsService');
+
+// Text of the first page as pdf.js reads it
+const readFirstPage = async (buffer, password) => {
+  const doc = await openDocument(buffer, { password });
+  const page = await doc.getPage(1);
+  const content = await page.getTextContent();
+  const permissions = await doc.getPermissions();
+  await doc.destroy();
+  return { text: content.items.map(item => item.str).join(''), permissions };
+};
+
+describe('PDF Security', () => {
+  let plainPdf;
+
+  beforeAll(async () => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    pdfDoc.addPage([300, 400]).drawText('Confidential', { x: 20, y: 300, size: 18, font });
+    pdfDoc.setTitle('Secret plans');
+    plainPdf = Buffer.from(await pdfDoc.save());
+  });
+
+  describe('encryptDocument function', () => {
+    it.each(['aes-128', 'aes-256'])('should encrypt with %s so only the passwords open it', async (algorithm) => {
+      const result = await encryptDocument(plainPdf, {
+        algorithm,
+        userPassword: 'open sesame',
+        ownerPassword: 'owner secret',
+        permissions: { copy: false, edit: false }
+      });
+
+      expect(result.permissions).toEqual({ print: true, copy: false, edit: false, annotate: true, fillForms: true });
+      expect(result.buffer.includes('Secret plans')).toBe(false);
+      expect(result.buffer.toString('latin1')).toContain(algorithm === 'aes-128' ? '/AESV2' : '/AESV3');
+
+      await expect(openDocument(result.buffer)).rejects.toMatchObject({ name: 'PasswordException' });
+      await expect(openDocument(result.buffer, { password: 'wrong' })).rejects.toMatchObject({ name: 'PasswordException' });
+
+      const asUser = await readFirstPage(result.buffer, 'open sesame');
+      expect(asUser.text).toBe('Confidential');
+      // pdf.js reports the granted /P bits: print (4), annotate (32), fill forms (256), accessibility (512), high quality print (2048)
+      expect(asUser.permissions).toEqual(expect.arrayContaining([4, 32, 256, 2048]));
+      expect(asUser.permissions).not.toContain(16);
+      expect(asUser.permissions).not.toContain(8);
+
+      expect((await readFirstPage(result.buffer, 'owner secret')).text).toBe('Confidential');
+    });
+
+    it('should open without a password when only an owner password restricts the document', async () => {
+      const result = await encryptDocument(plainPdf, {
+        ownerPassword: 'owner secret',
+        permissions: { print: false }
+      });
+
+      const { text, permissions } = await readFirstPage(result.buffer);
+      expect(text).toBe('Confidential');
+      expect(permissions).not.toContain(4);
+    });
+
+    it('should reject missing passwords and bad options', async () => {
+      await expect(encryptDocument(plainPdf, {})).rejects.toThrow('A user or owner password is required');
+      await expect(encryptDocument(plainPdf, { userPassword: 'x', algorithm: 'rc4' }))
+        .rejects.toThrow('Unsupported encryption algorithm: rc4');
+      await expect(encryptDocument(plainPdf, { userPassword: 'x', permissions: { share: true } }))
+        .rejects.toThrow('Unknown permission: share');
+      await expect(encryptDocument(plainPdf, { userPassword: 'ż', algorithm: 'aes-128' }))
+        .rejects.toThrow('AES-128 passwords must be at most 32 Latin-1 characters');
+    });
+  });
+
+  describe('decryptDocument function', () => {
+    it.each([
+      ['aes-128', 'user', 'open sesame'],
+      ['aes-256', 'user', 'open sesame'],
+      ['aes-256', 'owner', 'owner secret']
+    ])('should unlock %s with the %s password', async (algorithm, passwordType, password) => {
+      const encrypted = await encryptDocument(plainPdf, {
+        algorithm,
+        userPassword: 'open sesame',
+        ownerPassword: 'owner secret',
+        permissions: { print: false }
+      });
+
+      const result = await decryptDocument(encrypted.buffer, password);
+
+      expect(result).toMatchObject({ algorithm, passwordType });
+      expect(await isEncryptedPdf(result.buffer)).toBe(false);
+      expect((await readFirstPage(result.buffer)).text).toBe('Confidential');
+      const unlocked = await PDFDocument.load(result.buffer);
+      expect(unlocked.getTitle()).toBe('Secret plans');
+    });
+
+    it('should reject a wrong password and unencrypted documents', async () => {
+      const encrypted = await encryptDocument(plainPdf, { userPassword: 'open sesame' });
+
+      await expect(decryptDocument(encrypted.buffer, 'open sesame!')).rejects.toThrow('The password is incorrect');
+      await expect(decryptDocument(plainPdf, 'open sesame')).rejects.toThrow('The document is not encrypted');
+    });
+
+    it('should detect encrypted documents', async () => {
+      const encrypted = await encryptDocument(plainPdf, { ownerPassword: 'owner secret' });
+
+      expect(await isEncryptedPdf(encrypted.buffer)).toBe(true);
+      expect(await isEncryptedPdf(plainPdf)).toBe(false);
+    });
+  });
+
+  describe('permission flags', () => {
+    it('should round-trip permission sets through /P', () => {
+      const permissions = { print: false, copy: true, edit: false, annotate: false, fillForms: true };
+      const flags = computePermissionFlags(permissions);
+
+      expect(flags).toBeLessThan(0);
+      expect(flags & 3).toBe(0);
+      expect(parsePermissionFlags(flags)).toEqual(permissions);
+      expect(parsePermissionFlags(computePermissionFlags())).toEqual({
+        print: true, copy: true, edit: true, annotate: true, fillForms: true
+      });
+    });
+  });
+});
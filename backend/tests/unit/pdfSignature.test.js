@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { PDFDocument } = require('pdf-lib');
+const {
+  validateSignatureOptions,
+  loadCertificate,
+  signPdf,
+  inspectSignatures
+} = require('../../services/pdfSignature');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-signature-'));
+let signer;
+
+const createDocument = async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([595.28, 841.89]);
+  pdfDoc.addPage([595.28, 841.89]);
+  return Buffer.from(await pdfDoc.save());
+};
+
+beforeAll(async () => {
+  // Self-signed certificate in a PKCS#12 file protected by "secret"
+  const keyPath = path.join(workDir, 'signer.key');
+  const certPath = path.join(workDir, 'signer.pem');
+  execFileSync('openssl', ['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-keyout', keyPath, '-out', certPath,
+    '-days', '2', '-subj', '/CN=Anna Nowak/O=PDFSpark Test'], { stdio: 'ignore' });
+  execFileSync('openssl', ['pkcs12', '-export', '-inkey', keyPath, '-in', certPath,
+    '-out', path.join(workDir, 'signer.p12'), '-passout', 'pass:secret'], { stdio: 'ignore' });
+
+  signer = await loadCertificate(fs.readFileSync(path.join(workDir, 'signer.p12')), 'secret');
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('PDF Signatures', () => {
+  describe('signPdf function', () => {
+    it('should sign visibly and report an intact signature', async () => {
+      const settings = validateSignatureOptions({
+        reason: 'Contract approval',
+        location: 'Warsaw',
+        visible: true,
+        appearance: { page: 2, x: 50, y: 50 }
+      });
+      const signed = await signPdf(await createDocument(), signer, settings);
+
+      expect(signed.fieldName).toBe('Signature1');
+      expect(signed.signerName).toBe('Anna Nowak');
+
+      const { signatures, signedCount } = await inspectSignatures(signed.buffer);
+      expect(signedCount).toBe(1);
+      expect(signatures[0]).toMatchObject({
+        fieldName: 'Signature1',
+        page: 2,
+        rect: { x: 50, y: 50, width: 200, height: 60 },
+        visible: true,
+        subFilter: 'ETSI.CAdES.detached',
+        reason: 'Contract approval',
+        location: 'Warsaw',
+        integrity: 'valid',
+        coversWholeDocument: true,
+        modifiedAfterSigning: false,
+        chainComplete: true,
+        signingTimeSource: 'pdf',
+        certificateValidAtSigning: true
+      });
+      expect(signatures[0].certificates.map(certificate => certificate.commonName)).toEqual(['Anna Nowak']);
+    });
+
+    it('should keep earlier signatures valid and report the later revision', async () => {
+      const first = await signPdf(await createDocument(), signer, validateSignatureOptions({}));
+      const second = await signPdf(first.buffer, signer, validateSignatureOptions({ fieldName: 'Witness' }));
+
+      // An incremental update leaves the signed bytes as they were
+      expect(second.buffer.subarray(0, first.buffer.length).equals(first.buffer)).toBe(true);
+
+      const { signatures } = await inspectSignatures(second.buffer);
+      expect(signatures.map(signature => [signature.fieldName, signature.integrity, signature.modifiedAfterSigning, signature.laterSignatures]))
+        .toEqual([
+          ['Signature1', 'valid', true, 1],
+          ['Witness', 'valid', false, 0]
+        ]);
+      expect(signatures[0].visible).toBe(false);
+
+      await expect(signPdf(second.buffer, signer, validateSignatureOptions({ fieldName: 'Witness' })))
+        .rejects.toThrow('already has a field named Witness');
+    });
+  });
+
+  describe('inspectSignatures function', () => {
+    it('should detect changes to the signed bytes', async () => {
+      const { buffer } = await signPdf(await createDocument(), signer, validateSignatureOptions({}));
+      const tampered = Buffer.from(buffer);
+      // Make the first page a point narrower
+      tampered.write('594', tampered.indexOf('595.28'), 'latin1');
+
+      const { signatures } = await inspectSignatures(tampered);
+      expect(signatures[0]).toMatchObject({ integrity: 'invalid', problem: 'The document was changed after it was signed' });
+    });
+  });
+
+  describe('loadCertificate function', () => {
+    it('should reject wrong passwords and unreadable files', async () => {
+      await expect(loadCertificate(fs.readFileSync(path.join(workDir, 'signer.p12')), 'wrong'))
+        .rejects.toThrow('The certificate password is incorrect');
+      await expect(loadCertificate(Buffer.from('not a certificate'), 'secret'))
+        .rejects.toThrow('could not be read');
+    });
+  });
+
+  describe('validateSignatureOptions function', () => {
+    it('should reject invalid options', () => {
+      expect(() => validateSignatureOptions({ fieldName: 'a.b' })).toThrow('must not contain periods');
+      expect(() => validateSignatureOptions({ visible: true, appearance: { width: 5 } })).toThrow('Signature width');
+      expect(validateSignatureOptions({ reason: '  ' })).toMatchObject({ reason: null, visible: false, appearance: null });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { splitDocument, validateSplitOptions } = require('../../services/pdfSplitter');
+const { readOutline, writeOutline } = require('../../services/pdfOutline');
+
+// Create a 7 page document with two chapters, a cover and a link inside chapter 2
+const createBookPdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let i = 1; i <= 7; i++) {
+    pdfDoc.addPage([300, 400]).drawText(`Page ${i}`, { x: 20, y: 300, size: 18, font });
+  }
+
+  const link = pdfDoc.context.register(pdfDoc.context.obj({
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: [0, 0, 100, 20],
+    Dest: [pdfDoc.getPage(6).ref, 'Fit']
+  }));
+  pdfDoc.getPage(4).node.set(PDFName.of('Annots'), pdfDoc.context.obj([link]));
+
+  writeOutline(pdfDoc, [
+    { title: 'Chapter 1', pageIndex: 1, children: [{ title: 'Section 1.1', pageIndex: 2 }] },
+    { title: 'Chapter 2', pageIndex: 4, children: [{ title: 'Section 2.1', pageIndex: 6 }] }
+  ]);
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Page count of every part
+const getPageCounts = (parts) => parts.map(part => part.end - part.start + 1);
+
+describe('PDF Splitter', () => {
+  let book;
+
+  beforeAll(async () => {
+    book = await createBookPdf();
+  });
+
+  describe('splitDocument function', () => {
+    it('should create one part per page range', async () => {
+      const result = await splitDocument(book, { mode: 'ranges', ranges: '1-3,5,6-' });
+
+      expect(result.pageCount).toBe(7);
+      expect(result.parts.map(part => [part.start, part.end])).toEqual([[0, 2], [4, 4], [5, 6]]);
+
+      const first = await PDFDocument.load(result.parts[0].buffer);
+      expect(first.getPageCount()).toBe(3);
+      expect(readOutline(first).map(item => [item.title, item.pageIndex])).toEqual([['Chapter 1', 1]]);
+    });
+
+    it('should cut every N pages', async () => {
+      const result = await splitDocument(book, { mode: 'every', everyPages: 3 });
+      expect(getPageCounts(result.parts)).toEqual([3, 3, 1]);
+    });
+
+    it('should cut at top-level bookmarks and keep their sub-bookmarks and links', async () => {
+      const result = await splitDocument(book, { mode: 'bookmarks' });
+
+      expect(result.parts.map(part => [part.title, part.start, part.end]))
+        .toEqual([[null, 0, 0], ['Chapter 1', 1, 3], ['Chapter 2', 4, 6]]);
+
+      const chapter = await PDFDocument.load(result.parts[2].buffer);
+      const outline = readOutline(chapter);
+      expect(outline[0]).toMatchObject({ title: 'Chapter 2', pageIndex: 0 });
+      expect(outline[0].children[0]).toMatchObject({ title: 'Section 2.1', pageIndex: 2 });
+      expect(chapter.getTitle()).toBe('Chapter 2');
+
+      const annots = chapter.getPage(0).node.Annots();
+      const dest = annots.lookup(0).lookup(PDFName.of('Dest'));
+      expect(dest.get(0).toString()).toBe(chapter.getPage(2).ref.toString());
+    });
+
+    it('should keep parts under the maximum size', async () => {
+      const whole = await splitDocument(book, { mode: 'ranges', ranges: '1-' });
+      const maxSizeBytes = Math.ceil(whole.parts[0].buffer.length * 0.6);
+
+      const result = await splitDocument(book, { mode: 'size', maxSizeBytes });
+
+      expect(result.parts.length).toBeGreaterThan(1);
+      expect(getPageCounts(result.parts).reduce((total, count) => total + count, 0)).toBe(7);
+      result.parts.forEach(part => {
+        expect(part.buffer.length).toBeLessThanOrEqual(maxSizeBytes);
+        expect(part.oversized).toBe(false);
+      });
+
+      const tiny = await splitDocument(book, { mode: 'size', maxSizeBytes: 100 });
+      expect(getPageCounts(tiny.parts)).toEqual([1, 1, 1, 1, 1, 1, 1]);
+      expect(tiny.parts.every(part => part.oversized)).toBe(true);
+    });
+
+    it('should reject invalid options and documents without bookmarks', async () => {
+      expect(() => validateSplitOptions({ mode: 'halves' })).toThrow('Unsupported split mode: halves');
+      expect(() => validateSplitOptions({ mode: 'ranges' })).toThrow('Page ranges are required');
+      expect(() => validateSplitOptions({ mode: 'every', everyPages: 0 })).toThrow('Invalid page count per part');
+      expect(() => validateSplitOptions({ mode: 'size', maxSizeBytes: 'big' })).toThrow('Invalid maximum part size');
+
+      await expect(splitDocument(book, { mode: 'ranges', ranges: '6-9' }))
+        .rejects.toThrow('outside the document (7 pages)');
+
+      const plain = await PDFDocument.create();
+      plain.addPage();
+      await expect(splitDocument(Buffer.from(await plain.save()), { mode: 'bookmarks' }))
+        .rejects.toThrow('The document has no bookmarks to split by');
+    });
+  });
+});
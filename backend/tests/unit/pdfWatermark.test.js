@@ -0,0 +1,140 @@
+const sharp = require('sharp');
+const { PDFDict, PDFDocument, PDFName, StandardFonts, degrees } = require('pdf-lib');
+const {
+  validateWatermarkOptions,
+  placeStamp,
+  applyWatermark
+} = require('../../services/pdfWatermark');
+const { getPdfjs, openDocument } = require('../../services/pdfjsService');
+
+// Create a document with a line of body text on every page
+const createDocument = async (pageCount, rotation = 0) => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  for (let i = 1; i <= pageCount; i++) {
+    const page = pdfDoc.addPage([595, 842]);
+    page.setRotation(degrees(rotation));
+    page.drawText(`Body of page ${i}`, { x: 72, y: 700, size: 12, font });
+  }
+  return Buffer.from(await pdfDoc.save());
+};
+
+// Text items of a page in drawing order, positioned as the page is displayed
+const readDisplayedText = async (buffer, pageNumber) => {
+  const pdfjs = getPdfjs();
+  const doc = await openDocument(buffer);
+  const page = await doc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: 1 });
+  const content = await page.getTextContent();
+  const items = content.items.filter(item => item.str.trim()).map(item => {
+    const [a, b, , , x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+    return { str: item.str, x, y, angle: Math.round(Math.atan2(b, a) * 180 / Math.PI) };
+  });
+  await doc.destroy();
+  return { items, width: viewport.width, height: viewport.height };
+};
+
+describe('PDF Watermark', () => {
+  describe('validateWatermarkOptions function', () => {
+    it('should fill in defaults for a text stamp', () => {
+      expect(validateWatermarkOptions({ text: '  DRAFT \n copy ' })).toEqual({
+        type: 'text',
+        text: 'DRAFT copy',
+        font: 'helvetica-bold',
+        fontSize: 60,
+        color: '#ff0000',
+        position: 'center',
+        layer: 'over',
+        rotation: 45,
+        opacity: 0.3,
+        margin: 36,
+        pages: undefined
+      });
+      expect(validateWatermarkOptions({ imageFileId: 'logo', position: 'top-right' })).toMatchObject({
+        type: 'image',
+        imageScale: 0.3,
+        rotation: 0
+      });
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => validateWatermarkOptions({})).toThrow('watermark text');
+      expect(() => validateWatermarkOptions({ type: 'image' })).toThrow('image to stamp');
+      expect(() => validateWatermarkOptions({ text: 'A', position: 'middle' })).toThrow('position');
+      expect(() => validateWatermarkOptions({ text: 'A', layer: 'behind' })).toThrow('layer');
+      expect(() => validateWatermarkOptions({ text: 'A', font: 'comic' })).toThrow('font');
+      expect(() => validateWatermarkOptions({ text: 'A', color: 'red' })).toThrow('hex');
+      expect(() => validateWatermarkOptions({ text: 'A', opacity: 2 })).toThrow('Opacity');
+      expect(() => validateWatermarkOptions({ text: 'A', pages: '3-1' })).toThrow();
+    });
+  });
+
+  describe('placeStamp function', () => {
+    it('should keep the rotated stamp inside the margins', () => {
+      const page = { width: 600, height: 800 };
+      const stamp = { width: 100, height: 20, rotation: 90 };
+
+      expect(placeStamp(page, stamp, { position: 'center', margin: 36 })).toEqual({ x: 300, y: 400 });
+      const corner = placeStamp(page, stamp, { position: 'top-left', margin: 36 });
+      expect(corner.x).toBeCloseTo(46);
+      expect(corner.y).toBeCloseTo(714);
+    });
+  });
+
+  describe('applyWatermark function', () => {
+    it('should stamp the selected pages over the content', async () => {
+      const settings = validateWatermarkOptions({
+        text: 'CONFIDENTIAL',
+        position: 'bottom-right',
+        fontSize: 20,
+        pages: '2-3'
+      });
+
+      const result = await applyWatermark(await createDocument(3), settings);
+      expect(result.pageCount).toBe(3);
+      expect(result.stampedPages).toEqual([2, 3]);
+
+      const first = await readDisplayedText(result.buffer, 1);
+      expect(first.items.map(item => item.str)).toEqual(['Body of page 1']);
+
+      const second = await readDisplayedText(result.buffer, 2);
+      expect(second.items.map(item => item.str)).toEqual(['Body of page 2', 'CONFIDENTIAL']);
+      // Level text ending at the right margin, near the bottom of the page
+      const stamp = second.items[1];
+      expect(stamp.angle).toBe(0);
+      expect(stamp.x).toBeGreaterThan(second.width / 2);
+      expect(stamp.x).toBeLessThan(second.width - 36);
+      expect(stamp.y).toBeGreaterThan(second.height - 60);
+    });
+
+    it('should draw under the content and stay upright on rotated pages', async () => {
+      const settings = validateWatermarkOptions({ text: 'DRAFT', layer: 'under', rotation: 0, position: 'top-left' });
+
+      const result = await applyWatermark(await createDocument(1, 90), settings);
+      const page = await readDisplayedText(result.buffer, 1);
+
+      expect(page.width).toBe(842);
+      expect(page.items.map(item => item.str)).toEqual(['DRAFT', 'Body of page 1']);
+      const stamp = page.items[0];
+      expect(stamp.angle).toBe(0);
+      expect(stamp.x).toBeCloseTo(36, 0);
+      expect(stamp.y).toBeLessThan(120);
+    });
+
+    it('should place an uploaded image with transparency', async () => {
+      const logo = await sharp({
+        create: { width: 200, height: 100, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 0.5 } }
+      }).png().toBuffer();
+      const settings = validateWatermarkOptions({ imageFileId: 'logo', imageScale: 0.5, opacity: 0.8 });
+
+      const result = await applyWatermark(await createDocument(2), settings, { imageBuffer: logo });
+      const pdfDoc = await PDFDocument.load(result.buffer);
+
+      for (const page of pdfDoc.getPages()) {
+        const xObjects = page.node.Resources().lookup(PDFName.of('XObject'), PDFDict);
+        expect(xObjects.keys()).toHaveLength(1);
+      }
+      await expect(applyWatermark(await createDocument(1), settings)).rejects.toThrow('image to stamp is missing');
+    });
+  });
+});
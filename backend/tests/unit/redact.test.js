@@ -0,0 +1,56 @@
+const { redactSensitiveFields } = require('../../utils/redact');
+
+describe('Redaction', () => {
+  it('should hide passwords and secrets at any depth without touching the input', () => {
+    const body = {
+      fileId: 'abc',
+      userPassword: 'open sesame',
+      options: { ownerPassword: 'owner secret', permissions: { print: false } },
+      signers: [{ name: 'A', certificatePassphrase: 'pfx pass' }],
+      clientSecret: 'x'
+    };
+
+    expect(redactSensitiveFields(body)).toEqual({
+      fileId: 'abc',
+      userPassword: '[REDACTED]',
+      options: { ownerPassword: '[REDACTED]', permissions: { print: false } },
+      signers: [{ name: 'A', certificatePassphrase: '[REDACTED]' }],
+      clientSecret: '[REDACTED]'
+    });
+    expect(body.userPassword).toBe('open sesame');
+  });
+
+  it('should hide the certificate and its password in a sign request', () => {
+    const body = {
+      fileId: 'abc',
+      certificate: Buffer.from('keystore with a private key').toString('base64'),
+      password: 'p12 password',
+      options: { reason: 'Approved', visible: true }
+    };
+
+    expect(redactSensitiveFields(body)).toEqual({
+      fileId: 'abc',
+      certificate: '[REDACTED]',
+      password: '[REDACTED]',
+      options: { reason: 'Approved', visible: true }
+    });
+  });
+
+  it('should hide the search terms of a redact request', () => {
+    const body = {
+      fileId: 'abc',
+      options: { terms: ['Project Falcon'], regexes: ['\\d{3}-\\d{2}'], patterns: ['email'], wholeWords: true }
+    };
+
+    expect(redactSensitiveFields(body)).toEqual({
+      fileId: 'abc',
+      options: { terms: '[REDACTED]', regexes: '[REDACTED]', patterns: ['email'], wholeWords: true }
+    });
+  });
+
+  it('should pass other values through', () => {
+    expect(redactSensitiveFields(undefined)).toBeUndefined();
+    expect(redactSensitiveFields('text')).toBe('text');
+    expect(redactSensitiveFields({ password: '' })).toEqual({ password: '' });
+  });
+});
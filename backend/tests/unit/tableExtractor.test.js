@@ -0,0 +1,103 @@
+const { detectTables, inferCellValue } = require('../../services/tableExtractor');
+
+// Build a positioned text item the way pdfjsService reports them
+const item = (str, x, baseline, options = {}) => {
+  const fontSize = options.fontSize || 10;
+  return {
+    str,
+    x,
+    y: baseline - fontSize,
+    baseline,
+    width: str.length * fontSize * 0.5,
+    height: fontSize,
+    fontSize,
+    fontName: options.bold ? 'Helvetica-Bold' : 'Helvetica',
+    bold: !!options.bold
+  };
+};
+
+describe('Table Extractor', () => {
+  describe('detectTables function', () => {
+    it('should detect a table and keep surrounding text blocks', () => {
+      const items = [
+        item('Annual summary', 50, 40, { fontSize: 16 }),
+        item('Region', 50, 100, { bold: true }),
+        item('Q1', 180, 100, { bold: true }),
+        item('Q2', 260, 100, { bold: true }),
+        item('North', 50, 115),
+        item('1,200', 180, 115),
+        item('300', 260, 115),
+        item('South', 50, 130),
+        item('950', 180, 130),
+        item('410', 260, 130),
+        item('Figures are unaudited', 50, 250)
+      ];
+
+      const blocks = detectTables({ items, width: 595, height: 842 });
+
+      expect(blocks.map(b => b.type)).toEqual(['text', 'table', 'text']);
+      const table = blocks[1];
+      expect(table.columns).toHaveLength(3);
+      expect(table.rows).toHaveLength(3);
+      expect(table.rows[0].map(c => c.text)).toEqual(['Region', 'Q1', 'Q2']);
+      expect(table.rows[0][0].bold).toBe(true);
+      expect(table.rows[2].map(c => c.text)).toEqual(['South', '950', '410']);
+    });
+
+    it('should record a heading spanning several columns as a merge', () => {
+      const items = [
+        item('Sales 2024', 200, 85, { bold: true }),
+        item('Region', 50, 100),
+        item('Q1', 180, 100),
+        item('Q2', 260, 100),
+        item('North', 50, 115),
+        item('1', 180, 115),
+        item('2', 260, 115)
+      ];
+
+      const [table] = detectTables({ items, width: 595, height: 842 });
+
+      expect(table.type).toBe('table');
+      expect(table.rows[0][1]).toMatchObject({ text: 'Sales 2024', colSpan: 2 });
+      expect(table.merges).toEqual([{ row: 0, startCol: 1, endCol: 2 }]);
+    });
+
+    it('should not report single-column text as a table', () => {
+      const items = [
+        item('First paragraph line', 50, 100),
+        item('Second paragraph line', 50, 115)
+      ];
+
+      const blocks = detectTables({ items, width: 595, height: 842 });
+
+      expect(blocks.every(b => b.type === 'text')).toBe(true);
+    });
+  });
+
+  describe('inferCellValue function', () => {
+    it('should type numbers with separators, negatives, percentages and currency', () => {
+      expect(inferCellValue('1,200.50')).toMatchObject({ type: 'number', value: 1200.5, numFmt: '#,##0.00' });
+      expect(inferCellValue('(300)')).toMatchObject({ type: 'number', value: -300 });
+      expect(inferCellValue('45%')).toMatchObject({ type: 'number', value: 0.45, numFmt: '0%' });
+      expect(inferCellValue('$99')).toMatchObject({ type: 'number', value: 99, numFmt: '"$"0' });
+      expect(inferCellValue('42')).toMatchObject({ type: 'number', value: 42, numFmt: null });
+    });
+
+    it('should type common date notations', () => {
+      const iso = inferCellValue('2024-01-15');
+      expect(iso.type).toBe('date');
+      expect(iso.value.toISOString()).toBe('2024-01-15T00:00:00.000Z');
+
+      expect(inferCellValue('15.02.2024').value.toISOString()).toBe('2024-02-15T00:00:00.000Z');
+      expect(inferCellValue('Mar 3, 2024').value.toISOString()).toBe('2024-03-03T00:00:00.000Z');
+      expect(inferCellValue('31/12/2023').value.toISOString()).toBe('2023-12-31T00:00:00.000Z');
+    });
+
+    it('should keep identifiers and invalid dates as strings', () => {
+      expect(inferCellValue('00123')).toMatchObject({ type: 'string', value: '00123' });
+      expect(inferCellValue('31.02.2024')).toMatchObject({ type: 'string' });
+      expect(inferCellValue('Widget A')).toMatchObject({ type: 'string', value: 'Widget A' });
+      expect(inferCellValue('  ')).toMatchObject({ value: null });
+    });
+  });
+});
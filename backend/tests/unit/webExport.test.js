@@ -0,0 +1,108 @@
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { extractDocumentLayout } = require('../../services/pdfjsService');
+const {
+  buildDocumentBlocks,
+  buildWebBundle,
+  mergeWebBundles,
+  renderMarkdownBlocks
+} = require('../../services/webExport');
+
+// Create a one page report with a title, a paragraph, lists, a table and a logo
+const createReportPdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const page = pdfDoc.addPage([595, 842]);
+
+  let y = 780;
+  const write = (text, options = {}) => {
+    const size = options.size || 11;
+    page.drawText(text, { x: options.x || 56, y, size, font: options.font || font });
+    y -= size * 1.3 + (options.after || 0);
+  };
+
+  write('Annual Report', { font: bold, size: 24, after: 10 });
+  write('This report describes what happened during the year and why it');
+  write('matters for everyone involved in the project.', { after: 10 });
+  write('Highlights', { font: bold, size: 16, after: 4 });
+  write('• Revenue grew by a third');
+  write('• Costs stayed flat');
+  write('1. First step');
+  write('2. Second step', { after: 30 });
+
+  [['Region', 'Sales', 'Growth'], ['North', '1,200', '5%'], ['South', '900', '7%']].forEach((cells, row) => {
+    cells.forEach((text, column) => {
+      page.drawText(text, { x: 56 + column * 150, y, size: 11, font: row === 0 ? bold : font });
+    });
+    y -= 15;
+  });
+
+  const logo = await sharp({ create: { width: 100, height: 50, channels: 3, background: '#3a86ff' } }).png().toBuffer();
+  page.drawImage(await pdfDoc.embedPng(logo), { x: 56, y: y - 70, width: 100, height: 50 });
+  y -= 90;
+  write('Closing words with *stars*.');
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+describe('Web Export', () => {
+  let structure;
+
+  beforeAll(async () => {
+    const layout = await extractDocumentLayout(await createReportPdf(), { includeImages: true });
+    structure = buildDocumentBlocks(layout.pages);
+  });
+
+  describe('buildDocumentBlocks function', () => {
+    it('should recognise headings, paragraphs, lists, tables and images', () => {
+      expect(structure.title).toBe('Annual Report');
+      expect(structure.assets.map(asset => asset.name)).toEqual(['assets/page-1-image-1.png']);
+
+      expect(renderMarkdownBlocks(structure.blocks)).toBe([
+        '# Annual Report',
+        'This report describes what happened during the year and why it matters for everyone involved in the project.',
+        '## Highlights',
+        '- Revenue grew by a third\n- Costs stayed flat',
+        '1. First step\n2. Second step',
+        '| Region | Sales | Growth |\n| --- | --- | --- |\n| North | 1,200 | 5% |\n| South | 900 | 7% |',
+        '![Image on page 1](assets/page-1-image-1.png)',
+        'Closing words with \\*stars\\*.'
+      ].join('\n\n'));
+    });
+  });
+
+  describe('buildWebBundle function', () => {
+    it('should write semantic HTML next to an assets folder', async () => {
+      const zip = await JSZip.loadAsync(await buildWebBundle(structure, 'html'));
+      const html = await zip.file('index.html').async('string');
+
+      expect(zip.file('assets/page-1-image-1.png')).not.toBeNull();
+      expect(html).toContain('<title>Annual Report</title>');
+      expect(html).toContain('<h2>Highlights</h2>');
+      expect(html).toContain('<ol>\n  <li>First step</li>\n  <li>Second step</li>\n</ol>');
+      expect(html).toContain('<thead>\n    <tr><th>Region</th><th>Sales</th><th>Growth</th></tr>\n  </thead>');
+      expect(html).toContain('<img src="assets/page-1-image-1.png"');
+    });
+  });
+
+  describe('mergeWebBundles function', () => {
+    it('should join the documents and assets of chunks in order', async () => {
+      const layout = await extractDocumentLayout(await createReportPdf(), { includeImages: true });
+      const second = buildDocumentBlocks(layout.pages, { pageOffset: 1 });
+
+      const merged = await mergeWebBundles([
+        await buildWebBundle(structure, 'md'),
+        await buildWebBundle(second, 'md')
+      ], 'md');
+      const zip = await JSZip.loadAsync(merged);
+      const markdown = await zip.file('index.md').async('string');
+
+      expect(zip.file('assets/page-2-image-1.png')).not.toBeNull();
+      expect(markdown.match(/^# Annual Report$/gm)).toHaveLength(2);
+      expect(markdown.indexOf('page-1-image-1')).toBeLessThan(markdown.indexOf('page-2-image-1'));
+      expect(markdown.endsWith('\\*stars\\*.\n')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Minimal ASN.1 DER reader and writer
+ *
+ * Enough of X.690 to build and read the CMS structures of PDF signatures:
+ * tags and lengths (including the indefinite lengths some signers still
+ * write), object identifiers, integers, strings and times.
+ */
+
+const TAGS = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+/**
+ * Encode a length
+ */
+const encodeLength = (length) => {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let value = length; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value % 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+/**
+ * Encode one element
+ * @param {Number} tag - Identifier octet, e.g. 0x30 for a SEQUENCE or 0xa0 for [0]
+ * @param {Buffer|Array<Buffer>} content - Contents, parts are concatenated
+ * @returns {Buffer}
+ */
+const encode = (tag, content) => {
+  const body = Array.isArray(content) ? Buffer.concat(content) : content;
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+};
+
+const sequence = (...items) => encode(TAGS.SEQUENCE, items);
+
+// DER sorts the elements of a SET OF by their encoding
+const set = (...items) => encode(TAGS.SET, [...items].sort(Buffer.compare));
+
+const octetString = (bytes) => encode(TAGS.OCTET_STRING, Buffer.from(bytes));
+
+const nullValue = () => encode(TAGS.NULL, Buffer.alloc(0));
+
+/**
+ * Encode a non-negative INTEGER
+ * @param {Number|Buffer} value - Number or big-endian bytes
+ */
+const integer = (value) => {
+  let bytes = value;
+  if (!Buffer.isBuffer(value)) {
+    const hex = value.toString(16);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+  // Positive numbers must not start with a set high bit
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return encode(TAGS.INTEGER, bytes);
+};
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {String} dotted - e.g. "1.2.840.113549.1.7.2"
+ */
+const oid = (dotted) => {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  rest.forEach(arc => {
+    const chunk = [arc & 0x7f];
+    for (let value = Math.floor(arc / 128); value > 0; value = Math.floor(value / 128)) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  });
+  return encode(TAGS.OID, Buffer.from(bytes));
+};
+
+/**
+ * Wrap content in a context-specific tag, [n] EXPLICIT or constructed [n] IMPLICIT
+ */
+const contextTag = (number, ...items) => encode(0xa0 | number, items);
+
+/**
+ * Read one element and, for constructed ones, its children
+ * @param {Buffer} buffer - DER (or BER) bytes
+ * @param {Number} offset - Where the element starts
+ * @returns {Object} - { tag, constructed, start, end, contents, raw, children }; contents
+ *   excludes the header, raw includes it
+ * @throws {Error} If the bytes end before the element does
+ */
+const decode = (buffer, offset = 0) => {
+  if (offset + 2 > buffer.length) {
+    throw new Error('ASN.1 data is truncated');
+  }
+  const tag = buffer[offset];
+  if ((tag & 0x1f) === 0x1f) {
+    throw new Error('ASN.1 tags above 30 are not supported');
+  }
+  const constructed = Boolean(tag & 0x20);
+
+  let position = offset + 1;
+  let length = buffer[position];
+  position += 1;
+  let indefinite = false;
+  if (length === 0x80) {
+    indefinite = true;
+  } else if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count > 4 || position + count > buffer.length) {
+      throw new Error('ASN.1 length is invalid');
+    }
+    length = 0;
+    for (let i = 0; i < count; i += 1) {
+      length = length * 256 + buffer[position + i];
+    }
+    position += count;
+  }
+
+  const children = [];
+  let end;
+  if (indefinite) {
+    if (!constructed) {
+      throw new Error('ASN.1 primitive element with an indefinite length');
+    }
+    // Children up to the end-of-contents octets
+    let childOffset = position;
+    while (buffer[childOffset] !== 0 || buffer[childOffset + 1] !== 0) {
+      const child = decode(buffer, childOffset);
+      children.push(child);
+      childOffset = child.end;
+    }
+    end = childOffset + 2;
+  } else {
+    end = position + length;
+    if (end > buffer.length) {
+      throw new Error('ASN.1 data is truncated');
+    }
+    if (constructed) {
+      for (let childOffset = position; childOffset < end;) {
+        const child = decode(buffer, childOffset);
+        children.push(child);
+        childOffset = child.end;
+      }
+    }
+  }
+
+  return {
+    tag,
+    constructed,
+    start: offset,
+    end,
+    contents: buffer.subarray(position, indefinite ? end - 2 : end),
+    raw: buffer.subarray(offset, end),
+    children
+  };
+};
+
+/**
+ * Read an OBJECT IDENTIFIER element as dotted text
+ */
+const decodeOid = (node) => {
+  const bytes = node.contents;
+  const arcs = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (let i = 1; i < bytes.length; i += 1) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      arcs.push(value);
+      value = 0;
+    }
+  }
+  return arcs.join('.');
+};
+
+/**
+ * Read a UTCTime or GeneralizedTime element
+ * @returns {Date|null}
+ */
+const decodeTime = (node) => {
+  const text = node.contents.toString('latin1');
+  const match = node.tag === TAGS.UTC_TIME
+    ? text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(Z|[+-]\d{4})$/)
+    : text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:[.,]\d+)?(Z|[+-]\d{4})?$/);
+  if (!match) {
+    return null;
+  }
+  let [, year, month, day, hour, minute, second = '00', zone = 'Z'] = match;
+  if (node.tag === TAGS.UTC_TIME) {
+    // Two-digit years: 50-99 are 19xx (RFC 5280)
+    year = Number(year) >= 50 ? `19${year}` : `20${year}`;
+  }
+  const offset = zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.slice(3)}`;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+};
+
+/**
+ * Encode a date as UTCTime (years 1950-2049) or GeneralizedTime
+ */
+const time = (date) => {
+  const iso = date.toISOString();
+  const digits = `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`;
+  const year = date.getUTCFullYear();
+  return year >= 1950 && year < 2050
+    ? encode(TAGS.UTC_TIME, Buffer.from(digits.slice(2), 'latin1'))
+    : encode(TAGS.GENERALIZED_TIME, Buffer.from(digits, 'latin1'));
+};
+
+module.exports = {
+  TAGS,
+  encode,
+  sequence,
+  set,
+  octetString,
+  nullValue,
+  integer,
+  oid,
+  contextTag,
+  time,
+  decode,
+  decodeOid,
+  decodeTime
+};
@@ -15,6 +15,12 @@ const { ChunkedProcessor } = require('./chunkedProcessor');
 const logger = require('./logger');
 const cloudinaryHelper = require('./cloudinaryHelper');
 const { memoryManager } = require('./processingQueue');
+const { copyPagesWithLinks } = require('../services/pdfMerger');
+
+// Page image formats produced by convertPdfToImage
+const IMAGE_OUTPUT_FORMATS = ['jpg', 'png', 'webp', 'tiff'];
+// Web bundles produced by convertPdfToWeb
+const WEB_OUTPUT_FORMATS = ['html', 'md'];
 
 /**
  * ChunkedPdfProcessor class
@@ -42,7 +48,11 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       'pptx': 4,    // ~4MB per page for PDF to PPTX
       'jpg': 2,     // ~2MB per page for PDF to JPG
       'png': 3,     // ~3MB per page for PDF to PNG
-      'txt': 0.5    // ~0.5MB per page for PDF to TXT
+      'webp': 2,    // ~2MB per page for PDF to WebP
+      'tiff': 4,    // ~4MB per page for PDF to TIFF
+      'txt': 0.5,   // ~0.5MB per page for PDF to TXT
+      'html': 2,    // ~2MB per page for PDF to HTML (text layout plus decoded images)
+      'md': 2       // ~2MB per page for PDF to Markdown (same extraction as HTML)
     };
     
     // Format-specific chunk sizes - updated with more conservative values for Railway
@@ -52,7 +62,13 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       'pptx': options.railwayMode ? 3 : 5,   // 3 pages per chunk for PDF to PPTX in Railway
       'jpg': options.railwayMode ? 5 : 10,   // 5 pages per chunk for PDF to JPG in Railway
       'png': options.railwayMode ? 4 : 8,    // 4 pages per chunk for PDF to PNG in Railway
-      'txt': options.railwayMode ? 10 : 20   // 10 pages per chunk for PDF to TXT in Railway
+      'webp': options.railwayMode ? 5 : 10,  // 5 pages per chunk for PDF to WebP in Railway
+      'tiff': options.railwayMode ? 3 : 6,   // 3 pages per chunk for PDF to TIFF in Railway
+      'txt': options.railwayMode ? 10 : 20,  // 10 pages per chunk for PDF to TXT in Railway
+      // Headings are sized against the body text of their chunk, so web
+      // formats prefer larger chunks than the images they extract would need
+      'html': options.railwayMode ? 6 : 12,  // 6 pages per chunk for PDF to HTML in Railway
+      'md': options.railwayMode ? 8 : 16     // 8 pages per chunk for PDF to Markdown in Railway
     };
     
     // Allow memory manager emergency handlers to influence chunk sizes
@@ -254,7 +270,9 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
    * Split a PDF into chunks with enhanced memory management
    * @param {Buffer} pdfBuffer The PDF buffer
    * @param {Object} operation The operation object
-   * @param {Object} options Additional options
+   * @param {Object} options Additional options: pageRanges ([{ start, end }], 0-based
+   *   inclusive) to cut instead of evenly sized chunks, preserveLinks to keep links
+   *   between the pages of a chunk
    * @returns {Promise<Object>} Object with chunks array and metadata
    */
   async splitIntoChunks(pdfBuffer, operation, options = {}) {
@@ -335,14 +353,29 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       // Calculate optimal chunk size
       const chunkSize = this.calculateChunkSize(pageCount, chunkSizeOptions);
       
-      logger.info(`Splitting ${pageCount} page PDF into chunks of ${chunkSize} pages`, {
+      // Explicit page ranges (the parts of a split, say) replace the computed chunks
+      const chunkRanges = Array.isArray(options.pageRanges) && options.pageRanges.length > 0
+        ? options.pageRanges.map(range => ({ start: range.start, end: range.end }))
+        : Array.from({ length: Math.ceil(pageCount / chunkSize) }, (_, i) => ({
+            start: i * chunkSize,
+            end: Math.min((i + 1) * chunkSize - 1, pageCount - 1)
+          }));
+      
+      const invalidRange = chunkRanges.find(range => range.start < 0 || range.end >= pageCount || range.end < range.start);
+      if (invalidRange) {
+        throw new Error(`Page range ${invalidRange.start}-${invalidRange.end} is outside the document (${pageCount} pages)`);
+      }
+      
+      logger.info(options.pageRanges
+        ? `Splitting ${pageCount} page PDF into ${chunkRanges.length} requested page ranges`
+        : `Splitting ${pageCount} page PDF into chunks of ${chunkSize} pages`, {
         operationId,
         targetFormat,
         memoryPercentage: memoryStatus ? Math.round(memoryStatus.usedPercentage * 100) : 'unknown'
       });
       
       // Calculate number of chunks
-      const numChunks = Math.ceil(pageCount / chunkSize);
+      const numChunks = chunkRanges.length;
       
       // Create chunks array with pre-allocated capacity
       const chunks = [];
@@ -373,8 +406,8 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
         }
         
         // Calculate page range for this chunk
-        const startPage = i * chunkSize;
-        const endPage = Math.min((i + 1) * chunkSize - 1, pageCount - 1);
+        const startPage = chunkRanges[i].start;
+        const endPage = chunkRanges[i].end;
         const chunkPageCount = endPage - startPage + 1;
         
         logger.info(`Creating chunk ${i+1}/${numChunks} with pages ${startPage}-${endPage}`, {
@@ -391,17 +424,22 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
             (_, index) => startPage + index
           );
           
-          // Copy pages with timeout protection
+          // Copy pages with timeout protection; links between the copied
+          // pages are kept when the chunks are delivered as they are
           let copiedPages = await Promise.race([
-            chunkPdf.copyPages(pdfDoc, pageIndices),
+            options.preserveLinks
+              ? copyPagesWithLinks(chunkPdf, pdfDoc, pageIndices)
+              : chunkPdf.copyPages(pdfDoc, pageIndices),
             new Promise((_, reject) => setTimeout(() => 
               reject(new Error('Timeout copying PDF pages')), 30000)) // 30 second timeout
           ]);
           
-          // Add pages to chunk PDF
-          copiedPages.forEach(page => {
-            chunkPdf.addPage(page);
-          });
+          // Add pages to chunk PDF (copyPagesWithLinks adds them itself)
+          if (!options.preserveLinks) {
+            copiedPages.forEach(page => {
+              chunkPdf.addPage(page);
+            });
+          }
           
           // Save chunk to buffer with memory tracking
           const startSaveMemory = process.memoryUsage().heapUsed;
@@ -418,6 +456,7 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
             metadata: {
               pageRange: { start: startPage, end: endPage },
               pageCount: chunkPageCount,
+              documentPageCount: pageCount,
               index: i,
               totalChunks: numChunks
             }
@@ -461,8 +500,9 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
             error: chunkError.message
           });
           
-          // If we have some chunks, continue with what we have
-          if (chunks.length > 0) {
+          // If we have some chunks, continue with what we have (requested
+          // ranges are all needed)
+          if (chunks.length > 0 && !options.pageRanges) {
             logger.warn(`Continuing with ${chunks.length} successfully created chunks`);
             break;
           } else {
@@ -504,9 +544,11 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       return {
         chunks,
         metadata: {
+          operationId,
+          resultFileId: operation.resultFileId,
           pageCount,
           chunksCount: chunks.length,
-          chunkSize,
+          chunkSize: options.pageRanges ? null : chunkSize,
           memoryImpactMB: memoryImpact ? parseFloat(memoryImpact.toFixed(2)) : null
         }
       };
@@ -578,7 +620,11 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       logger.info(`Combining ${chunkResults.length} chunks for ${outputFormat} output`, {
         operationId,
         outputFormat,
-        strategy: (outputFormat === 'pdf') ? 'pdfCombine' : 'cloudinaryCombine'
+        strategy: (outputFormat === 'pdf') ? 'pdfCombine'
+          : (outputFormat === 'pptx') ? 'pptxMerge'
+            : (outputFormat === 'txt') ? 'textConcat'
+              : IMAGE_OUTPUT_FORMATS.includes(outputFormat) ? 'imageArchive'
+                : WEB_OUTPUT_FORMATS.includes(outputFormat) ? 'webBundleMerge' : 'cloudinaryCombine'
       });
       
       let result;
@@ -586,6 +632,18 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       // For PDF-to-PDF (like compression), create a combined PDF
       if (chunkResults.length > 0 && outputFormat === 'pdf') {
         result = await this.combinePdfChunks(chunkResults, metadata, operationId);
+      } else if (chunkResults.length > 0 && outputFormat === 'pptx') {
+        // Slides from every chunk go into a single deck
+        result = await this.combinePptxChunks(chunkResults, metadata, operationId);
+      } else if (chunkResults.length > 0 && outputFormat === 'txt') {
+        // Page text from every chunk goes into a single file
+        result = await this.combineTextChunks(chunkResults, metadata, operationId);
+      } else if (chunkResults.length > 0 && IMAGE_OUTPUT_FORMATS.includes(outputFormat)) {
+        // Page images from every chunk go into a single archive
+        result = await this.combineImageChunks(chunkResults, outputFormat, metadata, operationId);
+      } else if (chunkResults.length > 0 && WEB_OUTPUT_FORMATS.includes(outputFormat)) {
+        // Documents and assets from every chunk go into a single bundle
+        result = await this.combineWebChunks(chunkResults, outputFormat, metadata, operationId);
       } else {
         // For images, text, or office documents, use Cloudinary ZIP generation
         result = await this.combineCloudinaryChunks(chunkResults, outputFormat, metadata, operationId);
@@ -966,6 +1024,343 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
     }
   }
   
+  /**
+   * Read the converted output of a chunk from local disk or Cloudinary
+   * @param {Object} chunkResult Chunk result with localPath or cloudinaryUrl
+   * @param {String} operationId Operation ID for logging and tracking
+   * @returns {Promise<Buffer|null>} Chunk output, or null if it is unavailable
+   */
+  async readChunkOutput(chunkResult, operationId = 'unknown') {
+    const { result } = chunkResult;
+    
+    // Chunks that could not reach Cloudinary are still on local disk
+    if (result?.localPath && fs.existsSync(result.localPath)) {
+      return fs.readFileSync(result.localPath);
+    }
+    
+    if (!result?.cloudinaryUrl) {
+      logger.warn(`Chunk ${chunkResult.index} missing Cloudinary URL, skipping`, { operationId });
+      return null;
+    }
+    
+    // Download chunk from Cloudinary with timeout protection
+    const response = await Promise.race([
+      fetch(result.cloudinaryUrl),
+      new Promise((_, reject) => setTimeout(() => 
+        reject(new Error('Timeout downloading chunk from Cloudinary')), 20000))
+    ]);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to download chunk ${chunkResult.index}: ${response.status}`);
+    }
+    
+    return Buffer.from(await response.arrayBuffer());
+  }
+  
+  /**
+   * Combine PPTX chunk results into a single presentation
+   * @param {Array} chunkResults Array of chunk results
+   * @param {Object} metadata Metadata about the original PDF
+   * @param {String} operationId Operation ID for logging and tracking
+   * @returns {Promise<Object>} Combined result
+   */
+  async combinePptxChunks(chunkResults, metadata, operationId = 'unknown') {
+    const { mergePresentations } = require('../services/pptxBuilder');
+    
+    try {
+      logger.info('Merging PPTX chunks into single presentation', { operationId });
+      
+      const decks = [];
+      for (const chunkResult of chunkResults) {
+        const deck = await this.readChunkOutput(chunkResult, operationId);
+        if (deck) {
+          decks.push(deck);
+        }
+      }
+      
+      if (decks.length === 0) {
+        throw new Error('No chunks were successfully combined');
+      }
+      
+      const combinedBuffer = await mergePresentations(decks);
+      const combinedPath = path.join(this.tempDir, `${metadata?.resultFileId || `combined_${operationId}`}.pptx`);
+      fs.writeFileSync(combinedPath, combinedBuffer);
+      
+      logger.info(`Merged ${decks.length} PPTX chunks (${(combinedBuffer.length / (1024 * 1024)).toFixed(2)}MB)`, {
+        operationId
+      });
+      
+      const uploadResult = await cloudinaryHelper.reliableCloudinaryUpload(combinedPath, {
+        folder: 'pdfspark_results',
+        uploadId: `result_${operationId}`,
+        tags: ['result', 'pptx', `op_${operationId}`],
+        fallbackToLocal: true
+      });
+      
+      return {
+        format: 'pptx',
+        cloudinaryPublicId: uploadResult.public_id,
+        cloudinaryUrl: uploadResult.secure_url,
+        localPath: uploadResult._fromLocalStorage ? combinedPath : undefined,
+        pageCount: metadata?.pageCount,
+        fileSize: combinedBuffer.length,
+        successfulChunks: decks.length,
+        totalChunks: chunkResults.length,
+        chunksProcessed: `${decks.length}/${chunkResults.length}`
+      };
+    } catch (error) {
+      logger.error('Error combining PPTX chunks', {
+        error: error.message,
+        stack: error.stack,
+        operationId
+      });
+      
+      throw new Error(`Failed to combine PPTX chunks: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Combine TXT chunk results into a single text file
+   * @param {Array} chunkResults Array of chunk results
+   * @param {Object} metadata Metadata about the original PDF
+   * @param {String} operationId Operation ID for logging and tracking
+   * @returns {Promise<Object>} Combined result
+   */
+  async combineTextChunks(chunkResults, metadata, operationId = 'unknown') {
+    const BOM = '\uFEFF';
+    
+    try {
+      logger.info('Concatenating TXT chunks into single file', { operationId });
+      
+      const texts = [];
+      let hasBom = false;
+      for (const chunkResult of chunkResults) {
+        const buffer = await this.readChunkOutput(chunkResult, operationId);
+        if (!buffer) {
+          continue;
+        }
+        
+        // Every chunk carries its own byte order mark; keep only the first
+        let text = buffer.toString('utf8');
+        if (text.startsWith(BOM)) {
+          hasBom = hasBom || texts.length === 0;
+          text = text.slice(BOM.length);
+        }
+        texts.push(text.replace(/\s+$/, ''));
+      }
+      
+      if (texts.length === 0) {
+        throw new Error('No chunks were successfully combined');
+      }
+      
+      const nonEmpty = texts.filter(text => text.length > 0);
+      const combinedText = (hasBom ? BOM : '') + nonEmpty.join('\n\n') + (nonEmpty.length > 0 ? '\n' : '');
+      const combinedPath = path.join(this.tempDir, `${metadata?.resultFileId || `combined_${operationId}`}.txt`);
+      fs.writeFileSync(combinedPath, combinedText, 'utf8');
+      const fileSize = fs.statSync(combinedPath).size;
+      
+      logger.info(`Concatenated ${texts.length} TXT chunks (${(fileSize / 1024).toFixed(1)}KB)`, {
+        operationId
+      });
+      
+      const uploadResult = await cloudinaryHelper.reliableCloudinaryUpload(combinedPath, {
+        folder: 'pdfspark_results',
+        uploadId: `result_${operationId}`,
+        tags: ['result', 'txt', `op_${operationId}`],
+        fallbackToLocal: true
+      });
+      
+      return {
+        format: 'txt',
+        cloudinaryPublicId: uploadResult.public_id,
+        cloudinaryUrl: uploadResult.secure_url,
+        localPath: uploadResult._fromLocalStorage ? combinedPath : undefined,
+        pageCount: metadata?.pageCount,
+        fileSize,
+        successfulChunks: texts.length,
+        totalChunks: chunkResults.length,
+        chunksProcessed: `${texts.length}/${chunkResults.length}`
+      };
+    } catch (error) {
+      logger.error('Error combining TXT chunks', {
+        error: error.message,
+        stack: error.stack,
+        operationId
+      });
+      
+      throw new Error(`Failed to combine TXT chunks: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Combine page image chunk results into one archive (or one multi-page TIFF)
+   * @param {Array} chunkResults Array of chunk results
+   * @param {String} outputFormat Image format (jpg, png, webp or tiff)
+   * @param {Object} metadata Metadata about the original PDF
+   * @param {String} operationId Operation ID for logging and tracking
+   * @returns {Promise<Object>} Combined result
+   */
+  async combineImageChunks(chunkResults, outputFormat, metadata, operationId = 'unknown') {
+    const JSZip = require('jszip');
+    const { combineTiffPages } = require('../services/tiffWriter');
+    
+    try {
+      logger.info(`Collecting ${outputFormat} page images from ${chunkResults.length} chunks`, { operationId });
+      
+      const images = [];
+      const tiffDocuments = [];
+      let successfulChunks = 0;
+      for (const chunkResult of chunkResults) {
+        const buffer = await this.readChunkOutput(chunkResult, operationId);
+        if (!buffer) {
+          continue;
+        }
+        successfulChunks++;
+        
+        // Chunks archive their pages; a bare image is the single page of its chunk
+        if (buffer.toString('latin1', 0, 2) !== 'PK') {
+          images.push({
+            name: `page-${(chunkResult.result?.pageRange?.start || 0) + 1}.${outputFormat}`,
+            data: buffer
+          });
+          continue;
+        }
+        
+        const zip = await JSZip.loadAsync(buffer);
+        for (const entry of Object.values(zip.files).filter(file => !file.dir)) {
+          const data = await entry.async('nodebuffer');
+          if (entry.name === 'pages.tiff') {
+            tiffDocuments.push(data);
+          } else {
+            images.push({ name: entry.name, data });
+          }
+        }
+      }
+      
+      if (successfulChunks === 0) {
+        throw new Error('No chunks were successfully combined');
+      }
+      
+      let combinedBuffer;
+      let format;
+      if (tiffDocuments.length > 0) {
+        combinedBuffer = combineTiffPages(tiffDocuments);
+        format = 'tiff';
+      } else if (images.length === 1) {
+        combinedBuffer = images[0].data;
+        format = outputFormat;
+      } else {
+        const zip = new JSZip();
+        images.forEach(image => zip.file(image.name, image.data));
+        combinedBuffer = await zip.generateAsync({
+          type: 'nodebuffer',
+          compression: outputFormat === 'tiff' ? 'DEFLATE' : 'STORE'
+        });
+        format = 'zip';
+      }
+      
+      const combinedPath = path.join(this.tempDir, `${metadata?.resultFileId || `combined_${operationId}`}.${format}`);
+      fs.writeFileSync(combinedPath, combinedBuffer);
+      
+      logger.info(`Combined ${images.length || tiffDocuments.length} ${outputFormat} outputs into ${format} (${(combinedBuffer.length / (1024 * 1024)).toFixed(2)}MB)`, {
+        operationId
+      });
+      
+      const uploadResult = await cloudinaryHelper.reliableCloudinaryUpload(combinedPath, {
+        folder: 'pdfspark_results',
+        uploadId: `result_${operationId}`,
+        tags: ['result', outputFormat, `op_${operationId}`],
+        fallbackToLocal: true
+      });
+      
+      return {
+        format,
+        isZipped: format === 'zip',
+        cloudinaryPublicId: uploadResult.public_id,
+        cloudinaryUrl: uploadResult.secure_url,
+        localPath: uploadResult._fromLocalStorage ? combinedPath : undefined,
+        pageCount: metadata?.pageCount,
+        imageCount: images.length,
+        fileSize: combinedBuffer.length,
+        successfulChunks,
+        totalChunks: chunkResults.length,
+        chunksProcessed: `${successfulChunks}/${chunkResults.length}`
+      };
+    } catch (error) {
+      logger.error(`Error combining ${outputFormat} chunks`, {
+        error: error.message,
+        stack: error.stack,
+        operationId
+      });
+      
+      throw new Error(`Failed to combine ${outputFormat} chunks: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Combine HTML or Markdown bundle chunk results into a single bundle
+   * @param {Array} chunkResults Array of chunk results
+   * @param {String} outputFormat Web format (html or md)
+   * @param {Object} metadata Metadata about the original PDF
+   * @param {String} operationId Operation ID for logging and tracking
+   * @returns {Promise<Object>} Combined result
+   */
+  async combineWebChunks(chunkResults, outputFormat, metadata, operationId = 'unknown') {
+    const { mergeWebBundles } = require('../services/webExport');
+    
+    try {
+      logger.info(`Merging ${outputFormat} bundle chunks into single bundle`, { operationId });
+      
+      const bundles = [];
+      for (const chunkResult of chunkResults) {
+        const bundle = await this.readChunkOutput(chunkResult, operationId);
+        if (bundle) {
+          bundles.push(bundle);
+        }
+      }
+      
+      if (bundles.length === 0) {
+        throw new Error('No chunks were successfully combined');
+      }
+      
+      const combinedBuffer = await mergeWebBundles(bundles, outputFormat);
+      const combinedPath = path.join(this.tempDir, `${metadata?.resultFileId || `combined_${operationId}`}.zip`);
+      fs.writeFileSync(combinedPath, combinedBuffer);
+      
+      logger.info(`Merged ${bundles.length} ${outputFormat} chunks (${(combinedBuffer.length / (1024 * 1024)).toFixed(2)}MB)`, {
+        operationId
+      });
+      
+      const uploadResult = await cloudinaryHelper.reliableCloudinaryUpload(combinedPath, {
+        folder: 'pdfspark_results',
+        uploadId: `result_${operationId}`,
+        tags: ['result', outputFormat, `op_${operationId}`],
+        fallbackToLocal: true
+      });
+      
+      return {
+        format: 'zip',
+        isZipped: true,
+        cloudinaryPublicId: uploadResult.public_id,
+        cloudinaryUrl: uploadResult.secure_url,
+        localPath: uploadResult._fromLocalStorage ? combinedPath : undefined,
+        pageCount: metadata?.pageCount,
+        fileSize: combinedBuffer.length,
+        successfulChunks: bundles.length,
+        totalChunks: chunkResults.length,
+        chunksProcessed: `${bundles.length}/${chunkResults.length}`
+      };
+    } catch (error) {
+      logger.error(`Error combining ${outputFormat} chunks`, {
+        error: error.message,
+        stack: error.stack,
+        operationId
+      });
+      
+      throw new Error(`Failed to combine ${outputFormat} chunks: ${error.message}`);
+    }
+  }
+  
   /**
    * Combine non-PDF chunk results using Cloudinary with memory monitoring
    * @param {Array} chunkResults Array of chunk results
@@ -1069,7 +1464,7 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
       
       try {
         // Different approaches based on output format
-        if (['jpg', 'png'].includes(outputFormat)) {
+        if (IMAGE_OUTPUT_FORMATS.includes(outputFormat)) {
           // For images, create a ZIP archive using Cloudinary
           result = await cloudinaryHelper.createZipArchive(cloudinaryIds, {
             resourceType: 'image',
@@ -1211,7 +1606,7 @@ class ChunkedPdfProcessor extends ChunkedProcessor {
         try {
           // Create ZIP for this batch
           const batchResult = await cloudinaryHelper.createZipArchive(batch, {
-            resourceType: ['jpg', 'png'].includes(outputFormat) ? 'image' : 'raw',
+            resourceType: IMAGE_OUTPUT_FORMATS.includes(outputFormat) ? 'image' : 'raw',
             folder: 'pdfspark_results',
             publicId: `batch${i+1}_${Date.now()}_${operationId}`
           });
@@ -20,6 +20,7 @@ const cloudinaryHelper = require('./cloudinaryHelper');
 const logger = require('./logger');
 const Operation = require('../models/Operation');
 const { chunkedPdfProcessor } = require('./chunkedPdfProcessor');
+const { isSupportedConversion, getFormatExtensions } = require('./conversionMatrix');
 
 class ConversionJobProcessor {
   constructor(options = {}) {
@@ -89,7 +90,7 @@ class ConversionJobProcessor {
       await operation.save();
       
       // 3. Get source file
-      const filePath = await this.findSourceFile(operation.sourceFileId);
+      const filePath = await this.findSourceFile(operation.sourceFileId, operation.sourceFormat);
       jobLogger.info('Found source file', { filePath });
       
       // 4. Upload to Cloudinary (if not already)
@@ -174,6 +175,8 @@ class ConversionJobProcessor {
       
       // Result variables to be set by processing
       let resultCloudinaryResult;
+      const resultFileId = operation.resultFileId || uuidv4();
+      let resultFilePath = null;
       
       // Check if we should use chunked processing
       if (this.options.enableChunking && 
@@ -189,11 +192,12 @@ class ConversionJobProcessor {
         const chunkResult = await this.processInChunks(operation, fileBuffer, job, correlationId);
         
         // Use the result from chunked processing
+        resultFilePath = chunkResult.localPath || null;
         resultCloudinaryResult = {
           public_id: chunkResult.cloudinaryPublicId,
           secure_url: chunkResult.cloudinaryUrl,
           resource_type: 'raw',
-          format: operation.targetFormat,
+          format: chunkResult.format || operation.targetFormat,
           created_at: new Date().toISOString()
         };
         
@@ -206,26 +210,35 @@ class ConversionJobProcessor {
           fileSize: fileBuffer.length
         });
         
-        // For demo purposes - we'll simulate the conversion
-        // In a real implementation, this would call the actual conversion service
-        jobLogger.info('Simulating conversion process');
+        // 6. Run the converter for the target format
+        const inputPath = this.ensureLocalSource(filePath, fileBuffer, operation);
+        const conversionResult = await this.convertFile(operation, inputPath);
+        resultFilePath = conversionResult.outputPath;
         
-        // Wait to simulate processing time
-        await new Promise(resolve => setTimeout(resolve, 500));
+        jobLogger.info('Conversion finished', {
+          resultFilePath,
+          originalSize: conversionResult.originalSize,
+          resultSize: conversionResult.resultSize
+        });
         
-        // 6. Generate result file (simulated)
-        const resultFileId = operation.resultFileId || uuidv4();
-        const resultFilename = `${resultFileId}.${operation.targetFormat}`;
-        const resultFilePath = path.join(this.options.tempDir, resultFilename);
+        // Parts of the file the converter had to leave as they were
+        if (conversionResult.warnings && conversionResult.warnings.length > 0) {
+          jobLogger.warn('Conversion finished with warnings', { warnings: conversionResult.warnings });
+        }
         
-        // In a real implementation, this would be the actual converted file
-        // For now, we'll create a dummy file if needed for testing
-        if (!fs.existsSync(resultFilePath)) {
-          const dirExists = fs.existsSync(this.options.tempDir);
-          if (!dirExists) {
-            fs.mkdirSync(this.options.tempDir, { recursive: true });
-          }
-          fs.writeFileSync(resultFilePath, `Converted content for ${operation._id}`);
+        // Report the measured sizes of compression results back to the user
+        if (operation.sourceFormat === 'pdf' && operation.targetFormat === 'pdf') {
+          operation.compressionStats = {
+            originalSize: conversionResult.originalSize,
+            resultSize: conversionResult.resultSize,
+            compressionRatio: Math.round(conversionResult.compressionRatio * 1000) / 10,
+            compressionLevel: conversionResult.compressionLevel,
+            imageDpi: conversionResult.settings?.imageDpi,
+            imageQuality: conversionResult.settings?.imageQuality,
+            targetSizeBytes: conversionResult.targetSizeBytes,
+            targetMet: conversionResult.targetMet,
+            attempts: conversionResult.attempts
+          };
         }
         
         // 7. Upload result to Cloudinary
@@ -321,14 +334,25 @@ class ConversionJobProcessor {
   /**
    * Find a source file by ID
    * @param {String} fileId File ID
+   * @param {String} sourceFormat Optional source extension uploads are saved with
    * @returns {Promise<String|null>} File path or null if not found
    */
-  async findSourceFile(fileId) {
+  async findSourceFile(fileId, sourceFormat) {
     const possiblePaths = [
       path.join(this.options.uploadDir, fileId),
       path.join(this.options.tempDir, fileId),
     ];
     
+    // Uploads are stored as <fileId>.<ext>, with any of the format's extensions
+    if (sourceFormat) {
+      getFormatExtensions(sourceFormat).forEach(extension => {
+        possiblePaths.push(
+          path.join(this.options.uploadDir, `${fileId}${extension}`),
+          path.join(this.options.tempDir, `${fileId}${extension}`)
+        );
+      });
+    }
+    
     // Check all possible locations
     for (const filePath of possiblePaths) {
       if (fs.existsSync(filePath)) {
@@ -343,6 +367,88 @@ class ConversionJobProcessor {
     return null;
   }
   
+  /**
+   * Make sure the source is available as a local file for the converters
+   * @param {String|null} filePath Local source path, if one was found
+   * @param {Buffer} fileBuffer Source content
+   * @param {Object} operation The operation object
+   * @returns {String} Path of a local copy of the source
+   */
+  ensureLocalSource(filePath, fileBuffer, operation) {
+    if (filePath && fs.existsSync(filePath)) {
+      return filePath;
+    }
+    
+    // The source only exists in Cloudinary - materialise the downloaded copy
+    if (!fs.existsSync(this.options.tempDir)) {
+      fs.mkdirSync(this.options.tempDir, { recursive: true });
+    }
+    const localPath = path.join(this.options.tempDir, `src_${operation._id}.${operation.sourceFormat || 'pdf'}`);
+    fs.writeFileSync(localPath, fileBuffer);
+    return localPath;
+  }
+  
+  /**
+   * Run the pdfService converter matching the operation's source and target formats
+   * @param {Object} operation The operation object
+   * @param {String} inputPath Local path of the source file
+   * @param {Object} extraOptions Options overriding the operation's (e.g. per-chunk resultFileId)
+   * @returns {Promise<Object>} Converter result ({ outputPath, outputFormat, originalSize, resultSize })
+   */
+  async convertFile(operation, inputPath, extraOptions = {}) {
+    // Required lazily so the queue can start without loading the converters
+    const pdfService = require('../services/pdfService');
+    
+    const converters = {
+      docx: pdfService.convertPdfToWord,
+      xlsx: pdfService.convertPdfToExcel,
+      pptx: pdfService.convertPdfToPowerPoint,
+      jpg: pdfService.convertPdfToImage,
+      png: pdfService.convertPdfToImage,
+      webp: pdfService.convertPdfToImage,
+      tiff: pdfService.convertPdfToImage,
+      txt: pdfService.convertPdfToText,
+      html: pdfService.convertPdfToWeb,
+      md: pdfService.convertPdfToWeb,
+      pdf: pdfService.compressPdf
+    };
+    
+    const sourceFormat = operation.sourceFormat || 'pdf';
+    if (!isSupportedConversion(sourceFormat, operation.targetFormat)) {
+      throw new Error(`Unsupported conversion: ${sourceFormat} to ${operation.targetFormat}`);
+    }
+    
+    // Everything that is not a PDF yet is converted to one
+    const converter = sourceFormat === 'pdf'
+      ? converters[operation.targetFormat]
+      : pdfService.convertToPdf;
+    
+    return converter(inputPath, {
+      ...(operation.options || {}),
+      format: operation.targetFormat,
+      sourceFormat,
+      resultFileId: operation.resultFileId,
+      ...extraOptions
+    });
+  }
+  
+  /**
+   * Read the size of the first page of a PDF
+   * @param {Buffer} fileBuffer PDF content
+   * @returns {Promise<Object|null>} { width, height } in points, or null if unreadable
+   */
+  async getFirstPageSize(fileBuffer) {
+    try {
+      const { PDFDocument } = require('pdf-lib');
+      const pdfDoc = await PDFDocument.load(fileBuffer, { ignoreEncryption: true, updateMetadata: false });
+      const { width, height } = pdfDoc.getPage(0).getSize();
+      return { width, height };
+    } catch (error) {
+      this.logger.warn('Could not read first page size', { error: error.message });
+      return null;
+    }
+  }
+  
   /**
    * Clean up local files
    * @param {Array<String>} filePaths Array of file paths to clean
@@ -393,6 +499,12 @@ class ConversionJobProcessor {
       return false;
     }
     
+    // Compression deduplicates resources across the whole document, which
+    // chunks would defeat
+    if (operation.targetFormat === 'pdf') {
+      return false;
+    }
+    
     // If in Railway mode, be more aggressive with chunking
     if (this.options.railwayMode) {
       // In Railway, chunk any file over 2MB
@@ -429,39 +541,46 @@ class ConversionJobProcessor {
     });
     
     try {
+      if (!fs.existsSync(this.options.tempDir)) {
+        fs.mkdirSync(this.options.tempDir, { recursive: true });
+      }
+      
+      // Chunks are converted separately, so pin page-size dependent output
+      // (such as the PPTX slide size) to the first page of the whole document
+      const documentPageSize = await this.getFirstPageSize(fileBuffer);
+      
       // Define the chunk processor function
       const processChunk = async (chunkBuffer, chunkInfo) => {
         jobLogger.info(`Processing chunk ${chunkInfo.chunkIndex + 1}/${chunkInfo.totalChunks}`, {
           pageRange: chunkInfo.metadata?.pageRange
         });
         
-        // For demo, we'll simulate processing the chunk
-        // In a real implementation, this would do the actual conversion
-        
-        // Add some metadata to simulate real processing
         const metadataTag = chunkInfo.metadata?.pageRange 
           ? `pages_${chunkInfo.metadata.pageRange.start}-${chunkInfo.metadata.pageRange.end}`
           : `chunk_${chunkInfo.chunkIndex}`;
         
-        // Simulate processing time based on chunk size
-        const processingTime = chunkInfo.metadata?.pageCount 
-          ? chunkInfo.metadata.pageCount * 100
-          : 500;
-        
-        await new Promise(resolve => setTimeout(resolve, processingTime));
-        
-        // Upload chunk result to Cloudinary
+        // Convert the chunk like a standalone document
         const chunkUploadId = `chunk_${operation._id}_${chunkInfo.chunkIndex}`;
-        const chunkFilename = `${chunkUploadId}.${operation.targetFormat}`;
+        const chunkSourcePath = path.join(this.options.tempDir, `${chunkUploadId}_source.pdf`);
+        fs.writeFileSync(chunkSourcePath, chunkBuffer);
         
-        // Generate mock chunk data for testing
-        const mockChunkContent = Buffer.from(
-          `Processed chunk ${chunkInfo.chunkIndex} from operation ${operation._id}`
-        );
-        
-        // Create a temporary file for the chunk
-        const chunkFilePath = path.join(this.options.tempDir, chunkFilename);
-        fs.writeFileSync(chunkFilePath, mockChunkContent);
+        let chunkFilePath;
+        try {
+          const chunkConversion = await this.convertFile(operation, chunkSourcePath, {
+            resultFileId: chunkUploadId,
+            slideSize: documentPageSize,
+            // Page numbers in text output refer to the whole document
+            pageOffset: chunkInfo.metadata?.pageRange?.start || 0,
+            totalPages: chunkInfo.metadata?.documentPageCount,
+            // Page images are always archived so they keep their page numbers
+            archive: true
+          });
+          chunkFilePath = chunkConversion.outputPath;
+        } finally {
+          if (fs.existsSync(chunkSourcePath)) {
+            fs.unlinkSync(chunkSourcePath);
+          }
+        }
         
         // Upload chunk to Cloudinary
         const chunkCloudinaryResult = await cloudinaryHelper.reliableCloudinaryUpload(
@@ -471,12 +590,14 @@ class ConversionJobProcessor {
             correlationId,
             uploadId: chunkUploadId,
             tags: ['chunk', operation.targetFormat, `op_${operation._id}`, metadataTag],
-            maxAttempts: this.options.maxAttempts
+            maxAttempts: this.options.maxAttempts,
+            fallbackToLocal: true
           }
         );
         
-        // Clean up temporary chunk file
-        if (fs.existsSync(chunkFilePath)) {
+        // Clean up temporary chunk file, unless it is the only copy
+        const keptLocally = !!chunkCloudinaryResult._fromLocalStorage;
+        if (!keptLocally && fs.existsSync(chunkFilePath)) {
           fs.unlinkSync(chunkFilePath);
         }
         
@@ -484,6 +605,7 @@ class ConversionJobProcessor {
         return {
           cloudinaryPublicId: chunkCloudinaryResult.public_id,
           cloudinaryUrl: chunkCloudinaryResult.secure_url,
+          localPath: keptLocally ? chunkFilePath : undefined,
           format: operation.targetFormat,
           pageRange: chunkInfo.metadata?.pageRange,
           isChunk: true
@@ -491,12 +613,19 @@ class ConversionJobProcessor {
       };
       
       // Use the chunked processor to handle the file
-      return await this.chunkedPdfProcessor.processInChunks(
+      const result = await this.chunkedPdfProcessor.processInChunks(
         operation,
         fileBuffer,
         processChunk,
         { targetFormat: operation.targetFormat }
       );
+      
+      // Chunk outputs kept on disk are no longer needed once combined into one file
+      if (!result?.isMultipart) {
+        await this.chunkedPdfProcessor.cleanup(operation._id);
+      }
+      
+      return result;
     } catch (error) {
       jobLogger.error('Chunked processing failed', {
         error: error.message,
@@ -540,6 +669,8 @@ class ConversionJobProcessor {
           break;
         case 'jpg':
         case 'png':
+        case 'webp':
+        case 'tiff':
           memoryMB *= 1.2;
           cpuIntensity = 'medium';
           break;
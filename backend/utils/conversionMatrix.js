@@ -0,0 +1,63 @@
+/**
+ * Conversion matrix
+ *
+ * Which source formats convert to which targets. The matrix itself lives in
+ * config/conversionMatrix.json so the frontend can import the same file and
+ * offer exactly the conversions the API accepts.
+ */
+
+const path = require('path');
+const matrix = require('../config/conversionMatrix.json');
+
+// Formats uploads may be converted from
+const SOURCE_FORMATS = Object.keys(matrix.conversions);
+
+/**
+ * List the formats a source format converts to
+ * @param {String} sourceFormat - e.g. "pdf" or "docx"
+ * @returns {Array<String>} - Target formats, empty for unknown sources
+ */
+const getTargetFormats = (sourceFormat) => matrix.conversions[sourceFormat] || [];
+
+/**
+ * Check whether a conversion is supported
+ * @param {String} sourceFormat - Source format
+ * @param {String} targetFormat - Target format
+ * @returns {Boolean}
+ */
+const isSupportedConversion = (sourceFormat, targetFormat) =>
+  getTargetFormats(sourceFormat).includes(targetFormat);
+
+/**
+ * Work out the source format of an uploaded file
+ * @param {String} filename - Original file name, its extension wins
+ * @param {String} mimetype - Declared MIME type, used when the extension is unknown
+ * @returns {String|null} - Source format, or null if the file cannot be converted
+ */
+const getSourceFormat = (filename, mimetype) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  const formats = Object.entries(matrix.formats).filter(([format]) => SOURCE_FORMATS.includes(format));
+
+  const byExtension = formats.find(([, format]) => format.extensions.includes(extension));
+  if (byExtension) {
+    return byExtension[0];
+  }
+  const byMimeType = !extension && formats.find(([, format]) => format.mimeTypes.includes(mimetype));
+  return byMimeType ? byMimeType[0] : null;
+};
+
+/**
+ * File extensions a format is stored with
+ * @param {String} format - Format
+ * @returns {Array<String>} - Extensions including the dot, the preferred one first
+ */
+const getFormatExtensions = (format) =>
+  (matrix.formats[format] && matrix.formats[format].extensions) || [`.${format}`];
+
+module.exports = {
+  SOURCE_FORMATS,
+  getTargetFormats,
+  isSupportedConversion,
+  getSourceFormat,
+  getFormatExtensions
+};
@@ -6,6 +6,8 @@ class ErrorResponse extends Error {
   }
 }
 
+const { redactSensitiveFields } = require('./redact');
+
 // Create a logs directory if it doesn't exist
 const ensureLogsDirectory = () => {
   const fs = require('fs');
@@ -37,7 +39,7 @@ const logErrorToFile = (err, req) => {
       params: req.params,
       query: req.query,
       body: req.method === 'POST' ? (
-        req.is('multipart/form-data') ? '[MULTIPART FORM DATA]' : req.body
+        req.is('multipart/form-data') ? '[MULTIPART FORM DATA]' : redactSensitiveFields(req.body)
       ) : undefined
     };
     
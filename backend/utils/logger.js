@@ -144,6 +144,9 @@ const logger = {
       }
     });
     
+    // Children of children keep the metadata of every ancestor
+    childLogger.child = (childMetadata = {}) => logger.child({ ...metadata, ...childMetadata });
+    
     return childLogger;
   },
 
@@ -0,0 +1,71 @@
+/**
+ * Page range utilities
+ *
+ * Parses user supplied page selections such as "1-3,5,8-" (1-based, an open
+ * end runs to the last page) or arrays of page numbers.
+ */
+
+/**
+ * Parse a page range specification
+ * @param {String|Number|Array} spec - "1-3,5,8-", a page number, or an array of numbers/range strings
+ * @param {Number} pageCount - Number of pages in the document
+ * @returns {Array<{ start: number, end: number }>} - 1-based inclusive ranges in the given order
+ * @throws {Error} If a range is malformed or outside the document
+ */
+const parsePageRanges = (spec, pageCount) => {
+  if (spec === undefined || spec === null || spec === '' || spec === 'all') {
+    return pageCount > 0 ? [{ start: 1, end: pageCount }] : [];
+  }
+
+  const parts = Array.isArray(spec)
+    ? spec.map(String)
+    : String(spec).split(',');
+
+  return parts
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => {
+      const match = part.match(/^(\d*)\s*(?:(-)\s*(\d*))?$/);
+      if (!match || (!match[1] && !match[3])) {
+        throw new Error(`Invalid page range: "${part}"`);
+      }
+
+      const start = match[1] ? parseInt(match[1], 10) : 1;
+      const end = match[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : start;
+
+      if (start < 1 || end < start) {
+        throw new Error(`Invalid page range: "${part}"`);
+      }
+      if (end > pageCount) {
+        throw new Error(`Page range "${part}" is outside the document (${pageCount} pages)`);
+      }
+
+      return { start, end };
+    });
+};
+
+/**
+ * Expand a page range specification into page numbers
+ * @param {String|Number|Array} spec - See parsePageRanges
+ * @param {Number} pageCount - Number of pages in the document
+ * @param {Object} options - { unique: drop repeated pages and sort }
+ * @returns {Array<Number>} - 1-based page numbers
+ */
+const expandPageRanges = (spec, pageCount, options = {}) => {
+  const pages = [];
+  for (const { start, end } of parsePageRanges(spec, pageCount)) {
+    for (let page = start; page <= end; page++) {
+      pages.push(page);
+    }
+  }
+
+  if (options.unique) {
+    return [...new Set(pages)].sort((a, b) => a - b);
+  }
+  return pages;
+};
+
+module.exports = {
+  parsePageRanges,
+  expandPageRanges
+};
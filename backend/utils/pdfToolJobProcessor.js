@@ -0,0 +1,723 @@
+/**
+ * PdfToolJobProcessor
+ *
+ * Processor for PDF tool operations (merge and friends) that works with
+ * the enhanced ProcessingQueue system.
+ *
+ * Unlike conversions, tool operations can read several uploaded files and
+ * always produce a single result file (a ZIP for multi-part results, which
+ * also return a manifest of the parts). Each operation type has a handler that
+ * runs the matching pdfService function; this class takes care of status
+ * and progress tracking, the result upload and failures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const cloudinaryHelper = require('./cloudinaryHelper');
+const logger = require('./logger');
+const { ConversionJobProcessor } = require('./conversionJobProcessor');
+
+class PdfToolJobProcessor extends ConversionJobProcessor {
+  constructor(options = {}) {
+    super(options);
+
+    this.logger = logger.child({
+      processor: 'PdfToolJobProcessor'
+    });
+
+    // Handlers by operation type
+    this.handlers = {
+      merge: this.runMerge.bind(this),
+      split: this.runSplit.bind(this),
+      protection: this.runProtect.bind(this),
+      unlock: this.runUnlock.bind(this),
+      ocr: this.runOcr.bind(this),
+      images_to_pdf: this.runImagesToPdf.bind(this),
+      watermark: this.runWatermark.bind(this),
+      organize: this.runOrganize.bind(this),
+      header_footer: this.runHeaderFooter.bind(this),
+      metadata: this.runMetadata.bind(this),
+      form_fill: this.runFormFill.bind(this),
+      sign: this.runSign.bind(this),
+      redact: this.runRedact.bind(this),
+      compare: this.runCompare.bind(this),
+      extract: this.runExtract.bind(this),
+      outline: this.runOutline.bind(this)
+    };
+  }
+
+  /**
+   * Process a tool job
+   * @param {Object} job The job data
+   * @returns {Promise<Object>} Processing result
+   */
+  async process(job) {
+    const { operationId } = job;
+    const correlationId = job.correlationId || uuidv4();
+
+    const jobLogger = this.logger.child({
+      operationId,
+      correlationId
+    });
+
+    jobLogger.info('Starting PDF tool job processing', { operationType: job.operationType });
+
+    try {
+      // 1. Find the operation
+      const operation = await this.findOperation(operationId);
+      if (!operation) {
+        throw new Error(`Operation ${operationId} not found`);
+      }
+
+      const handler = this.handlers[operation.operationType];
+      if (!handler) {
+        throw new Error(`Unsupported tool operation: ${operation.operationType}`);
+      }
+
+      // 2. Update operation status
+      operation.status = 'processing';
+      operation.progress = 10;
+      await operation.save();
+
+      // 3. Run the tool, handlers report progress between 10 and 80
+      const updateProgress = async (progress) => {
+        operation.progress = Math.max(operation.progress, Math.min(80, Math.round(progress)));
+        await operation.save();
+      };
+      const result = await handler(operation, updateProgress, jobLogger, job);
+
+      jobLogger.info('PDF tool finished', {
+        resultFilePath: result.outputPath,
+        originalSize: result.originalSize,
+        resultSize: result.resultSize
+      });
+
+      // 4. Upload result to Cloudinary
+      operation.progress = 80;
+      await operation.save();
+
+      const resultCloudinaryResult = await cloudinaryHelper.reliableCloudinaryUpload(
+        result.outputPath,
+        {
+          folder: `${this.options.cloudinaryFolder}/results`,
+          correlationId,
+          uploadId: `result_${operation._id}`,
+          tags: ['result', operation.operationType, `op_${operation._id}`],
+          maxAttempts: this.options.maxAttempts,
+          fallbackToLocal: true
+        }
+      );
+
+      // 5. Update operation status, multi-part results list their parts
+      if (result.manifest) {
+        operation.resultManifest = result.manifest;
+      }
+      await operation.complete(
+        operation.resultFileId,
+        resultCloudinaryResult.secure_url,
+        new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days expiry
+        resultCloudinaryResult
+      );
+
+      // Secrets (passwords, search terms) only live in the queued job, drop them once done
+      delete job.secrets;
+
+      jobLogger.info('PDF tool job completed successfully', {
+        publicId: resultCloudinaryResult.public_id
+      });
+
+      // 6. Clean up the local result if it made it to Cloudinary
+      if (this.options.railwayMode && !resultCloudinaryResult._fromLocalStorage) {
+        this.cleanupLocalFiles([result.outputPath]);
+      }
+
+      return {
+        success: true,
+        operationId: operation._id,
+        resultUrl: resultCloudinaryResult.secure_url
+      };
+    } catch (error) {
+      jobLogger.error('PDF tool job processing failed', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (operationId) {
+        try {
+          const operation = await this.findOperation(operationId);
+          if (operation) {
+            await operation.fail(error.message);
+          }
+        } catch (updateError) {
+          jobLogger.error('Failed to update operation status', {
+            error: updateError.message
+          });
+        }
+      }
+
+      // Re-throw the error to let the queue handle it
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the uploaded files an operation works on
+   * @param {Array<Object>} files [{ fileId, pages, title }]
+   * @returns {Promise<Array<Object>>} [{ filepath, pages, title }]
+   */
+  async resolveSourceFiles(files = []) {
+    const sources = [];
+
+    for (const file of files) {
+      const filepath = await this.findSourceFile(file.fileId, 'pdf');
+      if (!filepath || !fs.existsSync(filepath)) {
+        throw new Error(`Source file not found: ${file.fileId}`);
+      }
+      sources.push({ filepath, pages: file.pages, title: file.title });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Find an uploaded image in whatever format it was uploaded
+   * @param {String} fileId File ID, uploads are stored as <fileId>.<extension of their name>
+   * @returns {Promise<String>} File path
+   * @throws {Error} If there is no such upload
+   */
+  async findUploadedImage(fileId) {
+    for (const dir of [this.options.uploadDir, this.options.tempDir]) {
+      const name = fs.existsSync(dir) && fs.readdirSync(dir).find(entry => path.parse(entry).name === fileId);
+      if (name) {
+        return path.join(dir, name);
+      }
+    }
+    throw new Error(`Source file not found: ${fileId}`);
+  }
+
+  /**
+   * Merge the operation's files into one PDF
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runMerge(operation, updateProgress) {
+    // Required lazily so the queue can start without loading the converters
+    const pdfService = require('../services/pdfService');
+
+    const options = operation.options || {};
+    const inputs = await this.resolveSourceFiles(options.files);
+
+    return pdfService.mergePdfs(inputs, {
+      bookmarks: options.bookmarks,
+      title: options.title,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+  }
+
+  /**
+   * Split the operation's file into a ZIP of parts
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runSplit(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+    const { planSplit } = require('../services/pdfSplitter');
+    const { loadSourceDocument } = require('../services/pdfMerger');
+
+    const options = operation.options || {};
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+    const splitOptions = {
+      mode: options.mode,
+      ranges: options.ranges,
+      everyPages: options.everyPages,
+      maxSizeBytes: options.maxSizeBytes,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    };
+
+    // Large inputs are cut by the chunked processor, which keeps memory in
+    // check; the parts are planned first so each chunk is exactly one part
+    const fileBuffer = fs.readFileSync(input.filepath);
+    if (await this.chunkedPdfProcessor.shouldChunkPdf(fileBuffer, 'pdf', operation)) {
+      let source = await loadSourceDocument(fileBuffer, 'The document');
+      const plan = await planSplit(source, splitOptions);
+      source = null;
+
+      jobLogger.info('Splitting large PDF with the chunked processor', { partCount: plan.length });
+      await updateProgress(30);
+
+      const { chunks } = await this.chunkedPdfProcessor.splitIntoChunks(fileBuffer, operation, {
+        pageRanges: plan,
+        preserveLinks: true
+      });
+      if (chunks.length !== plan.length) {
+        throw new Error(`Only ${chunks.length} of ${plan.length} parts could be created`);
+      }
+
+      splitOptions.parts = plan.map((part, index) => ({ ...part, buffer: chunks[index].buffer }));
+      splitOptions.onProgress = (done, total) => updateProgress(30 + (50 * done) / total);
+    }
+
+    return pdfService.splitPdf(input.filepath, splitOptions);
+  }
+
+  /**
+   * Encrypt the operation's file
+   *
+   * The passwords are not part of the operation, they travel with the
+   * queued job only.
+   *
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @param {Object} job The job data, with secrets { userPassword, ownerPassword }
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runProtect(operation, updateProgress, jobLogger, job) {
+    const pdfService = require('../services/pdfService');
+
+    const options = operation.options || {};
+    const secrets = job.secrets || {};
+    if (!secrets.userPassword && !secrets.ownerPassword) {
+      throw new Error('The passwords for this operation are no longer available, please start again');
+    }
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    const result = await pdfService.protectPdf(input.filepath, {
+      userPassword: secrets.userPassword,
+      ownerPassword: secrets.ownerPassword,
+      algorithm: options.algorithm,
+      permissions: options.permissions,
+      resultFileId: operation.resultFileId
+    });
+
+    await updateProgress(70);
+    return result;
+  }
+
+  /**
+   * Decrypt the operation's file
+   *
+   * Like the protection passwords, the password travels with the queued
+   * job only.
+   *
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @param {Object} job The job data, with secrets { password }
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runUnlock(operation, updateProgress, jobLogger, job) {
+    const pdfService = require('../services/pdfService');
+
+    const secrets = job.secrets || {};
+    if (typeof secrets.password !== 'string') {
+      throw new Error('The password for this operation is no longer available, please start again');
+    }
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    const result = await pdfService.unlockPdf(input.filepath, {
+      password: secrets.password,
+      resultFileId: operation.resultFileId
+    });
+    jobLogger.info('PDF unlocked', { algorithm: result.algorithm, passwordType: result.passwordType });
+
+    await updateProgress(70);
+    return result;
+  }
+
+  /**
+   * Recognize the text of the operation's file and make it searchable
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runOcr(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const options = operation.options || {};
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    const result = await pdfService.ocrPdf(input.filepath, {
+      language: options.language,
+      pages: options.pages,
+      resultFileId: operation.resultFileId,
+      // Recognition is nearly all of the work
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDF text recognized', {
+      recognizedPages: result.recognizedPages.length,
+      skippedPages: result.skippedPages.length,
+      confidence: result.confidence
+    });
+
+    // Saved together with the completed operation
+    operation.ocrStats = {
+      language: options.language || 'eng',
+      recognizedPages: result.recognizedPages,
+      skippedPages: result.skippedPages,
+      wordCount: result.wordCount,
+      confidence: result.confidence
+    };
+
+    return result;
+  }
+
+  /**
+   * Assemble the operation's images into one PDF
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runImagesToPdf(operation, updateProgress) {
+    const pdfService = require('../services/pdfService');
+
+    const options = operation.options || {};
+    const inputs = [];
+    for (const file of options.files || []) {
+      // Any format sharp reads, not just JPG and PNG
+      inputs.push({ filepath: await this.findUploadedImage(file.fileId) });
+    }
+
+    return pdfService.imagesToPdf(inputs, {
+      pageSize: options.pageSize,
+      orientation: options.orientation,
+      margin: options.margin,
+      autoRotate: options.autoRotate,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+  }
+
+  /**
+   * Stamp the operation's file with its watermark settings
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runWatermark(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const settings = operation.options || {};
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    let imagePath;
+    if (settings.type === 'image') {
+      imagePath = await this.findUploadedImage(settings.imageFileId);
+    }
+
+    const result = await pdfService.watermarkPdf(input.filepath, {
+      settings,
+      imagePath,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDF watermarked', { stampedPages: result.stampedPages.length, pageCount: result.pageCount });
+
+    return result;
+  }
+
+  /**
+   * Rebuild the operation's file from its page plan
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runOrganize(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const options = operation.options || {};
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    // Other PDFs whose pages the plan inserts
+    const insertFiles = {};
+    const inserts = await this.resolveSourceFiles((options.insertFileIds || []).map(fileId => ({ fileId })));
+    inserts.forEach((insert, index) => {
+      insertFiles[options.insertFileIds[index]] = insert.filepath;
+    });
+
+    const result = await pdfService.organizePdf(input.filepath, {
+      plan: options.plan,
+      insertFiles,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDF organized', { pageCount: result.pageCount, bookmarkCount: result.bookmarkCount });
+
+    return result;
+  }
+
+  /**
+   * Stamp headers, footers and Bates numbers on the operation's files
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runHeaderFooter(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const options = operation.options || {};
+    const files = options.files || [];
+    const inputs = (await this.resolveSourceFiles(files)).map((input, index) => ({
+      filepath: input.filepath,
+      name: files[index].name
+    }));
+
+    const result = await pdfService.addHeaderFooter(inputs, {
+      settings: options.settings,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('Headers and footers added', { fileCount: inputs.length, nextBates: result.nextBates });
+
+    return result;
+  }
+
+  /**
+   * Write or strip the metadata of the operation's file
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runMetadata(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    const result = await pdfService.editPdfMetadata(input.filepath, {
+      settings: operation.options,
+      resultFileId: operation.resultFileId
+    });
+    jobLogger.info('PDF metadata written', { removedKeys: result.removedKeys, xmp: result.xmp });
+
+    await updateProgress(70);
+    return result;
+  }
+
+  /**
+   * Fill the form of the operation's file, once or once per row
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runFormFill(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    const result = await pdfService.fillPdfForm(input.filepath, {
+      settings: operation.options,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDF form filled', { rowCount: operation.options.rows.length, flatten: operation.options.flatten });
+
+    return result;
+  }
+
+  /**
+   * Sign the operation's file with the certificate of the job
+   * The PKCS#12 file and its password travel with the queued job only.
+   *
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @param {Object} job The job data, with secrets { certificate (base64), password }
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runSign(operation, updateProgress, jobLogger, job) {
+    const pdfService = require('../services/pdfService');
+
+    const secrets = job.secrets || {};
+    if (typeof secrets.certificate !== 'string' || typeof secrets.password !== 'string') {
+      throw new Error('The certificate for this operation is no longer available, please start again');
+    }
+
+    const settings = operation.options || {};
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+
+    let imagePath;
+    if (settings.appearance && settings.appearance.imageFileId) {
+      imagePath = await this.findUploadedImage(settings.appearance.imageFileId);
+    }
+    await updateProgress(20);
+
+    const result = await pdfService.signPdfDocument(input.filepath, {
+      settings,
+      certificate: Buffer.from(secrets.certificate, 'base64'),
+      password: secrets.password,
+      imagePath,
+      resultFileId: operation.resultFileId
+    });
+    jobLogger.info('PDF signed', { fieldName: result.fieldName, visible: settings.visible });
+
+    await updateProgress(80);
+    return result;
+  }
+
+  /**
+   * Redact the operation's file with its search rules and areas
+   * The search terms and regular expressions travel with the queued job only.
+   *
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @param {Object} job The job data, with secrets { terms, regexes }
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runRedact(operation, updateProgress, jobLogger, job) {
+    const pdfService = require('../services/pdfService');
+
+    const { termCount = 0, regexCount = 0, ...rules } = operation.options || {};
+    const secrets = job.secrets || {};
+    if ((termCount > 0 && !Array.isArray(secrets.terms)) || (regexCount > 0 && !Array.isArray(secrets.regexes))) {
+      throw new Error('The search terms for this operation are no longer available, please start again');
+    }
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+    const result = await pdfService.redactPdf(input.filepath, {
+      settings: { ...rules, terms: secrets.terms || [], regexes: secrets.regexes || [] },
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDF redacted', {
+      ...result.totals,
+      redactedPages: result.redactedPages.length,
+      documentMatches: result.document.matches,
+      attachmentsRemoved: result.document.attachmentsRemoved
+    });
+    if (result.warnings.length > 0) {
+      // Text in these fonts could not be searched; the unmapped pages say where
+      jobLogger.warn('Some text could not be searched for redaction', { warnings: result.warnings });
+    }
+
+    // Saved together with the completed operation
+    operation.redactionStats = {
+      pages: result.redactedPages,
+      totals: result.totals,
+      unmappedPages: result.unmappedPages,
+      document: result.document
+    };
+
+    return result;
+  }
+
+  /**
+   * Compare the operation's file (the original) with the revised file of its options
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runCompare(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const { revisedFileId, ...settings } = operation.options || {};
+    const [original, revised] = await this.resolveSourceFiles([
+      { fileId: operation.sourceFileId },
+      { fileId: revisedFileId }
+    ]);
+    const result = await pdfService.comparePdfs(original.filepath, revised.filepath, {
+      settings,
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDFs compared', { mode: settings.mode, changedPages: result.report.summary.changedPages.length });
+
+    // Saved together with the completed operation; the full report is in the ZIP
+    operation.comparisonStats = {
+      mode: result.report.mode,
+      originalPageCount: result.report.original.pageCount,
+      revisedPageCount: result.report.revised.pageCount,
+      summary: result.report.summary,
+      pages: result.report.pages.map(page => settings.mode === 'visual'
+        ? { page: page.page, changedPercent: page.changedPercent, regions: page.regions.length }
+        : { page: page.page, insertions: page.insertions.length, deletions: page.deletions.length, moves: page.moves.length })
+    };
+
+    return result;
+  }
+
+  /**
+   * Extract the embedded images and attachments of the operation's file into a ZIP
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runExtract(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+    const result = await pdfService.extractPdfResources(input.filepath, {
+      settings: operation.options || {},
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    const { images, attachments, skipped, warnings } = result.extracted;
+    jobLogger.info('PDF resources extracted', { images: images.length, attachments: attachments.length });
+    if (warnings.length > 0) {
+      jobLogger.warn('Some pages could not be searched for images', { warnings });
+    }
+
+    // Saved together with the completed operation; the full manifest is in the ZIP
+    operation.extractionStats = {
+      images: images.length,
+      attachments: attachments.length,
+      skippedImages: skipped.images.length,
+      skippedAttachments: skipped.attachments.length
+    };
+
+    return result;
+  }
+
+  /**
+   * Replace the outline of the operation's file, or build it from its headings
+   * @param {Object} operation The operation object
+   * @param {Function} updateProgress Progress callback (percentage)
+   * @param {Object} jobLogger Logger of the job
+   * @returns {Promise<Object>} pdfService result
+   */
+  async runOutline(operation, updateProgress, jobLogger) {
+    const pdfService = require('../services/pdfService');
+
+    const [input] = await this.resolveSourceFiles([{ fileId: operation.sourceFileId }]);
+    const result = await pdfService.updatePdfOutline(input.filepath, {
+      settings: operation.options || {},
+      resultFileId: operation.resultFileId,
+      onProgress: (done, total) => updateProgress(10 + (70 * done) / total)
+    });
+    jobLogger.info('PDF outline updated', { bookmarks: result.bookmarkCount, tocPages: result.tocPages });
+
+    // Saved together with the completed operation
+    operation.outlineStats = {
+      mode: operation.options.mode,
+      bookmarks: result.bookmarkCount,
+      levels: result.levels,
+      tocPages: result.tocPages
+    };
+
+    return result;
+  }
+}
+
+// Create and export a singleton instance
+const pdfToolJobProcessor = new PdfToolJobProcessor();
+
+module.exports = {
+  PdfToolJobProcessor,
+  pdfToolJobProcessor
+};
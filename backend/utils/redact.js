@@ -0,0 +1,42 @@
+/**
+ * Redaction of secrets in logged request data
+ *
+ * Request bodies are logged by the logging middleware and the error handler.
+ * Fields such as document passwords must never reach the logs, so their
+ * values are replaced before logging.
+ */
+
+// Keys whose values are never logged; PKCS#12 certificates hold a private key and
+// redaction terms are the text a document must not reveal
+const SENSITIVE_KEY_PATTERN = /pass(word|phrase)|secret|private.?key|certificate|p12|pkcs12|^(terms|regexes)$/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy a value with the values of sensitive keys replaced, at any depth
+ * @param {*} value - Request body or other loggable data
+ * @returns {*} - Redacted copy (the input is not modified)
+ */
+const redactSensitiveFields = (value, depth = 0) => {
+  if (depth > 10 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactSensitiveFields(item, depth + 1));
+  }
+
+  return Object.keys(value).reduce((result, key) => {
+    result[key] = SENSITIVE_KEY_PATTERN.test(key) && value[key] !== undefined && value[key] !== ''
+      ? REDACTED
+      : redactSensitiveFields(value[key], depth + 1);
+    return result;
+  }, {});
+};
+
+module.exports = {
+  SENSITIVE_KEY_PATTERN,
+  redactSensitiveFields
+};
@@ -7,6 +7,24 @@ import Layout from './components/Layout';
 // Pages
 import HomePage from './pages/HomePage';
 import ConversionPage from './pages/ConversionPage';
+import CompressPdfPage from './pages/CompressPdfPage';
+import MergePdfPage from './pages/MergePdfPage';
+import SplitPdfPage from './pages/SplitPdfPage';
+import ProtectPdfPage from './pages/ProtectPdfPage';
+import UnlockPdfPage from './pages/UnlockPdfPage';
+import OcrPdfPage from './pages/OcrPdfPage';
+import WatermarkPdfPage from './pages/WatermarkPdfPage';
+import OrganizePdfPage from './pages/OrganizePdfPage';
+import HeaderFooterPdfPage from './pages/HeaderFooterPdfPage';
+import MetadataPdfPage from './pages/MetadataPdfPage';
+import FillFormPdfPage from './pages/FillFormPdfPage';
+import SignPdfPage from './pages/SignPdfPage';
+import RedactPdfPage from './pages/RedactPdfPage';
+import ComparePdfPage from './pages/ComparePdfPage';
+import ExtractPdfPage from './pages/ExtractPdfPage';
+import OutlinePdfPage from './pages/OutlinePdfPage';
+import ConvertToPdfPage from './pages/ConvertToPdfPage';
+import ImagesToPdfPage from './pages/ImagesToPdfPage';
 import CloudinaryDemoPage from './pages/CloudinaryDemoPage';
 import UploadDiagnosticPage from './pages/UploadDiagnosticPage';
 
@@ -21,11 +39,26 @@ function App() {
           <Route path="/convert/pdf-to-ppt" element={<ConversionPage defaultFormat="pptx" />} />
           <Route path="/convert/pdf-to-image" element={<ConversionPage defaultFormat="jpg" />} />
           <Route path="/convert/pdf-to-text" element={<ConversionPage defaultFormat="txt" />} />
-          <Route path="/tools/compress-pdf" element={<ConversionPage defaultFormat="docx" />} />
-          <Route path="/tools/merge-pdf" element={<ConversionPage defaultFormat="docx" />} />
-          <Route path="/tools/split-pdf" element={<ConversionPage defaultFormat="docx" />} />
-          <Route path="/tools/protect-pdf" element={<ConversionPage defaultFormat="docx" />} />
-          <Route path="/tools/unlock-pdf" element={<ConversionPage defaultFormat="docx" />} />
+          <Route path="/convert/pdf-to-html" element={<ConversionPage defaultFormat="html" />} />
+          <Route path="/convert/pdf-to-markdown" element={<ConversionPage defaultFormat="md" />} />
+          <Route path="/convert/to-pdf" element={<ConvertToPdfPage />} />
+          <Route path="/convert/images-to-pdf" element={<ImagesToPdfPage />} />
+          <Route path="/tools/compress-pdf" element={<CompressPdfPage />} />
+          <Route path="/tools/merge-pdf" element={<MergePdfPage />} />
+          <Route path="/tools/split-pdf" element={<SplitPdfPage />} />
+          <Route path="/tools/protect-pdf" element={<ProtectPdfPage />} />
+          <Route path="/tools/unlock-pdf" element={<UnlockPdfPage />} />
+          <Route path="/tools/ocr-pdf" element={<OcrPdfPage />} />
+          <Route path="/tools/watermark-pdf" element={<WatermarkPdfPage />} />
+          <Route path="/tools/organize-pdf" element={<OrganizePdfPage />} />
+          <Route path="/tools/header-footer-pdf" element={<HeaderFooterPdfPage />} />
+          <Route path="/tools/metadata-pdf" element={<MetadataPdfPage />} />
+          <Route path="/tools/fill-form-pdf" element={<FillFormPdfPage />} />
+          <Route path="/tools/sign-pdf" element={<SignPdfPage />} />
+          <Route path="/tools/redact-pdf" element={<RedactPdfPage />} />
+          <Route path="/tools/compare-pdf" element={<ComparePdfPage />} />
+          <Route path="/tools/extract-pdf" element={<ExtractPdfPage />} />
+          <Route path="/tools/outline-pdf" element={<OutlinePdfPage />} />
           <Route path="/tools" element={<HomePage />} />
           <Route path="/pricing" element={<HomePage />} />
           <Route path="/blog" element={<HomePage />} />
@@ -0,0 +1,249 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { ImagesToPdfOptions } from '../services/pdfService';
+import { getAcceptedExtensions, getAcceptedFileTypes } from '../config/conversionMatrix';
+
+interface UploadedImage {
+  fileId: string;
+  fileName: string;
+}
+
+type PageSize = NonNullable<ImagesToPdfOptions['pageSize']>;
+type Orientation = NonNullable<ImagesToPdfOptions['orientation']>;
+
+// Whatever the backend's image pipeline reads
+const IMAGE_FORMATS = ['jpg', 'png', 'webp', 'tiff', 'gif'];
+
+// Margin presets in points
+const margins = [
+  { value: 0, label: 'No margin' },
+  { value: 18, label: 'Small (¼ inch)' },
+  { value: 36, label: 'Medium (½ inch)' },
+  { value: 72, label: 'Large (1 inch)' },
+];
+
+const ImagesToPdf: React.FC = () => {
+  const [images, setImages] = useState<UploadedImage[]>([]);
+  const [pageSize, setPageSize] = useState<PageSize>('a4');
+  const [orientation, setOrientation] = useState<Orientation>('auto');
+  const [margin, setMargin] = useState(36);
+  const [autoRotate, setAutoRotate] = useState(true);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setImages([]);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const moveImage = (index: number, offset: number) => {
+    const reordered = [...images];
+    const [image] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, image);
+    setImages(reordered);
+  };
+
+  const removeImage = (index: number) => {
+    setImages(images.filter((_, i) => i !== index));
+  };
+
+  const handleCreate = async () => {
+    if (images.length === 0) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.imagesToPDF(
+        images.map(image => image.fileId),
+        { pageSize, orientation, margin, autoRotate }
+      );
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Creating the PDF failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Images to PDF error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Creating the PDF failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Images to PDF</h2>
+
+      {images.length > 0 && (
+        <div className="converter-section conversion-section">
+          <ol className="ordered-file-list">
+            {images.map((image, index) => (
+              <li key={image.fileId}>
+                <span>{index + 1}.</span>
+                <span className="file-name">{image.fileName}</span>
+                <button onClick={() => moveImage(index, -1)} disabled={isBusy || index === 0} aria-label="Move up">
+                  &uarr;
+                </button>
+                <button
+                  onClick={() => moveImage(index, 1)}
+                  disabled={isBusy || index === images.length - 1}
+                  aria-label="Move down"
+                >
+                  &darr;
+                </button>
+                <button onClick={() => removeImage(index)} disabled={isBusy} aria-label="Remove">
+                  &times;
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {status === 'idle' && (
+        <div className="converter-section upload-section">
+          {/* Remounted after every upload so the next image can be added */}
+          <EnhancedFileUploader
+            key={images.length}
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setImages(current => [
+                  ...current,
+                  { fileId: data.fileId, fileName: data.fileName || `Image ${current.length + 1}` },
+                ]);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={getAcceptedFileTypes(IMAGE_FORMATS)}
+            allowedFileExtensions={getAcceptedExtensions(IMAGE_FORMATS)}
+          />
+        </div>
+      )}
+
+      {images.length > 0 && (
+        <div className="converter-section conversion-section">
+          <div className="conversion-options">
+            <label htmlFor="images-page-size">Page size:</label>
+            <select
+              id="images-page-size"
+              value={pageSize}
+              onChange={(e) => setPageSize(e.target.value as PageSize)}
+              disabled={isBusy}
+            >
+              <option value="a4">A4</option>
+              <option value="letter">Letter</option>
+              <option value="fit">Same as the image</option>
+            </select>
+          </div>
+
+          {pageSize !== 'fit' && (
+            <div className="conversion-options">
+              <label htmlFor="images-orientation">Orientation:</label>
+              <select
+                id="images-orientation"
+                value={orientation}
+                onChange={(e) => setOrientation(e.target.value as Orientation)}
+                disabled={isBusy}
+              >
+                <option value="auto">Match each image</option>
+                <option value="portrait">Portrait</option>
+                <option value="landscape">Landscape</option>
+              </select>
+            </div>
+          )}
+
+          <div className="conversion-options">
+            <label htmlFor="images-margin">Margin:</label>
+            <select
+              id="images-margin"
+              value={margin}
+              onChange={(e) => setMargin(Number(e.target.value))}
+              disabled={isBusy}
+            >
+              {margins.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={autoRotate}
+                onChange={(e) => setAutoRotate(e.target.checked)}
+                disabled={isBusy}
+              />
+              Rotate photos the way the camera held them
+            </label>
+          </div>
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleCreate}>
+              Create PDF
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Creating PDF... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                Your PDF with {images.length} page(s) is ready.
+              </p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Start Over
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleCreate}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImagesToPdf;
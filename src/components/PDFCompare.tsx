@@ -0,0 +1,233 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { CompareMode, ComparisonStats } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const compareModes: { value: CompareMode; label: string }[] = [
+  { value: 'text', label: 'Text: words inserted, deleted and moved' },
+  { value: 'visual', label: 'Visual: differences in how the pages look (scans)' },
+];
+
+const PDFCompare: React.FC = () => {
+  const [original, setOriginal] = useState<UploadedFile | null>(null);
+  const [revised, setRevised] = useState<UploadedFile | null>(null);
+  const [mode, setMode] = useState<CompareMode>('text');
+  const [ignoreCase, setIgnoreCase] = useState(false);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [result, setResult] = useState<ComparisonStats | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setOriginal(null);
+    setRevised(null);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setResult(null);
+    setErrorMessage(null);
+  };
+
+  const handleCompare = async () => {
+    if (!original || !revised) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.comparePDFs(original.fileId, revised.fileId, { mode, ignoreCase });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Comparison failed. Please try again.');
+      }
+
+      setResult(finalStatus.comparison || null);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Comparison error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Comparison failed. Please try again.');
+    }
+  };
+
+  const renderUploader = (onUpload: (file: UploadedFile) => void) => (
+    <EnhancedFileUploader
+      onUploadComplete={(data) => {
+        if (data && data.fileId) {
+          onUpload({
+            fileId: data.fileId,
+            fileName: data.fileName || 'document.pdf',
+            fileSize: data.fileSize || 0,
+          });
+        }
+      }}
+      isPremiumUser={false}
+      maxSize={10}
+      acceptedFileTypes={['application/pdf']}
+      allowedFileExtensions={['.pdf']}
+    />
+  );
+
+  const isBusy = status === 'processing';
+  const summary = result?.summary;
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Compare PDF</h2>
+
+      {!original || !revised ? (
+        <div className="converter-section upload-section">
+          {original && (
+            <div className="file-info">
+              <div className="file-details">
+                <p className="file-name">Original: {original.fileName}</p>
+                <p className="file-size">{(original.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+              </div>
+              <button className="btn-remove" onClick={reset}>
+                &times;
+              </button>
+            </div>
+          )}
+          <p className="option-hint">
+            {original ? 'Now upload the revised version.' : 'Upload the original version first.'}
+          </p>
+          {original ? renderUploader(setRevised) : renderUploader(setOriginal)}
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">Original: {original.fileName}</p>
+              <p className="file-name">Revised: {revised.fileName}</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="compare-mode">Compare:</label>
+            <select
+              id="compare-mode"
+              value={mode}
+              onChange={(e) => setMode(e.target.value as CompareMode)}
+              disabled={isBusy}
+            >
+              {compareModes.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {mode === 'text' && (
+            <div className="conversion-options">
+              <label className="permission-option">
+                <input
+                  type="checkbox"
+                  checked={ignoreCase}
+                  onChange={(e) => setIgnoreCase(e.target.checked)}
+                  disabled={isBusy}
+                />
+                Ignore upper and lower case
+              </label>
+            </div>
+          )}
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleCompare}>
+              Compare PDFs
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Comparing... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                {summary && summary.identical
+                  ? 'No differences were found.'
+                  : 'Your comparison report is ready.'}
+                {summary && result?.mode === 'text' && !summary.identical &&
+                  ` ${summary.insertions} insertion(s), ${summary.deletions} deletion(s) and ${summary.moves} moved block(s).`}
+                {summary && result?.mode === 'visual' && !summary.identical &&
+                  ` ${summary.regions} changed area(s).`}
+              </p>
+
+              {result && result.pages.length > 0 && (
+                <ul className="split-manifest">
+                  {result.pages.map(page => (
+                    <li key={page.page}>
+                      <strong>Page {page.page}</strong>:{' '}
+                      {result.mode === 'visual'
+                        ? `${page.regions} area(s), ${page.changedPercent}% of the page`
+                        : `${page.insertions} insertion(s), ${page.deletions} deletion(s), ${page.moves} move(s)`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {summary && (summary.pagesOnlyInOriginal || summary.pagesOnlyInRevised) && (
+                <p className="option-hint">
+                  {summary.pagesOnlyInOriginal && `Pages ${summary.pagesOnlyInOriginal} are only in the original. `}
+                  {summary.pagesOnlyInRevised && `Pages ${summary.pagesOnlyInRevised} are only in the revised version.`}
+                </p>
+              )}
+
+              <p className="option-hint">
+                The ZIP holds the full report as JSON and a PDF with both versions side by side and the changes highlighted.
+              </p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download ZIP
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Compare Other PDFs
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleCompare}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFCompare;
@@ -0,0 +1,222 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { CompressionLevel, CompressionStats } from '../services/pdfService';
+import { DEFAULT_CONVERSION_OPTIONS } from '../config/config';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const formatSize = (bytes: number) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+const PDFCompressor: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [mode, setMode] = useState<'level' | 'target'>('level');
+  const [compressionLevel, setCompressionLevel] = useState<CompressionLevel>(
+    DEFAULT_CONVERSION_OPTIONS.pdf.compressionLevel as CompressionLevel
+  );
+  const [targetSizeMb, setTargetSizeMb] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [result, setResult] = useState<CompressionStats | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setTargetSizeMb('');
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setResult(null);
+    setErrorMessage(null);
+  };
+
+  const targetSizeBytes = Math.round(Number(targetSizeMb) * 1024 * 1024);
+  const isTargetValid = targetSizeBytes > 0;
+
+  const handleCompress = async () => {
+    if (!file || (mode === 'target' && !isTargetValid)) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.compressPDF(
+        file.fileId,
+        mode === 'target' ? { targetSizeBytes } : { compressionLevel }
+      );
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Compression failed. Please try again.');
+      }
+
+      setResult(finalStatus.compression || null);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Compression error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Compression failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Compress PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{formatSize(file.fileSize)}</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="compress-mode">Compress by:</label>
+            <select
+              id="compress-mode"
+              value={mode}
+              onChange={(e) => setMode(e.target.value as 'level' | 'target')}
+              disabled={isBusy}
+            >
+              <option value="level">Compression level</option>
+              <option value="target">Target file size</option>
+            </select>
+          </div>
+
+          {mode === 'level' ? (
+            <div className="conversion-options">
+              <label htmlFor="compress-level">Compression level:</label>
+              <select
+                id="compress-level"
+                value={compressionLevel}
+                onChange={(e) => setCompressionLevel(e.target.value as CompressionLevel)}
+                disabled={isBusy}
+              >
+                <option value="low">Low - best image quality</option>
+                <option value="medium">Medium - good quality, smaller file</option>
+                <option value="high">High - smallest file</option>
+              </select>
+            </div>
+          ) : (
+            <div className="conversion-options">
+              <label htmlFor="compress-target">Target size (MB):</label>
+              <input
+                id="compress-target"
+                type="number"
+                min="0.01"
+                step="0.1"
+                placeholder="e.g. 2"
+                value={targetSizeMb}
+                onChange={(e) => setTargetSizeMb(e.target.value)}
+                disabled={isBusy}
+              />
+              <p className="option-hint">
+                Images are compressed harder until the file fits. Text and vector graphics cannot shrink below a
+                certain size, so very small targets may not be reached.
+              </p>
+            </div>
+          )}
+
+          {status === 'idle' && (
+            <button
+              className="btn-convert"
+              onClick={handleCompress}
+              disabled={mode === 'target' && !isTargetValid}
+            >
+              Compress PDF
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Compressing... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                Your compressed PDF is ready.
+                {result && ` ${formatSize(result.originalSize)} → ${formatSize(result.resultSize)}`
+                  + ` (${result.compressionRatio}% smaller).`}
+              </p>
+
+              {result && result.targetSizeBytes != null && (
+                <p className="option-hint">
+                  {result.targetMet
+                    ? `The file fits the target of ${formatSize(result.targetSizeBytes)}.`
+                    : `The target of ${formatSize(result.targetSizeBytes)} could not be reached; this is the smallest`
+                      + ' file the strongest settings produced.'}
+                </p>
+              )}
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Compress Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleCompress}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFCompressor;
@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import EnhancedFileUploader from './EnhancedFileUploader';
 import './PDFConverter.css';
+import './PDFTools.css';
 import * as pdfService from '../services/pdfService';
 import { DEFAULT_CONVERSION_OPTIONS } from '../config/config';
+import { isSupportedConversion } from '../config/conversionMatrix';
 
-export type ConversionFormat = 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'txt';
+export type ConversionFormat = 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'txt' | 'html' | 'md';
 
 interface PDFConverterProps {
   defaultFormat?: ConversionFormat;
@@ -24,6 +27,11 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
   const [isPremium, setIsPremium] = useState(false);
   // Track checkout URL for payment redirection
   const [checkoutUrl, setCheckoutUrl] = useState<string | null>(null);
+  // Encrypted PDFs must be unlocked before they can be converted
+  const [isEncrypted, setIsEncrypted] = useState(false);
+  // Recognize scanned pages when converting to an editable text format
+  const [useOcr, setUseOcr] = useState(false);
+  const supportsOcr = targetFormat === 'docx' || targetFormat === 'txt';
 
   const handleFileSelected = (file: File) => {
     setSelectedFile(file);
@@ -33,6 +41,7 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
     setErrorMessage(null);
     setFileId(null);
     setOperationId(null);
+    setIsEncrypted(false);
   };
 
   // Check for payment return from Stripe
@@ -333,6 +342,14 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
         console.log('Upload successful:', uploadResponse);
         setFileId(uploadResponse.fileId);
         setProgress(40);
+        
+        if (uploadResponse.encrypted) {
+          // Ask for the password first instead of failing the conversion
+          setIsEncrypted(true);
+          setConversionStatus('idle');
+          setProgress(0);
+          return;
+        }
       } catch (error: any) {
         console.error('Upload error after all attempts:', error);
         setConversionStatus('error');
@@ -367,7 +384,9 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
         }
         
         // Get default options for the selected format
-        const options = DEFAULT_CONVERSION_OPTIONS[targetFormat];
+        const options = supportsOcr && useOcr
+          ? { ...DEFAULT_CONVERSION_OPTIONS[targetFormat], ocr: true, ocrLanguage: 'eng' }
+          : DEFAULT_CONVERSION_OPTIONS[targetFormat];
         
         // Extra check and debug for fileId
         if (!fileId) {
@@ -468,13 +487,16 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
   };
 
   // Formats with their display names and icons (simplified for demo)
-  const formats: { value: ConversionFormat; label: string }[] = [
+  const allFormats: { value: ConversionFormat; label: string }[] = [
     { value: 'docx', label: 'Word Document (.docx)' },
     { value: 'xlsx', label: 'Excel Spreadsheet (.xlsx)' },
     { value: 'pptx', label: 'PowerPoint (.pptx)' },
     { value: 'jpg', label: 'Image (.jpg)' },
     { value: 'txt', label: 'Text (.txt)' },
+    { value: 'html', label: 'HTML (.zip)' },
+    { value: 'md', label: 'Markdown (.zip)' },
   ];
+  const formats = allFormats.filter(format => isSupportedConversion('pdf', format.value));
 
   return (
     <div className="pdf-converter-container">
@@ -507,6 +529,7 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
                 
                 // Also update selectedFile for UI
                 handleFileSelected(mockFile);
+                setIsEncrypted(!!data.encrypted);
               }
             }}
             isPremiumUser={false}
@@ -553,7 +576,32 @@ const PDFConverter: React.FC<PDFConverterProps> = ({ defaultFormat = 'docx' }) =
             </select>
           </div>
 
-          {conversionStatus === 'idle' && (
+          {supportsOcr && (
+            <div className="conversion-options">
+              <label className="permission-option">
+                <input
+                  type="checkbox"
+                  checked={useOcr}
+                  onChange={(e) => setUseOcr(e.target.checked)}
+                  disabled={conversionStatus === 'processing' || conversionStatus === 'uploading'}
+                />
+                Recognize text on scanned pages (OCR)
+              </label>
+            </div>
+          )}
+
+          {isEncrypted && (
+            <div className="conversion-error">
+              <p className="error-message">
+                This PDF is password protected. Unlock it with its password before converting it.
+              </p>
+              <Link to="/tools/unlock-pdf" className="btn-retry">
+                Unlock PDF
+              </Link>
+            </div>
+          )}
+
+          {conversionStatus === 'idle' && !isEncrypted && (
             <button 
               className="btn-convert"
               onClick={handleConvert}
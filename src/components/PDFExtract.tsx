@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { ExtractionStats } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const PDFExtract: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [images, setImages] = useState(true);
+  const [attachments, setAttachments] = useState(true);
+  const [pages, setPages] = useState('');
+  const [minSize, setMinSize] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [result, setResult] = useState<ExtractionStats | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setResult(null);
+    setErrorMessage(null);
+  };
+
+  const handleExtract = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.extractPDFResources(file.fileId, {
+        images,
+        attachments,
+        pages: pages || undefined,
+        minSize: minSize ? Number(minSize) : undefined,
+      });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Extraction failed. Please try again.');
+      }
+
+      setResult(finalStatus.extraction || null);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Extraction error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Extraction failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Extract Images and Attachments</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'document.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={images}
+                onChange={(e) => setImages(e.target.checked)}
+                disabled={isBusy}
+              />
+              Images
+            </label>
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={attachments}
+                onChange={(e) => setAttachments(e.target.checked)}
+                disabled={isBusy}
+              />
+              File attachments
+            </label>
+          </div>
+
+          {images && (
+            <>
+              <div className="conversion-options">
+                <label htmlFor="extract-pages">Pages to take images from (leave empty for all pages):</label>
+                <input
+                  id="extract-pages"
+                  type="text"
+                  placeholder="e.g. 1-3,5"
+                  value={pages}
+                  onChange={(e) => setPages(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="extract-min-size">Skip images smaller than (pixels):</label>
+                <input
+                  id="extract-min-size"
+                  type="number"
+                  min={1}
+                  placeholder="e.g. 32"
+                  value={minSize}
+                  onChange={(e) => setMinSize(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+            </>
+          )}
+
+          <p className="option-hint">
+            JPEG images are extracted exactly as stored; other images are saved as PNG at their original size.
+          </p>
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleExtract} disabled={!images && !attachments}>
+              Extract
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Extracting... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                Your files are ready.
+                {result && ` Extracted ${result.images} image(s) and ${result.attachments} attachment(s).`}
+              </p>
+
+              {result && result.skippedImages + result.skippedAttachments > 0 && (
+                <p className="option-hint">
+                  {result.skippedImages > 0 && `${result.skippedImages} image(s) could not be decoded. `}
+                  {result.skippedAttachments > 0 && `${result.skippedAttachments} attachment(s) are links to files outside the PDF. `}
+                  See manifest.json in the ZIP for details.
+                </p>
+              )}
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download ZIP
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Extract From Another PDF
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleExtract}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFExtract;
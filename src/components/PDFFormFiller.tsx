@@ -0,0 +1,358 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { FormField, FormValues } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const fillableTypes = ['text', 'checkbox', 'radio', 'dropdown', 'optionlist'];
+
+const PDFFormFiller: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [fields, setFields] = useState<FormField[]>([]);
+  const [hasXfa, setHasXfa] = useState(false);
+  const [values, setValues] = useState<FormValues>({});
+  const [mode, setMode] = useState<'single' | 'batch'>('single');
+  const [csv, setCsv] = useState('');
+  const [csvName, setCsvName] = useState('');
+  const [fileNameField, setFileNameField] = useState('');
+  const [flatten, setFlatten] = useState(false);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setFields([]);
+    setHasXfa(false);
+    setValues({});
+    setCsv('');
+    setCsvName('');
+    setFileNameField('');
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const loadFields = async (uploaded: UploadedFile) => {
+    try {
+      setErrorMessage(null);
+      const result = await pdfService.getPdfFormFields(uploaded.fileId);
+      setFields(result.fields);
+      setHasXfa(result.xfa);
+    } catch (error: any) {
+      console.error('Form fields error:', error.message);
+      setErrorMessage(error.response?.data?.error || error.message || 'The form fields could not be read.');
+    }
+  };
+
+  const fillable = fields.filter(field => fillableTypes.includes(field.type) && !field.readOnly);
+  // The first line of the CSV names its columns
+  const csvColumns = csv ? csv.split(/\r?\n/, 1)[0].split(/[;,]/).map(name => name.replace(/"/g, '').trim()) : [];
+
+  const handleFill = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.fillFormPDF(
+        file.fileId,
+        mode === 'single'
+          ? { values, flatten }
+          : { csv, flatten, fileNameField: fileNameField || undefined }
+      );
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Filling the form failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Form fill error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Filling the form failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  const renderInput = (field: FormField) => {
+    const id = `form-field-${field.name}`;
+    const value = field.name in values ? values[field.name] : field.value;
+    const setValue = (next: FormValues[string]) => setValues({ ...values, [field.name]: next });
+
+    if (field.type === 'checkbox') {
+      return (
+        <label className="permission-option">
+          <input
+            id={id}
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => setValue(e.target.checked)}
+            disabled={isBusy}
+          />
+          {field.name}
+        </label>
+      );
+    }
+
+    if (field.type === 'text') {
+      return (
+        <>
+          <label htmlFor={id}>{field.name}{field.required ? ' *' : ''}:</label>
+          {field.multiline ? (
+            <textarea
+              id={id}
+              maxLength={field.maxLength || undefined}
+              value={String(value || '')}
+              onChange={(e) => setValue(e.target.value)}
+              disabled={isBusy}
+            />
+          ) : (
+            <input
+              id={id}
+              type="text"
+              maxLength={field.maxLength || undefined}
+              value={String(value || '')}
+              onChange={(e) => setValue(e.target.value)}
+              disabled={isBusy}
+            />
+          )}
+        </>
+      );
+    }
+
+    if (field.multiSelect) {
+      return (
+        <>
+          <label htmlFor={id}>{field.name}{field.required ? ' *' : ''}:</label>
+          <select
+            id={id}
+            multiple
+            value={Array.isArray(value) ? value : []}
+            onChange={(e) => setValue(Array.from(e.target.selectedOptions, option => option.value))}
+            disabled={isBusy}
+          >
+            {(field.options || []).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <label htmlFor={id}>{field.name}{field.required ? ' *' : ''}:</label>
+        <select
+          id={id}
+          value={typeof value === 'string' ? value : ''}
+          onChange={(e) => setValue(e.target.value || null)}
+          disabled={isBusy}
+        >
+          <option value="">–</option>
+          {(field.options || []).map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </>
+    );
+  };
+
+  const canFill = mode === 'single' ? Object.keys(values).length > 0 : csv.trim() !== '';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Fill PDF Form</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                const uploaded = {
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'form.pdf',
+                  fileSize: data.fileSize || 0,
+                };
+                setFile(uploaded);
+                loadFields(uploaded);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">
+                {fields.length} field(s), {(file.fileSize / (1024 * 1024)).toFixed(2)} MB
+              </p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          {hasXfa && (
+            <p className="option-hint">
+              This form also contains an XFA version, which is removed so that viewers show the filled fields.
+            </p>
+          )}
+
+          {fillable.length > 0 && (
+            <>
+              <div className="conversion-options">
+                <label htmlFor="form-fill-mode">Fill:</label>
+                <select
+                  id="form-fill-mode"
+                  value={mode}
+                  onChange={(e) => setMode(e.target.value as 'single' | 'batch')}
+                  disabled={isBusy}
+                >
+                  <option value="single">This form once</option>
+                  <option value="batch">One copy per CSV row (ZIP)</option>
+                </select>
+              </div>
+
+              {mode === 'single' ? (
+                fillable.map(field => (
+                  <div className="conversion-options" key={field.name}>
+                    {renderInput(field)}
+                  </div>
+                ))
+              ) : (
+                <>
+                  <p className="option-hint">
+                    Name the CSV columns after the fields: {fillable.map(field => field.name).join(', ')}.
+                  </p>
+
+                  <div className="conversion-options">
+                    <label htmlFor="form-fill-csv">CSV file{csvName ? ` (${csvName})` : ''}:</label>
+                    <input
+                      id="form-fill-csv"
+                      type="file"
+                      accept=".csv,text/csv"
+                      onChange={async (e) => {
+                        const csvFile = e.target.files && e.target.files[0];
+                        if (csvFile) {
+                          setCsv(await csvFile.text());
+                          setCsvName(csvFile.name);
+                          setFileNameField('');
+                        }
+                      }}
+                      disabled={isBusy}
+                    />
+                  </div>
+
+                  {csvColumns.length > 0 && (
+                    <div className="conversion-options">
+                      <label htmlFor="form-fill-name-column">Name the files after:</label>
+                      <select
+                        id="form-fill-name-column"
+                        value={fileNameField}
+                        onChange={(e) => setFileNameField(e.target.value)}
+                        disabled={isBusy}
+                      >
+                        <option value="">Row number</option>
+                        {csvColumns.map(column => (
+                          <option key={column} value={column}>{column}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div className="conversion-options">
+                <label className="permission-option">
+                  <input
+                    type="checkbox"
+                    checked={flatten}
+                    onChange={(e) => setFlatten(e.target.checked)}
+                    disabled={isBusy}
+                  />
+                  Flatten: make the filled values part of the page so they cannot be edited
+                </label>
+              </div>
+            </>
+          )}
+
+          {fields.length > 0 && fillable.length === 0 && (
+            <p className="option-hint">This PDF has no fields that can be filled.</p>
+          )}
+
+          {status === 'idle' && fillable.length > 0 && (
+            <button className="btn-convert" onClick={handleFill} disabled={!canFill}>
+              Fill Form
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Filling the form... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                {mode === 'batch' ? 'Your filled forms are ready as a ZIP.' : 'Your filled PDF is ready.'}
+              </p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                {mode === 'batch' ? 'Download ZIP' : 'Download PDF'}
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Fill Another Form
+              </button>
+            </div>
+          )}
+
+          {errorMessage && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              {status === 'error' && (
+                <button className="btn-retry" onClick={handleFill}>
+                  Try Again
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFFormFiller;
@@ -0,0 +1,379 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { HeaderFooterPosition, ResultManifestEntry, WatermarkFont } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+}
+
+const slots: { value: HeaderFooterPosition; label: string }[] = [
+  { value: 'header-left', label: 'Header left' },
+  { value: 'header-center', label: 'Header center' },
+  { value: 'header-right', label: 'Header right' },
+  { value: 'footer-left', label: 'Footer left' },
+  { value: 'footer-center', label: 'Footer center' },
+  { value: 'footer-right', label: 'Footer right' },
+];
+
+const PDFHeaderFooter: React.FC = () => {
+  const [files, setFiles] = useState<UploadedFile[]>([]);
+  const [texts, setTexts] = useState<Partial<Record<HeaderFooterPosition, string>>>({
+    'footer-center': 'Page {page} of {pages}',
+  });
+  const [useBates, setUseBates] = useState(false);
+  const [batesPrefix, setBatesPrefix] = useState('');
+  const [batesSuffix, setBatesSuffix] = useState('');
+  const [batesDigits, setBatesDigits] = useState(6);
+  const [batesStart, setBatesStart] = useState(1);
+  const [batesPosition, setBatesPosition] = useState<HeaderFooterPosition>('footer-right');
+  const [font, setFont] = useState<WatermarkFont>('helvetica');
+  const [fontSize, setFontSize] = useState(10);
+  const [pages, setPages] = useState('');
+  const [startNumber, setStartNumber] = useState(1);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [manifest, setManifest] = useState<ResultManifestEntry[]>([]);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFiles([]);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setManifest([]);
+    setErrorMessage(null);
+  };
+
+  const moveFile = (index: number, offset: number) => {
+    const reordered = [...files];
+    const [file] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, file);
+    setFiles(reordered);
+  };
+
+  const blocks = slots
+    .filter(slot => (texts[slot.value] || '').trim() && !(useBates && slot.value === batesPosition))
+    .map(slot => ({ position: slot.value, text: (texts[slot.value] || '').trim() }));
+
+  const handleApply = async () => {
+    if (files.length === 0) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.addHeaderFooter(
+        files.map(file => ({ fileId: file.fileId, name: file.fileName })),
+        {
+          blocks,
+          bates: useBates
+            ? { prefix: batesPrefix, suffix: batesSuffix, digits: batesDigits, start: batesStart, position: batesPosition }
+            : undefined,
+          font,
+          fontSize,
+          pages: pages.trim() || undefined,
+          startNumber,
+        }
+      );
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Adding headers and footers failed. Please try again.');
+      }
+
+      setManifest(finalStatus.manifest || []);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Header/footer error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Adding headers and footers failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Headers, Footers &amp; Bates Numbers</h2>
+
+      {files.length > 0 && (
+        <div className="converter-section conversion-section">
+          <ol className="ordered-file-list">
+            {files.map((file, index) => (
+              <li key={file.fileId}>
+                <span>{index + 1}.</span>
+                <span className="file-name">{file.fileName}</span>
+                <button onClick={() => moveFile(index, -1)} disabled={isBusy || index === 0} aria-label="Move up">
+                  &uarr;
+                </button>
+                <button
+                  onClick={() => moveFile(index, 1)}
+                  disabled={isBusy || index === files.length - 1}
+                  aria-label="Move down"
+                >
+                  &darr;
+                </button>
+                <button
+                  onClick={() => setFiles(files.filter((_, i) => i !== index))}
+                  disabled={isBusy}
+                  aria-label="Remove"
+                >
+                  &times;
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {status === 'idle' && (
+        <div className="converter-section upload-section">
+          {/* Remounted after every upload so the next file can be added */}
+          <EnhancedFileUploader
+            key={files.length}
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFiles(current => [
+                  ...current,
+                  { fileId: data.fileId, fileName: data.fileName || `document-${current.length + 1}.pdf` },
+                ]);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      )}
+
+      {files.length > 0 && (
+        <div className="converter-section conversion-section">
+          <p className="option-hint">
+            Use {'{page}'}, {'{pages}'}, {'{date}'} and {'{filename}'} in the text.
+          </p>
+
+          {slots.map(slot => (
+            <div className="conversion-options" key={slot.value}>
+              <label htmlFor={`header-footer-${slot.value}`}>{slot.label}:</label>
+              <input
+                id={`header-footer-${slot.value}`}
+                type="text"
+                maxLength={300}
+                value={useBates && slot.value === batesPosition ? 'Bates number' : texts[slot.value] || ''}
+                onChange={(e) => setTexts({ ...texts, [slot.value]: e.target.value })}
+                disabled={isBusy || (useBates && slot.value === batesPosition)}
+              />
+            </div>
+          ))}
+
+          <div className="conversion-options">
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={useBates}
+                onChange={(e) => setUseBates(e.target.checked)}
+                disabled={isBusy}
+              />
+              Add Bates numbers, continuing from file to file
+            </label>
+          </div>
+
+          {useBates && (
+            <>
+              <div className="conversion-options">
+                <label htmlFor="bates-prefix">Prefix:</label>
+                <input
+                  id="bates-prefix"
+                  type="text"
+                  maxLength={50}
+                  value={batesPrefix}
+                  onChange={(e) => setBatesPrefix(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="bates-start">First number:</label>
+                <input
+                  id="bates-start"
+                  type="number"
+                  min={0}
+                  value={batesStart}
+                  onChange={(e) => setBatesStart(Number(e.target.value))}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="bates-digits">Digits:</label>
+                <input
+                  id="bates-digits"
+                  type="number"
+                  min={1}
+                  max={12}
+                  value={batesDigits}
+                  onChange={(e) => setBatesDigits(Number(e.target.value))}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="bates-suffix">Suffix:</label>
+                <input
+                  id="bates-suffix"
+                  type="text"
+                  maxLength={50}
+                  value={batesSuffix}
+                  onChange={(e) => setBatesSuffix(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="bates-position">Bates position:</label>
+                <select
+                  id="bates-position"
+                  value={batesPosition}
+                  onChange={(e) => setBatesPosition(e.target.value as HeaderFooterPosition)}
+                  disabled={isBusy}
+                >
+                  {slots.map(slot => (
+                    <option key={slot.value} value={slot.value}>{slot.label}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          <div className="conversion-options">
+            <label htmlFor="header-footer-font">Font:</label>
+            <select
+              id="header-footer-font"
+              value={font}
+              onChange={(e) => setFont(e.target.value as WatermarkFont)}
+              disabled={isBusy}
+            >
+              <option value="helvetica">Helvetica</option>
+              <option value="times">Times</option>
+              <option value="courier">Courier</option>
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="header-footer-size">Font size (points):</label>
+            <input
+              id="header-footer-size"
+              type="number"
+              min={4}
+              max={72}
+              value={fontSize}
+              onChange={(e) => setFontSize(Number(e.target.value))}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="header-footer-pages">Pages (leave empty for all pages):</label>
+            <input
+              id="header-footer-pages"
+              type="text"
+              placeholder="e.g. 2-"
+              value={pages}
+              onChange={(e) => setPages(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="header-footer-start">Number of the first page:</label>
+            <input
+              id="header-footer-start"
+              type="number"
+              min={0}
+              value={startNumber}
+              onChange={(e) => setStartNumber(Number(e.target.value))}
+              disabled={isBusy}
+            />
+          </div>
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleApply} disabled={blocks.length === 0 && !useBates}>
+              Apply
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Stamping pages... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                {files.length > 1 ? `Your ${files.length} files are ready as a ZIP.` : 'Your PDF is ready.'}
+              </p>
+
+              {useBates && manifest.length > 0 && (
+                <table className="split-manifest">
+                  <thead>
+                    <tr>
+                      <th>File</th>
+                      <th>Bates numbers</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {manifest.map(entry => (
+                      <tr key={entry.name}>
+                        <td>{entry.name}</td>
+                        <td>{entry.firstBates ? `${entry.firstBates} – ${entry.lastBates}` : '–'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                {files.length > 1 ? 'Download ZIP' : 'Download PDF'}
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Start Over
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleApply}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFHeaderFooter;
@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { MergeOptions } from '../services/pdfService';
+
+interface MergeFile {
+  fileId: string;
+  fileName: string;
+  pages: string; // empty for all pages
+}
+
+type BookmarkMode = NonNullable<MergeOptions['bookmarks']>;
+
+const PDFMerger: React.FC = () => {
+  const [files, setFiles] = useState<MergeFile[]>([]);
+  const [bookmarks, setBookmarks] = useState<BookmarkMode>('preserve');
+  const [title, setTitle] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFiles([]);
+    setTitle('');
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const moveFile = (index: number, offset: number) => {
+    const reordered = [...files];
+    const [file] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, file);
+    setFiles(reordered);
+  };
+
+  const removeFile = (index: number) => {
+    setFiles(files.filter((_, i) => i !== index));
+  };
+
+  const setPages = (index: number, pages: string) => {
+    setFiles(files.map((file, i) => (i === index ? { ...file, pages } : file)));
+  };
+
+  const handleMerge = async () => {
+    if (files.length < 2) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.mergePDFs(
+        files.map(file => ({
+          fileId: file.fileId,
+          pages: file.pages.trim() || undefined,
+          // Bookmark title of the file
+          title: file.fileName.replace(/\.pdf$/i, ''),
+        })),
+        { bookmarks, title: title || undefined }
+      );
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Merging failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Merge error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Merging failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Merge PDF</h2>
+
+      {files.length > 0 && (
+        <div className="converter-section conversion-section">
+          <ol className="ordered-file-list">
+            {files.map((file, index) => (
+              <li key={file.fileId}>
+                <span>{index + 1}.</span>
+                <span className="file-name">{file.fileName}</span>
+                <input
+                  type="text"
+                  aria-label={`Pages of ${file.fileName}`}
+                  placeholder="All pages"
+                  value={file.pages}
+                  onChange={(e) => setPages(index, e.target.value)}
+                  disabled={isBusy}
+                />
+                <button onClick={() => moveFile(index, -1)} disabled={isBusy || index === 0} aria-label="Move up">
+                  &uarr;
+                </button>
+                <button
+                  onClick={() => moveFile(index, 1)}
+                  disabled={isBusy || index === files.length - 1}
+                  aria-label="Move down"
+                >
+                  &darr;
+                </button>
+                <button onClick={() => removeFile(index)} disabled={isBusy} aria-label="Remove">
+                  &times;
+                </button>
+              </li>
+            ))}
+          </ol>
+
+          <p className="option-hint">
+            Pages are given per file as ranges, e.g. 1-3,5,8- (from page 8 to the end).
+          </p>
+        </div>
+      )}
+
+      {status === 'idle' && (
+        <div className="converter-section upload-section">
+          {/* Remounted after every upload so the next PDF can be added */}
+          <EnhancedFileUploader
+            key={files.length}
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFiles(current => [
+                  ...current,
+                  { fileId: data.fileId, fileName: data.fileName || `Document ${current.length + 1}.pdf`, pages: '' },
+                ]);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      )}
+
+      {files.length > 0 && (
+        <div className="converter-section conversion-section">
+          <div className="conversion-options">
+            <label htmlFor="merge-bookmarks">Bookmarks:</label>
+            <select
+              id="merge-bookmarks"
+              value={bookmarks}
+              onChange={(e) => setBookmarks(e.target.value as BookmarkMode)}
+              disabled={isBusy}
+            >
+              <option value="preserve">One bookmark per file, with its own bookmarks below</option>
+              <option value="files">One bookmark per file only</option>
+              <option value="none">No bookmarks</option>
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="merge-title">Document title (optional):</label>
+            <input
+              id="merge-title"
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          {files.length < 2 && (
+            <p className="option-hint">Add at least one more PDF to merge.</p>
+          )}
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleMerge} disabled={files.length < 2}>
+              Merge PDFs
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Merging... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                Your merged PDF of {files.length} files is ready.
+              </p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Merge Other PDFs
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleMerge}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFMerger;
@@ -0,0 +1,247 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { MetadataField, PdfMetadataResponse } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const textFields: { value: MetadataField; label: string; infoKey: string }[] = [
+  { value: 'title', label: 'Title', infoKey: 'Title' },
+  { value: 'author', label: 'Author', infoKey: 'Author' },
+  { value: 'subject', label: 'Subject', infoKey: 'Subject' },
+  { value: 'keywords', label: 'Keywords', infoKey: 'Keywords' },
+  { value: 'creator', label: 'Creator (application)', infoKey: 'Creator' },
+  { value: 'producer', label: 'Producer', infoKey: 'Producer' },
+];
+
+const PDFMetadata: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [metadata, setMetadata] = useState<PdfMetadataResponse | null>(null);
+  const [values, setValues] = useState<Partial<Record<MetadataField, string>>>({});
+  const [sanitize, setSanitize] = useState(false);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setMetadata(null);
+    setValues({});
+    setSanitize(false);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const loadMetadata = async (uploaded: UploadedFile) => {
+    try {
+      setErrorMessage(null);
+      const result = await pdfService.getPdfMetadata(uploaded.fileId);
+      setMetadata(result);
+      setValues(Object.fromEntries(
+        textFields.map(field => [field.value, result.info[field.infoKey] || ''])
+      ));
+    } catch (error: any) {
+      console.error('Metadata error:', error.message);
+      setErrorMessage(error.response?.data?.error || error.message || 'The metadata could not be read.');
+    }
+  };
+
+  // Only the fields the user changed are sent; an emptied field is removed
+  const changedFields = metadata
+    ? Object.fromEntries(
+      textFields
+        .filter(field => (values[field.value] || '').trim() !== (metadata.info[field.infoKey] || '').trim())
+        .map(field => [field.value, (values[field.value] || '').trim() || null])
+    )
+    : {};
+
+  const handleSave = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.editMetadataPDF(file.fileId, {
+        preset: sanitize ? 'sanitize' : undefined,
+        fields: changedFields,
+      });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Saving the metadata failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Metadata error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Saving the metadata failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">PDF Metadata</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                const uploaded = {
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                };
+                setFile(uploaded);
+                loadMetadata(uploaded);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">
+                {metadata
+                  ? `PDF ${metadata.version || '?'}, ${metadata.pageCount} page(s), `
+                  : ''}
+                {(file.fileSize / (1024 * 1024)).toFixed(2)} MB
+              </p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          {metadata && (
+            <>
+              <table className="split-manifest">
+                <thead>
+                  <tr>
+                    <th>Pages</th>
+                    <th>Size (points)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {metadata.pageSizes.map(size => (
+                    <tr key={size.pages}>
+                      <td>{size.pages}</td>
+                      <td>{size.width} &times; {size.height}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <p className="option-hint">
+                Created {metadata.info.CreationDate ? new Date(metadata.info.CreationDate).toLocaleString() : 'at an unknown date'}
+                {metadata.info.ModDate ? `, modified ${new Date(metadata.info.ModDate).toLocaleString()}` : ''}.
+                {metadata.xmp ? ' The file also has an XMP metadata packet.' : ''}
+              </p>
+
+              {textFields.map(field => (
+                <div className="conversion-options" key={field.value}>
+                  <label htmlFor={`metadata-${field.value}`}>{field.label}:</label>
+                  <input
+                    id={`metadata-${field.value}`}
+                    type="text"
+                    maxLength={2000}
+                    value={values[field.value] || ''}
+                    onChange={(e) => setValues({ ...values, [field.value]: e.target.value })}
+                    disabled={isBusy || (sanitize && ['author', 'creator', 'producer'].includes(field.value))}
+                  />
+                </div>
+              ))}
+
+              <div className="conversion-options">
+                <label className="permission-option">
+                  <input
+                    type="checkbox"
+                    checked={sanitize}
+                    onChange={(e) => setSanitize(e.target.checked)}
+                    disabled={isBusy}
+                  />
+                  Sanitize: remove the author, applications, dates, XMP and private data
+                </label>
+              </div>
+            </>
+          )}
+
+          {status === 'idle' && (
+            <button
+              className="btn-convert"
+              onClick={handleSave}
+              disabled={!metadata || (!sanitize && Object.keys(changedFields).length === 0)}
+            >
+              Save Metadata
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Saving metadata... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your PDF is ready.</p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Edit Another File
+              </button>
+            </div>
+          )}
+
+          {errorMessage && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              {status === 'error' && (
+                <button className="btn-retry" onClick={handleSave}>
+                  Try Again
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFMetadata;
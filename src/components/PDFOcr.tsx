@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { OcrStats } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const PDFOcr: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [pages, setPages] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [result, setResult] = useState<OcrStats | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setPages('');
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setResult(null);
+    setErrorMessage(null);
+  };
+
+  const handleOcr = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.ocrPDF(file.fileId, {
+        language: 'eng',
+        pages: pages.trim() || undefined,
+      });
+      setOperationId(response.operationId);
+
+      // Recognition takes a few seconds per page, so wait longer than for conversions
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress),
+        2000,
+        300
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Text recognition failed. Please try again.');
+      }
+
+      setResult(finalStatus.ocr || null);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('OCR error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Text recognition failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">OCR PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="ocr-language">Document language:</label>
+            <select id="ocr-language" value="eng" disabled>
+              <option value="eng">English</option>
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="ocr-pages">Pages (leave empty for all pages):</label>
+            <input
+              id="ocr-pages"
+              type="text"
+              placeholder="e.g. 1-3,5"
+              value={pages}
+              onChange={(e) => setPages(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleOcr}>
+              Recognize Text
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Recognizing text... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              {result && result.recognizedPages.length === 0 ? (
+                <p className="success-message">
+                  Every page already has selectable text, so nothing needed to be recognized.
+                </p>
+              ) : (
+                <p className="success-message">
+                  Your PDF is now searchable.
+                  {result && ` Recognized ${result.wordCount} words on ${result.recognizedPages.length} page(s).`}
+                </p>
+              )}
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download Searchable PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Recognize Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleOcr}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFOcr;
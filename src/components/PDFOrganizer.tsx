@@ -0,0 +1,260 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { PagePlanEntry } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+  pageCount: number;
+}
+
+// A row of the page list; key stays the same while rows move around
+interface PlanRow {
+  key: number;
+  label: string;
+  entry: PagePlanEntry;
+}
+
+let nextRowKey = 0;
+
+const pageRows = (file: UploadedFile, fileId?: string): PlanRow[] =>
+  Array.from({ length: file.pageCount }, (_, index) => ({
+    key: nextRowKey++,
+    label: fileId ? `${file.fileName}, page ${index + 1}` : `Page ${index + 1}`,
+    entry: { page: index + 1, fileId, rotation: 0 },
+  }));
+
+const PDFOrganizer: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [rows, setRows] = useState<PlanRow[]>([]);
+  const [insertCount, setInsertCount] = useState(0);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setRows([]);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const moveRow = (index: number, offset: number) => {
+    const reordered = [...rows];
+    const [row] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, row);
+    setRows(reordered);
+  };
+
+  const rotateRow = (index: number, degrees: number) => {
+    setRows(rows.map((row, i) => (
+      i === index
+        ? { ...row, entry: { ...row.entry, rotation: ((row.entry.rotation || 0) + degrees + 360) % 360 } }
+        : row
+    )));
+  };
+
+  const duplicateRow = (index: number) => {
+    const copy = { ...rows[index], key: nextRowKey++ };
+    setRows([...rows.slice(0, index + 1), copy, ...rows.slice(index + 1)]);
+  };
+
+  const removeRow = (index: number) => {
+    setRows(rows.filter((_, i) => i !== index));
+  };
+
+  const addBlankPage = () => {
+    setRows([...rows, { key: nextRowKey++, label: 'Blank page', entry: { blank: true, rotation: 0 } }]);
+  };
+
+  const handleOrganize = async () => {
+    if (!file || rows.length === 0) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.organizePDF(file.fileId, rows.map(row => row.entry));
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Organizing the pages failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Organize error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Organizing the pages failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+  const hasDocumentPage = rows.some(row => !('blank' in row.entry));
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Organize PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                const uploaded = {
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                  pageCount: data.pageCount || 1,
+                };
+                setFile(uploaded);
+                setRows(pageRows(uploaded));
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">
+                {file.pageCount} page(s), {(file.fileSize / (1024 * 1024)).toFixed(2)} MB
+              </p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <ol className="ordered-file-list">
+            {rows.map((row, index) => (
+              <li key={row.key}>
+                <span>{index + 1}.</span>
+                <span className="file-name">
+                  {row.label}
+                  {row.entry.rotation ? ` (turned ${row.entry.rotation}°)` : ''}
+                </span>
+                <button onClick={() => rotateRow(index, -90)} disabled={isBusy} aria-label="Rotate left">
+                  &#8634;
+                </button>
+                <button onClick={() => rotateRow(index, 90)} disabled={isBusy} aria-label="Rotate right">
+                  &#8635;
+                </button>
+                <button onClick={() => moveRow(index, -1)} disabled={isBusy || index === 0} aria-label="Move up">
+                  &uarr;
+                </button>
+                <button
+                  onClick={() => moveRow(index, 1)}
+                  disabled={isBusy || index === rows.length - 1}
+                  aria-label="Move down"
+                >
+                  &darr;
+                </button>
+                <button onClick={() => duplicateRow(index)} disabled={isBusy} aria-label="Duplicate">
+                  +
+                </button>
+                <button onClick={() => removeRow(index)} disabled={isBusy} aria-label="Delete">
+                  &times;
+                </button>
+              </li>
+            ))}
+          </ol>
+
+          {status === 'idle' && (
+            <>
+              <div className="conversion-options">
+                <button className="btn-convert-another" onClick={addBlankPage}>
+                  Add Blank Page
+                </button>
+              </div>
+
+              <div className="conversion-options">
+                <label>Add the pages of another PDF:</label>
+                {/* Remounted after every upload so the next file can be added */}
+                <EnhancedFileUploader
+                  key={insertCount}
+                  onUploadComplete={(data) => {
+                    if (data && data.fileId) {
+                      const inserted = {
+                        fileId: data.fileId,
+                        fileName: data.fileName || 'inserted.pdf',
+                        fileSize: data.fileSize || 0,
+                        pageCount: data.pageCount || 1,
+                      };
+                      setRows(current => [...current, ...pageRows(inserted, inserted.fileId)]);
+                      setInsertCount(count => count + 1);
+                    }
+                  }}
+                  isPremiumUser={false}
+                  maxSize={10}
+                  acceptedFileTypes={['application/pdf']}
+                  allowedFileExtensions={['.pdf']}
+                />
+              </div>
+
+              <button className="btn-convert" onClick={handleOrganize} disabled={!hasDocumentPage}>
+                Save Pages
+              </button>
+            </>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Organizing pages... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your PDF with {rows.length} page(s) is ready.</p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Organize Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleOrganize}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFOrganizer;
@@ -0,0 +1,335 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { OutlineItem, OutlineStats } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+// The tree is edited as a list of rows, nested by their level
+interface BookmarkRow extends Omit<OutlineItem, 'children'> {
+  key: number;
+  level: number;
+}
+
+let nextRowKey = 1;
+
+const toRows = (items: OutlineItem[], level = 0): BookmarkRow[] =>
+  items.flatMap(({ children, ...item }) => [
+    { ...item, key: nextRowKey++, level },
+    ...toRows(children || [], level + 1),
+  ]);
+
+const toTree = (rows: BookmarkRow[]): OutlineItem[] => {
+  const roots: OutlineItem[] = [];
+  const stack: { level: number; item: OutlineItem }[] = [];
+  rows.forEach(({ key, level, ...row }) => {
+    const item: OutlineItem = { ...row, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    (stack.length > 0 ? stack[stack.length - 1].item.children! : roots).push(item);
+    stack.push({ level, item });
+  });
+  return roots;
+};
+
+const PDFOutline: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [pageCount, setPageCount] = useState(0);
+  const [rows, setRows] = useState<BookmarkRow[]>([]);
+  const [mode, setMode] = useState<'replace' | 'auto'>('replace');
+  const [maxLevels, setMaxLevels] = useState('3');
+  const [insertToc, setInsertToc] = useState(false);
+  const [tocTitle, setTocTitle] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [result, setResult] = useState<OutlineStats | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setPageCount(0);
+    setRows([]);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setResult(null);
+    setErrorMessage(null);
+  };
+
+  const loadOutline = async (uploaded: UploadedFile) => {
+    try {
+      setErrorMessage(null);
+      const outline = await pdfService.getPdfOutline(uploaded.fileId);
+      setPageCount(outline.pageCount);
+      setRows(toRows(outline.outline));
+      // Documents without bookmarks are most likely to want them detected
+      setMode(outline.bookmarkCount > 0 ? 'replace' : 'auto');
+    } catch (error: any) {
+      console.error('Outline error:', error.message);
+      setErrorMessage(error.response?.data?.error || error.message || 'The bookmarks could not be read.');
+    }
+  };
+
+  const updateRow = (index: number, changes: Partial<BookmarkRow>) =>
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+  // A row can be nested at most one level below the row above it
+  const indentRow = (index: number, step: number) => {
+    const level = rows[index].level + step;
+    if (level < 0 || index === 0 || level > rows[index - 1].level + 1) return;
+    updateRow(index, { level });
+  };
+
+  const removeRow = (index: number) => {
+    // Children move up a level with the row they belonged to
+    const removed = rows[index];
+    let end = index + 1;
+    while (end < rows.length && rows[end].level > removed.level) end++;
+    setRows([
+      ...rows.slice(0, index),
+      ...rows.slice(index + 1, end).map(row => ({ ...row, level: row.level - 1 })),
+      ...rows.slice(end),
+    ]);
+  };
+
+  const addRow = () =>
+    setRows([...rows, { key: nextRowKey++, level: 0, title: '', page: 1, open: false }]);
+
+  const handleUpdate = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.updatePDFOutline(file.fileId, {
+        mode,
+        outline: mode === 'replace' ? toTree(rows) : undefined,
+        maxLevels: mode === 'auto' ? Number(maxLevels) : undefined,
+        insertToc,
+        tocTitle: tocTitle || undefined,
+      });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Updating the bookmarks failed. Please try again.');
+      }
+
+      setResult(finalStatus.outline || null);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Outline update error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Updating the bookmarks failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+  const isValid = mode === 'auto' || rows.every(row => row.title.trim() !== '');
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Edit PDF Bookmarks</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                const uploaded = {
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'document.pdf',
+                  fileSize: data.fileSize || 0,
+                };
+                setFile(uploaded);
+                loadOutline(uploaded);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">
+                {pageCount} page(s), {(file.fileSize / (1024 * 1024)).toFixed(2)} MB
+              </p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="outline-mode">Bookmarks:</label>
+            <select
+              id="outline-mode"
+              value={mode}
+              onChange={(e) => setMode(e.target.value as 'replace' | 'auto')}
+              disabled={isBusy}
+            >
+              <option value="replace">Edit the list below</option>
+              <option value="auto">Create from the document's headings</option>
+            </select>
+          </div>
+
+          {mode === 'replace' ? (
+            <>
+              {rows.length === 0 && (
+                <p className="option-hint">This PDF has no bookmarks yet. Saving an empty list removes all bookmarks.</p>
+              )}
+
+              <ul className="ordered-file-list">
+                {rows.map((row, index) => (
+                  <li key={row.key} style={{ paddingLeft: `${row.level * 1.5}rem` }}>
+                    <input
+                      type="text"
+                      aria-label="Bookmark title"
+                      placeholder="Title"
+                      value={row.title}
+                      onChange={(e) => updateRow(index, { title: e.target.value })}
+                      disabled={isBusy}
+                    />
+                    <input
+                      type="number"
+                      aria-label="Page"
+                      min={1}
+                      max={pageCount || undefined}
+                      value={row.page ?? ''}
+                      onChange={(e) => updateRow(index, { page: e.target.value ? Number(e.target.value) : null })}
+                      disabled={isBusy}
+                    />
+                    <button onClick={() => indentRow(index, -1)} disabled={isBusy || row.level === 0} title="Move out">
+                      &larr;
+                    </button>
+                    <button onClick={() => indentRow(index, 1)} disabled={isBusy || index === 0} title="Nest under the bookmark above">
+                      &rarr;
+                    </button>
+                    <button onClick={() => removeRow(index)} disabled={isBusy} title="Remove">
+                      &times;
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <button className="btn-convert-another" onClick={addRow} disabled={isBusy}>
+                Add Bookmark
+              </button>
+            </>
+          ) : (
+            <>
+              <div className="conversion-options">
+                <label htmlFor="outline-levels">Heading levels:</label>
+                <input
+                  id="outline-levels"
+                  type="number"
+                  min={1}
+                  max={6}
+                  value={maxLevels}
+                  onChange={(e) => setMaxLevels(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <p className="option-hint">
+                Lines set larger or bolder than the body text become bookmarks, nested by their size. The current
+                bookmarks are replaced. Scanned documents need OCR first.
+              </p>
+            </>
+          )}
+
+          <div className="conversion-options">
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={insertToc}
+                onChange={(e) => setInsertToc(e.target.checked)}
+                disabled={isBusy}
+              />
+              Insert a table of contents page with links at the front
+            </label>
+          </div>
+
+          {insertToc && (
+            <div className="conversion-options">
+              <label htmlFor="outline-toc-title">Table of contents title:</label>
+              <input
+                id="outline-toc-title"
+                type="text"
+                placeholder="Contents"
+                value={tocTitle}
+                onChange={(e) => setTocTitle(e.target.value)}
+                disabled={isBusy}
+              />
+            </div>
+          )}
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleUpdate} disabled={!isValid}>
+              Save Bookmarks
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Updating bookmarks... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                Your PDF is ready.
+                {result && ` It has ${result.bookmarks} bookmark(s) in ${result.levels} level(s).`}
+                {result && result.tocPages > 0 && ` ${result.tocPages} table of contents page(s) were added at the front.`}
+              </p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Edit Another PDF
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleUpdate}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFOutline;
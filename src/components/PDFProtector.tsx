@@ -0,0 +1,252 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { PdfPermission } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const permissionLabels: { value: PdfPermission; label: string }[] = [
+  { value: 'print', label: 'Printing' },
+  { value: 'copy', label: 'Copying text and images' },
+  { value: 'edit', label: 'Editing and page assembly' },
+  { value: 'annotate', label: 'Adding comments' },
+  { value: 'fillForms', label: 'Filling in forms' },
+];
+
+const allPermissions = (): Record<PdfPermission, boolean> => ({
+  print: true,
+  copy: true,
+  edit: true,
+  annotate: true,
+  fillForms: true,
+});
+
+const PDFProtector: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [userPassword, setUserPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [ownerPassword, setOwnerPassword] = useState('');
+  const [algorithm, setAlgorithm] = useState<'aes-256' | 'aes-128'>('aes-256');
+  const [permissions, setPermissions] = useState<Record<PdfPermission, boolean>>(allPermissions());
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setUserPassword('');
+    setConfirmPassword('');
+    setOwnerPassword('');
+    setPermissions(allPermissions());
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const validationError = (() => {
+    if (!userPassword && !ownerPassword) {
+      return 'Enter a password to open the document or an owner password to restrict it.';
+    }
+    if (userPassword !== confirmPassword) {
+      return 'The passwords do not match.';
+    }
+    if (userPassword && userPassword === ownerPassword) {
+      return 'The owner password must differ from the open password.';
+    }
+    return null;
+  })();
+
+  const handleProtect = async () => {
+    if (!file || validationError) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.protectPDF(file.fileId, {
+        userPassword: userPassword || undefined,
+        ownerPassword: ownerPassword || undefined,
+        algorithm,
+        permissions,
+      });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Protecting the PDF failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Protect error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Protecting the PDF failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Protect PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="protect-user-password">Password to open the document:</label>
+            <input
+              id="protect-user-password"
+              type="password"
+              autoComplete="new-password"
+              value={userPassword}
+              onChange={(e) => setUserPassword(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="protect-confirm-password">Repeat the password:</label>
+            <input
+              id="protect-confirm-password"
+              type="password"
+              autoComplete="new-password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="protect-owner-password">Owner password (to change permissions later):</label>
+            <input
+              id="protect-owner-password"
+              type="password"
+              autoComplete="new-password"
+              value={ownerPassword}
+              onChange={(e) => setOwnerPassword(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="protect-algorithm">Encryption:</label>
+            <select
+              id="protect-algorithm"
+              value={algorithm}
+              onChange={(e) => setAlgorithm(e.target.value as 'aes-256' | 'aes-128')}
+              disabled={isBusy}
+            >
+              <option value="aes-256">AES 256-bit (recommended)</option>
+              <option value="aes-128">AES 128-bit (older readers)</option>
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label>Allow:</label>
+            {permissionLabels.map(permission => (
+              <label key={permission.value} className="permission-option">
+                <input
+                  type="checkbox"
+                  checked={permissions[permission.value]}
+                  onChange={(e) => setPermissions({ ...permissions, [permission.value]: e.target.checked })}
+                  disabled={isBusy}
+                />
+                {permission.label}
+              </label>
+            ))}
+          </div>
+
+          {status === 'idle' && (
+            <>
+              {validationError && (userPassword || confirmPassword || ownerPassword) && (
+                <p className="error-message">{validationError}</p>
+              )}
+              <button className="btn-convert" onClick={handleProtect} disabled={!!validationError}>
+                Protect Now
+              </button>
+            </>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Encrypting... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your PDF is now protected.</p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download Protected PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Protect Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleProtect}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFProtector;
@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { RedactionArea, RedactionPattern, RedactionStats } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const patternLabels: Record<RedactionPattern, string> = {
+  email: 'Email addresses',
+  phone: 'Phone numbers',
+  iban: 'IBANs',
+};
+
+// One entry per non-empty line
+const readLines = (text: string) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// Areas as "page, x, y, width, height", one per line
+const parseAreas = (text: string): RedactionArea[] => readLines(text).map((line, index) => {
+  const values = line.split(/[\s,;]+/).map(Number);
+  if (values.length !== 5 || values.some(value => !Number.isFinite(value))) {
+    throw new Error(`Area ${index + 1} must be "page, x, y, width, height"`);
+  }
+  const [page, x, y, width, height] = values;
+  return { page, x, y, width, height };
+});
+
+const PDFRedact: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [terms, setTerms] = useState('');
+  const [regexes, setRegexes] = useState('');
+  const [patterns, setPatterns] = useState<RedactionPattern[]>([]);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWords, setWholeWords] = useState(false);
+  const [pages, setPages] = useState('');
+  const [areas, setAreas] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [result, setResult] = useState<RedactionStats | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setResult(null);
+    setErrorMessage(null);
+  };
+
+  const togglePattern = (pattern: RedactionPattern) => {
+    setPatterns(patterns.includes(pattern) ? patterns.filter(item => item !== pattern) : [...patterns, pattern]);
+  };
+
+  const handleRedact = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.redactPDF(file.fileId, {
+        terms: readLines(terms),
+        regexes: readLines(regexes),
+        patterns,
+        caseSensitive,
+        wholeWords,
+        pages: pages || undefined,
+        areas: parseAreas(areas),
+      });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Redaction failed. Please try again.');
+      }
+
+      setResult(finalStatus.redaction || null);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Redaction error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Redaction failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+  const hasRules = readLines(terms).length + readLines(regexes).length + patterns.length + readLines(areas).length > 0;
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Redact PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'document.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="redact-terms">Words and phrases (one per line):</label>
+            <textarea
+              id="redact-terms"
+              value={terms}
+              onChange={(e) => setTerms(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="redact-regexes">Regular expressions (one per line):</label>
+            <textarea
+              id="redact-regexes"
+              placeholder="e.g. \d{3}-\d{2}-\d{4}"
+              value={regexes}
+              onChange={(e) => setRegexes(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            {(Object.keys(patternLabels) as RedactionPattern[]).map(pattern => (
+              <label key={pattern} className="permission-option">
+                <input
+                  type="checkbox"
+                  checked={patterns.includes(pattern)}
+                  onChange={() => togglePattern(pattern)}
+                  disabled={isBusy}
+                />
+                {patternLabels[pattern]}
+              </label>
+            ))}
+          </div>
+
+          <div className="conversion-options">
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={caseSensitive}
+                onChange={(e) => setCaseSensitive(e.target.checked)}
+                disabled={isBusy}
+              />
+              Match case
+            </label>
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={wholeWords}
+                onChange={(e) => setWholeWords(e.target.checked)}
+                disabled={isBusy}
+              />
+              Whole words only
+            </label>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="redact-pages">Pages to search (leave empty for all pages):</label>
+            <input
+              id="redact-pages"
+              type="text"
+              placeholder="e.g. 1-3,5"
+              value={pages}
+              onChange={(e) => setPages(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="redact-areas">Areas (one per line: page, left, bottom, width, height):</label>
+            <textarea
+              id="redact-areas"
+              placeholder="e.g. 1, 72, 700, 200, 40"
+              value={areas}
+              onChange={(e) => setAreas(e.target.value)}
+              disabled={isBusy}
+            />
+            <p className="option-hint">Areas are measured in points from the bottom left corner of the page; 72 points are one inch.</p>
+          </div>
+
+          <p className="option-hint">
+            Redacted text and images are removed from the file, not just covered, and cannot be recovered.
+          </p>
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleRedact} disabled={!hasRules}>
+              Redact PDF
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Redacting... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">
+                Your redacted PDF is ready.
+                {result && ` Removed ${result.totals.matches} match(es) and ${result.totals.areas} area(s) on ${result.pages.length} page(s).`}
+              </p>
+
+              {result && result.pages.length > 0 && (
+                <ul className="split-manifest">
+                  {result.pages.map(page => (
+                    <li key={page.page}>
+                      <strong>Page {page.page}</strong>: {page.matches} match(es)
+                      {Object.keys(page.matchesByRule).length > 0 && (
+                        <span className="option-hint">
+                          {' '}({Object.entries(page.matchesByRule).map(([rule, count]) => `${rule}: ${count}`).join(', ')})
+                        </span>
+                      )}
+                      {page.areas > 0 && `, ${page.areas} area(s)`}
+                      {page.imagesRedacted + page.imagesRemoved > 0 && `, ${page.imagesRedacted + page.imagesRemoved} image(s)`}
+                      {page.annotationsRemoved > 0 && `, ${page.annotationsRemoved} annotation(s)`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {result && result.document && result.document.matches + result.document.attachmentsRemoved > 0 && (
+                <p className="option-hint">
+                  Outside the pages: {result.document.matches} match(es)
+                  {result.document.infoFields.length > 0 && ` in ${result.document.infoFields.join(', ')}`}
+                  {result.document.bookmarks > 0 && `, ${result.document.bookmarks} bookmark(s)`}
+                  {result.document.xmpPackets > 0 && `, ${result.document.xmpPackets} XMP packet(s)`}
+                  {result.document.attachmentsRemoved > 0 && `; ${result.document.attachmentsRemoved} attached file(s) removed`}
+                </p>
+              )}
+
+              {result && result.unmappedPages && result.unmappedPages.length > 0 && (
+                <p className="option-hint">
+                  Some text on page(s) {result.unmappedPages.join(', ')} could not be searched; check those pages or redact them by area.
+                </p>
+              )}
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Redact Another PDF
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleRedact}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFRedact;
@@ -0,0 +1,306 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { PdfSignature } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+// Base64 of a file without the "data:...;base64," prefix
+const readAsBase64 = (file: File): Promise<string> => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const integrityLabels: Record<string, string> = {
+  valid: 'Intact',
+  invalid: 'Broken',
+  unsupported: 'Cannot be checked',
+};
+
+const PDFSign: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [signatures, setSignatures] = useState<PdfSignature[]>([]);
+  const [certificate, setCertificate] = useState<string | null>(null);
+  const [certificateName, setCertificateName] = useState('');
+  const [password, setPassword] = useState('');
+  const [reason, setReason] = useState('');
+  const [location, setLocation] = useState('');
+  const [visible, setVisible] = useState(true);
+  const [page, setPage] = useState(1);
+  const [x, setX] = useState(36);
+  const [y, setY] = useState(36);
+  const [width, setWidth] = useState(200);
+  const [height, setHeight] = useState(60);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setSignatures([]);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const loadSignatures = async (uploaded: UploadedFile) => {
+    try {
+      setErrorMessage(null);
+      const result = await pdfService.getPdfSignatures(uploaded.fileId);
+      setSignatures(result.signatures);
+    } catch (error: any) {
+      console.error('Signatures error:', error.message);
+      setErrorMessage(error.response?.data?.error || error.message || 'The signatures could not be read.');
+    }
+  };
+
+  const handleSign = async () => {
+    if (!file || !certificate) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.signPDF(file.fileId, certificate, password, {
+        reason: reason || undefined,
+        location: location || undefined,
+        visible,
+        appearance: visible ? { page, x, y, width, height } : undefined,
+      });
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Signing failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Signing error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Signing failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+
+  const numberOption = (id: string, label: string, value: number, setValue: (next: number) => void, min: number) => (
+    <div className="conversion-options">
+      <label htmlFor={id}>{label}:</label>
+      <input
+        id={id}
+        type="number"
+        min={min}
+        value={value}
+        onChange={(e) => setValue(Number(e.target.value))}
+        disabled={isBusy}
+      />
+    </div>
+  );
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Sign PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                const uploaded = {
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'document.pdf',
+                  fileSize: data.fileSize || 0,
+                };
+                setFile(uploaded);
+                loadSignatures(uploaded);
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">
+                {signatures.filter(signature => signature.signed).length} signature(s), {(file.fileSize / (1024 * 1024)).toFixed(2)} MB
+              </p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          {signatures.length > 0 && (
+            <ul className="split-manifest">
+              {signatures.map(signature => (
+                <li key={signature.fieldName}>
+                  <strong>{signature.fieldName}</strong>
+                  {signature.signed ? (
+                    <>
+                      {' '}– {signature.signerName || 'Unknown signer'}
+                      {signature.signingTime && `, ${new Date(signature.signingTime).toLocaleString()}`}
+                      {' '}– {integrityLabels[signature.integrity || 'invalid']}
+                      {signature.modifiedAfterSigning && ', changed after signing'}
+                      {signature.problem && <span className="option-hint"> ({signature.problem})</span>}
+                      {signature.certificates && signature.certificates.length > 0 && (
+                        <span className="option-hint">
+                          {' '}Issued by {signature.certificates[0].issuer}
+                          {signature.chainComplete ? '' : ' (chain incomplete)'}
+                        </span>
+                      )}
+                    </>
+                  ) : (
+                    ' – empty signature field'
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="conversion-options">
+            <label htmlFor="sign-certificate">Certificate (.p12 or .pfx){certificateName ? ` (${certificateName})` : ''}:</label>
+            <input
+              id="sign-certificate"
+              type="file"
+              accept=".p12,.pfx,application/x-pkcs12"
+              onChange={async (e) => {
+                const certificateFile = e.target.files && e.target.files[0];
+                if (certificateFile) {
+                  setCertificate(await readAsBase64(certificateFile));
+                  setCertificateName(certificateFile.name);
+                }
+              }}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="sign-password">Certificate password:</label>
+            <input
+              id="sign-password"
+              type="password"
+              autoComplete="off"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="sign-reason">Reason:</label>
+            <input
+              id="sign-reason"
+              type="text"
+              maxLength={200}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="sign-location">Location:</label>
+            <input
+              id="sign-location"
+              type="text"
+              maxLength={200}
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label className="permission-option">
+              <input
+                type="checkbox"
+                checked={visible}
+                onChange={(e) => setVisible(e.target.checked)}
+                disabled={isBusy}
+              />
+              Show the signature on the page
+            </label>
+          </div>
+
+          {visible && (
+            <>
+              {numberOption('sign-page', 'Page', page, setPage, 1)}
+              {numberOption('sign-x', 'Left (points)', x, setX, 0)}
+              {numberOption('sign-y', 'Bottom (points)', y, setY, 0)}
+              {numberOption('sign-width', 'Width (points)', width, setWidth, 20)}
+              {numberOption('sign-height', 'Height (points)', height, setHeight, 10)}
+              <p className="option-hint">Positions are measured from the bottom left corner of the page; 72 points are one inch.</p>
+            </>
+          )}
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleSign} disabled={!certificate}>
+              Sign PDF
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Signing... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your signed PDF is ready.</p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Sign Another PDF
+              </button>
+            </div>
+          )}
+
+          {errorMessage && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              {status === 'error' && (
+                <button className="btn-retry" onClick={handleSign}>
+                  Try Again
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFSign;
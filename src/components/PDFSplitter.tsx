@@ -0,0 +1,245 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { ResultManifestEntry, SplitMode, SplitOptions } from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const splitModes: { value: SplitMode; label: string }[] = [
+  { value: 'ranges', label: 'By page ranges' },
+  { value: 'every', label: 'Every N pages' },
+  { value: 'bookmarks', label: 'By chapters (top-level bookmarks)' },
+  { value: 'size', label: 'By maximum file size' },
+];
+
+const PDFSplitter: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [mode, setMode] = useState<SplitMode>('ranges');
+  const [ranges, setRanges] = useState('1-3,4-');
+  const [everyPages, setEveryPages] = useState(1);
+  const [maxSizeMB, setMaxSizeMB] = useState(5);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [manifest, setManifest] = useState<ResultManifestEntry[]>([]);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setManifest([]);
+    setErrorMessage(null);
+  };
+
+  const buildOptions = (): SplitOptions => {
+    switch (mode) {
+      case 'ranges':
+        return { mode, ranges };
+      case 'every':
+        return { mode, everyPages };
+      case 'size':
+        return { mode, maxSizeBytes: Math.round(maxSizeMB * 1024 * 1024) };
+      default:
+        return { mode };
+    }
+  };
+
+  const handleSplit = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.splitPDF(file.fileId, buildOptions());
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Splitting the PDF failed. Please try again.');
+      }
+
+      setManifest(finalStatus.manifest || []);
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Split error:', error);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Splitting the PDF failed. Please try again.');
+    }
+  };
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Split PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="split-mode">Split:</label>
+            <select
+              id="split-mode"
+              value={mode}
+              onChange={(e) => setMode(e.target.value as SplitMode)}
+              disabled={status === 'processing'}
+            >
+              {splitModes.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {mode === 'ranges' && (
+            <div className="conversion-options">
+              <label htmlFor="split-ranges">Page ranges (one file per range):</label>
+              <input
+                id="split-ranges"
+                type="text"
+                value={ranges}
+                placeholder="1-3,5,8-"
+                onChange={(e) => setRanges(e.target.value)}
+                disabled={status === 'processing'}
+              />
+            </div>
+          )}
+
+          {mode === 'every' && (
+            <div className="conversion-options">
+              <label htmlFor="split-every">Pages per file:</label>
+              <input
+                id="split-every"
+                type="number"
+                min={1}
+                value={everyPages}
+                onChange={(e) => setEveryPages(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                disabled={status === 'processing'}
+              />
+            </div>
+          )}
+
+          {mode === 'size' && (
+            <div className="conversion-options">
+              <label htmlFor="split-size">Maximum file size (MB):</label>
+              <input
+                id="split-size"
+                type="number"
+                min={0.1}
+                step={0.1}
+                value={maxSizeMB}
+                onChange={(e) => setMaxSizeMB(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
+                disabled={status === 'processing'}
+              />
+            </div>
+          )}
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleSplit}>
+              Split Now
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Splitting... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your PDF was split into {manifest.length} file(s).</p>
+
+              {manifest.length > 0 && (
+                <table className="split-manifest">
+                  <thead>
+                    <tr>
+                      <th>File</th>
+                      <th>Pages</th>
+                      <th>Size</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {manifest.map(part => (
+                      <tr key={part.name} className={part.oversized ? 'oversized' : undefined}>
+                        <td>{part.title ? `${part.name} (${part.title})` : part.name}</td>
+                        <td>{part.pages}</td>
+                        <td>{(part.size / 1024).toFixed(1)} KB</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download ZIP
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Split Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleSplit}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFSplitter;
@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+  encrypted?: boolean;
+}
+
+const PDFUnlocker: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setPassword('');
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const handleUnlock = async () => {
+    if (!file || !password) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.unlockPDF(file.fileId, password);
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Unlocking the PDF failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Unlock error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Unlocking the PDF failed. Please try again.');
+    }
+  };
+
+  // Only an explicit "not encrypted" from the upload skips the password prompt
+  const notEncrypted = file?.encrypted === false;
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Unlock PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                  encrypted: data.encrypted,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          {notEncrypted ? (
+            <div className="conversion-result">
+              <p className="success-message">This PDF is not password protected, there is nothing to unlock.</p>
+              <button className="btn-convert-another" onClick={reset}>
+                Choose Another File
+              </button>
+            </div>
+          ) : (
+            <>
+              <div className="conversion-options">
+                <label htmlFor="unlock-password">Password (to open the document or the owner password):</label>
+                <input
+                  id="unlock-password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && status === 'idle') handleUnlock();
+                  }}
+                  disabled={status === 'processing'}
+                />
+              </div>
+
+              {status === 'idle' && (
+                <button className="btn-convert" onClick={handleUnlock} disabled={!password}>
+                  Unlock Now
+                </button>
+              )}
+
+              {status === 'processing' && (
+                <div className="conversion-progress">
+                  <div className="progress-bar-container">
+                    <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+                  </div>
+                  <p className="progress-text">Unlocking... {progress}%</p>
+                </div>
+              )}
+
+              {status === 'completed' && operationId && (
+                <div className="conversion-result">
+                  <p className="success-message">Your PDF is unlocked and no longer needs a password.</p>
+
+                  <button
+                    className="btn-download"
+                    onClick={() => pdfService.downloadConversionResult(operationId)}
+                  >
+                    Download Unlocked PDF
+                  </button>
+
+                  <button className="btn-convert-another" onClick={reset}>
+                    Unlock Another File
+                  </button>
+                </div>
+              )}
+
+              {status === 'error' && (
+                <div className="conversion-error">
+                  <p className="error-message">{errorMessage}</p>
+                  <button className="btn-retry" onClick={handleUnlock} disabled={!password}>
+                    Try Again
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFUnlocker;
@@ -0,0 +1,374 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import { WatermarkFont, WatermarkOptions, WatermarkPosition } from '../services/pdfService';
+import { getAcceptedExtensions, getAcceptedFileTypes } from '../config/conversionMatrix';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+}
+
+const IMAGE_FORMATS = ['jpg', 'png'];
+
+const positions: { value: WatermarkPosition; label: string }[] = [
+  { value: 'center', label: 'Center' },
+  { value: 'top-left', label: 'Top left' },
+  { value: 'top-center', label: 'Top center' },
+  { value: 'top-right', label: 'Top right' },
+  { value: 'middle-left', label: 'Middle left' },
+  { value: 'middle-right', label: 'Middle right' },
+  { value: 'bottom-left', label: 'Bottom left' },
+  { value: 'bottom-center', label: 'Bottom center' },
+  { value: 'bottom-right', label: 'Bottom right' },
+];
+
+const fonts: { value: WatermarkFont; label: string }[] = [
+  { value: 'helvetica-bold', label: 'Helvetica Bold' },
+  { value: 'helvetica', label: 'Helvetica' },
+  { value: 'times-bold', label: 'Times Bold' },
+  { value: 'times', label: 'Times' },
+  { value: 'courier-bold', label: 'Courier Bold' },
+  { value: 'courier', label: 'Courier' },
+];
+
+const PDFWatermark: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [type, setType] = useState<'text' | 'image'>('text');
+  const [text, setText] = useState('CONFIDENTIAL');
+  const [image, setImage] = useState<UploadedFile | null>(null);
+  const [font, setFont] = useState<WatermarkFont>('helvetica-bold');
+  const [fontSize, setFontSize] = useState(60);
+  const [color, setColor] = useState('#ff0000');
+  const [imageScale, setImageScale] = useState(30);
+  const [position, setPosition] = useState<WatermarkPosition>('center');
+  const [rotation, setRotation] = useState(45);
+  const [opacity, setOpacity] = useState(30);
+  const [layer, setLayer] = useState<'over' | 'under'>('over');
+  const [pages, setPages] = useState('');
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  // The stamp settings are kept, ready for the next document
+  const reset = () => {
+    setFile(null);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const changePosition = (value: WatermarkPosition) => {
+    setPosition(value);
+    // Diagonal across the middle, level along the edges
+    setRotation(value === 'center' ? 45 : 0);
+  };
+
+  const buildOptions = (): WatermarkOptions => {
+    const common = {
+      position,
+      rotation,
+      opacity: opacity / 100,
+      layer,
+      pages: pages.trim() || undefined,
+    };
+
+    return type === 'text'
+      ? { ...common, type, text, font, fontSize, color }
+      : { ...common, type, imageFileId: image?.fileId, imageScale: imageScale / 100 };
+  };
+
+  const handleWatermark = async () => {
+    if (!file) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.watermarkPDF(file.fileId, buildOptions());
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Adding the watermark failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Watermark error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Adding the watermark failed. Please try again.');
+    }
+  };
+
+  const isBusy = status === 'processing';
+  const isReady = type === 'text' ? text.trim().length > 0 : !!image;
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Watermark PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                setFile({
+                  fileId: data.fileId,
+                  fileName: data.fileName || 'uploaded.pdf',
+                  fileSize: data.fileSize || 0,
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={['application/pdf']}
+            allowedFileExtensions={['.pdf']}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">{(file.fileSize / (1024 * 1024)).toFixed(2)} MB</p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="watermark-type">Stamp:</label>
+            <select
+              id="watermark-type"
+              value={type}
+              onChange={(e) => setType(e.target.value as 'text' | 'image')}
+              disabled={isBusy}
+            >
+              <option value="text">Text</option>
+              <option value="image">Image</option>
+            </select>
+          </div>
+
+          {type === 'text' ? (
+            <>
+              <div className="conversion-options">
+                <label htmlFor="watermark-text">Text:</label>
+                <input
+                  id="watermark-text"
+                  type="text"
+                  maxLength={200}
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="watermark-font">Font:</label>
+                <select
+                  id="watermark-font"
+                  value={font}
+                  onChange={(e) => setFont(e.target.value as WatermarkFont)}
+                  disabled={isBusy}
+                >
+                  {fonts.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="watermark-font-size">Font size (points):</label>
+                <input
+                  id="watermark-font-size"
+                  type="number"
+                  min={4}
+                  max={400}
+                  value={fontSize}
+                  onChange={(e) => setFontSize(Number(e.target.value))}
+                  disabled={isBusy}
+                />
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="watermark-color">Colour:</label>
+                <input
+                  id="watermark-color"
+                  type="color"
+                  value={color}
+                  onChange={(e) => setColor(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="conversion-options">
+                {image ? (
+                  <div className="file-info">
+                    <div className="file-details">
+                      <p className="file-name">{image.fileName}</p>
+                    </div>
+                    <button className="btn-remove" onClick={() => setImage(null)} disabled={isBusy}>
+                      &times;
+                    </button>
+                  </div>
+                ) : (
+                  <EnhancedFileUploader
+                    onUploadComplete={(data) => {
+                      if (data && data.fileId) {
+                        setImage({
+                          fileId: data.fileId,
+                          fileName: data.fileName || 'stamp image',
+                          fileSize: data.fileSize || 0,
+                        });
+                      }
+                    }}
+                    isPremiumUser={false}
+                    maxSize={5}
+                    acceptedFileTypes={getAcceptedFileTypes(IMAGE_FORMATS)}
+                    allowedFileExtensions={getAcceptedExtensions(IMAGE_FORMATS)}
+                  />
+                )}
+              </div>
+
+              <div className="conversion-options">
+                <label htmlFor="watermark-image-scale">Width ({imageScale}% of the page):</label>
+                <input
+                  id="watermark-image-scale"
+                  type="range"
+                  min={5}
+                  max={100}
+                  value={imageScale}
+                  onChange={(e) => setImageScale(Number(e.target.value))}
+                  disabled={isBusy}
+                />
+              </div>
+            </>
+          )}
+
+          <div className="conversion-options">
+            <label htmlFor="watermark-position">Position:</label>
+            <select
+              id="watermark-position"
+              value={position}
+              onChange={(e) => changePosition(e.target.value as WatermarkPosition)}
+              disabled={isBusy}
+            >
+              {positions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="watermark-rotation">Rotation (degrees):</label>
+            <input
+              id="watermark-rotation"
+              type="number"
+              min={-180}
+              max={180}
+              value={rotation}
+              onChange={(e) => setRotation(Number(e.target.value))}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="watermark-opacity">Opacity ({opacity}%):</label>
+            <input
+              id="watermark-opacity"
+              type="range"
+              min={5}
+              max={100}
+              value={opacity}
+              onChange={(e) => setOpacity(Number(e.target.value))}
+              disabled={isBusy}
+            />
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="watermark-layer">Layer:</label>
+            <select
+              id="watermark-layer"
+              value={layer}
+              onChange={(e) => setLayer(e.target.value as 'over' | 'under')}
+              disabled={isBusy}
+            >
+              <option value="over">Over the page content</option>
+              <option value="under">Under the page content</option>
+            </select>
+          </div>
+
+          <div className="conversion-options">
+            <label htmlFor="watermark-pages">Pages (leave empty for all pages):</label>
+            <input
+              id="watermark-pages"
+              type="text"
+              placeholder="e.g. 1-3,5"
+              value={pages}
+              onChange={(e) => setPages(e.target.value)}
+              disabled={isBusy}
+            />
+          </div>
+
+          {status === 'idle' && (
+            <button className="btn-convert" onClick={handleWatermark} disabled={!isReady}>
+              Add Watermark
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Adding watermark... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your watermarked PDF is ready.</p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Stamp Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleWatermark}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PDFWatermark;
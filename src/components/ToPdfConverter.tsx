@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import EnhancedFileUploader from './EnhancedFileUploader';
+import './PDFConverter.css';
+import './PDFTools.css';
+import * as pdfService from '../services/pdfService';
+import {
+  TO_PDF_SOURCE_FORMATS,
+  getAcceptedExtensions,
+  getAcceptedFileTypes,
+  getFormatLabel,
+  getSourceFormat,
+  isSupportedConversion,
+} from '../config/conversionMatrix';
+
+interface UploadedFile {
+  fileId: string;
+  fileName: string;
+  fileSize: number;
+  sourceFormat: string | null;
+}
+
+const ToPdfConverter: React.FC = () => {
+  const [file, setFile] = useState<UploadedFile | null>(null);
+  const [status, setStatus] = useState<'idle' | 'processing' | 'completed' | 'error'>('idle');
+  const [progress, setProgress] = useState(0);
+  const [operationId, setOperationId] = useState<string | null>(null);
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+
+  const reset = () => {
+    setFile(null);
+    setStatus('idle');
+    setProgress(0);
+    setOperationId(null);
+    setErrorMessage(null);
+  };
+
+  const canConvert = !!file?.sourceFormat && isSupportedConversion(file.sourceFormat, 'pdf');
+
+  const handleConvert = async () => {
+    if (!file || !file.sourceFormat) return;
+
+    try {
+      setStatus('processing');
+      setProgress(0);
+      setErrorMessage(null);
+
+      const response = await pdfService.convertToPDF(file.fileId, file.sourceFormat);
+      setOperationId(response.operationId);
+
+      const finalStatus = await pdfService.pollConversionStatus(
+        response.operationId,
+        (update) => setProgress(update.progress)
+      );
+
+      if (finalStatus.status === 'failed') {
+        throw new Error(finalStatus.errorMessage || 'Conversion failed. Please try again.');
+      }
+
+      setProgress(100);
+      setStatus('completed');
+    } catch (error: any) {
+      console.error('Conversion error:', error.message);
+      setStatus('error');
+      setErrorMessage(error.response?.data?.error || error.message || 'Conversion failed. Please try again.');
+    }
+  };
+
+  return (
+    <div className="pdf-converter-container">
+      <h2 className="converter-title">Convert to PDF</h2>
+
+      {!file ? (
+        <div className="converter-section upload-section">
+          <EnhancedFileUploader
+            onUploadComplete={(data) => {
+              if (data && data.fileId) {
+                const fileName = data.fileName || 'uploaded file';
+                setFile({
+                  fileId: data.fileId,
+                  fileName,
+                  fileSize: data.fileSize || 0,
+                  sourceFormat: data.sourceFormat ?? getSourceFormat(fileName),
+                });
+              }
+            }}
+            isPremiumUser={false}
+            maxSize={10}
+            acceptedFileTypes={getAcceptedFileTypes(TO_PDF_SOURCE_FORMATS)}
+            allowedFileExtensions={getAcceptedExtensions(TO_PDF_SOURCE_FORMATS)}
+          />
+        </div>
+      ) : (
+        <div className="converter-section conversion-section">
+          <div className="file-info">
+            <div className="file-details">
+              <p className="file-name">{file.fileName}</p>
+              <p className="file-size">
+                {file.sourceFormat ? `${getFormatLabel(file.sourceFormat)} · ` : ''}
+                {(file.fileSize / (1024 * 1024)).toFixed(2)} MB
+              </p>
+            </div>
+            <button className="btn-remove" onClick={reset}>
+              &times;
+            </button>
+          </div>
+
+          {!canConvert && (
+            <div className="conversion-error">
+              <p className="error-message">
+                This file type cannot be converted to PDF. Supported types are{' '}
+                {TO_PDF_SOURCE_FORMATS.map(getFormatLabel).join(', ')}.
+              </p>
+            </div>
+          )}
+
+          {canConvert && status === 'idle' && (
+            <button className="btn-convert" onClick={handleConvert}>
+              Convert to PDF
+            </button>
+          )}
+
+          {status === 'processing' && (
+            <div className="conversion-progress">
+              <div className="progress-bar-container">
+                <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+              </div>
+              <p className="progress-text">Converting... {progress}%</p>
+            </div>
+          )}
+
+          {status === 'completed' && operationId && (
+            <div className="conversion-result">
+              <p className="success-message">Your PDF is ready.</p>
+
+              <button
+                className="btn-download"
+                onClick={() => pdfService.downloadConversionResult(operationId)}
+              >
+                Download PDF
+              </button>
+
+              <button className="btn-convert-another" onClick={reset}>
+                Convert Another File
+              </button>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="conversion-error">
+              <p className="error-message">{errorMessage}</p>
+              <button className="btn-retry" onClick={handleConvert}>
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ToPdfConverter;
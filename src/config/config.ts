@@ -1,3 +1,6 @@
+import { SOURCE_FORMATS, getAcceptedFileTypes, getTargetFormats } from './conversionMatrix';
+import type { ConversionFormat } from '../services/pdfService';
+
 // Environment variables with fallbacks
 export const API_URL = import.meta.env.VITE_API_URL || 'https://api.pdfspark.com';
 export const API_TIMEOUT = Number(import.meta.env.VITE_API_TIMEOUT) || 30000;
@@ -16,8 +19,8 @@ export const TIMEOUTS = {
 
 // Supported file formats
 export const SUPPORTED_FORMATS = {
-  SOURCE: ['application/pdf'],
-  TARGET: ['docx', 'xlsx', 'pptx', 'jpg', 'txt'],
+  SOURCE: getAcceptedFileTypes(SOURCE_FORMATS),
+  TARGET: getTargetFormats('pdf').filter(format => format !== 'pdf'),
 };
 
 // Payment-related constants
@@ -41,17 +44,32 @@ export const ROUTES = {
     PDF_TO_PPT: '/convert/pdf-to-ppt',
     PDF_TO_IMAGE: '/convert/pdf-to-image',
     PDF_TO_TEXT: '/convert/pdf-to-text',
+    PDF_TO_HTML: '/convert/pdf-to-html',
+    PDF_TO_MARKDOWN: '/convert/pdf-to-markdown',
+    TO_PDF: '/convert/to-pdf',
+    IMAGES_TO_PDF: '/convert/images-to-pdf',
   },
   TOOLS: {
     ALL: '/tools',
     COMPRESS_PDF: '/tools/compress-pdf',
     MERGE_PDF: '/tools/merge-pdf',
     SPLIT_PDF: '/tools/split-pdf',
+    WATERMARK_PDF: '/tools/watermark-pdf',
+    ORGANIZE_PDF: '/tools/organize-pdf',
+    HEADER_FOOTER_PDF: '/tools/header-footer-pdf',
+    METADATA_PDF: '/tools/metadata-pdf',
+    FILL_FORM_PDF: '/tools/fill-form-pdf',
+    SIGN_PDF: '/tools/sign-pdf',
+    REDACT_PDF: '/tools/redact-pdf',
+    COMPARE_PDF: '/tools/compare-pdf',
+    EXTRACT_PDF: '/tools/extract-pdf',
+    OUTLINE_PDF: '/tools/outline-pdf',
   },
 };
 
 // Default options for different conversions
-export const DEFAULT_CONVERSION_OPTIONS = {
+// Every target format needs an entry, the type makes a missing one a compile error
+export const DEFAULT_CONVERSION_OPTIONS: Record<ConversionFormat | 'pdf', Record<string, unknown>> = {
   docx: {
     preserveFormatting: true,
     extractImages: true,
@@ -71,7 +89,19 @@ export const DEFAULT_CONVERSION_OPTIONS = {
     dpi: 300,
   },
   txt: {
+    mode: 'reading', // 'raw' | 'reading' | 'layout'
     preserveLineBreaks: true,
     detectParagraphs: true,
+    pageSeparator: false, // true for a "--- Page n of N ---" line, or a custom template
+    encoding: 'utf-8', // 'utf-8' | 'utf-8-bom'
+  },
+  html: {
+    title: undefined, // page title, the document's own title when not set
+  },
+  md: {
+    title: undefined,
+  },
+  pdf: {
+    compressionLevel: 'medium', // 'low' | 'medium' | 'high'
   },
 };
\ No newline at end of file
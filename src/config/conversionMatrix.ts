@@ -0,0 +1,42 @@
+// Supported conversions, shared with the backend so both sides accept the same ones
+import matrix from '../../backend/config/conversionMatrix.json';
+
+export type SourceFormat = keyof typeof matrix.conversions;
+
+interface FormatInfo {
+  label: string;
+  extensions: string[];
+  mimeTypes: string[];
+}
+
+const formats: Record<string, FormatInfo> = matrix.formats;
+const conversions: Record<string, string[]> = matrix.conversions;
+
+// Formats uploads may be converted from
+export const SOURCE_FORMATS = Object.keys(conversions) as SourceFormat[];
+
+export const getTargetFormats = (sourceFormat: string): string[] => conversions[sourceFormat] || [];
+
+export const isSupportedConversion = (sourceFormat: string, targetFormat: string): boolean =>
+  getTargetFormats(sourceFormat).includes(targetFormat);
+
+export const getFormatLabel = (format: string): string => formats[format]?.label || format.toUpperCase();
+
+// Source format of a file by its extension, null when it cannot be converted
+export const getSourceFormat = (fileName: string): SourceFormat | null => {
+  const extension = fileName.includes('.') ? fileName.slice(fileName.lastIndexOf('.')).toLowerCase() : '';
+  const match = SOURCE_FORMATS.find(format => formats[format]?.extensions.includes(extension));
+  return match || null;
+};
+
+// MIME types and extensions for file pickers accepting the given formats
+export const getAcceptedFileTypes = (sourceFormats: string[]): string[] =>
+  sourceFormats.flatMap(format => formats[format]?.mimeTypes || []);
+
+export const getAcceptedExtensions = (sourceFormats: string[]): string[] =>
+  sourceFormats.flatMap(format => formats[format]?.extensions || []);
+
+// Everything that converts to PDF, apart from PDF itself
+export const TO_PDF_SOURCE_FORMATS = SOURCE_FORMATS.filter(
+  format => format !== 'pdf' && isSupportedConversion(format, 'pdf')
+);
@@ -0,0 +1,52 @@
+import PDFCompare from '../components/PDFCompare';
+import './ConversionPage.css';
+
+const ComparePdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Compare PDF</h1>
+        <p className="page-description">
+          See what changed between two versions of a document: inserted, deleted and moved text, or for scans,
+          every area that looks different.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFCompare />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload the original PDF, then its revised version.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Compare</h3>
+            <p className="step-description">
+              Compare the text of both versions, or how their pages look if they are scanned.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download a report of the changes and a PDF with both versions side by side, changes highlighted.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparePdfPage;
@@ -0,0 +1,51 @@
+import PDFCompressor from '../components/PDFCompressor';
+import './ConversionPage.css';
+
+const CompressPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Compress PDF</h1>
+        <p className="page-description">
+          Make a PDF smaller by recompressing its images, either at a chosen level or down to the file size you need.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFCompressor />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload the PDF you want to make smaller.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Choose a Level or Size</h3>
+            <p className="step-description">
+              Pick a compression level, or enter the size the file has to fit in.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Check how much smaller the file got and download it.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompressPdfPage;
@@ -3,7 +3,7 @@ import PDFConverter from '../components/PDFConverter';
 import './ConversionPage.css';
 
 interface ConversionPageProps {
-  defaultFormat?: 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'txt';
+  defaultFormat?: 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'txt' | 'html' | 'md';
 }
 
 const ConversionPage: React.FC<ConversionPageProps> = ({ defaultFormat = 'docx' }) => {
@@ -27,6 +27,12 @@ const ConversionPage: React.FC<ConversionPageProps> = ({ defaultFormat = 'docx'
       case 'txt':
         setFormatName('Text');
         break;
+      case 'html':
+        setFormatName('HTML');
+        break;
+      case 'md':
+        setFormatName('Markdown');
+        break;
       default:
         setFormatName('Word');
     }
@@ -0,0 +1,52 @@
+import ToPdfConverter from '../components/ToPdfConverter';
+import './ConversionPage.css';
+
+const ConvertToPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Convert to PDF</h1>
+        <p className="page-description">
+          Turn Word, Excel and PowerPoint documents, text files and images into PDFs.
+          Everything is converted on our own servers.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <ToPdfConverter />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload a DOCX, XLSX, PPTX, TXT, JPG or PNG file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Convert</h3>
+            <p className="step-description">
+              Office documents are rendered with their original layout, text and images are placed on pages of the right size.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download your PDF, ready to share, print or process with our other tools.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConvertToPdfPage;
@@ -0,0 +1,52 @@
+import PDFExtract from '../components/PDFExtract';
+import './ConversionPage.css';
+
+const ExtractPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Extract Images and Attachments</h1>
+        <p className="page-description">
+          Get the original images out of a PDF at full resolution, not a screenshot of the page, together with every
+          file attached to it.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFExtract />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload the PDF that holds the images or attachments.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Choose</h3>
+            <p className="step-description">
+              Pick images, attachments or both, and the pages to take images from.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download a ZIP of the files with a manifest listing the page and size of each image.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExtractPdfPage;
@@ -0,0 +1,52 @@
+import PDFFormFiller from '../components/PDFFormFiller';
+import './ConversionPage.css';
+
+const FillFormPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Fill PDF Form</h1>
+        <p className="page-description">
+          Fill in the fields of PDF forms, such as government and tax forms, and flatten them if you like.
+          Fill the same form for many people at once from a CSV file.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFFormFiller />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload a PDF form; its fields are listed with their options.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Fill in</h3>
+            <p className="step-description">
+              Type the values, or choose a CSV file with one row per copy and a column for each field.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the filled PDF, or a ZIP with one PDF for every row of the CSV.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FillFormPdfPage;
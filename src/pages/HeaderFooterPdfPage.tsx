@@ -0,0 +1,53 @@
+import PDFHeaderFooter from '../components/PDFHeaderFooter';
+import './ConversionPage.css';
+
+const HeaderFooterPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Headers, Footers &amp; Bates Numbers</h1>
+        <p className="page-description">
+          Add page numbers, running headers and footers, or Bates numbers for legal productions.
+          Bates numbers continue from one file to the next when you stamp several at once.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFHeaderFooter />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload one or more PDF files in the order they should be numbered.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Choose the text</h3>
+            <p className="step-description">
+              Type the header and footer text, with page numbers, the date or the file name, and set
+              up the Bates prefix, digits and first number.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the stamped PDF, or a ZIP when you stamped several files.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HeaderFooterPdfPage;
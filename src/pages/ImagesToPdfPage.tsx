@@ -0,0 +1,52 @@
+import ImagesToPdf from '../components/ImagesToPdf';
+import './ConversionPage.css';
+
+const ImagesToPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Images to PDF</h1>
+        <p className="page-description">
+          Combine photos and scans into one PDF. Choose the order, the page size and the margins,
+          and we take care of sideways phone photos.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <ImagesToPdf />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Add your JPG, PNG, WebP, TIFF or GIF images one after another and put them in the order you want.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Lay Out</h3>
+            <p className="step-description">
+              Pick A4, Letter or pages the size of each image, the orientation and the margins.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download one PDF with an image on every page, sized to keep the file small.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImagesToPdfPage;
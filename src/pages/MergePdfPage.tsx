@@ -0,0 +1,52 @@
+import PDFMerger from '../components/PDFMerger';
+import './ConversionPage.css';
+
+const MergePdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Merge PDF</h1>
+        <p className="page-description">
+          Combine several PDFs into one document in the order you choose, taking all pages or only the ones you need
+          from each file.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFMerger />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload two or more PDFs and put them in order.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Choose Pages</h3>
+            <p className="step-description">
+              Pick the pages of each file and how its bookmarks are carried over.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download a single PDF with the pages of all files.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergePdfPage;
@@ -0,0 +1,53 @@
+import PDFMetadata from '../components/PDFMetadata';
+import './ConversionPage.css';
+
+const MetadataPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">PDF Metadata</h1>
+        <p className="page-description">
+          See the title, author, applications, dates, version and page sizes recorded in a PDF.
+          Correct them, or sanitize the file before you share it.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFMetadata />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload a PDF to see the metadata stored in it.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Edit or sanitize</h3>
+            <p className="step-description">
+              Change the fields, empty the ones to remove, or sanitize the file to strip the author,
+              the applications used, the dates and hidden XMP data.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the PDF with its new metadata; the pages are left as they were.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MetadataPdfPage;
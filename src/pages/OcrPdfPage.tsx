@@ -0,0 +1,53 @@
+import PDFOcr from '../components/PDFOcr';
+import './ConversionPage.css';
+
+const OcrPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">OCR PDF</h1>
+        <p className="page-description">
+          Turn scanned documents into searchable PDFs. The text is recognized on our own servers
+          and added as an invisible layer, so the pages look exactly as before.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFOcr />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your scanned PDF file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Recognize</h3>
+            <p className="step-description">
+              Pages without text are read with OCR. Pages that already have selectable text are
+              left untouched.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download a PDF you can search, select and copy text from.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OcrPdfPage;
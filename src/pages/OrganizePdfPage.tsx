@@ -0,0 +1,53 @@
+import PDFOrganizer from '../components/PDFOrganizer';
+import './ConversionPage.css';
+
+const OrganizePdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Organize PDF</h1>
+        <p className="page-description">
+          Put the pages of a PDF in a new order, turn them, delete or duplicate them, and add blank
+          pages or pages from another PDF. Links and bookmarks keep pointing at the right pages.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFOrganizer />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your PDF file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Arrange pages</h3>
+            <p className="step-description">
+              Move, rotate, duplicate or remove pages, and add blank pages or the pages of another
+              PDF where you need them.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the new PDF, built in one pass from your page list.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrganizePdfPage;
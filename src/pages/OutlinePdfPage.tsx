@@ -0,0 +1,52 @@
+import PDFOutline from '../components/PDFOutline';
+import './ConversionPage.css';
+
+const OutlinePdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Edit PDF Bookmarks</h1>
+        <p className="page-description">
+          Rename, nest and reorder the bookmarks of a PDF, or create them from its headings, and add a table of
+          contents page that links to every chapter.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFOutline />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your PDF; its current bookmarks are shown as a list.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Edit or Detect</h3>
+            <p className="step-description">
+              Change titles, pages and nesting yourself, or let the headings of the document become bookmarks.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the PDF with its new bookmarks and, if you chose one, a clickable table of contents.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutlinePdfPage;
@@ -0,0 +1,53 @@
+import PDFProtector from '../components/PDFProtector';
+import './ConversionPage.css';
+
+const ProtectPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Protect PDF</h1>
+        <p className="page-description">
+          Encrypt a PDF with a password and choose what readers may do with it, such as printing,
+          copying or editing. Your passwords are never stored.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFProtector />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your PDF file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Set passwords</h3>
+            <p className="step-description">
+              Enter a password to open the document, an owner password to restrict it, or both,
+              and pick the permissions readers keep.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the encrypted PDF. It opens in any reader that supports AES encryption.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProtectPdfPage;
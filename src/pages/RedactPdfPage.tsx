@@ -0,0 +1,52 @@
+import PDFRedact from '../components/PDFRedact';
+import './ConversionPage.css';
+
+const RedactPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Redact PDF</h1>
+        <p className="page-description">
+          Remove names, email addresses, phone numbers, IBANs and any other text or area before a document leaves
+          your hands. Redacted content is deleted from the file, not hidden under a box.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFRedact />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload the PDF you want to share.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Choose</h3>
+            <p className="step-description">
+              Enter words, regular expressions or ready-made patterns, and any areas of a page to black out.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              See how many matches were removed on each page and download the redacted PDF.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RedactPdfPage;
@@ -0,0 +1,52 @@
+import PDFSign from '../components/PDFSign';
+import './ConversionPage.css';
+
+const SignPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Sign PDF</h1>
+        <p className="page-description">
+          Sign contracts and other documents with your own certificate, visibly on the page or invisibly.
+          See who signed a PDF and whether it was changed afterwards.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFSign />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload a PDF; the signatures it already has are listed and checked.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Sign</h3>
+            <p className="step-description">
+              Choose your .p12 or .pfx certificate, enter its password, a reason and where the signature goes.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the signed PDF; earlier signatures stay valid.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignPdfPage;
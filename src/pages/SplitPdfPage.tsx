@@ -0,0 +1,53 @@
+import PDFSplitter from '../components/PDFSplitter';
+import './ConversionPage.css';
+
+const SplitPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Split PDF</h1>
+        <p className="page-description">
+          Cut a PDF into separate files by page ranges, every few pages, by chapter bookmarks
+          or by maximum file size. All parts are delivered together in one ZIP archive.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFSplitter />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your PDF file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Choose how to split</h3>
+            <p className="step-description">
+              Enter page ranges such as 1-3,5,8- or pick a number of pages, the chapters of the
+              document or a maximum size for each file.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the ZIP with your parts. Links and bookmarks inside each part keep working.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SplitPdfPage;
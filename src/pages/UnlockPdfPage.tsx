@@ -0,0 +1,53 @@
+import PDFUnlocker from '../components/PDFUnlocker';
+import './ConversionPage.css';
+
+const UnlockPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Unlock PDF</h1>
+        <p className="page-description">
+          Remove the password and restrictions from a PDF you have the password for, so it can be
+          opened, printed and converted freely. Your password is never stored.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFUnlocker />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your protected PDF file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Enter the password</h3>
+            <p className="step-description">
+              Type the password that opens the document, or the owner password if it only
+              restricts printing, copying or editing.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download an unencrypted copy of your PDF, ready to convert or edit.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockPdfPage;
@@ -0,0 +1,53 @@
+import PDFWatermark from '../components/PDFWatermark';
+import './ConversionPage.css';
+
+const WatermarkPdfPage: React.FC = () => {
+  return (
+    <div className="conversion-page">
+      <div className="page-header">
+        <h1 className="page-title">Watermark PDF</h1>
+        <p className="page-description">
+          Stamp text such as CONFIDENTIAL or DRAFT, or your logo, on the pages of a PDF. Choose where it
+          goes, how it is turned and how transparent it is.
+        </p>
+      </div>
+
+      <div className="converter-wrapper">
+        <PDFWatermark />
+      </div>
+
+      <div className="how-it-works-section">
+        <h2 className="section-title">How It Works</h2>
+
+        <div className="steps-container">
+          <div className="step-item">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Upload</h3>
+            <p className="step-description">
+              Upload your PDF file by dragging and dropping it or choosing it from your device.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">2</div>
+            <h3 className="step-title">Design the stamp</h3>
+            <p className="step-description">
+              Type the text or upload an image, then pick the position, rotation, opacity and whether
+              it sits over or under the page content.
+            </p>
+          </div>
+
+          <div className="step-item">
+            <div className="step-number">3</div>
+            <h3 className="step-title">Download</h3>
+            <p className="step-description">
+              Download the stamped PDF, then stamp more files with the same settings.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WatermarkPdfPage;
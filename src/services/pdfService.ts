@@ -1,6 +1,6 @@
 import apiClient from './api';
 
-export type ConversionFormat = 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'txt';
+export type ConversionFormat = 'docx' | 'xlsx' | 'pptx' | 'jpg' | 'txt' | 'html' | 'md';
 
 export interface UploadResponse {
   success: boolean;
@@ -10,6 +10,10 @@ export interface UploadResponse {
   uploadDate: string;
   expiryDate: string;
   previewUrl?: string;
+  // Encrypted PDFs must be unlocked with their password before conversion
+  encrypted?: boolean;
+  // Format conversions start from, null when the file cannot be converted
+  sourceFormat?: string | null;
 }
 
 export interface ConversionResponse {
@@ -21,6 +25,397 @@ export interface ConversionResponse {
   currency?: string;
 }
 
+export interface ToolOperationResponse {
+  success: boolean;
+  operationId: string;
+  status: string;
+}
+
+export interface MergeFileInput {
+  fileId: string;
+  pages?: string; // e.g. "1-3,5,8-"; all pages when omitted
+  title?: string; // bookmark title for this file
+}
+
+export interface MergeOptions {
+  bookmarks?: 'preserve' | 'files' | 'none';
+  title?: string;
+}
+
+export type SplitMode = 'ranges' | 'every' | 'bookmarks' | 'size';
+
+export interface SplitOptions {
+  mode: SplitMode;
+  ranges?: string; // 'ranges' mode, one part per range: "1-3,5,8-"
+  everyPages?: number; // 'every' mode
+  maxSizeBytes?: number; // 'size' mode
+}
+
+export type PdfPermission = 'print' | 'copy' | 'edit' | 'annotate' | 'fillForms';
+
+export interface ProtectOptions {
+  userPassword?: string; // needed to open the document
+  ownerPassword?: string; // needed to change permissions; random when omitted
+  algorithm?: 'aes-128' | 'aes-256';
+  permissions?: Partial<Record<PdfPermission, boolean>>; // missing permissions are granted
+}
+
+export interface OcrOptions {
+  language?: 'eng';
+  pages?: string; // e.g. "1-3,5"; all pages when omitted
+}
+
+export interface ImagesToPdfOptions {
+  pageSize?: 'a4' | 'letter' | 'fit'; // "fit" sizes every page to its image
+  orientation?: 'auto' | 'portrait' | 'landscape'; // "auto" turns each page to match its image
+  margin?: number; // in points (72 per inch), 0-144
+  autoRotate?: boolean; // apply the EXIF orientation of photos, on by default
+}
+
+export type WatermarkPosition =
+  | 'center'
+  | 'top-left' | 'top-center' | 'top-right'
+  | 'middle-left' | 'middle-right'
+  | 'bottom-left' | 'bottom-center' | 'bottom-right';
+
+export type WatermarkFont =
+  | 'helvetica' | 'helvetica-bold'
+  | 'times' | 'times-bold'
+  | 'courier' | 'courier-bold';
+
+export interface WatermarkOptions {
+  type?: 'text' | 'image'; // "image" when imageFileId is given
+  text?: string; // up to 200 characters
+  imageFileId?: string; // an uploaded PNG or JPG
+  position?: WatermarkPosition;
+  rotation?: number; // degrees counter-clockwise; 45 in the center, 0 elsewhere
+  opacity?: number; // 0-1
+  font?: WatermarkFont;
+  fontSize?: number; // in points
+  color?: string; // e.g. "#ff0000"
+  imageScale?: number; // image width as a share of the page width, 0.05-1
+  layer?: 'over' | 'under'; // "under" keeps the page content readable on top
+  margin?: number; // distance from the page edges in points
+  pages?: string; // e.g. "1-3,5"; all pages when omitted
+}
+
+// One entry of an organize page plan; rotations are clockwise, in steps of 90 degrees
+export type PagePlanEntry =
+  | { page: number; fileId?: string; rotation?: number } // fileId: another uploaded PDF
+  | { pages: string; fileId?: string; rotation?: number } // e.g. "4-6", in order
+  | { blank: true; size?: 'a4' | 'letter'; rotation?: number }; // without size: like the page before
+
+export type HeaderFooterPosition =
+  | 'header-left' | 'header-center' | 'header-right'
+  | 'footer-left' | 'footer-center' | 'footer-right';
+
+export interface HeaderFooterOptions {
+  // Text may contain {page}, {pages}, {date} and {filename}
+  blocks?: { position: HeaderFooterPosition; text: string }[];
+  // Bates numbers continue from one file to the next: prefix + zero-padded counter + suffix
+  bates?: { prefix?: string; suffix?: string; digits?: number; start?: number; position?: HeaderFooterPosition };
+  font?: WatermarkFont;
+  fontSize?: number; // in points, 10 by default
+  color?: string; // e.g. "#000000"
+  marginX?: number; // distance from the sides in points
+  marginY?: number; // distance from the top and bottom in points
+  pages?: string; // e.g. "2-"; all pages when omitted
+  startNumber?: number; // {page} of the first selected page
+  date?: string; // text for {date}, today (YYYY-MM-DD) when omitted
+}
+
+export type MetadataField =
+  | 'title' | 'author' | 'subject' | 'keywords'
+  | 'creator' | 'producer' | 'creationDate' | 'modificationDate';
+
+export interface MetadataOptions {
+  // 'sanitize' drops everything but the title, subject and keywords, and removes XMP and private data
+  preset?: 'sanitize';
+  // null or '' removes a field; dates as ISO strings; keywords may be a list
+  fields?: Partial<Record<MetadataField, string | string[] | null>>;
+  xmp?: 'sync' | 'keep' | 'remove'; // 'sync' by default: rewrite XMP from the Info dictionary
+}
+
+export type FormFieldType = 'text' | 'checkbox' | 'radio' | 'dropdown' | 'optionlist' | 'button' | 'signature';
+
+export interface FormField {
+  name: string; // full name, e.g. "applicant.name"
+  type: FormFieldType;
+  value: string | string[] | boolean | null;
+  defaultValue: string | string[] | null;
+  options: string[] | null; // radio, dropdown and list choices
+  required: boolean;
+  readOnly: boolean;
+  multiSelect: boolean;
+  multiline: boolean;
+  maxLength: number | null;
+  widgets: { page: number | null; x: number; y: number; width: number; height: number }[]; // in points
+}
+
+export interface FormFieldsResponse {
+  success: boolean;
+  fileId: string;
+  fields: FormField[];
+  xfa: boolean; // an XFA form is removed when the fields are filled
+}
+
+export type FormValues = Record<string, string | string[] | boolean | number | null>;
+
+export interface FormFillOptions {
+  // Exactly one of: values for one PDF, or rows / CSV text (field names in the header) for a ZIP of PDFs
+  values?: FormValues;
+  rows?: FormValues[];
+  csv?: string;
+  flatten?: boolean; // turn the fields into page content
+  fileNameField?: string; // column naming the PDFs of a batch
+}
+
+export interface SignatureOptions {
+  reason?: string;
+  location?: string;
+  contactInfo?: string;
+  name?: string; // shown instead of the certificate's common name
+  fieldName?: string; // "SignatureN" by default
+  visible?: boolean;
+  // Box of a visible signature, in points from the bottom left corner of the page
+  appearance?: { page?: number; x?: number; y?: number; width?: number; height?: number; imageFileId?: string };
+}
+
+export interface SignatureCertificate {
+  subject: string;
+  issuer: string;
+  commonName: string | null;
+  serialNumber: string;
+  validFrom: string;
+  validTo: string;
+  fingerprint256: string;
+  selfSigned: boolean;
+}
+
+export interface PdfSignature {
+  fieldName: string;
+  page: number | null;
+  rect: { x: number; y: number; width: number; height: number } | null;
+  visible: boolean;
+  signed: boolean; // false for empty signature fields, which have none of the details below
+  subFilter?: string | null;
+  signerName?: string | null;
+  reason?: string | null;
+  location?: string | null;
+  contactInfo?: string | null;
+  byteRange?: number[];
+  signedBytes?: number | null; // length of the signed revision
+  coversWholeDocument?: boolean;
+  modifiedAfterSigning?: boolean | null;
+  laterSignatures?: number;
+  // 'valid': the signed bytes are unchanged and match the certificate; trust is not checked
+  integrity?: 'valid' | 'invalid' | 'unsupported';
+  problem?: string | null;
+  certificates?: SignatureCertificate[]; // signer first
+  chainComplete?: boolean; // the chain ends at a self-signed root
+  signingTime?: string | null;
+  signingTimeSource?: 'timestamp' | 'signer' | 'pdf' | null;
+  certificateValidAtSigning?: boolean | null;
+}
+
+export interface PdfSignaturesResponse {
+  success: boolean;
+  fileId: string;
+  signatures: PdfSignature[];
+  signedCount: number;
+  fileSize: number;
+}
+
+export type RedactionPattern = 'email' | 'phone' | 'iban';
+
+export interface RedactionArea {
+  page: number;
+  // Points from the bottom left corner of the page as displayed
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface RedactionOptions {
+  terms?: string[];
+  regexes?: string[];
+  patterns?: RedactionPattern[];
+  caseSensitive?: boolean;
+  wholeWords?: boolean;
+  pages?: string; // pages to search, e.g. "1-3,5"; areas apply to their own page
+  areas?: RedactionArea[];
+  fillColor?: string; // colour of the boxes, "#000000" by default
+}
+
+export interface RedactedPage {
+  page: number;
+  matches: number;
+  matchesByRule: Record<string, number>; // e.g. { "email": 2, "text 1": 1 }
+  areas: number;
+  glyphsRemoved: number;
+  imagesRedacted: number;
+  imagesRemoved: number; // images that could not be decoded and were dropped
+  annotationsRemoved: number;
+}
+
+// Matches outside the pages, found whatever pages were searched
+export interface RedactedDocumentText {
+  matches: number;
+  matchesByRule: Record<string, number>;
+  infoFields: string[]; // Info entries changed, e.g. ["Title", "Subject"]
+  xmpPackets: number; // XMP packets rebuilt or removed
+  bookmarks: number; // bookmark titles changed
+  attachmentsRemoved: number; // attached files cannot be searched and are always removed
+}
+
+export interface RedactionStats {
+  pages: RedactedPage[];
+  totals: Omit<RedactedPage, 'page' | 'matchesByRule'>;
+  unmappedPages?: number[]; // pages with text that could not be searched
+  document?: RedactedDocumentText;
+}
+
+export type CompareMode = 'text' | 'visual';
+
+export interface CompareOptions {
+  mode?: CompareMode; // "visual" compares renderings, for scanned documents
+  ignoreCase?: boolean;
+  minMoveWords?: number; // shortest block reported as moved, 4 by default
+  dpi?: number; // visual mode: render resolution, 100 by default
+  threshold?: number; // visual mode: grey level difference counted as a change, 48 by default
+}
+
+export interface ComparedPage {
+  page: number;
+  insertions?: number;
+  deletions?: number;
+  moves?: number;
+  changedPercent?: number; // visual mode
+  regions?: number; // visual mode
+}
+
+export interface ComparisonStats {
+  mode: CompareMode;
+  originalPageCount: number;
+  revisedPageCount: number;
+  summary: {
+    identical: boolean;
+    changedPages: number[];
+    insertions?: number;
+    deletions?: number;
+    moves?: number;
+    insertedWords?: number;
+    deletedWords?: number;
+    movedWords?: number;
+    regions?: number; // visual mode
+    pagesOnlyInOriginal: string | null; // e.g. "4-5"
+    pagesOnlyInRevised: string | null;
+  };
+  pages: ComparedPage[];
+}
+
+export interface ExtractionOptions {
+  images?: boolean; // true by default
+  attachments?: boolean; // true by default
+  pages?: string; // pages to take images from, e.g. "1-3,5"
+  minSize?: number; // smallest image side in pixels
+}
+
+export interface ExtractionStats {
+  images: number;
+  attachments: number;
+  skippedImages: number; // images that could not be decoded
+  skippedAttachments: number; // attachments not embedded in the file
+}
+
+export type OutlineZoom = number | 'fit' | 'fitWidth' | 'fitHeight' | null;
+
+export interface OutlineItem {
+  title: string;
+  page: number | null; // 1-based, null for a bookmark that only groups its children
+  zoom?: OutlineZoom; // number: magnification, null: keep the reader's zoom
+  top?: number | null; // PDF points from the page bottom, null: top of the page
+  open?: boolean; // children shown expanded
+  children?: OutlineItem[];
+}
+
+export interface OutlineResponse {
+  success: boolean;
+  fileId: string;
+  pageCount: number;
+  bookmarkCount: number;
+  outline: OutlineItem[];
+}
+
+export interface OutlineOptions {
+  mode?: 'replace' | 'auto'; // auto builds the bookmarks from the document's headings
+  outline?: OutlineItem[]; // replace mode; an empty list removes all bookmarks
+  maxLevels?: number; // auto mode: heading levels, 1-6 (3 by default)
+  insertToc?: boolean; // insert a table of contents page with links in front
+  tocTitle?: string; // "Contents" by default
+}
+
+export interface OutlineStats {
+  mode: 'replace' | 'auto';
+  bookmarks: number;
+  levels: number;
+  tocPages: number; // table of contents pages inserted in front
+}
+
+export interface PdfMetadataResponse {
+  success: boolean;
+  fileId: string;
+  version: string | null; // e.g. "1.7"
+  producer: string | null;
+  pageCount: number;
+  pageSizes: { width: number; height: number; pages: string }[]; // in points, as displayed
+  info: Record<string, string | null>; // Info dictionary, dates as ISO strings
+  xmp: string | null; // raw XMP packet
+}
+
+export type CompressionLevel = 'low' | 'medium' | 'high';
+
+export interface CompressOptions {
+  compressionLevel?: CompressionLevel; // 'medium' by default
+  targetSizeBytes?: number; // step up from compressionLevel ('low' by default) until the file fits
+}
+
+export interface CompressionStats {
+  originalSize: number;
+  resultSize: number;
+  compressionRatio: number; // percent saved
+  compressionLevel: CompressionLevel;
+  imageDpi?: number;
+  imageQuality?: number;
+  targetSizeBytes?: number;
+  targetMet?: boolean; // false when even the strongest settings stay above the target
+  attempts?: number;
+}
+
+export interface OcrStats {
+  language: string;
+  recognizedPages: number[]; // pages that had no text layer and were recognized
+  skippedPages: number[]; // pages that already had text
+  wordCount: number;
+  confidence: number | null; // average word confidence, 0-100
+}
+
+export interface ResultManifestEntry {
+  name: string; // file name inside the result ZIP
+  title: string | null; // bookmark title when split by bookmarks
+  pages: string; // e.g. "2-4"
+  startPage: number;
+  endPage: number;
+  pageCount: number;
+  size: number;
+  oversized: boolean; // a single page larger than the requested maximum size
+  firstBates?: string | null; // Bates numbers of a stamped file
+  lastBates?: string | null;
+  row?: number; // row of values a filled form was made from
+  filledFields?: number;
+}
+
 export interface ConversionStatusResponse {
   operationId: string;
   status: 'queued' | 'processing' | 'completed' | 'failed';
@@ -28,6 +423,13 @@ export interface ConversionStatusResponse {
   estimatedTimeRemaining: number;
   resultFileId?: string;
   errorMessage?: string;
+  manifest?: ResultManifestEntry[]; // parts of a multi-part result such as a split
+  compression?: CompressionStats; // sizes of a compressed PDF
+  ocr?: OcrStats; // outcome of an OCR operation
+  redaction?: RedactionStats; // what a redaction removed
+  comparison?: ComparisonStats; // summary of a comparison, the full report is in the ZIP
+  extraction?: ExtractionStats; // what an extraction found, the manifest is in the ZIP
+  outline?: OutlineStats; // bookmarks written by an outline operation
 }
 
 export interface ConversionResultResponse {
@@ -144,6 +546,11 @@ const mockGetConversionResult = async (
       fileName = 'converted-document.txt';
       fileSize = 1024 * 100; // 100KB for text
       break;
+    case 'html':
+    case 'md':
+      fileName = `converted-document-${format}.zip`;
+      fileSize = 1024 * 300; // 300KB for a document with its assets
+      break;
     default: // docx
       fileName = 'converted-document.docx';
       fileSize = 1024 * 1024 * 2; // 2MB for document
@@ -639,6 +1046,334 @@ export const convertPDF = async (
   return response.data;
 };
 
+/**
+ * Convert an uploaded office document, text file or image to PDF
+ * Supported sources are listed in the shared conversion matrix
+ */
+export const convertToPDF = async (
+  fileId: string,
+  sourceFormat: string
+): Promise<ConversionResponse> => {
+  const response = await apiClient.post<ConversionResponse>('/api/convert', {
+    fileId,
+    sourceFormat,
+    targetFormat: 'pdf',
+    options: {},
+  });
+  
+  return response.data;
+};
+
+/**
+ * Compress an uploaded PDF, by level or down to a target size
+ * The measured sizes are in the `compression` of the completed operation's status
+ */
+export const compressPDF = async (
+  fileId: string,
+  options: CompressOptions
+): Promise<ConversionResponse> => {
+  const response = await apiClient.post<ConversionResponse>('/api/convert', {
+    fileId,
+    sourceFormat: 'pdf',
+    targetFormat: 'pdf',
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Merge uploaded PDFs into one document, in the given order
+ * Progress and the result are read like a conversion's (getConversionStatus / getConversionResult)
+ */
+export const mergePDFs = async (
+  files: MergeFileInput[],
+  options?: MergeOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/merge', {
+    files,
+    options: options || {},
+  });
+  
+  return response.data;
+};
+
+/**
+ * Split an uploaded PDF into parts, delivered as a ZIP
+ * The parts are listed in the `manifest` of the completed operation's status
+ */
+export const splitPDF = async (
+  fileId: string,
+  options: SplitOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/split', {
+    fileId,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Encrypt an uploaded PDF with passwords and permissions
+ * Passwords are sent at the top level of the request and are never stored with the operation
+ */
+export const protectPDF = async (
+  fileId: string,
+  options: ProtectOptions
+): Promise<ToolOperationResponse> => {
+  const { userPassword, ownerPassword, ...settings } = options;
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/protect', {
+    fileId,
+    userPassword,
+    ownerPassword,
+    options: settings,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Decrypt an uploaded PDF with its user or owner password
+ * The password is never stored with the operation
+ */
+export const unlockPDF = async (
+  fileId: string,
+  password: string
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/unlock', {
+    fileId,
+    password,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Recognize the text of a scanned PDF and add it as an invisible, searchable layer
+ * Pages that already have text are left as they are
+ */
+export const ocrPDF = async (
+  fileId: string,
+  options?: OcrOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/ocr', {
+    fileId,
+    options: options || {},
+  });
+  
+  return response.data;
+};
+
+/**
+ * Assemble uploaded JPG and PNG images into one PDF, one image per page in the given order
+ */
+export const imagesToPDF = async (
+  fileIds: string[],
+  options?: ImagesToPdfOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/images-to-pdf', {
+    files: fileIds,
+    options: options || {},
+  });
+  
+  return response.data;
+};
+
+/**
+ * Stamp text or an uploaded image on pages of a PDF
+ * Pass the id of an earlier watermark operation to apply the same stamp again; options override its settings
+ */
+export const watermarkPDF = async (
+  fileId: string,
+  options?: WatermarkOptions,
+  fromOperationId?: string
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/watermark', {
+    fileId,
+    fromOperationId,
+    options: options || {},
+  });
+  
+  return response.data;
+};
+
+/**
+ * Rebuild an uploaded PDF from a page plan
+ * Pages left out of the plan are deleted, pages listed twice are duplicated; links and bookmarks follow their pages
+ */
+export const organizePDF = async (
+  fileId: string,
+  plan: PagePlanEntry[]
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/organize', {
+    fileId,
+    plan,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Add headers, footers, page numbers or Bates numbers to one or more uploaded PDFs
+ * Several files come back as a ZIP; the manifest of the status response lists their Bates ranges
+ */
+export const addHeaderFooter = async (
+  files: { fileId: string; name?: string }[],
+  options: HeaderFooterOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/header-footer', {
+    files,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Read the document information, XMP packet, version and page sizes of an uploaded PDF
+ */
+export const getPdfMetadata = async (fileId: string): Promise<PdfMetadataResponse> => {
+  const response = await apiClient.get<PdfMetadataResponse>(`/api/tools/metadata/${encodeURIComponent(fileId)}`);
+  
+  return response.data;
+};
+
+/**
+ * Change, remove or sanitize the metadata of an uploaded PDF
+ */
+export const editMetadataPDF = async (
+  fileId: string,
+  options: MetadataOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/metadata', {
+    fileId,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * List the form fields of an uploaded PDF
+ */
+export const getPdfFormFields = async (fileId: string): Promise<FormFieldsResponse> => {
+  const response = await apiClient.get<FormFieldsResponse>(`/api/tools/forms/${encodeURIComponent(fileId)}`);
+  
+  return response.data;
+};
+
+/**
+ * Fill the form fields of an uploaded PDF
+ * With rows or csv every row becomes its own PDF and the result is a ZIP
+ */
+export const fillFormPDF = async (
+  fileId: string,
+  options: FormFillOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/forms/fill', {
+    fileId,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * List and verify the signatures of an uploaded PDF
+ */
+export const getPdfSignatures = async (fileId: string): Promise<PdfSignaturesResponse> => {
+  const response = await apiClient.get<PdfSignaturesResponse>(`/api/tools/signatures/${encodeURIComponent(fileId)}`);
+  
+  return response.data;
+};
+
+/**
+ * Sign an uploaded PDF with a PKCS#12 (.p12/.pfx) certificate
+ * The certificate is sent as base64 and kept only while the job runs
+ */
+export const signPDF = async (
+  fileId: string,
+  certificate: string,
+  password: string,
+  options: SignatureOptions
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/sign', {
+    fileId,
+    certificate,
+    password,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Redact an uploaded PDF: matching text and everything in the areas is removed, not just covered
+ * The matches per page are in the `redaction` of the completed operation's status
+ */
+export const redactPDF = async (fileId: string, options: RedactionOptions): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/redact', {
+    fileId,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Compare an uploaded original PDF with its revised version
+ * The result is a ZIP with the JSON report and the annotated PDF; the summary is in the `comparison` of the status
+ */
+export const comparePDFs = async (
+  fileId: string,
+  revisedFileId: string,
+  options: CompareOptions = {}
+): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/compare', {
+    fileId,
+    revisedFileId,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Extract the embedded images and file attachments of an uploaded PDF into a ZIP
+ * The counts are in the `extraction` of the completed operation's status
+ */
+export const extractPDFResources = async (fileId: string, options: ExtractionOptions = {}): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/extract', {
+    fileId,
+    options,
+  });
+  
+  return response.data;
+};
+
+/**
+ * Read the bookmarks of an uploaded PDF as a tree
+ */
+export const getPdfOutline = async (fileId: string): Promise<OutlineResponse> => {
+  const response = await apiClient.get<OutlineResponse>(`/api/tools/outline/${encodeURIComponent(fileId)}`);
+  
+  return response.data;
+};
+
+/**
+ * Replace the bookmarks of an uploaded PDF, or build them from its headings
+ * The result is a PDF; the counts are in the `outline` of the completed operation's status
+ */
+export const updatePDFOutline = async (fileId: string, options: OutlineOptions): Promise<ToolOperationResponse> => {
+  const response = await apiClient.post<ToolOperationResponse>('/api/tools/outline', {
+    fileId,
+    options,
+  });
+  
+  return response.data;
+};
+
 /**
  * Check the status of a conversion operation
  */
@@ -986,7 +1721,10 @@ function getMimeTypeFromFilename(filename: string): string | null {
     'jpg': 'image/jpeg',
     'jpeg': 'image/jpeg',
     'png': 'image/png',
-    'txt': 'text/plain'
+    'txt': 'text/plain',
+    'html': 'text/html',
+    'md': 'text/markdown',
+    'zip': 'application/zip'
   };
   
   return mimeTypes[extension] || null;